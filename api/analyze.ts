@@ -6,12 +6,23 @@
  *
  * 环境变量:
  * - REPLICATE_API_TOKEN: Replicate API密钥
+ * - CLERK_JWKS_URL / CLERK_PUBLISHABLE_KEY: Clerk会话令牌验证配置
+ * - USAGE_STORE / ENTITLEMENT_STORE / CREDIT_STORE: 用量、权益和积分存储，用于套餐额度检查和积分计费
+ * - KV_REST_API_URL / KV_REST_API_TOKEN: 共享KV存储（Vercel KV、Upstash Redis），Vercel上必须配置
  */
 
 import type { VercelRequest, VercelResponse } from '@vercel/node';
 import Replicate from 'replicate';
 import { createDebugMiddleware } from '../debug/api-debug.mjs';
 import { processAnalyze } from '../shared/api-handlers.mjs';
+import { parseImageUpload } from '../shared/upload.mjs';
+import { authenticateRequest } from '../shared/auth.mjs';
+import { createEntitlementStore } from '../shared/entitlement-store.mjs';
+import { createUsageStore } from '../shared/usage-store.mjs';
+import { UsageMeter } from '../shared/usage.mjs';
+import { createCreditStore } from '../shared/credit-store.mjs';
+import { CreditLedger } from '../shared/credits.mjs';
+import { RateLimiter } from '../shared/rate-limit.mjs';
 
 // 初始化Replicate客户端
 // 文档: https://replicate.com/docs/reference/node
@@ -19,6 +30,11 @@ const replicate = new Replicate({
   auth: process.env.REPLICATE_API_TOKEN,
 });
 
+// 用量计量和限流：权益存储需要与 /api/webhook 共享同一后端
+const entitlementStore = createEntitlementStore();
+const usageMeter = new UsageMeter(createUsageStore(), entitlementStore, new CreditLedger(createCreditStore()));
+const rateLimiter = new RateLimiter(entitlementStore);
+
 export default async function handler(req: VercelRequest, res: VercelResponse) {
   const debug = createDebugMiddleware('analyze');
   
@@ -28,7 +44,7 @@ export default async function handler(req: VercelRequest, res: VercelResponse) {
   // 设置CORS头
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -41,11 +57,36 @@ export default async function handler(req: VercelRequest, res: VercelResponse) {
   // 记录请求
   debug.logRequest(req);
 
+  // 识别已登录用户，允许匿名访问；令牌无法读取等异常返回错误响应，不让函数崩溃
+  let auth;
+  try {
+    auth = await authenticateRequest(req);
+  } catch (authError) {
+    debug.logError(authError, { authorization: Boolean(req.headers.authorization) });
+    return debug.errorResponse(res, authError.message, authError.statusCode || 401);
+  }
+
+  // 按用户（未登录时按IP）和套餐限流，超出时返回429
+  try {
+    await rateLimiter.enforce(req, res, 'POST /api/analyze');
+  } catch (limitError) {
+    return debug.errorResponse(res, limitError.message, limitError.statusCode || 429, null, limitError.payload);
+  }
+
   try {
+    // 解析图像上传（multipart/form-data 或 image/*），其他请求按JSON处理
+    let uploadedBody;
+    try {
+      uploadedBody = await parseImageUpload(req);
+    } catch (uploadError) {
+      debug.logError(uploadError, { contentType: req.headers['content-type'] });
+      return debug.errorResponse(res, uploadError.message, uploadError.statusCode || 400);
+    }
+
     // 解析请求体
     let parsedBody;
     try {
-      parsedBody = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+      parsedBody = uploadedBody || (typeof req.body === 'string' ? JSON.parse(req.body) : req.body);
     } catch (parseError) {
       debug.logError(parseError, { rawBody: req.body });
       return debug.errorResponse(res, 'JSON解析错误：请求体格式不正确', 400);
@@ -71,7 +112,10 @@ export default async function handler(req: VercelRequest, res: VercelResponse) {
     }
 
     // 使用共享的processAnalyze函数
-    const result = await processAnalyze(imageData, process.env.REPLICATE_API_TOKEN);
+    // 已登录用户计入分析次数
+    const result = await usageMeter.run(auth ? auth.userId : null, { analyses: 1 }, () =>
+      processAnalyze(imageData, process.env.REPLICATE_API_TOKEN)
+    );
 
     debug.apiDebugger.log('info', `分析完成，评分: ${result.score}`);
     
@@ -89,6 +133,6 @@ export default async function handler(req: VercelRequest, res: VercelResponse) {
     const statusCode = error.statusCode || 500;
     const errorMessage = error.message || '图像分析服务暂时不可用，请稍后再试';
     
-    return debug.errorResponse(res, errorMessage, statusCode, error instanceof Error ? error.message : '未知错误');
+    return debug.errorResponse(res, errorMessage, statusCode, error instanceof Error ? error.message : '未知错误', error.payload);
   }
 }
\ No newline at end of file
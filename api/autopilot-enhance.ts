@@ -10,18 +10,47 @@
  * 
  * 环境变量:
  * - REPLICATE_API_TOKEN: Replicate API密钥
+ * - CLERK_JWKS_URL / CLERK_PUBLISHABLE_KEY: Clerk会话令牌验证配置
+ * - USAGE_STORE / ENTITLEMENT_STORE / CREDIT_STORE: 用量、权益和积分存储，用于套餐额度检查和积分计费
+ * - KV_REST_API_URL / KV_REST_API_TOKEN: 共享KV存储（Vercel KV、Upstash Redis），Vercel上必须配置
+ * - REPLICATE_MAX_CONCURRENCY / REPLICATE_MAX_CONCURRENCY_PER_USER / REPLICATE_QUEUE_TIMEOUT_MS / REPLICATE_CONCURRENCY_STORE: Replicate并发上限、排队超时和名额存储
+ * - REPLICATE_MAX_RETRIES / REPLICATE_RETRY_BASE_MS / REPLICATE_ATTEMPT_TIMEOUT_MS / REPLICATE_BREAKER_THRESHOLD 等: 模型调用的重试和熔断
+ * - PROCESSING_PROVIDER: 默认处理提供方 (replicate, local)，请求体的provider参数可覆盖；未设置时有REPLICATE_API_TOKEN则使用replicate
+ * - STORAGE_DRIVER / S3_*: 结果的对象存储，Vercel上必须使用s3
  */
 
 import type { VercelRequest, VercelResponse } from '@vercel/node';
 import Replicate from 'replicate';
 import { createDebugMiddleware } from '../debug/api-debug.mjs';
-import { processAutopilotEnhance } from '../shared/api-handlers.mjs';
+import { processAutopilotEnhance } from '../shared/pipeline.mjs';
+import { getProvider, resolveProviderName, withProvider } from '../shared/providers.mjs';
+import { parseImageUpload } from '../shared/upload.mjs';
+import { authenticateRequest } from '../shared/auth.mjs';
+import { createEntitlementStore } from '../shared/entitlement-store.mjs';
+import { createUsageStore } from '../shared/usage-store.mjs';
+import { UsageMeter } from '../shared/usage.mjs';
+import { createCreditStore } from '../shared/credit-store.mjs';
+import { CreditLedger } from '../shared/credits.mjs';
+import { RateLimiter } from '../shared/rate-limit.mjs';
+import { createReplicateConcurrencyLimiter } from '../shared/replicate-concurrency.mjs';
+import { getOutputStorage } from '../shared/outputs.mjs';
 
 // 初始化Replicate客户端
 const replicate = new Replicate({
   auth: process.env.REPLICATE_API_TOKEN,
 });
 
+// 用量计量和限流：权益存储需要与 /api/webhook 共享同一后端
+const entitlementStore = createEntitlementStore();
+const usageMeter = new UsageMeter(createUsageStore(), entitlementStore, new CreditLedger(createCreditStore()));
+const rateLimiter = new RateLimiter(entitlementStore);
+
+// Replicate并发控制：配置KV时所有函数实例共用同一个上限
+const replicateLimiter = createReplicateConcurrencyLimiter();
+
+// 对象存储：Vercel上未配置s3时在加载时报错，不在模型调用完成后才发现结果无法保存
+getOutputStorage();
+
 export default async function handler(req: VercelRequest, res: VercelResponse) {
   const debug = createDebugMiddleware('autopilot-enhance');
   
@@ -31,7 +60,7 @@ export default async function handler(req: VercelRequest, res: VercelResponse) {
   // 设置CORS头
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -44,22 +73,48 @@ export default async function handler(req: VercelRequest, res: VercelResponse) {
   // 记录请求
   debug.logRequest(req);
 
+  // 验证Clerk会话，付费接口拒绝匿名请求
+  let userId: string;
   try {
+    ({ userId } = await authenticateRequest(req, { required: true }));
+  } catch (authError) {
+    debug.logError(authError, { authorization: Boolean(req.headers.authorization) });
+    return debug.errorResponse(res, authError.message, authError.statusCode || 401);
+  }
+
+  // 按用户（未登录时按IP）和套餐限流，超出时返回429
+  try {
+    await rateLimiter.enforce(req, res, 'POST /api/autopilot-enhance');
+  } catch (limitError) {
+    return debug.errorResponse(res, limitError.message, limitError.statusCode || 429, null, limitError.payload);
+  }
+
+  try {
+    // 解析图像上传（multipart/form-data 或 image/*），其他请求按JSON处理
+    let uploadedBody;
+    try {
+      uploadedBody = await parseImageUpload(req);
+    } catch (uploadError) {
+      debug.logError(uploadError, { contentType: req.headers['content-type'] });
+      return debug.errorResponse(res, uploadError.message, uploadError.statusCode || 400);
+    }
+
     // 解析请求体
     let parsedBody;
     try {
-      parsedBody = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+      parsedBody = uploadedBody || (typeof req.body === 'string' ? JSON.parse(req.body) : req.body);
     } catch (parseError) {
       debug.logError(parseError, { rawBody: req.body });
       return debug.errorResponse(res, 'JSON解析错误：请求体格式不正确', 400);
     }
 
-    const { imageBase64, recommendations } = parsedBody;
+    const { imageBase64, recommendations: requested } = parsedBody;
+    const provider = resolveProviderName(parsedBody.provider);
     
     debug.apiDebugger.log('info', '开始Autopilot自动增强流程');
     
-    // 检查API Token
-    if (!process.env.REPLICATE_API_TOKEN) {
+    // 检查API Token（本地处理不需要）
+    if (getProvider(provider).capabilities().requires_token && !process.env.REPLICATE_API_TOKEN) {
       return debug.errorResponse(res, 'REPLICATE_API_TOKEN未配置', 500);
     }
     
@@ -68,12 +123,20 @@ export default async function handler(req: VercelRequest, res: VercelResponse) {
       return debug.errorResponse(res, '缺少图像数据', 400);
     }
     
-    if (!recommendations || !recommendations.priority) {
+    if (!requested || !requested.priority) {
       return debug.errorResponse(res, '缺少增强建议配置', 400);
     }
     
-    // 使用共享的processAutopilotEnhance函数
-    const result = await processAutopilotEnhance(imageBase64, recommendations, process.env.REPLICATE_API_TOKEN);
+    // 未指定提供方的步骤使用请求的provider
+    const recommendations = withProvider(requested, provider);
+    
+    // 增强建议转换为流水线执行
+    // 检查套餐和额度后执行，按成功的步骤累计用量；任一步骤使用远程提供方时占用并发名额
+    const remote = requested.priority.some(step => getProvider(recommendations[step]?.provider).capabilities().remote);
+    const enhance = () => processAutopilotEnhance(imageBase64, recommendations, process.env.REPLICATE_API_TOKEN);
+    const result = await usageMeter.run(userId, { autopilot: true, recommendations, imageBase64 }, () =>
+      remote ? replicateLimiter.run(userId, enhance) : enhance()
+    );
     
     // 使用调试工具记录响应
     debug.logResponse(res, result);
@@ -89,6 +152,6 @@ export default async function handler(req: VercelRequest, res: VercelResponse) {
     const statusCode = error.statusCode || 500;
     const errorMessage = error.message || 'Autopilot增强服务暂时不可用，请稍后再试';
     
-    return debug.errorResponse(res, errorMessage, statusCode, error instanceof Error ? error.message : '未知错误');
+    return debug.errorResponse(res, errorMessage, statusCode, error instanceof Error ? error.message : '未知错误', error.payload);
   }
 }
@@ -0,0 +1,217 @@
+/**
+ * 批量处理API
+ *
+ * 📖 功能说明: 用同一条流水线（或预设）处理多张图像，每张图像作为一个pipeline任务执行，限制同时执行的任务数
+ * 🔗 接口:
+ *   POST   /api/batches                              创建批量任务（multipart中每个文件一张图像，ZIP压缩包解压为多张图像；
+ *                                                     也可以是application/zip请求体或JSON { images: [{ name, imageBase64 }] }）
+ *   GET    /api/batches/:id                          查询各图像状态和整体进度
+ *   DELETE /api/batches/:id                          取消所有未完成的图像
+ *   POST   /api/batches/:id/items/:itemId/retry      重试失败或已取消的图像
+ *   GET    /api/batches/:id/download                 以ZIP下载成功的结果（保留目录结构，文件名带流水线后缀）和manifest.json
+ *   （vercel.json 将路径参数重写为 ?id=、?item=&retry=1 和 ?download=1）
+ *
+ * 环境变量:
+ * - REPLICATE_API_TOKEN: Replicate API密钥
+ * - BATCH_STORE / BATCH_STORE_DIR: 批量任务存储，默认memory（配置KV服务时为kv）；查询、取消和下载需要与创建时共享同一后端
+ * - BATCH_CONCURRENCY: 每批默认同时执行的任务数，默认2，最大4
+ * - BATCH_UPLOAD_MAX_BYTES / UPLOAD_MAX_BYTES: 批量上传（ZIP按解压后计算）的总大小上限和单个图像上限
+ * - JOB_STORE / JOB_STORE_DIR: 任务存储，每张图像的处理记录为一个任务
+ * - REPLICATE_WEBHOOK_URL: /api/replicate-webhook 的完整地址，设置后通过webhook推进任务
+ * - CLERK_JWKS_URL / CLERK_PUBLISHABLE_KEY: Clerk会话令牌验证配置（创建批量任务需要登录，批量任务只对创建者可见）
+ * - USAGE_STORE / ENTITLEMENT_STORE / CREDIT_STORE: 用量、权益和积分存储，用于套餐额度检查和积分计费
+ * - REPLICATE_MAX_CONCURRENCY / REPLICATE_MAX_CONCURRENCY_PER_USER / REPLICATE_CONCURRENCY_STORE: Replicate并发上限和名额存储
+ * - PROCESSING_PROVIDER: 默认处理提供方 (replicate, local)，请求体的provider参数可覆盖
+ * - PRESET_STORE / PRESET_STORE_DIR: 预设存储，带preset_id时读取保存的预设
+ * - KV_REST_API_URL / KV_REST_API_TOKEN: 共享KV存储（Vercel KV、Upstash Redis），Vercel上必须配置
+ * - STORAGE_DRIVER / S3_BUCKET 等: 结果存储配置，下载ZIP时从中读取结果图像
+ */
+
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import { createDebugMiddleware } from '../debug/api-debug.mjs';
+import { createJobStore } from '../shared/job-store.mjs';
+import { createBatchStore } from '../shared/batch-store.mjs';
+import {
+  BATCH_STATUS,
+  MAX_BATCH_ITEMS,
+  createBatch,
+  getBatch,
+  runBatch,
+  cancelBatch,
+  retryBatchItem,
+  toPublicBatch,
+  streamBatchArchive
+} from '../shared/batches.mjs';
+import { createPresetStore } from '../shared/preset-store.mjs';
+import { resolvePresetPipeline } from '../shared/presets.mjs';
+import { getProvider, resolveProviderName } from '../shared/providers.mjs';
+import { parseBatchUpload } from '../shared/upload.mjs';
+import { authenticateRequest } from '../shared/auth.mjs';
+import { createEntitlementStore } from '../shared/entitlement-store.mjs';
+import { createUsageStore } from '../shared/usage-store.mjs';
+import { UsageMeter } from '../shared/usage.mjs';
+import { createCreditStore } from '../shared/credit-store.mjs';
+import { CreditLedger } from '../shared/credits.mjs';
+import { RateLimiter } from '../shared/rate-limit.mjs';
+import { createReplicateConcurrencyLimiter } from '../shared/replicate-concurrency.mjs';
+import { getOutputStorage } from '../shared/outputs.mjs';
+
+// 存储在函数实例内复用
+const stores = { batchStore: createBatchStore(), jobStore: createJobStore() };
+const presetStore = createPresetStore();
+
+// 用量计量：创建时按第一张图像检查套餐功能，每张图像创建任务时检查额度，增强步骤执行前计费
+const entitlementStore = createEntitlementStore();
+const usageMeter = new UsageMeter(createUsageStore(), entitlementStore, new CreditLedger(createCreditStore()));
+const rateLimiter = new RateLimiter(entitlementStore);
+
+// Replicate并发控制：配置KV时所有函数实例共用同一个上限
+const replicateLimiter = createReplicateConcurrencyLimiter();
+
+// 批量任务的调度上下文：与单个任务相同的执行方式
+const batchContext = {
+  apiToken: process.env.REPLICATE_API_TOKEN,
+  webhookUrl: process.env.REPLICATE_WEBHOOK_URL,
+  meter: usageMeter,
+  replicateLimiter
+};
+
+// 对象存储：Vercel上未配置s3时在加载时报错，不在模型调用完成后才发现结果无法保存
+getOutputStorage();
+
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  const debug = createDebugMiddleware('batches');
+
+  // 环境检查
+  debug.apiDebugger.checkEnvironment();
+
+  // 设置CORS头
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // 记录请求
+  debug.logRequest(req);
+
+  try {
+    const id = typeof req.query.id === 'string' ? req.query.id : undefined;
+    const itemId = typeof req.query.item === 'string' ? req.query.item : undefined;
+
+    // 验证Clerk会话：创建批量任务需要登录，其他操作只能针对自己的批量任务
+    let auth;
+    try {
+      auth = await authenticateRequest(req, { required: req.method === 'POST' && !id });
+    } catch (authError) {
+      debug.logError(authError, { authorization: Boolean(req.headers.authorization) });
+      return debug.errorResponse(res, authError.message, authError.statusCode || 401);
+    }
+    const userId = auth ? auth.userId : null;
+
+    if (id) {
+      if (req.method === 'GET' && req.query.download === '1') {
+        try {
+          return await streamBatchArchive(stores, id, res, { userId });
+        } catch (archiveError) {
+          // 压缩包已开始写入时只能直接关闭连接
+          if (res.headersSent) {
+            debug.logError(archiveError, { batchId: id });
+            return res.destroy();
+          }
+          throw archiveError;
+        }
+      }
+
+      if (req.method === 'POST' && itemId && req.query.retry === '1') {
+        const batch = await retryBatchItem(stores, id, itemId, userId);
+        debug.safeJSON(res, { success: true, batch }, 200);
+        // 在函数剩余的执行时间内继续调度
+        await runBatch(stores, id, batchContext).catch(error => debug.logError(error, { batchId: id }));
+        return;
+      }
+
+      if (req.method === 'GET') {
+        const batch = await getBatch(stores, id, userId);
+        debug.safeJSON(res, { success: true, batch }, 200);
+        // 调度中断（如创建批量任务的函数已超时）后由查询接管，其他实例持有调度租约时直接返回
+        if (batch.status === BATCH_STATUS.QUEUED || batch.status === BATCH_STATUS.RUNNING) {
+          await runBatch(stores, id, batchContext).catch(error => debug.logError(error, { batchId: id }));
+        }
+        return;
+      }
+
+      if (req.method === 'DELETE') {
+        const batch = await cancelBatch(stores, id, userId, batchContext);
+        debug.logResponse(res, batch);
+        return debug.safeJSON(res, { success: true, batch }, 200);
+      }
+
+      return debug.errorResponse(res, '仅支持GET、DELETE请求', 405);
+    }
+
+    if (req.method !== 'POST') {
+      return debug.errorResponse(res, '缺少批量任务ID', 400);
+    }
+
+    // 按用户和套餐限制创建批量任务的频率，超出时返回429
+    try {
+      await rateLimiter.enforce(req, res, 'POST /api/batches');
+    } catch (limitError) {
+      return debug.errorResponse(res, limitError.message, limitError.statusCode || 429, null, limitError.payload);
+    }
+
+    // 解析批量上传（multipart/form-data或application/zip），其他请求按JSON处理
+    let uploadedBody;
+    try {
+      uploadedBody = await parseBatchUpload(req, { maxFiles: MAX_BATCH_ITEMS });
+    } catch (uploadError) {
+      debug.logError(uploadError, { contentType: req.headers['content-type'] });
+      return debug.errorResponse(res, uploadError.message, uploadError.statusCode || 400);
+    }
+
+    // 解析请求体
+    let parsedBody;
+    try {
+      parsedBody = uploadedBody || (typeof req.body === 'string' ? JSON.parse(req.body) : req.body);
+    } catch (parseError) {
+      debug.logError(parseError, { rawBody: req.body });
+      return debug.errorResponse(res, 'JSON解析错误：请求体格式不正确', 400);
+    }
+
+    // 所有图像使用同一条流水线，可以用preset_id指定保存的预设
+    const params = await resolvePresetPipeline(presetStore, parsedBody || {}, userId);
+
+    // 检查API Token（本地处理不需要）
+    if (getProvider(resolveProviderName(params.provider)).capabilities().requires_token && !process.env.REPLICATE_API_TOKEN) {
+      return debug.errorResponse(res, 'REPLICATE_API_TOKEN未配置', 500);
+    }
+    const batch = await createBatch(stores, params, userId, usageMeter);
+    const response = {
+      success: true,
+      batch: toPublicBatch(batch),
+      status_url: `/api/batches/${batch.id}`
+    };
+
+    debug.logResponse(res, response);
+    debug.safeJSON(res, response, 202);
+
+    // 响应已返回，批量任务在函数剩余的执行时间内继续调度（上限见vercel.json的maxDuration），
+    // 超时后由下一次查询接管
+    await runBatch(stores, batch.id, batchContext).catch((error) => {
+      debug.logError(error, { batchId: batch.id });
+    });
+
+  } catch (error) {
+    // 使用调试工具记录错误
+    debug.logError(error, { requestBody: req.body });
+
+    // 统一的错误处理
+    const statusCode = error.statusCode || 500;
+    const errorMessage = error.message || '批量处理服务暂时不可用，请稍后再试';
+
+    return debug.errorResponse(res, errorMessage, statusCode, error instanceof Error ? error.message : '未知错误', error.payload);
+  }
+}
@@ -1,16 +1,16 @@
 import type { VercelRequest, VercelResponse } from '@vercel/node';
-import Stripe from 'stripe';
+import { authenticateRequest } from '../shared/auth.mjs';
+import { createEntitlementStore } from '../shared/entitlement-store.mjs';
+import { createCheckoutSession, createStripeClient, getAppUrl } from '../shared/billing.mjs';
 
-// 初始化Stripe
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY!, {
-  apiVersion: '2023-10-16',
-});
+// 用户对应的Stripe客户ID记录在权益存储中，需要与 /api/webhook、/api/create-portal-session 共享同一后端
+const entitlementStore = createEntitlementStore();
 
 export default async function handler(req: VercelRequest, res: VercelResponse) {
   // 设置CORS头
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
   if (req.method === 'OPTIONS') {
     res.status(200).end();
@@ -21,10 +21,23 @@ export default async function handler(req: VercelRequest, res: VercelResponse) {
     return res.status(405).json({ error: '只支持POST请求' });
   }
 
+  // 订阅关联到已验证的Clerk用户，不再信任请求体中的userId
+  let userId: string;
+  let email: string | undefined;
   try {
-    const { priceId, userId } = req.body;
+    const auth = await authenticateRequest(req, { required: true });
+    userId = auth.userId;
+    email = auth.claims?.email;
+  } catch (error) {
+    const authError = error as Error & { statusCode?: number };
+    return res.status(authError.statusCode || 401).json({ error: authError.message });
+  }
+
+  try {
+    // 提供packId时购买一次性积分包，否则按priceId创建订阅
+    const { priceId, packId } = req.body;
 
-    if (!priceId) {
+    if (!priceId && !packId) {
       return res.status(400).json({ error: '缺少价格ID' });
     }
 
@@ -32,26 +45,23 @@ export default async function handler(req: VercelRequest, res: VercelResponse) {
       return res.status(500).json({ error: '服务器配置错误：缺少Stripe密钥' });
     }
 
-    // 创建Stripe Checkout会话
-    const session = await stripe.checkout.sessions.create({
-      mode: 'subscription',
-      payment_method_types: ['card'],
-      line_items: [
-        {
-          price: priceId,
-          quantity: 1,
-        },
-      ],
-      success_url: `${req.headers.origin}/success?session_id={CHECKOUT_SESSION_ID}`,
-      cancel_url: `${req.headers.origin}/`,
-      metadata: {
-        userId: userId || 'anonymous',
-      },
-      // 可选：客户信息预填充
-      ...(userId && {
-        client_reference_id: userId,
-      }),
-    });
+    let session;
+    try {
+      // 支付完成或取消后跳回配置的应用地址，不信任请求的Origin头
+      session = await createCheckoutSession(createStripeClient(), entitlementStore, userId, {
+        priceId,
+        packId,
+        origin: getAppUrl(),
+        email
+      });
+    } catch (checkoutError) {
+      // 参数和配置错误（如不支持或未配置价格的积分包）原样返回，Stripe请求失败按创建失败处理
+      const { statusCode, message } = checkoutError as Error & { statusCode?: number };
+      if (statusCode && statusCode !== 502) {
+        return res.status(statusCode).json({ error: message });
+      }
+      throw checkoutError;
+    }
 
     res.status(200).json({ sessionId: session.id });
   } catch (error) {
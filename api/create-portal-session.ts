@@ -0,0 +1,70 @@
+/**
+ * Stripe客户门户API
+ *
+ * 📖 功能说明: 为当前登录用户创建Stripe客户门户会话，用于取消订阅、更换套餐、更新支付方式和下载账单
+ * 🔗 接口: POST /api/create-portal-session
+ * 📝 请求体: { flow?: 'payment_method_update' | 'subscription_cancel' | 'subscription_update' }，不指定时打开门户首页
+ *
+ * 环境变量:
+ * - STRIPE_SECRET_KEY: Stripe API密钥
+ * - STRIPE_API_BASE_URL: 可选，Stripe API地址（本地测试可指向stripe-mock）
+ * - APP_URL: 应用地址，门户完成后跳回 APP_URL/billing
+ * - ENTITLEMENT_STORE: 权益存储类型，需与 /api/webhook 使用同一后端
+ * - ENTITLEMENT_STORE_DIR: 文件存储目录
+ * - KV_REST_API_URL / KV_REST_API_TOKEN: 共享KV存储（Vercel KV、Upstash Redis），Vercel上必须配置
+ * - CLERK_JWKS_URL / CLERK_PUBLISHABLE_KEY: Clerk会话令牌验证配置
+ */
+
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import { createDebugMiddleware } from '../debug/api-debug.mjs';
+import { authenticateRequest } from '../shared/auth.mjs';
+import { createEntitlementStore } from '../shared/entitlement-store.mjs';
+import { createPortalSession, createStripeClient, getAppUrl } from '../shared/billing.mjs';
+
+// 客户ID记录在权益存储中，需要与 /api/webhook、/api/create-checkout-session 共享同一后端
+const entitlementStore = createEntitlementStore();
+
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  const debug = createDebugMiddleware('create-portal-session');
+
+  // 设置CORS头
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return debug.errorResponse(res, '仅支持POST请求', 405);
+  }
+
+  // 记录请求
+  debug.logRequest(req);
+
+  try {
+    const auth = await authenticateRequest(req, { required: true });
+    const { flow = null } = req.body || {};
+
+    // 门户完成后回到账单页面，地址来自配置而不是请求的Origin头
+    const session = await createPortalSession(createStripeClient(), entitlementStore, auth.userId, {
+      returnUrl: `${getAppUrl()}/billing`,
+      flow
+    });
+    const response = { success: true, url: session.url };
+
+    debug.logResponse(res, response);
+    return debug.safeJSON(res, response, 200);
+
+  } catch (error) {
+    // 使用调试工具记录错误
+    debug.logError(error, { authorization: Boolean(req.headers.authorization) });
+
+    // 统一的错误处理
+    const statusCode = error.statusCode || 500;
+    const errorMessage = error.message || '创建客户门户会话失败';
+
+    return debug.errorResponse(res, errorMessage, statusCode, error instanceof Error ? error.message : '未知错误');
+  }
+}
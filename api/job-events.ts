@@ -0,0 +1,70 @@
+/**
+ * 任务进度推送API（Server-Sent Events）
+ *
+ * 📖 功能说明: 推送异步任务的阶段变化和分步进度，替代客户端轮询 GET /api/jobs/:id
+ * 🔗 接口: GET /api/jobs/:id/events（vercel.json 将其重写为 /api/job-events?id=:id）
+ * 📡 事件:
+ *   progress  任务更新时推送 { status, stage, progress, steps[{ name, status, percent, logs }] }
+ *   done      任务结束时推送完整任务信息（包含结果），随后关闭连接
+ *
+ * 环境变量:
+ * - JOB_STORE: 任务存储类型，需与 /api/jobs 使用同一后端
+ * - JOB_STORE_DIR: 文件存储目录
+ * - KV_REST_API_URL / KV_REST_API_TOKEN: 共享KV存储（Vercel KV、Upstash Redis），Vercel上必须配置
+ * - CLERK_JWKS_URL / CLERK_PUBLISHABLE_KEY: Clerk会话令牌验证配置
+ *   （EventSource无法设置请求头，通过 __session Cookie 识别用户，只能订阅自己的任务）
+ */
+
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import { createDebugMiddleware } from '../debug/api-debug.mjs';
+import { createJobStore } from '../shared/job-store.mjs';
+import { streamJobEvents } from '../shared/job-events.mjs';
+import { authenticateRequest } from '../shared/auth.mjs';
+
+// 任务存储需要与 /api/jobs 共享同一后端
+const jobStore = createJobStore();
+
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  const debug = createDebugMiddleware('job-events');
+
+  // 设置CORS头
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return debug.errorResponse(res, '仅支持GET请求', 405);
+  }
+
+  // 记录请求
+  debug.logRequest(req);
+
+  const id = typeof req.query.id === 'string' ? req.query.id : undefined;
+  if (!id) {
+    return debug.errorResponse(res, '缺少任务ID', 400);
+  }
+
+  try {
+    // 识别已登录用户，任务只对创建者可见
+    const auth = await authenticateRequest(req);
+    await streamJobEvents(jobStore, id, res, { userId: auth ? auth.userId : null });
+  } catch (error) {
+    // 使用调试工具记录错误
+    debug.logError(error, { jobId: id });
+
+    // 事件流已开始时只能直接关闭连接
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    // 统一的错误处理
+    const statusCode = error.statusCode || 500;
+    const errorMessage = error.message || '任务进度服务暂时不可用，请稍后再试';
+
+    return debug.errorResponse(res, errorMessage, statusCode, error instanceof Error ? error.message : '未知错误');
+  }
+}
@@ -0,0 +1,171 @@
+/**
+ * 异步任务API
+ *
+ * 📖 功能说明: 长时间运行的增强流程改为异步任务，避免请求受函数超时限制
+ * 🔗 接口:
+ *   POST   /api/jobs      创建任务，立即返回任务ID
+ *   GET    /api/jobs/:id  查询任务状态、分步进度和结果
+ *   DELETE /api/jobs/:id  取消任务
+ *   （vercel.json 将 /api/jobs/:id 重写为 /api/jobs?id=:id）
+ *
+ * 环境变量:
+ * - REPLICATE_API_TOKEN: Replicate API密钥
+ * - JOB_STORE: 任务存储类型 (memory, file, kv)，默认memory（配置KV服务时为kv）
+ * - JOB_STORE_DIR: 文件存储目录
+ * - REPLICATE_WEBHOOK_URL: /api/replicate-webhook 的完整地址，设置后通过webhook推进任务
+ * - CLERK_JWKS_URL / CLERK_PUBLISHABLE_KEY: Clerk会话令牌验证配置（分析任务允许匿名创建，其他任务需要登录；任务只对创建者可见）
+ * - USAGE_STORE / ENTITLEMENT_STORE / CREDIT_STORE: 用量、权益和积分存储，用于套餐额度检查和积分计费
+ * - REPLICATE_MAX_CONCURRENCY / REPLICATE_MAX_CONCURRENCY_PER_USER / REPLICATE_QUEUE_TIMEOUT_MS / REPLICATE_CONCURRENCY_STORE: Replicate并发上限、排队超时和名额存储
+ * - REPLICATE_MAX_RETRIES / REPLICATE_RETRY_BASE_MS / REPLICATE_ATTEMPT_TIMEOUT_MS / REPLICATE_BREAKER_THRESHOLD 等: 模型调用的重试和熔断
+ * - REPLICATE_SLOT_TTL_MS: webhook模式下预测占用并发名额的最长时间
+ * - PROCESSING_PROVIDER: 默认处理提供方 (replicate, local)，请求体的provider参数可覆盖；本地处理的步骤不使用webhook
+ * - PRESET_STORE / PRESET_STORE_DIR: 预设存储，pipeline任务带preset_id时读取保存的预设（需要与 /api/presets 共享同一后端）
+ * - KV_REST_API_URL / KV_REST_API_TOKEN: 共享KV存储（Vercel KV、Upstash Redis），Vercel上必须配置
+ * - STORAGE_DRIVER / S3_*: 结果的对象存储，Vercel上必须使用s3
+ */
+
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import { createDebugMiddleware } from '../debug/api-debug.mjs';
+import { createJobStore } from '../shared/job-store.mjs';
+import { createJob, getJob, cancelJob, runJob, toPublicJob } from '../shared/jobs.mjs';
+import { createPresetStore } from '../shared/preset-store.mjs';
+import { resolvePresetPipeline } from '../shared/presets.mjs';
+import { getProvider, resolveProviderName } from '../shared/providers.mjs';
+import { parseImageUpload } from '../shared/upload.mjs';
+import { authenticateRequest } from '../shared/auth.mjs';
+import { createEntitlementStore } from '../shared/entitlement-store.mjs';
+import { createUsageStore } from '../shared/usage-store.mjs';
+import { UsageMeter } from '../shared/usage.mjs';
+import { createCreditStore } from '../shared/credit-store.mjs';
+import { CreditLedger } from '../shared/credits.mjs';
+import { RateLimiter } from '../shared/rate-limit.mjs';
+import { createReplicateConcurrencyLimiter } from '../shared/replicate-concurrency.mjs';
+import { getOutputStorage } from '../shared/outputs.mjs';
+
+// 任务存储在函数实例内复用
+const jobStore = createJobStore();
+
+// 预设存储：pipeline任务可以用preset_id指定保存的预设
+const presetStore = createPresetStore();
+
+// 用量计量：创建任务时检查额度，每个增强步骤执行前计费、完成后累计用量
+const entitlementStore = createEntitlementStore();
+const usageMeter = new UsageMeter(createUsageStore(), entitlementStore, new CreditLedger(createCreditStore()));
+const rateLimiter = new RateLimiter(entitlementStore);
+
+// Replicate并发控制：配置KV时所有函数实例共用同一个上限，webhook回调由其他实例处理时也能释放名额
+const replicateLimiter = createReplicateConcurrencyLimiter();
+
+// 对象存储：Vercel上未配置s3时在加载时报错，不在模型调用完成后才发现结果无法保存
+getOutputStorage();
+
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  const debug = createDebugMiddleware('jobs');
+
+  // 环境检查
+  debug.apiDebugger.checkEnvironment();
+
+  // 设置CORS头
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // 记录请求
+  debug.logRequest(req);
+
+  try {
+    const id = typeof req.query.id === 'string' ? req.query.id : undefined;
+
+    // 验证Clerk会话：任务类型在请求体中，是否需要登录由createJob按类型检查；查询和取消只能操作自己的任务
+    let auth;
+    try {
+      auth = await authenticateRequest(req);
+    } catch (authError) {
+      debug.logError(authError, { authorization: Boolean(req.headers.authorization) });
+      return debug.errorResponse(res, authError.message, authError.statusCode || 401);
+    }
+    const userId = auth ? auth.userId : null;
+
+    if (req.method === 'GET' || req.method === 'DELETE') {
+      if (!id) {
+        return debug.errorResponse(res, '缺少任务ID', 400);
+      }
+
+      const job = req.method === 'GET'
+        ? await getJob(jobStore, id, userId)
+        : await cancelJob(jobStore, id, process.env.REPLICATE_API_TOKEN, userId, usageMeter, replicateLimiter);
+      debug.logResponse(res, job);
+      return debug.safeJSON(res, { success: true, job }, 200);
+    }
+
+    if (req.method !== 'POST') {
+      return debug.errorResponse(res, '仅支持GET、POST、DELETE请求', 405);
+    }
+
+    // 按用户和套餐限制创建任务的频率，超出时返回429
+    try {
+      await rateLimiter.enforce(req, res, 'POST /api/jobs');
+    } catch (limitError) {
+      return debug.errorResponse(res, limitError.message, limitError.statusCode || 429, null, limitError.payload);
+    }
+
+    // 解析图像上传（multipart/form-data 或 image/*），其他请求按JSON处理
+    let uploadedBody;
+    try {
+      uploadedBody = await parseImageUpload(req);
+    } catch (uploadError) {
+      debug.logError(uploadError, { contentType: req.headers['content-type'] });
+      return debug.errorResponse(res, uploadError.message, uploadError.statusCode || 400);
+    }
+
+    // 解析请求体
+    let parsedBody;
+    try {
+      parsedBody = uploadedBody || (typeof req.body === 'string' ? JSON.parse(req.body) : req.body);
+    } catch (parseError) {
+      debug.logError(parseError, { rawBody: req.body });
+      return debug.errorResponse(res, 'JSON解析错误：请求体格式不正确', 400);
+    }
+
+    const { type, ...requested } = parsedBody || {};
+    const params = type === 'pipeline' ? await resolvePresetPipeline(presetStore, requested, userId) : requested;
+
+    // 检查API Token（本地处理不需要）
+    if (getProvider(resolveProviderName(params.provider)).capabilities().requires_token && !process.env.REPLICATE_API_TOKEN) {
+      return debug.errorResponse(res, 'REPLICATE_API_TOKEN未配置', 500);
+    }
+    const job = await createJob(jobStore, type, params, userId, usageMeter);
+    const response = {
+      success: true,
+      job: toPublicJob(job),
+      status_url: `/api/jobs/${job.id}`
+    };
+
+    debug.logResponse(res, response);
+    debug.safeJSON(res, response, 202);
+
+    // 响应已返回。设置REPLICATE_WEBHOOK_URL时增强步骤只创建预测，由 /api/replicate-webhook 推进；
+    // 否则任务在函数剩余的执行时间内继续运行（上限见vercel.json的maxDuration）
+    await runJob(jobStore, job.id, process.env.REPLICATE_API_TOKEN, {
+      webhookUrl: process.env.REPLICATE_WEBHOOK_URL,
+      meter: usageMeter,
+      replicateLimiter
+    }).catch((error) => {
+      debug.logError(error, { jobId: job.id });
+    });
+
+  } catch (error) {
+    // 使用调试工具记录错误
+    debug.logError(error, { requestBody: req.body });
+
+    // 统一的错误处理
+    const statusCode = error.statusCode || 500;
+    const errorMessage = error.message || '任务服务暂时不可用，请稍后再试';
+
+    return debug.errorResponse(res, errorMessage, statusCode, error instanceof Error ? error.message : '未知错误', error.payload);
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * 积分查询API
+ *
+ * 📖 功能说明: 返回当前登录用户的积分余额、最近的交易记录（购买、扣除、退还），以及可购买的积分包和模型成本表
+ * 🔗 接口: GET /api/me/credits（vercel.json 将其重写为 /api/me-credits）
+ *
+ * 环境变量:
+ * - CREDIT_STORE: 积分存储类型 (memory, file, kv)，需与处理接口、/api/webhook 使用同一后端
+ * - CREDIT_STORE_DIR: 文件存储目录
+ * - KV_REST_API_URL / KV_REST_API_TOKEN: 共享KV存储（Vercel KV、Upstash Redis），Vercel上必须配置
+ * - STRIPE_PRICE_CREDITS_100 / STRIPE_PRICE_CREDITS_500 / STRIPE_PRICE_CREDITS_2000: 积分包价格ID
+ * - CLERK_JWKS_URL / CLERK_PUBLISHABLE_KEY: Clerk会话令牌验证配置
+ */
+
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import { createDebugMiddleware } from '../debug/api-debug.mjs';
+import { authenticateRequest } from '../shared/auth.mjs';
+import { createCreditStore } from '../shared/credit-store.mjs';
+import { CreditLedger, MODEL_COSTS, listCreditPacks } from '../shared/credits.mjs';
+
+// 积分存储需要与处理接口、/api/webhook 共享同一后端
+const creditLedger = new CreditLedger(createCreditStore());
+
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  const debug = createDebugMiddleware('me-credits');
+
+  // 设置CORS头
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return debug.errorResponse(res, '仅支持GET请求', 405);
+  }
+
+  // 记录请求
+  debug.logRequest(req);
+
+  try {
+    const auth = await authenticateRequest(req, { required: true });
+    const credits = await creditLedger.getAccount(auth.userId);
+    const response = { success: true, credits, packs: listCreditPacks(), costs: MODEL_COSTS };
+
+    debug.logResponse(res, response);
+    return debug.safeJSON(res, response, 200);
+
+  } catch (error) {
+    // 使用调试工具记录错误
+    debug.logError(error, { authorization: Boolean(req.headers.authorization) });
+
+    // 统一的错误处理
+    const statusCode = error.statusCode || 500;
+    const errorMessage = error.message || '积分服务暂时不可用，请稍后再试';
+
+    return debug.errorResponse(res, errorMessage, statusCode, error instanceof Error ? error.message : '未知错误');
+  }
+}
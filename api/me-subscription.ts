@@ -0,0 +1,62 @@
+/**
+ * 订阅详情查询API
+ *
+ * 📖 功能说明: 返回当前登录用户的订阅计划、订阅状态、续费时间、是否到期取消，以及最近的Stripe账单
+ * 🔗 接口: GET /api/me/subscription（vercel.json 将其重写为 /api/me-subscription）
+ *
+ * 环境变量:
+ * - STRIPE_SECRET_KEY: Stripe API密钥
+ * - STRIPE_API_BASE_URL: 可选，Stripe API地址（本地测试可指向stripe-mock）
+ * - ENTITLEMENT_STORE: 权益存储类型，需与 /api/webhook 使用同一后端
+ * - ENTITLEMENT_STORE_DIR: 文件存储目录
+ * - KV_REST_API_URL / KV_REST_API_TOKEN: 共享KV存储（Vercel KV、Upstash Redis），Vercel上必须配置
+ * - CLERK_JWKS_URL / CLERK_PUBLISHABLE_KEY: Clerk会话令牌验证配置
+ */
+
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import { createDebugMiddleware } from '../debug/api-debug.mjs';
+import { authenticateRequest } from '../shared/auth.mjs';
+import { createEntitlementStore } from '../shared/entitlement-store.mjs';
+import { createStripeClient, getSubscriptionDetails } from '../shared/billing.mjs';
+
+// 权益存储需要与 /api/webhook 共享同一后端
+const entitlementStore = createEntitlementStore();
+
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  const debug = createDebugMiddleware('me-subscription');
+
+  // 设置CORS头
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return debug.errorResponse(res, '仅支持GET请求', 405);
+  }
+
+  // 记录请求
+  debug.logRequest(req);
+
+  try {
+    const auth = await authenticateRequest(req, { required: true });
+    const subscription = await getSubscriptionDetails(createStripeClient(), entitlementStore, auth.userId);
+    const response = { success: true, subscription };
+
+    debug.logResponse(res, response);
+    return debug.safeJSON(res, response, 200);
+
+  } catch (error) {
+    // 使用调试工具记录错误
+    debug.logError(error, { authorization: Boolean(req.headers.authorization) });
+
+    // 统一的错误处理
+    const statusCode = error.statusCode || 500;
+    const errorMessage = error.message || '订阅服务暂时不可用，请稍后再试';
+
+    return debug.errorResponse(res, errorMessage, statusCode, error instanceof Error ? error.message : '未知错误');
+  }
+}
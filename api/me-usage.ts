@@ -0,0 +1,61 @@
+/**
+ * 用量查询API
+ *
+ * 📖 功能说明: 返回当前登录用户本计费周期的分析次数、增强次数、输出像素用量，以及套餐额度和可用功能
+ * 🔗 接口: GET /api/me/usage（vercel.json 将其重写为 /api/me-usage）
+ *
+ * 环境变量:
+ * - USAGE_STORE: 用量存储类型 (memory, file, kv)，需与处理接口使用同一后端
+ * - USAGE_STORE_DIR: 文件存储目录
+ * - ENTITLEMENT_STORE / ENTITLEMENT_STORE_DIR: 权益存储，决定套餐和计费周期
+ * - KV_REST_API_URL / KV_REST_API_TOKEN: 共享KV存储（Vercel KV、Upstash Redis），Vercel上必须配置
+ * - CLERK_JWKS_URL / CLERK_PUBLISHABLE_KEY: Clerk会话令牌验证配置
+ */
+
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import { createDebugMiddleware } from '../debug/api-debug.mjs';
+import { authenticateRequest } from '../shared/auth.mjs';
+import { createEntitlementStore } from '../shared/entitlement-store.mjs';
+import { createUsageStore } from '../shared/usage-store.mjs';
+import { UsageMeter } from '../shared/usage.mjs';
+
+// 用量和权益存储需要与处理接口、/api/webhook 共享同一后端
+const usageMeter = new UsageMeter(createUsageStore(), createEntitlementStore());
+
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  const debug = createDebugMiddleware('me-usage');
+
+  // 设置CORS头
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return debug.errorResponse(res, '仅支持GET请求', 405);
+  }
+
+  // 记录请求
+  debug.logRequest(req);
+
+  try {
+    const auth = await authenticateRequest(req, { required: true });
+    const usage = await usageMeter.getUsage(auth.userId);
+
+    debug.logResponse(res, usage);
+    return debug.safeJSON(res, { success: true, usage }, 200);
+
+  } catch (error) {
+    // 使用调试工具记录错误
+    debug.logError(error, { authorization: Boolean(req.headers.authorization) });
+
+    // 统一的错误处理
+    const statusCode = error.statusCode || 500;
+    const errorMessage = error.message || '用量服务暂时不可用，请稍后再试';
+
+    return debug.errorResponse(res, errorMessage, statusCode, error instanceof Error ? error.message : '未知错误');
+  }
+}
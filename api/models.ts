@@ -0,0 +1,63 @@
+/**
+ * 模型注册表API
+ *
+ * 📖 功能说明: 返回注册的增强模型（Replicate模型版本、参数schema、支持的放大倍数、输入尺寸上限和积分成本），
+ *   前端据此构建模型、倍数和增强类型选项
+ * 🔗 接口: GET /api/models?provider=replicate&category=upscale
+ *   - provider: 只返回该提供方的模型 (replicate, local)，可选
+ *   - category: 只返回该类别的模型 (tone, detail, upscale)，可选
+ *
+ * 环境变量:
+ * - PROCESSING_PROVIDER: 默认处理提供方 (replicate, local)；未设置时有REPLICATE_API_TOKEN则使用replicate，否则使用local
+ */
+
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import { createDebugMiddleware } from '../debug/api-debug.mjs';
+import { resolveProviderName } from '../shared/providers.mjs';
+import { listModels } from '../shared/model-registry.mjs';
+
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  const debug = createDebugMiddleware('models');
+
+  // 设置CORS头
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return debug.errorResponse(res, '仅支持GET请求', 405);
+  }
+
+  // 记录请求
+  debug.logRequest(req);
+
+  try {
+    const provider = typeof req.query.provider === 'string' && req.query.provider
+      ? resolveProviderName(req.query.provider)
+      : undefined;
+    const category = typeof req.query.category === 'string' && req.query.category ? req.query.category : undefined;
+
+    const response = {
+      success: true,
+      default_provider: resolveProviderName(),
+      models: listModels({ provider, category })
+    };
+
+    debug.logResponse(res, response);
+    return debug.safeJSON(res, response, 200);
+
+  } catch (error) {
+    // 使用调试工具记录错误
+    debug.logError(error);
+
+    // 统一的错误处理
+    const statusCode = error.statusCode || 500;
+    const errorMessage = error.message || '读取模型列表失败';
+
+    return debug.errorResponse(res, errorMessage, statusCode, error instanceof Error ? error.message : '未知错误');
+  }
+}
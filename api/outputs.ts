@@ -0,0 +1,61 @@
+/**
+ * 处理结果读取API
+ *
+ * 📖 功能说明: 读取保存在对象存储中的处理结果，替代约一小时后失效的Replicate结果地址
+ * 🔗 接口: GET /api/outputs/:name（vercel.json 将其重写为 /api/outputs?name=:name）
+ *   name为结果内容的SHA-256哈希加扩展名，内容不会变化，可长期缓存
+ *
+ * 环境变量:
+ * - STORAGE_DRIVER: 存储类型 (local, s3)，Vercel上需要使用s3
+ * - S3_BUCKET / S3_REGION / S3_ENDPOINT / S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY: S3兼容存储配置
+ */
+
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import { createDebugMiddleware } from '../debug/api-debug.mjs';
+import { getOutputStorage, readOutput } from '../shared/outputs.mjs';
+
+// 对象存储：Vercel上未配置s3时在加载时报错
+getOutputStorage();
+
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  const debug = createDebugMiddleware('outputs');
+
+  // 设置CORS头
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return debug.errorResponse(res, '仅支持GET请求', 405);
+  }
+
+  try {
+    const name = typeof req.query.name === 'string' ? req.query.name : undefined;
+    const output = await readOutput(name);
+
+    if (!output) {
+      return debug.errorResponse(res, `结果不存在: ${name}`, 404);
+    }
+
+    // 结果按内容哈希命名，内容不会变化
+    res.setHeader('Content-Type', output.contentType);
+    res.setHeader('Content-Length', String(output.body.length));
+    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+    res.setHeader('ETag', `"${name.split('.')[0]}"`);
+    return res.status(200).send(output.body);
+
+  } catch (error) {
+    // 使用调试工具记录错误
+    debug.logError(error, { query: req.query });
+
+    // 统一的错误处理
+    const statusCode = error.statusCode || 500;
+    const errorMessage = error.message || '结果读取失败';
+
+    return debug.errorResponse(res, errorMessage, statusCode, error instanceof Error ? error.message : '未知错误');
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * 声明式增强流水线API
+ *
+ * 📖 功能说明: 按JSON流水线定义依次执行增强操作
+ * 🧩 处理流程:
+ *   1. 执行前整体校验流水线定义（操作、参数、条件、失败策略）
+ *   2. 按顺序执行步骤，条件不满足的步骤跳过
+ *   3. 步骤失败时按失败策略终止、跳过或改用备用模型
+ * 🎯 输出结果: 每个步骤的执行记录和最终图像
+ *
+ * 环境变量:
+ * - REPLICATE_API_TOKEN: Replicate API密钥
+ * - CLERK_JWKS_URL / CLERK_PUBLISHABLE_KEY: Clerk会话令牌验证配置
+ * - USAGE_STORE / ENTITLEMENT_STORE / CREDIT_STORE: 用量、权益和积分存储，用于套餐额度检查和积分计费
+ * - REPLICATE_MAX_CONCURRENCY / REPLICATE_MAX_CONCURRENCY_PER_USER / REPLICATE_QUEUE_TIMEOUT_MS / REPLICATE_CONCURRENCY_STORE: Replicate并发上限、排队超时和名额存储
+ * - REPLICATE_MAX_RETRIES / REPLICATE_RETRY_BASE_MS / REPLICATE_ATTEMPT_TIMEOUT_MS / REPLICATE_BREAKER_THRESHOLD 等: 模型调用的重试和熔断
+ * - PROCESSING_PROVIDER: 默认处理提供方 (replicate, local)，请求体的provider参数可覆盖；未设置时有REPLICATE_API_TOKEN则使用replicate
+ * - PRESET_STORE / PRESET_STORE_DIR: 预设存储，请求体带preset_id时读取保存的预设（需要与 /api/presets 共享同一后端）
+ * - KV_REST_API_URL / KV_REST_API_TOKEN: 共享KV存储（Vercel KV、Upstash Redis），Vercel上必须配置
+ * - STORAGE_DRIVER / S3_*: 结果的对象存储，Vercel上必须使用s3
+ */
+
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import { createDebugMiddleware } from '../debug/api-debug.mjs';
+import { validatePipeline, runPipeline, pipelineBillingSteps } from '../shared/pipeline.mjs';
+import { getProvider, resolveProviderName } from '../shared/providers.mjs';
+import { createPresetStore } from '../shared/preset-store.mjs';
+import { resolvePresetPipeline } from '../shared/presets.mjs';
+import { parseImageUpload } from '../shared/upload.mjs';
+import { authenticateRequest } from '../shared/auth.mjs';
+import { createEntitlementStore } from '../shared/entitlement-store.mjs';
+import { createUsageStore } from '../shared/usage-store.mjs';
+import { UsageMeter } from '../shared/usage.mjs';
+import { createCreditStore } from '../shared/credit-store.mjs';
+import { CreditLedger } from '../shared/credits.mjs';
+import { RateLimiter } from '../shared/rate-limit.mjs';
+import { createReplicateConcurrencyLimiter } from '../shared/replicate-concurrency.mjs';
+import { getOutputStorage } from '../shared/outputs.mjs';
+
+// 用量计量和限流：权益存储需要与 /api/webhook 共享同一后端
+const entitlementStore = createEntitlementStore();
+const usageMeter = new UsageMeter(createUsageStore(), entitlementStore, new CreditLedger(createCreditStore()));
+const rateLimiter = new RateLimiter(entitlementStore);
+
+// Replicate并发控制：配置KV时所有函数实例共用同一个上限
+const replicateLimiter = createReplicateConcurrencyLimiter();
+
+// 预设存储：按preset_id执行保存的预设
+const presetStore = createPresetStore();
+
+// 对象存储：Vercel上未配置s3时在加载时报错，不在模型调用完成后才发现结果无法保存
+getOutputStorage();
+
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  const debug = createDebugMiddleware('pipeline');
+
+  // 环境检查
+  debug.apiDebugger.checkEnvironment();
+
+  // 设置CORS头
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return debug.errorResponse(res, '仅支持POST请求', 405);
+  }
+
+  // 记录请求
+  debug.logRequest(req);
+
+  // 验证Clerk会话，付费接口拒绝匿名请求
+  let userId: string;
+  try {
+    ({ userId } = await authenticateRequest(req, { required: true }));
+  } catch (authError) {
+    debug.logError(authError, { authorization: Boolean(req.headers.authorization) });
+    return debug.errorResponse(res, authError.message, authError.statusCode || 401);
+  }
+
+  // 按用户（未登录时按IP）和套餐限流，超出时返回429
+  try {
+    await rateLimiter.enforce(req, res, 'POST /api/pipeline');
+  } catch (limitError) {
+    return debug.errorResponse(res, limitError.message, limitError.statusCode || 429, null, limitError.payload);
+  }
+
+  try {
+    // 解析图像上传（multipart/form-data 或 image/*），其他请求按JSON处理
+    let uploadedBody;
+    try {
+      uploadedBody = await parseImageUpload(req);
+    } catch (uploadError) {
+      debug.logError(uploadError, { contentType: req.headers['content-type'] });
+      return debug.errorResponse(res, uploadError.message, uploadError.statusCode || 400);
+    }
+
+    // 解析请求体
+    let parsedBody;
+    try {
+      parsedBody = uploadedBody || (typeof req.body === 'string' ? JSON.parse(req.body) : req.body);
+    } catch (parseError) {
+      debug.logError(parseError, { rawBody: req.body });
+      return debug.errorResponse(res, 'JSON解析错误：请求体格式不正确', 400);
+    }
+
+    // preset_id指定时使用保存的预设
+    const { imageBase64, pipeline: definition, scores } = await resolvePresetPipeline(presetStore, parsedBody, userId);
+
+    // 验证输入参数
+    if (!imageBase64) {
+      return debug.errorResponse(res, '缺少图像数据', 400);
+    }
+
+    // 执行前整体校验，未指定提供方的步骤使用请求的provider
+    const pipeline = validatePipeline(definition, { provider: resolveProviderName(parsedBody.provider) });
+    const configs = pipeline.steps.flatMap(step => [step.config, step.fallback].filter(Boolean));
+
+    debug.apiDebugger.log('info', `开始执行流水线${pipeline.name ? ` ${pipeline.name}` : ''}，共 ${pipeline.steps.length} 个步骤`);
+
+    // 检查API Token（只使用本地处理时不需要）
+    if (configs.some(config => getProvider(config.provider).capabilities().requires_token) && !process.env.REPLICATE_API_TOKEN) {
+      return debug.errorResponse(res, 'REPLICATE_API_TOKEN未配置', 500);
+    }
+
+    // 按所有步骤（使用fallback策略时按较贵的配置）检查额度，未执行、跳过和失败的步骤退还积分；
+    // 任一步骤使用远程提供方时占用并发名额
+    const remote = configs.some(config => getProvider(config.provider).capabilities().remote);
+    const run = () => runPipeline(pipeline, imageBase64, process.env.REPLICATE_API_TOKEN, { scores });
+    const result = await usageMeter.run(userId, { steps: pipelineBillingSteps(pipeline), imageBase64 }, () =>
+      remote ? replicateLimiter.run(userId, run) : run()
+    );
+
+    // 使用调试工具记录响应
+    debug.logResponse(res, result);
+
+    // 返回处理结果（流水线终止时success为false，results.steps中记录失败的步骤）
+    return debug.safeJSON(res, result, 200);
+
+  } catch (error) {
+    // 使用调试工具记录错误
+    debug.logError(error, { requestBody: req.body });
+
+    // 统一的错误处理
+    const statusCode = error.statusCode || 500;
+    const errorMessage = error.message || '流水线服务暂时不可用，请稍后再试';
+
+    return debug.errorResponse(res, errorMessage, statusCode, error instanceof Error ? error.message : '未知错误', error.payload);
+  }
+}
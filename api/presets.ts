@@ -0,0 +1,130 @@
+/**
+ * 增强预设API
+ *
+ * 📖 功能说明: 按用户保存命名的增强流水线（步骤顺序和各步骤参数），提供内置预设和只读分享链接
+ * 🔗 接口:
+ *   GET    /api/presets                   内置预设和当前用户的预设
+ *   POST   /api/presets                   保存预设 { name, description, pipeline | recommendations }
+ *   GET    /api/presets/:id               查询预设
+ *   PATCH  /api/presets/:id               更新预设（只更新提供的字段）
+ *   DELETE /api/presets/:id               删除预设
+ *   POST   /api/presets/:id/share         生成只读分享链接
+ *   DELETE /api/presets/:id/share         撤销分享链接
+ *   GET    /api/presets/shared/:token     通过分享链接查看预设（不需要登录）
+ *   （vercel.json 将路径参数重写为 ?id=、?share=1 和 ?token=）
+ *
+ * 环境变量:
+ * - PRESET_STORE: 预设存储类型 (memory, file, kv)，默认memory（配置KV服务时为kv）；需要与 /api/pipeline、/api/jobs 共享同一后端
+ * - PRESET_STORE_DIR: 文件存储目录
+ * - KV_REST_API_URL / KV_REST_API_TOKEN: 共享KV存储（Vercel KV、Upstash Redis），Vercel上必须配置
+ * - CLERK_JWKS_URL / CLERK_PUBLISHABLE_KEY: Clerk会话令牌验证配置（管理预设需要登录）
+ * - PROCESSING_PROVIDER: 默认处理提供方 (replicate, local)，保存时按该提供方校验步骤参数
+ */
+
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import { createDebugMiddleware } from '../debug/api-debug.mjs';
+import { authenticateRequest } from '../shared/auth.mjs';
+import { createPresetStore } from '../shared/preset-store.mjs';
+import {
+  listPresets,
+  getPreset,
+  createPreset,
+  updatePreset,
+  deletePreset,
+  setPresetSharing,
+  getSharedPreset
+} from '../shared/presets.mjs';
+
+// 预设存储在函数实例内复用
+const presetStore = createPresetStore();
+
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  const debug = createDebugMiddleware('presets');
+
+  // 设置CORS头
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // 记录请求
+  debug.logRequest(req);
+
+  try {
+    const id = typeof req.query.id === 'string' ? req.query.id : undefined;
+    const token = typeof req.query.token === 'string' ? req.query.token : undefined;
+    const share = req.query.share === '1';
+
+    // 分享链接不需要登录
+    if (token !== undefined) {
+      if (req.method !== 'GET') {
+        return debug.errorResponse(res, '分享的预设只读', 405);
+      }
+      const preset = await getSharedPreset(presetStore, token);
+      return debug.safeJSON(res, { success: true, preset }, 200);
+    }
+
+    // 验证Clerk会话：匿名请求只能查看内置预设，管理预设的函数会拒绝匿名请求
+    let auth;
+    try {
+      auth = await authenticateRequest(req);
+    } catch (authError) {
+      debug.logError(authError, { authorization: Boolean(req.headers.authorization) });
+      return debug.errorResponse(res, authError.message, authError.statusCode || 401);
+    }
+    const userId = auth ? auth.userId : null;
+
+    // 解析请求体
+    let body;
+    try {
+      body = (typeof req.body === 'string' ? JSON.parse(req.body) : req.body) || {};
+    } catch (parseError) {
+      debug.logError(parseError, { rawBody: req.body });
+      return debug.errorResponse(res, 'JSON解析错误：请求体格式不正确', 400);
+    }
+
+    if (!id) {
+      if (req.method === 'GET') {
+        return debug.safeJSON(res, { success: true, presets: await listPresets(presetStore, userId) }, 200);
+      }
+      if (req.method === 'POST') {
+        const preset = await createPreset(presetStore, userId, body);
+        return debug.safeJSON(res, { success: true, preset }, 201);
+      }
+      return debug.errorResponse(res, '仅支持GET、POST请求', 405);
+    }
+
+    if (share) {
+      if (req.method !== 'POST' && req.method !== 'DELETE') {
+        return debug.errorResponse(res, '仅支持POST、DELETE请求', 405);
+      }
+      const preset = await setPresetSharing(presetStore, id, userId, req.method === 'POST');
+      return debug.safeJSON(res, { success: true, preset }, 200);
+    }
+
+    switch (req.method) {
+      case 'GET':
+        return debug.safeJSON(res, { success: true, preset: await getPreset(presetStore, id, userId) }, 200);
+      case 'PATCH':
+        return debug.safeJSON(res, { success: true, preset: await updatePreset(presetStore, id, userId, body) }, 200);
+      case 'DELETE':
+        await deletePreset(presetStore, id, userId);
+        return debug.safeJSON(res, { success: true }, 200);
+      default:
+        return debug.errorResponse(res, '仅支持GET、PATCH、DELETE请求', 405);
+    }
+
+  } catch (error) {
+    // 使用调试工具记录错误
+    debug.logError(error, { requestBody: req.body });
+
+    // 统一的错误处理
+    const statusCode = error.statusCode || 500;
+    const errorMessage = error.message || '预设服务暂时不可用，请稍后再试';
+
+    return debug.errorResponse(res, errorMessage, statusCode, error instanceof Error ? error.message : '未知错误', error.payload);
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * 处理提供方API
+ *
+ * 📖 功能说明: 返回可用的处理提供方及其在各增强步骤可用的模型（模型参数见 GET /api/models）
+ *   - replicate: Replicate托管的AI模型（需要REPLICATE_API_TOKEN）
+ *   - local: 本地CPU经典算法（Lanczos/双三次插值、USM锐化、双边滤波、自动色阶、Gamma），不需要网络和Token
+ * 🔗 接口: GET /api/providers
+ *
+ * 环境变量:
+ * - PROCESSING_PROVIDER: 默认处理提供方 (replicate, local)；未设置时有REPLICATE_API_TOKEN则使用replicate，否则使用local
+ */
+
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import { createDebugMiddleware } from '../debug/api-debug.mjs';
+import { listProviders } from '../shared/providers.mjs';
+
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  const debug = createDebugMiddleware('providers');
+
+  // 设置CORS头
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return debug.errorResponse(res, '仅支持GET请求', 405);
+  }
+
+  // 记录请求
+  debug.logRequest(req);
+
+  try {
+    const response = { success: true, providers: listProviders() };
+
+    debug.logResponse(res, response);
+    return debug.safeJSON(res, response, 200);
+
+  } catch (error) {
+    // 使用调试工具记录错误
+    debug.logError(error);
+
+    // 统一的错误处理
+    const statusCode = error.statusCode || 500;
+    const errorMessage = error.message || '读取处理提供方失败';
+
+    return debug.errorResponse(res, errorMessage, statusCode, error instanceof Error ? error.message : '未知错误');
+  }
+}
@@ -0,0 +1,98 @@
+/**
+ * Replicate预测回调API
+ *
+ * 📖 Replicate Webhook文档: https://replicate.com/docs/topics/webhooks
+ * 🔐 使用webhook-id/webhook-timestamp/webhook-signature头验证签名
+ * 🔗 回调地址由任务创建预测时生成: /api/replicate-webhook?job=<任务ID>&step=<步骤序号>
+ *
+ * 环境变量:
+ * - REPLICATE_API_TOKEN: Replicate API密钥（用于继续创建后续步骤的预测）
+ * - REPLICATE_WEBHOOK_SECRET: Webhook签名密钥（whsec_开头）
+ * - REPLICATE_WEBHOOK_URL: 本接口的完整地址
+ * - USAGE_STORE / ENTITLEMENT_STORE / CREDIT_STORE: 用量、权益和积分存储，需与 /api/jobs 使用同一后端（步骤失败时退还积分）
+ * - KV_REST_API_URL / KV_REST_API_TOKEN: 共享KV存储（Vercel KV、Upstash Redis），Vercel上必须配置
+ * - REPLICATE_MAX_CONCURRENCY / REPLICATE_MAX_CONCURRENCY_PER_USER / REPLICATE_QUEUE_TIMEOUT_MS / REPLICATE_SLOT_TTL_MS / REPLICATE_CONCURRENCY_STORE: 创建后续步骤预测时的并发控制（名额需要与创建任务的接口共享同一存储）
+ * - REPLICATE_MAX_RETRIES / REPLICATE_RETRY_BASE_MS / REPLICATE_BREAKER_THRESHOLD 等: 创建后续步骤预测时的重试和熔断
+ * - STORAGE_DRIVER / S3_*: 结果的对象存储，Vercel上必须使用s3
+ */
+
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import { buffer } from 'micro';
+import { createDebugMiddleware } from '../debug/api-debug.mjs';
+import { createJobStore } from '../shared/job-store.mjs';
+import { handleReplicateWebhook } from '../shared/jobs.mjs';
+import { verifyReplicateWebhook } from '../shared/replicate-webhook.mjs';
+import { createEntitlementStore } from '../shared/entitlement-store.mjs';
+import { createUsageStore } from '../shared/usage-store.mjs';
+import { UsageMeter } from '../shared/usage.mjs';
+import { createCreditStore } from '../shared/credit-store.mjs';
+import { CreditLedger } from '../shared/credits.mjs';
+import { createReplicateConcurrencyLimiter } from '../shared/replicate-concurrency.mjs';
+import { getOutputStorage } from '../shared/outputs.mjs';
+
+// 禁用默认的body解析器，签名需要基于原始请求体计算
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+// 任务存储需要与 /api/jobs 共享同一后端
+const jobStore = createJobStore();
+
+// 步骤完成后累计用量、失败时退还积分，存储需要与 /api/jobs 共享同一后端
+const usageMeter = new UsageMeter(createUsageStore(), createEntitlementStore(), new CreditLedger(createCreditStore()));
+
+// Replicate并发控制：后续步骤的预测占用名额，回调到达时释放
+const replicateLimiter = createReplicateConcurrencyLimiter();
+
+// 对象存储：Vercel上未配置s3时在加载时报错，不在模型调用完成后才发现结果无法保存
+getOutputStorage();
+
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  const debug = createDebugMiddleware('replicate-webhook');
+
+  if (req.method !== 'POST') {
+    return debug.errorResponse(res, '仅支持POST请求', 405);
+  }
+
+  // 记录请求
+  debug.logRequest(req);
+
+  try {
+    const rawBody = await buffer(req);
+
+    // 验证签名
+    verifyReplicateWebhook(req.headers, rawBody, process.env.REPLICATE_WEBHOOK_SECRET);
+
+    let prediction;
+    try {
+      prediction = JSON.parse(rawBody.toString('utf8'));
+    } catch (parseError) {
+      debug.logError(parseError, { rawBody: rawBody.toString('utf8') });
+      return debug.errorResponse(res, 'JSON解析错误：请求体格式不正确', 400);
+    }
+
+    const job = await handleReplicateWebhook(
+      jobStore,
+      { jobId: req.query.job, stepIndex: req.query.step },
+      prediction,
+      process.env.REPLICATE_API_TOKEN,
+      { webhookUrl: process.env.REPLICATE_WEBHOOK_URL, meter: usageMeter, replicateLimiter }
+    );
+
+    const response = { success: true, job_id: job.id, status: job.status };
+    debug.logResponse(res, response);
+    return debug.safeJSON(res, response, 200);
+
+  } catch (error) {
+    // 使用调试工具记录错误
+    debug.logError(error, { query: req.query });
+
+    // 统一的错误处理
+    const statusCode = error.statusCode || 500;
+    const errorMessage = error.message || 'Webhook处理失败';
+
+    return debug.errorResponse(res, errorMessage, statusCode, error instanceof Error ? error.message : '未知错误');
+  }
+}
@@ -2,6 +2,8 @@
  * 影调增强API
  * 
  * 📖 功能说明: 自动分析图像影调可以提升的空间，从对比度、亮度、饱和度等维度进行自动化增强
+ *   - enhanceType默认为auto：按亮度直方图、动态范围和饱和度选择低光照、通用润色或高动态处理，
+ *     响应的auto_tone字段为选择的类型、依据和图像统计
  * 🤖 使用模型: 
  *   - fofr/color-matcher: 颜色匹配和白平衡修复
  *   - jingyunliang/swinir: 图像修复使用Swin Transformer
@@ -11,12 +13,31 @@
  * 
  * 环境变量:
  * - REPLICATE_API_TOKEN: Replicate API密钥
+ * - CLERK_JWKS_URL / CLERK_PUBLISHABLE_KEY: Clerk会话令牌验证配置
+ * - USAGE_STORE / ENTITLEMENT_STORE / CREDIT_STORE: 用量、权益和积分存储，用于套餐额度检查和积分计费
+ * - KV_REST_API_URL / KV_REST_API_TOKEN: 共享KV存储（Vercel KV、Upstash Redis），Vercel上必须配置
+ * - REPLICATE_MAX_CONCURRENCY / REPLICATE_MAX_CONCURRENCY_PER_USER / REPLICATE_QUEUE_TIMEOUT_MS / REPLICATE_CONCURRENCY_STORE: Replicate并发上限、排队超时和名额存储
+ * - REPLICATE_MAX_RETRIES / REPLICATE_RETRY_BASE_MS / REPLICATE_ATTEMPT_TIMEOUT_MS / REPLICATE_BREAKER_THRESHOLD 等: 模型调用的重试和熔断
+ * - PROCESSING_PROVIDER: 默认处理提供方 (replicate, local)，请求体的provider参数可覆盖；未设置时有REPLICATE_API_TOKEN则使用replicate
+ * - STORAGE_DRIVER / S3_*: 结果的对象存储，Vercel上必须使用s3
  */
 
 import type { VercelRequest, VercelResponse } from '@vercel/node';
 import Replicate from 'replicate';
 import { createDebugMiddleware } from '../debug/api-debug.mjs';
-import { processToneEnhance } from '../shared/api-handlers.mjs';
+import { runPipelineStep } from '../shared/pipeline.mjs';
+import { DEFAULT_TONE_TYPE } from '../shared/api-handlers.mjs';
+import { getProvider, resolveProviderName } from '../shared/providers.mjs';
+import { parseImageUpload } from '../shared/upload.mjs';
+import { authenticateRequest } from '../shared/auth.mjs';
+import { createEntitlementStore } from '../shared/entitlement-store.mjs';
+import { createUsageStore } from '../shared/usage-store.mjs';
+import { UsageMeter } from '../shared/usage.mjs';
+import { createCreditStore } from '../shared/credit-store.mjs';
+import { CreditLedger } from '../shared/credits.mjs';
+import { RateLimiter } from '../shared/rate-limit.mjs';
+import { createReplicateConcurrencyLimiter } from '../shared/replicate-concurrency.mjs';
+import { getOutputStorage } from '../shared/outputs.mjs';
 
 // 初始化Replicate客户端
 // 文档: https://replicate.com/docs/reference/node
@@ -24,6 +45,17 @@ const replicate = new Replicate({
   auth: process.env.REPLICATE_API_TOKEN,
 });
 
+// 用量计量和限流：权益存储需要与 /api/webhook 共享同一后端
+const entitlementStore = createEntitlementStore();
+const usageMeter = new UsageMeter(createUsageStore(), entitlementStore, new CreditLedger(createCreditStore()));
+const rateLimiter = new RateLimiter(entitlementStore);
+
+// Replicate并发控制：配置KV时所有函数实例共用同一个上限
+const replicateLimiter = createReplicateConcurrencyLimiter();
+
+// 对象存储：Vercel上未配置s3时在加载时报错，不在模型调用完成后才发现结果无法保存
+getOutputStorage();
+
 export default async function handler(req: VercelRequest, res: VercelResponse) {
   const debug = createDebugMiddleware('tone-enhance');
   
@@ -33,7 +65,7 @@ export default async function handler(req: VercelRequest, res: VercelResponse) {
   // 设置CORS头
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -46,11 +78,36 @@ export default async function handler(req: VercelRequest, res: VercelResponse) {
   // 记录请求
   debug.logRequest(req);
 
+  // 验证Clerk会话，付费接口拒绝匿名请求
+  let userId: string;
+  try {
+    ({ userId } = await authenticateRequest(req, { required: true }));
+  } catch (authError) {
+    debug.logError(authError, { authorization: Boolean(req.headers.authorization) });
+    return debug.errorResponse(res, authError.message, authError.statusCode || 401);
+  }
+
+  // 按用户（未登录时按IP）和套餐限流，超出时返回429
   try {
+    await rateLimiter.enforce(req, res, 'POST /api/tone-enhance');
+  } catch (limitError) {
+    return debug.errorResponse(res, limitError.message, limitError.statusCode || 429, null, limitError.payload);
+  }
+
+  try {
+    // 解析图像上传（multipart/form-data 或 image/*），其他请求按JSON处理
+    let uploadedBody;
+    try {
+      uploadedBody = await parseImageUpload(req);
+    } catch (uploadError) {
+      debug.logError(uploadError, { contentType: req.headers['content-type'] });
+      return debug.errorResponse(res, uploadError.message, uploadError.statusCode || 400);
+    }
+
     // 解析请求体
     let parsedBody;
     try {
-      parsedBody = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+      parsedBody = uploadedBody || (typeof req.body === 'string' ? JSON.parse(req.body) : req.body);
     } catch (parseError) {
       debug.logError(parseError, { rawBody: req.body });
       return debug.errorResponse(res, 'JSON解析错误：请求体格式不正确', 400);
@@ -58,19 +115,27 @@ export default async function handler(req: VercelRequest, res: VercelResponse) {
 
     const { 
       imageBase64, 
-      enhanceType = 'auto', 
-      intensity = 1.0 
+      enhanceType = DEFAULT_TONE_TYPE, 
+      intensity = 1.0,
+      luminance_only = false
     } = parsedBody;
+    const provider = resolveProviderName(parsedBody.provider);
     
-    debug.apiDebugger.log('info', `开始影调增强处理，类型: ${enhanceType}, 强度: ${intensity}`);
+    debug.apiDebugger.log('info', `开始影调增强处理，提供方: ${provider}，类型: ${enhanceType}, 强度: ${intensity}`);
     
-    // 检查API Token
-    if (!process.env.REPLICATE_API_TOKEN) {
+    // 检查API Token（本地处理不需要）
+    if (getProvider(provider).capabilities().requires_token && !process.env.REPLICATE_API_TOKEN) {
       return debug.errorResponse(res, 'REPLICATE_API_TOKEN未配置', 500);
     }
     
-    // 使用共享的processToneEnhance函数
-    const result = await processToneEnhance(imageBase64, enhanceType, intensity, process.env.REPLICATE_API_TOKEN);
+    // 作为单步流水线执行
+    // 检查额度后执行，成功后累计用量；本地处理不占用Replicate并发名额
+    const enhance = () => runPipelineStep(
+      'tone', { type: enhanceType, intensity, luminance_only, provider }, imageBase64, process.env.REPLICATE_API_TOKEN
+    );
+    const result = await usageMeter.run(userId, { steps: [{ name: 'tone', config: { provider } }], imageBase64 }, () =>
+      getProvider(provider).capabilities().remote ? replicateLimiter.run(userId, enhance) : enhance()
+    );
     
     // 使用调试工具记录响应
     debug.logResponse(res, result);
@@ -86,6 +151,6 @@ export default async function handler(req: VercelRequest, res: VercelResponse) {
     const statusCode = error.statusCode || 500;
     const errorMessage = error.message || '影调增强服务暂时不可用，请稍后再试';
     
-    return debug.errorResponse(res, errorMessage, statusCode, error instanceof Error ? error.message : '未知错误');
+    return debug.errorResponse(res, errorMessage, statusCode, error instanceof Error ? error.message : '未知错误', error.payload);
   }
 }
@@ -1,11 +1,36 @@
+/**
+ * Stripe Webhook
+ *
+ * 📖 功能说明: 根据订阅事件授予或撤销用户的Pro权益，积分包付款完成后发放积分
+ * 📡 处理事件: checkout.session.completed, checkout.session.async_payment_succeeded,
+ *   customer.subscription.updated, customer.subscription.deleted, invoice.paid, invoice.payment_failed
+ *
+ * 环境变量:
+ * - STRIPE_SECRET_KEY: Stripe API密钥
+ * - STRIPE_WEBHOOK_SECRET: Webhook签名密钥
+ * - STRIPE_PRO_PRICE_ID: Pro订阅价格ID（未设置时使用VITE_STRIPE_PRICE_ID），只有购买该价格的订阅授予Pro权益
+ * - ENTITLEMENT_STORE: 权益存储类型 (memory, file, kv)，默认memory（配置KV服务时为kv）
+ * - ENTITLEMENT_STORE_DIR: 文件存储目录
+ * - CREDIT_STORE / CREDIT_STORE_DIR: 积分存储，需与处理接口、/api/me/credits 使用同一后端
+ * - KV_REST_API_URL / KV_REST_API_TOKEN: 共享KV存储（Vercel KV、Upstash Redis），Vercel上必须配置
+ */
+
 import type { VercelRequest, VercelResponse } from '@vercel/node';
 import Stripe from 'stripe';
 import { buffer } from 'micro';
+import { createEntitlementStore } from '../shared/entitlement-store.mjs';
+import { handleStripeEvent } from '../shared/entitlements.mjs';
+import { createCreditStore } from '../shared/credit-store.mjs';
+import { CreditLedger } from '../shared/credits.mjs';
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY!, {
   apiVersion: '2023-10-16',
 });
 
+// 权益存储在函数实例内复用，需要与 /api/me/entitlements 共享同一后端
+const entitlementStore = createEntitlementStore();
+const creditLedger = new CreditLedger(createCreditStore());
+
 // 禁用默认的body解析器
 export const config = {
   api: {
@@ -35,35 +60,12 @@ export default async function handler(req: VercelRequest, res: VercelResponse) {
     return res.status(400).json({ error: 'Webhook签名验证失败' });
   }
 
-  // 处理事件
+  // 处理事件：更新用户权益或发放积分，同一事件ID只处理一次
   try {
-    switch (event.type) {
-      case 'checkout.session.completed':
-        const session = event.data.object as Stripe.Checkout.Session;
-        console.log('支付成功:', session.id);
-        
-        // 这里可以添加用户升级逻辑
-        // 例如：更新数据库中的用户订阅状态
-        // await upgradeUserToPro(session.client_reference_id);
-        
-        break;
-        
-      case 'customer.subscription.deleted':
-        const subscription = event.data.object as Stripe.Subscription;
-        console.log('订阅取消:', subscription.id);
-        
-        // 这里可以添加用户降级逻辑
-        // await downgradeUser(subscription.customer);
-        
-        break;
-        
-      default:
-        console.log(`未处理的事件类型: ${event.type}`);
-    }
-
-    res.status(200).json({ received: true });
+    const result = await handleStripeEvent(entitlementStore, event, { creditLedger, stripe });
+    res.status(200).json({ received: true, ...result });
   } catch (error) {
     console.error('处理webhook事件时出错:', error);
     res.status(500).json({ error: '处理webhook事件失败' });
   }
-}
\ No newline at end of file
+}
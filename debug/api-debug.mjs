@@ -169,8 +169,9 @@ class ResponseWrapper {
     }
   }
 
-  static errorResponse(res, message, statusCode = 500, details = null) {
+  static errorResponse(res, message, statusCode = 500, details = null, payload = null) {
     const errorData = {
+      ...payload,
       error: message,
       timestamp: new Date().toISOString(),
       statusCode
@@ -179,6 +180,11 @@ class ResponseWrapper {
     if (details && process.env.NODE_ENV === 'development') {
       errorData.details = details;
     }
+
+    // Pro额度用尽（429）时告知客户端何时可以重试
+    if (payload?.retry_after_seconds) {
+      res.setHeader('Retry-After', String(payload.retry_after_seconds));
+    }
     
     this.safeJSON(res, errorData, statusCode);
   }
@@ -194,7 +200,7 @@ function createDebugMiddleware(endpoint) {
     logResponse: (res, data) => apiDebugger.logResponse(res, data, endpoint),
     logError: (error, context) => apiDebugger.logError(error, context),
     safeJSON: (res, data, statusCode) => ResponseWrapper.safeJSON(res, data, statusCode),
-    errorResponse: (res, message, statusCode, details) => ResponseWrapper.errorResponse(res, message, statusCode, details)
+    errorResponse: (res, message, statusCode, details, payload) => ResponseWrapper.errorResponse(res, message, statusCode, details, payload)
   };
 }
 
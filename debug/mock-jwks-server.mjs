@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+/**
+ * 本地Clerk JWKS替身服务器
+ * 启动时生成RSA密钥对，发布JWKS并签发与Clerk会话令牌格式一致的RS256 JWT，
+ * 用于在没有Clerk账号或离线时测试接口认证
+ *
+ * 用法：
+ *   node debug/mock-jwks-server.mjs
+ *   然后为本地服务器设置：
+ *   CLERK_JWKS_URL=http://localhost:3200/.well-known/jwks.json CLERK_ISSUER=http://localhost:3200
+ *
+ *   获取令牌：curl 'http://localhost:3200/token?sub=user_test'
+ *   调用接口：curl -H "Authorization: Bearer <token>" ...
+ *
+ * 接口:
+ * - GET /.well-known/jwks.json  公钥集合
+ * - GET /token?sub=&sid=&azp=&ttl=&nbf=&iss=&alg=  签发会话令牌（ttl单位为秒，默认3600；ttl为负数时签发已过期的令牌）
+ *   用于测试验证失败的情况：nbf为相对当前时间的生效时间（秒，默认-10，正数时签发尚未生效的令牌），iss覆盖签发方，
+ *   alg为HS256时用公钥PEM作为HMAC密钥签名（算法混淆），为none时不签名
+ *
+ * 环境变量:
+ * - MOCK_JWKS_PORT: 监听端口，默认3200；为0时使用随机端口（签发方和启动日志使用实际端口）
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+
+const PORT = Number(process.env.MOCK_JWKS_PORT || 3200);
+let issuer = `http://localhost:${PORT}`;
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KID = `ins_mock_${crypto.randomBytes(6).toString('hex')}`;
+const JWKS = {
+  keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, use: 'sig', alg: 'RS256' }]
+};
+
+/**
+ * 按算法签名
+ * @param {string} alg - 签名算法 (RS256, HS256, none)，none不签名
+ * @param {string} signingInput - 头部和声明
+ * @returns {string} Base64URL编码的签名
+ */
+function sign(alg, signingInput) {
+  switch (alg) {
+    case 'RS256':
+      return crypto.sign('RSA-SHA256', Buffer.from(signingInput), privateKey).toString('base64url');
+    case 'HS256':
+      return crypto.createHmac('sha256', publicKey.export({ type: 'spki', format: 'pem' })).update(signingInput).digest('base64url');
+    default:
+      return '';
+  }
+}
+
+/**
+ * 签发会话令牌
+ * @param {Object} options - { sub, sid, azp, ttl, nbf, iss, alg }
+ * @returns {string} JWT
+ */
+function signSessionToken({ sub, sid, azp, ttl, nbf = -10, iss = issuer, alg = 'RS256' }) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = { alg, typ: 'JWT', kid: KID };
+  const claims = {
+    iss,
+    sub,
+    sid,
+    azp,
+    iat: now,
+    nbf: now + nbf,
+    exp: now + ttl
+  };
+
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const signingInput = `${encode(header)}.${encode(claims)}`;
+  return `${signingInput}.${sign(alg, signingInput)}`;
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, issuer);
+
+  if (req.method === 'GET' && url.pathname === '/.well-known/jwks.json') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify(JWKS));
+  }
+
+  if (req.method === 'GET' && url.pathname === '/token') {
+    const sub = url.searchParams.get('sub') || 'user_mock';
+    const alg = url.searchParams.get('alg') || 'RS256';
+    if (!['RS256', 'HS256', 'none'].includes(alg)) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ error: `不支持的签名算法: ${alg}` }));
+    }
+    const token = signSessionToken({
+      sub,
+      sid: url.searchParams.get('sid') || `sess_${crypto.randomBytes(6).toString('hex')}`,
+      azp: url.searchParams.get('azp') || 'http://localhost:5173',
+      ttl: Number(url.searchParams.get('ttl') || 3600),
+      nbf: url.searchParams.has('nbf') ? Number(url.searchParams.get('nbf')) : undefined,
+      iss: url.searchParams.get('iss') || undefined,
+      alg
+    });
+    console.log(`🔑 已签发 ${sub} 的会话令牌`);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ token }));
+  }
+
+  res.writeHead(404, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error: 'Not Found' }));
+});
+
+server.listen(PORT, () => {
+  issuer = `http://localhost:${server.address().port}`;
+  console.log(`🧪 JWKS替身服务器已启动: ${issuer}/.well-known/jwks.json (kid: ${KID})`);
+});
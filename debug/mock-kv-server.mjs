@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/**
+ * 本地KV替身服务器
+ * 以Upstash/Vercel KV的REST格式（POST /，请求体为命令数组，响应 { result }）模拟存储用到的Redis命令，
+ * 用于在没有Vercel KV或Upstash账号时测试 *_STORE=kv。EVAL只支持共享存储使用的比较并写入脚本
+ *
+ * 用法：
+ *   node debug/mock-kv-server.mjs
+ *   然后为本地服务器设置：
+ *   KV_REST_API_URL=http://localhost:3300 KV_REST_API_TOKEN=mock_kv_token
+ *
+ * 支持的命令: GET, SET (NX, EX), DEL, MGET, SADD, SREM, SMEMBERS, EVAL
+ *
+ * 环境变量:
+ * - MOCK_KV_PORT: 监听端口，默认3300；为0时使用随机端口（启动日志中打印实际端口）
+ * - KV_REST_API_TOKEN: 接受的令牌，默认mock_kv_token
+ */
+
+import http from 'http';
+import { COMPARE_AND_SET_SCRIPT } from '../shared/kv-store.mjs';
+
+const PORT = Number(process.env.MOCK_KV_PORT || 3300);
+const TOKEN = process.env.KV_REST_API_TOKEN || 'mock_kv_token';
+
+// 字符串值 key → { value, expires_at }，集合 key → Set
+const strings = new Map();
+const sets = new Map();
+
+/**
+ * 读取未过期的字符串值
+ * @param {string} key - 键
+ * @returns {string|null} 值
+ */
+function readString(key) {
+  const entry = strings.get(key);
+  if (!entry) {
+    return null;
+  }
+  if (entry.expires_at && entry.expires_at <= Date.now()) {
+    strings.delete(key);
+    return null;
+  }
+  return entry.value;
+}
+
+// 各命令的实现，参数均为字符串
+const COMMANDS = {
+  GET: ([key]) => readString(key),
+
+  SET: ([key, value, ...options]) => {
+    const flags = options.map(option => option.toUpperCase());
+    if (flags.includes('NX') && readString(key) !== null) {
+      return null;
+    }
+    const ttl = flags.includes('EX') ? Number(options[flags.indexOf('EX') + 1]) : 0;
+    strings.set(key, { value, expires_at: ttl > 0 ? Date.now() + ttl * 1000 : null });
+    return 'OK';
+  },
+
+  DEL: keys => keys.filter(key => strings.delete(key) || sets.delete(key)).length,
+
+  MGET: keys => keys.map(readString),
+
+  SADD: ([key, ...members]) => {
+    const set = sets.get(key) || new Set();
+    sets.set(key, set);
+    return members.filter(member => !set.has(member) && set.add(member)).length;
+  },
+
+  SREM: ([key, ...members]) => members.filter(member => sets.get(key)?.delete(member)).length,
+
+  SMEMBERS: ([key]) => [...(sets.get(key) || [])],
+
+  EVAL: ([script, numKeys, key, expected, next, ttlMs]) => {
+    if (script !== COMPARE_AND_SET_SCRIPT || numKeys !== '1') {
+      throw new Error('ERR mock server only supports the compare-and-set script');
+    }
+    if ((readString(key) ?? '') !== expected) {
+      return 0;
+    }
+    if (next === '') {
+      strings.delete(key);
+    } else {
+      strings.set(key, { value: next, expires_at: ttlMs ? Date.now() + Number(ttlMs) : null });
+    }
+    return 1;
+  }
+};
+
+/**
+ * 读取请求体
+ * @param {http.IncomingMessage} req - 请求
+ * @returns {Promise<string>} 请求体
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * 返回JSON响应
+ * @param {http.ServerResponse} res - 响应
+ * @param {number} statusCode - 状态码
+ * @param {Object} body - 响应体
+ */
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer(async (req, res) => {
+  if (req.headers.authorization !== `Bearer ${TOKEN}`) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  if (req.method !== 'POST' || req.url !== '/') {
+    return sendJson(res, 404, { error: 'Only POST / with a command array is supported' });
+  }
+
+  try {
+    const [name, ...args] = JSON.parse(await readBody(req));
+    const command = COMMANDS[String(name).toUpperCase()];
+    if (!command) {
+      return sendJson(res, 400, { error: `ERR unknown command '${name}'` });
+    }
+    sendJson(res, 200, { result: command(args.map(String)) });
+  } catch (error) {
+    sendJson(res, 400, { error: error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`🧪 KV替身服务器已启动: http://localhost:${server.address().port}`);
+});
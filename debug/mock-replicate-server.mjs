@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+/**
+ * 本地Replicate替身服务器
+ * 模拟Replicate预测API（创建、查询、取消）并按Replicate的签名方式回调webhook，
+ * 用于在不消耗额度的情况下测试异步任务和 /api/replicate-webhook 的完整流程
+ *
+ * 用法：
+ *   REPLICATE_WEBHOOK_SECRET=whsec_xxx node debug/mock-replicate-server.mjs
+ *   然后为本地服务器设置：
+ *   REPLICATE_API_BASE_URL=http://localhost:3100/v1
+ *   REPLICATE_WEBHOOK_URL=http://localhost:3000/api/replicate-webhook
+ *
+ * 环境变量:
+ * - MOCK_REPLICATE_PORT: 监听端口，默认3100
+ * - MOCK_REPLICATE_DELAY_MS: 预测完成前的模拟耗时，默认500
+ * - MOCK_REPLICATE_FAIL_VERSIONS: 逗号分隔的模型版本，这些版本的预测总是失败
+ * - MOCK_REPLICATE_UNAVAILABLE_CREATES: 前N次创建预测返回503，用于测试重试和熔断，默认0
+ * - REPLICATE_WEBHOOK_SECRET: 用于签名webhook回调
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { signReplicateWebhook } from '../shared/replicate-webhook.mjs';
+
+const PORT = Number(process.env.MOCK_REPLICATE_PORT || 3100);
+const DELAY_MS = Number(process.env.MOCK_REPLICATE_DELAY_MS || 500);
+const FAIL_VERSIONS = (process.env.MOCK_REPLICATE_FAIL_VERSIONS || '').split(',').filter(Boolean);
+let unavailableCreates = Number(process.env.MOCK_REPLICATE_UNAVAILABLE_CREATES || 0);
+const BASE_URL = `http://localhost:${PORT}`;
+
+// 内存中的预测记录
+const predictions = new Map();
+// 预测输出的图像数据
+const outputs = new Map();
+
+/**
+ * 读取请求体
+ * @param {http.IncomingMessage} req - 请求
+ * @returns {Promise<string>} 请求体
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * 返回JSON响应
+ * @param {http.ServerResponse} res - 响应
+ * @param {number} statusCode - 状态码
+ * @param {Object} data - 响应数据
+ */
+function sendJSON(res, statusCode, data) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * 生成预测输出：data URL输入会被保存并以URL形式返回，URL输入原样返回
+ * @param {Object} prediction - 预测记录
+ * @returns {string} 输出图像URL
+ */
+function createOutput(prediction) {
+  const image = prediction.input?.image;
+  if (typeof image === 'string' && /^https?:\/\//.test(image)) {
+    return image;
+  }
+
+  const match = typeof image === 'string' ? image.match(/^data:([^;]+);base64,(.*)$/) : null;
+  outputs.set(prediction.id, {
+    contentType: match ? match[1] : 'image/png',
+    data: Buffer.from(match ? match[2] : image || '', 'base64')
+  });
+  return `${BASE_URL}/outputs/${prediction.id}`;
+}
+
+/**
+ * 按Replicate的格式回调webhook，只发送订阅了的事件
+ * @param {Object} prediction - 预测记录
+ * @param {string} event - 事件类型 (start, logs, completed)
+ */
+async function sendWebhook(prediction, event) {
+  if (!prediction.webhook || !prediction.webhook_events_filter.includes(event)) {
+    return;
+  }
+
+  const body = JSON.stringify(prediction);
+  const webhookId = `msg_${crypto.randomBytes(12).toString('hex')}`;
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    const response = await fetch(prediction.webhook, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'webhook-id': webhookId,
+        'webhook-timestamp': String(timestamp),
+        'webhook-signature': signReplicateWebhook(webhookId, timestamp, body, process.env.REPLICATE_WEBHOOK_SECRET)
+      },
+      body
+    });
+    console.log(`📨 已回调 ${prediction.id} (${prediction.status}) → ${response.status}`);
+  } catch (error) {
+    console.error(`❌ 回调 ${prediction.id} 失败:`, error.message);
+  }
+}
+
+/**
+ * 结束预测并回调webhook
+ * @param {Object} prediction - 预测记录
+ * @param {string} status - 最终状态
+ */
+function completePrediction(prediction, status) {
+  if (['succeeded', 'failed', 'canceled'].includes(prediction.status)) {
+    return;
+  }
+
+  prediction.status = status;
+  prediction.completed_at = new Date().toISOString();
+  prediction.logs += `prediction ${status}\n`;
+  if (status === 'succeeded') {
+    prediction.output = createOutput(prediction);
+    prediction.metrics = { predict_time: DELAY_MS / 1000 };
+  } else if (status === 'failed') {
+    prediction.error = `模拟失败: 版本 ${prediction.version}`;
+  }
+
+  sendWebhook(prediction, 'completed');
+}
+
+/**
+ * 创建预测
+ * @param {Object} data - 请求数据 { version, input, webhook, webhook_events_filter }
+ * @returns {Object} 预测记录
+ */
+function createPrediction(data) {
+  const id = crypto.randomBytes(13).toString('hex');
+  const prediction = {
+    id,
+    version: data.version,
+    input: data.input,
+    status: 'starting',
+    output: null,
+    error: null,
+    logs: '',
+    metrics: {},
+    webhook: data.webhook || null,
+    webhook_events_filter: data.webhook_events_filter || ['start', 'output', 'logs', 'completed'],
+    created_at: new Date().toISOString(),
+    completed_at: null,
+    urls: {
+      get: `${BASE_URL}/v1/predictions/${id}`,
+      cancel: `${BASE_URL}/v1/predictions/${id}/cancel`
+    }
+  };
+  predictions.set(id, prediction);
+
+  sendWebhook(prediction, 'start');
+  // 模拟模型输出tqdm进度条日志
+  [25, 50, 75].forEach((percent) => {
+    setTimeout(() => {
+      if (prediction.status === 'starting' || prediction.status === 'processing') {
+        prediction.status = 'processing';
+        const filled = Math.floor(percent / 10);
+        prediction.logs += `${String(percent).padStart(3)}%|${'█'.repeat(filled)}${' '.repeat(10 - filled)}| ${percent / 5}/20\n`;
+        sendWebhook(prediction, 'logs');
+      }
+    }, Math.floor((DELAY_MS * percent) / 100));
+  });
+  setTimeout(() => {
+    completePrediction(prediction, FAIL_VERSIONS.includes(prediction.version) ? 'failed' : 'succeeded');
+  }, DELAY_MS);
+
+  console.log(`🚀 创建预测 ${id}，版本: ${String(data.version).slice(0, 12)}…${prediction.webhook ? '，webhook已设置' : ''}`);
+  return prediction;
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, BASE_URL);
+
+  try {
+    const outputMatch = url.pathname.match(/^\/outputs\/([\w]+)$/);
+    if (req.method === 'GET' && outputMatch) {
+      const output = outputs.get(outputMatch[1]);
+      if (!output) {
+        return sendJSON(res, 404, { detail: 'Not found.' });
+      }
+      res.writeHead(200, { 'Content-Type': output.contentType });
+      return res.end(output.data);
+    }
+
+    if (!req.headers.authorization) {
+      return sendJSON(res, 401, { detail: 'Authentication credentials were not provided.' });
+    }
+
+    if (req.method === 'POST' && url.pathname === '/v1/predictions') {
+      const data = JSON.parse(await readBody(req) || '{}');
+      if (!data.version || !data.input) {
+        return sendJSON(res, 422, { detail: 'version and input are required' });
+      }
+      if (unavailableCreates > 0) {
+        unavailableCreates -= 1;
+        console.log(`💥 模拟服务不可用，剩余 ${unavailableCreates} 次`);
+        return sendJSON(res, 503, { detail: 'Service temporarily unavailable.' });
+      }
+      return sendJSON(res, 201, createPrediction(data));
+    }
+
+    const predictionMatch = url.pathname.match(/^\/v1\/predictions\/([\w]+)(\/cancel)?$/);
+    if (predictionMatch) {
+      const prediction = predictions.get(predictionMatch[1]);
+      if (!prediction) {
+        return sendJSON(res, 404, { detail: 'Not found.' });
+      }
+      if (req.method === 'POST' && predictionMatch[2]) {
+        completePrediction(prediction, 'canceled');
+        return sendJSON(res, 200, prediction);
+      }
+      if (req.method === 'GET' && !predictionMatch[2]) {
+        return sendJSON(res, 200, prediction);
+      }
+    }
+
+    sendJSON(res, 404, { detail: 'Not found.' });
+  } catch (error) {
+    sendJSON(res, 500, { detail: error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`🧪 Replicate替身服务器已启动: ${BASE_URL}/v1`);
+  if (!process.env.REPLICATE_WEBHOOK_SECRET) {
+    console.log('⚠️  未设置REPLICATE_WEBHOOK_SECRET，webhook回调将无法签名');
+  }
+});
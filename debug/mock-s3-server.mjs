@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+/**
+ * 本地S3替身服务器
+ * 以路径形式（/<bucket>/<key>）模拟S3的PUT、GET、HEAD对象接口并验证SigV4签名，
+ * 用于在没有MinIO或AWS账号时测试 STORAGE_DRIVER=s3 的结果保存流程
+ *
+ * 用法：
+ *   node debug/mock-s3-server.mjs
+ *   然后为本地服务器设置：
+ *   STORAGE_DRIVER=s3 S3_ENDPOINT=http://localhost:9000 S3_BUCKET=outputs
+ *   S3_ACCESS_KEY_ID=minioadmin S3_SECRET_ACCESS_KEY=minioadmin
+ *
+ * 环境变量:
+ * - MOCK_S3_PORT: 监听端口，默认9000（与MinIO相同）
+ * - S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY: 接受的凭证，默认minioadmin/minioadmin
+ * - S3_REGION: 签名使用的区域，默认us-east-1
+ */
+
+import http from 'http';
+import { signAwsRequest } from '../shared/storage.mjs';
+
+const PORT = Number(process.env.MOCK_S3_PORT || 9000);
+const ACCESS_KEY_ID = process.env.S3_ACCESS_KEY_ID || 'minioadmin';
+const SECRET_ACCESS_KEY = process.env.S3_SECRET_ACCESS_KEY || 'minioadmin';
+const REGION = process.env.S3_REGION || 'us-east-1';
+
+// 内存中的对象 { body, headers }
+const objects = new Map();
+
+/**
+ * 读取请求体
+ * @param {http.IncomingMessage} req - 请求
+ * @returns {Promise<Buffer>} 请求体
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * 返回S3格式的XML错误
+ * @param {http.ServerResponse} res - 响应
+ * @param {number} statusCode - 状态码
+ * @param {string} code - 错误代码
+ * @param {string} message - 错误信息
+ */
+function sendError(res, statusCode, code, message) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/xml' });
+  res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${message}</Message></Error>`);
+}
+
+/**
+ * 按请求中声明的签名头重新计算签名并比较
+ * @param {http.IncomingMessage} req - 请求
+ * @param {Buffer} body - 请求体
+ * @returns {boolean} 签名是否有效
+ */
+function verifySignature(req, body) {
+  const match = String(req.headers.authorization || '').match(/Credential=([^/]+)\/\d{8}\/[^,]+, SignedHeaders=([^,]+), Signature=([a-f0-9]+)/);
+  if (!match || match[1] !== ACCESS_KEY_ID) {
+    return false;
+  }
+
+  // x-amz-date、x-amz-content-sha256和host由签名函数重新生成
+  const headers = {};
+  match[2].split(';')
+    .filter(name => !['host', 'x-amz-date', 'x-amz-content-sha256'].includes(name))
+    .forEach((name) => {
+      headers[name] = req.headers[name];
+    });
+
+  const amzDate = String(req.headers['x-amz-date'] || '');
+  const date = new Date(amzDate.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z'));
+  const expected = signAwsRequest(
+    { method: req.method, url: `http://${req.headers.host}${req.url}`, headers, body },
+    { accessKeyId: ACCESS_KEY_ID, secretAccessKey: SECRET_ACCESS_KEY, region: REGION },
+    date
+  );
+  return expected.authorization.endsWith(`Signature=${match[3]}`)
+    && expected['x-amz-content-sha256'] === req.headers['x-amz-content-sha256'];
+}
+
+const server = http.createServer(async (req, res) => {
+  try {
+    const body = await readBody(req);
+    if (!verifySignature(req, body)) {
+      return sendError(res, 403, 'SignatureDoesNotMatch', 'The request signature we calculated does not match the signature you provided.');
+    }
+
+    const path = new URL(req.url, `http://localhost:${PORT}`).pathname;
+    if (!/^\/[^/]+\/.+/.test(path)) {
+      return sendError(res, 400, 'InvalidRequest', 'Only path-style object requests are supported.');
+    }
+
+    if (req.method === 'PUT') {
+      const headers = { 'Content-Type': req.headers['content-type'] || 'application/octet-stream' };
+      Object.entries(req.headers)
+        .filter(([name]) => name.startsWith('x-amz-meta-'))
+        .forEach(([name, value]) => {
+          headers[name] = value;
+        });
+      objects.set(path, { body, headers });
+      console.log(`📥 PUT ${path} (${body.length} bytes)`);
+      res.writeHead(200, { ETag: `"${body.length}"` });
+      return res.end();
+    }
+
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      const object = objects.get(path);
+      if (!object) {
+        return sendError(res, 404, 'NoSuchKey', 'The specified key does not exist.');
+      }
+      res.writeHead(200, { ...object.headers, 'Content-Length': object.body.length });
+      return res.end(req.method === 'GET' ? object.body : undefined);
+    }
+
+    sendError(res, 405, 'MethodNotAllowed', 'The specified method is not allowed against this resource.');
+  } catch (error) {
+    sendError(res, 500, 'InternalError', error.message);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`🧪 S3替身服务器已启动: http://localhost:${PORT}`);
+});
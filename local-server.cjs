@@ -8,110 +8,38 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const Replicate = require('replicate');
+const Stripe = require('stripe');
 
 // 引入共享的API处理逻辑 - 使用ES模块版本以保持与Vercel一致
-const { processUpscale, processAnalyze, processToneEnhance, processDetailEnhance, processAutopilotEnhance } = require('./shared/api-handlers.cjs');
-
-// Autopilot辅助函数
-function calculateQualityScores(analysis) {
-  // 影调质量评分
-  const toneScore = calculateToneScore(analysis);
-
-  // 细节清晰度评分
-  const detailScore = calculateDetailScore(analysis);
-
-  // 分辨率适配评分
-  const resolutionScore = calculateResolutionScore(analysis);
-
-  return {
-    tone: Math.round(toneScore),
-    detail: Math.round(detailScore),
-    resolution: Math.round(resolutionScore),
-    overall: Math.round((toneScore + detailScore + resolutionScore) / 3)
-  };
-}
-
-function calculateToneScore(analysis) {
-  let score = 70; // 基础分数
-
-  if (analysis.quality_issues) {
-    if (analysis.quality_issues.includes('underexposed')) score -= 20;
-    if (analysis.quality_issues.includes('overexposed')) score -= 20;
-    if (analysis.quality_issues.includes('low_contrast')) score -= 15;
-    if (analysis.quality_issues.includes('color_cast')) score -= 15;
-  }
-
-  return Math.max(0, Math.min(100, score));
-}
-
-function calculateDetailScore(analysis) {
-  let score = 75; // 基础分数
-
-  if (analysis.quality_issues) {
-    if (analysis.quality_issues.includes('blurry')) score -= 25;
-    if (analysis.quality_issues.includes('noisy')) score -= 20;
-    if (analysis.quality_issues.includes('compression_artifacts')) score -= 15;
-    if (analysis.quality_issues.includes('soft_details')) score -= 10;
-  }
-
-  return Math.max(0, Math.min(100, score));
-}
-
-function calculateResolutionScore(analysis) {
-  let score = 80; // 基础分数
-
-  if (analysis.image_info) {
-    const { width, height } = analysis.image_info;
-    const totalPixels = width * height;
-
-    if (totalPixels < 500000) score -= 30; // 小于0.5MP
-    else if (totalPixels < 1000000) score -= 20; // 小于1MP
-    else if (totalPixels < 2000000) score -= 10; // 小于2MP
-  }
-
-  return Math.max(0, Math.min(100, score));
-}
-
-function generateEnhancementRecommendations(scores) {
-  const recommendations = {
-    tone: null,
-    detail: null,
-    upscale: null,
-    priority: []
-  };
-
-  // 影调增强建议
-  if (scores.tone < 80) {
-    recommendations.tone = {
-      enabled: true,
-      type: scores.tone < 50 ? 'night' : 'general',
-      intensity: scores.tone < 40 ? 2.0 : scores.tone < 60 ? 1.5 : 1.0
-    };
-    recommendations.priority.push('tone');
-  }
-
-  // 细节增强建议
-  if (scores.detail < 80) {
-    recommendations.detail = {
-      enabled: true,
-      type: scores.detail < 50 ? 'general' : 'general',
-      strength: scores.detail < 40 ? 3 : scores.detail < 60 ? 2 : 1
-    };
-    recommendations.priority.push('detail');
-  }
-
-  // 超分辨率建议
-  if (scores.resolution < 70) {
-    recommendations.upscale = {
-      enabled: true,
-      scale: scores.resolution < 40 ? 4 : scores.resolution < 60 ? 2 : 2,
-      model: 'real-esrgan'
-    };
-    recommendations.priority.push('upscale');
-  }
-
-  return recommendations;
-}
+const { processAnalyze, processAutopilotAnalyze, DEFAULT_TONE_TYPE, DEFAULT_DETAIL_TYPE } = require('./shared/api-handlers.cjs');
+const { validatePipeline, runPipeline, runPipelineStep, pipelineBillingSteps, processAutopilotEnhance } = require('./shared/pipeline.cjs');
+const { getReplicateInvoker } = require('./shared/replicate-provider.cjs');
+const { getProvider, resolveProviderName, listProviders, withProvider } = require('./shared/providers.cjs');
+const { listModels } = require('./shared/model-registry.cjs');
+const { createJobStore } = require('./shared/job-store.cjs');
+const { createPresetStore } = require('./shared/preset-store.cjs');
+const {
+  listPresets, getPreset, createPreset, updatePreset, deletePreset, setPresetSharing, getSharedPreset, resolvePresetPipeline
+} = require('./shared/presets.cjs');
+const { createJob, getJob, cancelJob, runJob, toPublicJob, handleReplicateWebhook } = require('./shared/jobs.cjs');
+const { createBatchStore } = require('./shared/batch-store.cjs');
+const {
+  BATCH_STATUS, MAX_BATCH_ITEMS, createBatch, getBatch, runBatch, cancelBatch, retryBatchItem, toPublicBatch, streamBatchArchive
+} = require('./shared/batches.cjs');
+const { verifyReplicateWebhook } = require('./shared/replicate-webhook.cjs');
+const { streamJobEvents } = require('./shared/job-events.cjs');
+const { parseImageUpload, parseBatchUpload } = require('./shared/upload.cjs');
+const { readOutput } = require('./shared/outputs.cjs');
+const { authenticateRequest, isPaidEndpoint, getAuthConfig } = require('./shared/auth.cjs');
+const { createEntitlementStore } = require('./shared/entitlement-store.cjs');
+const { handleStripeEvent, getEntitlements } = require('./shared/entitlements.cjs');
+const { createUsageStore } = require('./shared/usage-store.cjs');
+const { UsageMeter } = require('./shared/usage.cjs');
+const { createCreditStore } = require('./shared/credit-store.cjs');
+const { CreditLedger, MODEL_COSTS, listCreditPacks } = require('./shared/credits.cjs');
+const { createStripeClient, createCheckoutSession, createPortalSession, getSubscriptionDetails, getAppUrl } = require('./shared/billing.cjs');
+const { RateLimiter, getRateLimitedEndpoint } = require('./shared/rate-limit.cjs');
+const { createReplicateConcurrencyLimiter } = require('./shared/replicate-concurrency.cjs');
 
 // 简单的日志记录器
 class LocalLogger {
@@ -209,7 +137,7 @@ const PORT = 3000;
 // 中间件
 app.use(cors());
 
-// JSON解析中间件，带错误处理
+// JSON解析中间件，带错误处理（Base64 JSON上传方式仍需较大的限制）
 app.use(express.json({ 
   limit: '50mb',
   verify: (req, res, buf) => {
@@ -233,6 +161,68 @@ app.use((error, req, res, next) => {
   next();
 });
 
+// Clerk会话认证：附加req.userId，付费接口拒绝匿名请求（在读取上传内容之前完成）
+// Express路由不区分大小写，路径判断统一转为小写
+app.use(async (req, res, next) => {
+  if (!req.path.toLowerCase().startsWith('/api/')) {
+    return next();
+  }
+
+  try {
+    await authenticateRequest(req, { required: isPaidEndpoint(req.method, req.path) });
+    next();
+  } catch (error) {
+    logger.logError(req.path, error, { authorization: Boolean(req.headers.authorization) });
+    res.status(error.statusCode || 401).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 请求限流：按用户（未登录时按IP）和套餐限制各处理接口的频率（在读取上传内容之前完成）
+app.use(async (req, res, next) => {
+  const endpoint = getRateLimitedEndpoint(req.method, req.path);
+  if (!endpoint) {
+    return next();
+  }
+
+  try {
+    await rateLimiter.enforce(req, res, endpoint);
+    next();
+  } catch (error) {
+    logger.logError(req.path, error, { userId: req.userId });
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      ...quotaErrorPayload(error, res),
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 图像上传解析：multipart/form-data 和 image/* 请求体转换为与JSON相同的参数结构，
+// 批量任务的multipart请求中每个文件作为一张图像，ZIP压缩包（multipart中的文件或整个请求体）解压为多张图像
+app.use(async (req, res, next) => {
+  try {
+    const uploadedBody = req.method === 'POST' && req.path.toLowerCase() === '/api/batches'
+      ? await parseBatchUpload(req, { maxFiles: MAX_BATCH_ITEMS })
+      : await parseImageUpload(req);
+    if (uploadedBody) {
+      req.body = uploadedBody;
+    }
+    next();
+  } catch (error) {
+    console.error('图像上传解析错误:', error.message);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 // 日志中间件
 app.use((req, res, next) => {
   console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
@@ -248,6 +238,55 @@ const replicate = new Replicate({
   auth: process.env.REPLICATE_API_TOKEN,
 });
 
+// 异步任务存储：JOB_STORE=file 时任务保存到 JOB_STORE_DIR，服务器重启后仍可查询
+const jobStore = createJobStore();
+
+// 增强预设存储：PRESET_STORE=file 时保存到 PRESET_STORE_DIR
+const presetStore = createPresetStore();
+
+// 批量任务存储：BATCH_STORE=file 时保存到 BATCH_STORE_DIR，每张图像的处理仍是 jobStore 中的任务
+const batchStore = createBatchStore();
+const batchStores = { batchStore, jobStore };
+
+// 用户权益存储：ENTITLEMENT_STORE=file 时保存到 ENTITLEMENT_STORE_DIR
+const entitlementStore = createEntitlementStore();
+
+// 积分账本：CREDIT_STORE=file 时保存到 CREDIT_STORE_DIR
+const creditLedger = new CreditLedger(createCreditStore());
+
+// 用量计量：USAGE_STORE=file 时保存到 USAGE_STORE_DIR，套餐由权益存储决定，超出套餐时按积分计费
+const usageMeter = new UsageMeter(createUsageStore(), entitlementStore, creditLedger);
+
+// 请求限流：令牌桶按接口和套餐配置
+const rateLimiter = new RateLimiter(entitlementStore);
+
+// Replicate并发控制：REPLICATE_MAX_CONCURRENCY 全局上限，REPLICATE_MAX_CONCURRENCY_PER_USER 单用户上限
+const replicateLimiter = createReplicateConcurrencyLimiter();
+
+/**
+ * 读取额度、限流和并发错误的结构化信息，合并到错误响应中供前端展示升级提示；带重试时间时设置Retry-After
+ * @param {Error} error - 处理错误
+ * @param {Object} res - 响应对象
+ * @returns {Object} 错误payload，普通错误为空对象
+ */
+function quotaErrorPayload(error, res) {
+  if (error.payload?.retry_after_seconds !== undefined) {
+    res.setHeader('Retry-After', String(error.payload.retry_after_seconds));
+  }
+  return error.payload || {};
+}
+
+/**
+ * 按处理提供方执行增强：远程提供方（Replicate）需要先取得并发名额，本地处理直接执行
+ * @param {string} provider - 处理提供方
+ * @param {string} userId - 用户ID
+ * @param {Function} task - 增强任务
+ * @returns {Promise<any>} 任务结果
+ */
+function runOnProvider(provider, userId, task) {
+  return getProvider(provider).capabilities().remote ? replicateLimiter.run(userId, task) : task();
+}
+
 // 注意：图像验证和Replicate调用逻辑已移至 shared/api-handlers.js
 // 这里保留注释以说明代码重构
 
@@ -260,9 +299,15 @@ function createUpscaleHandler() {
     try {
       // 解析请求体参数
       const { imageBase64, scale = 2, face_enhance = false, model = 'real-esrgan' } = req.body;
+      const provider = resolveProviderName(req.body.provider);
       
-      // 使用共享的processUpscale函数 - 统一参数顺序与Vercel保持一致
-      const result = await processUpscale(imageBase64, scale, face_enhance, model, process.env.REPLICATE_API_TOKEN);
+      // 作为单步流水线执行 - 与Vercel保持一致
+      // 检查套餐（模型、放大倍数）和额度后执行，成功后累计用量
+      const result = await usageMeter.run(req.userId, { steps: [{ name: 'upscale', config: { model, scale, provider } }], imageBase64 }, () =>
+        runOnProvider(provider, req.userId, () => runPipelineStep(
+          'upscale', { scale, face_enhance, model, provider }, imageBase64, process.env.REPLICATE_API_TOKEN
+        ))
+      );
       
       // 添加本地服务器特有的信息
       const processingTime = Date.now() - startTime;
@@ -283,6 +328,7 @@ function createUpscaleHandler() {
         success: false,
         error: error.name || '服务器内部错误',
         message: error.message,
+        ...quotaErrorPayload(error, res),
         timestamp: new Date().toISOString(),
         environment: 'local-development'
       };
@@ -351,7 +397,10 @@ app.post('/api/analyze', async (req, res) => {
     }
     
     // 使用共享的processAnalyze函数 - 统一参数顺序与Vercel保持一致
-    const result = await processAnalyze(imageData, process.env.REPLICATE_API_TOKEN);
+    // 已登录用户计入分析次数
+    const result = await usageMeter.run(req.userId, { analyses: 1 }, () =>
+      processAnalyze(imageData, process.env.REPLICATE_API_TOKEN)
+    );
     
     // 添加本地服务器特有的信息
     const processingTime = Date.now() - startTime;
@@ -372,6 +421,7 @@ app.post('/api/analyze', async (req, res) => {
       success: false,
       error: error.name || '图像分析服务暂时不可用',
       message: error.message,
+      ...quotaErrorPayload(error, res),
       timestamp: new Date().toISOString(),
       environment: 'local-development'
     };
@@ -389,7 +439,8 @@ app.post('/api/tone-enhance', async (req, res) => {
 
   try {
     // 解析请求体参数
-    const { imageBase64, enhanceType = 'auto', intensity = 1.0 } = req.body;
+    const { imageBase64, enhanceType = DEFAULT_TONE_TYPE, intensity = 1.0, luminance_only = false } = req.body;
+    const provider = resolveProviderName(req.body.provider);
 
     if (!imageBase64) {
       return res.status(400).json({
@@ -399,8 +450,13 @@ app.post('/api/tone-enhance', async (req, res) => {
       });
     }
 
-    // 使用共享的processToneEnhance函数
-    const result = await processToneEnhance(imageBase64, enhanceType, intensity, process.env.REPLICATE_API_TOKEN);
+    // 作为单步流水线执行
+    // 检查额度后执行，成功后累计用量
+    const result = await usageMeter.run(req.userId, { steps: [{ name: 'tone', config: { provider } }], imageBase64 }, () =>
+      runOnProvider(provider, req.userId, () => runPipelineStep(
+        'tone', { type: enhanceType, intensity, luminance_only, provider }, imageBase64, process.env.REPLICATE_API_TOKEN
+      ))
+    );
 
     const processingTime = Date.now() - startTime;
     logger.logResponse('/api/tone-enhance', result, processingTime);
@@ -410,9 +466,10 @@ app.post('/api/tone-enhance', async (req, res) => {
     const processingTime = Date.now() - startTime;
     logger.logError('/api/tone-enhance', error, processingTime);
 
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message || '影调增强处理失败',
+      ...quotaErrorPayload(error, res),
       timestamp: new Date().toISOString()
     });
   }
@@ -425,7 +482,8 @@ app.post('/api/detail-enhance', async (req, res) => {
 
   try {
     // 解析请求体参数
-    const { imageBase64, enhanceType = 'denoise', strength = 15 } = req.body;
+    const { imageBase64, enhanceType = DEFAULT_DETAIL_TYPE, strength = 2 } = req.body;
+    const provider = resolveProviderName(req.body.provider);
 
     if (!imageBase64) {
       return res.status(400).json({
@@ -435,8 +493,13 @@ app.post('/api/detail-enhance', async (req, res) => {
       });
     }
 
-    // 使用共享的processDetailEnhance函数
-    const result = await processDetailEnhance(imageBase64, enhanceType, strength, process.env.REPLICATE_API_TOKEN);
+    // 作为单步流水线执行
+    // 检查额度后执行，成功后累计用量
+    const result = await usageMeter.run(req.userId, { steps: [{ name: 'detail', config: { provider } }], imageBase64 }, () =>
+      runOnProvider(provider, req.userId, () => runPipelineStep(
+        'detail', { type: enhanceType, strength, provider }, imageBase64, process.env.REPLICATE_API_TOKEN
+      ))
+    );
 
     const processingTime = Date.now() - startTime;
     logger.logResponse('/api/detail-enhance', result, processingTime);
@@ -446,9 +509,10 @@ app.post('/api/detail-enhance', async (req, res) => {
     const processingTime = Date.now() - startTime;
     logger.logError('/api/detail-enhance', error, processingTime);
 
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message || '细节增强处理失败',
+      ...quotaErrorPayload(error, res),
       timestamp: new Date().toISOString()
     });
   }
@@ -470,23 +534,11 @@ app.post('/api/autopilot-analyze', async (req, res) => {
       });
     }
 
-    // 使用现有的分析功能获取基础质量信息
-    const basicAnalysis = await processAnalyze(imageBase64, process.env.REPLICATE_API_TOKEN);
-
-    // 计算质量评分
-    const scores = calculateQualityScores(basicAnalysis);
-
-    // 生成增强建议
-    const recommendations = generateEnhancementRecommendations(scores);
-
-    const result = {
-      success: true,
-      scores,
-      recommendations,
-      message: 'Autopilot智能分析完成',
-      timestamp: new Date().toISOString(),
-      environment: 'local-development'
-    };
+    // 使用共享的processAutopilotAnalyze函数
+    // 已登录用户计入分析次数
+    const result = await usageMeter.run(req.userId, { analyses: 1 }, () =>
+      processAutopilotAnalyze(imageBase64, process.env.REPLICATE_API_TOKEN)
+    );
 
     const processingTime = Date.now() - startTime;
     logger.logResponse('/api/autopilot-analyze', result, processingTime);
@@ -496,9 +548,10 @@ app.post('/api/autopilot-analyze', async (req, res) => {
     const processingTime = Date.now() - startTime;
     logger.logError('/api/autopilot-analyze', error, processingTime);
 
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message || 'Autopilot分析失败',
+      ...quotaErrorPayload(error, res),
       timestamp: new Date().toISOString()
     });
   }
@@ -510,7 +563,7 @@ app.post('/api/autopilot-enhance', async (req, res) => {
   logger.logRequest('/api/autopilot-enhance', req);
 
   try {
-    const { imageBase64, recommendations } = req.body;
+    const { imageBase64, recommendations: requested } = req.body;
 
     if (!imageBase64) {
       return res.status(400).json({
@@ -520,7 +573,7 @@ app.post('/api/autopilot-enhance', async (req, res) => {
       });
     }
 
-    if (!recommendations || !recommendations.priority) {
+    if (!requested || !requested.priority) {
       return res.status(400).json({
         success: false,
         error: '缺少增强建议配置',
@@ -528,8 +581,17 @@ app.post('/api/autopilot-enhance', async (req, res) => {
       });
     }
 
-    // 使用共享的processAutopilotEnhance函数
-    const result = await processAutopilotEnhance(imageBase64, recommendations, process.env.REPLICATE_API_TOKEN);
+    // 未指定提供方的步骤使用请求的provider
+    const provider = resolveProviderName(req.body.provider);
+    const recommendations = withProvider(requested, provider);
+
+    // 增强建议转换为流水线执行
+    // 检查套餐和额度后执行，按成功的步骤累计用量；任一步骤使用远程提供方时占用并发名额
+    const remote = requested.priority.some(step => getProvider(recommendations[step]?.provider).capabilities().remote);
+    const enhance = () => processAutopilotEnhance(imageBase64, recommendations, process.env.REPLICATE_API_TOKEN);
+    const result = await usageMeter.run(req.userId, { autopilot: true, recommendations, imageBase64 }, () =>
+      remote ? replicateLimiter.run(req.userId, enhance) : enhance()
+    );
 
     const processingTime = Date.now() - startTime;
     logger.logResponse('/api/autopilot-enhance', result, processingTime);
@@ -539,21 +601,656 @@ app.post('/api/autopilot-enhance', async (req, res) => {
     const processingTime = Date.now() - startTime;
     logger.logError('/api/autopilot-enhance', error, processingTime);
 
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message || 'Autopilot增强失败',
+      ...quotaErrorPayload(error, res),
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 声明式流水线接口
+app.post('/api/pipeline', async (req, res) => {
+  const startTime = Date.now();
+  logger.logRequest('/api/pipeline', req);
+
+  try {
+    // preset_id指定时使用保存的预设
+    const { imageBase64, pipeline: definition, scores } = await resolvePresetPipeline(presetStore, req.body, req.userId);
+
+    if (!imageBase64) {
+      return res.status(400).json({
+        success: false,
+        error: '请提供base64编码的图像数据',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // 执行前整体校验，未指定提供方的步骤使用请求的provider
+    const pipeline = validatePipeline(definition, { provider: resolveProviderName(req.body.provider) });
+
+    // 按所有步骤（使用fallback策略时按较贵的配置）检查额度，未执行、跳过和失败的步骤退还积分；
+    // 任一步骤使用远程提供方时占用并发名额
+    const remote = pipeline.steps.some(step =>
+      [step.config, step.fallback].some(config => config && getProvider(config.provider).capabilities().remote)
+    );
+    const run = () => runPipeline(pipeline, imageBase64, process.env.REPLICATE_API_TOKEN, { scores });
+    const result = await usageMeter.run(req.userId, { steps: pipelineBillingSteps(pipeline), imageBase64 }, () =>
+      remote ? replicateLimiter.run(req.userId, run) : run()
+    );
+
+    const processingTime = Date.now() - startTime;
+    logger.logResponse('/api/pipeline', result, processingTime);
+
+    res.json(result);
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    logger.logError('/api/pipeline', error, processingTime);
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || '流水线执行失败',
+      ...quotaErrorPayload(error, res),
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 创建异步任务
+app.post('/api/jobs', async (req, res) => {
+  logger.logRequest('/api/jobs', req);
+
+  try {
+    const { type, ...requested } = req.body || {};
+    // pipeline任务可以用preset_id指定保存的预设
+    const params = type === 'pipeline' ? await resolvePresetPipeline(presetStore, requested, req.userId) : requested;
+    const job = await createJob(jobStore, type, params, req.userId, usageMeter);
+    const response = {
+      success: true,
+      job: toPublicJob(job),
+      status_url: `/api/jobs/${job.id}`
+    };
+
+    logger.logResponse('/api/jobs', 202, response);
+    res.status(202).json(response);
+
+    // 任务在后台执行，调用方通过 GET /api/jobs/:id 轮询或订阅 /api/jobs/:id/events
+    // 设置REPLICATE_WEBHOOK_URL时，增强步骤通过Replicate webhook回调推进
+    runJob(jobStore, job.id, process.env.REPLICATE_API_TOKEN, {
+      webhookUrl: process.env.REPLICATE_WEBHOOK_URL,
+      meter: usageMeter,
+      replicateLimiter
+    }).catch((error) => {
+      logger.logError('/api/jobs', error, { jobId: job.id });
+    });
+  } catch (error) {
+    logger.logError('/api/jobs', error);
+
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: error.message || '任务创建失败',
+      ...quotaErrorPayload(error, res),
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 查询异步任务
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = await getJob(jobStore, req.params.id, req.userId);
+    res.json({ success: true, job });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: error.message || '任务查询失败',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 推送异步任务进度（SSE）
+app.get('/api/jobs/:id/events', async (req, res) => {
+  logger.logRequest('/api/jobs/:id/events', req);
+
+  try {
+    await streamJobEvents(jobStore, req.params.id, res, { userId: req.userId });
+  } catch (error) {
+    logger.logError('/api/jobs/:id/events', error, { jobId: req.params.id });
+
+    // 事件流已开始时只能直接关闭连接
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: error.message || '任务进度推送失败',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 取消异步任务
+app.delete('/api/jobs/:id', async (req, res) => {
+  logger.logRequest('/api/jobs/:id', req);
+
+  try {
+    const job = await cancelJob(jobStore, req.params.id, process.env.REPLICATE_API_TOKEN, req.userId, usageMeter, replicateLimiter);
+    logger.logResponse('/api/jobs/:id', 200, job);
+    res.json({ success: true, job });
+  } catch (error) {
+    logger.logError('/api/jobs/:id', error, { jobId: req.params.id });
+
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: error.message || '任务取消失败',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 批量任务的调度上下文：与单个任务相同的执行方式
+function batchContext() {
+  return {
+    apiToken: process.env.REPLICATE_API_TOKEN,
+    webhookUrl: process.env.REPLICATE_WEBHOOK_URL,
+    meter: usageMeter,
+    replicateLimiter
+  };
+}
+
+// 在后台调度批量任务，直到所有图像处理结束
+function scheduleBatch(id) {
+  runBatch(batchStores, id, batchContext()).catch((error) => {
+    logger.logError('/api/batches', error, { batchId: id });
+  });
+}
+
+// 创建批量任务
+app.post('/api/batches', async (req, res) => {
+  logger.logRequest('/api/batches', req);
+
+  try {
+    // 所有图像使用同一条流水线，可以用preset_id指定保存的预设
+    const params = await resolvePresetPipeline(presetStore, req.body || {}, req.userId);
+    const batch = await createBatch(batchStores, params, req.userId, usageMeter);
+    const response = {
+      success: true,
+      batch: toPublicBatch(batch),
+      status_url: `/api/batches/${batch.id}`
+    };
+
+    logger.logResponse('/api/batches', 202, response);
+    res.status(202).json(response);
+
+    scheduleBatch(batch.id);
+  } catch (error) {
+    logger.logError('/api/batches', error);
+
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: error.message || '批量任务创建失败',
+      ...quotaErrorPayload(error, res),
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 查询批量任务
+app.get('/api/batches/:id', async (req, res) => {
+  try {
+    const batch = await getBatch(batchStores, req.params.id, req.userId);
+    res.json({ success: true, batch });
+
+    // 调度中断（如使用文件存储时服务器重启）后由查询接管，已有调度器在运行时直接返回
+    if (batch.status === BATCH_STATUS.QUEUED || batch.status === BATCH_STATUS.RUNNING) {
+      scheduleBatch(batch.id);
+    }
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: error.message || '批量任务查询失败',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 取消批量任务中所有未完成的图像
+app.delete('/api/batches/:id', async (req, res) => {
+  logger.logRequest('/api/batches/:id', req);
+
+  try {
+    const batch = await cancelBatch(batchStores, req.params.id, req.userId, batchContext());
+    logger.logResponse('/api/batches/:id', 200, batch);
+    res.json({ success: true, batch });
+  } catch (error) {
+    logger.logError('/api/batches/:id', error, { batchId: req.params.id });
+
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: error.message || '批量任务取消失败',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 重试批量任务中失败或已取消的图像
+app.post('/api/batches/:id/items/:itemId/retry', async (req, res) => {
+  logger.logRequest('/api/batches/:id/items/:itemId/retry', req);
+
+  try {
+    const batch = await retryBatchItem(batchStores, req.params.id, req.params.itemId, req.userId);
+    res.json({ success: true, batch });
+
+    scheduleBatch(batch.id);
+  } catch (error) {
+    logger.logError('/api/batches/:id/items/:itemId/retry', error, { batchId: req.params.id, itemId: req.params.itemId });
+
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: error.message || '重试失败',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 以ZIP下载批量任务的结果
+app.get('/api/batches/:id/download', async (req, res) => {
+  logger.logRequest('/api/batches/:id/download', req);
+
+  try {
+    await streamBatchArchive(batchStores, req.params.id, res, { userId: req.userId });
+  } catch (error) {
+    logger.logError('/api/batches/:id/download', error, { batchId: req.params.id });
+
+    // 压缩包已开始写入时只能直接关闭连接
+    if (res.headersSent) {
+      return res.destroy();
+    }
+
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: error.message || '结果打包失败',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Replicate预测完成回调
+app.post('/api/replicate-webhook', async (req, res) => {
+  logger.logRequest('/api/replicate-webhook', req);
+
+  try {
+    // 使用原始请求体验证签名
+    verifyReplicateWebhook(req.headers, req.rawBody || '', process.env.REPLICATE_WEBHOOK_SECRET);
+
+    const job = await handleReplicateWebhook(
+      jobStore,
+      { jobId: req.query.job, stepIndex: req.query.step },
+      req.body,
+      process.env.REPLICATE_API_TOKEN,
+      { webhookUrl: process.env.REPLICATE_WEBHOOK_URL, meter: usageMeter, replicateLimiter }
+    );
+
+    const response = { success: true, job_id: job.id, status: job.status };
+    logger.logResponse('/api/replicate-webhook', 200, response);
+    res.json(response);
+  } catch (error) {
+    logger.logError('/api/replicate-webhook', error, { query: req.query });
+
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: error.message || 'Webhook处理失败',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 读取保存的处理结果
+app.get('/api/outputs/:name', async (req, res) => {
+  try {
+    const output = await readOutput(req.params.name);
+    if (!output) {
+      return res.status(404).json({
+        success: false,
+        error: `结果不存在: ${req.params.name}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // 结果按内容哈希命名，内容不会变化
+    res.set({
+      'Content-Type': output.contentType,
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      'ETag': `"${req.params.name.split('.')[0]}"`
+    });
+    res.send(output.body);
+  } catch (error) {
+    logger.logError('/api/outputs/:name', error, { name: req.params.name });
+
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: error.message || '结果读取失败',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Stripe订阅事件：授予或撤销Pro权益
+app.post('/api/webhook', async (req, res) => {
+  logger.logRequest('/api/webhook', req);
+
+  let event;
+  try {
+    // 使用原始请求体验证签名
+    event = Stripe.webhooks.constructEvent(req.rawBody || '', req.headers['stripe-signature'], process.env.STRIPE_WEBHOOK_SECRET);
+  } catch (error) {
+    logger.logError('/api/webhook', error);
+    return res.status(400).json({
+      success: false,
+      error: 'Webhook签名验证失败',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    // Checkout会话的价格需要通过Stripe API查询
+    const stripe = process.env.STRIPE_SECRET_KEY ? createStripeClient() : null;
+    const result = await handleStripeEvent(entitlementStore, event, { creditLedger, stripe });
+    logger.logResponse('/api/webhook', 200, result);
+    res.json({ received: true, ...result });
+  } catch (error) {
+    logger.logError('/api/webhook', error, { eventId: event.id });
+
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: error.message || '处理webhook事件失败',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 查询当前用户的订阅权益
+app.get('/api/me/entitlements', async (req, res) => {
+  try {
+    const entitlements = await getEntitlements(entitlementStore, req.userId);
+    res.json({ success: true, entitlements });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: error.message || '权益查询失败',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 查询当前用户的积分余额、交易记录、积分包和模型成本表
+app.get('/api/me/credits', async (req, res) => {
+  try {
+    const credits = await creditLedger.getAccount(req.userId);
+    res.json({ success: true, credits, packs: listCreditPacks(), costs: MODEL_COSTS });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: error.message || '积分查询失败',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 查询当前用户本计费周期的用量和套餐额度
+app.get('/api/me/usage', async (req, res) => {
+  try {
+    const usage = await usageMeter.getUsage(req.userId);
+    res.json({ success: true, usage });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: error.message || '用量查询失败',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 创建Stripe Checkout会话：priceId订阅Pro，packId购买一次性积分包
+app.post('/api/create-checkout-session', async (req, res) => {
+  logger.logRequest('/api/create-checkout-session', req);
+
+  try {
+    const { priceId, packId } = req.body || {};
+    const session = await createCheckoutSession(createStripeClient(), entitlementStore, req.userId, {
+      priceId,
+      packId,
+      origin: getAppUrl(`http://localhost:${PORT}`),
+      email: req.auth?.claims?.email
+    });
+    logger.logResponse('/api/create-checkout-session', 200, session);
+    res.json({ sessionId: session.id });
+  } catch (error) {
+    logger.logError('/api/create-checkout-session', error);
+
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: error.message || '创建支付会话失败',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 查询当前用户的订阅详情和最近账单（STRIPE_API_BASE_URL可指向stripe-mock）
+app.get('/api/me/subscription', async (req, res) => {
+  try {
+    const subscription = await getSubscriptionDetails(createStripeClient(), entitlementStore, req.userId);
+    res.json({ success: true, subscription });
+  } catch (error) {
+    logger.logError('/api/me/subscription', error);
+
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: error.message || '订阅查询失败',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 创建Stripe客户门户会话：取消订阅、更换套餐、更新支付方式
+app.post('/api/create-portal-session', async (req, res) => {
+  logger.logRequest('/api/create-portal-session', req);
+
+  try {
+    const { flow = null } = req.body || {};
+    const session = await createPortalSession(createStripeClient(), entitlementStore, req.userId, {
+      returnUrl: `${getAppUrl(`http://localhost:${PORT}`)}/billing`,
+      flow
+    });
+    logger.logResponse('/api/create-portal-session', 200, session);
+    res.json({ success: true, url: session.url });
+  } catch (error) {
+    logger.logError('/api/create-portal-session', error);
+
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: error.message || '创建客户门户会话失败',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 处理提供方及其在各步骤可用的模型
+app.get('/api/providers', (req, res) => {
+  try {
+    res.json({ success: true, providers: listProviders() });
+  } catch (error) {
+    logger.logError('/api/providers', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || '读取处理提供方失败',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 模型注册表：?provider= 和 ?category= 筛选，前端据此构建模型、倍数和类型选项
+app.get('/api/models', (req, res) => {
+  try {
+    const provider = req.query.provider ? resolveProviderName(req.query.provider) : undefined;
+    res.json({
+      success: true,
+      default_provider: resolveProviderName(),
+      models: listModels({ provider, category: req.query.category || undefined })
+    });
+  } catch (error) {
+    logger.logError('/api/models', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || '读取模型列表失败',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 增强预设：内置预设对所有人可见，用户预设只对创建者可见
+app.get('/api/presets', async (req, res) => {
+  try {
+    res.json({ success: true, presets: await listPresets(presetStore, req.userId) });
+  } catch (error) {
+    logger.logError('/api/presets', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || '读取预设失败',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 保存预设：请求体为 { name, description, pipeline } 或 { name, description, recommendations }
+app.post('/api/presets', async (req, res) => {
+  logger.logRequest('/api/presets', req);
+
+  try {
+    const preset = await createPreset(presetStore, req.userId, req.body || {});
+    res.status(201).json({ success: true, preset });
+  } catch (error) {
+    logger.logError('/api/presets', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || '保存预设失败',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 通过分享链接只读查看预设（不需要登录）
+app.get('/api/presets/shared/:token', async (req, res) => {
+  try {
+    res.json({ success: true, preset: await getSharedPreset(presetStore, req.params.token) });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || '读取分享的预设失败',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+app.get('/api/presets/:id', async (req, res) => {
+  try {
+    res.json({ success: true, preset: await getPreset(presetStore, req.params.id, req.userId) });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || '读取预设失败',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 更新预设：只更新请求体中提供的字段
+app.patch('/api/presets/:id', async (req, res) => {
+  logger.logRequest('/api/presets/:id', req);
+
+  try {
+    res.json({ success: true, preset: await updatePreset(presetStore, req.params.id, req.userId, req.body || {}) });
+  } catch (error) {
+    logger.logError('/api/presets/:id', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || '更新预设失败',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+app.delete('/api/presets/:id', async (req, res) => {
+  try {
+    await deletePreset(presetStore, req.params.id, req.userId);
+    res.json({ success: true });
+  } catch (error) {
+    logger.logError('/api/presets/:id', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || '删除预设失败',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 生成（POST）或撤销（DELETE）预设的只读分享链接
+app.post('/api/presets/:id/share', async (req, res) => {
+  try {
+    res.json({ success: true, preset: await setPresetSharing(presetStore, req.params.id, req.userId, true) });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || '生成分享链接失败',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+app.delete('/api/presets/:id/share', async (req, res) => {
+  try {
+    res.json({ success: true, preset: await setPresetSharing(presetStore, req.params.id, req.userId, false) });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || '撤销分享链接失败',
       timestamp: new Date().toISOString()
     });
   }
 });
 
 // 健康检查
-app.get('/api/health', (req, res) => {
+app.get('/api/health', async (req, res) => {
   res.json({
     status: 'ok',
     timestamp: new Date().toISOString(),
     environment: 'local-development',
-    nodeVersion: process.version
+    nodeVersion: process.version,
+    replicate: {
+      concurrency: await replicateLimiter.stats(),
+      circuits: getReplicateInvoker().breaker.stats()
+    }
   });
 });
 
@@ -568,6 +1265,35 @@ app.get('/', (req, res) => {
       'POST /api/detail-enhance - AI细节增强',
       'POST /api/autopilot-analyze - Autopilot智能分析',
       'POST /api/autopilot-enhance - Autopilot自动增强',
+      'POST /api/pipeline - 执行声明式增强流水线',
+      'POST /api/jobs - 创建异步任务',
+      'GET /api/jobs/:id - 查询异步任务',
+      'GET /api/jobs/:id/events - 订阅异步任务进度 (SSE)',
+      'DELETE /api/jobs/:id - 取消异步任务',
+      'POST /api/batches - 创建批量任务（多张图像或ZIP压缩包）',
+      'GET /api/batches/:id - 查询批量任务',
+      'DELETE /api/batches/:id - 取消批量任务',
+      'POST /api/batches/:id/items/:itemId/retry - 重试批量任务中的图像',
+      'GET /api/batches/:id/download - 以ZIP下载批量任务的结果和manifest.json',
+      'GET /api/outputs/:name - 读取保存的处理结果',
+      'POST /api/replicate-webhook - Replicate预测回调',
+      'POST /api/webhook - Stripe订阅事件回调',
+      'GET /api/me/entitlements - 查询当前用户的订阅权益',
+      'GET /api/me/usage - 查询当前用户的用量和套餐额度',
+      'GET /api/me/credits - 查询当前用户的积分余额和交易记录',
+      'POST /api/create-checkout-session - 创建Stripe Checkout会话',
+      'GET /api/me/subscription - 查询当前用户的订阅详情和账单',
+      'POST /api/create-portal-session - 创建Stripe客户门户会话',
+      'GET /api/providers - 查询处理提供方及可用模型',
+      'GET /api/models - 查询模型注册表（版本、参数schema、成本）',
+      'GET /api/presets - 查询内置预设和当前用户的预设',
+      'POST /api/presets - 保存预设',
+      'GET /api/presets/:id - 查询预设',
+      'PATCH /api/presets/:id - 更新预设',
+      'DELETE /api/presets/:id - 删除预设',
+      'POST /api/presets/:id/share - 生成预设的只读分享链接',
+      'DELETE /api/presets/:id/share - 撤销分享链接',
+      'GET /api/presets/shared/:token - 通过分享链接查看预设',
       'GET /api/health - 健康检查'
     ],
     timestamp: new Date().toISOString()
@@ -606,8 +1332,39 @@ app.listen(PORT, () => {
   console.log(`   POST http://localhost:${PORT}/api/detail-enhance`);
   console.log(`   POST http://localhost:${PORT}/api/autopilot-analyze`);
   console.log(`   POST http://localhost:${PORT}/api/autopilot-enhance`);
+  console.log(`   POST http://localhost:${PORT}/api/pipeline`);
+  console.log(`   POST http://localhost:${PORT}/api/jobs`);
+  console.log(`   GET  http://localhost:${PORT}/api/jobs/:id`);
+  console.log(`   GET  http://localhost:${PORT}/api/jobs/:id/events`);
+  console.log(`   DELETE http://localhost:${PORT}/api/jobs/:id`);
+  console.log(`   POST http://localhost:${PORT}/api/batches`);
+  console.log(`   GET  http://localhost:${PORT}/api/batches/:id`);
+  console.log(`   DELETE http://localhost:${PORT}/api/batches/:id`);
+  console.log(`   POST http://localhost:${PORT}/api/batches/:id/items/:itemId/retry`);
+  console.log(`   GET  http://localhost:${PORT}/api/batches/:id/download`);
+  console.log(`   GET  http://localhost:${PORT}/api/outputs/:name`);
+  console.log(`   POST http://localhost:${PORT}/api/replicate-webhook`);
+  console.log(`   POST http://localhost:${PORT}/api/webhook`);
+  console.log(`   GET  http://localhost:${PORT}/api/me/entitlements`);
+  console.log(`   GET  http://localhost:${PORT}/api/me/usage`);
+  console.log(`   GET  http://localhost:${PORT}/api/me/credits`);
+  console.log(`   POST http://localhost:${PORT}/api/create-checkout-session`);
+  console.log(`   GET  http://localhost:${PORT}/api/me/subscription`);
+  console.log(`   POST http://localhost:${PORT}/api/create-portal-session`);
+  console.log(`   GET  http://localhost:${PORT}/api/providers`);
+  console.log(`   GET  http://localhost:${PORT}/api/models`);
+  console.log(`   GET  http://localhost:${PORT}/api/presets`);
+  console.log(`   POST http://localhost:${PORT}/api/presets`);
+  console.log(`   GET  http://localhost:${PORT}/api/presets/:id`);
+  console.log(`   PATCH http://localhost:${PORT}/api/presets/:id`);
+  console.log(`   DELETE http://localhost:${PORT}/api/presets/:id`);
+  console.log(`   POST http://localhost:${PORT}/api/presets/:id/share`);
+  console.log(`   DELETE http://localhost:${PORT}/api/presets/:id/share`);
+  console.log(`   GET  http://localhost:${PORT}/api/presets/shared/:token`);
   console.log(`   GET  http://localhost:${PORT}/api/health`);
-  console.log(`\n💡 提示: 请确保设置了REPLICATE_API_TOKEN环境变量`);
+  console.log(`🔐 会话验证JWKS: ${getAuthConfig().jwksUrl || '未配置（付费接口将不可用）'}`);
+  console.log(`🧩 默认处理提供方: ${resolveProviderName()}`);
+  console.log(`\n💡 提示: 使用Replicate模型需要设置REPLICATE_API_TOKEN环境变量，未设置时默认使用本地处理`);
 });
 
 // 优雅关闭
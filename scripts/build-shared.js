@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+/**
+ * 共享模块构建脚本
+ * shared/src/*.js 是唯一的源码（ES模块语法），由本脚本生成：
+ *   - shared/*.mjs 供Vercel API（api/*.ts）使用
+ *   - shared/*.cjs 供本地开发服务器（local-server.cjs）使用
+ * 用法：
+ *   node scripts/build-shared.js          重新生成所有共享模块
+ *   node scripts/build-shared.js --check  仅检查生成文件是否与源码同步
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '..');
+
+const SOURCE_DIR = path.join(projectRoot, 'shared', 'src');
+const OUTPUT_DIR = path.join(projectRoot, 'shared');
+
+// 源码中允许使用的导出语法
+const EXPORT_DECLARATION = /^export (async function|function|const|let|class) ([A-Za-z_$][\w$]*)/gm;
+const IMPORT_DEFAULT = /^import ([A-Za-z_$][\w$]*) from '([^']+)';$/gm;
+const IMPORT_NAMED = /^import \{([^}]+)\} from '([^']+)';$/gm;
+
+/**
+ * 列出所有共享模块源码
+ * @returns {string[]} 模块名（不含扩展名）
+ */
+function listSharedModules() {
+  return fs.readdirSync(SOURCE_DIR)
+    .filter(file => file.endsWith('.js'))
+    .map(file => file.slice(0, -3))
+    .sort();
+}
+
+/**
+ * 改写相对路径导入的扩展名
+ * @param {string} specifier - 导入路径
+ * @param {string} extension - 目标扩展名（.cjs 或 .mjs）
+ * @returns {string} 改写后的导入路径
+ */
+function rewriteSpecifier(specifier, extension) {
+  if (!specifier.startsWith('.')) {
+    return specifier;
+  }
+  if (!specifier.endsWith('.js')) {
+    throw new Error(`共享模块的相对导入必须使用.js扩展名: ${specifier}`);
+  }
+  return specifier.slice(0, -3) + extension;
+}
+
+/**
+ * 生成文件头部的提示注释
+ * @param {string} name - 模块名
+ * @returns {string} 注释内容
+ */
+function generatedBanner(name) {
+  return `// 此文件由 scripts/build-shared.js 根据 shared/src/${name}.js 生成，请勿直接修改\n`;
+}
+
+/**
+ * 校验源码只使用构建脚本支持的模块语法
+ * @param {string} name - 模块名
+ * @param {string} source - 源码
+ */
+function assertSupportedSyntax(name, source) {
+  const withoutImports = source.replace(IMPORT_DEFAULT, '').replace(IMPORT_NAMED, '');
+  const invalid = withoutImports.match(/^(export (?!async function |function |const |let |class ).*|import .*)$/gm) || [];
+  if (invalid.length > 0) {
+    throw new Error(`shared/src/${name}.js 包含构建脚本不支持的语法: ${invalid[0]}`);
+  }
+  if (/\brequire\s*\(/.test(source)) {
+    throw new Error(`shared/src/${name}.js 不应使用require，请改用import`);
+  }
+}
+
+/**
+ * 将源码转换为ES模块版本
+ * @param {string} name - 模块名
+ * @param {string} source - 源码
+ * @returns {string} .mjs 文件内容
+ */
+function renderEsm(name, source) {
+  const body = source
+    .replace(IMPORT_DEFAULT, (_, binding, specifier) => `import ${binding} from '${rewriteSpecifier(specifier, '.mjs')}';`)
+    .replace(IMPORT_NAMED, (_, bindings, specifier) => `import {${bindings}} from '${rewriteSpecifier(specifier, '.mjs')}';`);
+  return generatedBanner(name) + body;
+}
+
+/**
+ * 将源码转换为CommonJS版本
+ * @param {string} name - 模块名
+ * @param {string} source - 源码
+ * @returns {string} .cjs 文件内容
+ */
+function renderCommonJs(name, source) {
+  const exportNames = [...source.matchAll(EXPORT_DECLARATION)].map(match => match[2]);
+  if (exportNames.length === 0) {
+    throw new Error(`shared/src/${name}.js 没有任何导出`);
+  }
+
+  const body = source
+    .replace(IMPORT_DEFAULT, (_, binding, specifier) => `const ${binding} = require('${rewriteSpecifier(specifier, '.cjs')}');`)
+    .replace(IMPORT_NAMED, (_, bindings, specifier) => `const {${bindings}} = require('${rewriteSpecifier(specifier, '.cjs')}');`)
+    .replace(EXPORT_DECLARATION, (_, kind, exportName) => `${kind} ${exportName}`)
+    .trimEnd();
+
+  const exportsBlock = `// CommonJS导出\nmodule.exports = {\n${exportNames.map(exportName => `  ${exportName}`).join(',\n')}\n};\n`;
+  return `${generatedBanner(name)}${body}\n\n${exportsBlock}`;
+}
+
+/**
+ * 生成单个共享模块的两种格式
+ * @param {string} name - 模块名
+ * @returns {Object} { name, outputs: Array<{ path, content }> }
+ */
+function renderSharedModule(name) {
+  const source = fs.readFileSync(path.join(SOURCE_DIR, `${name}.js`), 'utf8');
+  assertSupportedSyntax(name, source);
+
+  return {
+    name,
+    outputs: [
+      { path: path.join(OUTPUT_DIR, `${name}.cjs`), content: renderCommonJs(name, source) },
+      { path: path.join(OUTPUT_DIR, `${name}.mjs`), content: renderEsm(name, source) }
+    ]
+  };
+}
+
+/**
+ * 查找与源码不同步的生成文件
+ * @returns {string[]} 过期文件（相对项目根目录）
+ */
+function findStaleOutputs() {
+  const stale = [];
+  listSharedModules().forEach(name => {
+    renderSharedModule(name).outputs.forEach(output => {
+      const current = fs.existsSync(output.path) ? fs.readFileSync(output.path, 'utf8') : null;
+      if (current !== output.content) {
+        stale.push(path.relative(projectRoot, output.path));
+      }
+    });
+  });
+  return stale;
+}
+
+/**
+ * 生成所有共享模块
+ * @returns {string[]} 写入的文件（相对项目根目录）
+ */
+function buildSharedModules() {
+  const written = [];
+  listSharedModules().forEach(name => {
+    renderSharedModule(name).outputs.forEach(output => {
+      fs.writeFileSync(output.path, output.content);
+      written.push(path.relative(projectRoot, output.path));
+    });
+  });
+  return written;
+}
+
+/**
+ * 主函数
+ */
+function main() {
+  if (process.argv.includes('--check')) {
+    const stale = findStaleOutputs();
+    if (stale.length > 0) {
+      console.log('❌ 以下共享模块与 shared/src 不同步：');
+      stale.forEach(file => console.log(`   • ${file}`));
+      console.log('💡 运行 npm run build:shared 重新生成');
+      process.exit(1);
+    }
+    console.log('✅ 共享模块与源码同步');
+    return;
+  }
+
+  const written = buildSharedModules();
+  written.forEach(file => console.log(`📦 ${file}`));
+  console.log(`✅ 已生成 ${written.length} 个共享模块文件`);
+}
+
+// 运行主函数
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export {
+  listSharedModules,
+  renderSharedModule,
+  findStaleOutputs,
+  buildSharedModules
+};
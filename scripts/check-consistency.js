@@ -1,104 +1,38 @@
 #!/usr/bin/env node
 /**
  * 代码一致性检查脚本
- * 确保本地开发环境与Vercel生产环境的代码逻辑一致
+ * 确保本地开发环境（CommonJS）与Vercel生产环境（ES模块）加载的共享模块API完全一致，
+ * 任何导出或函数签名不一致都会以非零退出码失败，可作为构建前的守卫
  */
 
 import fs from 'fs';
 import path from 'path';
-import crypto from 'crypto';
-import { fileURLToPath } from 'url';
+import { createRequire } from 'module';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { listSharedModules, findStaleOutputs } from './build-shared.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const projectRoot = path.resolve(__dirname, '..');
+const require = createRequire(import.meta.url);
 
-// 需要检查一致性的文件对
-const CONSISTENCY_CHECKS = [
+// 使用共享模块的入口文件
+const SHARED_CONSUMERS = [
   {
-    name: 'API处理逻辑',
-    files: [
-      {
-        path: 'shared/api-handlers.cjs',
-        type: 'shared',
-        description: '共享API处理逻辑'
-      },
-      {
-        path: 'local-server.cjs',
-        type: 'local',
-        description: '本地开发服务器',
-        extractFunctions: ['processUpscale', 'processAnalyze']
-      },
-      {
-        path: 'api/upscale.ts',
-        type: 'vercel',
-        description: 'Vercel超分API',
-        extractFunctions: ['handler']
-      },
-      {
-        path: 'api/analyze.ts',
-        type: 'vercel',
-        description: 'Vercel分析API',
-        extractFunctions: ['handler']
-      }
-    ]
-  },
-  {
-    name: '依赖配置',
-    files: [
-      {
-        path: 'package.json',
-        type: 'config',
-        description: '项目依赖配置'
-      }
-    ]
+    path: 'local-server.cjs',
+    runtime: 'cjs',
+    description: '本地开发服务器',
+    pattern: /const\s*\{([^}]+)\}\s*=\s*require\(\s*'\.\/shared\/([\w-]+)\.cjs'\s*\)/g
   },
   {
-    name: '构建配置',
-    files: [
-      {
-        path: 'vite.config.ts',
-        type: 'config',
-        description: 'Vite构建配置'
-      },
-      {
-        path: 'tsconfig.json',
-        type: 'config',
-        description: 'TypeScript配置'
-      },
-      {
-        path: 'vercel.json',
-        type: 'config',
-        description: 'Vercel部署配置'
-      }
-    ]
+    dir: 'api',
+    extension: '.ts',
+    runtime: 'mjs',
+    description: 'Vercel API',
+    pattern: /import\s*\{([^}]+)\}\s*from\s*'\.\.\/shared\/([\w-]+)\.mjs'/g
   }
 ];
 
-// 关键代码模式检查
-const CODE_PATTERNS = {
-  replicateInit: {
-    pattern: /new\s+Replicate\s*\(\s*{[^}]*}\s*\)/g,
-    description: 'Replicate客户端初始化'
-  },
-  modelConfig: {
-    pattern: /(modelId|model)\s*[:=]\s*['"`][^'"` ]+['"`]/g,
-    description: '模型配置'
-  },
-  apiCall: {
-    pattern: /replicate\.run\s*\([^)]+\)/g,
-    description: 'Replicate API调用'
-  },
-  errorHandling: {
-    pattern: /(try\s*{|catch\s*\(|throw\s+new\s+Error)/g,
-    description: '错误处理'
-  },
-  envVars: {
-    pattern: /process\.env\.[A-Z_]+/g,
-    description: '环境变量使用'
-  }
-};
-
 /**
  * 读取文件内容
  * @param {string} filePath - 文件路径
@@ -113,281 +47,188 @@ function readFile(filePath) {
 }
 
 /**
- * 计算文件哈希
- * @param {string} content - 文件内容
- * @returns {string} 文件哈希
+ * 提取函数签名（是否异步、函数名与完整参数列表，含默认值）
+ * @param {Function} fn - 函数
+ * @returns {string} 签名描述
  */
-function calculateHash(content) {
-  return crypto.createHash('md5').update(content).digest('hex');
+function describeFunction(fn) {
+  const source = Function.prototype.toString.call(fn);
+  const open = source.indexOf('(');
+  let depth = 0;
+  let close = open;
+  for (let i = open; i < source.length; i++) {
+    if (source[i] === '(') depth++;
+    if (source[i] === ')') depth--;
+    if (depth === 0) {
+      close = i;
+      break;
+    }
+  }
+
+  const params = source.slice(open + 1, close).replace(/\s+/g, ' ').trim();
+  const isAsync = /^async\b/.test(source);
+  return `${isAsync ? 'async ' : ''}${fn.name}(${params})`;
 }
 
 /**
- * 提取函数代码
- * @param {string} content - 文件内容
- * @param {string} functionName - 函数名
- * @returns {string|null} 函数代码
+ * 描述导出成员，用于在两种运行时之间比较
+ * @param {any} value - 导出值
+ * @returns {string} 成员描述
  */
-function extractFunction(content, functionName) {
-  // 匹配函数定义的正则表达式
-  const patterns = [
-    // JavaScript/TypeScript 函数
-    new RegExp(`(async\s+)?function\s+${functionName}\s*\([^)]*\)\s*{`, 'g'),
-    // 箭头函数
-    new RegExp(`(const|let|var)\s+${functionName}\s*=\s*(async\s+)?\([^)]*\)\s*=>\s*{`, 'g'),
-    // 对象方法
-    new RegExp(`${functionName}\s*:\s*(async\s+)?\([^)]*\)\s*=>\s*{`, 'g'),
-    // 类方法
-    new RegExp(`(async\s+)?${functionName}\s*\([^)]*\)\s*{`, 'g')
-  ];
-  
-  for (const pattern of patterns) {
-    const match = pattern.exec(content);
-    if (match) {
-      const startIndex = match.index;
-      let braceCount = 0;
-      let endIndex = startIndex;
-      
-      // 找到函数的结束位置
-      for (let i = startIndex; i < content.length; i++) {
-        if (content[i] === '{') braceCount++;
-        if (content[i] === '}') braceCount--;
-        if (braceCount === 0 && content[i] === '}') {
-          endIndex = i + 1;
-          break;
-        }
-      }
-      
-      return content.substring(startIndex, endIndex);
-    }
+function describeExport(value) {
+  if (typeof value === 'function') {
+    return describeFunction(value);
   }
-  
-  return null;
+  return `${typeof value} ${JSON.stringify(value)}`;
 }
 
 /**
- * 提取代码模式
- * @param {string} content - 文件内容
- * @param {Object} pattern - 模式配置
- * @returns {Array} 匹配结果
+ * 分别以CommonJS和ES模块方式加载共享模块
+ * @param {string} name - 模块名
+ * @returns {Promise<Object>} { cjs, mjs }
  */
-function extractPattern(content, pattern) {
-  const matches = [];
-  let match;
-  
-  while ((match = pattern.pattern.exec(content)) !== null) {
-    matches.push({
-      match: match[0],
-      index: match.index,
-      line: content.substring(0, match.index).split('\n').length
-    });
-  }
-  
-  return matches;
+async function loadSharedModule(name) {
+  const cjs = require(path.join(projectRoot, 'shared', `${name}.cjs`));
+  const mjs = await import(pathToFileURL(path.join(projectRoot, 'shared', `${name}.mjs`)).href);
+  return { cjs, mjs: { ...mjs } };
 }
 
 /**
- * 检查文件一致性
- * @param {Object} checkConfig - 检查配置
- * @returns {Object} 检查结果
+ * 检查生成文件是否与源码同步
+ * @returns {Array} 问题列表
  */
-function checkFileConsistency(checkConfig) {
-  console.log(`\n🔍 检查 ${checkConfig.name}...`);
-  
-  const results = {
-    name: checkConfig.name,
-    files: [],
-    issues: [],
-    summary: {
-      total: checkConfig.files.length,
-      missing: 0,
-      inconsistent: 0,
-      consistent: 0
-    }
-  };
-  
-  // 读取所有文件
-  checkConfig.files.forEach(fileConfig => {
-    const content = readFile(fileConfig.path);
-    const fileResult = {
-      ...fileConfig,
-      exists: content !== null,
-      content,
-      hash: content ? calculateHash(content) : null,
-      functions: {},
-      patterns: {}
-    };
-    
-    if (!content) {
-      results.summary.missing++;
-      results.issues.push({
-        type: 'missing',
-        file: fileConfig.path,
-        message: `文件不存在: ${fileConfig.path}`
-      });
-      console.log(`❌ ${fileConfig.path}: 文件不存在`);
-    } else {
-      console.log(`✅ ${fileConfig.path}: 文件存在`);
-      
-      // 提取函数
-      if (fileConfig.extractFunctions) {
-        fileConfig.extractFunctions.forEach(funcName => {
-          const funcCode = extractFunction(content, funcName);
-          fileResult.functions[funcName] = funcCode;
-          if (!funcCode) {
-            results.issues.push({
-              type: 'missing_function',
-              file: fileConfig.path,
-              function: funcName,
-              message: `函数 ${funcName} 在 ${fileConfig.path} 中未找到`
-            });
-          }
-        });
-      }
-      
-      // 提取代码模式
-      Object.entries(CODE_PATTERNS).forEach(([patternName, patternConfig]) => {
-        const matches = extractPattern(content, patternConfig);
-        fileResult.patterns[patternName] = matches;
-      });
-    }
-    
-    results.files.push(fileResult);
-  });
-  
-  return results;
+function checkGeneratedOutputs() {
+  console.log('\n🔍 检查共享模块生成文件...');
+
+  return findStaleOutputs().map(file => ({
+    type: 'stale_output',
+    file,
+    message: `${file} 与 shared/src 不同步（可能被直接修改过）`
+  }));
 }
 
 /**
- * 比较函数一致性
- * @param {Array} files - 文件列表
- * @returns {Array} 不一致问题
+ * 比较两种运行时的导出API
+ * @param {string} name - 模块名
+ * @param {Object} modules - { cjs, mjs }
+ * @returns {Array} 问题列表
  */
-function compareFunctionConsistency(files) {
+function compareModuleApi(name, { cjs, mjs }) {
   const issues = [];
-  const functionGroups = {};
-  
-  // 按函数名分组
-  files.forEach(file => {
-    if (file.functions) {
-      Object.entries(file.functions).forEach(([funcName, funcCode]) => {
-        if (!functionGroups[funcName]) {
-          functionGroups[funcName] = [];
-        }
-        functionGroups[funcName].push({
-          file: file.path,
-          code: funcCode,
-          hash: funcCode ? calculateHash(funcCode) : null
-        });
+  const exportNames = [...new Set([...Object.keys(cjs), ...Object.keys(mjs)])].sort();
+
+  exportNames.forEach(exportName => {
+    if (!(exportName in cjs) || !(exportName in mjs)) {
+      const missingIn = exportName in cjs ? `${name}.mjs` : `${name}.cjs`;
+      issues.push({
+        type: 'missing_export',
+        module: name,
+        export: exportName,
+        message: `${missingIn} 缺少导出 ${exportName}`
       });
+      return;
     }
-  });
-  
-  // 检查每个函数组的一致性
-  Object.entries(functionGroups).forEach(([funcName, implementations]) => {
-    const hashes = implementations.map(impl => impl.hash).filter(Boolean);
-    const uniqueHashes = [...new Set(hashes)];
-    
-    if (uniqueHashes.length > 1) {
+
+    const cjsSignature = describeExport(cjs[exportName]);
+    const mjsSignature = describeExport(mjs[exportName]);
+    if (cjsSignature !== mjsSignature) {
       issues.push({
-        type: 'function_inconsistency',
-        function: funcName,
-        implementations: implementations.map(impl => impl.file),
-        message: `函数 ${funcName} 在不同文件中实现不一致`
+        type: 'signature_inconsistency',
+        module: name,
+        export: exportName,
+        message: `${name} 的 ${exportName} 在两种运行时中不一致:\n      cjs: ${cjsSignature}\n      mjs: ${mjsSignature}`
       });
     }
   });
-  
+
+  console.log(`${issues.length === 0 ? '✅' : '❌'} shared/${name}: ${exportNames.length} 个导出`);
   return issues;
 }
 
 /**
- * 比较代码模式一致性
- * @param {Array} files - 文件列表
- * @returns {Array} 不一致问题
+ * 列出入口文件
+ * @param {Object} consumer - 入口配置
+ * @returns {string[]} 文件路径（相对项目根目录）
+ */
+function listConsumerFiles(consumer) {
+  if (consumer.path) {
+    return [consumer.path];
+  }
+  return fs.readdirSync(path.join(projectRoot, consumer.dir))
+    .filter(file => file.endsWith(consumer.extension))
+    .map(file => path.join(consumer.dir, file));
+}
+
+/**
+ * 检查入口文件引用的共享API是否都存在
+ * @param {Object} loadedModules - 模块名到 { cjs, mjs } 的映射
+ * @returns {Array} 问题列表
  */
-function comparePatternConsistency(files) {
+function checkConsumers(loadedModules) {
+  console.log('\n🔍 检查共享模块的使用方...');
   const issues = [];
-  const patternGroups = {};
-  
-  // 按模式分组
-  files.forEach(file => {
-    if (file.patterns) {
-      Object.entries(file.patterns).forEach(([patternName, matches]) => {
-        if (!patternGroups[patternName]) {
-          patternGroups[patternName] = [];
+
+  SHARED_CONSUMERS.forEach(consumer => {
+    listConsumerFiles(consumer).forEach(filePath => {
+      const content = readFile(filePath);
+      if (content === null) {
+        issues.push({ type: 'missing', file: filePath, message: `文件不存在: ${filePath}` });
+        return;
+      }
+
+      for (const match of content.matchAll(consumer.pattern)) {
+        const moduleName = match[2];
+        const imported = match[1].split(',').map(item => item.trim().split(/\s+as\s+/)[0]).filter(Boolean);
+        const loaded = loadedModules[moduleName];
+
+        if (!loaded) {
+          issues.push({ type: 'missing', file: filePath, message: `${filePath} 引用了不存在的共享模块 ${moduleName}` });
+          continue;
         }
-        patternGroups[patternName].push({
-          file: file.path,
-          matches
-        });
-      });
-    }
-  });
-  
-  // 检查关键模式的一致性
-  Object.entries(patternGroups).forEach(([patternName, fileMatches]) => {
-    const patternConfig = CODE_PATTERNS[patternName];
-    
-    // 检查模型配置一致性
-    if (patternName === 'modelConfig') {
-      const modelIds = new Set();
-      fileMatches.forEach(({ file, matches }) => {
-        matches.forEach(match => {
-          const modelId = match.match.match(/['"`]([^'"` ]+)['"`]/)?.[1];
-          if (modelId) {
-            modelIds.add(modelId);
-          }
-        });
-      });
-      
-      if (modelIds.size > 1) {
-        issues.push({
-          type: 'pattern_inconsistency',
-          pattern: patternName,
-          message: `模型ID不一致: ${Array.from(modelIds).join(', ')}`,
-          files: fileMatches.map(fm => fm.file)
-        });
+
+        imported
+          .filter(importName => !(importName in loaded[consumer.runtime]))
+          .forEach(importName => {
+            issues.push({
+              type: 'missing_export',
+              file: filePath,
+              module: moduleName,
+              export: importName,
+              message: `${filePath} 引用了 ${moduleName}.${consumer.runtime} 中不存在的 ${importName}`
+            });
+          });
       }
-    }
-    
-    // 检查环境变量使用一致性
-    if (patternName === 'envVars') {
-      const envVars = new Set();
-      fileMatches.forEach(({ file, matches }) => {
-        matches.forEach(match => {
-          envVars.add(match.match);
-        });
-      });
-      
-      // 记录使用的环境变量
-      console.log(`📋 ${patternConfig.description}: ${Array.from(envVars).join(', ')}`);
-    }
+      console.log(`✅ ${filePath} (${consumer.description})`);
+    });
   });
-  
+
   return issues;
 }
 
 /**
- * 检查依赖版本一致性
- * @param {string} packageJsonContent - package.json内容
+ * 检查依赖配置
  * @returns {Array} 问题列表
  */
-function checkDependencyConsistency(packageJsonContent) {
+function checkDependencyConsistency() {
+  console.log('\n🔍 检查依赖配置...');
   const issues = [];
-  
+
   try {
-    const packageJson = JSON.parse(packageJsonContent);
+    const packageJson = JSON.parse(readFile('package.json'));
     const { dependencies = {}, devDependencies = {} } = packageJson;
-    
+
     // 检查关键依赖
     const criticalDeps = {
       'replicate': '用于AI模型调用',
+      'jpeg-js': 'JPEG像素解码',
+      'pngjs': 'PNG像素解码',
+      'formidable': '图像上传解析',
       'vite': '前端构建工具',
       'typescript': 'TypeScript支持',
       '@clerk/clerk-react': 'Clerk用户认证',
       'stripe': 'Stripe支付'
     };
-    
+
     Object.entries(criticalDeps).forEach(([dep, description]) => {
       const version = dependencies[dep] || devDependencies[dep];
       if (!version) {
@@ -400,147 +241,78 @@ function checkDependencyConsistency(packageJsonContent) {
         console.log(`✅ ${dep}: ${version}`);
       }
     });
-    
   } catch (error) {
     issues.push({
       type: 'invalid_package_json',
       message: `package.json格式错误: ${error.message}`
     });
   }
-  
+
   return issues;
 }
 
 /**
  * 生成一致性报告
- * @param {Array} allResults - 所有检查结果
+ * @param {Array} issues - 所有问题
+ * @returns {boolean} 是否通过
  */
-function generateConsistencyReport(allResults) {
+function generateConsistencyReport(issues) {
   console.log('\n📊 一致性检查报告:');
-  
-  let totalIssues = 0;
-  let criticalIssues = 0;
-  
-  allResults.forEach(result => {
-    console.log(`\n📁 ${result.name}:`);
-    console.log(`   • 文件总数: ${result.summary.total}`);
-    console.log(`   • 缺失文件: ${result.summary.missing}`);
-    console.log(`   • 问题数量: ${result.issues.length}`);
-    
-    totalIssues += result.issues.length;
-    
-    // 显示具体问题
-    result.issues.forEach(issue => {
-      const icon = issue.type.includes('missing') ? '❌' : '⚠️';
-      console.log(`   ${icon} ${issue.message}`);
-      
-      if (issue.type.includes('missing') || issue.type.includes('inconsistency')) {
-        criticalIssues++;
-      }
-    });
+
+  if (issues.length === 0) {
+    console.log('   • 未发现问题');
+    return true;
+  }
+
+  issues.forEach(issue => {
+    console.log(`   ❌ ${issue.message}`);
   });
-  
-  console.log('\n📈 总结:');
-  console.log(`   • 总问题数: ${totalIssues}`);
-  console.log(`   • 严重问题: ${criticalIssues}`);
-  console.log(`   • 警告问题: ${totalIssues - criticalIssues}`);
-  
-  return {
-    totalIssues,
-    criticalIssues,
-    success: criticalIssues === 0
-  };
-}
 
-/**
- * 生成修复建议
- * @param {Array} allResults - 所有检查结果
- */
-function generateFixRecommendations(allResults) {
   console.log('\n💡 修复建议:');
-  
-  const recommendations = [];
-  
-  allResults.forEach(result => {
-    result.issues.forEach(issue => {
-      switch (issue.type) {
-        case 'missing':
-          recommendations.push(`创建缺失文件: ${issue.file}`);
-          break;
-        case 'function_inconsistency':
-          recommendations.push(`统一函数实现: ${issue.function} (文件: ${issue.implementations.join(', ')})`);
-          break;
-        case 'pattern_inconsistency':
-          recommendations.push(`统一代码模式: ${issue.message}`);
-          break;
-        case 'missing_dependency':
-          recommendations.push(`安装缺失依赖: npm install ${issue.dependency}`);
-          break;
-      }
-    });
-  });
-  
-  if (recommendations.length === 0) {
-    console.log('✅ 无需修复，代码一致性良好！');
-  } else {
-    recommendations.forEach((rec, index) => {
-      console.log(`   ${index + 1}. ${rec}`);
-    });
+  if (issues.some(issue => issue.type === 'stale_output' || issue.type === 'signature_inconsistency')) {
+    console.log('   • 只修改 shared/src 下的源码，然后运行 npm run build:shared 重新生成 .cjs/.mjs');
+  }
+  if (issues.some(issue => issue.type === 'missing_export')) {
+    console.log('   • 确认引用的函数已在 shared/src 中导出');
+  }
+  if (issues.some(issue => issue.type === 'missing_dependency')) {
+    console.log('   • 使用 npm install 安装缺失依赖');
   }
-  
-  console.log('\n🔧 自动修复:');
-  console.log('   • 运行 npm run fix-consistency 自动修复部分问题');
-  console.log('   • 运行 npm run sync-env 同步环境变量');
-  console.log('   • 查看 ./doc/DEPLOYMENT.md 获取详细指南');
+
+  return false;
 }
 
 /**
  * 主函数
  */
-function main() {
-  console.log('🔧 图像质量AI应用 - 代码一致性检查工具\n');
-  
-  const allResults = [];
-  
-  // 执行所有一致性检查
-  CONSISTENCY_CHECKS.forEach(checkConfig => {
-    const result = checkFileConsistency(checkConfig);
-    
-    // 检查函数一致性
-    const functionIssues = compareFunctionConsistency(result.files);
-    result.issues.push(...functionIssues);
-    
-    // 检查代码模式一致性
-    const patternIssues = comparePatternConsistency(result.files);
-    result.issues.push(...patternIssues);
-    
-    // 检查依赖一致性
-    if (checkConfig.name === '依赖配置') {
-      const packageFile = result.files.find(f => f.path === 'package.json');
-      if (packageFile && packageFile.content) {
-        const depIssues = checkDependencyConsistency(packageFile.content);
-        result.issues.push(...depIssues);
-      }
+async function main() {
+  console.log('🔧 图像质量AI应用 - 代码一致性检查工具');
+
+  const issues = [];
+  issues.push(...checkGeneratedOutputs());
+
+  console.log('\n🔍 比较CommonJS与ES模块的导出API...');
+  const loadedModules = {};
+  for (const name of listSharedModules()) {
+    try {
+      loadedModules[name] = await loadSharedModule(name);
+      issues.push(...compareModuleApi(name, loadedModules[name]));
+    } catch (error) {
+      issues.push({ type: 'load_error', module: name, message: `无法加载共享模块 ${name}: ${error.message}` });
     }
-    
-    allResults.push(result);
-  });
-  
-  // 生成报告
-  const summary = generateConsistencyReport(allResults);
-  
-  // 生成建议
-  generateFixRecommendations(allResults);
-  
-  // 退出码
-  const exitCode = summary.success ? 0 : 1;
-  if (exitCode === 0) {
+  }
+
+  issues.push(...checkConsumers(loadedModules));
+  issues.push(...checkDependencyConsistency());
+
+  const success = generateConsistencyReport(issues);
+  if (success) {
     console.log('\n✅ 代码一致性检查通过！');
   } else {
     console.log('\n❌ 代码一致性检查失败，请修复上述问题后重试。');
   }
-  
-  process.exit(exitCode);
+
+  process.exit(success ? 0 : 1);
 }
 
 // 运行主函数
@@ -549,8 +321,8 @@ if (import.meta.url === `file://${process.argv[1]}`) {
 }
 
 export {
-  checkFileConsistency,
-  compareFunctionConsistency,
-  comparePatternConsistency,
-  CONSISTENCY_CHECKS
-};
\ No newline at end of file
+  describeExport,
+  compareModuleApi,
+  checkConsumers,
+  SHARED_CONSUMERS
+};
@@ -0,0 +1,12 @@
+/**
+ * 测试进程预加载脚本（npm test 通过 --import 加载）
+ * Node 20的测试运行器从子进程stdout读取序列化的测试结果，以emoji开头的日志紧跟在一条结果之后时
+ * 会被当作结果解析，整个测试文件报告 "Unable to deserialize cloned data"。
+ * 测试子进程中的日志改为写入stderr，内容不变，仍显示在测试输出中
+ */
+
+if (process.env.NODE_TEST_CONTEXT) {
+  console.log = console.error;
+  console.info = console.error;
+  console.debug = console.error;
+}
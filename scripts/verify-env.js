@@ -35,6 +35,12 @@ const REQUIRED_ENV_VARS = {
     description: 'Clerk Secret Key (后端使用)',
     example: 'sk_test_your_actual_key_here'
   },
+  'CLERK_JWKS_URL': {
+    required: false,
+    pattern: /^https?:\/\/.+/,
+    description: 'Clerk JWKS地址 (未设置时根据Publishable Key推导)',
+    example: 'https://your-app.clerk.accounts.dev/.well-known/jwks.json'
+  },
   
   // Stripe 支付 (可选)
   'VITE_STRIPE_PUBLISHABLE_KEY': {
@@ -1,239 +1,267 @@
+// 此文件由 scripts/build-shared.js 根据 shared/src/api-handlers.js 生成，请勿直接修改
 /**
- * 共享API处理逻辑 (ES模块版本)
+ * 共享API处理逻辑
  * 确保本地开发环境与Vercel生产环境的代码完全一致
  */
 
-import Replicate from 'replicate';
+import { parseImageHeader } from './image-header.mjs';
+import { isDecodableFormat, decodeImage } from './image-decoder.mjs';
+import { isTrustedImageUrl, readImageInput } from './image-processing.mjs';
+import { computeImageMetrics } from './image-metrics.mjs';
+import { detectQualityIssues } from './quality-detectors.mjs';
+import { DEFAULT_AUTOPILOT_RULES, calculateQualityScores, generateEnhancementRecommendations } from './autopilot-rules.mjs';
+import { persistOutput } from './outputs.mjs';
+import { selectAutoTone } from './auto-tone.mjs';
+import { createHttpError } from './http-errors.mjs';
+import { getProvider } from './providers.mjs';
 
 /**
- * 初始化Replicate客户端
- * @param {string} apiToken - Replicate API Token
- * @returns {Object} Replicate客户端实例
+ * 把处理过程中的错误转换为对用户友好的错误，保留HTTP状态码、结构化字段和调用次数
+ * @param {Error} error - 原始错误
+ * @param {string} label - 处理名称，如 '图像超分处理'
+ * @returns {Error} 转换后的错误
  */
-export function createReplicateClient(apiToken) {
-  if (!apiToken) {
-    throw new Error('REPLICATE_API_TOKEN is required');
+function toProcessingError(error, label) {
+  let message;
+  if (error.message?.includes('insufficient_quota')) {
+    message = 'API配额不足，请检查Replicate账户余额';
+  } else if (error.message?.includes('rate_limit')) {
+    message = '请求频率过高，请稍后再试';
+  } else if (error.message?.includes('authentication')) {
+    message = 'API认证失败，请检查REPLICATE_API_TOKEN配置';
+  } else {
+    message = `${label}失败: ${error.message}`;
   }
-  return new Replicate({ auth: apiToken });
+
+  const processingError = error.statusCode ? createHttpError(message, error.statusCode, error.payload) : new Error(message);
+  if (error.attempts !== undefined) {
+    processingError.attempts = error.attempts;
+    processingError.last_error = error.last_error;
+  }
+  return processingError;
+}
+
+/**
+ * 从预测对象中提取进度：百分比取日志中最后一个tqdm进度条（如 " 45%|████▌     | 9/20"），
+ * 模型没有输出进度条时为null
+ * @param {Object} prediction - Replicate预测对象
+ * @returns {Object} { status, percent, logs } logs为最后几行日志
+ */
+export function parsePredictionProgress(prediction) {
+  const logs = typeof prediction?.logs === 'string' ? prediction.logs : '';
+  const lines = logs.split(/[\r\n]+/).map(line => line.trim()).filter(Boolean);
+
+  let percent = null;
+  for (let i = lines.length - 1; i >= 0 && percent === null; i--) {
+    const match = lines[i].match(/(\d{1,3})%\|/);
+    if (match) {
+      percent = Math.min(100, Number(match[1]));
+    }
+  }
+
+  return {
+    status: prediction?.status || null,
+    percent,
+    logs: lines.slice(-5).join('\n') || null
+  };
 }
 
 /**
  * 验证图像数据
+ * 接受图像data URL、纯Base64数据和可信的结果地址（上一步骤的输出）；其他地址不会被下载，按无效输入返回400
  * @param {string} imageBase64 - Base64编码的图像数据
  * @returns {boolean} 验证结果
  */
 export function validateImageData(imageBase64) {
-  if (!imageBase64) {
-    throw new Error('缺少图像数据，请提供base64编码的图像数据');
+  if (!imageBase64 || typeof imageBase64 !== 'string') {
+    throw createHttpError('缺少图像数据，请提供base64编码的图像数据', 400);
+  }
+
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(imageBase64)) {
+    if (!isTrustedImageUrl(imageBase64)) {
+      console.log('❌ 拒绝读取不受信任的图像地址:', imageBase64.substring(0, 100));
+      throw createHttpError('不支持从该地址读取图像，请上传图像文件或提供base64编码的图像数据', 400);
+    }
+    return true;
   }
 
   // 检查是否为有效的base64格式 - 更宽松的验证
   const base64Regex = /^data:image\/(jpeg|jpg|png|webp|gif|bmp|tiff)/i;
   if (!base64Regex.test(imageBase64)) {
     // 如果没有data:image前缀，检查是否是纯base64数据
-    if (!imageBase64.startsWith('data:')) {
-      // 假设是纯base64数据，添加默认前缀
+    if (!imageBase64.startsWith('data:') && /^[A-Za-z0-9+/\s]+=*\s*$/.test(imageBase64)) {
       console.log('⚠️ 检测到纯base64数据，添加默认图像前缀');
       return true;
     }
 
     console.log('❌ 图像格式验证失败，数据前缀:', imageBase64.substring(0, 50));
-    throw new Error('图像格式不支持，请使用JPG、PNG或WEBP格式');
+    throw createHttpError('图像格式不支持，请使用JPG、PNG或WEBP格式', 400);
   }
 
   return true;
 }
 
 /**
- * 验证超分参数
- * @param {string} model - 模型名称
- * @param {number} scale - 缩放倍数
- * @returns {boolean} 验证结果
+ * 从模型输出中取出结果图像
+ * @param {any} output - Replicate模型输出（URL字符串或URL数组）
+ * @returns {string} 结果图像URL
  */
-export function validateUpscaleParams(model, scale) {
-  // 验证模型类型
-  const supportedModels = ['real-esrgan', 'aura-sr-v2'];
-  if (!supportedModels.includes(model)) {
-    throw new Error(`不支持的模型类型: ${model}。支持的模型: ${supportedModels.join(', ')}`);
+function extractOutputImage(output) {
+  let imageUrl;
+  if (Array.isArray(output)) {
+    imageUrl = output[0];
+  } else if (typeof output === 'string') {
+    imageUrl = output;
+  } else {
+    throw new Error('模型返回了无效的输出格式');
   }
-  
-  // 验证缩放倍数
-  const validScales = [2, 4, 8];
-  if (!validScales.includes(scale)) {
-    throw new Error(`不支持的缩放倍数: ${scale}。支持的倍数: ${validScales.join(', ')}`);
+
+  if (!imageUrl) {
+    throw new Error('模型返回了空结果');
   }
-  
-  return true;
+  return imageUrl;
 }
 
 /**
- * 构建模型配置
- * @param {string} imageBase64 - Base64编码的图像数据
+ * 格式化超分结果
+ * @param {Object} outputImage - persistOutput返回的结果图像信息
  * @param {number} scale - 缩放倍数
- * @param {boolean} faceEnhance - 是否启用面部增强
- * @returns {Object} 模型配置对象
+ * @param {boolean} face_enhance - 是否启用面部增强
+ * @param {string} model - 模型名称
+ * @param {number} processingTime - 处理耗时(ms)
+ * @returns {Object} 处理结果
  */
-export function buildModelConfig(imageBase64, scale = 2, faceEnhance = true) {
+function formatUpscaleResult(outputImage, scale, face_enhance, model, processingTime) {
   return {
-    image: imageBase64,
+    success: true,
+    upscaled_image: outputImage.url,
+    output_image: outputImage,
     scale: scale,
-    face_enhance: faceEnhance
+    face_enhance: face_enhance,
+    model: model,
+    message: '图像超分处理完成',
+    timestamp: new Date().toISOString(),
+    processing_time_ms: processingTime,
+    environment: process.env.NODE_ENV || 'development'
   };
 }
 
 /**
- * 处理图像超分请求 - 统一接口
+ * 执行图像超分处理 - 统一接口
  * @param {string} imageBase64 - Base64编码的图像数据
  * @param {number} scale - 缩放倍数
- * @param {boolean} faceEnhance - 是否启用面部增强
- * @param {string} model - 模型类型
+ * @param {boolean} face_enhance - 是否启用面部增强
+ * @param {string} model - 模型名称
  * @param {string} apiToken - API Token
- * @returns {Promise<Object>} 处理结果
+ * @param {Function} onProgress - 预测状态更新回调（可选），参数为Replicate预测对象
+ * @param {Object} options - { provider, client, invoker } provider为处理提供方（默认按环境确定），
+ *   client和invoker替换Replicate客户端和调用器（可选），用于测试
+ * @returns {Promise<Object>} 处理结果，provider为处理提供方，attempts为模型调用次数，last_error为最后一次失败调用的错误信息
  */
-export async function processUpscale(imageBase64, scale = 2, faceEnhance = true, model = 'real-esrgan', apiToken) {
+export async function processUpscale(imageBase64, scale = 2, face_enhance = false, model = 'real-esrgan', apiToken, onProgress, options = {}) {
   const startTime = Date.now();
 
   try {
     // 验证输入参数
     validateImageData(imageBase64);
-    validateUpscaleParams(model, scale);
-
-    // 创建Replicate客户端
-    const replicate = createReplicateClient(apiToken);
-
-    // 构建模型配置
-    const input = buildModelConfig(imageBase64, scale, faceEnhance);
-
-    // 选择模型 - 使用正确的模型ID
-    let modelName;
-    switch (model) {
-      case 'real-esrgan':
-        modelName = 'nightmareai/real-esrgan:f121d640bd286e1fdc67f9799164c1d5be36ff74576ee11c803ae5b665dd46aa';
-        break;
-      case 'aura-sr-v2':
-        modelName = 'zsxkib/aura-sr-v2:5c137257cce8d5ce16e8a334b70e9e025106b5580affed0bc7d48940b594e74c';
-        break;
-      default:
-        throw new Error(`不支持的模型: ${model}`);
-    }
 
-    // 调用Replicate API
-    console.log(`🚀 开始处理图像超分，模型: ${model}, 缩放倍数: ${scale}x`);
-    const output = await replicate.run(modelName, { input });
-
-    // 处理输出结果
-    let upscaledImageUrl;
-    if (Array.isArray(output)) {
-      upscaledImageUrl = output[0];
-    } else if (typeof output === 'string') {
-      upscaledImageUrl = output;
-    } else {
-      throw new Error('模型返回了无效的输出格式');
-    }
+    // 由处理提供方执行
+    const provider = getProvider(options.provider);
+    console.log(`🚀 开始处理图像超分（${provider.name}），模型: ${model}, 缩放倍数: ${scale}x`);
+    const { output, model: usedModel, attempts, last_error } = await provider.run(
+      'upscale', { model, scale, face_enhance }, imageBase64, { ...options, apiToken, onProgress }
+    );
 
-    if (!upscaledImageUrl) {
-      throw new Error('模型返回了空结果');
-    }
+    // 保存结果，返回稳定地址
+    const outputImage = await persistOutput(extractOutputImage(output), 'upscale');
 
     const processingTime = Date.now() - startTime;
     console.log(`✅ 图像超分处理完成，耗时: ${processingTime}ms`);
 
-    return {
-      success: true,
-      upscaled_image: upscaledImageUrl,
-      scale: scale,
-      face_enhance: faceEnhance,
-      model: model,
-      message: '图像超分处理完成',
-      timestamp: new Date().toISOString(),
-      processing_time_ms: processingTime,
-      environment: process.env.NODE_ENV || 'development'
-    };
+    return { ...formatUpscaleResult(outputImage, scale, face_enhance, usedModel, processingTime), provider: provider.name, attempts, last_error };
 
   } catch (error) {
-    const processingTime = Date.now() - startTime;
     console.error('❌ 图像超分处理失败:', error.message);
 
     // 统一错误处理
-    if (error.message?.includes('insufficient_quota')) {
-      throw new Error('API配额不足，请检查Replicate账户余额');
-    } else if (error.message?.includes('rate_limit')) {
-      throw new Error('请求频率过高，请稍后再试');
-    } else if (error.message?.includes('authentication')) {
-      throw new Error('API认证失败，请检查REPLICATE_API_TOKEN配置');
-    } else {
-      throw new Error(`图像超分处理失败: ${error.message}`);
-    }
+    throw toProcessingError(error, '图像超分处理');
   }
 }
 
 /**
- * 分析图像基础信息
- * @param {string} imageBase64 - Base64编码的图像数据
- * @returns {Object} 分析结果
+ * 基础图像信息分析
+ * @param {Buffer} buffer - 图像二进制数据
+ * @returns {Object} 图像基础信息
  */
-function analyzeImageBasic(imageBase64) {
-  // 提取图像格式
-  const formatMatch = imageBase64.match(/^data:image\/(\w+);base64,/);
-  const format = formatMatch ? formatMatch[1] : 'unknown';
-  
-  // 计算文件大小（近似值）
-  const base64Data = imageBase64.split(',')[1] || '';
-  const sizeBytes = Math.round((base64Data.length * 3) / 4);
+function analyzeImageBasic(buffer) {
+  // 读取文件头获取真实的格式、尺寸和色彩信息，无法识别的数据属于请求错误
+  let header;
+  try {
+    header = parseImageHeader(buffer);
+  } catch (error) {
+    throw createHttpError(error.message, 400);
+  }
+  const size = buffer.length;
   
-  // 基础质量评估
-  const qualityFactors = {
-    format: format,
-    size: sizeBytes,
-    quality_factors: {
-      resolution: sizeBytes > 100000 ? 'high' : sizeBytes > 50000 ? 'medium' : 'low',
-      file_size: sizeBytes > 500000 ? 'large' : sizeBytes > 100000 ? 'medium' : 'small'
+  return {
+    format: header.format,
+    size,
+    resolution: header.width * header.height,
+    image_info: {
+      width: header.width,
+      height: header.height,
+      display_width: header.display_width,
+      display_height: header.display_height,
+      megapixels: Math.round((header.width * header.height) / 10000) / 100,
+      bit_depth: header.bit_depth,
+      channels: header.channels,
+      color_type: header.color_type,
+      has_alpha: header.has_alpha,
+      orientation: header.orientation
     }
   };
-  
-  return qualityFactors;
 }
 
 /**
- * 计算基础质量分数
- * @param {Object} analysis - 图像分析结果
- * @returns {number} 质量分数 (1-5)
+ * 像素级质量指标分析
+ * 无法解码像素的格式（如WEBP、GIF、TIFF）仅计算基于文件头的分辨率指标，不给出综合评分
+ * @param {Buffer} buffer - 图像二进制数据
+ * @param {Object} imageInfo - 基础图像信息
+ * @returns {Object} { metrics, overall_score, metrics_mode, analysis_size, decode_error }
+ *   无法解码时overall_score为null
  */
-function calculateBasicScore(analysis) {
-  let score = 3.0; // 基础分数
-  
-  // 根据分辨率调整分数
-  if (analysis.quality_factors.resolution === 'high') {
-    score += 1.0;
-  } else if (analysis.quality_factors.resolution === 'low') {
-    score -= 0.5;
-  }
-  
-  // 根据文件大小调整分数
-  if (analysis.quality_factors.file_size === 'large') {
-    score += 0.5;
-  } else if (analysis.quality_factors.file_size === 'small') {
-    score -= 0.3;
-  }
-  
-  // 根据格式调整分数
-  if (analysis.format === 'png') {
-    score += 0.3;
-  } else if (analysis.format === 'webp') {
-    score += 0.2;
-  } else if (analysis.format === 'jpeg' || analysis.format === 'jpg') {
-    score -= 0.2;
+function analyzeImageMetrics(buffer, imageInfo) {
+  let pixels = null;
+  let decodeError = null;
+
+  if (isDecodableFormat(imageInfo.format)) {
+    try {
+      pixels = decodeImage(buffer, imageInfo.format);
+    } catch (error) {
+      decodeError = error.message;
+      console.log(`⚠️ 像素解码失败，仅使用文件头指标: ${error.message}`);
+    }
+  } else {
+    decodeError = `${imageInfo.format.toUpperCase()}格式暂不支持像素解码`;
+    console.log(`⚠️ ${decodeError}，仅使用文件头指标`);
   }
-  
-  // 确保分数在1-5范围内
-  return Math.max(1.0, Math.min(5.0, Math.round(score * 10) / 10));
+
+  const result = computeImageMetrics(pixels, imageInfo.image_info);
+  return {
+    ...result,
+    overall_score: pixels ? result.overall_score : null,
+    metrics_mode: pixels ? 'pixel' : 'header',
+    decode_error: decodeError
+  };
 }
 
 /**
- * 处理图像质量分析请求 - 统一接口
- * @param {string} imageBase64 - Base64编码的图像数据
+ * 执行图像质量分析 - 统一接口
+ * 无法解码像素的图像返回analyzable: false，score和quality_score为null，analysis.decode_error说明原因
+ * @param {string} imageBase64 - Base64编码的图像数据或可信的图像地址
  * @param {string} apiToken - API Token (暂时未使用)
  * @returns {Promise<Object>} 分析结果
+ * @throws 图像数据无效时抛出400错误，其他错误（如下载图像失败）保留原状态码或为500
  */
 export async function processAnalyze(imageBase64, apiToken) {
   const startTime = Date.now();
@@ -242,20 +270,49 @@ export async function processAnalyze(imageBase64, apiToken) {
     // 验证输入参数
     validateImageData(imageBase64);
 
-    console.log('🔍 开始图像质量分析（基础模式）');
+    console.log('🔍 开始图像质量分析（像素指标模式）');
+
+    // 解析文件头并在本地CPU上计算像素级无参考质量指标
+    const buffer = await readImageInput(imageBase64);
+    const imageInfo = analyzeImageBasic(buffer);
+    const metricsResult = analyzeImageMetrics(buffer, imageInfo);
+    const analyzable = metricsResult.metrics_mode === 'pixel';
+
+    // 从图像统计推导质量问题标签，供Autopilot评分使用
+    const { quality_issues, issue_details } = detectQualityIssues(metricsResult, imageInfo.format);
 
-    // 执行基础图像分析
-    const analysis = analyzeImageBasic(imageBase64);
-    const score = calculateBasicScore(analysis);
+    // 综合评分为各指标子评分的加权组合 (0-100)，score沿用1-10刻度；仅有分辨率指标时不评分
+    const qualityScore = metricsResult.overall_score;
+    const score = analyzable ? Math.max(1.0, Math.min(10.0, Math.round(qualityScore) / 10)) : null;
 
     const processingTime = Date.now() - startTime;
-    console.log(`✅ 图像质量分析完成，评分: ${score}/5.0，耗时: ${processingTime}ms`);
+    console.log(analyzable
+      ? `✅ 图像质量分析完成，评分: ${score}/10.0，耗时: ${processingTime}ms`
+      : `⚠️ 图像无法进行像素分析，未给出评分，耗时: ${processingTime}ms`);
 
     return {
       success: true,
+      analyzable,
       score: score,
-      analysis: analysis,
-      message: '图像质量分析完成（基础模式）',
+      quality_score: qualityScore,
+      analysis: {
+        analyzable,
+        format: imageInfo.format,
+        size: imageInfo.size,
+        image_info: imageInfo.image_info,
+        metrics: metricsResult.metrics,
+        metric_weights: metricsResult.weights,
+        metrics_mode: metricsResult.metrics_mode,
+        analysis_size: metricsResult.analysis_size,
+        ...(metricsResult.decode_error && { decode_error: metricsResult.decode_error }),
+        quality_issues,
+        issue_details,
+        quality_factors: {
+          resolution: imageInfo.resolution >= 1000000 ? 'high' : imageInfo.resolution >= 500000 ? 'medium' : 'low',
+          file_size: imageInfo.size > 500000 ? 'large' : imageInfo.size > 100000 ? 'medium' : 'small'
+        }
+      },
+      message: analyzable ? '图像质量分析完成' : `无法分析图像质量: ${metricsResult.decode_error}`,
       timestamp: new Date().toISOString(),
       processing_time_ms: processingTime,
       environment: process.env.NODE_ENV || 'development'
@@ -265,364 +322,339 @@ export async function processAnalyze(imageBase64, apiToken) {
     const processingTime = Date.now() - startTime;
     console.error('❌ 图像质量分析失败:', error.message);
 
-    // 统一错误处理
-    if (error.message?.includes('rate_limit')) {
-      throw new Error('请求频率过高，请稍后再试');
-    } else if (error.message?.includes('authentication')) {
-      throw new Error('API认证失败，请检查REPLICATE_API_TOKEN配置');
-    } else {
-      throw new Error(`图像质量分析失败: ${error.message}`);
-    }
+    // 统一错误处理：图像数据无效时的400错误在输入验证和文件头解析中抛出，其余错误不是请求错误
+    throw toProcessingError(error, '图像质量分析');
   }
 }
 
 /**
  * 格式化错误响应
- * @param {string} message - 错误信息
- * @param {number} statusCode - HTTP状态码
+ * @param {Error} error - 错误对象
+ * @param {Object} context - 上下文信息
  * @returns {Object} 格式化的错误响应
  */
-export function formatErrorResponse(message, statusCode = 500) {
+export function formatErrorResponse(error, context = {}) {
   return {
-    error: message,
-    timestamp: new Date().toISOString(),
-    statusCode: statusCode
+    success: false,
+    error: error.message || '未知错误',
+    context,
+    timestamp: new Date().toISOString()
   };
 }
 
 /**
  * 格式化成功响应
- * @param {Object} data - 响应数据
+ * @param {any} data - 响应数据
+ * @param {string} message - 响应消息
  * @returns {Object} 格式化的成功响应
  */
-export function formatSuccessResponse(data) {
+export function formatSuccessResponse(data, message = '操作成功') {
   return {
-    ...data,
+    success: true,
+    data,
+    message,
     timestamp: new Date().toISOString()
   };
 }
 
+/**
+ * 格式化影调增强结果
+ * @param {string} enhancedImageUrl - 结果图像URL
+ * @param {string} enhanceType - 增强类型
+ * @param {number} intensity - 增强强度
+ * @param {number} processingTime - 处理耗时(ms)
+ * @returns {Object} 处理结果
+ */
+function formatToneEnhanceResult(outputImage, enhanceType, intensity, processingTime) {
+  return {
+    success: true,
+    enhanced_image: outputImage.url,
+    output_image: outputImage,
+    enhance_type: enhanceType,
+    intensity: intensity,
+    message: '影调增强处理完成',
+    timestamp: new Date().toISOString(),
+    processing_time_ms: processingTime,
+    environment: process.env.NODE_ENV || 'development'
+  };
+}
+
+// 请求未指定增强类型时的默认值，同步接口和异步任务共用：影调为auto（按图像统计选择），细节为general
+export const DEFAULT_TONE_TYPE = 'auto';
+export const DEFAULT_DETAIL_TYPE = 'general';
+
 /**
  * 处理影调增强请求 - 统一接口
  * @param {string} imageBase64 - Base64编码的图像数据
- * @param {string} enhanceType - 增强类型 ('general', 'night', 'landscape', 'hdr')
+ * @param {string} enhanceType - 增强类型 ('auto', 'general', 'night', 'landscape', 'hdr')，auto按图像统计选择
  * @param {number} intensity - 增强强度 (0.1-2.0)
  * @param {string} apiToken - API Token
- * @returns {Promise<Object>} 处理结果
+ * @param {Function} onProgress - 预测状态更新回调（可选），参数为Replicate预测对象
+ * @param {Object} options - { provider, luminanceOnly, client, invoker } provider为处理提供方（默认按环境确定），
+ *   luminanceOnly为true时只调整亮度、保留原图色彩，client和invoker替换Replicate客户端和调用器（可选），用于测试
+ * @returns {Promise<Object>} 处理结果，enhance_type为实际使用的增强类型，auto_tone为自动选择的类型、依据和图像统计
+ *   （非auto时为null），provider为处理提供方，blend为结果与原图的混合参数，attempts为模型调用次数，last_error为最后一次失败调用的错误信息
  */
-export async function processToneEnhance(imageBase64, enhanceType = 'general', intensity = 1.0, apiToken) {
+export async function processToneEnhance(imageBase64, enhanceType = DEFAULT_TONE_TYPE, intensity = 1.0, apiToken, onProgress, options = {}) {
   const startTime = Date.now();
 
   try {
     // 验证输入参数
     validateImageData(imageBase64);
 
-    // 验证增强类型
-    const validTypes = ['general', 'night', 'landscape', 'hdr'];
-    if (!validTypes.includes(enhanceType)) {
-      throw new Error(`不支持的增强类型: ${enhanceType}。支持的类型: ${validTypes.join(', ')}`);
-    }
-
-    // 验证强度参数
-    if (intensity < 0.1 || intensity > 2.0) {
-      throw new Error('增强强度必须在0.1-2.0之间');
-    }
-
-    // 创建Replicate客户端
-    const replicate = createReplicateClient(apiToken);
-
-    console.log(`🎨 开始影调增强处理，类型: ${enhanceType}, 强度: ${intensity}`);
-
-    let output;
-
-    // 使用Google Research MAXIM模型进行影调增强
-    const modelName = 'google-research/maxim:494ca4d578293b4b93945115601b6a38190519da18467556ca223d219c3af9f9';
-
-    let modelType;
-    switch (enhanceType) {
-      case 'night':
-        modelType = 'Image Enhancement (Low-light)';
-        break;
-      case 'landscape':
-      case 'hdr':
-        modelType = 'Image Enhancement (Retouching)';
-        break;
-      case 'general':
-      default:
-        modelType = 'Image Enhancement (Retouching)';
+    // 自动模式按图像统计选择增强类型
+    const autoTone = enhanceType === 'auto' ? await selectAutoTone(imageBase64) : null;
+    const toneType = autoTone ? autoTone.type : enhanceType;
+    if (autoTone) {
+      console.log(`🧭 自动影调选择: ${toneType}（${autoTone.reason}）`);
     }
 
-    const input = {
-      image: imageBase64,
-      model: modelType
-    };
-
-    output = await replicate.run(modelName, { input });
+    // 由处理提供方执行
+    const provider = getProvider(options.provider);
+    console.log(`🎨 开始影调增强处理（${provider.name}），类型: ${toneType}, 强度: ${intensity}`);
 
-    // 处理输出结果
-    let enhancedImageUrl;
-    if (Array.isArray(output)) {
-      enhancedImageUrl = output[0];
-    } else if (typeof output === 'string') {
-      enhancedImageUrl = output;
-    } else {
-      throw new Error('模型返回了无效的输出格式');
-    }
+    const { output, blend, attempts, last_error } = await provider.run(
+      'tone', { type: toneType, intensity, luminance_only: options.luminanceOnly }, imageBase64, { ...options, apiToken, onProgress }
+    );
 
-    if (!enhancedImageUrl) {
-      throw new Error('模型返回了空结果');
-    }
+    // 保存结果，返回稳定地址
+    const outputImage = await persistOutput(extractOutputImage(output), 'tone');
 
     const processingTime = Date.now() - startTime;
     console.log(`✅ 影调增强处理完成，耗时: ${processingTime}ms`);
 
     return {
-      success: true,
-      enhanced_image: enhancedImageUrl,
-      enhance_type: enhanceType,
-      intensity: intensity,
-      message: '影调增强处理完成',
-      timestamp: new Date().toISOString(),
-      processing_time_ms: processingTime,
-      environment: process.env.NODE_ENV || 'development'
+      ...formatToneEnhanceResult(outputImage, toneType, intensity, processingTime),
+      auto_tone: autoTone,
+      provider: provider.name,
+      blend,
+      attempts,
+      last_error
     };
 
   } catch (error) {
-    const processingTime = Date.now() - startTime;
     console.error('❌ 影调增强处理失败:', error.message);
 
     // 统一错误处理
-    if (error.message?.includes('insufficient_quota')) {
-      throw new Error('API配额不足，请检查Replicate账户余额');
-    } else if (error.message?.includes('rate_limit')) {
-      throw new Error('请求频率过高，请稍后再试');
-    } else if (error.message?.includes('authentication')) {
-      throw new Error('API认证失败，请检查REPLICATE_API_TOKEN配置');
-    } else {
-      throw new Error(`影调增强处理失败: ${error.message}`);
-    }
+    throw toProcessingError(error, '影调增强处理');
   }
 }
 
+/**
+ * 格式化细节增强结果
+ * @param {string} enhancedImageUrl - 结果图像URL
+ * @param {string} enhanceType - 增强类型
+ * @param {number} strength - 增强强度
+ * @param {string} modelType - MAXIM模型任务类型
+ * @param {number} processingTime - 处理耗时(ms)
+ * @returns {Object} 处理结果
+ */
+function formatDetailEnhanceResult(outputImage, enhanceType, strength, modelType, processingTime) {
+  return {
+    success: true,
+    enhanced_image: outputImage.url,
+    output_image: outputImage,
+    enhance_type: enhanceType,
+    strength: strength,
+    model_type: modelType,
+    message: '细节增强处理完成',
+    timestamp: new Date().toISOString(),
+    processing_time_ms: processingTime,
+    environment: process.env.NODE_ENV || 'development'
+  };
+}
+
 /**
  * 处理细节增强请求 - 统一接口
  * @param {string} imageBase64 - Base64编码的图像数据
  * @param {string} enhanceType - 增强类型 ('hair', 'plant', 'text', 'general')
  * @param {number} strength - 增强强度 (1-3)
  * @param {string} apiToken - API Token
- * @returns {Promise<Object>} 处理结果
+ * @param {Function} onProgress - 预测状态更新回调（可选），参数为Replicate预测对象
+ * @param {Object} options - { provider, client, invoker } provider为处理提供方（默认按环境确定），
+ *   client和invoker替换Replicate客户端和调用器（可选），用于测试
+ * @returns {Promise<Object>} 处理结果，model_type为MAXIM任务类型（本地处理时为使用的算法），provider为处理提供方，
+ *   blend为结果与原图的混合参数，attempts为模型调用次数，last_error为最后一次失败调用的错误信息
  */
-export async function processDetailEnhance(imageBase64, enhanceType = 'general', strength = 2, apiToken) {
+export async function processDetailEnhance(imageBase64, enhanceType = DEFAULT_DETAIL_TYPE, strength = 2, apiToken, onProgress, options = {}) {
   const startTime = Date.now();
 
   try {
     // 验证输入参数
     validateImageData(imageBase64);
 
-    // 验证增强类型
-    const validTypes = ['hair', 'plant', 'text', 'general'];
-    if (!validTypes.includes(enhanceType)) {
-      throw new Error(`不支持的增强类型: ${enhanceType}。支持的类型: ${validTypes.join(', ')}`);
-    }
-
-    // 验证强度参数
-    if (strength < 1 || strength > 3) {
-      throw new Error('增强强度必须在1-3之间');
-    }
-
-    // 创建Replicate客户端
-    const replicate = createReplicateClient(apiToken);
-
-    console.log(`🔍 开始细节增强处理，类型: ${enhanceType}, 强度: ${strength}`);
-
-    // 使用Google Research MAXIM模型进行细节增强
-    const modelName = 'google-research/maxim:494ca4d578293b4b93945115601b6a38190519da18467556ca223d219c3af9f9';
-
-    let modelType;
-    switch (enhanceType) {
-      case 'hair':
-      case 'plant':
-        // 对于发丝和植物细节，使用去噪模型来增强细节
-        modelType = 'Image Denoising';
-        break;
-      case 'text':
-        // 对于文字，使用去模糊模型来增强清晰度
-        modelType = 'Image Deblurring (RealBlur_R)';
-        break;
-      case 'general':
-      default:
-        // 通用细节增强使用去噪模型
-        modelType = 'Image Denoising';
-    }
-
-    const input = {
-      image: imageBase64,
-      model: modelType
-    };
-
-    const output = await replicate.run(modelName, { input });
+    // 由处理提供方执行
+    const provider = getProvider(options.provider);
+    console.log(`🔍 开始细节增强处理（${provider.name}），类型: ${enhanceType}, 强度: ${strength}`);
 
-    // 处理输出结果
-    let enhancedImageUrl;
-    if (Array.isArray(output)) {
-      enhancedImageUrl = output[0];
-    } else if (typeof output === 'string') {
-      enhancedImageUrl = output;
-    } else {
-      throw new Error('模型返回了无效的输出格式');
-    }
+    const { output, model, blend, attempts, last_error } = await provider.run(
+      'detail', { type: enhanceType, strength }, imageBase64, { ...options, apiToken, onProgress }
+    );
 
-    if (!enhancedImageUrl) {
-      throw new Error('模型返回了空结果');
-    }
+    // 保存结果，返回稳定地址
+    const outputImage = await persistOutput(extractOutputImage(output), 'detail');
 
     const processingTime = Date.now() - startTime;
     console.log(`✅ 细节增强处理完成，耗时: ${processingTime}ms`);
 
-    return {
-      success: true,
-      enhanced_image: enhancedImageUrl,
-      enhance_type: enhanceType,
-      strength: strength,
-      model_type: modelType,
-      message: '细节增强处理完成',
-      timestamp: new Date().toISOString(),
-      processing_time_ms: processingTime,
-      environment: process.env.NODE_ENV || 'development'
-    };
+    return { ...formatDetailEnhanceResult(outputImage, enhanceType, strength, model, processingTime), provider: provider.name, blend, attempts, last_error };
 
   } catch (error) {
-    const processingTime = Date.now() - startTime;
     console.error('❌ 细节增强处理失败:', error.message);
 
     // 统一错误处理
-    if (error.message?.includes('insufficient_quota')) {
-      throw new Error('API配额不足，请检查Replicate账户余额');
-    } else if (error.message?.includes('rate_limit')) {
-      throw new Error('请求频率过高，请稍后再试');
-    } else if (error.message?.includes('authentication')) {
-      throw new Error('API认证失败，请检查REPLICATE_API_TOKEN配置');
-    } else {
-      throw new Error(`细节增强处理失败: ${error.message}`);
-    }
+    throw toProcessingError(error, '细节增强处理');
   }
 }
 
 /**
- * 处理Autopilot自动增强请求 - 统一接口
+ * 处理Autopilot智能分析请求 - 统一接口
  * @param {string} imageBase64 - Base64编码的图像数据
- * @param {Object} recommendations - 增强建议配置
  * @param {string} apiToken - API Token
- * @returns {Promise<Object>} 处理结果
+ * @param {Object} rules - Autopilot规则表（默认使用DEFAULT_AUTOPILOT_RULES）
+ * @returns {Promise<Object>} 评分、增强建议及规则命中说明
  */
-export async function processAutopilotEnhance(imageBase64, recommendations, apiToken) {
+export async function processAutopilotAnalyze(imageBase64, apiToken, rules = DEFAULT_AUTOPILOT_RULES) {
   const startTime = Date.now();
-  const results = {
-    original: imageBase64,
-    steps: [],
-    final: imageBase64
-  };
 
   try {
-    console.log('🤖 开始Autopilot自动增强流程');
-
-    let currentImage = imageBase64;
-
-    // 按优先级执行增强
-    for (const step of recommendations.priority) {
-      const stepStartTime = Date.now();
-
-      try {
-        if (step === 'tone' && recommendations.tone?.enabled) {
-          console.log(`🎨 执行影调增强: ${recommendations.tone.type}, 强度: ${recommendations.tone.intensity}`);
-          const result = await processToneEnhance(
-            currentImage,
-            recommendations.tone.type,
-            recommendations.tone.intensity,
-            apiToken
-          );
-          currentImage = result.enhanced_image;
-
-          results.steps.push({
-            type: 'tone',
-            config: recommendations.tone,
-            result: result.enhanced_image,
-            processing_time_ms: Date.now() - stepStartTime,
-            success: true
-          });
-        }
-
-        if (step === 'detail' && recommendations.detail?.enabled) {
-          console.log(`🔍 执行细节增强: ${recommendations.detail.type}, 强度: ${recommendations.detail.strength}`);
-          const result = await processDetailEnhance(
-            currentImage,
-            recommendations.detail.type,
-            recommendations.detail.strength,
-            apiToken
-          );
-          currentImage = result.enhanced_image;
-
-          results.steps.push({
-            type: 'detail',
-            config: recommendations.detail,
-            result: result.enhanced_image,
-            processing_time_ms: Date.now() - stepStartTime,
-            success: true
-          });
-        }
+    console.log('🤖 开始Autopilot智能分析');
 
-        if (step === 'upscale' && recommendations.upscale?.enabled) {
-          console.log(`🚀 执行超分辨率: ${recommendations.upscale.scale}x, 模型: ${recommendations.upscale.model}`);
-          const result = await processUpscale(
-            currentImage,
-            recommendations.upscale.scale,
-            true,
-            recommendations.upscale.model,
-            apiToken
-          );
-          currentImage = result.upscaled_image;
-
-          results.steps.push({
-            type: 'upscale',
-            config: recommendations.upscale,
-            result: result.upscaled_image,
-            processing_time_ms: Date.now() - stepStartTime,
-            success: true
-          });
-        }
+    // 使用现有的分析功能获取基础质量信息
+    const basicAnalysis = await processAnalyze(imageBase64, apiToken);
+    const analysis = basicAnalysis.analysis;
 
-      } catch (stepError) {
-        console.error(`❌ 步骤 ${step} 执行失败:`, stepError.message);
-        results.steps.push({
-          type: step,
-          config: recommendations[step],
-          error: stepError.message,
-          processing_time_ms: Date.now() - stepStartTime,
-          success: false
-        });
-      }
-    }
+    // 基于分析结果计算各维度评分
+    const { scores, explain: scoreExplain } = calculateQualityScores(analysis, rules);
 
-    results.final = currentImage;
-    const totalProcessingTime = Date.now() - startTime;
+    // 按规则表生成增强建议
+    const { recommendations, explain: recommendationExplain } = generateEnhancementRecommendations(scores, analysis, rules);
 
-    console.log(`✅ Autopilot自动增强完成，总耗时: ${totalProcessingTime}ms`);
+    const processingTime = Date.now() - startTime;
+    console.log(`✅ Autopilot智能分析完成，综合评分: ${scores.overall}，耗时: ${processingTime}ms`);
 
     return {
       success: true,
-      results,
-      total_steps: results.steps.length,
-      successful_steps: results.steps.filter(s => s.success).length,
-      message: 'Autopilot自动增强完成',
+      analyzable: basicAnalysis.analyzable,
+      scores,
+      recommendations,
+      explain: {
+        scores: scoreExplain,
+        recommendations: recommendationExplain
+      },
+      quality_issues: analysis.quality_issues,
+      message: 'Autopilot智能分析完成',
       timestamp: new Date().toISOString(),
-      processing_time_ms: totalProcessingTime,
+      processing_time_ms: processingTime,
       environment: process.env.NODE_ENV || 'development'
     };
 
   } catch (error) {
-    const processingTime = Date.now() - startTime;
-    console.error('❌ Autopilot自动增强失败:', error.message);
+    console.error('❌ Autopilot智能分析失败:', error.message);
 
-    throw new Error(`Autopilot自动增强失败: ${error.message}`);
+    throw toProcessingError(error, 'Autopilot智能分析');
+  }
+}
+
+/**
+ * 执行单个增强步骤 - 流水线与异步任务共用
+ * @param {string} step - 步骤名称 ('tone', 'detail', 'upscale')
+ * @param {Object} config - 步骤配置（与增强建议中对应步骤的结构相同），provider字段指定处理提供方
+ * @param {string} imageInput - 当前图像（Base64或上一步输出的URL）
+ * @param {string} apiToken - API Token
+ * @param {Function} onProgress - 预测状态更新回调（可选），参数为Replicate预测对象
+ * @param {Object} options - { provider, client, invoker } 步骤配置未指定provider时使用options.provider
+ * @returns {Promise<Object>} { image, result } image为模型返回的结果地址，作为下一步的输入；
+ *   result中的图像字段为保存后的稳定地址
+ */
+export async function runEnhancementStep(step, config, imageInput, apiToken, onProgress, options = {}) {
+  const stepOptions = { ...options, provider: config.provider ?? options.provider };
+  switch (step) {
+    case 'tone': {
+      console.log(`🎨 执行影调增强: ${config.type}, 强度: ${config.intensity}`);
+      const result = await processToneEnhance(
+        imageInput, config.type, config.intensity, apiToken, onProgress, { ...stepOptions, luminanceOnly: config.luminance_only }
+      );
+      return { image: result.output_image.source_url, result };
+    }
+    case 'detail': {
+      console.log(`🔍 执行细节增强: ${config.type}, 强度: ${config.strength}`);
+      const result = await processDetailEnhance(imageInput, config.type, config.strength, apiToken, onProgress, stepOptions);
+      return { image: result.output_image.source_url, result };
+    }
+    case 'upscale': {
+      console.log(`🚀 执行超分辨率: ${config.scale}x, 模型: ${config.model}`);
+      const faceEnhance = config.face_enhance !== undefined ? config.face_enhance : true;
+      const result = await processUpscale(imageInput, config.scale, faceEnhance, config.model, apiToken, onProgress, stepOptions);
+      return { image: result.output_image.source_url, result };
+    }
+    default:
+      throw new Error(`不支持的增强步骤: ${step}`);
   }
-}
\ No newline at end of file
+}
+
+/**
+ * 确定步骤配置中的自动选项，用于通过Webhook异步创建预测前固定模型输入 - 统一接口
+ * 影调增强类型为auto时按图像统计选择类型，选择结果记录在auto_tone字段
+ * @param {string} step - 步骤名称 ('tone', 'detail', 'upscale')
+ * @param {Object} config - 步骤配置
+ * @param {string} imageInput - 当前图像（Base64或上一步输出的URL）
+ * @returns {Promise<Object>} 步骤配置，没有自动选项时原样返回
+ */
+export async function resolveStepConfig(step, config, imageInput) {
+  if (step !== 'tone' || config.type !== 'auto') {
+    return config;
+  }
+  const autoTone = await selectAutoTone(imageInput);
+  return { ...config, type: autoTone.type, auto_tone: autoTone };
+}
+
+/**
+ * 准备增强步骤的模型调用（不执行），用于通过Webhook异步创建Replicate预测
+ * @param {string} step - 步骤名称 ('tone', 'detail', 'upscale')
+ * @param {Object} config - 步骤配置
+ * @param {string} imageInput - 当前图像（Base64或上一步输出的URL）
+ * @returns {Object} { modelId, modelInput }
+ */
+export function prepareEnhancementStep(step, config, imageInput) {
+  validateImageData(imageInput);
+  return getProvider('replicate').prepare(step, config, imageInput);
+}
+
+/**
+ * 根据Replicate预测的输出完成增强步骤（按强度与原图混合并保存结果），返回与runEnhancementStep相同结构的结果
+ * @param {string} step - 步骤名称 ('tone', 'detail', 'upscale')
+ * @param {Object} config - 步骤配置
+ * @param {any} output - Replicate模型输出
+ * @param {number} processingTime - 处理耗时(ms)
+ * @param {string} imageInput - 步骤的输入图像（Base64或上一步输出的URL），用于混合
+ * @returns {Promise<Object>} { image, result }
+ */
+export async function completeEnhancementStep(step, config, output, processingTime, imageInput) {
+  const { output: finished, blend } = await getProvider('replicate').finish(step, config, imageInput, output);
+  const image = extractOutputImage(finished);
+  const outputImage = await persistOutput(image, step);
+
+  switch (step) {
+    case 'tone':
+      return {
+        image,
+        result: {
+          ...formatToneEnhanceResult(outputImage, config.type, config.intensity, processingTime),
+          auto_tone: config.auto_tone ?? null,
+          provider: 'replicate',
+          blend
+        }
+      };
+    case 'detail': {
+      const { modelInput } = getProvider('replicate').prepare('detail', config, null);
+      return { image, result: { ...formatDetailEnhanceResult(outputImage, config.type, config.strength, modelInput.model, processingTime), provider: 'replicate', blend } };
+    }
+    case 'upscale': {
+      const faceEnhance = config.face_enhance !== undefined ? config.face_enhance : true;
+      return { image, result: { ...formatUpscaleResult(outputImage, config.scale, faceEnhance, config.model, processingTime), provider: 'replicate' } };
+    }
+    default:
+      throw new Error(`不支持的增强步骤: ${step}`);
+  }
+}
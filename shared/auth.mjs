@@ -0,0 +1,282 @@
+// 此文件由 scripts/build-shared.js 根据 shared/src/auth.js 生成，请勿直接修改
+/**
+ * Clerk会话认证
+ * 从 Authorization: Bearer 头或 __session Cookie 中读取Clerk会话JWT，使用JWKS公钥验证RS256签名和
+ * 有效期等声明，得到调用方的userId。付费接口（调用Replicate模型）拒绝匿名请求，其余接口允许匿名访问；
+ * POST /api/jobs 按任务类型区分，只做分析的任务允许匿名创建
+ */
+
+import crypto from 'crypto';
+import { createHttpError } from './http-errors.mjs';
+
+// Clerk前端SDK写入会话令牌的Cookie名称（EventSource等无法设置请求头的请求依赖该Cookie）
+export const AUTH_COOKIE_NAME = '__session';
+
+// 需要登录才能调用的接口（会消耗Replicate额度）
+export const PAID_ENDPOINTS = [
+  'POST /api/upscale',
+  'POST /api/tone-enhance',
+  'POST /api/detail-enhance',
+  'POST /api/autopilot-enhance',
+  'POST /api/pipeline',
+  'POST /api/batches'
+];
+
+// 允许匿名创建的任务类型（只做质量分析，与 /api/analyze 一样免费），其他类型需要登录
+export const ANONYMOUS_JOB_TYPES = ['analyze'];
+
+// JWKS缓存时间（ms），令牌使用未知kid时会提前刷新
+export const JWKS_CACHE_TTL_MS = 10 * 60 * 1000;
+
+// 两次JWKS刷新的最小间隔（ms），防止伪造kid的请求反复触发下载
+const JWKS_MIN_REFRESH_MS = 30 * 1000;
+
+// 默认允许的时钟偏差（秒）
+const DEFAULT_CLOCK_SKEW_SECONDS = 5;
+
+// JWKS地址 → { keys: Map<kid, KeyObject>, fetchedAt }
+const jwksCache = new Map();
+
+/**
+ * 从Clerk可发布密钥（pk_test_/pk_live_ + Base64编码的Frontend API域名）推导Frontend API地址
+ * @param {string} publishableKey - 可发布密钥
+ * @returns {string|null} Frontend API地址
+ */
+function frontendApiFromPublishableKey(publishableKey) {
+  const match = String(publishableKey || '').match(/^pk_(test|live)_(.+)$/);
+  if (!match) {
+    return null;
+  }
+  const host = Buffer.from(match[2], 'base64').toString('utf8').replace(/\$$/, '');
+  return /^[a-z0-9.-]+$/i.test(host) ? `https://${host}` : null;
+}
+
+/**
+ * 读取认证配置
+ * 优先使用CLERK_JWKS_URL（本地JWKS替身服务器也通过它接入），
+ * 否则根据CLERK_PUBLISHABLE_KEY或VITE_CLERK_PUBLISHABLE_KEY推导JWKS地址和签发方
+ * @returns {Object} { jwksUrl, issuer, authorizedParties, clockSkewSeconds }
+ */
+export function getAuthConfig() {
+  const frontendApi = frontendApiFromPublishableKey(process.env.CLERK_PUBLISHABLE_KEY || process.env.VITE_CLERK_PUBLISHABLE_KEY);
+
+  return {
+    jwksUrl: process.env.CLERK_JWKS_URL || (frontendApi ? `${frontendApi}/.well-known/jwks.json` : null),
+    issuer: process.env.CLERK_ISSUER || (process.env.CLERK_JWKS_URL ? null : frontendApi),
+    authorizedParties: (process.env.CLERK_AUTHORIZED_PARTIES || '')
+      .split(',')
+      .map(party => party.trim())
+      .filter(Boolean),
+    clockSkewSeconds: Number(process.env.CLERK_CLOCK_SKEW_SECONDS) || DEFAULT_CLOCK_SKEW_SECONDS
+  };
+}
+
+/**
+ * 读取请求中的会话令牌，Authorization头优先于Cookie
+ * @param {Object} req - Node.js请求对象
+ * @returns {string|null} 会话令牌
+ */
+export function extractSessionToken(req) {
+  const authorization = String(req.headers.authorization || '');
+  const bearer = authorization.match(/^Bearer\s+(\S+)$/i);
+  if (bearer) {
+    return bearer[1];
+  }
+
+  const cookie = String(req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${AUTH_COOKIE_NAME}=`));
+  if (!cookie) {
+    return null;
+  }
+  try {
+    return decodeURIComponent(cookie.slice(AUTH_COOKIE_NAME.length + 1)) || null;
+  } catch {
+    // Cookie值的百分号编码不完整（如 %E0%A4%A）时按没有令牌处理
+    return null;
+  }
+}
+
+/**
+ * 下载JWKS并转换为公钥
+ * @param {string} jwksUrl - JWKS地址
+ * @returns {Promise<Map>} kid → 公钥
+ */
+async function fetchJwks(jwksUrl) {
+  let response;
+  try {
+    response = await fetch(jwksUrl, { headers: { Accept: 'application/json' } });
+  } catch (error) {
+    throw createHttpError(`无法获取JWKS: ${error.message}`, 503);
+  }
+  if (!response.ok) {
+    throw createHttpError(`无法获取JWKS: ${response.status} ${response.statusText}`, 503);
+  }
+
+  const { keys = [] } = await response.json();
+  const publicKeys = new Map();
+  keys
+    .filter(jwk => jwk.kty === 'RSA' && (!jwk.use || jwk.use === 'sig'))
+    .forEach((jwk) => {
+      try {
+        publicKeys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      } catch (error) {
+        console.warn(`⚠️ 忽略无效的JWK ${jwk.kid}:`, error.message);
+      }
+    });
+  return publicKeys;
+}
+
+/**
+ * 按kid获取签名公钥，缓存过期或kid未知时重新下载JWKS
+ * @param {string} jwksUrl - JWKS地址
+ * @param {string} kid - 密钥ID
+ * @returns {Promise<Object|null>} 公钥
+ */
+async function getSigningKey(jwksUrl, kid) {
+  const cached = jwksCache.get(jwksUrl);
+  const age = cached ? Date.now() - cached.fetchedAt : Infinity;
+
+  if (cached && age < JWKS_CACHE_TTL_MS && (cached.keys.has(kid) || age < JWKS_MIN_REFRESH_MS)) {
+    return cached.keys.get(kid) || null;
+  }
+
+  const keys = await fetchJwks(jwksUrl);
+  jwksCache.set(jwksUrl, { keys, fetchedAt: Date.now() });
+  return keys.get(kid) || null;
+}
+
+/**
+ * 解析JWT的一段（Base64URL编码的JSON）
+ * @param {string} segment - JWT片段
+ * @returns {Object} 解析结果
+ */
+function decodeSegment(segment) {
+  const value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  if (!value || typeof value !== 'object') {
+    throw new Error('不是JSON对象');
+  }
+  return value;
+}
+
+/**
+ * 验证Clerk会话令牌 - 统一接口
+ * @param {string} token - 会话JWT
+ * @param {Object} config - 认证配置，默认读取环境变量
+ * @returns {Promise<Object>} 令牌声明（sub为用户ID，sid为会话ID）
+ */
+export async function verifySessionToken(token, config = getAuthConfig()) {
+  if (!config.jwksUrl) {
+    throw createHttpError('认证未配置：请设置CLERK_JWKS_URL或CLERK_PUBLISHABLE_KEY', 500);
+  }
+
+  const segments = String(token || '').split('.');
+  if (segments.length !== 3) {
+    throw createHttpError('会话令牌格式错误', 401);
+  }
+
+  let header;
+  let claims;
+  try {
+    header = decodeSegment(segments[0]);
+    claims = decodeSegment(segments[1]);
+  } catch (error) {
+    throw createHttpError(`会话令牌格式错误: ${error.message}`, 401);
+  }
+
+  // Clerk会话令牌固定使用RS256，拒绝其他算法（包括none）
+  if (header.alg !== 'RS256') {
+    throw createHttpError(`不支持的令牌签名算法: ${header.alg}`, 401);
+  }
+
+  const key = await getSigningKey(config.jwksUrl, header.kid);
+  if (!key) {
+    throw createHttpError(`未知的令牌签名密钥: ${header.kid}`, 401);
+  }
+
+  const valid = crypto.verify(
+    'RSA-SHA256',
+    Buffer.from(`${segments[0]}.${segments[1]}`),
+    key,
+    Buffer.from(segments[2], 'base64url')
+  );
+  if (!valid) {
+    throw createHttpError('会话令牌签名无效', 401);
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const skew = config.clockSkewSeconds;
+  if (typeof claims.exp !== 'number' || now - skew >= claims.exp) {
+    throw createHttpError('会话令牌已过期', 401);
+  }
+  if (typeof claims.nbf === 'number' && now + skew < claims.nbf) {
+    throw createHttpError('会话令牌尚未生效', 401);
+  }
+  if (config.issuer && claims.iss !== config.issuer) {
+    throw createHttpError(`会话令牌签发方不匹配: ${claims.iss}`, 401);
+  }
+  if (config.authorizedParties.length > 0 && claims.azp && !config.authorizedParties.includes(claims.azp)) {
+    throw createHttpError(`会话令牌来源不受信任: ${claims.azp}`, 401);
+  }
+  if (typeof claims.sub !== 'string' || !claims.sub) {
+    throw createHttpError('会话令牌缺少用户ID', 401);
+  }
+
+  return claims;
+}
+
+/**
+ * 判断接口是否需要登录
+ * Express路由不区分大小写，路径需转为小写后再匹配，否则 /API/UPSCALE 会绕过登录检查
+ * @param {string} method - 请求方法
+ * @param {string} pathname - 请求路径
+ * @returns {boolean} 是否为付费接口
+ */
+export function isPaidEndpoint(method, pathname) {
+  return PAID_ENDPOINTS.includes(`${String(method).toUpperCase()} ${String(pathname).toLowerCase().replace(/\/+$/, '')}`);
+}
+
+/**
+ * 判断任务类型是否需要登录 - 统一接口
+ * 任务类型在请求体中（可能是multipart表单），因此在解析请求体后、创建任务时检查，而不是按路由检查
+ * @param {string} type - 任务类型
+ * @returns {boolean} 是否需要登录
+ */
+export function isPaidJobType(type) {
+  return !ANONYMOUS_JOB_TYPES.includes(type);
+}
+
+/**
+ * 认证请求 - 统一接口
+ * 验证通过时在请求上附加 req.auth 和 req.userId。required为true时匿名或令牌无效的请求抛出401错误；
+ * 否则令牌无效的请求按匿名处理（浏览器可能携带已过期的__session Cookie）
+ * @param {Object} req - Node.js请求对象（Express与Vercel通用）
+ * @param {Object} options - { required, config }
+ * @returns {Promise<Object|null>} { userId, sessionId, claims }，匿名请求为null
+ */
+export async function authenticateRequest(req, options = {}) {
+  const { required = false, config = getAuthConfig() } = options;
+  const token = extractSessionToken(req);
+
+  let auth = null;
+  if (token) {
+    try {
+      const claims = await verifySessionToken(token, config);
+      auth = { userId: claims.sub, sessionId: claims.sid || null, claims };
+    } catch (error) {
+      if (required) {
+        throw error;
+      }
+      console.warn('⚠️ 会话令牌无效，按匿名请求处理:', error.message);
+    }
+  }
+
+  if (!auth && required) {
+    throw createHttpError('请先登录后再使用该功能', 401);
+  }
+
+  req.auth = auth;
+  req.userId = auth ? auth.userId : null;
+  return auth;
+}
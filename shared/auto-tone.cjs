@@ -0,0 +1,166 @@
+// 此文件由 scripts/build-shared.js 根据 shared/src/auto-tone.js 生成，请勿直接修改
+/**
+ * 自动影调类型选择
+ * 影调增强类型为auto时，按亮度直方图、动态范围和饱和度在低光照（night）、
+ * 高动态（hdr）和通用润色（general）之间选择，并返回选择依据
+ */
+
+const { loadImage } = require('./image-processing.cjs');
+
+// 统计在最多这么多个采样像素上计算，控制大图的耗时
+const MAX_SAMPLES = 1000000;
+
+// 选择阈值：亮度为0-255，比例和饱和度为0-1
+const AUTO_TONE_THRESHOLDS = {
+  // 低光照：平均亮度和95%分位亮度都偏低
+  night: { mean_luminance: 70, p95: 150 },
+  // 高动态：深暗部和高光同时占有一定比例，且动态范围足够宽
+  hdr: { shadows_ratio: 0.15, highlights_ratio: 0.08, dynamic_range: 200 },
+  // 通用润色的说明：动态范围偏窄、饱和度偏低
+  general: { dynamic_range: 110, saturation: 0.15 }
+};
+
+// 深暗部和高光的亮度界限
+const SHADOW_LEVEL = 50;
+const HIGHLIGHT_LEVEL = 220;
+
+/**
+ * 保留有效小数位
+ * @param {number} value - 数值
+ * @param {number} digits - 小数位数
+ * @returns {number} 舍入后的数值
+ */
+function round(value, digits = 3) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * 计算影调统计 - 统一接口
+ * @param {Object} image - { width, height, data } RGBA像素
+ * @returns {Object} { mean_luminance, p1, p5, p50, p95, p99, dynamic_range, shadows_ratio, highlights_ratio, saturation }
+ */
+function measureToneStatistics(image) {
+  const pixels = image.width * image.height;
+  const stride = Math.max(1, Math.ceil(pixels / MAX_SAMPLES));
+  const histogram = new Uint32Array(256);
+  let count = 0;
+  let sumLuma = 0;
+  let sumSaturation = 0;
+
+  for (let p = 0; p < pixels; p += stride) {
+    const i = p * 4;
+    const r = image.data[i];
+    const g = image.data[i + 1];
+    const b = image.data[i + 2];
+    const luma = 0.299 * r + 0.587 * g + 0.114 * b;
+    const max = Math.max(r, g, b);
+    histogram[Math.min(255, Math.round(luma))] += 1;
+    sumLuma += luma;
+    // HSV饱和度
+    sumSaturation += max === 0 ? 0 : (max - Math.min(r, g, b)) / max;
+    count += 1;
+  }
+
+  const total = Math.max(1, count);
+  const percentile = (p) => {
+    const target = p * total;
+    let cumulative = 0;
+    for (let v = 0; v < 256; v++) {
+      cumulative += histogram[v];
+      if (cumulative >= target) return v;
+    }
+    return 255;
+  };
+  const ratio = (from, to) => {
+    let sum = 0;
+    for (let v = from; v <= to; v++) sum += histogram[v];
+    return sum / total;
+  };
+
+  const p1 = percentile(0.01);
+  const p99 = percentile(0.99);
+  return {
+    mean_luminance: round(sumLuma / total, 2),
+    p1,
+    p5: percentile(0.05),
+    p50: percentile(0.5),
+    p95: percentile(0.95),
+    p99,
+    dynamic_range: p99 - p1,
+    shadows_ratio: round(ratio(0, SHADOW_LEVEL)),
+    highlights_ratio: round(ratio(HIGHLIGHT_LEVEL, 255)),
+    saturation: round(sumSaturation / total)
+  };
+}
+
+/**
+ * 按影调统计选择增强类型 - 统一接口
+ * 依次判断低光照、高动态，都不满足时使用通用润色
+ * @param {Object} statistics - measureToneStatistics的结果
+ * @param {Object} thresholds - 选择阈值（默认AUTO_TONE_THRESHOLDS）
+ * @returns {Object} { type, reason }
+ */
+function chooseToneType(statistics, thresholds = AUTO_TONE_THRESHOLDS) {
+  const { mean_luminance, p95, dynamic_range, shadows_ratio, highlights_ratio, saturation } = statistics;
+  const percent = (value) => `${Math.round(value * 100)}%`;
+
+  if (mean_luminance < thresholds.night.mean_luminance && p95 < thresholds.night.p95) {
+    return {
+      type: 'night',
+      reason: `平均亮度 ${mean_luminance} 低于 ${thresholds.night.mean_luminance}，95%的像素亮度不超过 ${p95}，按低光照增强处理`
+    };
+  }
+
+  if (
+    shadows_ratio >= thresholds.hdr.shadows_ratio &&
+    highlights_ratio >= thresholds.hdr.highlights_ratio &&
+    dynamic_range >= thresholds.hdr.dynamic_range
+  ) {
+    return {
+      type: 'hdr',
+      reason: `深暗部占 ${percent(shadows_ratio)}、高光占 ${percent(highlights_ratio)}，动态范围 ${dynamic_range}，按高动态处理以兼顾暗部和高光`
+    };
+  }
+
+  const notes = [];
+  if (dynamic_range < thresholds.general.dynamic_range) {
+    notes.push(`动态范围 ${dynamic_range} 偏窄`);
+  }
+  if (saturation < thresholds.general.saturation) {
+    notes.push(`饱和度 ${saturation} 偏低`);
+  }
+  return {
+    type: 'general',
+    reason: notes.length > 0
+      ? `${notes.join('，')}，曝光正常，按通用润色处理`
+      : `平均亮度 ${mean_luminance}、动态范围 ${dynamic_range}，曝光和对比正常，按通用润色处理`
+  };
+}
+
+/**
+ * 为输入图像选择影调增强类型 - 统一接口
+ * 无法在本地解码的图像（如WEBP）使用通用润色
+ * @param {string} imageInput - 图像输入（data URL、纯Base64或可信的http(s)地址）
+ * @returns {Promise<Object>} { type, reason, statistics } 无法解码时statistics为null
+ */
+async function selectAutoTone(imageInput) {
+  let image;
+  try {
+    image = await loadImage(imageInput);
+  } catch (error) {
+    console.log(`⚠️ 自动影调无法读取图像像素，使用通用润色: ${error.message}`);
+    return { type: 'general', reason: `无法读取图像像素（${error.message}），按通用润色处理`, statistics: null };
+  }
+
+  const statistics = measureToneStatistics(image);
+  return { ...chooseToneType(statistics), statistics };
+}
+
+// CommonJS导出
+module.exports = {
+  AUTO_TONE_THRESHOLDS,
+  measureToneStatistics,
+  chooseToneType,
+  selectAutoTone
+};
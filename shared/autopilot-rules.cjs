@@ -0,0 +1,303 @@
+// 此文件由 scripts/build-shared.js 根据 shared/src/autopilot-rules.js 生成，请勿直接修改
+/**
+ * Autopilot规则表与推荐逻辑
+ * 评分扣分项、启用阈值、处理优先级以及类型/强度映射均由规则表声明，
+ * 每条推荐都会在explain中记录命中的规则，便于审计Autopilot的决策
+ */
+
+// 默认规则表
+const DEFAULT_AUTOPILOT_RULES = {
+  scoring: {
+    tone: {
+      base: 70,
+      penalties: { underexposed: 20, overexposed: 20, low_contrast: 15, color_cast: 15 }
+    },
+    detail: {
+      base: 75,
+      penalties: { blurry: 25, noisy: 20, compression_artifacts: 15, soft_details: 10 }
+    },
+    resolution: {
+      base: 80,
+      // 按顺序匹配第一个满足 pixels < below 的扣分档位
+      pixel_penalties: [
+        { below: 500000, penalty: 30 },
+        { below: 1000000, penalty: 20 },
+        { below: 2000000, penalty: 10 }
+      ]
+    }
+  },
+  recommendations: {
+    tone: {
+      priority: 1,
+      enable_below: 80,
+      // 按顺序匹配，第一条满足条件的规则决定参数
+      rules: [
+        { id: 'tone-severe', description: '影调严重不足，使用低光增强并加大强度', when: { score_below: 40 }, set: { type: 'night', intensity: 2.0 } },
+        { id: 'tone-dark', description: '影调明显不足，使用低光增强', when: { score_below: 50 }, set: { type: 'night', intensity: 1.5 } },
+        { id: 'tone-moderate', description: '影调一般，通用增强加大强度', when: { score_below: 60 }, set: { type: 'general', intensity: 1.5 } },
+        { id: 'tone-mild', description: '影调略有不足，通用增强', when: { score_below: 80 }, set: { type: 'general', intensity: 1.0 } }
+      ]
+    },
+    detail: {
+      priority: 2,
+      enable_below: 80,
+      rules: [
+        { id: 'detail-severe', description: '细节严重不足，最高强度', when: { score_below: 40 }, set: { type: 'general', strength: 3 } },
+        { id: 'detail-moderate', description: '细节一般，标准强度', when: { score_below: 60 }, set: { type: 'general', strength: 2 } },
+        { id: 'detail-mild', description: '细节略有不足，轻微强度', when: { score_below: 80 }, set: { type: 'general', strength: 1 } }
+      ]
+    },
+    upscale: {
+      priority: 3,
+      enable_below: 70,
+      rules: [
+        { id: 'upscale-low-res', description: '分辨率过低，4倍放大', when: { score_below: 40 }, set: { scale: 4, model: 'real-esrgan' } },
+        { id: 'upscale-default', description: '分辨率偏低，2倍放大', when: { score_below: 70 }, set: { scale: 2, model: 'real-esrgan' } }
+      ]
+    }
+  }
+};
+
+// 推荐步骤与评分维度的对应关系
+const STEP_SCORE_KEYS = {
+  tone: 'tone',
+  detail: 'detail',
+  upscale: 'resolution'
+};
+
+/**
+ * 校验规则表结构，避免配置错误在运行时才暴露
+ * @param {Object} rules - 规则表
+ * @returns {boolean} 校验结果
+ */
+function validateAutopilotRules(rules) {
+  if (!rules || !rules.scoring || !rules.recommendations) {
+    throw new Error('Autopilot规则表缺少scoring或recommendations');
+  }
+
+  for (const step of Object.keys(rules.recommendations)) {
+    if (!STEP_SCORE_KEYS[step]) {
+      throw new Error(`Autopilot规则表包含未知步骤: ${step}`);
+    }
+    const stepRules = rules.recommendations[step];
+    if (typeof stepRules.enable_below !== 'number' || !Array.isArray(stepRules.rules)) {
+      throw new Error(`Autopilot规则表中 ${step} 缺少enable_below或rules`);
+    }
+    stepRules.rules.forEach((rule) => {
+      if (!rule.id || !rule.when || !rule.set) {
+        throw new Error(`Autopilot规则表中 ${step} 的规则缺少id、when或set`);
+      }
+    });
+  }
+
+  return true;
+}
+
+/**
+ * 合并自定义规则，未覆盖的部分沿用默认规则
+ * @param {Object} overrides - 自定义规则（与规则表结构相同的部分对象）
+ * @returns {Object} 合并后的规则表
+ */
+function mergeAutopilotRules(overrides = {}) {
+  const merge = (base, override) => {
+    if (Array.isArray(base) || Array.isArray(override) || typeof base !== 'object' || typeof override !== 'object' || !base || !override) {
+      return override === undefined ? base : override;
+    }
+    const result = { ...base };
+    for (const key of Object.keys(override)) {
+      result[key] = merge(base[key], override[key]);
+    }
+    return result;
+  };
+
+  const rules = merge(DEFAULT_AUTOPILOT_RULES, overrides);
+  validateAutopilotRules(rules);
+  return rules;
+}
+
+/**
+ * 按质量问题扣分计算单个维度评分
+ * @param {Object} config - { base, penalties }
+ * @param {string[]} issues - 质量问题标签
+ * @returns {Object} { score, explain }
+ */
+function scoreByIssues(config, issues) {
+  let score = config.base;
+  const applied = [];
+
+  for (const [issue, penalty] of Object.entries(config.penalties)) {
+    if (issues.includes(issue)) {
+      score -= penalty;
+      applied.push({ issue, penalty });
+    }
+  }
+
+  return {
+    score: Math.max(0, Math.min(100, score)),
+    explain: { base: config.base, applied }
+  };
+}
+
+/**
+ * 计算分辨率适配评分
+ * @param {Object} config - { base, pixel_penalties }
+ * @param {Object} imageInfo - 图像信息 { width, height }
+ * @returns {Object} { score, explain }
+ */
+function scoreResolution(config, imageInfo) {
+  let score = config.base;
+  const applied = [];
+
+  if (imageInfo) {
+    const totalPixels = imageInfo.width * imageInfo.height;
+    const tier = config.pixel_penalties.find(entry => totalPixels < entry.below);
+    if (tier) {
+      score -= tier.penalty;
+      applied.push({ pixels: totalPixels, below: tier.below, penalty: tier.penalty });
+    }
+  }
+
+  return {
+    score: Math.max(0, Math.min(100, score)),
+    explain: { base: config.base, applied }
+  };
+}
+
+/**
+ * 计算质量评分（0-100分）
+ * 图像无法进行像素分析时（analysis.analyzable为false）影调和细节评分为null，综合评分只看分辨率
+ * @param {Object} analysis - processAnalyze结果中的analysis字段
+ * @param {Object} rules - 规则表
+ * @returns {Object} { scores, explain }
+ */
+function calculateQualityScores(analysis, rules = DEFAULT_AUTOPILOT_RULES) {
+  const issues = analysis.quality_issues || [];
+
+  // 分辨率适配评分
+  const resolution = scoreResolution(rules.scoring.resolution, analysis.image_info);
+
+  if (analysis.analyzable === false) {
+    const skipped = { skipped: true, reason: analysis.decode_error || '图像无法进行像素分析' };
+    return {
+      scores: {
+        tone: null,
+        detail: null,
+        resolution: Math.round(resolution.score),
+        overall: Math.round(resolution.score)
+      },
+      explain: {
+        tone: skipped,
+        detail: skipped,
+        resolution: resolution.explain
+      }
+    };
+  }
+
+  // 影调质量评分
+  const tone = scoreByIssues(rules.scoring.tone, issues);
+
+  // 细节清晰度评分
+  const detail = scoreByIssues(rules.scoring.detail, issues);
+
+  return {
+    scores: {
+      tone: Math.round(tone.score),
+      detail: Math.round(detail.score),
+      resolution: Math.round(resolution.score),
+      overall: Math.round((tone.score + detail.score + resolution.score) / 3)
+    },
+    explain: {
+      tone: tone.explain,
+      detail: detail.explain,
+      resolution: resolution.explain
+    }
+  };
+}
+
+/**
+ * 判断规则条件是否满足
+ * @param {Object} when - { score_below?, issues_any? }
+ * @param {number} score - 对应维度评分
+ * @param {string[]} issues - 质量问题标签
+ * @returns {boolean} 是否满足
+ */
+function matchesRule(when, score, issues) {
+  if (typeof when.score_below === 'number' && !(score < when.score_below)) return false;
+  if (Array.isArray(when.issues_any) && !when.issues_any.some(issue => issues.includes(issue))) return false;
+  return true;
+}
+
+/**
+ * 生成增强建议
+ * @param {Object} scores - 质量评分
+ * @param {Object} analysis - processAnalyze结果中的analysis字段
+ * @param {Object} rules - 规则表
+ * @returns {Object} { recommendations, explain }
+ */
+function generateEnhancementRecommendations(scores, analysis = {}, rules = DEFAULT_AUTOPILOT_RULES) {
+  const issues = analysis.quality_issues || [];
+  const recommendations = {
+    tone: null,
+    detail: null,
+    upscale: null,
+    priority: []
+  };
+  const explain = {};
+
+  const steps = Object.entries(rules.recommendations)
+    .sort(([, a], [, b]) => (a.priority ?? 0) - (b.priority ?? 0));
+
+  for (const [step, stepRules] of steps) {
+    const score = scores[STEP_SCORE_KEYS[step]];
+
+    if (typeof score !== 'number') {
+      explain[step] = {
+        enabled: false,
+        rule: null,
+        reason: '图像无法进行像素分析，不评估此步骤'
+      };
+      continue;
+    }
+
+    if (!(score < stepRules.enable_below)) {
+      explain[step] = {
+        enabled: false,
+        rule: null,
+        reason: `评分${score}不低于启用阈值${stepRules.enable_below}`
+      };
+      continue;
+    }
+
+    const rule = stepRules.rules.find(candidate => matchesRule(candidate.when, score, issues));
+    if (!rule) {
+      explain[step] = {
+        enabled: false,
+        rule: null,
+        reason: `评分${score}低于启用阈值${stepRules.enable_below}，但没有匹配的规则`
+      };
+      continue;
+    }
+
+    recommendations[step] = { enabled: true, ...rule.set };
+    recommendations.priority.push(step);
+    explain[step] = {
+      enabled: true,
+      rule: rule.id,
+      description: rule.description,
+      score,
+      when: rule.when,
+      set: rule.set
+    };
+  }
+
+  return { recommendations, explain };
+}
+
+// CommonJS导出
+module.exports = {
+  DEFAULT_AUTOPILOT_RULES,
+  validateAutopilotRules,
+  mergeAutopilotRules,
+  calculateQualityScores,
+  generateEnhancementRecommendations
+};
@@ -0,0 +1,738 @@
+// 此文件由 scripts/build-shared.js 根据 shared/src/batches.js 生成，请勿直接修改
+/**
+ * 批量处理
+ * POST /api/batches 用同一条流水线（或预设）处理多张图像：每张图像作为一个pipeline任务执行，
+ * 批量调度器限制同时执行的任务数，并汇总各图像的状态和整体进度。
+ * 失败或取消的图像可以单独重试，DELETE /api/batches/:id 取消全部未完成的图像，
+ * 成功的结果通过 GET /api/batches/:id/download 打包为ZIP下载：保留上传时的目录结构，
+ * 文件名追加流水线后缀，并附带记录每张图像评分、步骤和耗时的manifest.json。
+ * 输入图像在创建时保存到对象存储（batch-inputs/<批量任务ID>/<图像ID>），批量任务记录只保存对象键，
+ * 调度器每次写回记录时不再重复写入图像数据
+ */
+
+const crypto = require('crypto');
+const { validateImageData } = require('./api-handlers.cjs');
+const { validatePipeline, pipelineBillingSteps } = require('./pipeline.cjs');
+const { resolveProviderName } = require('./providers.cjs');
+const { JOB_STATUS, STEP_STATUS, createJob, runJob, cancelJob } = require('./jobs.cjs');
+const { getOutputStorage, loadOutputImage, FORMAT_EXTENSIONS } = require('./outputs.cjs');
+const { detectImageFormat } = require('./image-header.cjs');
+const { ZipWriter, normalizeZipPath } = require('./zip.cjs');
+const { createHttpError } = require('./http-errors.cjs');
+
+// 批量任务状态：partial表示部分图像失败或被取消
+const BATCH_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  PARTIAL: 'partial',
+  FAILED: 'failed',
+  CANCELED: 'canceled'
+};
+
+// 单张图像的状态，与对应任务的状态一致
+const BATCH_ITEM_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELED: 'canceled'
+};
+
+// 每批最多处理的图像数
+const MAX_BATCH_ITEMS = 50;
+
+// 每批同时执行的任务数上限和默认值（默认值可通过BATCH_CONCURRENCY覆盖）
+const MAX_BATCH_CONCURRENCY = 4;
+const BATCH_CONCURRENCY = 2;
+
+// 结果文件名后缀：只允许字母、数字、-和_，空字符串表示不加后缀
+const OUTPUT_SUFFIX_PATTERN = /^[A-Za-z0-9_-]{0,40}$/;
+
+// 压缩包中的清单文件
+const MANIFEST_NAME = 'manifest.json';
+
+// 调度器检查任务状态的间隔（ms）
+const BATCH_SCHEDULER_INTERVAL_MS = 1000;
+
+// 调度器租约时长（ms）：租约过期后（如执行调度的进程已退出）其他请求可以接管调度
+const BATCH_LEASE_MS = 30 * 1000;
+
+const TERMINAL_STATUSES = [BATCH_STATUS.SUCCEEDED, BATCH_STATUS.PARTIAL, BATCH_STATUS.FAILED, BATCH_STATUS.CANCELED];
+const FINISHED_ITEM_STATUSES = [BATCH_ITEM_STATUS.SUCCEEDED, BATCH_ITEM_STATUS.FAILED, BATCH_ITEM_STATUS.CANCELED];
+
+// 本进程内正在调度的批量任务，避免同一进程重复调度
+const activeSchedulers = new Set();
+
+/**
+ * 读取每批同时执行的任务数
+ * @param {any} value - 请求中的concurrency参数
+ * @returns {number} 并发数
+ */
+function resolveConcurrency(value) {
+  if (value === undefined || value === null || value === '') {
+    const configured = Number(process.env.BATCH_CONCURRENCY);
+    return Number.isInteger(configured) && configured > 0 ? Math.min(configured, MAX_BATCH_CONCURRENCY) : BATCH_CONCURRENCY;
+  }
+  const concurrency = Number(value);
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_BATCH_CONCURRENCY) {
+    throw createHttpError(`concurrency必须是1到${MAX_BATCH_CONCURRENCY}之间的整数`, 400);
+  }
+  return concurrency;
+}
+
+/**
+ * 确定结果文件名的后缀，用于区分同一批素材用不同流水线处理的结果。
+ * 未指定时依次使用内置预设ID（去掉builtin-前缀）、流水线名称中的字母数字部分、步骤ID
+ * @param {any} value - 请求中的suffix参数
+ * @param {Object} pipeline - 校验后的流水线
+ * @param {string} presetId - 预设ID（可选）
+ * @returns {string} 后缀
+ */
+function resolveOutputSuffix(value, pipeline, presetId) {
+  if (value !== undefined && value !== null) {
+    const suffix = String(value);
+    if (!OUTPUT_SUFFIX_PATTERN.test(suffix)) {
+      throw createHttpError('suffix只能包含字母、数字、-和_，最长40个字符', 400);
+    }
+    return suffix;
+  }
+  if (typeof presetId === 'string' && presetId.startsWith('builtin-')) {
+    return presetId.slice('builtin-'.length);
+  }
+  const slug = String(pipeline.name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return (slug || pipeline.steps.map(step => step.id).join('-')).slice(0, 40);
+}
+
+/**
+ * 计算批量任务进度：运行中的图像按其任务进度计入
+ * @param {Array} items - 图像记录
+ * @returns {Object} { total, queued, running, succeeded, failed, canceled, percent }
+ */
+function calculateBatchProgress(items) {
+  const counts = Object.fromEntries(Object.values(BATCH_ITEM_STATUS).map(status => [status, 0]));
+  let percent = 0;
+  items.forEach((item) => {
+    counts[item.status] += 1;
+    if (FINISHED_ITEM_STATUSES.includes(item.status)) {
+      percent += 100;
+    } else if (item.status === BATCH_ITEM_STATUS.RUNNING) {
+      percent += item.percent || 0;
+    }
+  });
+  return {
+    total: items.length,
+    ...counts,
+    percent: items.length === 0 ? 100 : Math.round(percent / items.length)
+  };
+}
+
+/**
+ * 根据图像状态确定批量任务的最终状态，仍有未完成的图像时返回null
+ * @param {Array} items - 图像记录
+ * @returns {string|null} 批量任务状态
+ */
+function resolveFinalStatus(items) {
+  if (items.some(item => !FINISHED_ITEM_STATUSES.includes(item.status))) {
+    return null;
+  }
+  const succeeded = items.filter(item => item.status === BATCH_ITEM_STATUS.SUCCEEDED).length;
+  if (succeeded === items.length) {
+    return BATCH_STATUS.SUCCEEDED;
+  }
+  return succeeded > 0 ? BATCH_STATUS.PARTIAL : BATCH_STATUS.FAILED;
+}
+
+/**
+ * 转换为对外返回的批量任务信息（不包含输入图像和调度器租约）
+ * @param {Object} batch - 批量任务记录
+ * @returns {Object} 批量任务信息
+ */
+function toPublicBatch(batch) {
+  const { inputs, scheduler, ...publicBatch } = batch;
+  return publicBatch;
+}
+
+/**
+ * 保存一张输入图像到对象存储
+ * @param {Object} storage - 对象存储
+ * @param {string} batchId - 批量任务ID
+ * @param {string} itemId - 图像ID
+ * @param {string} imageBase64 - 输入图像（data URL或Base64）
+ * @returns {Promise<string>} 对象键
+ */
+async function storeBatchInput(storage, batchId, itemId, imageBase64) {
+  const buffer = Buffer.from(imageBase64.replace(/^data:[^;,]+;base64,/i, ''), 'base64');
+  const format = detectImageFormat(buffer);
+  const key = `batch-inputs/${batchId}/${itemId}.${FORMAT_EXTENSIONS[format] || 'bin'}`;
+  await storage.put(key, buffer, { contentType: format === 'unknown' ? 'application/octet-stream' : `image/${format}` });
+  return key;
+}
+
+/**
+ * 从对象存储读取输入图像
+ * @param {Object} storage - 对象存储
+ * @param {string} key - storeBatchInput返回的对象键
+ * @returns {Promise<string>} 输入图像（图像为data URL，无法识别格式时为Base64）
+ */
+async function loadBatchInput(storage, key) {
+  const object = key ? await storage.get(key) : null;
+  if (!object) {
+    throw new Error('输入图像已不存在，请重新创建批量任务');
+  }
+  const prefix = object.contentType?.startsWith('image/') ? `data:${object.contentType};base64,` : '';
+  return `${prefix}${object.body.toString('base64')}`;
+}
+
+/**
+ * 读取批量任务并检查归属
+ * @param {Object} batchStore - 批量任务存储
+ * @param {string} id - 批量任务ID
+ * @param {string} userId - 当前用户ID，属于其他用户的批量任务按不存在处理
+ * @returns {Promise<Object>} 批量任务记录
+ */
+async function loadBatch(batchStore, id, userId) {
+  let batch;
+  try {
+    batch = await batchStore.get(id);
+  } catch (error) {
+    throw createHttpError(error.message, 400);
+  }
+
+  if (!batch || (batch.user_id && batch.user_id !== userId)) {
+    throw createHttpError(`批量任务不存在: ${id}`, 404);
+  }
+  return batch;
+}
+
+/**
+ * 按任务状态更新图像记录
+ * @param {Object} jobStore - 任务存储
+ * @param {Array} items - 图像记录
+ * @returns {Promise<Array>} 更新后的图像记录
+ */
+async function syncBatchItems(jobStore, items) {
+  return Promise.all(items.map(async (item) => {
+    if (item.status !== BATCH_ITEM_STATUS.RUNNING || !item.job_id) {
+      return item;
+    }
+
+    const job = await jobStore.get(item.job_id);
+    if (!job) {
+      return { ...item, status: BATCH_ITEM_STATUS.FAILED, error: `任务不存在: ${item.job_id}`, finished_at: new Date().toISOString() };
+    }
+    if (job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING) {
+      return { ...item, percent: job.progress.percent, stage: job.progress.stage };
+    }
+
+    return {
+      ...item,
+      status: job.status,
+      percent: 100,
+      stage: job.status,
+      error: job.error,
+      result: job.result ? {
+        final_image: job.result.final_image,
+        final_output: job.result.final_output,
+        total_steps: job.result.total_steps,
+        successful_steps: job.result.successful_steps,
+        skipped_steps: job.result.skipped_steps,
+        credits_charged: job.result.credits_charged
+      } : null,
+      finished_at: job.finished_at
+    };
+  }));
+}
+
+/**
+ * 写回批量任务；已被取消的批量任务不再覆盖。
+ * 图像在读取后被重试时（retries增加）保留存储中的记录
+ * @param {Object} batchStore - 批量任务存储
+ * @param {string} id - 批量任务ID
+ * @param {Object} patch - 更新内容
+ * @returns {Promise<Object|null>} 更新后的批量任务记录，未写入时为null
+ */
+async function saveBatch(batchStore, id, patch) {
+  const latest = await batchStore.get(id);
+  if (!latest || latest.status === BATCH_STATUS.CANCELED) {
+    return null;
+  }
+
+  const items = patch.items
+    ? patch.items.map((item, index) => (latest.items[index].retries > item.retries ? latest.items[index] : item))
+    : latest.items;
+  const retried = patch.items && items.some((item, index) => item !== patch.items[index]);
+  return batchStore.update(id, {
+    ...patch,
+    // 重试的图像重新排队后，批量任务不能按旧的图像状态结束
+    ...(retried && TERMINAL_STATUSES.includes(patch.status) ? { status: BATCH_STATUS.RUNNING, finished_at: null } : {}),
+    items,
+    progress: calculateBatchProgress(items),
+    updated_at: new Date().toISOString()
+  });
+}
+
+/**
+ * 创建批量任务 - 统一接口
+ * 所有图像和流水线在创建时整体校验，任一处不合法返回400，不创建任何任务；校验通过后输入图像保存到对象存储
+ * @param {Object} stores - { batchStore, storage } storage为保存输入图像的对象存储，默认与处理结果相同
+ * @param {Object} params - { images: [{ name, imageBase64 }], pipeline, preset_id, provider, concurrency, suffix, analyze, skipped }
+ *   analyze为true时每张图像先执行一次Autopilot分析，质量评分写入manifest.json
+ * @param {string} userId - 创建批量任务的用户ID
+ * @param {Object} meter - 用量计量器，提供时按第一张图像检查套餐功能（包括批量图像数），每张图像开始处理前再检查额度
+ * @returns {Promise<Object>} 批量任务记录
+ */
+async function createBatch({ batchStore, storage = getOutputStorage() }, params = {}, userId = null, meter = null) {
+  const { images, pipeline: definition, preset_id = null, analyze = false, skipped = [] } = params;
+
+  if (!Array.isArray(images) || images.length === 0) {
+    throw createHttpError('缺少图像，请至少上传一张图像', 400);
+  }
+  if (images.length > MAX_BATCH_ITEMS) {
+    throw createHttpError(`每批最多处理 ${MAX_BATCH_ITEMS} 张图像，当前 ${images.length} 张`, 400);
+  }
+
+  const names = images.map((image, index) => normalizeZipPath(image?.name) || `image-${index + 1}`);
+  images.forEach((image, index) => {
+    try {
+      validateImageData(image?.imageBase64);
+    } catch (error) {
+      throw createHttpError(`${names[index]}: ${error.message}`, 400);
+    }
+  });
+
+  if (typeof analyze !== 'boolean') {
+    throw createHttpError('analyze必须是布尔值', 400);
+  }
+
+  let provider;
+  let pipeline;
+  let concurrency;
+  let outputSuffix;
+  try {
+    provider = resolveProviderName(params.provider);
+    pipeline = validatePipeline(definition, { provider });
+    concurrency = resolveConcurrency(params.concurrency);
+    outputSuffix = resolveOutputSuffix(params.suffix, pipeline, preset_id);
+  } catch (error) {
+    throw createHttpError(error.message, error.statusCode || 400);
+  }
+
+  if (meter) {
+    await meter.check(userId, {
+      steps: pipelineBillingSteps(pipeline),
+      imageBase64: images[0].imageBase64,
+      batchItems: images.length
+    });
+  }
+
+  const items = names.map((name, index) => ({
+    id: `item-${index + 1}`,
+    name,
+    status: BATCH_ITEM_STATUS.QUEUED,
+    job_id: null,
+    previous_job_ids: [],
+    retries: 0,
+    percent: 0,
+    stage: BATCH_ITEM_STATUS.QUEUED,
+    error: null,
+    result: null,
+    started_at: null,
+    finished_at: null
+  }));
+
+  const id = crypto.randomUUID();
+  const inputs = await Promise.all(items.map((item, index) => storeBatchInput(storage, id, item.id, images[index].imageBase64)));
+
+  const now = new Date().toISOString();
+  const batch = {
+    id,
+    user_id: userId,
+    status: BATCH_STATUS.QUEUED,
+    provider,
+    pipeline: definition,
+    pipeline_name: pipeline.name,
+    preset_id,
+    output_suffix: outputSuffix,
+    analyze,
+    concurrency,
+    items,
+    inputs: Object.fromEntries(items.map((item, index) => [item.id, inputs[index]])),
+    skipped,
+    progress: calculateBatchProgress(items),
+    scheduler: null,
+    created_at: now,
+    updated_at: now,
+    started_at: null,
+    finished_at: null
+  };
+
+  await batchStore.create(batch);
+  console.log(`📦 已创建批量任务 ${batch.id}，${items.length} 张图像，流水线: ${pipeline.steps.map(step => step.op).join(' → ')}，并发: ${concurrency}`);
+  return batch;
+}
+
+/**
+ * 查询批量任务 - 统一接口
+ * 运行中图像的状态和进度直接读取对应任务，不依赖调度器是否刚刚写回
+ * @param {Object} stores - { batchStore, jobStore }
+ * @param {string} id - 批量任务ID
+ * @param {string} userId - 当前用户ID
+ * @returns {Promise<Object>} 批量任务信息
+ */
+async function getBatch({ batchStore, jobStore }, id, userId = null) {
+  const batch = await loadBatch(batchStore, id, userId);
+  const items = await syncBatchItems(jobStore, batch.items);
+  return toPublicBatch({ ...batch, items, progress: calculateBatchProgress(items) });
+}
+
+/**
+ * 推进批量任务一次：同步各图像的任务状态，在并发上限内为排队的图像创建并启动任务，
+ * 所有图像结束后确定批量任务的最终状态
+ * @param {Object} stores - { batchStore, jobStore, storage } storage为保存输入图像的对象存储
+ * @param {string} id - 批量任务ID
+ * @param {Object} context - { apiToken, webhookUrl, meter, replicateLimiter, owner }
+ * @returns {Promise<Object|null>} 更新后的批量任务记录
+ */
+async function advanceBatch({ batchStore, jobStore, storage = getOutputStorage() }, id, context) {
+  const batch = await batchStore.get(id);
+  if (!batch || TERMINAL_STATUSES.includes(batch.status)) {
+    return batch;
+  }
+
+  const items = await syncBatchItems(jobStore, batch.items);
+  let active = items.filter(item => item.status === BATCH_ITEM_STATUS.RUNNING).length;
+  const started = [];
+
+  for (let index = 0; index < items.length && active < batch.concurrency; index++) {
+    const item = items[index];
+    if (item.status !== BATCH_ITEM_STATUS.QUEUED) {
+      continue;
+    }
+
+    const now = new Date().toISOString();
+    try {
+      // 每张图像创建任务时检查额度，额度用尽后剩余图像逐个失败
+      const job = await createJob(jobStore, 'pipeline', {
+        imageBase64: await loadBatchInput(storage, batch.inputs[item.id]),
+        pipeline: batch.pipeline,
+        provider: batch.provider,
+        analyze: batch.analyze === true,
+        batch_id: batch.id
+      }, batch.user_id, context.meter, storage);
+      items[index] = { ...item, status: BATCH_ITEM_STATUS.RUNNING, job_id: job.id, percent: 0, stage: job.progress.stage, started_at: now };
+      started.push(job.id);
+      active += 1;
+    } catch (error) {
+      console.error(`❌ 批量任务 ${id} 的图像 ${item.name} 创建任务失败:`, error.message);
+      items[index] = { ...item, status: BATCH_ITEM_STATUS.FAILED, stage: BATCH_ITEM_STATUS.FAILED, error: error.message, started_at: now, finished_at: now };
+    }
+  }
+
+  const finalStatus = resolveFinalStatus(items);
+  const now = new Date().toISOString();
+  const saved = await saveBatch(batchStore, id, {
+    items,
+    status: finalStatus || BATCH_STATUS.RUNNING,
+    started_at: batch.started_at || now,
+    finished_at: finalStatus ? now : null,
+    scheduler: finalStatus ? null : { owner: context.owner, lease_until: new Date(Date.now() + BATCH_LEASE_MS).toISOString() }
+  });
+
+  if (!saved) {
+    // 写回前批量任务已被取消，刚创建的任务也一并取消
+    await Promise.all(started.map(jobId => cancelJob(jobStore, jobId, context.apiToken, batch.user_id, context.meter, context.replicateLimiter).catch(() => null)));
+    return batchStore.get(id);
+  }
+
+  // 任务在后台执行；webhook模式下runJob在创建预测后即返回，由回调继续推进
+  started.forEach((jobId) => {
+    runJob(jobStore, jobId, context.apiToken, {
+      webhookUrl: context.webhookUrl,
+      meter: context.meter,
+      replicateLimiter: context.replicateLimiter,
+      storage
+    }).catch((error) => {
+      console.error(`❌ 批量任务 ${id} 的任务 ${jobId} 执行失败:`, error.message);
+    });
+  });
+
+  if (finalStatus) {
+    console.log(`✅ 批量任务 ${id} 已结束，状态: ${finalStatus}（成功 ${saved.progress.succeeded}/${saved.progress.total}）`);
+  }
+  return saved;
+}
+
+/**
+ * 执行批量任务调度 - 统一接口
+ * 定期推进批量任务直到所有图像结束。其他进程持有未过期的租约、或本进程已在调度时直接返回，
+ * 因此查询接口可以在调度中断（如函数超时）后调用它接管调度
+ * @param {Object} stores - { batchStore, jobStore }
+ * @param {string} id - 批量任务ID
+ * @param {Object} context - { apiToken, webhookUrl, meter, replicateLimiter, intervalMs }
+ * @returns {Promise<Object|null>} 调度结束时的批量任务信息
+ */
+async function runBatch(stores, id, context = {}) {
+  if (activeSchedulers.has(id)) {
+    return null;
+  }
+
+  const owner = crypto.randomUUID();
+  const intervalMs = context.intervalMs || BATCH_SCHEDULER_INTERVAL_MS;
+  activeSchedulers.add(id);
+  try {
+    const batch = await stores.batchStore.get(id);
+    const lease = batch?.scheduler;
+    if (!batch || TERMINAL_STATUSES.includes(batch.status)) {
+      return batch ? toPublicBatch(batch) : null;
+    }
+    if (lease && Date.parse(lease.lease_until) > Date.now()) {
+      return toPublicBatch(batch);
+    }
+
+    console.log(`🚚 开始调度批量任务 ${id}`);
+    for (;;) {
+      const advanced = await advanceBatch(stores, id, { ...context, owner });
+      if (!advanced || TERMINAL_STATUSES.includes(advanced.status)) {
+        return advanced ? toPublicBatch(advanced) : null;
+      }
+      await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+  } finally {
+    activeSchedulers.delete(id);
+  }
+}
+
+/**
+ * 取消批量任务 - 统一接口
+ * 运行中的任务逐个取消（已扣除的积分按任务取消规则退还），排队的图像不再处理
+ * @param {Object} stores - { batchStore, jobStore }
+ * @param {string} id - 批量任务ID
+ * @param {string} userId - 当前用户ID
+ * @param {Object} context - { apiToken, meter, replicateLimiter }
+ * @returns {Promise<Object>} 取消后的批量任务信息
+ */
+async function cancelBatch({ batchStore, jobStore }, id, userId = null, context = {}) {
+  const batch = await loadBatch(batchStore, id, userId);
+  if (TERMINAL_STATUSES.includes(batch.status)) {
+    throw createHttpError(`批量任务已结束，无法取消（当前状态: ${batch.status}）`, 409);
+  }
+
+  // 先标记为已取消，调度器不再启动新的任务
+  const now = new Date().toISOString();
+  await batchStore.update(id, { status: BATCH_STATUS.CANCELED, scheduler: null, updated_at: now, finished_at: now });
+
+  await Promise.all(batch.items
+    .filter(item => item.status === BATCH_ITEM_STATUS.RUNNING && item.job_id)
+    .map(item => cancelJob(jobStore, item.job_id, context.apiToken, batch.user_id, context.meter, context.replicateLimiter).catch((error) => {
+      // 任务可能刚好结束
+      console.warn(`⚠️ 取消任务 ${item.job_id} 失败:`, error.message);
+    })));
+
+  const items = (await syncBatchItems(jobStore, batch.items)).map(item => (
+    item.status === BATCH_ITEM_STATUS.QUEUED
+      ? { ...item, status: BATCH_ITEM_STATUS.CANCELED, stage: BATCH_ITEM_STATUS.CANCELED, finished_at: now }
+      : item
+  ));
+  const canceled = await batchStore.update(id, { items, progress: calculateBatchProgress(items) });
+
+  console.log(`🛑 批量任务 ${id} 已取消`);
+  return toPublicBatch(canceled);
+}
+
+/**
+ * 重试批量任务中失败或已取消的图像 - 统一接口
+ * 图像重新排队，批量任务回到运行状态；调用方随后需要调用runBatch继续调度
+ * @param {Object} stores - { batchStore, jobStore }
+ * @param {string} id - 批量任务ID
+ * @param {string} itemId - 图像ID
+ * @param {string} userId - 当前用户ID
+ * @returns {Promise<Object>} 批量任务信息
+ */
+async function retryBatchItem({ batchStore, jobStore }, id, itemId, userId = null) {
+  const batch = await loadBatch(batchStore, id, userId);
+  const items = await syncBatchItems(jobStore, batch.items);
+  const index = items.findIndex(item => item.id === itemId);
+  if (index === -1) {
+    throw createHttpError(`批量任务中不存在该图像: ${itemId}`, 404);
+  }
+
+  const item = items[index];
+  if (item.status !== BATCH_ITEM_STATUS.FAILED && item.status !== BATCH_ITEM_STATUS.CANCELED) {
+    throw createHttpError(`只能重试失败或已取消的图像（当前状态: ${item.status}）`, 409);
+  }
+
+  items[index] = {
+    ...item,
+    status: BATCH_ITEM_STATUS.QUEUED,
+    job_id: null,
+    previous_job_ids: item.job_id ? [...item.previous_job_ids, item.job_id] : item.previous_job_ids,
+    retries: item.retries + 1,
+    percent: 0,
+    stage: BATCH_ITEM_STATUS.QUEUED,
+    error: null,
+    result: null,
+    started_at: null,
+    finished_at: null
+  };
+
+  const now = new Date().toISOString();
+  const updated = await batchStore.update(id, {
+    items,
+    status: BATCH_STATUS.RUNNING,
+    progress: calculateBatchProgress(items),
+    // 批量任务已结束时没有调度器在运行
+    ...(TERMINAL_STATUSES.includes(batch.status) ? { scheduler: null, finished_at: null } : {}),
+    updated_at: now
+  });
+
+  console.log(`🔁 批量任务 ${id} 的图像 ${item.name} 重新排队（第 ${item.retries + 1} 次重试）`);
+  return toPublicBatch(updated);
+}
+
+/**
+ * 生成压缩包内的文件名：保留上传时的相对路径，追加流水线后缀，扩展名按结果格式，重名时追加序号
+ * @param {string} name - 图像名称
+ * @param {string} format - 结果图像格式
+ * @param {string} suffix - 流水线后缀，空字符串时不追加
+ * @param {Set} used - 已使用的文件名
+ * @returns {string} 文件名
+ */
+function archiveEntryName(name, format, suffix, used) {
+  const stem = name.replace(/\.[^./]+$/, '') + (suffix ? `_${suffix}` : '');
+  const extension = FORMAT_EXTENSIONS[format] || 'png';
+  let entryName = `${stem}.${extension}`;
+  for (let n = 2; used.has(entryName); n++) {
+    entryName = `${stem}-${n}.${extension}`;
+  }
+  used.add(entryName);
+  return entryName;
+}
+
+/**
+ * 生成manifest.json中单张图像的记录：质量评分、各步骤的执行情况和耗时
+ * @param {Object} item - 图像记录
+ * @param {Object|null} job - 图像最近一次处理的任务记录
+ * @param {string|null} output - 压缩包内的结果文件名，没有结果时为null
+ * @returns {Object} 清单记录
+ */
+function manifestEntry(item, job, output) {
+  const analysis = job?.steps.find(step => step.name === 'analyze' && step.status === STEP_STATUS.SUCCEEDED)?.output;
+  const startedAt = item.started_at ? Date.parse(item.started_at) : null;
+  const finishedAt = item.finished_at ? Date.parse(item.finished_at) : null;
+  return {
+    id: item.id,
+    source: item.name,
+    output,
+    status: item.status,
+    error: item.error,
+    retries: item.retries,
+    job_id: item.job_id,
+    scores: job?.params.scores || analysis?.scores || null,
+    steps: (job?.steps || []).map(step => ({
+      id: step.id || step.name,
+      op: step.name,
+      status: step.status,
+      provider: step.config?.provider || null,
+      fallback_used: Boolean(step.fallback_used),
+      attempts: step.attempts ?? null,
+      credits: step.billing?.charged || 0,
+      started_at: step.started_at,
+      finished_at: step.finished_at,
+      processing_time_ms: step.processing_time_ms,
+      error: step.error
+    })),
+    timings: {
+      started_at: item.started_at,
+      finished_at: item.finished_at,
+      duration_ms: startedAt && finishedAt ? finishedAt - startedAt : null
+    }
+  };
+}
+
+/**
+ * 以ZIP下载批量任务的结果 - 统一接口
+ * 包含处理成功且产生了新图像的文件，以及记录所有图像（包括失败和跳过的文件）的manifest.json；
+ * 结果逐个读取并写入响应，不在内存中组装整个压缩包。
+ * 批量任务不存在或没有可下载的结果时在写入响应头之前抛出错误
+ * @param {Object} stores - { batchStore, jobStore }
+ * @param {string} id - 批量任务ID
+ * @param {Object} res - Node.js响应对象（Express与Vercel通用）
+ * @param {Object} options - { userId, storage }
+ * @returns {Promise<Object>} { files, failed } 写入的文件数和读取失败的文件数
+ */
+async function streamBatchArchive(stores, id, res, options = {}) {
+  const batch = await getBatch(stores, id, options.userId || null);
+  const downloadable = batch.items.filter(item => item.status === BATCH_ITEM_STATUS.SUCCEEDED && item.result?.final_output);
+  if (downloadable.length === 0) {
+    throw createHttpError('批量任务还没有可下载的结果', 409);
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="batch-${batch.id.slice(0, 8)}.zip"`,
+    'Cache-Control': 'no-store'
+  });
+
+  const zip = new ZipWriter(res);
+  const used = new Set([MANIFEST_NAME]);
+  const files = [];
+  let failed = 0;
+  for (const item of batch.items) {
+    let output = null;
+    if (downloadable.includes(item)) {
+      let image = null;
+      try {
+        image = await loadOutputImage(item.result.final_output, options.storage);
+      } catch (error) {
+        // 响应头已发送，读取失败的文件不写入压缩包，在清单中记录为没有结果
+        console.warn(`⚠️ 读取批量任务 ${id} 的图像 ${item.name} 结果失败:`, error.message);
+        failed += 1;
+      }
+      if (image) {
+        output = await zip.addFile(archiveEntryName(item.name, image.format, batch.output_suffix, used), image.body);
+      }
+    }
+    const job = item.job_id ? await stores.jobStore.get(item.job_id) : null;
+    files.push(manifestEntry(item, job, output));
+  }
+
+  const manifest = {
+    batch_id: batch.id,
+    status: batch.status,
+    pipeline: { name: batch.pipeline_name, preset_id: batch.preset_id, definition: batch.pipeline },
+    provider: batch.provider,
+    output_suffix: batch.output_suffix || '',
+    created_at: batch.created_at,
+    started_at: batch.started_at,
+    finished_at: batch.finished_at,
+    generated_at: new Date().toISOString(),
+    progress: batch.progress,
+    skipped: batch.skipped,
+    files
+  };
+  await zip.addFile(MANIFEST_NAME, JSON.stringify(manifest, null, 2), { compress: true });
+  await zip.finish();
+  res.end();
+
+  console.log(`🗜️ 批量任务 ${id} 已打包 ${downloadable.length - failed} 个结果和清单${failed ? `，${failed} 个读取失败` : ''}`);
+  return { files: downloadable.length - failed, failed };
+}
+
+// CommonJS导出
+module.exports = {
+  BATCH_STATUS,
+  BATCH_ITEM_STATUS,
+  MAX_BATCH_ITEMS,
+  MAX_BATCH_CONCURRENCY,
+  BATCH_CONCURRENCY,
+  BATCH_SCHEDULER_INTERVAL_MS,
+  BATCH_LEASE_MS,
+  toPublicBatch,
+  createBatch,
+  getBatch,
+  runBatch,
+  cancelBatch,
+  retryBatchItem,
+  streamBatchArchive
+};
@@ -0,0 +1,291 @@
+// 此文件由 scripts/build-shared.js 根据 shared/src/billing.js 生成，请勿直接修改
+/**
+ * 账单管理
+ * 维护Clerk用户与Stripe客户的对应关系（客户ID记录在权益存储中，客户元数据记录userId），
+ * 创建Checkout会话和Stripe客户门户会话（取消订阅、更换套餐、更新支付方式），并汇总订阅状态和最近账单供账单页面展示
+ */
+
+const Stripe = require('stripe');
+const { createHttpError } = require('./http-errors.cjs');
+const { PLANS, getEntitlements, getProPriceId } = require('./entitlements.cjs');
+const { getCreditPack } = require('./credits.cjs');
+
+// 与Stripe Webhook、Checkout使用同一API版本
+const STRIPE_API_VERSION = '2023-10-16';
+
+// 客户门户支持直接打开的流程，不指定时打开门户首页
+const PORTAL_FLOWS = ['payment_method_update', 'subscription_cancel', 'subscription_update'];
+
+// 账单页面展示的最近账单数量
+const INVOICE_LIMIT = 12;
+
+/**
+ * 把Stripe的秒级时间戳转换为ISO时间
+ * @param {number} seconds - Unix时间戳（秒）
+ * @returns {string|null} ISO时间
+ */
+function toIsoTime(seconds) {
+  return typeof seconds === 'number' ? new Date(seconds * 1000).toISOString() : null;
+}
+
+/**
+ * 调用Stripe API，把Stripe返回的错误转换为502
+ * @param {Function} request - 发起请求的函数
+ * @returns {Promise<any>} 请求结果
+ */
+async function callStripe(request) {
+  try {
+    return await request();
+  } catch (error) {
+    if (typeof error.type === 'string' && error.type.startsWith('Stripe')) {
+      throw createHttpError(`Stripe请求失败: ${error.message}`, 502);
+    }
+    throw error;
+  }
+}
+
+/**
+ * 创建Stripe客户端 - 统一接口
+ * 设置STRIPE_API_BASE_URL时请求发往该地址，本地可指向stripe-mock（如 http://localhost:12111）
+ * @param {string} secretKey - Stripe API密钥
+ * @returns {Stripe} Stripe客户端
+ */
+function createStripeClient(secretKey = process.env.STRIPE_SECRET_KEY) {
+  if (!secretKey) {
+    throw createHttpError('服务器配置错误：缺少Stripe密钥', 500);
+  }
+
+  const options = { apiVersion: STRIPE_API_VERSION };
+  if (process.env.STRIPE_API_BASE_URL) {
+    const baseUrl = new URL(process.env.STRIPE_API_BASE_URL);
+    options.protocol = baseUrl.protocol.replace(':', '');
+    options.host = baseUrl.hostname;
+    options.port = Number(baseUrl.port) || (options.protocol === 'http' ? 80 : 443);
+  }
+  return new Stripe(secretKey, options);
+}
+
+/**
+ * 读取应用地址，Checkout和客户门户完成后跳回该地址 - 统一接口
+ * 不使用请求的Origin头：任何网站都能带着自己的Origin发起请求，让支付完成后跳转到该网站
+ * @param {string} fallback - 未配置APP_URL时使用的地址（本地服务器传入自身地址）
+ * @returns {string} 不带末尾斜杠的应用地址
+ */
+function getAppUrl(fallback = null) {
+  const appUrl = process.env.APP_URL || fallback;
+  if (!appUrl) {
+    throw createHttpError('服务器配置错误：缺少APP_URL', 500);
+  }
+  try {
+    new URL(appUrl);
+  } catch {
+    throw createHttpError(`服务器配置错误：APP_URL不是有效地址: ${appUrl}`, 500);
+  }
+  return appUrl.replace(/\/+$/, '');
+}
+
+/**
+ * 查询或创建用户对应的Stripe客户 - 统一接口
+ * 客户ID保存在权益存储中，Checkout、客户门户和账单查询都使用同一个客户
+ * @param {Stripe} stripe - Stripe客户端
+ * @param {Object} store - 权益存储
+ * @param {string} userId - 用户ID
+ * @param {Object} details - { email }
+ * @returns {Promise<string>} Stripe客户ID
+ */
+async function getOrCreateCustomer(stripe, store, userId, { email } = {}) {
+  const record = await store.get(userId);
+  if (record?.customer_id) {
+    return record.customer_id;
+  }
+
+  // 幂等键保证同一用户的并发请求只创建一个客户
+  const customer = await callStripe(() => stripe.customers.create(
+    { email: email || undefined, metadata: { userId } },
+    { idempotencyKey: `customer_${userId}` }
+  ));
+  await store.put(userId, { customer_id: customer.id });
+  console.log(`👤 用户 ${userId} 已关联Stripe客户 ${customer.id}`);
+  return customer.id;
+}
+
+/**
+ * 创建Checkout会话 - 统一接口
+ * 提供packId时购买一次性积分包，否则按priceId创建订阅
+ * @param {Stripe} stripe - Stripe客户端
+ * @param {Object} store - 权益存储
+ * @param {string} userId - 用户ID
+ * @param {Object} options - { priceId, packId, origin, email }
+ * @returns {Promise<Object>} { id, url }
+ */
+async function createCheckoutSession(stripe, store, userId, { priceId, packId, origin, email }) {
+  if (!userId) {
+    throw createHttpError('请先登录后再订阅', 401);
+  }
+  if (!priceId && !packId) {
+    throw createHttpError('缺少价格ID', 400);
+  }
+
+  const pack = packId ? getCreditPack(packId) : null;
+  // 订阅只能购买Pro价格，其他价格的订阅不会被授予Pro权益
+  if (!pack) {
+    const proPriceId = getProPriceId();
+    if (!proPriceId) {
+      throw createHttpError('服务器配置错误：缺少Pro订阅价格ID', 500);
+    }
+    if (priceId !== proPriceId) {
+      throw createHttpError(`不支持的订阅价格: ${priceId}`, 400);
+    }
+  }
+  // 同一用户的订阅和积分包都归到同一个Stripe客户，客户门户和账单页面据此查询
+  const customer = await getOrCreateCustomer(stripe, store, userId, { email });
+
+  const session = await callStripe(() => stripe.checkout.sessions.create({
+    mode: pack ? 'payment' : 'subscription',
+    customer,
+    payment_method_types: ['card'],
+    line_items: [{ price: pack ? pack.price_id : priceId, quantity: 1 }],
+    success_url: `${origin}/success?session_id={CHECKOUT_SESSION_ID}`,
+    cancel_url: `${origin}/`,
+    // 积分包的积分数写入会话元数据，付款完成后由 /api/webhook 记入积分账本
+    metadata: pack
+      ? { userId, pack_id: pack.id, credits: String(pack.credits) }
+      : { userId },
+    client_reference_id: userId,
+    // 写入订阅元数据，后续订阅和账单事件据此找到对应用户
+    ...(pack ? {} : { subscription_data: { metadata: { userId } } })
+  }));
+  return { id: session.id, url: session.url };
+}
+
+/**
+ * 创建客户门户会话 - 统一接口
+ * 取消订阅和更换套餐流程需要有效的订阅，完成后跳回returnUrl
+ * @param {Stripe} stripe - Stripe客户端
+ * @param {Object} store - 权益存储
+ * @param {string} userId - 用户ID
+ * @param {Object} options - { returnUrl, flow }
+ * @returns {Promise<Object>} { url }
+ */
+async function createPortalSession(stripe, store, userId, { returnUrl, flow = null }) {
+  if (!userId) {
+    throw createHttpError('请先登录后再管理订阅', 401);
+  }
+  if (flow && !PORTAL_FLOWS.includes(flow)) {
+    throw createHttpError(`不支持的门户流程: ${flow}。支持的流程: ${PORTAL_FLOWS.join(', ')}`, 400);
+  }
+
+  const entitlements = await getEntitlements(store, userId);
+  if (!entitlements.customer_id) {
+    throw createHttpError('还没有账单信息，请先订阅Pro或购买积分包', 404);
+  }
+
+  const params = { customer: entitlements.customer_id, return_url: returnUrl };
+  if (flow) {
+    const flowData = {
+      type: flow,
+      after_completion: { type: 'redirect', redirect: { return_url: returnUrl } }
+    };
+    if (flow !== 'payment_method_update') {
+      if (entitlements.plan !== PLANS.PRO || !entitlements.subscription_id) {
+        throw createHttpError('当前没有可管理的订阅', 409);
+      }
+      flowData[flow] = { subscription: entitlements.subscription_id };
+    }
+    params.flow_data = flowData;
+  }
+
+  const session = await callStripe(() => stripe.billingPortal.sessions.create(params));
+  return { url: session.url };
+}
+
+/**
+ * 整理订阅信息
+ * @param {Object} subscription - Stripe订阅
+ * @returns {Object} { id, status, current_period_start, current_period_end, cancel_at, price }
+ */
+function formatSubscription(subscription) {
+  const price = subscription.items?.data?.[0]?.price;
+  return {
+    id: subscription.id,
+    status: subscription.status,
+    current_period_start: toIsoTime(subscription.current_period_start),
+    current_period_end: toIsoTime(subscription.current_period_end),
+    cancel_at: toIsoTime(subscription.cancel_at),
+    price: price ? {
+      id: price.id,
+      unit_amount: price.unit_amount,
+      currency: price.currency,
+      interval: price.recurring?.interval || null
+    } : null
+  };
+}
+
+/**
+ * 整理账单信息
+ * @param {Object} invoice - Stripe账单
+ * @returns {Object} { id, number, status, amount_due, amount_paid, currency, created, hosted_invoice_url, invoice_pdf }
+ */
+function formatInvoice(invoice) {
+  return {
+    id: invoice.id,
+    number: invoice.number || null,
+    status: invoice.status,
+    amount_due: invoice.amount_due,
+    amount_paid: invoice.amount_paid,
+    currency: invoice.currency,
+    created: toIsoTime(invoice.created),
+    hosted_invoice_url: invoice.hosted_invoice_url || null,
+    invoice_pdf: invoice.invoice_pdf || null
+  };
+}
+
+/**
+ * 查询订阅详情 - 统一接口
+ * 计划以Webhook维护的权益为准，续费时间和账单从Stripe实时读取
+ * @param {Stripe} stripe - Stripe客户端
+ * @param {Object} store - 权益存储
+ * @param {string} userId - 用户ID
+ * @returns {Promise<Object>} { plan, status, renews_at, cancel_at_period_end, customer_id, subscription, invoices }
+ */
+async function getSubscriptionDetails(stripe, store, userId) {
+  if (!userId) {
+    throw createHttpError('请先登录后再查询订阅', 401);
+  }
+
+  const entitlements = await getEntitlements(store, userId);
+  const [subscription, invoices] = await Promise.all([
+    entitlements.subscription_id
+      ? callStripe(() => stripe.subscriptions.retrieve(entitlements.subscription_id))
+      : null,
+    entitlements.customer_id
+      ? callStripe(() => stripe.invoices.list({ customer: entitlements.customer_id, limit: INVOICE_LIMIT }))
+      : null
+  ]);
+
+  const cancelAtPeriodEnd = subscription ? Boolean(subscription.cancel_at_period_end) : entitlements.cancel_at_period_end;
+  const periodEnd = subscription ? toIsoTime(subscription.current_period_end) : entitlements.current_period_end;
+  return {
+    plan: entitlements.plan,
+    status: subscription?.status || entitlements.status,
+    // 已设置到期取消的订阅不会续费，current_period_end即降级为Free的时间
+    renews_at: entitlements.plan === PLANS.PRO && !cancelAtPeriodEnd ? periodEnd : null,
+    current_period_end: periodEnd,
+    cancel_at_period_end: cancelAtPeriodEnd,
+    customer_id: entitlements.customer_id,
+    subscription: subscription ? formatSubscription(subscription) : null,
+    invoices: invoices ? invoices.data.map(formatInvoice) : []
+  };
+}
+
+// CommonJS导出
+module.exports = {
+  STRIPE_API_VERSION,
+  PORTAL_FLOWS,
+  createStripeClient,
+  getAppUrl,
+  getOrCreateCustomer,
+  createCheckoutSession,
+  createPortalSession,
+  getSubscriptionDetails
+};
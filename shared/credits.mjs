@@ -0,0 +1,200 @@
+// 此文件由 scripts/build-shared.js 根据 shared/src/credits.js 生成，请勿直接修改
+/**
+ * 积分计费
+ * 一次性购买的积分包与订阅并存：套餐额度内的处理不扣积分，超出额度或使用Pro功能时按模型成本表扣除积分，
+ * 模型调用失败时退还。账本记录每个用户的余额和交易（purchase购买、debit扣除、refund退还）
+ */
+
+import crypto from 'crypto';
+import { createHttpError } from './http-errors.mjs';
+import { listModels, resolveModel } from './model-registry.mjs';
+
+// 积分包：价格ID通过环境变量配置，未配置的积分包不可购买
+export const CREDIT_PACKS = {
+  credits_100: { credits: 100, price_env: 'STRIPE_PRICE_CREDITS_100' },
+  credits_500: { credits: 500, price_env: 'STRIPE_PRICE_CREDITS_500' },
+  credits_2000: { credits: 2000, price_env: 'STRIPE_PRICE_CREDITS_2000' }
+};
+
+// 每次模型调用消耗的积分（来自模型注册表中的Replicate模型）：超分按模型和放大倍数计价
+export const MODEL_COSTS = {
+  tone: resolveModel('tone', 'replicate').cost,
+  detail: resolveModel('detail', 'replicate').cost,
+  upscale: Object.fromEntries(listModels({ provider: 'replicate', category: 'upscale' }).map(model => [model.id, model.cost]))
+};
+
+// 交易类型
+export const CREDIT_TRANSACTION_TYPES = {
+  PURCHASE: 'purchase',
+  DEBIT: 'debit',
+  REFUND: 'refund'
+};
+
+/**
+ * 查询积分包 - 统一接口
+ * @param {string} packId - 积分包ID
+ * @returns {Object} { id, credits, price_id }
+ */
+export function getCreditPack(packId) {
+  const pack = CREDIT_PACKS[packId];
+  if (!pack) {
+    throw createHttpError(`不支持的积分包: ${packId}。支持的积分包: ${Object.keys(CREDIT_PACKS).join(', ')}`, 400);
+  }
+
+  const priceId = process.env[pack.price_env];
+  if (!priceId) {
+    throw createHttpError(`积分包 ${packId} 未配置价格（${pack.price_env}）`, 500);
+  }
+  return { id: packId, credits: pack.credits, price_id: priceId };
+}
+
+/**
+ * 列出积分包及是否可购买 - 统一接口
+ * @returns {Array} [{ id, credits, available }]
+ */
+export function listCreditPacks() {
+  return Object.entries(CREDIT_PACKS).map(([id, pack]) => ({
+    id,
+    credits: pack.credits,
+    available: Boolean(process.env[pack.price_env])
+  }));
+}
+
+/**
+ * 计算增强步骤消耗的积分 - 统一接口
+ * 不在成本表中的步骤（如分析）不消耗积分；不支持的模型和倍数由处理函数校验
+ * @param {Object} step - { name, config }
+ * @returns {number} 积分
+ */
+export function getStepCost(step) {
+  if (step.name === 'upscale') {
+    const model = step.config?.model || 'real-esrgan';
+    const scale = Number(step.config?.scale) || 2;
+    return MODEL_COSTS.upscale[model]?.[scale] || 0;
+  }
+  return typeof MODEL_COSTS[step.name] === 'number' ? MODEL_COSTS[step.name] : 0;
+}
+
+/**
+ * 积分账本 - 在积分存储之上提供购买、扣除和退还操作
+ */
+export class CreditLedger {
+  /**
+   * @param {Object} store - 积分存储
+   */
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * 查询余额 - 统一接口
+   * @param {string} userId - 用户ID
+   * @returns {Promise<number>} 积分余额
+   */
+  async getBalance(userId) {
+    const account = await this.store.get(userId);
+    return account ? account.balance : 0;
+  }
+
+  /**
+   * 查询账户 - 统一接口
+   * @param {string} userId - 用户ID
+   * @param {number} limit - 返回的最近交易条数
+   * @returns {Promise<Object>} { user_id, balance, transactions } 交易按时间倒序
+   */
+  async getAccount(userId, limit = 50) {
+    if (!userId) {
+      throw createHttpError('请先登录后再查询积分', 401);
+    }
+
+    const account = await this.store.get(userId);
+    return {
+      user_id: userId,
+      balance: account ? account.balance : 0,
+      transactions: account ? account.transactions.slice(-limit).reverse() : []
+    };
+  }
+
+  /**
+   * 增加积分 - 统一接口
+   * 相同交易ID只记一次，Stripe重复投递的购买事件不会重复到账
+   * @param {string} userId - 用户ID
+   * @param {number} credits - 积分数
+   * @param {Object} details - { id, reason, reference }
+   * @returns {Promise<Object>} { transaction, duplicate }
+   */
+  async grant(userId, credits, { id, reason = null, reference = null }) {
+    if (!Number.isInteger(credits) || credits <= 0) {
+      throw new Error(`无效的积分数: ${credits}`);
+    }
+
+    const outcome = await this.store.apply(userId, {
+      id,
+      type: CREDIT_TRANSACTION_TYPES.PURCHASE,
+      amount: credits,
+      reason,
+      reference
+    });
+    if (!outcome.duplicate) {
+      console.log(`🪙 用户 ${userId} 获得 ${credits} 积分，余额: ${outcome.transaction.balance_after}`);
+    }
+    return outcome;
+  }
+
+  /**
+   * 扣除积分 - 统一接口
+   * @param {string} userId - 用户ID
+   * @param {number} credits - 积分数
+   * @param {Object} details - { reason, reference }
+   * @returns {Promise<Object>} 交易记录
+   */
+  async debit(userId, credits, { reason = null, reference = null } = {}) {
+    const outcome = await this.store.apply(userId, {
+      id: `debit_${crypto.randomUUID()}`,
+      type: CREDIT_TRANSACTION_TYPES.DEBIT,
+      amount: -credits,
+      reason,
+      reference
+    });
+
+    if (!outcome.transaction) {
+      const balance = await this.getBalance(userId);
+      throw createHttpError(`积分不足（需要 ${credits}，余额 ${balance}），请购买积分包后再试`, 402, {
+        code: 'insufficient_credits',
+        credits_required: credits,
+        credits_balance: balance,
+        upgrade: true
+      });
+    }
+    return outcome.transaction;
+  }
+
+  /**
+   * 退还扣除的积分 - 统一接口
+   * 每笔扣除最多退还一次，退还数量不超过扣除数量
+   * @param {string} userId - 用户ID
+   * @param {string} debitId - 扣除交易ID
+   * @param {number} credits - 退还的积分数
+   * @param {string} reason - 退还原因
+   * @returns {Promise<Object>} { transaction, duplicate }
+   */
+  async refund(userId, debitId, credits, reason = null) {
+    const account = await this.store.get(userId);
+    const debit = account?.transactions.find(item => item.id === debitId && item.type === CREDIT_TRANSACTION_TYPES.DEBIT);
+    if (!debit) {
+      throw new Error(`扣除记录不存在: ${debitId}`);
+    }
+
+    const outcome = await this.store.apply(userId, {
+      id: `refund_${debitId}`,
+      type: CREDIT_TRANSACTION_TYPES.REFUND,
+      amount: Math.min(credits, -debit.amount),
+      reason,
+      reference: debitId
+    });
+    if (!outcome.duplicate) {
+      console.log(`↩️ 已退还用户 ${userId} ${outcome.transaction.amount} 积分: ${reason || debitId}`);
+    }
+    return outcome;
+  }
+}
@@ -0,0 +1,249 @@
+// 此文件由 scripts/build-shared.js 根据 shared/src/entitlement-store.js 生成，请勿直接修改
+/**
+ * 用户权益存储
+ * 每个用户的订阅计划、订阅ID、当前周期结束时间和状态通过统一的存储接口读写：
+ *   get(userId) / put(userId, patch) / findBySubscription(subscriptionId) / list()
+ * 已处理的Stripe事件通过 claimEvent(eventId) / releaseEvent(eventId) 记录，保证同一事件只处理一次。
+ * 所有方法均返回Promise，内置内存存储、文件存储和共享KV存储（Vercel部署时使用）三种实现
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getKvClient, resolveStoreType } from './kv-store.mjs';
+
+// 支持的存储类型
+export const ENTITLEMENT_STORE_TYPES = ['memory', 'file', 'kv'];
+
+// KV存储中已处理事件的保留时间（秒），Stripe最多重试3天
+const EVENT_TTL_SECONDS = 30 * 24 * 3600;
+
+// 用户ID和事件ID只允许安全字符，防止文件存储被路径穿越
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+/**
+ * 校验ID
+ * @param {string} id - 用户ID或事件ID
+ * @param {string} label - 错误信息中的名称
+ */
+function assertId(id, label) {
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+    throw new Error(`无效的${label}: ${id}`);
+  }
+}
+
+/**
+ * 深拷贝权益记录，避免调用方修改存储中的对象
+ * @param {Object} record - 权益记录
+ * @returns {Object} 拷贝
+ */
+function cloneRecord(record) {
+  return record ? JSON.parse(JSON.stringify(record)) : null;
+}
+
+/**
+ * 内存权益存储 - 适用于本地开发和单实例部署，进程重启后数据丢失
+ */
+export class MemoryEntitlementStore {
+  constructor() {
+    this.records = new Map();
+    this.events = new Set();
+  }
+
+  async get(userId) {
+    assertId(userId, '用户ID');
+    return cloneRecord(this.records.get(userId));
+  }
+
+  async put(userId, patch) {
+    assertId(userId, '用户ID');
+    const updated = { ...this.records.get(userId), ...cloneRecord(patch), user_id: userId };
+    this.records.set(userId, updated);
+    return cloneRecord(updated);
+  }
+
+  async findBySubscription(subscriptionId) {
+    const record = [...this.records.values()].find(item => item.subscription_id === subscriptionId);
+    return cloneRecord(record);
+  }
+
+  async list() {
+    return [...this.records.values()].map(cloneRecord);
+  }
+
+  async claimEvent(eventId) {
+    assertId(eventId, '事件ID');
+    if (this.events.has(eventId)) {
+      return false;
+    }
+    this.events.add(eventId);
+    return true;
+  }
+
+  async releaseEvent(eventId) {
+    assertId(eventId, '事件ID');
+    this.events.delete(eventId);
+  }
+}
+
+/**
+ * 文件权益存储 - 每个用户保存为 users/<userId>.json，已处理事件保存为 events/<eventId> 空文件
+ */
+export class FileEntitlementStore {
+  /**
+   * @param {string} dir - 存储目录
+   */
+  constructor(dir) {
+    this.usersDir = path.join(dir, 'users');
+    this.eventsDir = path.join(dir, 'events');
+    fs.mkdirSync(this.usersDir, { recursive: true });
+    fs.mkdirSync(this.eventsDir, { recursive: true });
+  }
+
+  filePath(userId) {
+    assertId(userId, '用户ID');
+    return path.join(this.usersDir, `${userId}.json`);
+  }
+
+  async get(userId) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.filePath(userId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new Error(`读取权益失败: ${error.message}`);
+    }
+  }
+
+  async put(userId, patch) {
+    const updated = { ...(await this.get(userId)), ...cloneRecord(patch), user_id: userId };
+    // 先写临时文件再重命名，避免读取到写了一半的记录
+    const target = this.filePath(userId);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify(updated));
+    await fs.promises.rename(temp, target);
+    return updated;
+  }
+
+  async findBySubscription(subscriptionId) {
+    const records = await this.list();
+    return records.find(record => record.subscription_id === subscriptionId) || null;
+  }
+
+  async list() {
+    const files = await fs.promises.readdir(this.usersDir);
+    const records = await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .map(file => this.get(file.slice(0, -5)))
+    );
+    return records.filter(Boolean);
+  }
+
+  async claimEvent(eventId) {
+    assertId(eventId, '事件ID');
+    try {
+      // wx标志在文件已存在时失败，并发投递的同一事件只有一个能认领成功
+      await fs.promises.writeFile(path.join(this.eventsDir, eventId), '', { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        return false;
+      }
+      throw new Error(`记录事件失败: ${error.message}`);
+    }
+  }
+
+  async releaseEvent(eventId) {
+    assertId(eventId, '事件ID');
+    await fs.promises.rm(path.join(this.eventsDir, eventId), { force: true });
+  }
+}
+
+/**
+ * KV权益存储 - 每个用户保存为一个键，另记录订阅ID到用户ID的索引；
+ * 已处理事件用SET NX认领，多个Serverless实例同时收到同一事件时只有一个能认领成功
+ */
+export class KvEntitlementStore {
+  /**
+   * @param {RedisRestClient} client - KV客户端
+   */
+  constructor(client) {
+    this.client = client;
+  }
+
+  userKey(userId) {
+    assertId(userId, '用户ID');
+    return this.client.key('entitlements', 'users', userId);
+  }
+
+  get indexKey() {
+    return this.client.key('entitlements', 'ids');
+  }
+
+  async get(userId) {
+    return this.client.getJson(this.userKey(userId));
+  }
+
+  async put(userId, patch) {
+    const updated = await this.client.mutateJson(this.userKey(userId), (current) => {
+      const record = { ...current, ...cloneRecord(patch), user_id: userId };
+      return { value: record, result: record };
+    });
+    await this.client.command(['SADD', this.indexKey, userId]);
+    if (updated.subscription_id) {
+      await this.client.command(['SET', this.client.key('entitlements', 'subscriptions', updated.subscription_id), userId]);
+    }
+    return updated;
+  }
+
+  async findBySubscription(subscriptionId) {
+    if (!subscriptionId) {
+      return null;
+    }
+    const userId = await this.client.command(['GET', this.client.key('entitlements', 'subscriptions', subscriptionId)]);
+    const record = userId ? await this.get(userId) : null;
+    // 用户之后换了订阅时索引可能过期
+    return record?.subscription_id === subscriptionId ? record : null;
+  }
+
+  async list() {
+    const userIds = await this.client.command(['SMEMBERS', this.indexKey]);
+    const records = await this.client.getManyJson(userIds.map(userId => this.userKey(userId)));
+    return records.filter(Boolean);
+  }
+
+  async claimEvent(eventId) {
+    assertId(eventId, '事件ID');
+    const claimed = await this.client.command(['SET', this.client.key('entitlements', 'events', eventId), '1', 'NX', 'EX', EVENT_TTL_SECONDS]);
+    return claimed === 'OK';
+  }
+
+  async releaseEvent(eventId) {
+    assertId(eventId, '事件ID');
+    await this.client.command(['DEL', this.client.key('entitlements', 'events', eventId)]);
+  }
+}
+
+/**
+ * 创建权益存储 - 统一接口
+ * 未指定时按环境变量选择：ENTITLEMENT_STORE=memory|file|kv，ENTITLEMENT_STORE_DIR=文件存储目录；未设置ENTITLEMENT_STORE时配置了KV服务则使用kv，否则使用memory。
+ * Vercel上只能使用kv
+ * @param {Object} options - { type, dir, client } client为KV客户端，默认按环境变量创建
+ * @returns {MemoryEntitlementStore|FileEntitlementStore|KvEntitlementStore} 权益存储实例
+ */
+export function createEntitlementStore(options = {}) {
+  const type = resolveStoreType(options.type || process.env.ENTITLEMENT_STORE, '权益存储');
+
+  switch (type) {
+    case 'memory':
+      return new MemoryEntitlementStore();
+    case 'file':
+      return new FileEntitlementStore(options.dir || process.env.ENTITLEMENT_STORE_DIR || path.join(os.tmpdir(), 'image-quality-entitlements'));
+    case 'kv':
+      return new KvEntitlementStore(options.client || getKvClient());
+    default:
+      throw new Error(`不支持的权益存储类型: ${type}。支持的类型: ${ENTITLEMENT_STORE_TYPES.join(', ')}`);
+  }
+}
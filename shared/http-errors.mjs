@@ -0,0 +1,22 @@
+// 此文件由 scripts/build-shared.js 根据 shared/src/http-errors.js 生成，请勿直接修改
+/**
+ * HTTP错误
+ * 共享处理逻辑抛出的错误附带statusCode，本地服务器和Vercel API据此返回对应的HTTP状态码；
+ * 附带payload时其字段会合并到错误响应中，供前端识别错误类型（如额度用尽时提示升级）
+ */
+
+/**
+ * 创建带HTTP状态码的错误
+ * @param {string} message - 错误信息
+ * @param {number} statusCode - HTTP状态码
+ * @param {Object} payload - 合并到错误响应中的结构化字段（可选）
+ * @returns {Error} 错误对象
+ */
+export function createHttpError(message, statusCode, payload = null) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (payload) {
+    error.payload = payload;
+  }
+  return error;
+}
@@ -0,0 +1,127 @@
+// 此文件由 scripts/build-shared.js 根据 shared/src/image-decoder.js 生成，请勿直接修改
+/**
+ * 图像像素解码
+ * 将JPEG/PNG/BMP解码为RGBA像素数据，供像素级质量指标计算使用
+ * 仅使用纯JS解码器（jpeg-js、pngjs），可在Serverless环境中运行
+ */
+
+const jpeg = require('jpeg-js');
+const pngjs = require('pngjs');
+const { parseImageHeader } = require('./image-header.cjs');
+const { createHttpError } = require('./http-errors.cjs');
+
+const { PNG } = pngjs;
+
+// 解码器的内存上限，防止超大图像耗尽函数内存
+const MAX_DECODE_MEMORY_MB = 512;
+const MAX_DECODE_MEGAPIXELS = 100;
+
+// 支持像素解码的格式
+const DECODABLE_FORMATS = ['jpeg', 'png', 'bmp'];
+
+/**
+ * 判断格式是否支持像素解码
+ * @param {string} format - 图像格式
+ * @returns {boolean} 是否支持
+ */
+function isDecodableFormat(format) {
+  return DECODABLE_FORMATS.includes(format);
+}
+
+/**
+ * 解码未压缩的BMP（24/32位）
+ * @param {Buffer} buffer - 图像数据
+ * @returns {Object} { width, height, data }
+ */
+function decodeBmp(buffer) {
+  const pixelOffset = buffer.readUInt32LE(10);
+  const width = buffer.readInt32LE(18);
+  const rawHeight = buffer.readInt32LE(22);
+  const bitsPerPixel = buffer.readUInt16LE(28);
+  const compression = buffer.readUInt32LE(30);
+
+  // BI_BITFIELDS(3)在32位BMP中常见，且通常为标准BGRA排列
+  if ((bitsPerPixel !== 24 && bitsPerPixel !== 32) || (compression !== 0 && compression !== 3)) {
+    throw new Error(`暂不支持解码${bitsPerPixel}位或压缩格式的BMP`);
+  }
+
+  const height = Math.abs(rawHeight);
+  const bottomUp = rawHeight > 0;
+  const bytesPerPixel = bitsPerPixel / 8;
+  const rowSize = Math.ceil((bitsPerPixel * width) / 32) * 4;
+
+  if (pixelOffset + rowSize * height > buffer.length) {
+    throw new Error('BMP像素数据不完整');
+  }
+
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const srcRow = pixelOffset + (bottomUp ? height - 1 - y : y) * rowSize;
+    for (let x = 0; x < width; x++) {
+      const src = srcRow + x * bytesPerPixel;
+      const dst = (y * width + x) * 4;
+      data[dst] = buffer[src + 2];
+      data[dst + 1] = buffer[src + 1];
+      data[dst + 2] = buffer[src];
+      // BI_RGB的32位BMP中alpha通道通常未使用，统一视为不透明
+      data[dst + 3] = 255;
+    }
+  }
+
+  return { width, height, data };
+}
+
+/**
+ * 解码前按文件头中的尺寸检查像素上限，超大图像不分配像素内存
+ * @param {Buffer} buffer - 图像二进制数据
+ */
+function assertDecodableSize(buffer) {
+  const { width, height } = parseImageHeader(buffer);
+  if (!width || !height) {
+    throw createHttpError('无法从文件头读取图像尺寸', 400);
+  }
+  const megapixels = (width * height) / 1000000;
+  if (megapixels > MAX_DECODE_MEGAPIXELS) {
+    throw createHttpError(`图像 ${megapixels.toFixed(1)}MP 超过 ${MAX_DECODE_MEGAPIXELS}MP 的解码上限，请先缩小图像`, 400);
+  }
+}
+
+/**
+ * 解码图像为RGBA像素 - 统一接口
+ * 所有格式在解码前检查文件头中的尺寸，超过上限时抛出400错误
+ * @param {Buffer} buffer - 图像二进制数据
+ * @param {string} format - 图像格式（由文件头解析得到）
+ * @returns {Object} { width, height, data } data为RGBA排列的Uint8Array
+ */
+function decodeImage(buffer, format) {
+  if (isDecodableFormat(format)) {
+    assertDecodableSize(buffer);
+  }
+
+  switch (format) {
+    case 'jpeg': {
+      const decoded = jpeg.decode(buffer, {
+        useTArray: true,
+        formatAsRGBA: true,
+        maxResolutionInMP: MAX_DECODE_MEGAPIXELS,
+        maxMemoryUsageInMB: MAX_DECODE_MEMORY_MB
+      });
+      return { width: decoded.width, height: decoded.height, data: decoded.data };
+    }
+    case 'png': {
+      const decoded = PNG.sync.read(buffer);
+      return { width: decoded.width, height: decoded.height, data: new Uint8Array(decoded.data.buffer, decoded.data.byteOffset, decoded.data.length) };
+    }
+    case 'bmp':
+      return decodeBmp(buffer);
+    default:
+      throw new Error(`暂不支持解码${format.toUpperCase()}格式的像素数据`);
+  }
+}
+
+// CommonJS导出
+module.exports = {
+  DECODABLE_FORMATS,
+  isDecodableFormat,
+  decodeImage
+};
@@ -0,0 +1,670 @@
+// 此文件由 scripts/build-shared.js 根据 shared/src/image-metrics.js 生成，请勿直接修改
+/**
+ * 无参考图像质量指标引擎
+ * 在CPU上对解码后的像素计算锐度、噪点、块效应、曝光、对比度、色彩丰富度和自然度，
+ * 每项指标返回原始值和归一化的0-100子评分，再按权重合成综合评分
+ */
+
+// 像素指标在该尺寸（最长边）上计算，控制大图的计算耗时
+const ANALYSIS_MAX_SIDE = 1024;
+
+// 各指标在综合评分中的权重（总和为1）
+const METRIC_WEIGHTS = {
+  sharpness: 0.22,
+  noise: 0.15,
+  blockiness: 0.12,
+  exposure: 0.15,
+  contrast: 0.1,
+  colorfulness: 0.06,
+  naturalness: 0.1,
+  resolution: 0.1
+};
+
+// 块效应计算中相邻像素差的截断值
+const BLOCK_EDGE_CLIP = 12;
+
+// 自然图像MSCN系数的广义高斯形状参数参考值
+const NATURAL_MSCN_SHAPE = 2.0;
+
+/**
+ * 将数值限制在0-100并保留一位小数
+ * @param {number} value - 原始分数
+ * @returns {number} 子评分
+ */
+function clampScore(value) {
+  if (!Number.isFinite(value)) return 0;
+  return Math.round(Math.max(0, Math.min(100, value)) * 10) / 10;
+}
+
+/**
+ * 保留有效小数位，避免响应中出现过长的浮点数
+ * @param {number} value - 数值
+ * @param {number} digits - 小数位数
+ * @returns {number} 舍入后的数值
+ */
+function round(value, digits = 3) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * 计算亮度平面（Rec.601）
+ * @param {Object} image - { width, height, data } RGBA像素
+ * @returns {Float32Array} 亮度值 (0-255)
+ */
+function toLuminance(image) {
+  const { width, height, data } = image;
+  const luma = new Float32Array(width * height);
+  for (let i = 0, p = 0; i < luma.length; i++, p += 4) {
+    luma[i] = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+  }
+  return luma;
+}
+
+/**
+ * 按整数倍进行均值下采样
+ * @param {Float32Array} plane - 原始平面
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @param {number} factor - 下采样倍数
+ * @returns {Object} { data, width, height }
+ */
+function downsamplePlane(plane, width, height, factor) {
+  if (factor <= 1) return { data: plane, width, height };
+
+  const outWidth = Math.floor(width / factor);
+  const outHeight = Math.floor(height / factor);
+  const out = new Float32Array(outWidth * outHeight);
+  const area = factor * factor;
+
+  for (let y = 0; y < outHeight; y++) {
+    for (let x = 0; x < outWidth; x++) {
+      let sum = 0;
+      for (let dy = 0; dy < factor; dy++) {
+        const row = (y * factor + dy) * width + x * factor;
+        for (let dx = 0; dx < factor; dx++) {
+          sum += plane[row + dx];
+        }
+      }
+      out[y * outWidth + x] = sum / area;
+    }
+  }
+
+  return { data: out, width: outWidth, height: outHeight };
+}
+
+/**
+ * 锐度：拉普拉斯算子响应的方差
+ * @param {Object} plane - { data, width, height }
+ * @returns {Object} 指标结果
+ */
+function measureSharpness(plane) {
+  const { data, width, height } = plane;
+  let sum = 0;
+  let sumSq = 0;
+  let count = 0;
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const lap = data[i - width] + data[i + width] + data[i - 1] + data[i + 1] - 4 * data[i];
+      sum += lap;
+      sumSq += lap * lap;
+      count++;
+    }
+  }
+
+  const mean = count ? sum / count : 0;
+  const variance = count ? sumSq / count - mean * mean : 0;
+
+  // 对数映射：方差10以下视为严重模糊，1000以上视为非常锐利
+  return {
+    value: round(variance, 2),
+    score: clampScore(((Math.log10(Math.max(variance, 1)) - 1) / 2) * 100),
+    unit: 'laplacian_variance'
+  };
+}
+
+/**
+ * 噪点：Immerkær快速噪声估计（标准差，0-255亮度单位）
+ * @param {Object} plane - { data, width, height }
+ * @returns {Object} 指标结果
+ */
+function measureNoise(plane) {
+  const { data, width, height } = plane;
+  let sum = 0;
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const response =
+        data[i - width - 1] - 2 * data[i - width] + data[i - width + 1] -
+        2 * data[i - 1] + 4 * data[i] - 2 * data[i + 1] +
+        data[i + width - 1] - 2 * data[i + width] + data[i + width + 1];
+      sum += Math.abs(response);
+    }
+  }
+
+  const pixels = Math.max(1, (width - 2) * (height - 2));
+  const sigma = (Math.sqrt(Math.PI / 2) * sum) / (6 * pixels);
+
+  // σ≤1几乎无噪点，σ≥15噪点明显
+  return {
+    value: round(sigma, 3),
+    score: clampScore(100 - ((sigma - 1) / 14) * 100),
+    unit: 'sigma'
+  };
+}
+
+/**
+ * JPEG块效应：8x8块边界处与块内部的相邻像素差之比
+ * 块效应表现为平坦区域中的小台阶，像素差在BLOCK_EDGE_CLIP处截断，避免恰好落在网格上的真实边缘主导结果
+ * 必须在原始分辨率上计算，下采样会破坏块网格
+ * @param {Object} plane - { data, width, height }
+ * @returns {Object} 指标结果
+ */
+function measureBlockiness(plane) {
+  const { data, width, height } = plane;
+  let boundarySum = 0;
+  let boundaryCount = 0;
+  let innerSum = 0;
+  let innerCount = 0;
+
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    for (let x = 0; x < width - 1; x++) {
+      const diff = Math.min(BLOCK_EDGE_CLIP, Math.abs(data[row + x] - data[row + x + 1]));
+      if (x % 8 === 7) {
+        boundarySum += diff;
+        boundaryCount++;
+      } else {
+        innerSum += diff;
+        innerCount++;
+      }
+    }
+  }
+
+  for (let y = 0; y < height - 1; y++) {
+    const row = y * width;
+    const boundary = y % 8 === 7;
+    for (let x = 0; x < width; x++) {
+      const diff = Math.min(BLOCK_EDGE_CLIP, Math.abs(data[row + x] - data[row + width + x]));
+      if (boundary) {
+        boundarySum += diff;
+        boundaryCount++;
+      } else {
+        innerSum += diff;
+        innerCount++;
+      }
+    }
+  }
+
+  const boundaryMean = boundaryCount ? boundarySum / boundaryCount : 0;
+  const innerMean = innerCount ? innerSum / innerCount : 0;
+  // 平坦图像没有可比较的梯度，视为无块效应
+  const ratio = innerMean > 0.5 ? boundaryMean / innerMean : 1;
+
+  // 比值≈1表示无块效应，≥1.8表示块效应严重
+  return {
+    value: round(ratio, 3),
+    score: clampScore(100 - ((ratio - 1) / 0.8) * 100),
+    unit: 'boundary_ratio'
+  };
+}
+
+/**
+ * 亮度直方图统计
+ * @param {Float32Array} luma - 亮度平面
+ * @returns {Object} { histogram, mean, percentiles }
+ */
+function computeLuminanceStats(luma) {
+  const histogram = new Uint32Array(256);
+  let sum = 0;
+  for (let i = 0; i < luma.length; i++) {
+    histogram[Math.min(255, Math.round(luma[i]))]++;
+    sum += luma[i];
+  }
+
+  const total = Math.max(1, luma.length);
+  const percentile = (p) => {
+    const target = p * total;
+    let cumulative = 0;
+    for (let v = 0; v < 256; v++) {
+      cumulative += histogram[v];
+      if (cumulative >= target) return v;
+    }
+    return 255;
+  };
+
+  return {
+    histogram,
+    mean: sum / total,
+    percentiles: {
+      p1: percentile(0.01),
+      p5: percentile(0.05),
+      p50: percentile(0.5),
+      p95: percentile(0.95),
+      p99: percentile(0.99)
+    }
+  };
+}
+
+/**
+ * 曝光：直方图两端裁切比例与平均亮度偏移
+ * @param {Object} stats - 亮度统计
+ * @param {number} pixelCount - 像素总数
+ * @returns {Object} 指标结果
+ */
+function measureExposure(stats, pixelCount) {
+  const { histogram, mean } = stats;
+  const total = Math.max(1, pixelCount);
+
+  let shadows = 0;
+  for (let v = 0; v <= 2; v++) shadows += histogram[v];
+  let highlights = 0;
+  for (let v = 253; v <= 255; v++) highlights += histogram[v];
+
+  const shadowsClipped = shadows / total;
+  const highlightsClipped = highlights / total;
+  const clipped = shadowsClipped + highlightsClipped;
+
+  // 裁切25%以上或平均亮度严重偏离中间调时分数归零
+  const meanPenalty = Math.max(0, Math.abs(mean - 118) - 30) * 0.8;
+  return {
+    value: round(clipped, 4),
+    score: clampScore(100 - clipped * 400 - meanPenalty),
+    unit: 'clipped_fraction',
+    details: {
+      shadows_clipped: round(shadowsClipped, 4),
+      highlights_clipped: round(highlightsClipped, 4),
+      mean_luminance: round(mean, 2)
+    }
+  };
+}
+
+/**
+ * 对比度：归一化亮度的均方根对比度
+ * @param {Object} plane - { data, width, height }
+ * @returns {Object} 指标结果
+ */
+function measureContrast(plane) {
+  const { data } = plane;
+  let sum = 0;
+  let sumSq = 0;
+  for (let i = 0; i < data.length; i++) {
+    const v = data[i] / 255;
+    sum += v;
+    sumSq += v * v;
+  }
+
+  const n = Math.max(1, data.length);
+  const mean = sum / n;
+  const rms = Math.sqrt(Math.max(0, sumSq / n - mean * mean));
+
+  // RMS对比度0.22以上视为对比充分
+  return {
+    value: round(rms, 4),
+    score: clampScore((rms / 0.22) * 100),
+    unit: 'rms'
+  };
+}
+
+/**
+ * 色彩丰富度：Hasler-Süsstrunk色彩度量
+ * @param {Object} image - { width, height, data } RGBA像素
+ * @param {number} step - 采样步长（像素）
+ * @returns {Object} 指标结果
+ */
+function measureColorfulness(image, step) {
+  const { width, height, data } = image;
+  let sumRg = 0;
+  let sumYb = 0;
+  let sumRg2 = 0;
+  let sumYb2 = 0;
+  let n = 0;
+  let sumR = 0;
+  let sumG = 0;
+  let sumB = 0;
+
+  for (let y = 0; y < height; y += step) {
+    for (let x = 0; x < width; x += step) {
+      const p = (y * width + x) * 4;
+      const r = data[p];
+      const g = data[p + 1];
+      const b = data[p + 2];
+      const rg = r - g;
+      const yb = 0.5 * (r + g) - b;
+      sumRg += rg;
+      sumYb += yb;
+      sumRg2 += rg * rg;
+      sumYb2 += yb * yb;
+      sumR += r;
+      sumG += g;
+      sumB += b;
+      n++;
+    }
+  }
+
+  n = Math.max(1, n);
+  const meanRg = sumRg / n;
+  const meanYb = sumYb / n;
+  const stdRg = Math.sqrt(Math.max(0, sumRg2 / n - meanRg * meanRg));
+  const stdYb = Math.sqrt(Math.max(0, sumYb2 / n - meanYb * meanYb));
+  const colorfulness = Math.sqrt(stdRg * stdRg + stdYb * stdYb) + 0.3 * Math.sqrt(meanRg * meanRg + meanYb * meanYb);
+
+  // M≈60对应"相当丰富"的色彩
+  return {
+    value: round(colorfulness, 2),
+    score: clampScore((colorfulness / 60) * 100),
+    unit: 'hasler_susstrunk',
+    details: {
+      channel_means: {
+        r: round(sumR / n, 2),
+        g: round(sumG / n, 2),
+        b: round(sumB / n, 2)
+      }
+    }
+  };
+}
+
+/**
+ * Lanczos近似的Gamma函数
+ * @param {number} z - 自变量 (z > 0)
+ * @returns {number} Γ(z)
+ */
+function gamma(z) {
+  const g = 7;
+  const coefficients = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61503916999185, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+    1.5056327351493116e-7
+  ];
+
+  if (z < 0.5) {
+    return Math.PI / (Math.sin(Math.PI * z) * gamma(1 - z));
+  }
+
+  z -= 1;
+  let x = coefficients[0];
+  for (let i = 1; i < g + 2; i++) {
+    x += coefficients[i] / (z + i);
+  }
+  const t = z + g + 0.5;
+  return Math.sqrt(2 * Math.PI) * Math.pow(t, z + 0.5) * Math.exp(-t) * x;
+}
+
+// 广义高斯形状参数查找表：ratio(α) = Γ(2/α)² / (Γ(1/α)Γ(3/α))
+let shapeTable = null;
+
+/**
+ * 根据矩比值查找广义高斯形状参数
+ * @param {number} ratio - 目标比值
+ * @returns {number} 形状参数α
+ */
+function lookupShape(ratio) {
+  if (!shapeTable) {
+    shapeTable = [];
+    for (let alpha = 0.2; alpha <= 10; alpha += 0.001) {
+      shapeTable.push([alpha, Math.pow(gamma(2 / alpha), 2) / (gamma(1 / alpha) * gamma(3 / alpha))]);
+    }
+  }
+
+  let best = shapeTable[0];
+  for (const entry of shapeTable) {
+    if (Math.abs(entry[1] - ratio) < Math.abs(best[1] - ratio)) best = entry;
+  }
+  return best[0];
+}
+
+/**
+ * 拟合非对称广义高斯分布（AGGD）
+ * @param {Float32Array} values - 样本
+ * @returns {Object} { alpha, eta, left_variance, right_variance }
+ */
+function fitAggd(values) {
+  let leftSq = 0;
+  let leftCount = 0;
+  let rightSq = 0;
+  let rightCount = 0;
+  let absSum = 0;
+  let sq = 0;
+
+  for (let i = 0; i < values.length; i++) {
+    const v = values[i];
+    if (v < 0) {
+      leftSq += v * v;
+      leftCount++;
+    } else if (v > 0) {
+      rightSq += v * v;
+      rightCount++;
+    }
+    absSum += Math.abs(v);
+    sq += v * v;
+  }
+
+  const n = Math.max(1, values.length);
+  const leftStd = Math.sqrt(leftSq / Math.max(1, leftCount));
+  const rightStd = Math.sqrt(rightSq / Math.max(1, rightCount));
+  const gammaHat = rightStd > 0 ? leftStd / rightStd : 1;
+  const rHat = sq > 0 ? Math.pow(absSum / n, 2) / (sq / n) : 0;
+  const rHatNorm = (rHat * (Math.pow(gammaHat, 3) + 1) * (gammaHat + 1)) / Math.pow(gammaHat * gammaHat + 1, 2);
+  const alpha = lookupShape(rHatNorm);
+
+  const spread = Math.sqrt(gamma(1 / alpha) / gamma(3 / alpha));
+  const eta = (rightStd * spread - leftStd * spread) * (gamma(2 / alpha) / gamma(1 / alpha));
+
+  return {
+    alpha,
+    eta,
+    left_variance: leftStd * leftStd,
+    right_variance: rightStd * rightStd
+  };
+}
+
+/**
+ * 可分离高斯滤波（7x7，σ=7/6，与BRISQUE一致）
+ * @param {Float32Array} data - 输入平面
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @returns {Float32Array} 滤波结果
+ */
+function gaussianBlur(data, width, height) {
+  const radius = 3;
+  const sigma = 7 / 6;
+  const kernel = [];
+  let kernelSum = 0;
+  for (let k = -radius; k <= radius; k++) {
+    const w = Math.exp(-(k * k) / (2 * sigma * sigma));
+    kernel.push(w);
+    kernelSum += w;
+  }
+  for (let k = 0; k < kernel.length; k++) kernel[k] /= kernelSum;
+
+  const temp = new Float32Array(data.length);
+  const out = new Float32Array(data.length);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let k = -radius; k <= radius; k++) {
+        const xx = Math.min(width - 1, Math.max(0, x + k));
+        sum += data[y * width + xx] * kernel[k + radius];
+      }
+      temp[y * width + x] = sum;
+    }
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let k = -radius; k <= radius; k++) {
+        const yy = Math.min(height - 1, Math.max(0, y + k));
+        sum += temp[yy * width + x] * kernel[k + radius];
+      }
+      out[y * width + x] = sum;
+    }
+  }
+
+  return out;
+}
+
+/**
+ * 自然度：BRISQUE风格的自然场景统计
+ * 计算MSCN系数的广义高斯拟合以及四个方向相邻系数乘积的AGGD拟合，
+ * 以特征偏离自然图像统计的程度作为自然度（未使用训练好的SVR模型）
+ * @param {Object} plane - { data, width, height }
+ * @returns {Object} 指标结果
+ */
+function measureNaturalness(plane) {
+  const { data, width, height } = plane;
+  if (width < 8 || height < 8) {
+    return { value: 0, score: 50, unit: 'nss_distance', details: { skipped: '图像过小，无法计算自然场景统计' } };
+  }
+
+  const mu = gaussianBlur(data, width, height);
+  const squared = new Float32Array(data.length);
+  for (let i = 0; i < data.length; i++) squared[i] = data[i] * data[i];
+  const muSq = gaussianBlur(squared, width, height);
+
+  const mscn = new Float32Array(data.length);
+  for (let i = 0; i < data.length; i++) {
+    const sigma = Math.sqrt(Math.abs(muSq[i] - mu[i] * mu[i]));
+    mscn[i] = (data[i] - mu[i]) / (sigma + 1);
+  }
+
+  // MSCN系数的广义高斯拟合
+  let absSum = 0;
+  let sq = 0;
+  for (let i = 0; i < mscn.length; i++) {
+    absSum += Math.abs(mscn[i]);
+    sq += mscn[i] * mscn[i];
+  }
+  const n = mscn.length;
+  const variance = sq / n;
+  const shape = absSum > 0 ? lookupShape(Math.pow(absSum / n, 2) / variance) : NATURAL_MSCN_SHAPE;
+
+  // 四个方向（水平、垂直、主对角、副对角）的相邻系数乘积
+  const offsets = { horizontal: [0, 1], vertical: [1, 0], main_diagonal: [1, 1], secondary_diagonal: [1, -1] };
+  const pairwise = {};
+  let asymmetry = 0;
+  for (const [name, [dy, dx]] of Object.entries(offsets)) {
+    const products = new Float32Array((height - dy) * (width - Math.abs(dx)));
+    let k = 0;
+    for (let y = 0; y < height - dy; y++) {
+      for (let x = Math.max(0, -dx); x < width - Math.max(0, dx); x++) {
+        products[k++] = mscn[y * width + x] * mscn[(y + dy) * width + x + dx];
+      }
+    }
+    const fit = fitAggd(products);
+    pairwise[name] = {
+      alpha: round(fit.alpha, 3),
+      eta: round(fit.eta, 4),
+      left_variance: round(fit.left_variance, 4),
+      right_variance: round(fit.right_variance, 4)
+    };
+    if (fit.left_variance > 0 && fit.right_variance > 0) {
+      asymmetry += Math.abs(Math.log(fit.left_variance / fit.right_variance)) / 2;
+    }
+  }
+  asymmetry /= Object.keys(offsets).length;
+
+  const distance = Math.abs(Math.log(shape / NATURAL_MSCN_SHAPE)) + 0.5 * asymmetry;
+
+  return {
+    value: round(distance, 4),
+    score: clampScore(100 * Math.exp(-1.5 * distance)),
+    unit: 'nss_distance',
+    details: {
+      mscn_shape: round(shape, 3),
+      mscn_variance: round(variance, 4),
+      pairwise
+    }
+  };
+}
+
+/**
+ * 分辨率：基于文件头中的像素总数
+ * @param {Object} header - 图像文件头信息
+ * @returns {Object} 指标结果
+ */
+function measureResolution(header) {
+  const megapixels = (header.width * header.height) / 1000000;
+
+  // 0.1MP为0分，4MP及以上为满分（对数刻度）
+  return {
+    value: round(megapixels, 3),
+    score: clampScore((Math.log(Math.max(megapixels, 0.0001) / 0.1) / Math.log(40)) * 100),
+    unit: 'megapixels'
+  };
+}
+
+/**
+ * 按权重合成综合评分，仅使用可用的指标
+ * @param {Object} metrics - 各指标结果
+ * @returns {number} 综合评分 (0-100)
+ */
+function combineMetricScores(metrics) {
+  let weighted = 0;
+  let totalWeight = 0;
+  for (const [name, weight] of Object.entries(METRIC_WEIGHTS)) {
+    if (metrics[name]) {
+      weighted += metrics[name].score * weight;
+      totalWeight += weight;
+    }
+  }
+  return totalWeight > 0 ? clampScore(weighted / totalWeight) : 0;
+}
+
+/**
+ * 计算像素级质量指标 - 统一接口
+ * @param {Object|null} image - 解码后的像素 { width, height, data }，不可解码时为null
+ * @param {Object} header - 图像文件头信息
+ * @returns {Object} { metrics, overall_score, weights, analysis_size, stats }
+ */
+function computeImageMetrics(image, header) {
+  const metrics = {
+    resolution: measureResolution(header)
+  };
+
+  let analysisSize = null;
+  let stats = null;
+  if (image) {
+    const luma = toLuminance(image);
+    const factor = Math.max(1, Math.ceil(Math.max(image.width, image.height) / ANALYSIS_MAX_SIDE));
+    const plane = downsamplePlane(luma, image.width, image.height, factor);
+    const luminanceStats = computeLuminanceStats(luma);
+    analysisSize = { width: plane.width, height: plane.height, factor };
+
+    metrics.sharpness = measureSharpness(plane);
+    metrics.noise = measureNoise(plane);
+    metrics.blockiness = measureBlockiness({ data: luma, width: image.width, height: image.height });
+    metrics.exposure = measureExposure(luminanceStats, luma.length);
+    metrics.contrast = measureContrast(plane);
+    metrics.colorfulness = measureColorfulness(image, factor);
+    metrics.naturalness = measureNaturalness(plane);
+
+    // 供质量问题检测使用的图像统计
+    stats = {
+      luminance: {
+        mean: round(luminanceStats.mean, 2),
+        ...luminanceStats.percentiles
+      },
+      channel_means: metrics.colorfulness.details.channel_means
+    };
+  }
+
+  return {
+    metrics,
+    overall_score: combineMetricScores(metrics),
+    weights: METRIC_WEIGHTS,
+    analysis_size: analysisSize,
+    stats
+  };
+}
+
+// CommonJS导出
+module.exports = {
+  METRIC_WEIGHTS,
+  combineMetricScores,
+  computeImageMetrics
+};
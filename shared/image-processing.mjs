@@ -0,0 +1,442 @@
+// 此文件由 scripts/build-shared.js 根据 shared/src/image-processing.js 生成，请勿直接修改
+/**
+ * 经典图像处理
+ * 纯JS实现的CPU图像处理算法，供本地处理提供方使用：Lanczos/双三次插值放大、USM锐化、双边滤波降噪、
+ * 自动色阶、Gamma校正和结果混合。图像统一使用RGBA像素 { width, height, data }，结果编码为PNG
+ */
+
+import pngjs from 'pngjs';
+import { parseImageHeader } from './image-header.mjs';
+import { isDecodableFormat, decodeImage } from './image-decoder.mjs';
+import { createHttpError } from './http-errors.mjs';
+
+const { PNG } = pngjs;
+
+// 插值核：support为核的半径（像素）
+const RESAMPLE_KERNELS = {
+  // Keys三次卷积核（a = -0.5）
+  bicubic: {
+    support: 2,
+    weight: (x) => {
+      const t = Math.abs(x);
+      if (t <= 1) {
+        return 1.5 * t ** 3 - 2.5 * t ** 2 + 1;
+      }
+      if (t < 2) {
+        return -0.5 * t ** 3 + 2.5 * t ** 2 - 4 * t + 2;
+      }
+      return 0;
+    }
+  },
+  // Lanczos3
+  lanczos: {
+    support: 3,
+    weight: (x) => {
+      if (x === 0) {
+        return 1;
+      }
+      if (Math.abs(x) >= 3) {
+        return 0;
+      }
+      const px = Math.PI * x;
+      return (3 * Math.sin(px) * Math.sin(px / 3)) / (px * px);
+    }
+  }
+};
+
+export const RESAMPLE_METHODS = Object.keys(RESAMPLE_KERNELS);
+
+/**
+ * 把结果写回0-255范围
+ * @param {number} value - 像素值
+ * @returns {number} 取整并截断后的像素值
+ */
+function clampByte(value) {
+  return value < 0 ? 0 : value > 255 ? 255 : Math.round(value);
+}
+
+// 允许下载的图像地址：Replicate结果分发域名（含子域名），只允许https
+const TRUSTED_IMAGE_HOSTS = ['replicate.delivery'];
+
+/**
+ * 判断图像地址是否可以下载 - 统一接口
+ * 用户提交的地址可能指向内网服务（SSRF），只允许Replicate结果地址、
+ * 与REPLICATE_API_BASE_URL（本地替身服务器）或STORAGE_PUBLIC_BASE_URL同源的地址
+ * @param {string} imageUrl - 图像地址
+ * @returns {boolean} 是否可信
+ */
+export function isTrustedImageUrl(imageUrl) {
+  let url;
+  try {
+    url = new URL(imageUrl);
+  } catch {
+    return false;
+  }
+
+  if (url.protocol === 'https:' && TRUSTED_IMAGE_HOSTS.some(host => url.hostname === host || url.hostname.endsWith(`.${host}`))) {
+    return true;
+  }
+  return [process.env.REPLICATE_API_BASE_URL, process.env.STORAGE_PUBLIC_BASE_URL]
+    .filter(Boolean)
+    .some((base) => {
+      try {
+        return url.origin === new URL(base).origin;
+      } catch {
+        return false;
+      }
+    });
+}
+
+/**
+ * 读取输入图像：data URL、纯Base64或可信的http(s)地址 - 统一接口
+ * @param {string} imageInput - 图像输入
+ * @returns {Promise<Buffer>} 图像二进制数据
+ */
+export async function readImageInput(imageInput) {
+  if (/^https?:\/\//i.test(imageInput)) {
+    if (!isTrustedImageUrl(imageInput)) {
+      throw createHttpError('不支持从该地址读取图像，请上传图像文件或提供base64编码的图像数据', 400);
+    }
+    const response = await fetch(imageInput, { redirect: 'error' });
+    if (!response.ok) {
+      throw new Error(`下载图像失败: ${response.status} ${response.statusText}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+  return Buffer.from(imageInput.replace(/^data:[^;,]+;base64,/i, ''), 'base64');
+}
+
+/**
+ * 解码输入图像为RGBA像素 - 统一接口
+ * @param {string} imageInput - 图像输入（data URL、纯Base64或可信的http(s)地址）
+ * @param {Function} checkHeader - 可选，解码前按文件头信息检查图像（如模型的尺寸上限），不通过时抛出错误
+ * @returns {Promise<Object>} { width, height, data }
+ */
+export async function loadImage(imageInput, checkHeader = null) {
+  const buffer = await readImageInput(imageInput);
+  const header = parseImageHeader(buffer);
+  if (!isDecodableFormat(header.format)) {
+    throw createHttpError(`本地处理暂不支持${header.format.toUpperCase()}格式，请使用JPG、PNG或BMP`, 400);
+  }
+  checkHeader?.(header);
+  return decodeImage(buffer, header.format);
+}
+
+/**
+ * 把RGBA像素编码为PNG data URL - 统一接口
+ * @param {Object} image - { width, height, data }
+ * @returns {string} data:image/png;base64,...
+ */
+export function encodePngDataUrl(image) {
+  const buffer = PNG.sync.write({
+    width: image.width,
+    height: image.height,
+    data: Buffer.from(image.data.buffer, image.data.byteOffset, image.data.length)
+  });
+  return `data:image/png;base64,${buffer.toString('base64')}`;
+}
+
+/**
+ * 计算一维重采样的权重表
+ * @param {number} sourceSize - 原始尺寸
+ * @param {number} targetSize - 目标尺寸
+ * @param {Object} kernel - 插值核
+ * @returns {Array} 每个目标像素的 { start, weights }
+ */
+function resampleWeights(sourceSize, targetSize, kernel) {
+  const ratio = sourceSize / targetSize;
+  // 缩小时放宽核，避免混叠
+  const filterScale = Math.max(1, ratio);
+  const support = kernel.support * filterScale;
+
+  return Array.from({ length: targetSize }, (_, i) => {
+    const center = (i + 0.5) * ratio - 0.5;
+    const start = Math.max(0, Math.ceil(center - support));
+    const end = Math.min(sourceSize - 1, Math.floor(center + support));
+    const weights = [];
+    let total = 0;
+    for (let j = start; j <= end; j++) {
+      const weight = kernel.weight((j - center) / filterScale);
+      weights.push(weight);
+      total += weight;
+    }
+    return { start, weights: weights.map(weight => weight / total) };
+  });
+}
+
+/**
+ * 缩放图像 - 统一接口
+ * 可分离卷积：先水平方向、再垂直方向重采样
+ * @param {Object} image - { width, height, data }
+ * @param {number} width - 目标宽度
+ * @param {number} height - 目标高度
+ * @param {string} method - 'lanczos' 或 'bicubic'
+ * @returns {Object} { width, height, data }
+ */
+export function resizeImage(image, width, height, method = 'lanczos') {
+  const kernel = RESAMPLE_KERNELS[method];
+  if (!kernel) {
+    throw new Error(`不支持的插值方法: ${method}。支持的方法: ${RESAMPLE_METHODS.join(', ')}`);
+  }
+
+  const horizontal = new Float32Array(width * image.height * 4);
+  resampleWeights(image.width, width, kernel).forEach(({ start, weights }, x) => {
+    for (let y = 0; y < image.height; y++) {
+      const rowOffset = y * image.width;
+      const target = (y * width + x) * 4;
+      for (let k = 0; k < weights.length; k++) {
+        const source = (rowOffset + start + k) * 4;
+        const weight = weights[k];
+        horizontal[target] += image.data[source] * weight;
+        horizontal[target + 1] += image.data[source + 1] * weight;
+        horizontal[target + 2] += image.data[source + 2] * weight;
+        horizontal[target + 3] += image.data[source + 3] * weight;
+      }
+    }
+  });
+
+  const data = new Uint8Array(width * height * 4);
+  resampleWeights(image.height, height, kernel).forEach(({ start, weights }, y) => {
+    for (let x = 0; x < width; x++) {
+      const sums = [0, 0, 0, 0];
+      for (let k = 0; k < weights.length; k++) {
+        const source = ((start + k) * width + x) * 4;
+        const weight = weights[k];
+        sums[0] += horizontal[source] * weight;
+        sums[1] += horizontal[source + 1] * weight;
+        sums[2] += horizontal[source + 2] * weight;
+        sums[3] += horizontal[source + 3] * weight;
+      }
+      const target = (y * width + x) * 4;
+      data[target] = clampByte(sums[0]);
+      data[target + 1] = clampByte(sums[1]);
+      data[target + 2] = clampByte(sums[2]);
+      data[target + 3] = clampByte(sums[3]);
+    }
+  });
+
+  return { width, height, data };
+}
+
+/**
+ * 高斯模糊（可分离），只处理RGB通道
+ * @param {Object} image - { width, height, data }
+ * @param {number} sigma - 标准差（像素）
+ * @returns {Float32Array} 模糊后的RGBA数据
+ */
+function gaussianBlur(image, sigma) {
+  const radius = Math.max(1, Math.ceil(sigma * 3));
+  const kernel = Array.from({ length: radius * 2 + 1 }, (_, i) => Math.exp(-((i - radius) ** 2) / (2 * sigma * sigma)));
+  const total = kernel.reduce((sum, value) => sum + value, 0);
+  const weights = kernel.map(value => value / total);
+  const { width, height, data } = image;
+
+  const pass = (source, horizontalPass) => {
+    const output = new Float32Array(source.length);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const target = (y * width + x) * 4;
+        for (let k = -radius; k <= radius; k++) {
+          const sx = horizontalPass ? Math.min(width - 1, Math.max(0, x + k)) : x;
+          const sy = horizontalPass ? y : Math.min(height - 1, Math.max(0, y + k));
+          const offset = (sy * width + sx) * 4;
+          const weight = weights[k + radius];
+          output[target] += source[offset] * weight;
+          output[target + 1] += source[offset + 1] * weight;
+          output[target + 2] += source[offset + 2] * weight;
+        }
+      }
+    }
+    return output;
+  };
+
+  return pass(pass(data, true), false);
+}
+
+/**
+ * USM锐化 - 统一接口
+ * 原图加上原图与高斯模糊的差值，差值小于阈值的平坦区域不锐化，避免放大噪点
+ * @param {Object} image - { width, height, data }
+ * @param {Object} options - { sigma, amount, threshold }
+ * @returns {Object} { width, height, data }
+ */
+export function unsharpMask(image, { sigma = 1, amount = 0.5, threshold = 0 } = {}) {
+  const blurred = gaussianBlur(image, sigma);
+  const data = new Uint8Array(image.data.length);
+  for (let i = 0; i < data.length; i += 4) {
+    for (let c = 0; c < 3; c++) {
+      const diff = image.data[i + c] - blurred[i + c];
+      data[i + c] = Math.abs(diff) >= threshold ? clampByte(image.data[i + c] + amount * diff) : image.data[i + c];
+    }
+    data[i + 3] = image.data[i + 3];
+  }
+  return { width: image.width, height: image.height, data };
+}
+
+/**
+ * 双边滤波降噪 - 统一接口
+ * 权重同时取决于空间距离和颜色差异，平滑噪点的同时保留边缘
+ * @param {Object} image - { width, height, data }
+ * @param {Object} options - { radius, sigmaSpatial, sigmaRange }
+ * @returns {Object} { width, height, data }
+ */
+export function bilateralDenoise(image, { radius = 2, sigmaSpatial = 2, sigmaRange = 20 } = {}) {
+  const { width, height } = image;
+  const source = image.data;
+  const data = new Uint8Array(source.length);
+
+  const spatial = [];
+  for (let dy = -radius; dy <= radius; dy++) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      spatial.push({ dx, dy, weight: Math.exp(-(dx * dx + dy * dy) / (2 * sigmaSpatial * sigmaSpatial)) });
+    }
+  }
+  // 颜色差异按RGB平均绝对差查表
+  const range = Float32Array.from({ length: 256 }, (_, diff) => Math.exp(-(diff * diff) / (2 * sigmaRange * sigmaRange)));
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const center = (y * width + x) * 4;
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let total = 0;
+      for (const { dx, dy, weight } of spatial) {
+        const sx = Math.min(width - 1, Math.max(0, x + dx));
+        const sy = Math.min(height - 1, Math.max(0, y + dy));
+        const offset = (sy * width + sx) * 4;
+        const diff = Math.round((
+          Math.abs(source[offset] - source[center]) +
+          Math.abs(source[offset + 1] - source[center + 1]) +
+          Math.abs(source[offset + 2] - source[center + 2])
+        ) / 3);
+        const w = weight * range[diff];
+        r += source[offset] * w;
+        g += source[offset + 1] * w;
+        b += source[offset + 2] * w;
+        total += w;
+      }
+      data[center] = clampByte(r / total);
+      data[center + 1] = clampByte(g / total);
+      data[center + 2] = clampByte(b / total);
+      data[center + 3] = source[center + 3];
+    }
+  }
+  return { width, height, data };
+}
+
+/**
+ * 计算亮度（Rec.601）
+ * @param {Uint8Array} data - RGBA数据
+ * @param {number} i - 像素偏移
+ * @returns {number} 亮度 0-255
+ */
+function luminance(data, i) {
+  return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+}
+
+/**
+ * 对RGB通道应用查找表
+ * @param {Object} image - { width, height, data }
+ * @param {Uint8Array} lut - 256项查找表
+ * @returns {Object} { width, height, data }
+ */
+function applyLut(image, lut) {
+  const data = new Uint8Array(image.data.length);
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = lut[image.data[i]];
+    data[i + 1] = lut[image.data[i + 1]];
+    data[i + 2] = lut[image.data[i + 2]];
+    data[i + 3] = image.data[i + 3];
+  }
+  return { width: image.width, height: image.height, data };
+}
+
+/**
+ * 自动色阶 - 统一接口
+ * 按亮度直方图两端各裁掉clipPercent%的像素确定黑场和白场，三个通道使用同一线性拉伸，不改变色相
+ * @param {Object} image - { width, height, data }
+ * @param {Object} options - { clipPercent }
+ * @returns {Object} { image, black, white } black/white为使用的黑场和白场
+ */
+export function autoLevels(image, { clipPercent = 0.5 } = {}) {
+  const histogram = new Uint32Array(256);
+  for (let i = 0; i < image.data.length; i += 4) {
+    histogram[Math.round(luminance(image.data, i))] += 1;
+  }
+
+  const pixels = image.width * image.height;
+  const clip = Math.floor((pixels * clipPercent) / 100);
+  let black = 0;
+  for (let count = 0; black < 255 && count + histogram[black] <= clip; black++) {
+    count += histogram[black];
+  }
+  let white = 255;
+  for (let count = 0; white > 0 && count + histogram[white] <= clip; white--) {
+    count += histogram[white];
+  }
+  if (white - black < 8) {
+    // 接近纯色的图像不拉伸
+    return { image, black: 0, white: 255 };
+  }
+
+  const lut = Uint8Array.from({ length: 256 }, (_, v) => clampByte(((v - black) * 255) / (white - black)));
+  return { image: applyLut(image, lut), black, white };
+}
+
+/**
+ * 计算平均亮度（0-1）- 统一接口
+ * @param {Object} image - { width, height, data }
+ * @returns {number} 平均亮度
+ */
+export function meanLuminance(image) {
+  let sum = 0;
+  for (let i = 0; i < image.data.length; i += 4) {
+    sum += luminance(image.data, i);
+  }
+  return sum / (image.width * image.height) / 255;
+}
+
+/**
+ * Gamma校正 - 统一接口
+ * gamma大于1提亮中间调，小于1压暗中间调
+ * @param {Object} image - { width, height, data }
+ * @param {number} gamma - Gamma值
+ * @returns {Object} { width, height, data }
+ */
+export function applyGamma(image, gamma) {
+  const lut = Uint8Array.from({ length: 256 }, (_, v) => clampByte(255 * (v / 255) ** (1 / gamma)));
+  return applyLut(image, lut);
+}
+
+/**
+ * 按权重混合原图和处理结果 - 统一接口
+ * 结果 = 原图 + (处理结果 - 原图) × weight：weight为1时即处理结果，小于1减弱、大于1加强处理效果。
+ * luminanceOnly时只混合亮度差，保留原图的色彩；处理结果尺寸不同时先缩放到原图尺寸，透明度沿用原图
+ * @param {Object} base - 原图 { width, height, data }
+ * @param {Object} processed - 处理结果 { width, height, data }
+ * @param {number} weight - 混合权重
+ * @param {Object} options - { luminanceOnly }
+ * @returns {Object} { width, height, data }
+ */
+export function blendImages(base, processed, weight, { luminanceOnly = false } = {}) {
+  const overlay = processed.width === base.width && processed.height === base.height
+    ? processed
+    : resizeImage(processed, base.width, base.height, 'bicubic');
+
+  const data = new Uint8Array(base.data.length);
+  for (let i = 0; i < data.length; i += 4) {
+    if (luminanceOnly) {
+      const delta = (luminance(overlay.data, i) - luminance(base.data, i)) * weight;
+      data[i] = clampByte(base.data[i] + delta);
+      data[i + 1] = clampByte(base.data[i + 1] + delta);
+      data[i + 2] = clampByte(base.data[i + 2] + delta);
+    } else {
+      data[i] = clampByte(base.data[i] + (overlay.data[i] - base.data[i]) * weight);
+      data[i + 1] = clampByte(base.data[i + 1] + (overlay.data[i + 1] - base.data[i + 1]) * weight);
+      data[i + 2] = clampByte(base.data[i + 2] + (overlay.data[i + 2] - base.data[i + 2]) * weight);
+    }
+    data[i + 3] = base.data[i + 3];
+  }
+  return { width: base.width, height: base.height, data };
+}
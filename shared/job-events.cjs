@@ -0,0 +1,125 @@
+// 此文件由 scripts/build-shared.js 根据 shared/src/job-events.js 生成，请勿直接修改
+/**
+ * 任务进度推送（Server-Sent Events）
+ * GET /api/jobs/:id/events 以SSE流推送任务阶段和分步进度，任务结束时推送最终结果并关闭连接。
+ * 进度通过轮询任务存储获得，因此与任务是否在同一进程内执行无关
+ */
+
+const { JOB_STATUS, getJob, toPublicJob } = require('./jobs.cjs');
+
+// 轮询任务存储的间隔（ms）
+const JOB_EVENTS_INTERVAL_MS = 500;
+
+// 无事件时发送心跳注释的间隔（ms），防止代理断开空闲连接
+const JOB_EVENTS_HEARTBEAT_MS = 15000;
+
+const TERMINAL_STATUSES = [JOB_STATUS.SUCCEEDED, JOB_STATUS.FAILED, JOB_STATUS.CANCELED];
+
+/**
+ * 提取进度事件数据（不包含步骤输出和任务结果，保持事件体积较小）
+ * @param {Object} job - 任务信息
+ * @returns {Object} 进度事件数据
+ */
+function toProgressEvent(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    stage: job.progress.stage,
+    progress: job.progress,
+    steps: job.steps.map(step => ({
+      name: step.name,
+      status: step.status,
+      percent: step.percent,
+      logs: step.logs,
+      error: step.error,
+      processing_time_ms: step.processing_time_ms
+    })),
+    error: job.error,
+    updated_at: job.updated_at
+  };
+}
+
+/**
+ * 格式化一条SSE消息
+ * @param {string} event - 事件名称
+ * @param {Object} data - 事件数据
+ * @returns {string} SSE消息文本
+ */
+function formatServerSentEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * 推送任务进度 - 统一接口
+ * 每当任务更新时发送 progress 事件，任务结束时发送包含结果的 done 事件后关闭连接。
+ * 任务不存在或不属于当前用户时在写入响应头之前抛出带404状态码的错误
+ * @param {Object} store - 任务存储
+ * @param {string} id - 任务ID
+ * @param {Object} res - Node.js响应对象（Express与Vercel通用）
+ * @param {Object} options - { intervalMs, heartbeatMs, userId }
+ * @returns {Promise<void>} 连接关闭时完成
+ */
+async function streamJobEvents(store, id, res, options = {}) {
+  const { intervalMs = JOB_EVENTS_INTERVAL_MS, heartbeatMs = JOB_EVENTS_HEARTBEAT_MS, userId = null } = options;
+
+  let job = await getJob(store, id, userId);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // 关闭Nginx等反向代理的缓冲
+    'X-Accel-Buffering': 'no'
+  });
+  // 连接断开后浏览器2秒后重连，重连时会重新收到当前进度
+  res.write('retry: 2000\n\n');
+
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  let lastUpdatedAt = null;
+  let lastWriteAt = Date.now();
+
+  while (!closed) {
+    if (!job) {
+      res.write(formatServerSentEvent('done', { id, status: null, error: `任务不存在: ${id}` }));
+      break;
+    }
+
+    if (TERMINAL_STATUSES.includes(job.status)) {
+      res.write(formatServerSentEvent('progress', toProgressEvent(job)));
+      res.write(formatServerSentEvent('done', job));
+      break;
+    }
+
+    if (job.updated_at !== lastUpdatedAt) {
+      lastUpdatedAt = job.updated_at;
+      lastWriteAt = Date.now();
+      res.write(formatServerSentEvent('progress', toProgressEvent(job)));
+    } else if (Date.now() - lastWriteAt >= heartbeatMs) {
+      lastWriteAt = Date.now();
+      res.write(': ping\n\n');
+    }
+
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+
+    const latest = await store.get(id);
+    job = latest ? toPublicJob(latest) : null;
+  }
+
+  if (!closed) {
+    res.end();
+  }
+}
+
+// CommonJS导出
+module.exports = {
+  JOB_EVENTS_INTERVAL_MS,
+  JOB_EVENTS_HEARTBEAT_MS,
+  toProgressEvent,
+  formatServerSentEvent,
+  streamJobEvents
+};
@@ -0,0 +1,211 @@
+// 此文件由 scripts/build-shared.js 根据 shared/src/job-store.js 生成，请勿直接修改
+/**
+ * 异步任务存储
+ * 任务状态通过统一的存储接口读写，便于替换为其他持久化实现：
+ *   create(job) / get(id) / update(id, patch) / updateIf(id, update) / delete(id) / list()
+ * updateIf是比较并写入：update收到当前任务记录，返回要合并的字段，返回null时不写入。读取和写入之间不会插入其他写入，
+ * 用于并发到达的回调认领同一个步骤
+ * 所有方法均返回Promise，内置内存存储、文件存储和共享KV存储（Vercel部署时使用）三种实现
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { KvRecordStore, getKvClient, resolveStoreType } from './kv-store.mjs';
+
+// 支持的存储类型
+export const JOB_STORE_TYPES = ['memory', 'file', 'kv'];
+
+// 任务ID只允许安全字符，防止文件存储被路径穿越
+const JOB_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * 校验任务ID
+ * @param {string} id - 任务ID
+ */
+function assertJobId(id) {
+  if (typeof id !== 'string' || !JOB_ID_PATTERN.test(id)) {
+    throw new Error(`无效的任务ID: ${id}`);
+  }
+}
+
+/**
+ * 深拷贝任务记录，避免调用方修改存储中的对象
+ * @param {Object} job - 任务记录
+ * @returns {Object} 拷贝
+ */
+function cloneJob(job) {
+  return job ? JSON.parse(JSON.stringify(job)) : null;
+}
+
+/**
+ * 内存任务存储 - 适用于本地开发和单实例部署，进程重启后任务丢失
+ */
+export class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  async create(job) {
+    assertJobId(job.id);
+    if (this.jobs.has(job.id)) {
+      throw new Error(`任务已存在: ${job.id}`);
+    }
+    this.jobs.set(job.id, cloneJob(job));
+    return cloneJob(job);
+  }
+
+  async get(id) {
+    assertJobId(id);
+    return cloneJob(this.jobs.get(id));
+  }
+
+  async update(id, patch) {
+    return this.updateIf(id, () => patch);
+  }
+
+  async updateIf(id, update) {
+    assertJobId(id);
+    const current = this.jobs.get(id);
+    const patch = current ? update(cloneJob(current)) : null;
+    if (!patch) {
+      return null;
+    }
+    const updated = { ...current, ...cloneJob(patch), id };
+    this.jobs.set(id, updated);
+    return cloneJob(updated);
+  }
+
+  async delete(id) {
+    assertJobId(id);
+    return this.jobs.delete(id);
+  }
+
+  async list() {
+    return [...this.jobs.values()].map(cloneJob);
+  }
+}
+
+/**
+ * 文件任务存储 - 每个任务保存为一个JSON文件，本地服务器重启后任务仍可查询
+ * 同一进程内的修改按顺序执行；多个进程同时修改同一任务时后写入的覆盖先写入的
+ */
+export class FileJobStore {
+  /**
+   * @param {string} dir - 任务文件目录
+   */
+  constructor(dir) {
+    this.dir = dir;
+    this.queue = Promise.resolve();
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  filePath(id) {
+    assertJobId(id);
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  async write(job) {
+    // 先写临时文件再重命名，避免读取到写了一半的任务
+    const target = this.filePath(job.id);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify(job));
+    await fs.promises.rename(temp, target);
+  }
+
+  async create(job) {
+    if (fs.existsSync(this.filePath(job.id))) {
+      throw new Error(`任务已存在: ${job.id}`);
+    }
+    await this.write(job);
+    return cloneJob(job);
+  }
+
+  async get(id) {
+    const file = this.filePath(id);
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new Error(`读取任务失败: ${error.message}`);
+    }
+  }
+
+  async update(id, patch) {
+    return this.updateIf(id, () => patch);
+  }
+
+  async updateIf(id, update) {
+    const write = this.queue.then(async () => {
+      const current = await this.get(id);
+      const patch = current ? update(current) : null;
+      if (!patch) {
+        return null;
+      }
+      const updated = { ...current, ...cloneJob(patch), id };
+      await this.write(updated);
+      return updated;
+    });
+    this.queue = write.catch(() => null);
+    return write;
+  }
+
+  async delete(id) {
+    const file = this.filePath(id);
+    try {
+      await fs.promises.unlink(file);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw new Error(`删除任务失败: ${error.message}`);
+    }
+  }
+
+  async list() {
+    const files = await fs.promises.readdir(this.dir);
+    const jobs = await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .map(file => this.get(file.slice(0, -5)))
+    );
+    return jobs.filter(Boolean);
+  }
+}
+
+/**
+ * KV任务存储 - 保存在Redis兼容的KV服务（Vercel KV、Upstash Redis）中，多个Serverless实例共享
+ */
+export class KvJobStore extends KvRecordStore {
+  /**
+   * @param {RedisRestClient} client - KV客户端
+   */
+  constructor(client) {
+    super(client, { namespace: 'jobs', assertId: assertJobId, label: '任务' });
+  }
+}
+
+/**
+ * 创建任务存储 - 统一接口
+ * 未指定时按环境变量选择：JOB_STORE=memory|file|kv，JOB_STORE_DIR=文件存储目录；未设置JOB_STORE时配置了KV服务则使用kv，否则使用memory。
+ * Vercel上只能使用kv
+ * @param {Object} options - { type, dir, client } client为KV客户端，默认按环境变量创建
+ * @returns {MemoryJobStore|FileJobStore|KvJobStore} 任务存储实例
+ */
+export function createJobStore(options = {}) {
+  const type = resolveStoreType(options.type || process.env.JOB_STORE, '任务存储');
+
+  switch (type) {
+    case 'memory':
+      return new MemoryJobStore();
+    case 'file':
+      return new FileJobStore(options.dir || process.env.JOB_STORE_DIR || path.join(os.tmpdir(), 'image-quality-jobs'));
+    case 'kv':
+      return new KvJobStore(options.client || getKvClient());
+    default:
+      throw new Error(`不支持的任务存储类型: ${type}。支持的类型: ${JOB_STORE_TYPES.join(', ')}`);
+  }
+}
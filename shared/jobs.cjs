@@ -0,0 +1,923 @@
+// 此文件由 scripts/build-shared.js 根据 shared/src/jobs.js 生成，请勿直接修改
+/**
+ * 异步任务处理
+ * POST /api/jobs 创建任务后立即返回任务ID，任务在后台按步骤执行，
+ * 调用方通过 GET /api/jobs/:id 轮询状态、分步进度和结果（或订阅 /api/jobs/:id/events），
+ * DELETE /api/jobs/:id 取消任务。
+ * 输入图像和步骤之间传递的中间图像（本地处理的结果为data URL）保存到对象存储（job-inputs/<任务ID>/<名称>），
+ * 任务记录只保存对象键，每次写回任务进度时不再重复写入图像数据
+ */
+
+const crypto = require('crypto');
+const {
+  validateImageData,
+  processAnalyze,
+  processAutopilotAnalyze,
+  runEnhancementStep,
+  parsePredictionProgress,
+  resolveStepConfig,
+  DEFAULT_TONE_TYPE,
+  DEFAULT_DETAIL_TYPE,
+  prepareEnhancementStep,
+  completeEnhancementStep
+} = require('./api-handlers.cjs');
+const { createPrediction } = require('./replicate-provider.cjs');
+const { getProvider, resolveProviderName } = require('./providers.cjs');
+const {
+  validatePipeline,
+  pipelineFromRecommendations,
+  pipelineUsesScores,
+  buildConditionContext,
+  evaluateCondition
+} = require('./pipeline.cjs');
+const { createHttpError } = require('./http-errors.cjs');
+const { buildWebhookUrl } = require('./replicate-webhook.cjs');
+const { measureEnhancementUsage, BILLING_SOURCES } = require('./usage.cjs');
+const { isPaidJobType } = require('./auth.cjs');
+const { getOutputStorage, FORMAT_EXTENSIONS } = require('./outputs.cjs');
+const { detectImageFormat } = require('./image-header.cjs');
+
+// 任务状态
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELED: 'canceled'
+};
+
+// 步骤状态
+const STEP_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELED: 'canceled',
+  SKIPPED: 'skipped'
+};
+
+// 任务阶段：步骤执行期间阶段为当前步骤名称（analyze, tone, detail, upscale），
+// 任务结束后为任务状态；UPLOADING只由客户端在任务创建前使用
+const JOB_STAGES = {
+  UPLOADING: 'uploading',
+  QUEUED: 'queued',
+  FINALIZING: 'finalizing'
+};
+
+// 支持的任务类型
+const JOB_TYPES = ['analyze', 'upscale', 'tone-enhance', 'detail-enhance', 'autopilot', 'pipeline'];
+
+const TERMINAL_STATUSES = [JOB_STATUS.SUCCEEDED, JOB_STATUS.FAILED, JOB_STATUS.CANCELED];
+
+/**
+ * 创建步骤记录
+ * @param {string} name - 步骤名称
+ * @param {Object} config - 步骤配置
+ * @returns {Object} 步骤记录
+ */
+function createStep(name, config = null) {
+  return {
+    name,
+    config,
+    status: STEP_STATUS.PENDING,
+    started_at: null,
+    finished_at: null,
+    processing_time_ms: null,
+    percent: 0,
+    logs: null,
+    output: null,
+    error: null,
+    billing: null
+  };
+}
+
+/**
+ * 把流水线定义转换为步骤列表，步骤记录带上执行条件和失败策略
+ * @param {Object} definition - 流水线定义
+ * @param {string} provider - 步骤未指定提供方时使用的提供方
+ * @returns {Array} 步骤记录
+ */
+function stepsFromPipeline(definition, provider) {
+  return validatePipeline(definition, { provider }).steps.map(step => ({
+    ...createStep(step.op, step.config),
+    id: step.id,
+    when: step.when,
+    on_error: step.on_error,
+    fallback: step.fallback
+  }));
+}
+
+/**
+ * 根据任务类型和参数规划步骤
+ * 增强步骤按单步或多步流水线规划，配置带上处理提供方，并按提供方的能力检查参数
+ * @param {string} type - 任务类型
+ * @param {Object} params - 任务参数
+ * @param {string} provider - 处理提供方
+ * @returns {Array} 步骤记录
+ */
+function planJobSteps(type, params, provider) {
+  switch (type) {
+    case 'analyze':
+      return [createStep('analyze')];
+    case 'upscale': {
+      const { scale = 2, face_enhance = false, model = 'real-esrgan' } = params;
+      return stepsFromPipeline({ name: type, steps: [{ op: 'upscale', params: { scale, face_enhance, model } }] }, provider);
+    }
+    case 'tone-enhance': {
+      const { enhanceType = DEFAULT_TONE_TYPE, intensity = 1.0, luminance_only = false } = params;
+      return stepsFromPipeline({ name: type, steps: [{ op: 'tone', params: { type: enhanceType, intensity, luminance_only } }] }, provider);
+    }
+    case 'detail-enhance': {
+      const { enhanceType = DEFAULT_DETAIL_TYPE, strength = 2 } = params;
+      return stepsFromPipeline({ name: type, steps: [{ op: 'detail', params: { type: enhanceType, strength } }] }, provider);
+    }
+    case 'autopilot':
+      // 未提供增强建议时先执行Autopilot分析，分析完成后再追加增强步骤
+      if (!params.recommendations) {
+        return [createStep('analyze')];
+      }
+      return stepsFromPipeline(pipelineFromRecommendations(params.recommendations), provider);
+    case 'pipeline': {
+      if (params.scores !== undefined && (typeof params.scores !== 'object' || params.scores === null)) {
+        throw createHttpError('scores必须是对象', 400);
+      }
+      const steps = stepsFromPipeline(params.pipeline, provider);
+      // 条件引用质量评分（或analyze为true要求记录评分）且未提供评分时，先执行一次Autopilot分析
+      return !params.scores && (params.analyze === true || pipelineUsesScores({ steps })) ? [createStep('analyze'), ...steps] : steps;
+    }
+    default:
+      throw createHttpError(`不支持的任务类型: ${type}。支持的类型: ${JOB_TYPES.join(', ')}`, 400);
+  }
+}
+
+/**
+ * 计算任务进度，运行中步骤的模型进度按比例计入总进度
+ * @param {Array} steps - 步骤记录
+ * @param {string} status - 任务状态
+ * @returns {Object} { stage, completed_steps, total_steps, current_step, percent }
+ */
+function calculateProgress(steps, status) {
+  const completed = steps.filter(step => step.status !== STEP_STATUS.PENDING && step.status !== STEP_STATUS.RUNNING).length;
+  const current = steps.find(step => step.status === STEP_STATUS.RUNNING);
+  const next = current || steps.find(step => step.status === STEP_STATUS.PENDING);
+
+  let stage = status;
+  if (status === JOB_STATUS.QUEUED) {
+    stage = JOB_STAGES.QUEUED;
+  } else if (status === JOB_STATUS.RUNNING) {
+    stage = next ? next.name : JOB_STAGES.FINALIZING;
+  }
+
+  const currentPercent = current ? (current.percent || 0) / 100 : 0;
+  return {
+    stage,
+    completed_steps: completed,
+    total_steps: steps.length,
+    current_step: current ? current.name : null,
+    percent: steps.length === 0 ? 100 : Math.round(((completed + currentPercent) / steps.length) * 100)
+  };
+}
+
+/**
+ * 转换为对外返回的任务信息（不包含输入图像）
+ * @param {Object} job - 任务记录
+ * @returns {Object} 任务信息
+ */
+function toPublicJob(job) {
+  const { input, ...publicJob } = job;
+  return publicJob;
+}
+
+/**
+ * 保存任务使用的图像：Base64图像保存到对象存储，模型返回的http(s)地址直接记录
+ * @param {Object} storage - 对象存储
+ * @param {string} jobId - 任务ID
+ * @param {string} name - 图像名称，如 'input'、'step-1'
+ * @param {string} image - 图像（data URL、Base64或http(s)地址）
+ * @returns {Promise<Object>} { key } 或 { url }
+ */
+async function storeJobImage(storage, jobId, name, image) {
+  if (/^https?:\/\//i.test(image)) {
+    return { url: image };
+  }
+  const buffer = Buffer.from(image.replace(/^data:[^;,]+;base64,/i, ''), 'base64');
+  const format = detectImageFormat(buffer);
+  const key = `job-inputs/${jobId}/${name}.${FORMAT_EXTENSIONS[format] || 'bin'}`;
+  await storage.put(key, buffer, { contentType: format === 'unknown' ? 'application/octet-stream' : `image/${format}` });
+  return { key };
+}
+
+/**
+ * 读取任务使用的图像
+ * @param {Object} storage - 对象存储
+ * @param {Object} ref - storeJobImage的结果
+ * @returns {Promise<string>} 图像（对象存储中的图像为data URL，无法识别格式时为Base64）
+ */
+async function loadJobImage(storage, ref) {
+  if (ref?.url) {
+    return ref.url;
+  }
+  const object = ref?.key ? await storage.get(ref.key) : null;
+  if (!object) {
+    throw new Error('输入图像已不存在，请重新创建任务');
+  }
+  const prefix = object.contentType?.startsWith('image/') ? `data:${object.contentType};base64,` : '';
+  return `${prefix}${object.body.toString('base64')}`;
+}
+
+/**
+ * 创建异步任务 - 统一接口
+ * @param {Object} store - 任务存储
+ * @param {string} type - 任务类型
+ * @param {Object} params - 任务参数，必须包含imageBase64，provider指定处理提供方（可选）
+ * @param {string} userId - 创建任务的用户ID，只有该用户可以查询和取消任务；匿名只能创建分析任务
+ * @param {Object} meter - 用量计量器（UsageMeter），提供时按规划的步骤检查套餐功能和剩余额度
+ * @param {Object} storage - 保存输入图像的对象存储，默认与处理结果相同
+ * @returns {Promise<Object>} 任务记录
+ */
+async function createJob(store, type, params = {}, userId = null, meter = null, storage = getOutputStorage()) {
+  const { imageBase64, ...options } = params;
+
+  if (!userId && isPaidJobType(type)) {
+    throw createHttpError('请先登录后再使用该功能', 401);
+  }
+
+  try {
+    validateImageData(imageBase64);
+  } catch (error) {
+    throw createHttpError(error.message, 400);
+  }
+
+  let provider;
+  let steps;
+  try {
+    provider = resolveProviderName(options.provider);
+    steps = planJobSteps(type, options, provider);
+  } catch (error) {
+    throw createHttpError(error.message, error.statusCode || 400);
+  }
+
+  if (meter) {
+    await meter.check(userId, {
+      analyses: steps.filter(step => step.name === 'analyze').length,
+      steps,
+      autopilot: type === 'autopilot',
+      imageBase64
+    });
+  }
+
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  const job = {
+    id,
+    type,
+    user_id: userId,
+    provider,
+    status: JOB_STATUS.QUEUED,
+    params: options,
+    input: { image: await storeJobImage(storage, id, 'input', imageBase64), current_image: null },
+    steps,
+    progress: calculateProgress(steps, JOB_STATUS.QUEUED),
+    result: null,
+    error: null,
+    created_at: now,
+    updated_at: now,
+    started_at: null,
+    finished_at: null
+  };
+
+  await store.create(job);
+  console.log(`📋 已创建任务 ${job.id}，类型: ${type}，步骤: ${steps.map(step => step.name).join(' → ') || '无'}`);
+  return job;
+}
+
+/**
+ * 查询任务 - 统一接口
+ * @param {Object} store - 任务存储
+ * @param {string} id - 任务ID
+ * @param {string} userId - 当前用户ID，属于其他用户的任务按不存在处理
+ * @returns {Promise<Object>} 任务信息
+ */
+async function getJob(store, id, userId = null) {
+  let job;
+  try {
+    job = await store.get(id);
+  } catch (error) {
+    throw createHttpError(error.message, 400);
+  }
+
+  if (!job || (job.user_id && job.user_id !== userId)) {
+    throw createHttpError(`任务不存在: ${id}`, 404);
+  }
+  return toPublicJob(job);
+}
+
+/**
+ * 取消任务 - 统一接口
+ * 通过webhook执行的步骤会同时通过处理提供方取消预测；进程内执行的模型调用无法中断，
+ * 取消后当前步骤的结果会被丢弃，后续步骤不再执行
+ * @param {Object} store - 任务存储
+ * @param {string} id - 任务ID
+ * @param {string} apiToken - API Token（用于取消Replicate预测，可选）
+ * @param {string} userId - 当前用户ID
+ * @param {Object} meter - 用量计量器，提供时退还运行中步骤扣除的积分
+ * @param {Object} replicateLimiter - Replicate并发限制器，提供时释放运行中预测占用的名额
+ * @returns {Promise<Object>} 取消后的任务信息
+ */
+async function cancelJob(store, id, apiToken, userId = null, meter = null, replicateLimiter = null) {
+  const job = await getJob(store, id, userId);
+
+  if (TERMINAL_STATUSES.includes(job.status)) {
+    throw createHttpError(`任务已结束，无法取消（当前状态: ${job.status}）`, 409);
+  }
+
+  const now = new Date().toISOString();
+  const steps = await Promise.all(job.steps.map(async (step) => {
+    if (step.status === STEP_STATUS.RUNNING) {
+      return { ...step, status: STEP_STATUS.CANCELED, finished_at: now, billing: await refundStepCredits(meter, job, step, '任务已取消') };
+    }
+    return step.status === STEP_STATUS.PENDING ? { ...step, status: STEP_STATUS.CANCELED, finished_at: now } : step;
+  }));
+
+  const canceled = await store.update(id, {
+    status: JOB_STATUS.CANCELED,
+    steps,
+    progress: calculateProgress(steps, JOB_STATUS.CANCELED),
+    input: null,
+    updated_at: now,
+    finished_at: now
+  });
+
+  const running = job.steps.find(step => step.status === STEP_STATUS.RUNNING && step.prediction_id);
+  if (running) {
+    await replicateLimiter?.release(running.prediction_id);
+  }
+  if (running && apiToken) {
+    // 只有Replicate步骤会创建预测
+    await getProvider(running.config?.provider || 'replicate').cancel(running.prediction_id, { apiToken }).catch((error) => {
+      console.warn(`⚠️ 取消预测 ${running.prediction_id} 失败:`, error.message);
+    });
+  }
+
+  console.log(`🛑 任务 ${id} 已取消`);
+  return toPublicJob(canceled);
+}
+
+/**
+ * 写回任务状态；任务已被取消或不存在时不再覆盖
+ * @param {Object} store - 任务存储
+ * @param {string} id - 任务ID
+ * @param {Object} patch - 更新内容
+ * @returns {Promise<Object|null>} 更新后的任务记录，未写入时为null
+ */
+async function saveJob(store, id, patch) {
+  const latest = await store.get(id);
+  if (!latest || latest.status === JOB_STATUS.CANCELED) {
+    return null;
+  }
+  return store.update(id, {
+    ...patch,
+    progress: calculateProgress(patch.steps || latest.steps, patch.status || latest.status),
+    updated_at: new Date().toISOString()
+  });
+}
+
+/**
+ * 替换步骤列表中的一个步骤
+ * @param {Array} steps - 步骤记录
+ * @param {number} index - 步骤序号
+ * @param {Object} patch - 步骤更新内容
+ * @returns {Array} 新的步骤列表
+ */
+function replaceStep(steps, index, patch) {
+  return steps.map((step, i) => (i === index ? { ...step, ...patch } : step));
+}
+
+/**
+ * 计算步骤耗时
+ * @param {Object} step - 步骤记录
+ * @returns {number} 耗时(ms)
+ */
+function stepElapsed(step) {
+  return step.started_at ? Date.now() - Date.parse(step.started_at) : 0;
+}
+
+/**
+ * 在进程内执行单个步骤
+ * @param {Object} job - 任务记录
+ * @param {Object} step - 步骤记录
+ * @param {Object} context - 执行上下文 { currentImage, apiToken, onProgress }
+ * @returns {Promise<Object>} { output, image, extraSteps } 分析步骤不改变图像，image为null
+ */
+async function executeStep(job, step, context) {
+  if (step.name === 'analyze') {
+    if (job.type === 'autopilot') {
+      const analysis = await processAutopilotAnalyze(context.currentImage, context.apiToken);
+      return {
+        output: analysis,
+        image: null,
+        extraSteps: stepsFromPipeline(pipelineFromRecommendations(analysis.recommendations), job.provider)
+      };
+    }
+    if (job.type === 'pipeline') {
+      // 为步骤条件提供质量评分
+      const analysis = await processAutopilotAnalyze(context.currentImage, context.apiToken);
+      return { output: analysis, image: null, extraSteps: [] };
+    }
+    const analysis = await processAnalyze(context.currentImage, context.apiToken);
+    return { output: analysis, image: null, extraSteps: [] };
+  }
+
+  const { image, result } = await runEnhancementStep(step.name, step.config, context.currentImage, context.apiToken, context.onProgress);
+  return { output: result, image, extraSteps: [] };
+}
+
+/**
+ * 取出模型调用的重试信息，写入步骤记录
+ * @param {Object} source - 处理结果或错误（带attempts和last_error）
+ * @returns {Object} { attempts, last_error }，没有调用模型时为空对象
+ */
+function invocationDetails(source) {
+  if (source?.attempts === undefined) {
+    return {};
+  }
+  return { attempts: source.attempts, last_error: source.last_error ?? null };
+}
+
+/**
+ * 去掉步骤输出中已保存到对象存储的data URL（本地处理的原始结果），任务记录只保留结果的对象键和访问地址
+ * @param {Object} output - 步骤输出
+ * @returns {Object} 步骤输出
+ */
+function compactStepOutput(output) {
+  const image = output?.output_image;
+  if (!image?.persisted || !image.source_url?.startsWith('data:')) {
+    return output;
+  }
+  return { ...output, output_image: { ...image, source_url: null } };
+}
+
+/**
+ * 记录步骤成功，并把模型返回的结果地址作为下一步的输入
+ * @param {Object} store - 任务存储
+ * @param {Object} storage - 保存中间图像的对象存储
+ * @param {Object} job - 任务记录
+ * @param {number} index - 步骤序号
+ * @param {Object} outcome - { output, image, extraSteps }
+ * @returns {Promise<Object|null>} 更新后的任务记录
+ */
+async function recordStepSuccess(store, storage, job, index, { output, image, extraSteps = [] }) {
+  // 分析步骤不改变图像（image为null）
+  const currentImage = image ? await storeJobImage(storage, job.id, `step-${index}`, image) : job.input.current_image;
+  const steps = replaceStep(job.steps, index, {
+    status: STEP_STATUS.SUCCEEDED,
+    finished_at: new Date().toISOString(),
+    processing_time_ms: stepElapsed(job.steps[index]),
+    percent: 100,
+    output: compactStepOutput(output),
+    ...invocationDetails(output)
+  });
+  return saveJob(store, job.id, {
+    steps: [...steps, ...extraSteps],
+    input: { ...job.input, current_image: currentImage }
+  });
+}
+
+/**
+ * 结算步骤用量：分析步骤计一次分析，增强步骤计一次增强和输出像素，与执行前预占的用量相抵；积分计费的步骤不占用套餐额度
+ * @param {Object} meter - 用量计量器，未提供时不计量
+ * @param {Object} job - 任务记录
+ * @param {Object} step - 步骤记录
+ * @param {Object} output - 步骤输出
+ * @returns {Promise<void>}
+ */
+async function recordStepUsage(meter, job, step, output) {
+  if (!meter) {
+    return;
+  }
+  let usage = step.name === 'analyze' ? { analyses: 1 } : measureEnhancementUsage(output);
+  if (step.billing?.source === BILLING_SOURCES.CREDITS) {
+    usage = {};
+  }
+  await meter.settle(job.user_id, step.billing, usage);
+}
+
+/**
+ * 记录运行中步骤的模型进度和日志，步骤已结束或进度未变化时不写入
+ * @param {Object} store - 任务存储
+ * @param {string} id - 任务ID
+ * @param {number} index - 步骤序号
+ * @param {Object} progress - parsePredictionProgress的结果 { percent, logs }
+ * @returns {Promise<Object|null>} 更新后的任务记录
+ */
+async function recordStepProgress(store, id, index, { percent, logs }) {
+  // 比较并写入，避免晚到的进度覆盖已结束或已被回调认领的步骤
+  return store.updateIf(id, (latest) => {
+    const step = latest.steps[index];
+    if (latest.status === JOB_STATUS.CANCELED || !step || step.status !== STEP_STATUS.RUNNING || step.claimed_prediction_id) {
+      return null;
+    }
+
+    // 没有进度条的日志不改变已有百分比
+    const nextPercent = percent === null ? step.percent : percent;
+    if (nextPercent === step.percent && logs === step.logs) {
+      return null;
+    }
+    const steps = replaceStep(latest.steps, index, { percent: nextPercent, logs });
+    return { steps, progress: calculateProgress(steps, latest.status), updated_at: new Date().toISOString() };
+  });
+}
+
+/**
+ * 认领等待预测结果的步骤：任务和步骤仍在运行、预测ID一致且尚未被认领时写入claimed_prediction_id
+ * 比较并写入保证同一预测的结束回调重复投递或并发到达时只有一个继续处理
+ * @param {Object} store - 任务存储
+ * @param {string} id - 任务ID
+ * @param {number} index - 步骤序号
+ * @param {string} predictionId - 预测ID
+ * @returns {Promise<Object|null>} 认领后的任务记录，已被认领或步骤已结束时为null
+ */
+async function claimStep(store, id, index, predictionId) {
+  return store.updateIf(id, (latest) => {
+    const step = latest.steps[index];
+    if (latest.status !== JOB_STATUS.RUNNING || step?.status !== STEP_STATUS.RUNNING
+      || step.prediction_id !== predictionId || step.claimed_prediction_id === predictionId) {
+      return null;
+    }
+    return {
+      steps: replaceStep(latest.steps, index, { claimed_prediction_id: predictionId }),
+      updated_at: new Date().toISOString()
+    };
+  });
+}
+
+/**
+ * 记录步骤失败，按步骤的失败策略处理（未设置时为abort）：
+ * skip继续执行后续步骤（Autopilot任务的增强步骤），fallback用备用配置重新执行该步骤一次，
+ * abort或备用配置仍失败时任务直接失败
+ * @param {Object} store - 任务存储
+ * @param {Object} job - 任务记录
+ * @param {number} index - 步骤序号
+ * @param {string} message - 错误信息
+ * @param {Object} details - 写入步骤的附加信息（可选），如 { attempts, last_error }
+ * @returns {Promise<Object|null>} 更新后的任务记录
+ */
+async function recordStepFailure(store, job, index, message, details = {}) {
+  const now = new Date().toISOString();
+  const steps = replaceStep(job.steps, index, {
+    status: STEP_STATUS.FAILED,
+    finished_at: now,
+    processing_time_ms: stepElapsed(job.steps[index]),
+    error: message,
+    ...details
+  });
+
+  const step = job.steps[index];
+  const policy = step.on_error || 'abort';
+  if (policy === 'skip') {
+    return saveJob(store, job.id, { steps });
+  }
+  if (policy === 'fallback' && !step.fallback_used) {
+    console.log(`↩️ 任务 ${job.id} 的步骤 ${step.name} 执行失败，改用备用配置: ${message}`);
+    return saveJob(store, job.id, {
+      steps: replaceStep(job.steps, index, {
+        status: STEP_STATUS.PENDING,
+        config: step.fallback,
+        fallback_used: true,
+        fallback_error: message,
+        started_at: null,
+        percent: 0,
+        logs: null,
+        prediction_id: null,
+        ...details
+      })
+    });
+  }
+
+  return saveJob(store, job.id, {
+    status: JOB_STATUS.FAILED,
+    steps: steps.map(step => step.status === STEP_STATUS.PENDING ? { ...step, status: STEP_STATUS.CANCELED, finished_at: now } : step),
+    error: message,
+    input: null,
+    finished_at: now
+  });
+}
+
+/**
+ * 退还步骤扣除的积分并释放预占的用量
+ * @param {Object} meter - 用量计量器
+ * @param {Object} job - 任务记录
+ * @param {Object} step - 步骤记录
+ * @param {string} reason - 退还原因
+ * @returns {Promise<Object|null>} 更新后的步骤计费信息
+ */
+async function refundStepCredits(meter, job, step, reason) {
+  if (!meter || !step.billing) {
+    return step.billing || null;
+  }
+  const refunded = await meter.refund(job.user_id, step.billing, reason);
+  const billing = await meter.release(job.user_id, step.billing);
+  return { ...billing, charged: step.billing.charged - refunded };
+}
+
+/**
+ * 记录步骤失败并退还该步骤扣除的积分
+ * @param {Object} store - 任务存储
+ * @param {Object} job - 任务记录
+ * @param {number} index - 步骤序号
+ * @param {string} message - 错误信息
+ * @param {Object} meter - 用量计量器
+ * @param {Object} details - 写入步骤的附加信息（可选）
+ * @returns {Promise<Object|null>} 更新后的任务记录
+ */
+async function failStep(store, job, index, message, meter, details = {}) {
+  const billing = await refundStepCredits(meter, job, job.steps[index], message);
+  const steps = replaceStep(job.steps, index, { billing });
+  return recordStepFailure(store, { ...job, steps }, index, message, details);
+}
+
+/**
+ * 汇总任务结果
+ * @param {Object} job - 任务记录
+ * @returns {Object} 任务结果
+ */
+function buildJobResult(job) {
+  if (job.type !== 'autopilot' && job.type !== 'pipeline') {
+    return job.steps[job.steps.length - 1]?.output || null;
+  }
+
+  const analyzeStep = job.steps.find(step => step.name === 'analyze');
+  const enhanceSteps = job.steps.filter(step => step.name !== 'analyze');
+  const successful = enhanceSteps.filter(step => step.status === STEP_STATUS.SUCCEEDED);
+  // 最后一个成功步骤的输出即最终图像；未成功执行任何增强时没有新图像
+  const finalOutput = successful.length > 0 ? successful[successful.length - 1].output.output_image : null;
+  return {
+    analysis: analyzeStep ? analyzeStep.output : null,
+    final_image: finalOutput ? finalOutput.url : null,
+    final_output: finalOutput,
+    total_steps: enhanceSteps.length,
+    successful_steps: successful.length,
+    skipped_steps: enhanceSteps.filter(step => step.status === STEP_STATUS.SKIPPED).length,
+    credits_charged: enhanceSteps.reduce((sum, step) => sum + (step.billing?.charged || 0), 0)
+  };
+}
+
+/**
+ * 计算步骤的执行条件，质量评分取任务参数中的scores或分析步骤的结果
+ * @param {Object} storage - 保存输入图像的对象存储
+ * @param {Object} job - 任务记录
+ * @param {Object} step - 步骤记录
+ * @param {string} apiToken - API Token
+ * @returns {Promise<Object>} { when, met, values }
+ */
+async function evaluateStepCondition(storage, job, step, apiToken) {
+  const analysis = job.steps.find(item => item.name === 'analyze' && item.status === STEP_STATUS.SUCCEEDED)?.output;
+  const context = await buildConditionContext({ steps: [step] }, await loadJobImage(storage, job.input.image), apiToken, {
+    scores: job.params.scores || analysis?.scores
+  });
+  return { when: step.when, ...evaluateCondition(step.when, context) };
+}
+
+/**
+ * 推进任务：依次执行待处理的步骤，直到任务结束或等待webhook回调
+ * 配置了webhookUrl时，支持异步预测的提供方（Replicate）执行的增强步骤只创建预测并立即返回，
+ * 预测完成后由handleReplicateWebhook记录结果并继续推进。
+ * 提供replicateLimiter时远程提供方执行的增强步骤需要先取得并发名额，webhook模式下名额占用到回调到达
+ * @param {Object} store - 任务存储
+ * @param {string} id - 任务ID
+ * @param {Object} context - { apiToken, webhookUrl, meter, replicateLimiter, storage }
+ * @returns {Promise<Object>} 任务信息
+ */
+async function advanceJob(store, id, { apiToken, webhookUrl, meter, replicateLimiter, storage }) {
+  for (;;) {
+    let job = await store.get(id);
+    if (!job || job.status !== JOB_STATUS.RUNNING) {
+      return job ? toPublicJob(job) : null;
+    }
+
+    const index = job.steps.findIndex(step => step.status === STEP_STATUS.PENDING);
+    if (index === -1) {
+      const finished = await saveJob(store, id, {
+        status: JOB_STATUS.SUCCEEDED,
+        result: buildJobResult(job),
+        input: null,
+        finished_at: new Date().toISOString()
+      });
+      console.log(`✅ 任务 ${id} 执行完成，耗时: ${Date.now() - Date.parse(job.started_at)}ms`);
+      return toPublicJob(finished || await store.get(id));
+    }
+
+    const step = job.steps[index];
+
+    // 条件不满足的步骤跳过，不扣费也不计量
+    if (step.when) {
+      const condition = await evaluateStepCondition(storage, job, step, apiToken);
+      if (!condition.met) {
+        const now = new Date().toISOString();
+        console.log(`⏭️ 任务 ${id} 的步骤 ${step.name} 条件不满足，跳过`);
+        if (!(await saveJob(store, id, { steps: replaceStep(job.steps, index, { status: STEP_STATUS.SKIPPED, condition, started_at: now, finished_at: now }) }))) {
+          return toPublicJob(await store.get(id));
+        }
+        continue;
+      }
+      job = { ...job, steps: replaceStep(job.steps, index, { condition }) };
+    }
+
+    const capabilities = step.name === 'analyze' ? null : getProvider(step.config?.provider).capabilities();
+    job = await saveJob(store, id, {
+      steps: replaceStep(job.steps, index, { status: STEP_STATUS.RUNNING, started_at: new Date().toISOString() })
+    });
+    if (!job) {
+      return toPublicJob(await store.get(id));
+    }
+
+    // 轮询预测时的进度按顺序写入，步骤结束前等待全部写完，避免旧进度覆盖步骤结果
+    let progressWrites = Promise.resolve();
+    const onProgress = (prediction) => {
+      const progress = parsePredictionProgress(prediction);
+      progressWrites = progressWrites
+        .then(() => recordStepProgress(store, id, index, progress))
+        .catch(() => null);
+    };
+
+    try {
+      const currentImage = await loadJobImage(storage, job.input.current_image || job.input.image);
+
+      // Autopilot分析后追加的步骤在创建任务时无法检查，每个步骤执行前再检查一次额度并预占用量，需要时扣除积分
+      if (meter) {
+        const request = step.name === 'analyze' ? { analyses: 1 } : { steps: [step], imageBase64: currentImage };
+        const billing = await meter.charge(job.user_id, request, `任务 ${id} 的步骤 ${step.name}`);
+        const charged = await saveJob(store, id, { steps: replaceStep(job.steps, index, { billing }) });
+        if (!charged) {
+          // 扣费期间任务被取消
+          await meter.refund(job.user_id, billing, '任务已取消');
+          await meter.release(job.user_id, billing);
+          return toPublicJob(await store.get(id));
+        }
+        job = charged;
+      }
+
+      if (webhookUrl && capabilities?.async_predictions) {
+        // 自动选项（如影调auto）在创建预测前确定，回调完成步骤时使用同一配置
+        const config = await resolveStepConfig(step.name, step.config, currentImage);
+        const { modelId, modelInput } = prepareEnhancementStep(step.name, config, currentImage);
+        const slot = replicateLimiter ? await replicateLimiter.acquire(job.user_id) : null;
+        let prediction;
+        try {
+          prediction = await createPrediction(apiToken, modelId, modelInput, buildWebhookUrl(webhookUrl, id, index));
+        } catch (createError) {
+          await slot?.release();
+          throw createError;
+        }
+        const waiting = await saveJob(store, id, { steps: replaceStep(job.steps, index, { config, prediction_id: prediction.id }) });
+
+        if (!waiting) {
+          // 创建预测期间任务被取消
+          await slot?.release();
+          await getProvider('replicate').cancel(prediction.id, { apiToken }).catch(() => {});
+          return toPublicJob(await store.get(id));
+        }
+        if (slot) {
+          await replicateLimiter.hold(prediction.id, slot);
+        }
+        console.log(`⏳ 任务 ${id} 的步骤 ${step.name} 已创建预测 ${prediction.id}，等待webhook回调`);
+        return toPublicJob(waiting);
+      }
+
+      // 分析和本地处理在CPU上执行，不占用Replicate并发名额
+      const outcome = replicateLimiter && capabilities?.remote
+        ? await replicateLimiter.run(job.user_id, () => executeStep(job, step, { currentImage, apiToken, onProgress }))
+        : await executeStep(job, step, { currentImage, apiToken, onProgress });
+      await progressWrites;
+      await recordStepSuccess(store, storage, job, index, outcome);
+      await recordStepUsage(meter, job, job.steps[index], outcome.output);
+    } catch (stepError) {
+      console.error(`❌ 任务 ${id} 的步骤 ${step.name} 执行失败:`, stepError.message);
+      await progressWrites;
+      await failStep(store, job, index, stepError.message, meter, invocationDetails(stepError));
+    }
+  }
+}
+
+/**
+ * 执行任务 - 统一接口
+ * 按步骤顺序执行并在每个步骤前后写回存储
+ * @param {Object} store - 任务存储
+ * @param {string} id - 任务ID
+ * @param {string} apiToken - API Token
+ * @param {Object} options - { webhookUrl, meter, replicateLimiter, storage } 提供webhookUrl时增强步骤通过Replicate webhook异步完成，
+ *   提供meter时每个步骤执行前检查额度、成功后累计用量，提供replicateLimiter时限制同时进行的预测数量；
+ *   storage为保存任务图像的对象存储，默认与处理结果相同
+ * @returns {Promise<Object>} 任务信息（webhook模式下为等待回调时的状态）
+ */
+async function runJob(store, id, apiToken, options = {}) {
+  const job = await store.get(id);
+
+  if (!job) {
+    throw createHttpError(`任务不存在: ${id}`, 404);
+  }
+  if (job.status !== JOB_STATUS.QUEUED) {
+    throw createHttpError(`任务无法重复执行（当前状态: ${job.status}）`, 409);
+  }
+
+  if (!(await saveJob(store, id, { status: JOB_STATUS.RUNNING, started_at: new Date().toISOString() }))) {
+    return toPublicJob(await store.get(id));
+  }
+
+  console.log(`🚀 开始执行任务 ${id}，类型: ${job.type}${options.webhookUrl ? '（webhook模式）' : ''}`);
+  return advanceJob(store, id, {
+    apiToken,
+    webhookUrl: options.webhookUrl,
+    meter: options.meter,
+    replicateLimiter: options.replicateLimiter,
+    storage: options.storage || getOutputStorage()
+  });
+}
+
+/**
+ * 处理Replicate预测的webhook回调 - 统一接口
+ * 预测开始和输出日志时只更新步骤进度，预测结束时先认领步骤，再记录结果并继续推进任务；
+ * 签名需在调用前验证；重复投递或并发到达的回调会被忽略，结果、用量和后续步骤只处理一次
+ * @param {Object} store - 任务存储
+ * @param {Object} target - 回调地址中的 { jobId, stepIndex }
+ * @param {Object} prediction - Replicate预测对象（webhook请求体）
+ * @param {string} apiToken - API Token
+ * @param {Object} options - { webhookUrl, meter, replicateLimiter, storage } 用于继续创建后续步骤的预测、累计用量和释放并发名额，
+ *   storage为保存任务图像的对象存储，默认与处理结果相同
+ * @returns {Promise<Object>} 任务信息
+ */
+async function handleReplicateWebhook(store, { jobId, stepIndex }, prediction, apiToken, options = {}) {
+  const storage = options.storage || getOutputStorage();
+  let job = await store.get(jobId).catch((error) => {
+    throw createHttpError(error.message, 400);
+  });
+  if (!job) {
+    throw createHttpError(`任务不存在: ${jobId}`, 404);
+  }
+
+  const index = Number(stepIndex);
+  const step = job.steps[index];
+  if (!step || !prediction || step.prediction_id !== prediction.id) {
+    throw createHttpError('预测与任务步骤不匹配', 404);
+  }
+
+  // 预测结束后释放并发名额（任务已取消时也需要释放）
+  if (['succeeded', 'failed', 'canceled'].includes(prediction.status)) {
+    await options.replicateLimiter?.release(prediction.id);
+  }
+
+  if (job.status !== JOB_STATUS.RUNNING || step.status !== STEP_STATUS.RUNNING) {
+    console.log(`ℹ️ 忽略任务 ${jobId} 步骤 ${step.name} 的重复回调`);
+    return toPublicJob(job);
+  }
+
+  console.log(`📨 收到预测 ${prediction.id} 的回调，状态: ${prediction.status}`);
+
+  if (['succeeded', 'failed', 'canceled'].includes(prediction.status)) {
+    const claimed = await claimStep(store, jobId, index, prediction.id);
+    if (!claimed) {
+      console.log(`ℹ️ 忽略任务 ${jobId} 步骤 ${step.name} 的重复回调`);
+      return toPublicJob((await store.get(jobId)) || job);
+    }
+    job = claimed;
+  }
+
+  if (prediction.status === 'succeeded') {
+    try {
+      const stepInput = await loadJobImage(storage, job.input.current_image || job.input.image);
+      const { image, result } = await completeEnhancementStep(step.name, step.config, prediction.output, stepElapsed(step), stepInput);
+      await recordStepSuccess(store, storage, job, index, { output: result, image });
+      await recordStepUsage(options.meter, job, step, result);
+    } catch (error) {
+      await failStep(store, job, index, error.message, options.meter);
+    }
+  } else if (prediction.status === 'failed' || prediction.status === 'canceled') {
+    await failStep(store, job, index, prediction.error || `预测${prediction.status === 'canceled' ? '已取消' : '失败'}`, options.meter);
+  } else {
+    // start/logs事件：预测仍在运行
+    const updated = await recordStepProgress(store, jobId, index, parsePredictionProgress(prediction));
+    return toPublicJob(updated || job);
+  }
+
+  return advanceJob(store, jobId, {
+    apiToken,
+    webhookUrl: options.webhookUrl,
+    meter: options.meter,
+    replicateLimiter: options.replicateLimiter,
+    storage
+  });
+}
+
+// CommonJS导出
+module.exports = {
+  JOB_STATUS,
+  STEP_STATUS,
+  JOB_STAGES,
+  JOB_TYPES,
+  toPublicJob,
+  createJob,
+  getJob,
+  cancelJob,
+  runJob,
+  handleReplicateWebhook
+};
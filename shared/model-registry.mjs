@@ -0,0 +1,408 @@
+// 此文件由 scripts/build-shared.js 根据 shared/src/model-registry.js 生成，请勿直接修改
+/**
+ * 模型注册表
+ * 声明式地列出每个增强模型：ID、所属提供方、类别、Replicate模型及版本、参数schema、支持的放大倍数、
+ * 输入尺寸上限和积分成本。参数校验、模型输入构建和积分计价都从这里读取，
+ * GET /api/models 返回同一份定义，供前端动态构建选项
+ */
+
+import { createHttpError } from './http-errors.mjs';
+
+// 模型类别，与增强步骤名称一致
+export const MODEL_CATEGORIES = ['tone', 'detail', 'upscale'];
+
+// MAXIM模型（影调和细节增强共用，按任务类型选择子模型）
+const MAXIM = {
+  model: 'google-research/maxim',
+  version: '494ca4d578293b4b93945115601b6a38190519da18467556ca223d219c3af9f9'
+};
+
+// 影调增强参数：type映射为MAXIM的任务类型（auto在处理前按图像统计替换为具体类型），intensity和luminance_only不传给模型
+const TONE_TYPE_PARAM = {
+  type: 'string',
+  label: '增强类型',
+  enum: ['auto', 'general', 'night', 'landscape', 'hdr'],
+  enum_labels: { auto: '自动选择', general: '通用增强', night: '夜景增强', landscape: '风景增强', hdr: '高动态增强' },
+  default: 'general'
+};
+const TONE_INTENSITY_PARAM = { type: 'number', label: '增强强度', minimum: 0.1, maximum: 2.0, default: 1.0, input: false };
+const TONE_LUMINANCE_PARAM = { type: 'boolean', label: '仅调整亮度', default: false, input: false };
+
+// 细节增强参数：type映射为MAXIM的任务类型，strength不传给模型
+const DETAIL_TYPE_PARAM = {
+  type: 'string',
+  label: '增强类型',
+  enum: ['hair', 'plant', 'text', 'general'],
+  enum_labels: { general: '通用细节', hair: '发丝细节', plant: '植物细节', text: '文字清晰' },
+  default: 'general'
+};
+const DETAIL_STRENGTH_PARAM = { type: 'number', label: '增强强度', minimum: 1, maximum: 3, default: 2, input: false };
+
+const IMAGE_PARAM = { type: 'image', label: '输入图像', required: true };
+
+/**
+ * 模型定义
+ * input_schema的键为步骤配置中的参数名，字段说明：
+ *   type: image | string | number | integer | boolean
+ *   enum / minimum / maximum / default / required: 校验规则和默认值
+ *   input: 对应的模型输入名，默认与参数同名，false表示不传给模型
+ *   values: 参数值到模型输入值的映射
+ * cost为每次调用消耗的积分，超分模型按放大倍数计价；max_input_megapixels为输入图像的像素上限。
+ * blend表示模型不使用强度参数，输出需与原图混合：权重为 params[param] / reference，
+ * luminance_param为开启仅混合亮度的参数
+ */
+export const MODEL_REGISTRY = [
+  {
+    id: 'real-esrgan',
+    label: 'Real-ESRGAN (通用)',
+    category: 'upscale',
+    provider: 'replicate',
+    default: true,
+    model: 'nightmareai/real-esrgan',
+    version: 'f121d640bd286e1fdc67f9799164c1d5be36ff74576ee11c803ae5b665dd46aa',
+    scales: [2, 4, 8],
+    max_input_megapixels: 4,
+    cost: { 2: 1, 4: 2, 8: 4 },
+    input_schema: {
+      image: IMAGE_PARAM,
+      scale: { type: 'integer', label: '缩放倍数', enum: [2, 4, 8], default: 2 },
+      face_enhance: { type: 'boolean', label: '面部增强', default: false }
+    }
+  },
+  {
+    id: 'aura-sr-v2',
+    label: 'Aura SR v2 (高质量)',
+    category: 'upscale',
+    provider: 'replicate',
+    model: 'zsxkib/aura-sr-v2',
+    version: '5c137257cce8d5ce16e8a334b70e9e025106b5580affed0bc7d48940b594e74c',
+    scales: [2, 4, 8],
+    max_input_megapixels: 4,
+    cost: { 2: 4, 4: 8, 8: 16 },
+    input_schema: {
+      image: IMAGE_PARAM,
+      scale: { type: 'integer', label: '缩放倍数', enum: [2, 4, 8], default: 4, input: 'upscale_factor' }
+    }
+  },
+  {
+    id: 'maxim-tone',
+    label: 'MAXIM 影调增强',
+    category: 'tone',
+    provider: 'replicate',
+    default: true,
+    ...MAXIM,
+    scales: null,
+    max_input_megapixels: 2,
+    cost: 1,
+    blend: { param: 'intensity', reference: 1, luminance_param: 'luminance_only' },
+    input_schema: {
+      image: IMAGE_PARAM,
+      type: {
+        ...TONE_TYPE_PARAM,
+        input: 'model',
+        values: {
+          general: 'Image Enhancement (Retouching)',
+          night: 'Image Enhancement (Low-light)',
+          landscape: 'Image Enhancement (Retouching)',
+          hdr: 'Image Enhancement (Retouching)'
+        }
+      },
+      intensity: TONE_INTENSITY_PARAM,
+      luminance_only: TONE_LUMINANCE_PARAM
+    }
+  },
+  {
+    id: 'maxim-detail',
+    label: 'MAXIM 细节修复',
+    category: 'detail',
+    provider: 'replicate',
+    default: true,
+    ...MAXIM,
+    scales: null,
+    max_input_megapixels: 2,
+    cost: 2,
+    blend: { param: 'strength', reference: 2 },
+    input_schema: {
+      image: IMAGE_PARAM,
+      type: {
+        ...DETAIL_TYPE_PARAM,
+        input: 'model',
+        values: {
+          // 发丝、植物和通用细节使用去噪模型，文字使用去模糊模型
+          general: 'Image Denoising',
+          hair: 'Image Denoising',
+          plant: 'Image Denoising',
+          text: 'Image Deblurring (RealBlur_R)'
+        }
+      },
+      strength: DETAIL_STRENGTH_PARAM
+    }
+  },
+  {
+    id: 'lanczos',
+    label: 'Lanczos3 插值',
+    category: 'upscale',
+    provider: 'local',
+    default: true,
+    // 请求AI超分模型时按Lanczos处理，方便与Replicate结果直接对照
+    aliases: ['real-esrgan', 'aura-sr-v2'],
+    model: null,
+    version: null,
+    scales: [2, 4, 8],
+    max_input_megapixels: 12,
+    cost: { 2: 0, 4: 0, 8: 0 },
+    input_schema: {
+      image: IMAGE_PARAM,
+      scale: { type: 'integer', label: '缩放倍数', enum: [2, 4, 8], default: 2 }
+    }
+  },
+  {
+    id: 'bicubic',
+    label: '双三次插值',
+    category: 'upscale',
+    provider: 'local',
+    model: null,
+    version: null,
+    scales: [2, 4, 8],
+    max_input_megapixels: 12,
+    cost: { 2: 0, 4: 0, 8: 0 },
+    input_schema: {
+      image: IMAGE_PARAM,
+      scale: { type: 'integer', label: '缩放倍数', enum: [2, 4, 8], default: 2 }
+    }
+  },
+  {
+    id: 'auto-levels',
+    label: '自动色阶 + Gamma校正',
+    category: 'tone',
+    provider: 'local',
+    default: true,
+    model: null,
+    version: null,
+    scales: null,
+    max_input_megapixels: 24,
+    cost: 0,
+    input_schema: { image: IMAGE_PARAM, type: TONE_TYPE_PARAM, intensity: TONE_INTENSITY_PARAM, luminance_only: TONE_LUMINANCE_PARAM }
+  },
+  {
+    id: 'bilateral-unsharp',
+    label: '双边滤波降噪 + USM锐化',
+    category: 'detail',
+    provider: 'local',
+    default: true,
+    model: null,
+    version: null,
+    scales: null,
+    max_input_megapixels: 12,
+    cost: 0,
+    input_schema: { image: IMAGE_PARAM, type: DETAIL_TYPE_PARAM, strength: DETAIL_STRENGTH_PARAM }
+  }
+];
+
+/**
+ * 转换为对外返回的模型定义（不包含模型输入映射）
+ * @param {Object} model - 模型定义
+ * @returns {Object} 模型信息
+ */
+function toPublicModel(model) {
+  const inputSchema = Object.fromEntries(Object.entries(model.input_schema).map(([name, field]) => {
+    const { input, values, ...publicField } = field;
+    return [name, publicField];
+  }));
+  return {
+    id: model.id,
+    label: model.label,
+    category: model.category,
+    provider: model.provider,
+    default: Boolean(model.default),
+    aliases: model.aliases || [],
+    model: model.model,
+    version: model.version,
+    scales: model.scales,
+    max_input_megapixels: model.max_input_megapixels,
+    cost: model.cost,
+    blend: model.blend || null,
+    input_schema: inputSchema
+  };
+}
+
+/**
+ * 列出模型 - 统一接口
+ * @param {Object} filter - { provider, category } 按提供方和类别筛选（可选）
+ * @returns {Array} 模型信息
+ */
+export function listModels({ provider, category } = {}) {
+  if (category && !MODEL_CATEGORIES.includes(category)) {
+    throw createHttpError(`不支持的模型类别: ${category}，支持: ${MODEL_CATEGORIES.join(', ')}`, 400);
+  }
+  return MODEL_REGISTRY
+    .filter(model => (!provider || model.provider === provider) && (!category || model.category === category))
+    .map(toPublicModel);
+}
+
+/**
+ * 查找步骤使用的模型 - 统一接口
+ * @param {string} category - 模型类别（步骤名称）
+ * @param {string} provider - 处理提供方
+ * @param {string} name - 模型ID或别名，未指定时使用该提供方在此类别的默认模型
+ * @returns {Object} 模型定义
+ */
+export function resolveModel(category, provider, name) {
+  if (!MODEL_CATEGORIES.includes(category)) {
+    throw createHttpError(`不支持的增强步骤: ${category}`, 400);
+  }
+
+  const candidates = MODEL_REGISTRY.filter(model => model.category === category && model.provider === provider);
+  const model = name
+    ? candidates.find(entry => entry.id === name) || candidates.find(entry => entry.aliases?.includes(name))
+    : candidates.find(entry => entry.default);
+  if (!model) {
+    const supported = candidates.map(entry => entry.id).join(', ');
+    throw createHttpError(`不支持的模型类型: ${name}。${provider}支持的模型: ${supported}`, 400);
+  }
+  return model;
+}
+
+/**
+ * 汇总提供方在各步骤可用的模型，用于capabilities() - 统一接口
+ * @param {string} provider - 处理提供方
+ * @returns {Object} { tone, detail, upscale } 每项为 { models, default_model }，models包含别名
+ */
+export function describeProviderModels(provider) {
+  return Object.fromEntries(MODEL_CATEGORIES.map((category) => {
+    const models = MODEL_REGISTRY.filter(model => model.category === category && model.provider === provider);
+    return [category, {
+      models: models.flatMap(model => [model.id, ...(model.aliases || [])]),
+      default_model: models.find(model => model.default)?.id || null
+    }];
+  }));
+}
+
+/**
+ * 按schema校验单个参数
+ * @param {string} name - 参数名
+ * @param {Object} field - 参数定义
+ * @param {any} value - 参数值
+ * @returns {any} 转换类型后的参数值
+ */
+function validateField(name, field, value) {
+  const label = field.label || name;
+  let normalized = value;
+
+  if (field.type === 'number' || field.type === 'integer') {
+    normalized = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof normalized !== 'number' || Number.isNaN(normalized)) {
+      throw createHttpError(`${label}必须是数字: ${value}`, 400);
+    }
+    if (field.type === 'integer' && !Number.isInteger(normalized)) {
+      throw createHttpError(`${label}必须是整数: ${value}`, 400);
+    }
+  } else if (field.type === 'boolean') {
+    normalized = value === 'true' ? true : value === 'false' ? false : value;
+    if (typeof normalized !== 'boolean') {
+      throw createHttpError(`${label}必须是布尔值: ${value}`, 400);
+    }
+  } else if (field.type === 'string' && typeof value !== 'string') {
+    throw createHttpError(`${label}必须是字符串: ${value}`, 400);
+  }
+
+  if (field.enum && !field.enum.includes(normalized)) {
+    throw createHttpError(`不支持的${label}: ${value}。支持的${label}: ${field.enum.join(', ')}`, 400);
+  }
+  if ((field.minimum !== undefined && normalized < field.minimum) || (field.maximum !== undefined && normalized > field.maximum)) {
+    throw createHttpError(`${label}必须在${field.minimum}-${field.maximum}之间`, 400);
+  }
+  return normalized;
+}
+
+/**
+ * 按模型的参数schema校验步骤配置 - 统一接口
+ * 未提供的参数使用默认值，数字和布尔参数接受字符串形式（如表单上传）；图像参数和schema外的字段不校验
+ * @param {Object} model - 模型定义
+ * @param {Object} params - 步骤配置
+ * @returns {Object} 校验并补全默认值后的参数
+ */
+export function validateModelParams(model, params = {}) {
+  const normalized = {};
+  Object.entries(model.input_schema).forEach(([name, field]) => {
+    if (field.type === 'image') {
+      return;
+    }
+    const value = params[name];
+    if (value === undefined || value === null) {
+      if (field.required) {
+        throw createHttpError(`缺少参数: ${field.label || name}`, 400);
+      }
+      normalized[name] = field.default;
+      return;
+    }
+    normalized[name] = validateField(name, field, value);
+  });
+  return normalized;
+}
+
+/**
+ * 检查输入图像尺寸 - 统一接口
+ * @param {Object} model - 模型定义
+ * @param {number|null} megapixels - 输入图像像素数（百万），无法确定时为null，不检查
+ */
+export function assertInputSize(model, megapixels) {
+  if (megapixels === null || megapixels === undefined || !model.max_input_megapixels) {
+    return;
+  }
+  if (megapixels > model.max_input_megapixels) {
+    throw createHttpError(
+      `输入图像 ${megapixels.toFixed(1)}MP 超过 ${model.label} 的 ${model.max_input_megapixels}MP 上限，请先缩小图像`,
+      400
+    );
+  }
+}
+
+/**
+ * 构建模型调用 - 统一接口
+ * @param {Object} model - 模型定义（需有Replicate模型和版本）
+ * @param {Object} params - validateModelParams返回的参数
+ * @param {string} image - 输入图像（Base64或URL）
+ * @returns {Object} { modelId, modelInput } modelId为 owner/name:version
+ */
+export function buildModelInput(model, params, image) {
+  const modelInput = {};
+  Object.entries(model.input_schema).forEach(([name, field]) => {
+    if (field.input === false) {
+      return;
+    }
+    const value = field.type === 'image' ? image : params[name];
+    modelInput[field.input || name] = field.values ? field.values[value] : value;
+  });
+  return { modelId: `${model.model}:${model.version}`, modelInput };
+}
+
+/**
+ * 计算模型输出与原图的混合参数 - 统一接口
+ * @param {Object} model - 模型定义
+ * @param {Object} params - validateModelParams返回的参数
+ * @returns {Object|null} { weight, luminance_only }，模型自己使用强度参数时为null
+ */
+export function getBlendOptions(model, params) {
+  if (!model.blend) {
+    return null;
+  }
+  const { param, reference, luminance_param: luminanceParam } = model.blend;
+  return {
+    weight: params[param] / reference,
+    luminance_only: Boolean(luminanceParam && params[luminanceParam])
+  };
+}
+
+/**
+ * 计算模型调用消耗的积分 - 统一接口
+ * @param {Object} model - 模型定义
+ * @param {Object} params - 步骤配置（超分模型按scale计价）
+ * @returns {number} 积分，不支持的放大倍数为0
+ */
+export function getModelCost(model, params = {}) {
+  if (typeof model.cost === 'number') {
+    return model.cost;
+  }
+  return model.cost[Number(params.scale) || 2] || 0;
+}
@@ -0,0 +1,310 @@
+// 此文件由 scripts/build-shared.js 根据 shared/src/preset-store.js 生成，请勿直接修改
+/**
+ * 增强预设存储
+ * 用户保存的预设通过统一的存储接口读写：
+ *   create(preset) / get(id) / update(id, patch) / delete(id) / list()
+ *   listByUser(userId) / getByShareToken(token)
+ * 所有方法均返回Promise，内置内存存储、文件存储和共享KV存储（Vercel部署时使用）三种实现。
+ * 内存和KV存储维护按用户的预设ID索引和分享令牌到预设ID的索引，按用户列出和打开分享链接时不读取全部预设
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { KvRecordStore, getKvClient, resolveStoreType } from './kv-store.mjs';
+
+// 支持的存储类型
+export const PRESET_STORE_TYPES = ['memory', 'file', 'kv'];
+
+// 预设ID只允许安全字符，防止文件存储被路径穿越
+const PRESET_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * 校验预设ID
+ * @param {string} id - 预设ID
+ */
+function assertPresetId(id) {
+  if (typeof id !== 'string' || !PRESET_ID_PATTERN.test(id)) {
+    throw new Error(`无效的预设ID: ${id}`);
+  }
+}
+
+/**
+ * 深拷贝预设记录，避免调用方修改存储中的对象
+ * @param {Object} preset - 预设记录
+ * @returns {Object} 拷贝
+ */
+function clonePreset(preset) {
+  return preset ? JSON.parse(JSON.stringify(preset)) : null;
+}
+
+/**
+ * 内存预设存储 - 适用于本地开发和单实例部署，进程重启后预设丢失
+ */
+export class MemoryPresetStore {
+  constructor() {
+    this.presets = new Map();
+    // 用户ID -> 预设ID集合
+    this.userIndex = new Map();
+    // 分享令牌 -> 预设ID
+    this.shareTokens = new Map();
+  }
+
+  index(preset) {
+    if (!this.userIndex.has(preset.user_id)) {
+      this.userIndex.set(preset.user_id, new Set());
+    }
+    this.userIndex.get(preset.user_id).add(preset.id);
+    if (preset.share_token) {
+      this.shareTokens.set(preset.share_token, preset.id);
+    }
+  }
+
+  unindex(preset) {
+    this.userIndex.get(preset.user_id)?.delete(preset.id);
+    if (preset.share_token) {
+      this.shareTokens.delete(preset.share_token);
+    }
+  }
+
+  async create(preset) {
+    assertPresetId(preset.id);
+    if (this.presets.has(preset.id)) {
+      throw new Error(`预设已存在: ${preset.id}`);
+    }
+    this.presets.set(preset.id, clonePreset(preset));
+    this.index(preset);
+    return clonePreset(preset);
+  }
+
+  async get(id) {
+    assertPresetId(id);
+    return clonePreset(this.presets.get(id));
+  }
+
+  async update(id, patch) {
+    assertPresetId(id);
+    const current = this.presets.get(id);
+    if (!current) {
+      return null;
+    }
+    const updated = { ...current, ...clonePreset(patch), id };
+    this.unindex(current);
+    this.presets.set(id, updated);
+    this.index(updated);
+    return clonePreset(updated);
+  }
+
+  async delete(id) {
+    assertPresetId(id);
+    const current = this.presets.get(id);
+    if (current) {
+      this.unindex(current);
+    }
+    return this.presets.delete(id);
+  }
+
+  async list() {
+    return [...this.presets.values()].map(clonePreset);
+  }
+
+  async listByUser(userId) {
+    return [...(this.userIndex.get(userId) || [])].map(id => clonePreset(this.presets.get(id)));
+  }
+
+  async getByShareToken(token) {
+    const id = this.shareTokens.get(token);
+    return id ? clonePreset(this.presets.get(id)) : null;
+  }
+}
+
+/**
+ * 文件预设存储 - 每个预设保存为一个JSON文件，本地服务器重启后预设仍可使用
+ * 只用于本地开发，按用户列出和按分享令牌查询时读取目录中的全部预设
+ */
+export class FilePresetStore {
+  /**
+   * @param {string} dir - 预设文件目录
+   */
+  constructor(dir) {
+    this.dir = dir;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  filePath(id) {
+    assertPresetId(id);
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  async write(preset) {
+    // 先写临时文件再重命名，避免读取到写了一半的预设
+    const target = this.filePath(preset.id);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify(preset));
+    await fs.promises.rename(temp, target);
+  }
+
+  async create(preset) {
+    if (fs.existsSync(this.filePath(preset.id))) {
+      throw new Error(`预设已存在: ${preset.id}`);
+    }
+    await this.write(preset);
+    return clonePreset(preset);
+  }
+
+  async get(id) {
+    const file = this.filePath(id);
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new Error(`读取预设失败: ${error.message}`);
+    }
+  }
+
+  async update(id, patch) {
+    const current = await this.get(id);
+    if (!current) {
+      return null;
+    }
+    const updated = { ...current, ...clonePreset(patch), id };
+    await this.write(updated);
+    return updated;
+  }
+
+  async delete(id) {
+    const file = this.filePath(id);
+    try {
+      await fs.promises.unlink(file);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw new Error(`删除预设失败: ${error.message}`);
+    }
+  }
+
+  async list() {
+    const files = await fs.promises.readdir(this.dir);
+    const presets = await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .map(file => this.get(file.slice(0, -5)))
+    );
+    return presets.filter(Boolean);
+  }
+
+  async listByUser(userId) {
+    return (await this.list()).filter(preset => preset.user_id === userId);
+  }
+
+  async getByShareToken(token) {
+    return (await this.list()).find(preset => preset.share_token === token) || null;
+  }
+}
+
+/**
+ * KV预设存储 - 保存在Redis兼容的KV服务（Vercel KV、Upstash Redis）中，多个Serverless实例共享
+ * 每个用户的预设ID保存在集合 presets:user:<用户ID> 中，分享令牌保存为 presets:share:<令牌> -> 预设ID。
+ * 索引在预设写入后更新，读取时再核对预设记录，写入中断留下的过期索引不会返回其他预设
+ */
+export class KvPresetStore extends KvRecordStore {
+  /**
+   * @param {RedisRestClient} client - KV客户端
+   */
+  constructor(client) {
+    super(client, { namespace: 'presets', assertId: assertPresetId, label: '预设' });
+  }
+
+  userKey(userId) {
+    return this.client.key(this.namespace, 'user', userId);
+  }
+
+  shareKey(token) {
+    return this.client.key(this.namespace, 'share', token);
+  }
+
+  /**
+   * 分享令牌变化时更新令牌索引
+   * @param {string} id - 预设ID
+   * @param {string|null} previous - 原分享令牌
+   * @param {string|null} next - 新分享令牌
+   */
+  async syncShareToken(id, previous, next) {
+    if (previous === next) {
+      return;
+    }
+    if (previous) {
+      await this.client.command(['DEL', this.shareKey(previous)]);
+    }
+    if (next) {
+      await this.client.command(['SET', this.shareKey(next), id]);
+    }
+  }
+
+  async create(preset) {
+    const created = await super.create(preset);
+    await this.client.command(['SADD', this.userKey(preset.user_id), preset.id]);
+    await this.syncShareToken(preset.id, null, preset.share_token || null);
+    return created;
+  }
+
+  async update(id, patch) {
+    let previous = null;
+    const updated = await this.updateIf(id, (current) => {
+      previous = current.share_token || null;
+      return patch;
+    });
+    if (updated) {
+      await this.syncShareToken(id, previous, updated.share_token || null);
+    }
+    return updated;
+  }
+
+  async delete(id) {
+    const current = await this.get(id);
+    const deleted = await super.delete(id);
+    if (current) {
+      await this.client.command(['SREM', this.userKey(current.user_id), id]);
+      await this.syncShareToken(id, current.share_token || null, null);
+    }
+    return deleted;
+  }
+
+  async listByUser(userId) {
+    const ids = await this.client.command(['SMEMBERS', this.userKey(userId)]);
+    const presets = await this.client.getManyJson(ids.map(id => this.recordKey(id)));
+    return presets.filter(preset => preset?.user_id === userId);
+  }
+
+  async getByShareToken(token) {
+    const id = await this.client.command(['GET', this.shareKey(token)]);
+    const preset = id ? await this.get(id) : null;
+    return preset?.share_token === token ? preset : null;
+  }
+}
+
+/**
+ * 创建预设存储 - 统一接口
+ * 未指定时按环境变量选择：PRESET_STORE=memory|file|kv，PRESET_STORE_DIR=文件存储目录；未设置PRESET_STORE时配置了KV服务则使用kv，否则使用memory。
+ * Vercel上只能使用kv
+ * @param {Object} options - { type, dir, client } client为KV客户端，默认按环境变量创建
+ * @returns {MemoryPresetStore|FilePresetStore|KvPresetStore} 预设存储实例
+ */
+export function createPresetStore(options = {}) {
+  const type = resolveStoreType(options.type || process.env.PRESET_STORE, '预设存储');
+
+  switch (type) {
+    case 'memory':
+      return new MemoryPresetStore();
+    case 'file':
+      return new FilePresetStore(options.dir || process.env.PRESET_STORE_DIR || path.join(os.tmpdir(), 'image-quality-presets'));
+    case 'kv':
+      return new KvPresetStore(options.client || getKvClient());
+    default:
+      throw new Error(`不支持的预设存储类型: ${type}。支持的类型: ${PRESET_STORE_TYPES.join(', ')}`);
+  }
+}
@@ -0,0 +1,285 @@
+// 此文件由 scripts/build-shared.js 根据 shared/src/rate-limit.js 生成，请勿直接修改
+/**
+ * 请求限流
+ * 令牌桶算法：每个用户（未登录时按客户端IP）在每个接口上有一个令牌桶，容量为允许的突发请求数，
+ * 令牌按每分钟补充速率持续补充，用尽时返回429。容量和补充速率按接口和套餐（anonymous/free/pro）配置。
+ * 响应带 RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset / RateLimit-Policy 头，429响应另带Retry-After。
+ * 令牌桶保存在限流存储中：memory只在当前进程内计数，kv保存在共享KV存储中，所有Serverless实例共用同一个令牌桶
+ */
+
+const { createHttpError } = require('./http-errors.cjs');
+const { PLANS, resolvePlan } = require('./entitlements.cjs');
+const { getKvClient, resolveStoreType } = require('./kv-store.cjs');
+
+// 支持的限流存储类型
+const RATE_LIMIT_STORE_TYPES = ['memory', 'kv'];
+
+// 未登录请求使用的限流档位
+const ANONYMOUS_PLAN = 'anonymous';
+
+// 分析在本地CPU上计算，允许较高的频率
+const ANALYZE_LIMITS = {
+  [ANONYMOUS_PLAN]: { capacity: 10, refill_per_minute: 5 },
+  [PLANS.FREE]: { capacity: 30, refill_per_minute: 15 },
+  [PLANS.PRO]: { capacity: 120, refill_per_minute: 60 }
+};
+
+// 增强需要调用Replicate模型，且只对登录用户开放
+const ENHANCE_LIMITS = {
+  [PLANS.FREE]: { capacity: 10, refill_per_minute: 5 },
+  [PLANS.PRO]: { capacity: 30, refill_per_minute: 20 }
+};
+
+// 各接口的限流规则，未配置anonymous档位的接口按free档位计算
+const RATE_LIMITS = {
+  'POST /api/analyze': ANALYZE_LIMITS,
+  'POST /api/autopilot-analyze': ANALYZE_LIMITS,
+  'POST /api/upscale': ENHANCE_LIMITS,
+  'POST /api/tone-enhance': ENHANCE_LIMITS,
+  'POST /api/detail-enhance': ENHANCE_LIMITS,
+  'POST /api/autopilot-enhance': ENHANCE_LIMITS,
+  'POST /api/pipeline': ENHANCE_LIMITS,
+  'POST /api/jobs': ENHANCE_LIMITS,
+  'POST /api/batches': ENHANCE_LIMITS
+};
+
+// 令牌桶数量超过该值时清理已补满的桶，避免大量IP占用内存
+const MAX_BUCKETS = 10000;
+
+/**
+ * 判断请求是否需要限流 - 统一接口
+ * Express路由不区分大小写，路径转为小写后再匹配，否则 /API/UPSCALE 会绕过限流
+ * @param {string} method - HTTP方法
+ * @param {string} pathname - 请求路径（不含查询参数）
+ * @returns {string|null} 限流规则的接口键，如 'POST /api/upscale'；不限流时为null
+ */
+function getRateLimitedEndpoint(method, pathname) {
+  const endpoint = `${String(method).toUpperCase()} ${String(pathname).toLowerCase().replace(/\/+$/, '')}`;
+  return RATE_LIMITS[endpoint] ? endpoint : null;
+}
+
+/**
+ * 读取可信代理的层数：TRUST_PROXY_HOPS未配置时，Vercel上（VERCEL=1）为1（边缘网络会覆盖x-forwarded-for），其他环境为0
+ * @returns {number} 可信代理层数
+ */
+function getTrustedProxyHops() {
+  const configured = Number.parseInt(process.env.TRUST_PROXY_HOPS, 10);
+  if (Number.isInteger(configured) && configured >= 0) {
+    return configured;
+  }
+  return process.env.VERCEL === '1' ? 1 : 0;
+}
+
+/**
+ * 读取客户端IP
+ * 客户端可以任意填写x-forwarded-for，只使用可信代理追加的地址（从右数第hops个）；
+ * 没有可信代理或请求头中的地址不足时使用连接的对端地址
+ * @param {Object} req - Node.js请求对象（Express与Vercel通用）
+ * @param {number} hops - 可信代理层数，默认读取环境变量
+ * @returns {string} 客户端IP
+ */
+function getClientIp(req, hops = getTrustedProxyHops()) {
+  const socketAddress = req.socket?.remoteAddress || 'unknown';
+  if (hops <= 0) {
+    return socketAddress;
+  }
+
+  const forwarded = [].concat(req.headers['x-forwarded-for'] || [])
+    .join(',')
+    .split(',')
+    .map(address => address.trim())
+    .filter(Boolean);
+  return forwarded.length >= hops ? forwarded[forwarded.length - hops] : socketAddress;
+}
+
+/**
+ * 生成限流响应头
+ * @param {Object} rule - { capacity, refill_per_minute }
+ * @param {Object} result - { remaining, reset_seconds }
+ * @returns {Object} 响应头
+ */
+function rateLimitHeaders(rule, result) {
+  return {
+    'RateLimit-Limit': String(rule.capacity),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(result.reset_seconds),
+    'RateLimit-Policy': `${rule.refill_per_minute};w=60;burst=${rule.capacity}`
+  };
+}
+
+/**
+ * 从令牌桶中取出一个令牌：按上次更新后经过的时间补充令牌，至少有一个令牌时取出
+ * @param {Object|null} bucket - 令牌桶 { tokens, updated_at }，不存在时视为满桶
+ * @param {Object} rule - { capacity, refill_per_minute }
+ * @param {number} now - 当前时间（ms）
+ * @returns {Object} { bucket, result } bucket为更新后的令牌桶，result为 { allowed, remaining, reset_seconds, retry_after_seconds }
+ */
+function takeToken(bucket, rule, now) {
+  const ratePerMs = rule.refill_per_minute / 60000;
+  const current = bucket || { tokens: rule.capacity, updated_at: now };
+  const tokens = Math.min(rule.capacity, current.tokens + Math.max(0, now - current.updated_at) * ratePerMs);
+
+  const allowed = tokens >= 1;
+  const left = allowed ? tokens - 1 : tokens;
+  return {
+    bucket: { tokens: left, updated_at: now },
+    result: {
+      allowed,
+      remaining: Math.floor(left),
+      reset_seconds: Math.ceil((rule.capacity - left) / ratePerMs / 1000),
+      retry_after_seconds: allowed ? 0 : Math.ceil((1 - left) / ratePerMs / 1000)
+    }
+  };
+}
+
+/**
+ * 计算令牌桶从空补满所需的时间，超过该时间未使用的令牌桶与新建的桶等价
+ * @param {Object} rule - { capacity, refill_per_minute }
+ * @returns {number} 毫秒
+ */
+function refillMs(rule) {
+  return Math.ceil(rule.capacity / (rule.refill_per_minute / 60000));
+}
+
+/**
+ * 内存限流存储 - 令牌桶保存在进程内存中，Serverless部署时每个函数实例单独计数
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    this.buckets = new Map();
+  }
+
+  async take(key, rule, now = Date.now()) {
+    const { bucket, result } = takeToken(this.buckets.get(key), rule, now);
+    this.buckets.set(key, { ...bucket, expires_at: now + refillMs(rule) });
+    if (this.buckets.size > MAX_BUCKETS) {
+      this.prune(now);
+    }
+    return result;
+  }
+
+  /**
+   * 清理已经补满的令牌桶（与新建的桶等价）
+   * @param {number} now - 当前时间（ms）
+   */
+  prune(now) {
+    this.buckets.forEach((bucket, key) => {
+      if (bucket.expires_at <= now) {
+        this.buckets.delete(key);
+      }
+    });
+  }
+}
+
+/**
+ * KV限流存储 - 每个令牌桶保存为一个键，取令牌时比较并写入，多个Serverless实例的并发请求共用同一个令牌桶；
+ * 令牌桶在补满所需的时间后过期，不会为每个访问过的IP永久保留一个键
+ */
+class KvRateLimitStore {
+  /**
+   * @param {RedisRestClient} client - KV客户端
+   */
+  constructor(client) {
+    this.client = client;
+  }
+
+  async take(key, rule, now = Date.now()) {
+    return this.client.mutateJson(this.client.key('rate-limit', key), (current) => {
+      const { bucket, result } = takeToken(current, rule, now);
+      return { value: bucket, result };
+    }, { ttlMs: refillMs(rule) });
+  }
+}
+
+/**
+ * 创建限流存储 - 统一接口
+ * 未指定时按环境变量选择：RATE_LIMIT_STORE=memory|kv；未设置时配置了KV服务则使用kv，否则使用memory。Vercel上只能使用kv
+ * @param {Object} options - { type, client } client为KV客户端，默认按环境变量创建
+ * @returns {MemoryRateLimitStore|KvRateLimitStore} 限流存储实例
+ */
+function createRateLimitStore(options = {}) {
+  const type = resolveStoreType(options.type || process.env.RATE_LIMIT_STORE, '限流存储');
+
+  switch (type) {
+    case 'memory':
+      return new MemoryRateLimitStore();
+    case 'kv':
+      return new KvRateLimitStore(options.client || getKvClient());
+    default:
+      throw new Error(`不支持的限流存储类型: ${type}。支持的类型: ${RATE_LIMIT_STORE_TYPES.join(', ')}`);
+  }
+}
+
+/**
+ * 请求限流器 - 按用户或IP、接口和套餐维护令牌桶
+ */
+class RateLimiter {
+  /**
+   * @param {Object} entitlementStore - 权益存储，用于确定用户的套餐
+   * @param {Object} limits - 限流规则，默认使用RATE_LIMITS
+   * @param {Object} store - 限流存储，默认按环境变量创建（createRateLimitStore）
+   */
+  constructor(entitlementStore, limits = RATE_LIMITS, store = createRateLimitStore()) {
+    this.entitlementStore = entitlementStore;
+    this.limits = limits;
+    this.store = store;
+  }
+
+  /**
+   * 从令牌桶中取出一个令牌
+   * @param {string} key - 令牌桶键
+   * @param {Object} rule - { capacity, refill_per_minute }
+   * @param {number} now - 当前时间（ms）
+   * @returns {Promise<Object>} { allowed, remaining, reset_seconds, retry_after_seconds }
+   */
+  take(key, rule, now = Date.now()) {
+    return this.store.take(key, rule, now);
+  }
+
+  /**
+   * 对请求执行限流 - 统一接口
+   * 需在认证之后调用（使用req.userId），限流响应头写入res，超出限制时抛出429错误
+   * @param {Object} req - 请求对象
+   * @param {Object} res - 响应对象（需支持setHeader）
+   * @param {string} endpoint - 接口键，如 'POST /api/upscale'
+   * @returns {Promise<Object|null>} 限流结果，接口不限流时为null
+   */
+  async enforce(req, res, endpoint) {
+    const rules = this.limits[endpoint];
+    if (!rules) {
+      return null;
+    }
+
+    const userId = req.userId || null;
+    const plan = userId ? resolvePlan(await this.entitlementStore.get(userId)) : ANONYMOUS_PLAN;
+    const rule = rules[plan] || rules[PLANS.FREE];
+    const key = `${endpoint}|${userId ? `user:${userId}` : `ip:${getClientIp(req)}`}`;
+
+    const result = await this.take(key, rule);
+    Object.entries(rateLimitHeaders(rule, result)).forEach(([name, value]) => res.setHeader(name, value));
+
+    if (!result.allowed) {
+      console.warn(`🚦 ${key} 触发限流（${plan}），${result.retry_after_seconds}秒后可重试`);
+      throw createHttpError(`请求过于频繁，请${result.retry_after_seconds}秒后再试`, 429, {
+        code: 'rate_limited',
+        retry_after_seconds: result.retry_after_seconds,
+        upgrade: plan === PLANS.FREE
+      });
+    }
+    return result;
+  }
+}
+
+// CommonJS导出
+module.exports = {
+  RATE_LIMIT_STORE_TYPES,
+  ANONYMOUS_PLAN,
+  RATE_LIMITS,
+  getRateLimitedEndpoint,
+  getTrustedProxyHops,
+  getClientIp,
+  MemoryRateLimitStore,
+  KvRateLimitStore,
+  createRateLimitStore,
+  RateLimiter
+};
@@ -0,0 +1,400 @@
+// 此文件由 scripts/build-shared.js 根据 shared/src/replicate-concurrency.js 生成，请勿直接修改
+/**
+ * Replicate并发控制
+ * 限制同时进行中的Replicate预测数量：全局上限避免超出Replicate账户的并发配额，
+ * 单用户上限保证一个用户的大量请求不会占满全部名额。名额用尽时请求按先后顺序排队，
+ * 已达单用户上限的请求不会阻塞其他用户，排队超时返回503。
+ * Webhook模式下预测创建后名额一直占用到回调到达，回调丢失时名额在占用超时后自动回收。
+ * memory限制器在进程内存中计数，Serverless部署时每个函数实例单独计数；
+ * kv限制器把名额保存在共享KV存储中，所有实例共用同一个上限，webhook回调由其他实例处理时也能释放名额
+ */
+
+import crypto from 'crypto';
+import { createHttpError } from './http-errors.mjs';
+import { getKvClient, resolveStoreType } from './kv-store.mjs';
+
+// 支持的并发计数存储类型
+export const REPLICATE_CONCURRENCY_STORE_TYPES = ['memory', 'kv'];
+
+// 排队超时后建议客户端等待的秒数
+const BUSY_RETRY_AFTER_SECONDS = 10;
+
+// KV限制器名额已满时重新尝试的间隔（毫秒）
+const KV_POLL_INTERVAL_MS = 250;
+
+/**
+ * 读取正整数配置
+ * @param {any} value - 配置值
+ * @param {number} fallback - 默认值
+ * @param {string} name - 配置名称
+ * @returns {number} 配置值
+ */
+function positiveInteger(value, fallback, name) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new Error(`${name} 必须是正整数: ${value}`);
+  }
+  return number;
+}
+
+/**
+ * 创建名额排队超时的错误
+ * @returns {Error} 503错误
+ */
+function busyError() {
+  return createHttpError('当前处理请求较多，请稍后再试', 503, {
+    code: 'replicate_busy',
+    retry_after_seconds: BUSY_RETRY_AFTER_SECONDS
+  });
+}
+
+/**
+ * Replicate并发限制器
+ */
+export class ReplicateConcurrencyLimiter {
+  /**
+   * @param {Object} options - { maxConcurrent, maxPerUser, queueTimeoutMs, slotTtlMs }
+   */
+  constructor({ maxConcurrent = 8, maxPerUser = 2, queueTimeoutMs = 20000, slotTtlMs = 300000 } = {}) {
+    this.maxConcurrent = maxConcurrent;
+    this.maxPerUser = Math.min(maxPerUser, maxConcurrent);
+    this.queueTimeoutMs = queueTimeoutMs;
+    this.slotTtlMs = slotTtlMs;
+    this.slots = new Map();
+    this.held = new Map();
+    this.waiters = [];
+    this.nextSlotId = 0;
+  }
+
+  /**
+   * 查询当前状态 - 统一接口
+   * @returns {Object} { active, queued, max_concurrent, max_per_user }
+   */
+  stats() {
+    return {
+      active: this.slots.size,
+      queued: this.waiters.length,
+      max_concurrent: this.maxConcurrent,
+      max_per_user: this.maxPerUser
+    };
+  }
+
+  countForUser(user) {
+    let count = 0;
+    this.slots.forEach((slot) => {
+      if (slot.user === user) {
+        count += 1;
+      }
+    });
+    return count;
+  }
+
+  canGrant(user) {
+    return this.slots.size < this.maxConcurrent && this.countForUser(user) < this.maxPerUser;
+  }
+
+  grant(user) {
+    const id = ++this.nextSlotId;
+    this.slots.set(id, { user, expires_at: null });
+    return { id, release: () => this.releaseSlot(id) };
+  }
+
+  releaseSlot(id) {
+    if (this.slots.delete(id)) {
+      this.drain();
+    }
+  }
+
+  /**
+   * 回收占用超时的名额（Webhook回调丢失，或回调由其他实例处理）
+   */
+  reclaimExpired() {
+    const now = Date.now();
+    this.held.forEach((slotId, predictionId) => {
+      const slot = this.slots.get(slotId);
+      if (!slot || slot.expires_at <= now) {
+        this.held.delete(predictionId);
+        if (slot) {
+          this.slots.delete(slotId);
+          console.warn(`⚠️ 预测 ${predictionId} 的并发名额占用超时，已回收`);
+        }
+      }
+    });
+  }
+
+  /**
+   * 按排队顺序发放名额
+   */
+  drain() {
+    this.reclaimExpired();
+    [...this.waiters].forEach((waiter) => {
+      if (this.canGrant(waiter.user)) {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        clearTimeout(waiter.timer);
+        waiter.resolve(this.grant(waiter.user));
+      }
+    });
+  }
+
+  /**
+   * 申请名额 - 统一接口
+   * @param {string} userId - 用户ID（匿名请求共用一个配额）
+   * @returns {Promise<Object>} 名额 { id, release }，使用完毕后必须调用release
+   */
+  acquire(userId) {
+    const user = userId || 'anonymous';
+    return new Promise((resolve, reject) => {
+      const waiter = { user, resolve, timer: null };
+      waiter.timer = setTimeout(() => {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        reject(busyError());
+      }, this.queueTimeoutMs);
+
+      this.waiters.push(waiter);
+      this.drain();
+      if (this.waiters.includes(waiter)) {
+        console.log(`⏳ Replicate并发名额已满（全局 ${this.slots.size}/${this.maxConcurrent}，用户 ${this.countForUser(user)}/${this.maxPerUser}），${user} 排队等待`);
+      }
+    });
+  }
+
+  /**
+   * 占用名额执行任务 - 统一接口
+   * @param {string} userId - 用户ID
+   * @param {Function} task - 调用Replicate的任务
+   * @returns {Promise<any>} 任务结果
+   */
+  async run(userId, task) {
+    const slot = await this.acquire(userId);
+    try {
+      return await task();
+    } finally {
+      slot.release();
+    }
+  }
+
+  /**
+   * 把名额绑定到Webhook模式的预测，回调到达时通过release(predictionId)释放 - 统一接口
+   * @param {string} predictionId - 预测ID
+   * @param {Object} slot - acquire返回的名额
+   */
+  hold(predictionId, slot) {
+    const entry = this.slots.get(slot.id);
+    if (!entry) {
+      return;
+    }
+    entry.expires_at = Date.now() + this.slotTtlMs;
+    this.held.set(predictionId, slot.id);
+  }
+
+  /**
+   * 释放预测占用的名额 - 统一接口
+   * @param {string} predictionId - 预测ID
+   * @returns {boolean} 是否释放了名额（预测不由本实例占用时为false）
+   */
+  release(predictionId) {
+    const slotId = this.held.get(predictionId);
+    if (slotId === undefined) {
+      return false;
+    }
+    this.held.delete(predictionId);
+    this.releaseSlot(slotId);
+    return true;
+  }
+}
+
+/**
+ * KV Replicate并发限制器 - 所有名额保存在一条KV记录中 { slots: { 名额ID: { user, expires_at, prediction_id } } }，
+ * 申请和释放通过比较并写入修改，多个Serverless实例同时申请不会超出上限。
+ * 名额已满时按固定间隔重新尝试直到排队超时，不保证跨实例的先后顺序。
+ * 每个名额都有占用期限（slotTtlMs）：实例在释放前退出时名额到期后自动回收
+ */
+export class KvReplicateConcurrencyLimiter {
+  /**
+   * @param {RedisRestClient} client - KV客户端
+   * @param {Object} options - { maxConcurrent, maxPerUser, queueTimeoutMs, slotTtlMs, pollIntervalMs }
+   */
+  constructor(client, { maxConcurrent = 8, maxPerUser = 2, queueTimeoutMs = 20000, slotTtlMs = 300000, pollIntervalMs = KV_POLL_INTERVAL_MS } = {}) {
+    this.client = client;
+    this.maxConcurrent = maxConcurrent;
+    this.maxPerUser = Math.min(maxPerUser, maxConcurrent);
+    this.queueTimeoutMs = queueTimeoutMs;
+    this.slotTtlMs = slotTtlMs;
+    this.pollIntervalMs = pollIntervalMs;
+    this.waiting = 0;
+  }
+
+  get recordKey() {
+    return this.client.key('replicate-slots');
+  }
+
+  /**
+   * 修改名额记录，修改前去掉已到期的名额
+   * @param {Function} update - (slots, now) => { changed, result } 直接修改slots，changed表示需要写入
+   * @returns {Promise<any>} update返回的result
+   */
+  mutateSlots(update) {
+    return this.client.mutateJson(this.recordKey, (current) => {
+      const now = Date.now();
+      const slots = { ...(current?.slots || {}) };
+      let changed = false;
+      Object.entries(slots).forEach(([id, slot]) => {
+        if (slot.expires_at <= now) {
+          delete slots[id];
+          changed = true;
+          if (slot.prediction_id) {
+            console.warn(`⚠️ 预测 ${slot.prediction_id} 的并发名额占用超时，已回收`);
+          }
+        }
+      });
+      const outcome = update(slots, now);
+      return { value: changed || outcome.changed ? { slots } : undefined, result: outcome.result };
+    });
+  }
+
+  /**
+   * 查询当前状态 - 统一接口
+   * @returns {Promise<Object>} { active, queued, max_concurrent, max_per_user } queued为本实例中排队的请求数
+   */
+  async stats() {
+    const record = await this.client.getJson(this.recordKey);
+    const now = Date.now();
+    return {
+      active: Object.values(record?.slots || {}).filter(slot => slot.expires_at > now).length,
+      queued: this.waiting,
+      max_concurrent: this.maxConcurrent,
+      max_per_user: this.maxPerUser
+    };
+  }
+
+  /**
+   * 尝试取得一个名额
+   * @param {string} user - 用户
+   * @returns {Promise<string|null>} 名额ID，名额已满时为null
+   */
+  tryGrant(user) {
+    return this.mutateSlots((slots, now) => {
+      const active = Object.values(slots);
+      if (active.length >= this.maxConcurrent || active.filter(slot => slot.user === user).length >= this.maxPerUser) {
+        return { changed: false, result: null };
+      }
+      const id = crypto.randomUUID();
+      slots[id] = { user, expires_at: now + this.slotTtlMs, prediction_id: null };
+      return { changed: true, result: id };
+    });
+  }
+
+  releaseSlot(id) {
+    return this.mutateSlots((slots) => {
+      const held = Boolean(slots[id]);
+      delete slots[id];
+      return { changed: held, result: held };
+    });
+  }
+
+  /**
+   * 申请名额 - 统一接口
+   * @param {string} userId - 用户ID（匿名请求共用一个配额）
+   * @returns {Promise<Object>} 名额 { id, release }，使用完毕后必须调用release
+   */
+  async acquire(userId) {
+    const user = userId || 'anonymous';
+    const deadline = Date.now() + this.queueTimeoutMs;
+    this.waiting += 1;
+    try {
+      for (let attempt = 0; ; attempt++) {
+        const id = await this.tryGrant(user);
+        if (id) {
+          return { id, release: () => this.releaseSlot(id) };
+        }
+        if (attempt === 0) {
+          console.log(`⏳ Replicate并发名额已满（全局上限 ${this.maxConcurrent}，用户上限 ${this.maxPerUser}），${user} 排队等待`);
+        }
+        const wait = Math.min(this.pollIntervalMs, deadline - Date.now());
+        if (wait <= 0) {
+          throw busyError();
+        }
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+    } finally {
+      this.waiting -= 1;
+    }
+  }
+
+  /**
+   * 占用名额执行任务 - 统一接口
+   * @param {string} userId - 用户ID
+   * @param {Function} task - 调用Replicate的任务
+   * @returns {Promise<any>} 任务结果
+   */
+  async run(userId, task) {
+    const slot = await this.acquire(userId);
+    try {
+      return await task();
+    } finally {
+      await slot.release();
+    }
+  }
+
+  /**
+   * 把名额绑定到Webhook模式的预测，回调到达时（可以在其他实例）通过release(predictionId)释放 - 统一接口
+   * @param {string} predictionId - 预测ID
+   * @param {Object} slot - acquire返回的名额
+   * @returns {Promise<void>}
+   */
+  async hold(predictionId, slot) {
+    await this.mutateSlots((slots, now) => {
+      if (!slots[slot.id]) {
+        return { changed: false };
+      }
+      slots[slot.id] = { ...slots[slot.id], prediction_id: predictionId, expires_at: now + this.slotTtlMs };
+      return { changed: true };
+    });
+  }
+
+  /**
+   * 释放预测占用的名额 - 统一接口
+   * @param {string} predictionId - 预测ID
+   * @returns {Promise<boolean>} 是否释放了名额（名额已到期回收时为false）
+   */
+  release(predictionId) {
+    return this.mutateSlots((slots) => {
+      const entry = Object.entries(slots).find(([, slot]) => slot.prediction_id === predictionId);
+      if (!entry) {
+        return { changed: false, result: false };
+      }
+      delete slots[entry[0]];
+      return { changed: true, result: true };
+    });
+  }
+}
+
+/**
+ * 创建Replicate并发限制器 - 统一接口
+ * 未指定时按环境变量配置：REPLICATE_CONCURRENCY_STORE（memory或kv；未设置时配置了KV服务则使用kv，否则使用memory，Vercel上只能使用kv）、
+ * REPLICATE_MAX_CONCURRENCY（全局上限，默认8）、REPLICATE_MAX_CONCURRENCY_PER_USER（单用户上限，默认2）、
+ * REPLICATE_QUEUE_TIMEOUT_MS（排队超时，默认20秒）、REPLICATE_SLOT_TTL_MS（名额的最长占用时间，默认5分钟）
+ * @param {Object} options - { type, client, maxConcurrent, maxPerUser, queueTimeoutMs, slotTtlMs } client为KV客户端，默认按环境变量创建
+ * @returns {ReplicateConcurrencyLimiter|KvReplicateConcurrencyLimiter} 并发限制器
+ */
+export function createReplicateConcurrencyLimiter(options = {}) {
+  const type = resolveStoreType(options.type || process.env.REPLICATE_CONCURRENCY_STORE, 'Replicate并发计数');
+  const config = {
+    maxConcurrent: positiveInteger(options.maxConcurrent ?? process.env.REPLICATE_MAX_CONCURRENCY, 8, 'REPLICATE_MAX_CONCURRENCY'),
+    maxPerUser: positiveInteger(options.maxPerUser ?? process.env.REPLICATE_MAX_CONCURRENCY_PER_USER, 2, 'REPLICATE_MAX_CONCURRENCY_PER_USER'),
+    queueTimeoutMs: positiveInteger(options.queueTimeoutMs ?? process.env.REPLICATE_QUEUE_TIMEOUT_MS, 20000, 'REPLICATE_QUEUE_TIMEOUT_MS'),
+    slotTtlMs: positiveInteger(options.slotTtlMs ?? process.env.REPLICATE_SLOT_TTL_MS, 300000, 'REPLICATE_SLOT_TTL_MS')
+  };
+
+  switch (type) {
+    case 'memory':
+      return new ReplicateConcurrencyLimiter(config);
+    case 'kv':
+      return new KvReplicateConcurrencyLimiter(options.client || getKvClient(), config);
+    default:
+      throw new Error(`不支持的并发计数存储类型: ${type}。支持的类型: ${REPLICATE_CONCURRENCY_STORE_TYPES.join(', ')}`);
+  }
+}
@@ -0,0 +1,345 @@
+// 此文件由 scripts/build-shared.js 根据 shared/src/replicate-invoker.js 生成，请勿直接修改
+/**
+ * Replicate调用的重试与熔断
+ * 模型调用遇到可重试的错误（Replicate返回429/5xx、网络错误、单次调用超时）时按指数退避加随机抖动重试，
+ * 参数错误、认证失败、模型本身报错等不可重试的错误直接失败。
+ * 每个模型一个熔断器：连续失败达到阈值后熔断，冷却期内该模型的调用直接返回503，
+ * 冷却结束后放行一次试探调用，成功则恢复，失败则重新熔断。
+ * 熔断状态保存在进程内存中，Serverless部署时每个函数实例单独计数
+ */
+
+const { createHttpError } = require('./http-errors.cjs');
+
+// 可重试的HTTP状态码（5xx另外统一处理）
+const RETRYABLE_STATUS_CODES = [408, 429];
+
+// 可重试的网络错误码
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+
+// 熔断器状态
+const BREAKER_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+/**
+ * 读取非负整数配置
+ * @param {any} value - 配置值
+ * @param {number} fallback - 默认值
+ * @param {string} name - 配置名称
+ * @returns {number} 配置值
+ */
+function nonNegativeInteger(value, fallback, name) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`${name} 必须是非负整数: ${value}`);
+  }
+  return number;
+}
+
+/**
+ * 从模型ID中取出模型名（去掉版本号），同一模型的不同版本共用一个熔断器
+ * @param {string} modelId - 模型ID（owner/name:version）
+ * @returns {string} 模型名 owner/name
+ */
+function getModelKey(modelId) {
+  return String(modelId).split(':')[0];
+}
+
+/**
+ * 判断错误是否可重试 - 统一接口
+ * @param {Error} error - 调用Replicate时抛出的错误
+ * @returns {boolean} 是否可重试
+ */
+function isRetryableError(error) {
+  if (!error) {
+    return false;
+  }
+  if (error.code === 'replicate_timeout') {
+    return true;
+  }
+
+  // replicate客户端的ApiError带有HTTP响应
+  const status = error.response?.status;
+  if (typeof status === 'number') {
+    return status >= 500 || RETRYABLE_STATUS_CODES.includes(status);
+  }
+
+  const networkCode = error.code || error.cause?.code;
+  if (RETRYABLE_NETWORK_CODES.includes(networkCode)) {
+    return true;
+  }
+  // fetch在连接失败时抛出TypeError('fetch failed')
+  if (error.name === 'TypeError' && /fetch failed/i.test(error.message)) {
+    return true;
+  }
+
+  // 模型冷启动超时以预测失败的形式返回，其余预测失败是模型本身的错误
+  return /^Prediction failed:.*(timed? ?out|timeout)/i.test(error.message || '');
+}
+
+/**
+ * 读取429响应中Replicate建议的等待时间
+ * @param {Error} error - 调用Replicate时抛出的错误
+ * @returns {number} 等待时间(ms)，没有时为0
+ */
+function retryAfterMs(error) {
+  const value = error.response?.headers?.get?.('retry-after');
+  const seconds = Number(value);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+}
+
+/**
+ * 计算重试前的等待时间 - 统一接口
+ * 指数退避加全抖动：在 [0, min(maxDelayMs, baseDelayMs * 2^(attempt-1))] 内随机取值
+ * @param {number} attempt - 刚失败的是第几次调用（从1开始）
+ * @param {Object} options - { baseDelayMs, maxDelayMs, random }
+ * @returns {number} 等待时间(ms)
+ */
+function computeBackoffDelay(attempt, { baseDelayMs = 500, maxDelayMs = 8000, random = Math.random } = {}) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(random() * ceiling);
+}
+
+/**
+ * 按模型维护的熔断器
+ */
+class CircuitBreaker {
+  /**
+   * @param {Object} options - { failureThreshold, cooldownMs, now }
+   */
+  constructor({ failureThreshold = 5, cooldownMs = 30000, now = Date.now } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.now = now;
+    this.circuits = new Map();
+  }
+
+  getCircuit(model) {
+    if (!this.circuits.has(model)) {
+      this.circuits.set(model, { state: BREAKER_STATES.CLOSED, failures: 0, opened_at: null, probing: false, last_error: null });
+    }
+    return this.circuits.get(model);
+  }
+
+  /**
+   * 调用前检查熔断状态，熔断中时抛出503
+   * 冷却结束后只放行一次试探调用，试探结束前的其他调用仍直接失败
+   * @param {string} model - 模型名
+   */
+  check(model) {
+    const circuit = this.getCircuit(model);
+    if (circuit.state === BREAKER_STATES.CLOSED) {
+      return;
+    }
+
+    const remainingMs = circuit.opened_at + this.cooldownMs - this.now();
+    if (circuit.state === BREAKER_STATES.OPEN && remainingMs <= 0) {
+      circuit.state = BREAKER_STATES.HALF_OPEN;
+      circuit.probing = false;
+    }
+    if (circuit.state === BREAKER_STATES.HALF_OPEN && !circuit.probing) {
+      circuit.probing = true;
+      console.log(`🔌 模型 ${model} 熔断冷却结束，放行一次试探调用`);
+      return;
+    }
+
+    throw createHttpError(`模型 ${model} 暂时不可用，请稍后再试`, 503, {
+      code: 'model_unavailable',
+      model,
+      retry_after_seconds: Math.max(1, Math.ceil(remainingMs / 1000)),
+      last_error: circuit.last_error
+    });
+  }
+
+  /**
+   * 记录调用成功，恢复为关闭状态
+   * @param {string} model - 模型名
+   */
+  recordSuccess(model) {
+    const circuit = this.getCircuit(model);
+    if (circuit.state !== BREAKER_STATES.CLOSED) {
+      console.log(`✅ 模型 ${model} 试探调用成功，熔断恢复`);
+    }
+    this.circuits.set(model, { state: BREAKER_STATES.CLOSED, failures: 0, opened_at: null, probing: false, last_error: null });
+  }
+
+  /**
+   * 记录可重试的失败（模型不健康），连续失败达到阈值或试探失败时熔断
+   * @param {string} model - 模型名
+   * @param {Error} error - 错误
+   */
+  recordFailure(model, error) {
+    const circuit = this.getCircuit(model);
+    circuit.failures += 1;
+    circuit.last_error = error.message;
+    if (circuit.state === BREAKER_STATES.HALF_OPEN || circuit.failures >= this.failureThreshold) {
+      circuit.state = BREAKER_STATES.OPEN;
+      circuit.opened_at = this.now();
+      circuit.probing = false;
+      console.warn(`🔌 模型 ${model} 连续失败 ${circuit.failures} 次，熔断 ${Math.ceil(this.cooldownMs / 1000)} 秒: ${error.message}`);
+    }
+  }
+
+  /**
+   * 结束试探调用但不改变状态（试探遇到不可重试的错误时，模型健康情况仍未知）
+   * @param {string} model - 模型名
+   */
+  releaseProbe(model) {
+    this.getCircuit(model).probing = false;
+  }
+
+  /**
+   * 查询各模型的熔断状态 - 统一接口
+   * @returns {Object} { [model]: { state, failures, opened_at, last_error } }
+   */
+  stats() {
+    return Object.fromEntries([...this.circuits].map(([model, circuit]) => [model, {
+      state: circuit.state,
+      failures: circuit.failures,
+      opened_at: circuit.opened_at !== null ? new Date(circuit.opened_at).toISOString() : null,
+      last_error: circuit.last_error
+    }]));
+  }
+}
+
+/**
+ * Replicate调用器：重试、单次调用超时与熔断
+ */
+class ReplicateInvoker {
+  /**
+   * @param {Object} options - { maxRetries, baseDelayMs, maxDelayMs, attemptTimeoutMs, breaker, sleep, random }
+   *   attemptTimeoutMs为0时不限制单次调用时间；sleep和random可替换，便于测试
+   */
+  constructor({
+    maxRetries = 2,
+    baseDelayMs = 500,
+    maxDelayMs = 8000,
+    attemptTimeoutMs = 0,
+    breaker = new CircuitBreaker(),
+    sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+    random = Math.random
+  } = {}) {
+    this.maxRetries = maxRetries;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.attemptTimeoutMs = attemptTimeoutMs;
+    this.breaker = breaker;
+    this.sleep = sleep;
+    this.random = random;
+  }
+
+  /**
+   * 执行一次调用，超过attemptTimeoutMs时通过signal通知调用方取消，并立即抛出超时错误，不等待调用结束
+   * @param {Function} task - (signal) => Promise
+   * @returns {Promise<any>} 调用结果
+   */
+  async attempt(task) {
+    if (!this.attemptTimeoutMs) {
+      return task(undefined);
+    }
+
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(Object.assign(new Error(`模型调用超时（${this.attemptTimeoutMs}ms）`), { code: 'replicate_timeout' }));
+      }, this.attemptTimeoutMs);
+    });
+    const running = Promise.resolve().then(() => task(controller.signal));
+    // 超时后调用仍可能失败，避免产生未处理的rejection
+    running.catch(() => {});
+    try {
+      return await Promise.race([running, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * 调用模型 - 统一接口
+   * 失败时抛出最后一次的错误，错误附带attempts（实际调用次数）和last_error
+   * @param {string} modelId - 模型ID（owner/name:version）
+   * @param {Function} task - 发起一次调用的函数，参数为AbortSignal（未启用超时时为undefined）
+   * @returns {Promise<Object>} { output, attempts, last_error } last_error为最后一次失败调用的错误信息，没有失败时为null
+   */
+  async invoke(modelId, task) {
+    const model = getModelKey(modelId);
+    let lastError = null;
+
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        this.breaker.check(model);
+      } catch (breakerError) {
+        breakerError.attempts = attempt - 1;
+        breakerError.last_error = lastError ? lastError.message : null;
+        throw breakerError;
+      }
+
+      try {
+        const output = await this.attempt(task);
+        this.breaker.recordSuccess(model);
+        return { output, attempts: attempt, last_error: lastError ? lastError.message : null };
+      } catch (error) {
+        lastError = error;
+        error.attempts = attempt;
+        error.last_error = error.message;
+
+        if (!isRetryableError(error)) {
+          this.breaker.releaseProbe(model);
+          throw error;
+        }
+        this.breaker.recordFailure(model, error);
+        if (attempt > this.maxRetries) {
+          throw error;
+        }
+
+        const delay = Math.min(this.maxDelayMs, Math.max(
+          computeBackoffDelay(attempt, { baseDelayMs: this.baseDelayMs, maxDelayMs: this.maxDelayMs, random: this.random }),
+          retryAfterMs(error)
+        ));
+        console.warn(`🔁 模型 ${model} 第 ${attempt} 次调用失败（${error.message}），${delay}ms 后重试`);
+        await this.sleep(delay);
+      }
+    }
+  }
+}
+
+/**
+ * 创建Replicate调用器 - 统一接口
+ * 未指定时按环境变量配置：REPLICATE_MAX_RETRIES（最多重试次数，默认2）、REPLICATE_RETRY_BASE_MS（退避基数，默认500）、
+ * REPLICATE_RETRY_MAX_MS（单次等待上限，默认8000）、REPLICATE_ATTEMPT_TIMEOUT_MS（单次调用超时，默认0即不限制）、
+ * REPLICATE_BREAKER_THRESHOLD（连续失败多少次熔断，默认5）、REPLICATE_BREAKER_COOLDOWN_MS（熔断冷却时间，默认30秒）
+ * @param {Object} options - 同ReplicateInvoker，另可指定 { failureThreshold, cooldownMs }
+ * @returns {ReplicateInvoker} 调用器
+ */
+function createReplicateInvoker(options = {}) {
+  const breaker = options.breaker || new CircuitBreaker({
+    failureThreshold: Math.max(1, nonNegativeInteger(options.failureThreshold ?? process.env.REPLICATE_BREAKER_THRESHOLD, 5, 'REPLICATE_BREAKER_THRESHOLD')),
+    cooldownMs: nonNegativeInteger(options.cooldownMs ?? process.env.REPLICATE_BREAKER_COOLDOWN_MS, 30000, 'REPLICATE_BREAKER_COOLDOWN_MS')
+  });
+  return new ReplicateInvoker({
+    ...options,
+    maxRetries: nonNegativeInteger(options.maxRetries ?? process.env.REPLICATE_MAX_RETRIES, 2, 'REPLICATE_MAX_RETRIES'),
+    baseDelayMs: nonNegativeInteger(options.baseDelayMs ?? process.env.REPLICATE_RETRY_BASE_MS, 500, 'REPLICATE_RETRY_BASE_MS'),
+    maxDelayMs: nonNegativeInteger(options.maxDelayMs ?? process.env.REPLICATE_RETRY_MAX_MS, 8000, 'REPLICATE_RETRY_MAX_MS'),
+    attemptTimeoutMs: nonNegativeInteger(options.attemptTimeoutMs ?? process.env.REPLICATE_ATTEMPT_TIMEOUT_MS, 0, 'REPLICATE_ATTEMPT_TIMEOUT_MS'),
+    breaker
+  });
+}
+
+// CommonJS导出
+module.exports = {
+  BREAKER_STATES,
+  getModelKey,
+  isRetryableError,
+  computeBackoffDelay,
+  CircuitBreaker,
+  ReplicateInvoker,
+  createReplicateInvoker
+};
@@ -0,0 +1,94 @@
+// 此文件由 scripts/build-shared.js 根据 shared/src/replicate-webhook.js 生成，请勿直接修改
+/**
+ * Replicate Webhook签名
+ * Replicate按Standard Webhooks规范签名：对 "webhook-id.webhook-timestamp.原始请求体"
+ * 使用 whsec_ 密钥做HMAC-SHA256，签名以 "v1,<base64>" 形式放在webhook-signature头中
+ */
+
+import crypto from 'crypto';
+import { createHttpError } from './http-errors.mjs';
+
+// 允许的时间戳偏差（秒），超出视为重放请求
+export const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+/**
+ * 解析webhook密钥
+ * @param {string} secret - whsec_开头的Webhook密钥
+ * @returns {Buffer} 密钥字节
+ */
+function decodeSecret(secret) {
+  if (!secret) {
+    throw createHttpError('REPLICATE_WEBHOOK_SECRET未配置', 500);
+  }
+  const encoded = secret.startsWith('whsec_') ? secret.slice('whsec_'.length) : secret;
+  return Buffer.from(encoded, 'base64');
+}
+
+/**
+ * 计算webhook签名
+ * @param {string} webhookId - webhook-id头
+ * @param {string|number} timestamp - webhook-timestamp头（Unix秒）
+ * @param {string|Buffer} rawBody - 原始请求体
+ * @param {string} secret - Webhook密钥
+ * @returns {string} "v1,<base64>" 格式的签名
+ */
+export function signReplicateWebhook(webhookId, timestamp, rawBody, secret) {
+  const signedContent = `${webhookId}.${timestamp}.${Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : rawBody}`;
+  const signature = crypto.createHmac('sha256', decodeSecret(secret)).update(signedContent).digest('base64');
+  return `v1,${signature}`;
+}
+
+/**
+ * 验证webhook签名，验证失败时抛出带401状态码的错误
+ * @param {Object} headers - 请求头（小写键名）
+ * @param {string|Buffer} rawBody - 原始请求体
+ * @param {string} secret - Webhook密钥
+ * @param {Object} options - { toleranceSeconds, now }
+ * @returns {boolean} 验证结果
+ */
+export function verifyReplicateWebhook(headers, rawBody, secret, options = {}) {
+  const { toleranceSeconds = WEBHOOK_TOLERANCE_SECONDS, now = Date.now() } = options;
+  const webhookId = headers['webhook-id'];
+  const timestamp = headers['webhook-timestamp'];
+  const signatureHeader = headers['webhook-signature'];
+
+  if (!webhookId || !timestamp || !signatureHeader) {
+    throw createHttpError('缺少Webhook签名头', 401);
+  }
+
+  const timestampSeconds = Number(timestamp);
+  if (!Number.isFinite(timestampSeconds) || Math.abs(now / 1000 - timestampSeconds) > toleranceSeconds) {
+    throw createHttpError('Webhook时间戳无效或已过期', 401);
+  }
+
+  const expected = Buffer.from(signReplicateWebhook(webhookId, timestamp, rawBody, secret).slice('v1,'.length));
+
+  // 头中可能包含以空格分隔的多个签名（密钥轮换期间），任意一个匹配即可
+  const matched = String(signatureHeader).split(' ').some((entry) => {
+    const [version, signature] = entry.split(',');
+    if (version !== 'v1' || !signature) {
+      return false;
+    }
+    const actual = Buffer.from(signature);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  });
+
+  if (!matched) {
+    throw createHttpError('Webhook签名验证失败', 401);
+  }
+  return true;
+}
+
+/**
+ * 构建任务步骤的webhook回调地址，回调时据此找到对应的任务和步骤
+ * @param {string} baseUrl - /api/replicate-webhook 的完整地址
+ * @param {string} jobId - 任务ID
+ * @param {number} stepIndex - 步骤序号
+ * @returns {string} 回调地址
+ */
+export function buildWebhookUrl(baseUrl, jobId, stepIndex) {
+  const url = new URL(baseUrl);
+  url.searchParams.set('job', jobId);
+  url.searchParams.set('step', String(stepIndex));
+  return url.toString();
+}
@@ -0,0 +1,192 @@
+/**
+ * 批量任务存储
+ * 批量任务记录（包括各图像的输入，用于重试失败的图像）通过统一的存储接口读写：
+ *   create(batch) / get(id) / update(id, patch) / delete(id) / list()
+ * 所有方法均返回Promise，内置内存存储、文件存储和共享KV存储（Vercel部署时使用）三种实现
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { KvRecordStore, getKvClient, resolveStoreType } from './kv-store.js';
+
+// 支持的存储类型
+export const BATCH_STORE_TYPES = ['memory', 'file', 'kv'];
+
+// 批量任务ID只允许安全字符，防止文件存储被路径穿越
+const BATCH_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * 校验批量任务ID
+ * @param {string} id - 批量任务ID
+ */
+function assertBatchId(id) {
+  if (typeof id !== 'string' || !BATCH_ID_PATTERN.test(id)) {
+    throw new Error(`无效的批量任务ID: ${id}`);
+  }
+}
+
+/**
+ * 深拷贝批量任务记录，避免调用方修改存储中的对象
+ * @param {Object} batch - 批量任务记录
+ * @returns {Object} 拷贝
+ */
+function cloneBatch(batch) {
+  return batch ? JSON.parse(JSON.stringify(batch)) : null;
+}
+
+/**
+ * 内存批量任务存储 - 适用于本地开发和单实例部署，进程重启后批量任务丢失
+ */
+export class MemoryBatchStore {
+  constructor() {
+    this.batches = new Map();
+  }
+
+  async create(batch) {
+    assertBatchId(batch.id);
+    if (this.batches.has(batch.id)) {
+      throw new Error(`批量任务已存在: ${batch.id}`);
+    }
+    this.batches.set(batch.id, cloneBatch(batch));
+    return cloneBatch(batch);
+  }
+
+  async get(id) {
+    assertBatchId(id);
+    return cloneBatch(this.batches.get(id));
+  }
+
+  async update(id, patch) {
+    assertBatchId(id);
+    const current = this.batches.get(id);
+    if (!current) {
+      return null;
+    }
+    const updated = { ...current, ...cloneBatch(patch), id };
+    this.batches.set(id, updated);
+    return cloneBatch(updated);
+  }
+
+  async delete(id) {
+    assertBatchId(id);
+    return this.batches.delete(id);
+  }
+
+  async list() {
+    return [...this.batches.values()].map(cloneBatch);
+  }
+}
+
+/**
+ * 文件批量任务存储 - 每个批量任务保存为一个JSON文件，本地服务器重启后仍可查询和下载
+ */
+export class FileBatchStore {
+  /**
+   * @param {string} dir - 批量任务文件目录
+   */
+  constructor(dir) {
+    this.dir = dir;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  filePath(id) {
+    assertBatchId(id);
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  async write(batch) {
+    // 先写临时文件再重命名，避免读取到写了一半的批量任务
+    const target = this.filePath(batch.id);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify(batch));
+    await fs.promises.rename(temp, target);
+  }
+
+  async create(batch) {
+    if (fs.existsSync(this.filePath(batch.id))) {
+      throw new Error(`批量任务已存在: ${batch.id}`);
+    }
+    await this.write(batch);
+    return cloneBatch(batch);
+  }
+
+  async get(id) {
+    const file = this.filePath(id);
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new Error(`读取批量任务失败: ${error.message}`);
+    }
+  }
+
+  async update(id, patch) {
+    const current = await this.get(id);
+    if (!current) {
+      return null;
+    }
+    const updated = { ...current, ...cloneBatch(patch), id };
+    await this.write(updated);
+    return updated;
+  }
+
+  async delete(id) {
+    const file = this.filePath(id);
+    try {
+      await fs.promises.unlink(file);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw new Error(`删除批量任务失败: ${error.message}`);
+    }
+  }
+
+  async list() {
+    const files = await fs.promises.readdir(this.dir);
+    const batches = await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .map(file => this.get(file.slice(0, -5)))
+    );
+    return batches.filter(Boolean);
+  }
+}
+
+/**
+ * KV批量任务存储 - 保存在Redis兼容的KV服务（Vercel KV、Upstash Redis）中，多个Serverless实例共享
+ */
+export class KvBatchStore extends KvRecordStore {
+  /**
+   * @param {RedisRestClient} client - KV客户端
+   */
+  constructor(client) {
+    super(client, { namespace: 'batches', assertId: assertBatchId, label: '批量任务' });
+  }
+}
+
+/**
+ * 创建批量任务存储 - 统一接口
+ * 未指定时按环境变量选择：BATCH_STORE=memory|file|kv，BATCH_STORE_DIR=文件存储目录；未设置BATCH_STORE时配置了KV服务则使用kv，否则使用memory。
+ * Vercel上只能使用kv
+ * @param {Object} options - { type, dir, client } client为KV客户端，默认按环境变量创建
+ * @returns {MemoryBatchStore|FileBatchStore|KvBatchStore} 批量任务存储实例
+ */
+export function createBatchStore(options = {}) {
+  const type = resolveStoreType(options.type || process.env.BATCH_STORE, '批量任务存储');
+
+  switch (type) {
+    case 'memory':
+      return new MemoryBatchStore();
+    case 'file':
+      return new FileBatchStore(options.dir || process.env.BATCH_STORE_DIR || path.join(os.tmpdir(), 'image-quality-batches'));
+    case 'kv':
+      return new KvBatchStore(options.client || getKvClient());
+    default:
+      throw new Error(`不支持的批量任务存储类型: ${type}。支持的类型: ${BATCH_STORE_TYPES.join(', ')}`);
+  }
+}
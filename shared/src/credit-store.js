@@ -0,0 +1,186 @@
+/**
+ * 积分账本存储
+ * 每个用户的积分余额和交易记录通过统一的存储接口读写：
+ *   get(userId) / apply(userId, transaction)
+ * apply在同一次写入中检查交易ID是否已存在、余额是否足够，保证重复提交的交易只记一次、余额不会为负。
+ * 所有方法均返回Promise，内置内存存储、文件存储和共享KV存储（Vercel部署时使用）三种实现
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getKvClient, resolveStoreType } from './kv-store.js';
+
+// 支持的存储类型
+export const CREDIT_STORE_TYPES = ['memory', 'file', 'kv'];
+
+// 用户ID只允许安全字符，防止文件存储被路径穿越
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+/**
+ * 校验用户ID
+ * @param {string} userId - 用户ID
+ */
+function assertUserId(userId) {
+  if (typeof userId !== 'string' || !ID_PATTERN.test(userId)) {
+    throw new Error(`无效的用户ID: ${userId}`);
+  }
+}
+
+/**
+ * 创建空账户
+ * @param {string} userId - 用户ID
+ * @returns {Object} { user_id, balance, transactions }
+ */
+function emptyAccount(userId) {
+  return { user_id: userId, balance: 0, transactions: [] };
+}
+
+/**
+ * 把交易记入账户
+ * @param {Object} account - 当前账户
+ * @param {Object} transaction - 交易 { id, type, amount, ... }，amount为负数表示扣除
+ * @returns {Object} { account, transaction, duplicate } 余额不足时account和transaction为null
+ */
+function applyTransaction(account, transaction) {
+  const existing = account.transactions.find(item => item.id === transaction.id);
+  if (existing) {
+    return { account, transaction: existing, duplicate: true };
+  }
+
+  const balance = account.balance + transaction.amount;
+  if (balance < 0) {
+    return { account: null, transaction: null, duplicate: false };
+  }
+
+  const recorded = { ...transaction, balance_after: balance, created_at: new Date().toISOString() };
+  return {
+    account: { ...account, balance, transactions: [...account.transactions, recorded] },
+    transaction: recorded,
+    duplicate: false
+  };
+}
+
+/**
+ * 内存积分存储 - 适用于本地开发和单实例部署，进程重启后数据丢失
+ */
+export class MemoryCreditStore {
+  constructor() {
+    this.accounts = new Map();
+  }
+
+  async get(userId) {
+    assertUserId(userId);
+    const account = this.accounts.get(userId);
+    return account ? JSON.parse(JSON.stringify(account)) : null;
+  }
+
+  async apply(userId, transaction) {
+    assertUserId(userId);
+    const outcome = applyTransaction(this.accounts.get(userId) || emptyAccount(userId), transaction);
+    if (outcome.account && !outcome.duplicate) {
+      this.accounts.set(userId, outcome.account);
+    }
+    return { transaction: outcome.transaction, duplicate: outcome.duplicate };
+  }
+}
+
+/**
+ * 文件积分存储 - 每个用户保存为 <userId>.json，
+ * 同一进程内的交易按顺序记账；多个进程同时写入同一用户时需要改用支持事务的存储
+ */
+export class FileCreditStore {
+  /**
+   * @param {string} dir - 存储目录
+   */
+  constructor(dir) {
+    this.dir = dir;
+    this.queue = Promise.resolve();
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  filePath(userId) {
+    assertUserId(userId);
+    return path.join(this.dir, `${userId}.json`);
+  }
+
+  async get(userId) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.filePath(userId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new Error(`读取积分账户失败: ${error.message}`);
+    }
+  }
+
+  async apply(userId, transaction) {
+    const file = this.filePath(userId);
+    const write = this.queue.then(async () => {
+      const outcome = applyTransaction(await this.get(userId) || emptyAccount(userId), transaction);
+      if (outcome.account && !outcome.duplicate) {
+        // 先写临时文件再重命名，避免读取到写了一半的账户
+        const temp = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(temp, JSON.stringify(outcome.account));
+        await fs.promises.rename(temp, file);
+      }
+      return { transaction: outcome.transaction, duplicate: outcome.duplicate };
+    });
+    this.queue = write.catch(() => null);
+    return write;
+  }
+}
+
+/**
+ * KV积分存储 - 每个用户保存为一个键，记账时比较并写入，多个Serverless实例同时记账也不会丢失交易或透支
+ */
+export class KvCreditStore {
+  /**
+   * @param {RedisRestClient} client - KV客户端
+   */
+  constructor(client) {
+    this.client = client;
+  }
+
+  accountKey(userId) {
+    assertUserId(userId);
+    return this.client.key('credits', userId);
+  }
+
+  async get(userId) {
+    return this.client.getJson(this.accountKey(userId));
+  }
+
+  async apply(userId, transaction) {
+    return this.client.mutateJson(this.accountKey(userId), (current) => {
+      const outcome = applyTransaction(current || emptyAccount(userId), transaction);
+      return {
+        value: outcome.account && !outcome.duplicate ? outcome.account : undefined,
+        result: { transaction: outcome.transaction, duplicate: outcome.duplicate }
+      };
+    });
+  }
+}
+
+/**
+ * 创建积分存储 - 统一接口
+ * 未指定时按环境变量选择：CREDIT_STORE=memory|file|kv，CREDIT_STORE_DIR=文件存储目录；未设置CREDIT_STORE时配置了KV服务则使用kv，否则使用memory。
+ * Vercel上只能使用kv
+ * @param {Object} options - { type, dir, client } client为KV客户端，默认按环境变量创建
+ * @returns {MemoryCreditStore|FileCreditStore|KvCreditStore} 积分存储实例
+ */
+export function createCreditStore(options = {}) {
+  const type = resolveStoreType(options.type || process.env.CREDIT_STORE, '积分存储');
+
+  switch (type) {
+    case 'memory':
+      return new MemoryCreditStore();
+    case 'file':
+      return new FileCreditStore(options.dir || process.env.CREDIT_STORE_DIR || path.join(os.tmpdir(), 'image-quality-credits'));
+    case 'kv':
+      return new KvCreditStore(options.client || getKvClient());
+    default:
+      throw new Error(`不支持的积分存储类型: ${type}。支持的类型: ${CREDIT_STORE_TYPES.join(', ')}`);
+  }
+}
@@ -0,0 +1,320 @@
+/**
+ * 用户权益
+ * 根据Stripe Webhook事件维护每个用户的订阅计划（free/pro）、订阅ID、当前周期结束时间和订阅状态，
+ * 一次性支付的积分包在付款完成后记入积分账本。
+ * 同一事件ID只处理一次，早于已处理事件的旧事件会被忽略（Stripe不保证事件按顺序投递）
+ */
+
+import { createHttpError } from './http-errors.js';
+
+// 订阅计划
+export const PLANS = {
+  FREE: 'free',
+  PRO: 'pro'
+};
+
+// 享有Pro权益的订阅状态：past_due期间Stripe仍在重试扣款，权益保留到当前周期结束
+const PRO_STATUSES = ['active', 'trialing', 'past_due'];
+
+/**
+ * 读取Stripe对象中的ID（字段可能是ID字符串或展开后的对象）
+ * @param {string|Object} value - ID或对象
+ * @returns {string|undefined} ID，缺失时为undefined（不覆盖已记录的值）
+ */
+function stripeId(value) {
+  if (!value) {
+    return undefined;
+  }
+  return typeof value === 'string' ? value : value.id || undefined;
+}
+
+/**
+ * 把Stripe的秒级时间戳转换为ISO时间
+ * @param {number} seconds - Unix时间戳（秒）
+ * @returns {string|null} ISO时间
+ */
+function toIsoTime(seconds) {
+  return typeof seconds === 'number' ? new Date(seconds * 1000).toISOString() : null;
+}
+
+/**
+ * 读取Pro订阅的Stripe价格ID - 统一接口
+ * 服务端优先使用STRIPE_PRO_PRICE_ID，未设置时使用前端的VITE_STRIPE_PRICE_ID
+ * @returns {string|null} 价格ID
+ */
+export function getProPriceId() {
+  return process.env.STRIPE_PRO_PRICE_ID || process.env.VITE_STRIPE_PRICE_ID || null;
+}
+
+/**
+ * 根据权益记录计算当前计划
+ * 订阅的价格必须是Pro价格：在客户门户中切换到其他价格后，订阅状态仍为active，但不再享有Pro权益
+ * @param {Object} record - 权益记录
+ * @param {number} now - 当前时间（ms）
+ * @param {string} proPriceId - Pro订阅价格ID，默认读取环境变量
+ * @returns {string} 订阅计划
+ */
+export function resolvePlan(record, now = Date.now(), proPriceId = getProPriceId()) {
+  if (!record || !PRO_STATUSES.includes(record.status)) {
+    return PLANS.FREE;
+  }
+  if (!proPriceId || record.price_id !== proPriceId) {
+    return PLANS.FREE;
+  }
+  if (record.current_period_end && Date.parse(record.current_period_end) <= now) {
+    return PLANS.FREE;
+  }
+  return PLANS.PRO;
+}
+
+/**
+ * 查询用户权益 - 统一接口
+ * @param {Object} store - 权益存储
+ * @param {string} userId - 用户ID
+ * @returns {Promise<Object>} { user_id, plan, status, subscription_id, customer_id, price_id, current_period_end, cancel_at_period_end, updated_at }
+ */
+export async function getEntitlements(store, userId) {
+  if (!userId) {
+    throw createHttpError('请先登录后再查询权益', 401);
+  }
+
+  const record = await store.get(userId);
+  return {
+    user_id: userId,
+    plan: resolvePlan(record),
+    status: record?.status || null,
+    subscription_id: record?.subscription_id || null,
+    customer_id: record?.customer_id || null,
+    price_id: record?.price_id || null,
+    current_period_end: record?.current_period_end || null,
+    cancel_at_period_end: Boolean(record?.cancel_at_period_end),
+    updated_at: record?.updated_at || null
+  };
+}
+
+/**
+ * 写入事件带来的权益变化，早于上次更新事件的旧事件不会覆盖较新的状态
+ * @param {Object} store - 权益存储
+ * @param {string} userId - 用户ID
+ * @param {Object} patch - 变化的字段（值为undefined的字段保持不变）
+ * @param {Object} event - Stripe事件
+ * @returns {Promise<Object>} 权益记录
+ */
+async function applyEntitlementChange(store, userId, patch, event) {
+  const current = await store.get(userId);
+  if (current?.last_event_created && event.created < current.last_event_created) {
+    console.log(`⏭️ 忽略过期的Stripe事件 ${event.id} (${event.type})，用户: ${userId}`);
+    return current;
+  }
+
+  const changes = Object.fromEntries(Object.entries(patch).filter(([, value]) => value !== undefined));
+  const record = await store.put(userId, {
+    ...changes,
+    updated_at: new Date().toISOString(),
+    last_event_id: event.id,
+    last_event_created: event.created
+  });
+  console.log(`🎫 用户 ${userId} 权益已更新: ${resolvePlan(record)} (${record.status})，事件: ${event.type}`);
+  return record;
+}
+
+/**
+ * 根据订阅找到对应的用户：优先使用创建订阅时写入的metadata.userId，其次按订阅ID查找
+ * @param {Object} store - 权益存储
+ * @param {string} subscriptionId - 订阅ID
+ * @param {Object} metadata - 订阅元数据
+ * @returns {Promise<string|null>} 用户ID
+ */
+async function findSubscriptionUser(store, subscriptionId, metadata) {
+  if (metadata?.userId) {
+    return metadata.userId;
+  }
+  if (!subscriptionId) {
+    return null;
+  }
+  const record = await store.findBySubscription(subscriptionId);
+  return record ? record.user_id : null;
+}
+
+/**
+ * 读取账单覆盖的周期结束时间
+ * @param {Object} invoice - Stripe账单
+ * @returns {number|undefined} Unix时间戳（秒）
+ */
+function invoicePeriodEnd(invoice) {
+  const ends = (invoice.lines?.data || [])
+    .map(line => line.period?.end)
+    .filter(end => typeof end === 'number');
+  return ends.length > 0 ? Math.max(...ends) : undefined;
+}
+
+/**
+ * 积分包付款完成后发放积分，交易ID使用Checkout会话ID，重复处理同一会话不会重复到账
+ * @param {Object} session - Stripe Checkout会话
+ * @param {Object} creditLedger - 积分账本
+ * @returns {Promise<string|null>} 用户ID
+ */
+async function grantPurchasedCredits(session, creditLedger) {
+  // 延迟到账的支付方式在async_payment_succeeded事件中才是paid
+  if (!creditLedger || session.payment_status !== 'paid') {
+    return null;
+  }
+  const userId = session.client_reference_id || session.metadata?.userId;
+  const credits = Number(session.metadata?.credits);
+  if (!userId || !Number.isInteger(credits) || credits <= 0) {
+    return null;
+  }
+
+  await creditLedger.grant(userId, credits, {
+    id: `purchase_${session.id}`,
+    reason: `购买积分包 ${session.metadata.pack_id || ''}`.trim(),
+    reference: session.id
+  });
+  return userId;
+}
+
+/**
+ * 读取Checkout会话购买的价格ID：事件中的会话默认不含line_items，需要通过Stripe API查询
+ * @param {Object} session - Stripe Checkout会话
+ * @param {Stripe} stripe - Stripe客户端
+ * @returns {Promise<Array>} 价格ID列表
+ */
+async function checkoutPriceIds(session, stripe) {
+  const items = session.line_items?.data
+    || (stripe ? (await stripe.checkout.sessions.listLineItems(session.id, { limit: 100 })).data : null);
+  if (!items) {
+    throw createHttpError('无法读取Checkout会话的价格：缺少Stripe客户端', 500);
+  }
+  return items.map(item => stripeId(item.price)).filter(Boolean);
+}
+
+// 各事件类型的处理函数，返回受影响的用户ID（无法确定用户时返回null）
+const EVENT_HANDLERS = {
+  'checkout.session.completed': async (store, session, event, options) => {
+    if (session.mode === 'payment') {
+      return grantPurchasedCredits(session, options.creditLedger);
+    }
+    if (session.mode !== 'subscription') {
+      return null;
+    }
+    const userId = session.client_reference_id || session.metadata?.userId;
+    if (!userId) {
+      return null;
+    }
+    // 只有购买Pro价格的订阅才授予Pro权益
+    const proPriceId = options.proPriceId || getProPriceId();
+    const priceIds = await checkoutPriceIds(session, options.stripe);
+    if (!proPriceId || !priceIds.includes(proPriceId)) {
+      console.warn(`⚠️ Checkout会话 ${session.id} 的价格（${priceIds.join(', ') || '未知'}）不是Pro订阅价格，不授予Pro权益`);
+      return null;
+    }
+    await applyEntitlementChange(store, userId, {
+      status: 'active',
+      subscription_id: stripeId(session.subscription),
+      customer_id: stripeId(session.customer),
+      price_id: proPriceId
+    }, event);
+    return userId;
+  },
+
+  'checkout.session.async_payment_succeeded': async (store, session, event, options) => (
+    session.mode === 'payment' ? grantPurchasedCredits(session, options.creditLedger) : null
+  ),
+
+  'customer.subscription.updated': async (store, subscription, event, options) => {
+    const userId = await findSubscriptionUser(store, subscription.id, subscription.metadata);
+    if (!userId) {
+      return null;
+    }
+    // 记录订阅的价格，切换到非Pro价格后resolvePlan按free处理
+    const proPriceId = options.proPriceId || getProPriceId();
+    const priceIds = (subscription.items?.data || []).map(item => stripeId(item.price)).filter(Boolean);
+    await applyEntitlementChange(store, userId, {
+      status: subscription.status,
+      subscription_id: subscription.id,
+      customer_id: stripeId(subscription.customer),
+      price_id: priceIds.includes(proPriceId) ? proPriceId : priceIds[0],
+      current_period_end: toIsoTime(subscription.current_period_end) || undefined,
+      cancel_at_period_end: Boolean(subscription.cancel_at_period_end)
+    }, event);
+    return userId;
+  },
+
+  'customer.subscription.deleted': async (store, subscription, event) => {
+    const userId = await findSubscriptionUser(store, subscription.id, subscription.metadata);
+    if (!userId) {
+      return null;
+    }
+    await applyEntitlementChange(store, userId, {
+      status: 'canceled',
+      subscription_id: subscription.id,
+      cancel_at_period_end: false
+    }, event);
+    return userId;
+  },
+
+  'invoice.paid': async (store, invoice, event) => {
+    const subscriptionId = stripeId(invoice.subscription);
+    const userId = await findSubscriptionUser(store, subscriptionId, invoice.subscription_details?.metadata);
+    if (!userId || !subscriptionId) {
+      return null;
+    }
+    await applyEntitlementChange(store, userId, {
+      status: 'active',
+      subscription_id: subscriptionId,
+      customer_id: stripeId(invoice.customer),
+      current_period_end: toIsoTime(invoicePeriodEnd(invoice)) || undefined
+    }, event);
+    return userId;
+  },
+
+  'invoice.payment_failed': async (store, invoice, event) => {
+    const subscriptionId = stripeId(invoice.subscription);
+    const userId = await findSubscriptionUser(store, subscriptionId, invoice.subscription_details?.metadata);
+    if (!userId || !subscriptionId) {
+      return null;
+    }
+    await applyEntitlementChange(store, userId, {
+      status: 'past_due',
+      subscription_id: subscriptionId
+    }, event);
+    return userId;
+  }
+};
+
+/**
+ * 处理Stripe Webhook事件 - 统一接口
+ * 调用方需先验证事件签名。同一事件ID只处理一次；处理失败时释放事件，Stripe重试时会再次处理
+ * @param {Object} store - 权益存储
+ * @param {Object} event - 已验证的Stripe事件
+ * @param {Object} options - { creditLedger, stripe, proPriceId } 提供积分账本时处理积分包购买；
+ *   stripe用于查询Checkout会话的价格，proPriceId默认读取环境变量
+ * @returns {Promise<Object>} { handled, duplicate, user_id }
+ */
+export async function handleStripeEvent(store, event, options = {}) {
+  if (!event || typeof event.id !== 'string' || !event.data?.object) {
+    throw createHttpError('无效的Stripe事件', 400);
+  }
+
+  const handler = EVENT_HANDLERS[event.type];
+  if (!handler) {
+    console.log(`未处理的事件类型: ${event.type}`);
+    return { handled: false, duplicate: false, user_id: null };
+  }
+
+  if (!(await store.claimEvent(event.id))) {
+    console.log(`⏭️ Stripe事件 ${event.id} 已处理过，跳过`);
+    return { handled: false, duplicate: true, user_id: null };
+  }
+
+  try {
+    const userId = await handler(store, event.data.object, event, options);
+    if (!userId) {
+      console.warn(`⚠️ 无法确定Stripe事件 ${event.id} (${event.type}) 对应的用户`);
+    }
+    return { handled: Boolean(userId), duplicate: false, user_id: userId };
+  } catch (error) {
+    await store.releaseEvent(event.id);
+    throw error;
+  }
+}
@@ -0,0 +1,470 @@
+/**
+ * 图像文件头解析
+ * 纯JS实现，直接读取JPEG/PNG/WebP/GIF/BMP/TIFF的文件头获取真实的图像属性，
+ * 不依赖任何原生模块，可在本地服务器与Vercel函数中同样运行
+ */
+
+// JPEG中携带帧尺寸信息的SOF标记（排除DHT=C4、JPG=C8、DAC=CC）
+const JPEG_SOF_MARKERS = [0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf];
+
+// 不带长度字段的独立JPEG标记
+const JPEG_STANDALONE_MARKERS = [0x01, 0xd0, 0xd1, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8];
+
+// PNG颜色类型 -> [颜色类型名称, 通道数]
+const PNG_COLOR_TYPES = {
+  0: ['grayscale', 1],
+  2: ['rgb', 3],
+  3: ['indexed', 1],
+  4: ['grayscale_alpha', 2],
+  6: ['rgba', 4]
+};
+
+// TIFF PhotometricInterpretation -> 颜色类型名称
+const TIFF_PHOTOMETRIC = {
+  0: 'grayscale',
+  1: 'grayscale',
+  2: 'rgb',
+  3: 'indexed',
+  5: 'cmyk',
+  6: 'ycbcr'
+};
+
+// TIFF/EXIF标签
+const TIFF_TAG_WIDTH = 256;
+const TIFF_TAG_HEIGHT = 257;
+const TIFF_TAG_BITS_PER_SAMPLE = 258;
+const TIFF_TAG_PHOTOMETRIC = 262;
+const TIFF_TAG_ORIENTATION = 274;
+const TIFF_TAG_SAMPLES_PER_PIXEL = 277;
+
+/**
+ * 确保缓冲区足够长，否则抛出截断错误
+ * @param {Buffer} buffer - 图像数据
+ * @param {number} length - 需要的最小长度
+ * @param {string} format - 图像格式
+ */
+function ensureLength(buffer, length, format) {
+  if (buffer.length < length) {
+    throw new Error(`${format.toUpperCase()}文件头不完整，数据可能已截断`);
+  }
+}
+
+/**
+ * 根据文件头魔数识别图像格式
+ * @param {Buffer} buffer - 图像数据
+ * @returns {string} 图像格式 ('jpeg', 'png', 'webp', 'gif', 'bmp', 'tiff', 'unknown')
+ */
+export function detectImageFormat(buffer) {
+  if (!buffer || buffer.length < 4) return 'unknown';
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) return 'jpeg';
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) return 'png';
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+  if (buffer.toString('ascii', 0, 4) === 'GIF8') return 'gif';
+  if (buffer[0] === 0x42 && buffer[1] === 0x4d) return 'bmp';
+  if (buffer.toString('ascii', 0, 4) === 'II*\0' || buffer.toString('ascii', 0, 4) === 'MM\0*') return 'tiff';
+
+  return 'unknown';
+}
+
+/**
+ * 读取TIFF结构中的第一个IFD
+ * @param {Buffer} buffer - 包含TIFF结构的数据
+ * @param {number} tiffStart - TIFF头在缓冲区中的偏移
+ * @returns {Object} 标签值表 { [tag]: number }
+ */
+function readTiffIfd(buffer, tiffStart) {
+  const byteOrder = buffer.toString('ascii', tiffStart, tiffStart + 2);
+  if (byteOrder !== 'II' && byteOrder !== 'MM') {
+    throw new Error('TIFF字节序标记无效');
+  }
+  const le = byteOrder === 'II';
+  const readU16 = (offset) => (le ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
+  const readU32 = (offset) => (le ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+
+  const ifdOffset = tiffStart + readU32(tiffStart + 4);
+  ensureLength(buffer, ifdOffset + 2, 'tiff');
+  const entryCount = readU16(ifdOffset);
+  const tags = {};
+
+  for (let i = 0; i < entryCount; i++) {
+    const entry = ifdOffset + 2 + i * 12;
+    if (entry + 12 > buffer.length) break;
+
+    const tag = readU16(entry);
+    const type = readU16(entry + 2);
+    const count = readU32(entry + 4);
+
+    // 仅处理SHORT(3)和LONG(4)类型，足以覆盖尺寸、位深和方向
+    if (type === 3) {
+      // 超过两个SHORT值时存放的是偏移量，取第一个值即可（如BitsPerSample）
+      const valueOffset = count > 2 ? tiffStart + readU32(entry + 8) : entry + 8;
+      if (valueOffset + 2 <= buffer.length) {
+        tags[tag] = readU16(valueOffset);
+      }
+    } else if (type === 4) {
+      tags[tag] = readU32(entry + 8);
+    }
+  }
+
+  return tags;
+}
+
+/**
+ * 从EXIF数据块中读取方向标签
+ * @param {Buffer} buffer - 图像数据
+ * @param {number} tiffStart - EXIF中TIFF头的偏移
+ * @returns {number} 方向值 (1-8)，无法读取时返回1
+ */
+function readExifOrientation(buffer, tiffStart) {
+  try {
+    const orientation = readTiffIfd(buffer, tiffStart)[TIFF_TAG_ORIENTATION];
+    return orientation >= 1 && orientation <= 8 ? orientation : 1;
+  } catch (error) {
+    // EXIF损坏不影响图像本身的解析
+    return 1;
+  }
+}
+
+/**
+ * 解析JPEG文件头（SOF标记）
+ * @param {Buffer} buffer - 图像数据
+ * @returns {Object} 图像属性
+ */
+function parseJpegHeader(buffer) {
+  let offset = 2;
+  let orientation = 1;
+  let adobeTransform = null;
+
+  while (offset < buffer.length) {
+    // 跳过标记前的填充字节
+    if (buffer[offset] !== 0xff) {
+      throw new Error('JPEG标记结构无效');
+    }
+    while (buffer[offset] === 0xff) offset++;
+    const marker = buffer[offset++];
+
+    if (JPEG_STANDALONE_MARKERS.includes(marker)) continue;
+    if (marker === 0xd9 || marker === 0xda) break; // EOI / SOS：尺寸信息必须出现在扫描数据之前
+
+    ensureLength(buffer, offset + 2, 'jpeg');
+    const segmentLength = buffer.readUInt16BE(offset);
+    const segmentStart = offset + 2;
+
+    if (marker === 0xe1 && buffer.toString('ascii', segmentStart, segmentStart + 6) === 'Exif\0\0') {
+      orientation = readExifOrientation(buffer, segmentStart + 6);
+    } else if (marker === 0xee && buffer.toString('ascii', segmentStart, segmentStart + 5) === 'Adobe') {
+      adobeTransform = buffer[segmentStart + 11];
+    } else if (JPEG_SOF_MARKERS.includes(marker)) {
+      ensureLength(buffer, segmentStart + 6, 'jpeg');
+      const bitDepth = buffer[segmentStart];
+      const height = buffer.readUInt16BE(segmentStart + 1);
+      const width = buffer.readUInt16BE(segmentStart + 3);
+      const channels = buffer[segmentStart + 5];
+
+      let colorType;
+      if (channels === 1) colorType = 'grayscale';
+      else if (channels === 3) colorType = adobeTransform === 0 ? 'rgb' : 'ycbcr';
+      else if (channels === 4) colorType = adobeTransform === 2 ? 'ycck' : 'cmyk';
+      else colorType = 'unknown';
+
+      return {
+        format: 'jpeg',
+        width,
+        height,
+        bit_depth: bitDepth,
+        channels,
+        color_type: colorType,
+        has_alpha: false,
+        orientation,
+        progressive: marker === 0xc2 || marker === 0xc6 || marker === 0xca || marker === 0xce
+      };
+    }
+
+    offset = segmentStart + segmentLength - 2;
+  }
+
+  throw new Error('JPEG文件中未找到SOF帧头');
+}
+
+/**
+ * 解析PNG文件头（IHDR块）
+ * @param {Buffer} buffer - 图像数据
+ * @returns {Object} 图像属性
+ */
+function parsePngHeader(buffer) {
+  ensureLength(buffer, 29, 'png');
+  if (buffer.toString('ascii', 12, 16) !== 'IHDR') {
+    throw new Error('PNG文件缺少IHDR块');
+  }
+
+  const width = buffer.readUInt32BE(16);
+  const height = buffer.readUInt32BE(20);
+  const bitDepth = buffer[24];
+  const colorTypeCode = buffer[25];
+  const [colorType, channels] = PNG_COLOR_TYPES[colorTypeCode] || ['unknown', 0];
+
+  // 在IDAT之前查找透明度块和EXIF块
+  let hasAlpha = colorTypeCode === 4 || colorTypeCode === 6;
+  let orientation = 1;
+  let offset = 33;
+  while (offset + 8 <= buffer.length) {
+    const chunkLength = buffer.readUInt32BE(offset);
+    const chunkType = buffer.toString('ascii', offset + 4, offset + 8);
+    if (chunkType === 'IDAT' || chunkType === 'IEND') break;
+    if (chunkType === 'tRNS') hasAlpha = true;
+    if (chunkType === 'eXIf') orientation = readExifOrientation(buffer, offset + 8);
+    offset += 12 + chunkLength;
+  }
+
+  return {
+    format: 'png',
+    width,
+    height,
+    bit_depth: bitDepth,
+    channels,
+    color_type: colorType,
+    has_alpha: hasAlpha,
+    orientation,
+    interlaced: buffer[28] === 1
+  };
+}
+
+/**
+ * 解析WebP文件头（VP8 / VP8L / VP8X）
+ * @param {Buffer} buffer - 图像数据
+ * @returns {Object} 图像属性
+ */
+function parseWebpHeader(buffer) {
+  ensureLength(buffer, 30, 'webp');
+  const chunkType = buffer.toString('ascii', 12, 16);
+  const data = 20;
+
+  if (chunkType === 'VP8 ') {
+    // 有损格式：3字节帧标签 + 起始码 9d 01 2a + 14位宽高
+    if (buffer[data + 3] !== 0x9d || buffer[data + 4] !== 0x01 || buffer[data + 5] !== 0x2a) {
+      throw new Error('WebP VP8起始码无效');
+    }
+    return {
+      format: 'webp',
+      width: buffer.readUInt16LE(data + 6) & 0x3fff,
+      height: buffer.readUInt16LE(data + 8) & 0x3fff,
+      bit_depth: 8,
+      channels: 3,
+      color_type: 'yuv420',
+      has_alpha: false,
+      orientation: 1,
+      lossless: false
+    };
+  }
+
+  if (chunkType === 'VP8L') {
+    // 无损格式：签名0x2f + 14位(宽-1) + 14位(高-1) + 1位alpha
+    if (buffer[data] !== 0x2f) {
+      throw new Error('WebP VP8L签名无效');
+    }
+    const bits = buffer.readUInt32LE(data + 1);
+    const hasAlpha = ((bits >> 28) & 1) === 1;
+    return {
+      format: 'webp',
+      width: (bits & 0x3fff) + 1,
+      height: ((bits >> 14) & 0x3fff) + 1,
+      bit_depth: 8,
+      channels: hasAlpha ? 4 : 3,
+      color_type: hasAlpha ? 'rgba' : 'rgb',
+      has_alpha: hasAlpha,
+      orientation: 1,
+      lossless: true
+    };
+  }
+
+  if (chunkType === 'VP8X') {
+    // 扩展格式：标志位 + 24位(画布宽-1) + 24位(画布高-1)
+    const flags = buffer[data];
+    const hasAlpha = (flags & 0x10) !== 0;
+    const hasExif = (flags & 0x08) !== 0;
+
+    let orientation = 1;
+    if (hasExif) {
+      let offset = 12;
+      while (offset + 8 <= buffer.length) {
+        const type = buffer.toString('ascii', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        if (type === 'EXIF') {
+          // 部分编码器会保留JPEG风格的"Exif\0\0"前缀
+          const exifStart = buffer.toString('ascii', offset + 8, offset + 14) === 'Exif\0\0' ? offset + 14 : offset + 8;
+          orientation = readExifOrientation(buffer, exifStart);
+          break;
+        }
+        offset += 8 + size + (size % 2);
+      }
+    }
+
+    return {
+      format: 'webp',
+      width: buffer.readUIntLE(data + 4, 3) + 1,
+      height: buffer.readUIntLE(data + 7, 3) + 1,
+      bit_depth: 8,
+      channels: hasAlpha ? 4 : 3,
+      color_type: hasAlpha ? 'rgba' : 'rgb',
+      has_alpha: hasAlpha,
+      orientation,
+      animated: (flags & 0x02) !== 0
+    };
+  }
+
+  throw new Error(`不支持的WebP数据块类型: ${chunkType}`);
+}
+
+/**
+ * 解析GIF文件头（逻辑屏幕描述符）
+ * @param {Buffer} buffer - 图像数据
+ * @returns {Object} 图像属性
+ */
+function parseGifHeader(buffer) {
+  ensureLength(buffer, 13, 'gif');
+  const packed = buffer[10];
+
+  return {
+    format: 'gif',
+    width: buffer.readUInt16LE(6),
+    height: buffer.readUInt16LE(8),
+    bit_depth: (packed & 0x07) + 1,
+    channels: 1,
+    color_type: 'indexed',
+    has_alpha: false,
+    orientation: 1
+  };
+}
+
+/**
+ * 解析BMP文件头（DIB信息头）
+ * @param {Buffer} buffer - 图像数据
+ * @returns {Object} 图像属性
+ */
+function parseBmpHeader(buffer) {
+  ensureLength(buffer, 26, 'bmp');
+  const dibSize = buffer.readUInt32LE(14);
+
+  let width;
+  let height;
+  let bitsPerPixel;
+  if (dibSize === 12) {
+    // BITMAPCOREHEADER (OS/2)
+    width = buffer.readUInt16LE(18);
+    height = buffer.readUInt16LE(20);
+    bitsPerPixel = buffer.readUInt16LE(24);
+  } else {
+    ensureLength(buffer, 30, 'bmp');
+    width = buffer.readInt32LE(18);
+    // 高度为负表示自上而下存储
+    height = Math.abs(buffer.readInt32LE(22));
+    bitsPerPixel = buffer.readUInt16LE(28);
+  }
+
+  let channels;
+  let colorType;
+  let bitDepth;
+  if (bitsPerPixel === 32) {
+    channels = 4;
+    colorType = 'rgba';
+    bitDepth = 8;
+  } else if (bitsPerPixel === 24) {
+    channels = 3;
+    colorType = 'rgb';
+    bitDepth = 8;
+  } else if (bitsPerPixel === 16) {
+    channels = 3;
+    colorType = 'rgb';
+    bitDepth = 5;
+  } else {
+    channels = 1;
+    colorType = 'indexed';
+    bitDepth = bitsPerPixel;
+  }
+
+  return {
+    format: 'bmp',
+    width,
+    height,
+    bit_depth: bitDepth,
+    channels,
+    color_type: colorType,
+    has_alpha: channels === 4,
+    orientation: 1
+  };
+}
+
+/**
+ * 解析TIFF文件头（第一个IFD）
+ * @param {Buffer} buffer - 图像数据
+ * @returns {Object} 图像属性
+ */
+function parseTiffHeader(buffer) {
+  ensureLength(buffer, 8, 'tiff');
+  const tags = readTiffIfd(buffer, 0);
+
+  if (!tags[TIFF_TAG_WIDTH] || !tags[TIFF_TAG_HEIGHT]) {
+    throw new Error('TIFF文件缺少宽高标签');
+  }
+
+  const channels = tags[TIFF_TAG_SAMPLES_PER_PIXEL] || 1;
+  const photometric = tags[TIFF_TAG_PHOTOMETRIC];
+  const orientation = tags[TIFF_TAG_ORIENTATION];
+
+  return {
+    format: 'tiff',
+    width: tags[TIFF_TAG_WIDTH],
+    height: tags[TIFF_TAG_HEIGHT],
+    bit_depth: tags[TIFF_TAG_BITS_PER_SAMPLE] || 1,
+    channels,
+    color_type: TIFF_PHOTOMETRIC[photometric] || 'unknown',
+    has_alpha: (photometric === 2 && channels === 4) || (photometric <= 1 && channels === 2),
+    orientation: orientation >= 1 && orientation <= 8 ? orientation : 1
+  };
+}
+
+/**
+ * 解析图像文件头 - 统一接口
+ * @param {Buffer} buffer - 图像二进制数据
+ * @returns {Object} 图像属性 { format, width, height, bit_depth, channels, color_type, has_alpha, orientation, display_width, display_height }
+ */
+export function parseImageHeader(buffer) {
+  const format = detectImageFormat(buffer);
+
+  let header;
+  switch (format) {
+    case 'jpeg':
+      header = parseJpegHeader(buffer);
+      break;
+    case 'png':
+      header = parsePngHeader(buffer);
+      break;
+    case 'webp':
+      header = parseWebpHeader(buffer);
+      break;
+    case 'gif':
+      header = parseGifHeader(buffer);
+      break;
+    case 'bmp':
+      header = parseBmpHeader(buffer);
+      break;
+    case 'tiff':
+      header = parseTiffHeader(buffer);
+      break;
+    default:
+      throw new Error('无法识别的图像格式，支持JPEG、PNG、WEBP、GIF、BMP、TIFF');
+  }
+
+  if (!header.width || !header.height) {
+    throw new Error(`${format.toUpperCase()}文件头中的图像尺寸无效`);
+  }
+
+  // EXIF方向5-8表示图像需要旋转90°显示，宽高互换
+  const rotated = header.orientation >= 5;
+  return {
+    ...header,
+    display_width: rotated ? header.height : header.width,
+    display_height: rotated ? header.width : header.height
+  };
+}
@@ -0,0 +1,244 @@
+/**
+ * 共享KV存储
+ * Vercel上每个函数实例有独立的内存和临时文件系统，任务、预设、批量任务、用量、积分和权益需要保存在
+ * 所有实例共享的存储中。这里通过Redis兼容的REST接口（Vercel KV、Upstash Redis）读写JSON记录：
+ *   记录保存为字符串，修改时读取当前值、在本地计算新值，再用比较并写入脚本提交，值已被其他实例修改时重新读取重试
+ * 连接配置读取 KV_REST_API_URL / KV_REST_API_TOKEN（未设置时读取 UPSTASH_REDIS_REST_URL / UPSTASH_REDIS_REST_TOKEN），
+ * 键名前缀为 KV_PREFIX（默认 image-quality）
+ */
+
+import { createHttpError } from './http-errors.js';
+
+// 比较并写入：当前值与ARGV[1]相同时写入ARGV[2]（为空时删除），返回是否写入。不存在的键视为空字符串。
+// 提供ARGV[3]时写入的值在ARGV[3]毫秒后过期
+export const COMPARE_AND_SET_SCRIPT = `local current = redis.call('GET', KEYS[1])
+if current == false then current = '' end
+if current ~= ARGV[1] then return 0 end
+if ARGV[2] == '' then redis.call('DEL', KEYS[1])
+elseif ARGV[3] then redis.call('SET', KEYS[1], ARGV[2], 'PX', ARGV[3])
+else redis.call('SET', KEYS[1], ARGV[2]) end
+return 1`;
+
+// 比较并写入冲突时的最大重试次数
+const MAX_MUTATE_ATTEMPTS = 10;
+
+// 写入冲突后重试前的随机等待基数（毫秒），随重试次数增加
+const MUTATE_BACKOFF_MS = 20;
+
+/**
+ * 读取KV服务的连接配置
+ * @returns {Object|null} { url, token, prefix } 未配置时为null
+ */
+export function getKvConfig() {
+  const url = process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL;
+  const token = process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN;
+  if (!url || !token) {
+    return null;
+  }
+  return { url: url.replace(/\/+$/, ''), token, prefix: process.env.KV_PREFIX || 'image-quality' };
+}
+
+/**
+ * 确定存储类型 - 统一接口
+ * 未指定时配置了KV服务则使用kv，否则使用memory。部署在Vercel上（VERCEL=1，本地服务器把VERCEL设为false）时memory和file存储只在单个函数实例内有效，
+ * 不同实例会读到不同的数据，因此直接拒绝启动
+ * @param {string} configured - 指定的存储类型（options.type或环境变量）
+ * @param {string} label - 错误信息中的存储名称，如 '任务存储'
+ * @returns {string} 存储类型
+ */
+export function resolveStoreType(configured, label) {
+  const type = configured || (getKvConfig() ? 'kv' : 'memory');
+  if (type !== 'kv' && process.env.VERCEL === '1' && process.env.VERCEL_ENV !== 'development') {
+    throw new Error(
+      `${label}在Vercel上不能使用${type}存储：各函数实例不共享内存和文件系统。` +
+      '请连接Vercel KV或Upstash Redis（KV_REST_API_URL、KV_REST_API_TOKEN）'
+    );
+  }
+  return type;
+}
+
+/**
+ * Redis REST客户端 - 每条命令是一次HTTP请求，请求体为命令数组，响应为 { result } 或 { error }
+ */
+export class RedisRestClient {
+  /**
+   * @param {Object} config - { url, token, prefix }
+   */
+  constructor({ url, token, prefix = 'image-quality' }) {
+    this.url = url;
+    this.token = token;
+    this.prefix = prefix;
+  }
+
+  /**
+   * 生成带前缀的键
+   * @param {...string} parts - 键的各部分
+   * @returns {string} 键
+   */
+  key(...parts) {
+    return [this.prefix, ...parts].join(':');
+  }
+
+  /**
+   * 执行命令
+   * @param {Array} args - 命令和参数，如 ['GET', key]
+   * @returns {Promise<any>} 命令结果
+   */
+  async command(args) {
+    let response;
+    try {
+      response = await fetch(this.url, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${this.token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(args.map(String))
+      });
+    } catch (error) {
+      throw createHttpError(`KV服务不可用: ${error.message}`, 503);
+    }
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok || body.error) {
+      throw createHttpError(`KV命令 ${args[0]} 失败: ${body.error || `${response.status} ${response.statusText}`}`, 503);
+    }
+    return body.result;
+  }
+
+  /**
+   * 读取JSON记录
+   * @param {string} key - 键
+   * @returns {Promise<Object|null>} 记录
+   */
+  async getJson(key) {
+    const raw = await this.command(['GET', key]);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  /**
+   * 批量读取JSON记录
+   * @param {Array} keys - 键列表
+   * @returns {Promise<Array>} 记录列表（不存在的键为null）
+   */
+  async getManyJson(keys) {
+    if (keys.length === 0) {
+      return [];
+    }
+    const values = await this.command(['MGET', ...keys]);
+    return values.map(raw => (raw ? JSON.parse(raw) : null));
+  }
+
+  /**
+   * 原子地修改JSON记录 - 统一接口
+   * update收到当前记录（不存在时为null），返回 { value, result }：value为新记录（undefined表示不写入，null表示删除），
+   * result为返回给调用方的值。记录在读取后被其他实例修改时重新读取并再次调用update
+   * @param {string} key - 键
+   * @param {Function} update - (current) => { value, result }
+   * @param {Object} options - { ttlMs } 写入的记录在ttlMs毫秒后过期（可选，用于限流令牌桶等临时记录）
+   * @returns {Promise<any>} update返回的result
+   */
+  async mutateJson(key, update, { ttlMs } = {}) {
+    for (let attempt = 0; attempt < MAX_MUTATE_ATTEMPTS; attempt++) {
+      const raw = await this.command(['GET', key]);
+      const { value, result } = update(raw ? JSON.parse(raw) : null);
+      if (value === undefined) {
+        return result;
+      }
+      const next = value === null ? '' : JSON.stringify(value);
+      const args = ['EVAL', COMPARE_AND_SET_SCRIPT, 1, key, raw || '', next];
+      if (await this.command(ttlMs ? [...args, Math.ceil(ttlMs)] : args) === 1) {
+        return result;
+      }
+      // 随机等待后重试，避免同时写入的实例再次冲突
+      await new Promise(resolve => setTimeout(resolve, Math.random() * MUTATE_BACKOFF_MS * (attempt + 1)));
+    }
+    throw createHttpError(`KV记录 ${key} 写入冲突过多，请稍后再试`, 503);
+  }
+}
+
+let defaultClient = null;
+
+/**
+ * 获取KV客户端（按环境变量创建，在进程内复用） - 统一接口
+ * @returns {RedisRestClient} KV客户端
+ */
+export function getKvClient() {
+  if (!defaultClient) {
+    const config = getKvConfig();
+    if (!config) {
+      throw new Error('KV存储需要配置KV_REST_API_URL和KV_REST_API_TOKEN（或UPSTASH_REDIS_REST_URL和UPSTASH_REDIS_REST_TOKEN）');
+    }
+    defaultClient = new RedisRestClient(config);
+  }
+  return defaultClient;
+}
+
+/**
+ * KV记录存储 - 任务、预设和批量任务共用的 create / get / update / updateIf / delete / list 实现，
+ * 每条记录保存为一个键，另用一个集合记录所有ID供list使用
+ */
+export class KvRecordStore {
+  /**
+   * @param {RedisRestClient} client - KV客户端
+   * @param {Object} options - { namespace, assertId, label } namespace为键名中的记录类型，label用于错误信息
+   */
+  constructor(client, { namespace, assertId, label }) {
+    this.client = client;
+    this.namespace = namespace;
+    this.assertId = assertId;
+    this.label = label;
+  }
+
+  recordKey(id) {
+    this.assertId(id);
+    return this.client.key(this.namespace, id);
+  }
+
+  get indexKey() {
+    return this.client.key(this.namespace, 'ids');
+  }
+
+  async create(record) {
+    const created = await this.client.command(['SET', this.recordKey(record.id), JSON.stringify(record), 'NX']);
+    if (created !== 'OK') {
+      throw new Error(`${this.label}已存在: ${record.id}`);
+    }
+    await this.client.command(['SADD', this.indexKey, record.id]);
+    return JSON.parse(JSON.stringify(record));
+  }
+
+  async get(id) {
+    return this.client.getJson(this.recordKey(id));
+  }
+
+  async update(id, patch) {
+    return this.updateIf(id, () => patch);
+  }
+
+  /**
+   * 比较并写入：update收到当前记录，返回要合并的字段，返回null时不写入
+   * @param {string} id - 记录ID
+   * @param {Function} update - (current) => patch|null 写入冲突时会用最新记录再次调用
+   * @returns {Promise<Object|null>} 更新后的记录，记录不存在或未写入时为null
+   */
+  async updateIf(id, update) {
+    return this.client.mutateJson(this.recordKey(id), (current) => {
+      const patch = current ? update(current) : null;
+      if (!patch) {
+        return { value: undefined, result: null };
+      }
+      const updated = { ...current, ...JSON.parse(JSON.stringify(patch)), id };
+      return { value: updated, result: updated };
+    });
+  }
+
+  async delete(id) {
+    const deleted = await this.client.command(['DEL', this.recordKey(id)]);
+    await this.client.command(['SREM', this.indexKey, id]);
+    return deleted > 0;
+  }
+
+  async list() {
+    const ids = await this.client.command(['SMEMBERS', this.indexKey]);
+    const records = await this.client.getManyJson(ids.map(id => this.recordKey(id)));
+    return records.filter(Boolean);
+  }
+}
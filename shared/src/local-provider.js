@@ -0,0 +1,174 @@
+/**
+ * 本地处理提供方
+ * 在CPU上用经典算法完成增强，不需要网络和API Token：影调增强使用自动色阶和Gamma校正，
+ * 细节增强使用双边滤波降噪和USM锐化，超分使用Lanczos或双三次插值。
+ * 可用于离线开发和测试，也可作为AI模型结果的对照基线。结果以PNG data URL返回，由persistOutput保存。
+ * 可用算法及参数schema登记在模型注册表（model-registry.js）
+ */
+
+import {
+  loadImage,
+  encodePngDataUrl,
+  resizeImage,
+  unsharpMask,
+  bilateralDenoise,
+  autoLevels,
+  meanLuminance,
+  applyGamma,
+  blendImages
+} from './image-processing.js';
+import { describeProviderModels, resolveModel, validateModelParams, assertInputSize } from './model-registry.js';
+import { createHttpError } from './http-errors.js';
+
+// 超分结果的最大像素数，超过时拒绝处理，避免本地处理耗尽内存
+const MAX_OUTPUT_MEGAPIXELS = 48;
+
+// 影调增强：各类型自动色阶的裁剪比例（%）和Gamma校正的权重（0为不校正，1为把平均亮度拉到中灰）
+const TONE_PRESETS = {
+  general: { clipPercent: 0.5, gammaWeight: 0.5 },
+  night: { clipPercent: 1.0, gammaWeight: 1.0 },
+  landscape: { clipPercent: 0.8, gammaWeight: 0.3 },
+  hdr: { clipPercent: 0.2, gammaWeight: 0.7 }
+};
+
+// 细节增强：各类型的降噪和锐化参数，锐化量按强度（1-3）线性放大
+const DETAIL_PRESETS = {
+  general: { denoise: { radius: 2, sigmaSpatial: 2, sigmaRange: 18 }, sharpen: { sigma: 1.0, amount: 0.25, threshold: 3 } },
+  hair: { denoise: { radius: 1, sigmaSpatial: 1.5, sigmaRange: 12 }, sharpen: { sigma: 0.8, amount: 0.3, threshold: 2 } },
+  plant: { denoise: { radius: 2, sigmaSpatial: 2, sigmaRange: 15 }, sharpen: { sigma: 1.0, amount: 0.3, threshold: 2 } },
+  text: { denoise: null, sharpen: { sigma: 1.2, amount: 0.5, threshold: 0 } }
+};
+
+/**
+ * 影调增强：自动色阶拉伸对比度，再按平均亮度做Gamma校正
+ * @param {Object} image - { width, height, data }
+ * @param {string} enhanceType - 增强类型
+ * @param {number} intensity - 增强强度 (0.1-2.0)
+ * @returns {Object} { image, method }
+ */
+function enhanceTone(image, enhanceType, intensity) {
+  const preset = TONE_PRESETS[enhanceType];
+  const { image: leveled } = autoLevels(image, { clipPercent: preset.clipPercent * intensity });
+
+  // 平均亮度拉到中灰所需的Gamma，按类型权重和强度插值并限制在 [0.5, 2.5]
+  const mean = Math.min(0.95, Math.max(0.05, meanLuminance(leveled)));
+  const targetGamma = Math.log(mean) / Math.log(0.5);
+  const gamma = Math.min(2.5, Math.max(0.5, 1 + (targetGamma - 1) * preset.gammaWeight * Math.min(1, intensity)));
+
+  return {
+    image: Math.abs(gamma - 1) < 0.01 ? leveled : applyGamma(leveled, gamma),
+    method: 'auto-levels+gamma'
+  };
+}
+
+/**
+ * 细节增强：先双边滤波降噪，再USM锐化
+ * @param {Object} image - { width, height, data }
+ * @param {string} enhanceType - 增强类型
+ * @param {number} strength - 增强强度 (1-3)
+ * @returns {Object} { image, method }
+ */
+function enhanceDetail(image, enhanceType, strength) {
+  const preset = DETAIL_PRESETS[enhanceType];
+  const denoised = preset.denoise ? bilateralDenoise(image, preset.denoise) : image;
+  const sharpened = unsharpMask(denoised, { ...preset.sharpen, amount: preset.sharpen.amount * strength });
+  return {
+    image: sharpened,
+    method: preset.denoise ? 'bilateral+unsharp' : 'unsharp'
+  };
+}
+
+/**
+ * 超分：按倍数插值放大
+ * @param {Object} image - { width, height, data }
+ * @param {number} scale - 放大倍数
+ * @param {string} method - 插值方法
+ * @returns {Object} { image, method }
+ */
+function upscale(image, scale, method) {
+  const width = image.width * scale;
+  const height = image.height * scale;
+  if (width * height > MAX_OUTPUT_MEGAPIXELS * 1000000) {
+    throw createHttpError(
+      `本地超分结果 ${width}x${height} 超过 ${MAX_OUTPUT_MEGAPIXELS}MP 上限，请降低放大倍数或使用Replicate处理`,
+      400
+    );
+  }
+  return { image: resizeImage(image, width, height, method), method };
+}
+
+/**
+ * 本地处理提供方
+ */
+export class LocalProvider {
+  constructor() {
+    this.name = 'local';
+  }
+
+  /**
+   * 查询支持的步骤和参数 - 统一接口
+   * @returns {Object} { name, label, remote, async_predictions, requires_token, steps }
+   */
+  capabilities() {
+    return {
+      name: this.name,
+      label: '本地经典算法（CPU）',
+      remote: false,
+      async_predictions: false,
+      requires_token: false,
+      steps: describeProviderModels(this.name)
+    };
+  }
+
+  /**
+   * 计算步骤消耗的积分 - 统一接口
+   * 本地处理不产生模型费用，不消耗积分
+   * @returns {number} 积分
+   */
+  pricing() {
+    return 0;
+  }
+
+  /**
+   * 执行增强步骤 - 统一接口
+   * @param {string} step - 步骤名称 ('tone', 'detail', 'upscale')
+   * @param {Object} config - 步骤配置，model字段指定算法（可选，AI超分模型名称按Lanczos处理）
+   * @param {string} imageInput - 当前图像（Base64或URL）
+   * @returns {Promise<Object>} { output, blend, model, attempts, last_error } output为PNG data URL，model为使用的算法；
+   *   强度由算法直接使用，影调增强只调整亮度时blend为混合参数，否则为null
+   */
+  async run(step, config, imageInput) {
+    const model = resolveModel(step, this.name, config.model);
+    const params = validateModelParams(model, config);
+    // 解码前按文件头检查尺寸，超过上限的图像不分配像素内存
+    const image = await loadImage(imageInput, ({ width, height }) => assertInputSize(model, (width * height) / 1000000));
+
+    let result;
+    switch (step) {
+      case 'tone':
+        result = enhanceTone(image, params.type, params.intensity);
+        if (params.luminance_only) {
+          // 只保留亮度变化，色彩沿用原图
+          result = { ...result, image: blendImages(image, result.image, 1, { luminanceOnly: true }) };
+        }
+        break;
+      case 'detail':
+        result = enhanceDetail(image, params.type, params.strength);
+        break;
+      default:
+        result = upscale(image, params.scale, model.id);
+    }
+
+    const blend = step === 'tone' && params.luminance_only ? { weight: 1, luminance_only: true, applied: true } : null;
+    return { output: encodePngDataUrl(result.image), blend, model: result.method, attempts: 1, last_error: null };
+  }
+
+  /**
+   * 取消进行中的处理 - 统一接口
+   * 本地处理在请求内同步完成，没有可取消的预测
+   * @returns {Promise<null>}
+   */
+  async cancel() {
+    return null;
+  }
+}
@@ -0,0 +1,155 @@
+/**
+ * 处理结果持久化
+ * Replicate返回的结果地址约一小时后失效。每个增强步骤完成后下载结果图像，
+ * 以内容哈希为键保存到对象存储，并返回稳定的访问地址和图像元数据
+ */
+
+import crypto from 'crypto';
+import { createStorage } from './storage.js';
+import { detectImageFormat, parseImageHeader } from './image-header.js';
+import { createHttpError } from './http-errors.js';
+
+// 未配置STORAGE_PUBLIC_BASE_URL时，结果通过 GET /api/outputs/:name 读取
+export const OUTPUT_URL_PREFIX = '/api/outputs';
+
+// 结果文件名：内容哈希 + 扩展名
+const OUTPUT_NAME_PATTERN = /^[a-f0-9]{64}\.(jpg|png|webp|gif|bmp|tiff)$/;
+
+// 图像格式对应的扩展名
+export const FORMAT_EXTENSIONS = {
+  jpeg: 'jpg',
+  png: 'png',
+  webp: 'webp',
+  gif: 'gif',
+  bmp: 'bmp',
+  tiff: 'tiff'
+};
+
+let defaultStorage = null;
+
+/**
+ * 获取结果存储（按环境变量创建，在进程内复用）
+ * @returns {Object} 对象存储实例
+ */
+export function getOutputStorage() {
+  if (!defaultStorage) {
+    defaultStorage = createStorage();
+  }
+  return defaultStorage;
+}
+
+/**
+ * 生成结果的访问地址
+ * @param {string} name - 结果文件名
+ * @returns {string} 访问地址
+ */
+function buildOutputUrl(name) {
+  const publicBaseUrl = process.env.STORAGE_PUBLIC_BASE_URL;
+  return publicBaseUrl
+    ? `${publicBaseUrl.replace(/\/+$/, '')}/outputs/${name}`
+    : `${OUTPUT_URL_PREFIX}/${name}`;
+}
+
+/**
+ * 下载结果图像
+ * @param {string} sourceUrl - 结果地址（http(s) URL或data URL）
+ * @returns {Promise<Buffer>} 图像数据
+ */
+async function fetchOutput(sourceUrl) {
+  const dataUrl = sourceUrl.match(/^data:[^;]+;base64,(.*)$/);
+  if (dataUrl) {
+    return Buffer.from(dataUrl[1], 'base64');
+  }
+
+  const response = await fetch(sourceUrl);
+  if (!response.ok) {
+    throw new Error(`下载结果失败: ${response.status} ${response.statusText}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * 保存步骤结果 - 统一接口
+ * 内容相同的结果只保存一次。保存失败时返回原始地址（persisted为false），不影响步骤结果
+ * @param {string} sourceUrl - 模型返回的结果地址
+ * @param {string} sourceStep - 产生结果的步骤 ('tone', 'detail', 'upscale')
+ * @param {Object} storage - 对象存储，默认按环境变量创建
+ * @returns {Promise<Object>} { url, key, persisted, size, width, height, format, content_type, source_step, source_url }
+ */
+export async function persistOutput(sourceUrl, sourceStep, storage = getOutputStorage()) {
+  try {
+    const buffer = await fetchOutput(sourceUrl);
+    const format = detectImageFormat(buffer);
+    if (format === 'unknown') {
+      throw new Error('结果不是支持的图像格式');
+    }
+
+    let width = null;
+    let height = null;
+    try {
+      ({ width, height } = parseImageHeader(buffer));
+    } catch (headerError) {
+      console.warn(`⚠️ 无法解析${sourceStep}结果的图像尺寸:`, headerError.message);
+    }
+
+    const name = `${crypto.createHash('sha256').update(buffer).digest('hex')}.${FORMAT_EXTENSIONS[format]}`;
+    const key = `outputs/${name}`;
+    const metadata = {
+      size: buffer.length,
+      width,
+      height,
+      format,
+      content_type: `image/${format}`,
+      source_step: sourceStep
+    };
+
+    if (!(await storage.head(key))) {
+      await storage.put(key, buffer, {
+        contentType: metadata.content_type,
+        metadata: { width, height, format, 'source-step': sourceStep }
+      });
+      console.log(`💾 已保存${sourceStep}结果: ${key} (${(buffer.length / 1024).toFixed(1)}KB)`);
+    }
+
+    return { url: buildOutputUrl(name), key, persisted: true, ...metadata, source_url: sourceUrl };
+  } catch (error) {
+    console.warn(`⚠️ 保存${sourceStep}结果失败，返回原始地址:`, error.message);
+    return { url: sourceUrl, key: null, persisted: false, source_step: sourceStep, source_url: sourceUrl };
+  }
+}
+
+/**
+ * 读取已保存的结果 - 统一接口
+ * @param {string} name - 结果文件名（内容哈希 + 扩展名）
+ * @param {Object} storage - 对象存储，默认按环境变量创建
+ * @returns {Promise<Object|null>} { body, size, contentType, metadata }，不存在时为null
+ */
+export async function readOutput(name, storage = getOutputStorage()) {
+  if (typeof name !== 'string' || !OUTPUT_NAME_PATTERN.test(name)) {
+    throw createHttpError(`无效的结果文件名: ${name}`, 400);
+  }
+  return storage.get(`outputs/${name}`);
+}
+
+/**
+ * 读取结果图像内容 - 统一接口
+ * 已保存的结果从对象存储读取，未能保存的结果（persisted为false）从原始地址下载
+ * @param {Object} output - persistOutput的结果
+ * @param {Object} storage - 对象存储，默认按环境变量创建
+ * @returns {Promise<Object>} { body, format }
+ */
+export async function loadOutputImage(output, storage = getOutputStorage()) {
+  if (output?.key) {
+    const stored = await storage.get(output.key);
+    if (stored) {
+      return { body: stored.body, format: output.format || detectImageFormat(stored.body) };
+    }
+  }
+
+  const sourceUrl = output?.source_url || output?.url;
+  if (!sourceUrl) {
+    throw new Error('结果没有可下载的地址');
+  }
+  const body = await fetchOutput(sourceUrl);
+  return { body, format: detectImageFormat(body) };
+}
@@ -0,0 +1,517 @@
+/**
+ * 声明式增强流水线
+ * 流水线定义是一份JSON：按顺序执行的操作（tone、detail、upscale）及其参数、执行条件和失败策略。
+ * 定义在执行前整体校验，执行后返回每个步骤的执行记录。Autopilot增强、单步增强接口和异步任务都通过流水线执行
+ *
+ * {
+ *   "name": "夜景修复",
+ *   "steps": [
+ *     { "op": "tone", "params": { "type": "auto", "intensity": 1.2 } },
+ *     { "op": "detail", "params": { "type": "general", "strength": 2 }, "when": { "scores.detail": { "lt": 60 } }, "on_error": "skip" },
+ *     { "op": "upscale", "params": { "model": "aura-sr-v2", "scale": 4 }, "on_error": "fallback", "fallback": { "provider": "local", "model": "lanczos" } }
+ *   ]
+ * }
+ *
+ * 失败策略：abort（默认）停止执行后续步骤；skip记录失败后继续，下一步使用最后一个成功步骤的输出；
+ * fallback用fallback中的参数（覆盖params）重试一次，仍失败时停止执行
+ */
+
+import { runEnhancementStep, processAutopilotAnalyze, validateImageData } from './api-handlers.js';
+import { validateStepConfig, getStepCredits } from './providers.js';
+import { readImageInput } from './image-processing.js';
+import { parseImageHeader } from './image-header.js';
+import { createHttpError } from './http-errors.js';
+
+// 支持的操作
+export const PIPELINE_OPERATIONS = ['tone', 'detail', 'upscale'];
+
+// 失败策略
+export const FAILURE_POLICIES = ['abort', 'skip', 'fallback'];
+
+// 单个流水线最多的步骤数
+export const MAX_PIPELINE_STEPS = 10;
+
+// 条件可引用的指标：scores为Autopilot质量评分（0-100），input为输入图像的尺寸
+export const CONDITION_METRICS = [
+  'scores.tone',
+  'scores.detail',
+  'scores.resolution',
+  'scores.overall',
+  'input.width',
+  'input.height',
+  'input.megapixels'
+];
+
+// 条件比较运算
+const CONDITION_OPERATORS = {
+  lt: (value, target) => value < target,
+  lte: (value, target) => value <= target,
+  gt: (value, target) => value > target,
+  gte: (value, target) => value >= target,
+  eq: (value, target) => value === target,
+  ne: (value, target) => value !== target
+};
+
+// 步骤执行状态
+export const PIPELINE_STEP_STATUS = {
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+  NOT_RUN: 'not_run'
+};
+
+// 流水线执行状态：partial表示有步骤失败但按skip策略继续执行
+export const PIPELINE_STATUS = {
+  SUCCEEDED: 'succeeded',
+  PARTIAL: 'partial',
+  ABORTED: 'aborted'
+};
+
+const STEP_ID_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+
+/**
+ * 判断是否为普通对象
+ * @param {any} value - 值
+ * @returns {boolean} 是否为普通对象
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * 校验执行条件
+ * 条件为 { 指标: { 运算: 数值 } }，同一对象中的多个指标和运算需要同时满足；
+ * { all: [条件...] } 和 { any: [条件...] } 组合多个条件
+ * @param {any} when - 条件
+ * @param {string} label - 错误信息中的步骤标识
+ */
+function validateCondition(when, label) {
+  if (!isPlainObject(when) || Object.keys(when).length === 0) {
+    throw createHttpError(`${label}: when必须是非空对象`, 400);
+  }
+
+  Object.entries(when).forEach(([key, value]) => {
+    if (key === 'all' || key === 'any') {
+      if (!Array.isArray(value) || value.length === 0) {
+        throw createHttpError(`${label}: when.${key}必须是非空数组`, 400);
+      }
+      value.forEach(condition => validateCondition(condition, label));
+      return;
+    }
+
+    if (!CONDITION_METRICS.includes(key)) {
+      throw createHttpError(`${label}: 不支持的条件指标: ${key}，支持: ${CONDITION_METRICS.join(', ')}`, 400);
+    }
+    if (!isPlainObject(value) || Object.keys(value).length === 0) {
+      throw createHttpError(`${label}: 条件 ${key} 必须是 { 运算: 数值 } 形式`, 400);
+    }
+    Object.entries(value).forEach(([operator, target]) => {
+      if (!CONDITION_OPERATORS[operator]) {
+        throw createHttpError(`${label}: 不支持的条件运算: ${operator}，支持: ${Object.keys(CONDITION_OPERATORS).join(', ')}`, 400);
+      }
+      if (typeof target !== 'number' || !Number.isFinite(target)) {
+        throw createHttpError(`${label}: 条件 ${key}.${operator} 的比较值必须是数字`, 400);
+      }
+    });
+  });
+}
+
+/**
+ * 按提供方能力校验步骤配置，错误信息带上步骤标识
+ * @param {string} op - 操作
+ * @param {Object} config - 步骤配置
+ * @param {string} label - 步骤标识
+ */
+function validateOperationConfig(op, config, label) {
+  try {
+    validateStepConfig(op, config);
+  } catch (error) {
+    throw createHttpError(`${label}: ${error.message}`, error.statusCode || 400);
+  }
+}
+
+/**
+ * 校验并规范化流水线定义 - 统一接口
+ * @param {Object} definition - 流水线定义 { name, steps: [{ id, op, params, when, on_error, fallback }] }
+ * @param {Object} options - { provider } 参数中未指定provider的步骤使用的提供方（可选）
+ * @returns {Object} { name, steps: [{ id, op, config, when, on_error, fallback }] }
+ *   config为合并提供方后的步骤配置，fallback为合并后的备用配置（未使用fallback策略时为null）
+ */
+export function validatePipeline(definition, { provider } = {}) {
+  if (!isPlainObject(definition)) {
+    throw createHttpError('流水线定义必须是对象', 400);
+  }
+  if (definition.name !== undefined && (typeof definition.name !== 'string' || definition.name.length > 100)) {
+    throw createHttpError('流水线名称必须是不超过100个字符的字符串', 400);
+  }
+  if (!Array.isArray(definition.steps) || definition.steps.length === 0) {
+    throw createHttpError('流水线至少需要一个步骤', 400);
+  }
+  if (definition.steps.length > MAX_PIPELINE_STEPS) {
+    throw createHttpError(`流水线最多 ${MAX_PIPELINE_STEPS} 个步骤`, 400);
+  }
+
+  const ids = new Set();
+  const steps = definition.steps.map((step, index) => {
+    if (!isPlainObject(step)) {
+      throw createHttpError(`第 ${index + 1} 个步骤必须是对象`, 400);
+    }
+    if (!PIPELINE_OPERATIONS.includes(step.op)) {
+      throw createHttpError(`第 ${index + 1} 个步骤的操作不支持: ${step.op}，支持: ${PIPELINE_OPERATIONS.join(', ')}`, 400);
+    }
+
+    // 未指定id时使用操作名，重复时追加序号
+    let id = step.id;
+    if (id === undefined) {
+      id = ids.has(step.op) ? `${step.op}-${index + 1}` : step.op;
+    } else if (typeof id !== 'string' || !STEP_ID_PATTERN.test(id)) {
+      throw createHttpError(`第 ${index + 1} 个步骤的id只能包含字母、数字、下划线和连字符（最多40个字符）`, 400);
+    }
+    if (ids.has(id)) {
+      throw createHttpError(`步骤id重复: ${id}`, 400);
+    }
+    ids.add(id);
+
+    if (step.params !== undefined && !isPlainObject(step.params)) {
+      throw createHttpError(`${id}: params必须是对象`, 400);
+    }
+    const config = { ...(provider ? { provider } : {}), ...(step.params || {}) };
+    validateOperationConfig(step.op, config, id);
+
+    const onError = step.on_error ?? 'abort';
+    if (!FAILURE_POLICIES.includes(onError)) {
+      throw createHttpError(`${id}: 不支持的失败策略: ${onError}，支持: ${FAILURE_POLICIES.join(', ')}`, 400);
+    }
+
+    let fallback = null;
+    if (onError === 'fallback') {
+      if (!isPlainObject(step.fallback)) {
+        throw createHttpError(`${id}: fallback策略需要提供fallback参数`, 400);
+      }
+      fallback = { ...config, ...step.fallback };
+      validateOperationConfig(step.op, fallback, `${id}.fallback`);
+    } else if (step.fallback !== undefined) {
+      throw createHttpError(`${id}: 只有on_error为fallback时才能设置fallback`, 400);
+    }
+
+    if (step.when !== undefined) {
+      validateCondition(step.when, id);
+    }
+
+    return { id, op: step.op, config, when: step.when ?? null, on_error: onError, fallback };
+  });
+
+  return { name: definition.name || null, steps };
+}
+
+/**
+ * 列出条件引用的指标
+ * @param {Object} when - 条件
+ * @returns {Array} 指标名称
+ */
+function conditionMetrics(when) {
+  return Object.entries(when).flatMap(([key, value]) => (
+    key === 'all' || key === 'any' ? value.flatMap(conditionMetrics) : [key]
+  ));
+}
+
+/**
+ * 判断流水线的条件是否引用质量评分 - 统一接口
+ * @param {Object} pipeline - validatePipeline的结果
+ * @returns {boolean} 是否需要Autopilot分析的评分
+ */
+export function pipelineUsesScores(pipeline) {
+  return pipeline.steps.some(step => step.when && conditionMetrics(step.when).some(metric => metric.startsWith('scores.')));
+}
+
+/**
+ * 计算条件是否满足 - 统一接口
+ * 引用的指标没有数值时（如无法读取图像尺寸）视为不满足
+ * @param {Object} when - 条件
+ * @param {Object} context - { scores, input } buildConditionContext的结果
+ * @returns {Object} { met, values } values为条件引用的指标的实际数值
+ */
+export function evaluateCondition(when, context) {
+  const values = {};
+  const lookup = (metric) => {
+    const [group, name] = metric.split('.');
+    const value = context[group]?.[name];
+    values[metric] = value ?? null;
+    return value;
+  };
+
+  const evaluate = (condition) => Object.entries(condition).every(([key, value]) => {
+    if (key === 'all') {
+      return value.map(evaluate).every(Boolean);
+    }
+    if (key === 'any') {
+      return value.map(evaluate).some(Boolean);
+    }
+    const actual = lookup(key);
+    return typeof actual === 'number' &&
+      Object.entries(value).every(([operator, target]) => CONDITION_OPERATORS[operator](actual, target));
+  });
+
+  return { met: evaluate(when), values };
+}
+
+/**
+ * 准备条件使用的指标 - 统一接口
+ * 只在条件引用时计算：未提供评分时对输入图像执行一次Autopilot分析，尺寸从图像文件头读取
+ * @param {Object} pipeline - validatePipeline的结果
+ * @param {string} imageInput - 输入图像（Base64或URL）
+ * @param {string} apiToken - API Token
+ * @param {Object} known - { scores } 已有的质量评分（可选）
+ * @returns {Promise<Object>} { scores, input }
+ */
+export async function buildConditionContext(pipeline, imageInput, apiToken, known = {}) {
+  const metrics = pipeline.steps.flatMap(step => (step.when ? conditionMetrics(step.when) : []));
+  const context = { scores: known.scores || null, input: null };
+
+  if (!context.scores && pipelineUsesScores(pipeline)) {
+    const analysis = await processAutopilotAnalyze(imageInput, apiToken);
+    context.scores = analysis.scores;
+  }
+
+  if (metrics.some(metric => metric.startsWith('input.'))) {
+    try {
+      const { width, height } = parseImageHeader(await readImageInput(imageInput));
+      context.input = { width, height, megapixels: Math.round((width * height) / 10000) / 100 };
+    } catch (error) {
+      console.log(`⚠️ 无法读取输入图像尺寸，引用尺寸的条件视为不满足: ${error.message}`);
+    }
+  }
+  return context;
+}
+
+/**
+ * 计算步骤预留的积分：使用fallback策略时按主配置和备用配置中较贵的一个 - 统一接口
+ * @param {Object} step - 规范化后的步骤
+ * @returns {number} 积分
+ */
+export function reservedStepCredits(step) {
+  const primary = getStepCredits({ name: step.op, config: step.config });
+  return step.fallback ? Math.max(primary, getStepCredits({ name: step.op, config: step.fallback })) : primary;
+}
+
+/**
+ * 列出流水线的计费步骤，用于额度检查和积分预扣 - 统一接口
+ * 条件在执行时才能确定，所有步骤都先计入，未执行的步骤按执行记录退还
+ * @param {Object} pipeline - validatePipeline的结果
+ * @returns {Array} [{ name, config }]
+ */
+export function pipelineBillingSteps(pipeline) {
+  return pipeline.steps.map((step) => {
+    const useFallback = step.fallback &&
+      getStepCredits({ name: step.op, config: step.fallback }) > getStepCredits({ name: step.op, config: step.config });
+    return { name: step.op, config: useFallback ? step.fallback : step.config };
+  });
+}
+
+/**
+ * 把Autopilot增强建议转换为流水线定义 - 统一接口
+ * 按priority顺序包含启用的步骤，失败的步骤跳过后继续
+ * @param {Object} recommendations - 增强建议 { priority, tone, detail, upscale }
+ * @returns {Object} 流水线定义
+ */
+export function pipelineFromRecommendations(recommendations) {
+  return {
+    name: 'autopilot',
+    steps: (recommendations?.priority || [])
+      .filter(op => recommendations[op]?.enabled)
+      .map((op) => {
+        const { enabled, ...params } = recommendations[op];
+        return { id: op, op, params, on_error: 'skip' };
+      })
+  };
+}
+
+/**
+ * 执行一个步骤，失败且策略为fallback时用备用配置重试一次
+ * @param {Object} step - 规范化后的步骤
+ * @param {string} imageInput - 当前图像
+ * @param {string} apiToken - API Token
+ * @param {Object} options - 传给runEnhancementStep的选项
+ * @returns {Promise<Object>} { image, result, config, fallback_error }
+ */
+async function runStepWithPolicy(step, imageInput, apiToken, options) {
+  try {
+    const outcome = await runEnhancementStep(step.op, step.config, imageInput, apiToken, options.onProgress, options);
+    return { ...outcome, config: step.config, fallback_error: null };
+  } catch (error) {
+    if (!step.fallback) {
+      throw error;
+    }
+    console.log(`↩️ 步骤 ${step.id} 执行失败，改用备用配置: ${error.message}`);
+    const outcome = await runEnhancementStep(step.op, step.fallback, imageInput, apiToken, options.onProgress, options);
+    return { ...outcome, config: step.fallback, fallback_error: error.message };
+  }
+}
+
+/**
+ * 按顺序执行流水线步骤
+ * @param {Object} pipeline - validatePipeline的结果
+ * @param {string} imageInput - 输入图像
+ * @param {string} apiToken - API Token
+ * @param {Object} options - { scores, rethrow, onProgress, provider, client, invoker } rethrow为true时步骤终止流水线时抛出原错误
+ * @returns {Promise<Object>} { status, trace, outputs, finalOutput, context, error }
+ */
+async function executePipeline(pipeline, imageInput, apiToken, options = {}) {
+  // 条件和自动影调会读取输入图像，先拒绝不受信任的地址
+  validateImageData(imageInput);
+  const context = await buildConditionContext(pipeline, imageInput, apiToken, { scores: options.scores });
+  const trace = [];
+  const outputs = [];
+  let currentImage = imageInput;
+  let finalOutput = null;
+  let abortError = null;
+
+  for (const step of pipeline.steps) {
+    const record = {
+      id: step.id,
+      type: step.op,
+      config: step.config,
+      on_error: step.on_error,
+      reserved_credits: reservedStepCredits(step),
+      credits: 0,
+      condition: null,
+      success: false
+    };
+
+    if (abortError) {
+      trace.push({ ...record, status: PIPELINE_STEP_STATUS.NOT_RUN });
+      continue;
+    }
+
+    if (step.when) {
+      record.condition = { when: step.when, ...evaluateCondition(step.when, context) };
+      if (!record.condition.met) {
+        console.log(`⏭️ 步骤 ${step.id} 的条件不满足，跳过`);
+        trace.push({ ...record, status: PIPELINE_STEP_STATUS.SKIPPED });
+        continue;
+      }
+    }
+
+    const stepStartTime = Date.now();
+    try {
+      const { image, result, config, fallback_error } = await runStepWithPolicy(step, currentImage, apiToken, options);
+      currentImage = image;
+      finalOutput = result.output_image;
+      outputs.push(result);
+      trace.push({
+        ...record,
+        config,
+        status: PIPELINE_STEP_STATUS.SUCCEEDED,
+        fallback_used: fallback_error !== null,
+        fallback_error,
+        result: result.output_image.url,
+        output_image: result.output_image,
+        processing_time_ms: Date.now() - stepStartTime,
+        credits: getStepCredits({ name: step.op, config }),
+        attempts: result.attempts,
+        last_error: result.last_error,
+        success: true
+      });
+    } catch (stepError) {
+      console.error(`❌ 步骤 ${step.id} 执行失败:`, stepError.message);
+      outputs.push(null);
+      trace.push({
+        ...record,
+        status: PIPELINE_STEP_STATUS.FAILED,
+        fallback_used: Boolean(step.fallback),
+        error: stepError.message,
+        processing_time_ms: Date.now() - stepStartTime,
+        attempts: stepError.attempts ?? 0,
+        last_error: stepError.last_error ?? stepError.message
+      });
+
+      if (step.on_error !== 'skip') {
+        if (options.rethrow) {
+          throw stepError;
+        }
+        abortError = stepError;
+      }
+    }
+  }
+
+  let status = PIPELINE_STATUS.SUCCEEDED;
+  if (abortError) {
+    status = PIPELINE_STATUS.ABORTED;
+  } else if (trace.some(record => record.status === PIPELINE_STEP_STATUS.FAILED)) {
+    status = PIPELINE_STATUS.PARTIAL;
+  }
+  return { status, trace, outputs, finalOutput, context, error: abortError };
+}
+
+/**
+ * 执行流水线 - 统一接口
+ * @param {Object} pipeline - validatePipeline的结果
+ * @param {string} imageBase64 - 输入图像（Base64）
+ * @param {string} apiToken - API Token
+ * @param {Object} options - { scores, label, provider, client, invoker } scores为已有的质量评分（条件引用评分时使用），
+ *   label为日志和消息中的流程名称
+ * @returns {Promise<Object>} 处理结果：status为执行状态，results.steps为每个步骤的执行记录
+ *   （status、condition、config、fallback_used、credits、reserved_credits、attempts、last_error等），
+ *   results.final为最后一个成功步骤的结果地址（没有成功步骤时为输入图像）
+ */
+export async function runPipeline(pipeline, imageBase64, apiToken, options = {}) {
+  const startTime = Date.now();
+  const label = options.label || `流水线${pipeline.name ? ` ${pipeline.name}` : ''}`;
+  console.log(`🧩 开始${label}，共 ${pipeline.steps.length} 个步骤`);
+
+  const { status, trace, finalOutput, context, error } = await executePipeline(pipeline, imageBase64, apiToken, options);
+  const processingTime = Date.now() - startTime;
+  console.log(`${status === PIPELINE_STATUS.ABORTED ? '⛔' : '✅'} ${label}结束（${status}），总耗时: ${processingTime}ms`);
+
+  return {
+    success: status !== PIPELINE_STATUS.ABORTED,
+    status,
+    error: error ? error.message : null,
+    pipeline: { name: pipeline.name, steps: pipeline.steps.length },
+    conditions: context,
+    results: {
+      original: imageBase64,
+      steps: trace,
+      final: finalOutput ? finalOutput.url : imageBase64
+    },
+    final_output: finalOutput,
+    total_steps: trace.length,
+    successful_steps: trace.filter(record => record.success).length,
+    // 各步骤按实际使用的配置计价，失败、跳过和未执行的步骤不计
+    total_credits: trace.reduce((sum, record) => sum + record.credits, 0),
+    message: status === PIPELINE_STATUS.ABORTED ? `${label}已终止` : `${label}完成`,
+    timestamp: new Date().toISOString(),
+    processing_time_ms: processingTime,
+    environment: process.env.NODE_ENV || 'development'
+  };
+}
+
+/**
+ * 通过单步流水线执行一个增强操作 - 统一接口
+ * 参数先按流水线定义校验，失败时抛出原错误
+ * @param {string} op - 操作 ('tone', 'detail', 'upscale')
+ * @param {Object} config - 步骤配置，provider字段指定处理提供方
+ * @param {string} imageBase64 - 输入图像（Base64）
+ * @param {string} apiToken - API Token
+ * @param {Object} options - { onProgress, client, invoker }
+ * @returns {Promise<Object>} 该操作的处理结果（与processUpscale、processToneEnhance、processDetailEnhance相同）
+ */
+export async function runPipelineStep(op, config, imageBase64, apiToken, options = {}) {
+  const pipeline = validatePipeline({ name: op, steps: [{ id: op, op, params: config }] });
+  const { outputs } = await executePipeline(pipeline, imageBase64, apiToken, { ...options, rethrow: true });
+  return outputs[0];
+}
+
+/**
+ * 处理Autopilot自动增强请求 - 统一接口
+ * 增强建议转换为流水线执行，失败的步骤跳过后继续
+ * @param {string} imageBase64 - Base64编码的图像数据
+ * @param {Object} recommendations - 增强建议配置，步骤配置的provider字段指定处理提供方
+ * @param {string} apiToken - API Token
+ * @param {Object} options - { provider, scores, client, invoker } provider为步骤未指定提供方时使用的提供方
+ * @returns {Promise<Object>} 处理结果（见runPipeline），每个步骤带attempts（模型调用次数）和last_error（最后一次失败调用的错误信息）
+ */
+export async function processAutopilotEnhance(imageBase64, recommendations, apiToken, options = {}) {
+  const pipeline = validatePipeline(pipelineFromRecommendations(recommendations), { provider: options.provider });
+  return runPipeline(pipeline, imageBase64, apiToken, { ...options, label: 'Autopilot自动增强' });
+}
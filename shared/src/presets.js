@@ -0,0 +1,373 @@
+/**
+ * 增强预设
+ * 预设是命名保存的增强流水线（步骤顺序、各步骤的类型、强度、倍数和模型，以及条件和失败策略）。
+ * 内置预设对所有人可用；用户预设按Clerk用户保存，只有创建者可以查看和修改，
+ * 生成分享链接后任何人都可以只读查看
+ */
+
+import crypto from 'crypto';
+import { validatePipeline, pipelineFromRecommendations } from './pipeline.js';
+import { resolveProviderName } from './providers.js';
+import { createHttpError } from './http-errors.js';
+
+// 每个用户最多保存的预设数
+export const MAX_PRESETS_PER_USER = 50;
+
+// 名称和说明的长度上限
+const MAX_NAME_LENGTH = 60;
+const MAX_DESCRIPTION_LENGTH = 200;
+
+// 分享令牌只允许安全字符
+const SHARE_TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+// 内置预设：未指定provider的步骤使用请求的处理提供方，超分失败时改用本地Lanczos
+export const BUILTIN_PRESETS = [
+  {
+    id: 'builtin-old-scan',
+    name: '老照片扫描修复',
+    description: '先修复细节再润色影调，小尺寸扫描件放大4倍并修复面部',
+    pipeline: {
+      steps: [
+        { id: 'detail', op: 'detail', params: { type: 'general', strength: 3 }, on_error: 'skip' },
+        { id: 'tone', op: 'tone', params: { type: 'auto', intensity: 1.2 }, on_error: 'skip' },
+        {
+          id: 'upscale',
+          op: 'upscale',
+          params: { model: 'real-esrgan', scale: 4, face_enhance: true },
+          when: { 'input.megapixels': { lt: 2 } },
+          on_error: 'fallback',
+          fallback: { provider: 'local', model: 'lanczos' }
+        }
+      ]
+    }
+  },
+  {
+    id: 'builtin-product-photo',
+    name: '商品图',
+    description: '只调整亮度以保留商品原色，细节不足时锐化文字和边缘，放大2倍',
+    pipeline: {
+      steps: [
+        { id: 'tone', op: 'tone', params: { type: 'general', intensity: 0.8, luminance_only: true }, on_error: 'skip' },
+        { id: 'detail', op: 'detail', params: { type: 'text', strength: 2 }, when: { 'scores.detail': { lt: 70 } }, on_error: 'skip' },
+        {
+          id: 'upscale',
+          op: 'upscale',
+          params: { model: 'real-esrgan', scale: 2 },
+          on_error: 'fallback',
+          fallback: { provider: 'local', model: 'lanczos' }
+        }
+      ]
+    }
+  },
+  {
+    id: 'builtin-night-scene',
+    name: '夜景',
+    description: '低光照增强，细节评分偏低时再做细节增强',
+    pipeline: {
+      steps: [
+        { id: 'tone', op: 'tone', params: { type: 'night', intensity: 1.2 } },
+        { id: 'detail', op: 'detail', params: { type: 'general', strength: 2 }, when: { 'scores.detail': { lt: 60 } }, on_error: 'skip' }
+      ]
+    }
+  }
+];
+
+/**
+ * 要求已登录
+ * @param {string} userId - 用户ID
+ */
+function assertSignedIn(userId) {
+  if (!userId) {
+    throw createHttpError('请先登录后再管理预设', 401);
+  }
+}
+
+/**
+ * 查找内置预设
+ * @param {string} id - 预设ID
+ * @returns {Object|null} 内置预设
+ */
+function findBuiltinPreset(id) {
+  return BUILTIN_PRESETS.find(preset => preset.id === id) || null;
+}
+
+/**
+ * 转换为对外返回的预设信息（不包含所有者和分享令牌以外的内部字段）
+ * @param {Object} preset - 预设记录或内置预设
+ * @returns {Object} 预设信息
+ */
+export function toPublicPreset(preset) {
+  if (findBuiltinPreset(preset.id)) {
+    return { ...preset, builtin: true, shared: false, share_url: null };
+  }
+  const { user_id, share_token, ...publicPreset } = preset;
+  return {
+    ...publicPreset,
+    builtin: false,
+    shared: Boolean(share_token),
+    share_url: share_token ? `/api/presets/shared/${share_token}` : null
+  };
+}
+
+/**
+ * 校验名称和说明
+ * @param {Object} body - { name, description }
+ * @param {boolean} partial - 是否为部分更新（未提供的字段不校验）
+ * @returns {Object} { name, description } 去掉首尾空白，未提供的字段不返回
+ */
+function validatePresetFields(body, partial) {
+  const fields = {};
+  if (!partial || body.name !== undefined) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      throw createHttpError(`预设名称不能为空且不超过${MAX_NAME_LENGTH}个字符`, 400);
+    }
+    fields.name = name;
+  }
+  if (body.description !== undefined && body.description !== null) {
+    if (typeof body.description !== 'string' || body.description.length > MAX_DESCRIPTION_LENGTH) {
+      throw createHttpError(`预设说明不超过${MAX_DESCRIPTION_LENGTH}个字符`, 400);
+    }
+    fields.description = body.description.trim();
+  } else if (!partial) {
+    fields.description = '';
+  }
+  return fields;
+}
+
+/**
+ * 校验并整理预设的流水线：pipeline为流水线定义，recommendations为Autopilot增强建议（按建议的步骤顺序保存）
+ * 参数按当前默认的处理提供方校验，保存时不写入默认提供方
+ * @param {Object} body - { pipeline, recommendations }
+ * @returns {Object} { steps: [{ id, op, params, when, on_error, fallback }] }
+ */
+function normalizePresetPipeline(body) {
+  const definition = body.pipeline ?? (body.recommendations ? pipelineFromRecommendations(body.recommendations) : undefined);
+  if (definition === undefined) {
+    throw createHttpError('缺少预设的流水线定义（pipeline或recommendations）', 400);
+  }
+
+  const { steps } = validatePipeline(definition, { provider: resolveProviderName() });
+  return {
+    steps: steps.map((step, index) => {
+      const source = definition.steps[index];
+      return {
+        id: step.id,
+        op: step.op,
+        params: source.params || {},
+        ...(step.when ? { when: step.when } : {}),
+        on_error: step.on_error,
+        ...(source.fallback ? { fallback: source.fallback } : {})
+      };
+    })
+  };
+}
+
+/**
+ * 读取用户自己的预设
+ * @param {Object} store - 预设存储
+ * @param {string} id - 预设ID
+ * @param {string} userId - 用户ID
+ * @returns {Promise<Object>} 预设记录，不存在或属于其他用户时抛出404
+ */
+async function getOwnPreset(store, id, userId) {
+  let preset;
+  try {
+    preset = await store.get(id);
+  } catch (error) {
+    throw createHttpError(error.message, 400);
+  }
+  if (!preset || preset.user_id !== userId) {
+    throw createHttpError(`预设不存在: ${id}`, 404);
+  }
+  return preset;
+}
+
+/**
+ * 列出用户的预设
+ * @param {Object} store - 预设存储
+ * @param {string} userId - 用户ID
+ * @returns {Promise<Array>} 预设记录，最近更新的在前
+ */
+async function listOwnPresets(store, userId) {
+  const presets = await store.listByUser(userId);
+  return presets
+    .sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+}
+
+/**
+ * 列出可用的预设 - 统一接口
+ * @param {Object} store - 预设存储
+ * @param {string} userId - 当前用户ID，匿名请求只返回内置预设
+ * @returns {Promise<Array>} 内置预设在前，其后为用户预设
+ */
+export async function listPresets(store, userId = null) {
+  const own = userId ? await listOwnPresets(store, userId) : [];
+  return [...BUILTIN_PRESETS, ...own].map(toPublicPreset);
+}
+
+/**
+ * 查询预设 - 统一接口
+ * @param {Object} store - 预设存储
+ * @param {string} id - 预设ID（内置预设或自己的预设）
+ * @param {string} userId - 当前用户ID
+ * @returns {Promise<Object>} 预设信息
+ */
+export async function getPreset(store, id, userId = null) {
+  const builtin = findBuiltinPreset(id);
+  if (builtin) {
+    return toPublicPreset(builtin);
+  }
+  assertSignedIn(userId);
+  return toPublicPreset(await getOwnPreset(store, id, userId));
+}
+
+/**
+ * 创建预设 - 统一接口
+ * @param {Object} store - 预设存储
+ * @param {string} userId - 用户ID
+ * @param {Object} body - { name, description, pipeline } 或 { name, description, recommendations }
+ * @returns {Promise<Object>} 预设信息
+ */
+export async function createPreset(store, userId, body = {}) {
+  assertSignedIn(userId);
+  const fields = validatePresetFields(body, false);
+  const pipeline = normalizePresetPipeline(body);
+
+  const own = await listOwnPresets(store, userId);
+  if (own.length >= MAX_PRESETS_PER_USER) {
+    throw createHttpError(`每个用户最多保存 ${MAX_PRESETS_PER_USER} 个预设`, 409);
+  }
+  if (own.some(preset => preset.name === fields.name)) {
+    throw createHttpError(`已存在同名预设: ${fields.name}`, 409);
+  }
+
+  const now = new Date().toISOString();
+  const preset = await store.create({
+    id: crypto.randomUUID(),
+    user_id: userId,
+    ...fields,
+    pipeline,
+    share_token: null,
+    created_at: now,
+    updated_at: now
+  });
+  console.log(`💾 用户 ${userId} 保存了预设 ${preset.id}（${preset.name}）`);
+  return toPublicPreset(preset);
+}
+
+/**
+ * 更新预设 - 统一接口
+ * 只更新请求中提供的字段，内置预设不能修改
+ * @param {Object} store - 预设存储
+ * @param {string} id - 预设ID
+ * @param {string} userId - 用户ID
+ * @param {Object} body - { name, description, pipeline, recommendations }
+ * @returns {Promise<Object>} 预设信息
+ */
+export async function updatePreset(store, id, userId, body = {}) {
+  if (findBuiltinPreset(id)) {
+    throw createHttpError('内置预设不能修改，请另存为自己的预设', 403);
+  }
+  assertSignedIn(userId);
+  const current = await getOwnPreset(store, id, userId);
+
+  const patch = validatePresetFields(body, true);
+  if (body.pipeline !== undefined || body.recommendations !== undefined) {
+    patch.pipeline = normalizePresetPipeline(body);
+  }
+  if (patch.name && patch.name !== current.name) {
+    const own = await listOwnPresets(store, userId);
+    if (own.some(preset => preset.id !== id && preset.name === patch.name)) {
+      throw createHttpError(`已存在同名预设: ${patch.name}`, 409);
+    }
+  }
+
+  const updated = await store.update(id, { ...patch, updated_at: new Date().toISOString() });
+  return toPublicPreset(updated);
+}
+
+/**
+ * 删除预设 - 统一接口
+ * @param {Object} store - 预设存储
+ * @param {string} id - 预设ID
+ * @param {string} userId - 用户ID
+ * @returns {Promise<void>}
+ */
+export async function deletePreset(store, id, userId) {
+  if (findBuiltinPreset(id)) {
+    throw createHttpError('内置预设不能删除', 403);
+  }
+  assertSignedIn(userId);
+  await getOwnPreset(store, id, userId);
+  await store.delete(id);
+  console.log(`🗑️ 用户 ${userId} 删除了预设 ${id}`);
+}
+
+/**
+ * 生成或撤销分享链接 - 统一接口
+ * 已分享的预设再次分享时沿用原链接；撤销后原链接失效，重新分享会生成新链接
+ * @param {Object} store - 预设存储
+ * @param {string} id - 预设ID
+ * @param {string} userId - 用户ID
+ * @param {boolean} shared - true生成分享链接，false撤销
+ * @returns {Promise<Object>} 预设信息，share_url为只读链接
+ */
+export async function setPresetSharing(store, id, userId, shared) {
+  if (findBuiltinPreset(id)) {
+    throw createHttpError('内置预设无需分享，所有用户都可以使用', 400);
+  }
+  assertSignedIn(userId);
+  const current = await getOwnPreset(store, id, userId);
+
+  const shareToken = shared ? (current.share_token || crypto.randomBytes(18).toString('base64url')) : null;
+  if (shareToken === current.share_token) {
+    return toPublicPreset(current);
+  }
+  const updated = await store.update(id, { share_token: shareToken });
+  console.log(`🔗 预设 ${id} 的分享链接已${shared ? '生成' : '撤销'}`);
+  return toPublicPreset(updated);
+}
+
+/**
+ * 通过分享链接查看预设 - 统一接口
+ * 不需要登录，返回的预设只读（不含ID和所有者）
+ * @param {Object} store - 预设存储
+ * @param {string} token - 分享令牌
+ * @returns {Promise<Object>} { name, description, pipeline, read_only, updated_at }
+ */
+export async function getSharedPreset(store, token) {
+  if (typeof token !== 'string' || !SHARE_TOKEN_PATTERN.test(token)) {
+    throw createHttpError('分享链接无效', 404);
+  }
+  const preset = await store.getByShareToken(token);
+  if (!preset) {
+    throw createHttpError('分享链接无效或已撤销', 404);
+  }
+  return {
+    name: preset.name,
+    description: preset.description,
+    pipeline: preset.pipeline,
+    read_only: true,
+    updated_at: preset.updated_at
+  };
+}
+
+/**
+ * 按preset_id展开流水线参数 - 统一接口
+ * 用于 /api/pipeline 和 pipeline 类型的任务：请求中的preset_id替换为预设的流水线定义
+ * @param {Object} store - 预设存储
+ * @param {Object} params - 请求参数 { preset_id, pipeline, ... }
+ * @param {string} userId - 当前用户ID
+ * @returns {Promise<Object>} 参数，带preset_id时pipeline为预设的流水线（名称为预设名称）
+ */
+export async function resolvePresetPipeline(store, params, userId) {
+  if (params.preset_id === undefined) {
+    return params;
+  }
+  if (params.pipeline !== undefined) {
+    throw createHttpError('preset_id和pipeline只能提供一个', 400);
+  }
+  const preset = await getPreset(store, params.preset_id, userId);
+  return { ...params, pipeline: { name: preset.name, steps: preset.pipeline.steps } };
+}
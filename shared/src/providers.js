@@ -0,0 +1,108 @@
+/**
+ * 处理提供方
+ * 增强步骤由可替换的提供方执行，每个提供方实现统一接口：
+ *   run(step, config, imageInput, context) 执行步骤，返回 { output, model, attempts, last_error }
+ *   cancel(predictionId, context) 取消进行中的处理
+ *   capabilities() 返回各步骤可用的模型（参数schema见模型注册表）
+ *   pricing(step, config) 返回步骤消耗的积分
+ * replicate使用托管的AI模型；local在CPU上用经典算法处理，不需要网络和API Token。
+ * 步骤配置中的provider字段指定提供方，未指定时按PROCESSING_PROVIDER环境变量，
+ * 仍未配置时有REPLICATE_API_TOKEN则使用replicate，否则使用local
+ */
+
+import { ReplicateProvider } from './replicate-provider.js';
+import { LocalProvider } from './local-provider.js';
+import { resolveModel, validateModelParams } from './model-registry.js';
+import { createHttpError } from './http-errors.js';
+
+export const PROVIDER_NAMES = ['replicate', 'local'];
+
+const PROVIDER_CLASSES = {
+  replicate: ReplicateProvider,
+  local: LocalProvider
+};
+
+const providers = new Map();
+
+/**
+ * 确定使用的提供方 - 统一接口
+ * @param {string} requested - 请求指定的提供方（可选）
+ * @returns {string} 提供方名称
+ */
+export function resolveProviderName(requested) {
+  if (requested !== undefined && requested !== null && requested !== '') {
+    if (!PROVIDER_NAMES.includes(requested)) {
+      throw createHttpError(`不支持的处理提供方: ${requested}，支持: ${PROVIDER_NAMES.join(', ')}`, 400);
+    }
+    return requested;
+  }
+
+  const configured = process.env.PROCESSING_PROVIDER;
+  if (configured) {
+    if (!PROVIDER_NAMES.includes(configured)) {
+      throw new Error(`PROCESSING_PROVIDER 配置无效: ${configured}，支持: ${PROVIDER_NAMES.join(', ')}`);
+    }
+    return configured;
+  }
+  return process.env.REPLICATE_API_TOKEN ? 'replicate' : 'local';
+}
+
+/**
+ * 获取提供方实例（在进程内复用） - 统一接口
+ * @param {string} name - 提供方名称，未指定时按resolveProviderName确定
+ * @returns {Object} 提供方
+ */
+export function getProvider(name) {
+  const resolved = resolveProviderName(name);
+  if (!providers.has(resolved)) {
+    providers.set(resolved, new PROVIDER_CLASSES[resolved]());
+  }
+  return providers.get(resolved);
+}
+
+/**
+ * 列出全部提供方的能力 - 统一接口
+ * @returns {Array} 各提供方的capabilities()，default标记当前默认提供方
+ */
+export function listProviders() {
+  const defaultName = resolveProviderName();
+  return PROVIDER_NAMES.map(name => ({ ...getProvider(name).capabilities(), default: name === defaultName }));
+}
+
+/**
+ * 按提供方的模型注册信息检查步骤配置，不支持时抛出400错误 - 统一接口
+ * @param {string} step - 步骤名称 ('tone', 'detail', 'upscale')
+ * @param {Object} config - 步骤配置，provider字段指定提供方，model字段指定模型（可选）
+ */
+export function validateStepConfig(step, config = {}) {
+  const model = resolveModel(step, getProvider(config.provider).name, config.model);
+  validateModelParams(model, config);
+}
+
+/**
+ * 计算步骤消耗的积分 - 统一接口
+ * @param {Object} step - { name, config } config.provider为提供方
+ * @returns {number} 积分
+ */
+export function getStepCredits(step) {
+  return getProvider(step.config?.provider).pricing(step.name, step.config || {});
+}
+
+/**
+ * 为增强建议的每个步骤指定提供方 - 统一接口
+ * @param {Object} recommendations - 增强建议 { priority, tone, detail, upscale }
+ * @param {string} provider - 提供方名称
+ * @returns {Object} 新的增强建议，已有provider字段的步骤保持不变
+ */
+export function withProvider(recommendations, provider) {
+  if (!recommendations) {
+    return recommendations;
+  }
+  const result = { ...recommendations };
+  (recommendations.priority || []).forEach((step) => {
+    if (result[step]) {
+      result[step] = { provider, ...result[step] };
+    }
+  });
+  return result;
+}
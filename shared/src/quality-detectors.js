@@ -0,0 +1,167 @@
+/**
+ * 图像质量问题检测
+ * 根据像素级指标和图像统计推导Autopilot评分使用的质量问题标签，
+ * 每个问题附带置信度(0.5-1.0)和判断所依据的证据
+ */
+
+// 各检测器的阈值：越过threshold即报告问题，到达severe时置信度为1
+export const DETECTOR_THRESHOLDS = {
+  underexposed: { mean_luminance: { threshold: 75, severe: 35 }, p95: { threshold: 100, severe: 60 } },
+  overexposed: { mean_luminance: { threshold: 180, severe: 220 }, highlights_clipped: { threshold: 0.05, severe: 0.2 } },
+  low_contrast: { rms: { threshold: 0.12, severe: 0.05 }, dynamic_range: { threshold: 110, severe: 50 } },
+  color_cast: { channel_deviation: { threshold: 0.12, severe: 0.3 } },
+  blurry: { sharpness: { threshold: 60, severe: 15 } },
+  soft_details: { sharpness: { threshold: 250, severe: 60 } },
+  noisy: { sigma: { threshold: 6, severe: 15 } },
+  compression_artifacts: { blockiness: { threshold: 1.15, severe: 1.6 } }
+};
+
+/**
+ * 计算越过阈值后的置信度
+ * threshold与severe的大小关系决定检测方向（severe小于threshold表示"越低越严重"）
+ * @param {number} value - 观测值
+ * @param {Object} limits - { threshold, severe }
+ * @returns {number} 置信度，未越过阈值时为0，否则在0.5-1.0之间
+ */
+function confidenceBeyond(value, { threshold, severe }) {
+  const direction = severe >= threshold ? 1 : -1;
+  const excess = (value - threshold) * direction;
+  if (!Number.isFinite(value) || excess <= 0) return 0;
+  const span = Math.abs(severe - threshold);
+  return Math.round((0.5 + 0.5 * Math.min(1, excess / span)) * 100) / 100;
+}
+
+/**
+ * 检测器定义：每个检测器返回 { confidence, evidence }，置信度为0表示未检测到
+ */
+const DETECTORS = {
+  underexposed: ({ stats, metrics }, limits) => {
+    const { mean, p95 } = stats.luminance;
+    return {
+      confidence: Math.max(confidenceBeyond(mean, limits.mean_luminance), confidenceBeyond(p95, limits.p95)),
+      evidence: {
+        mean_luminance: mean,
+        p95_luminance: p95,
+        shadows_clipped: metrics.exposure.details.shadows_clipped
+      }
+    };
+  },
+
+  overexposed: ({ stats, metrics }, limits) => {
+    const { mean } = stats.luminance;
+    const { highlights_clipped } = metrics.exposure.details;
+    return {
+      confidence: Math.max(
+        confidenceBeyond(mean, limits.mean_luminance),
+        confidenceBeyond(highlights_clipped, limits.highlights_clipped)
+      ),
+      evidence: {
+        mean_luminance: mean,
+        highlights_clipped
+      }
+    };
+  },
+
+  low_contrast: ({ stats, metrics }, limits) => {
+    const rms = metrics.contrast.value;
+    const dynamicRange = stats.luminance.p99 - stats.luminance.p1;
+    // 需要RMS对比度和动态范围同时偏低，避免大面积纯色背景被误判
+    return {
+      confidence: Math.min(confidenceBeyond(rms, limits.rms), confidenceBeyond(dynamicRange, limits.dynamic_range)),
+      evidence: {
+        rms_contrast: rms,
+        dynamic_range: dynamicRange
+      }
+    };
+  },
+
+  color_cast: ({ stats }, limits) => {
+    const { r, g, b } = stats.channel_means;
+    const gray = (r + g + b) / 3;
+    if (gray < 10) {
+      // 近乎全黑的图像无法可靠判断偏色
+      return { confidence: 0, evidence: { channel_means: stats.channel_means } };
+    }
+    const deviations = { r: (r - gray) / gray, g: (g - gray) / gray, b: (b - gray) / gray };
+    const [dominant, deviation] = Object.entries(deviations).reduce((max, entry) =>
+      Math.abs(entry[1]) > Math.abs(max[1]) ? entry : max
+    );
+    return {
+      confidence: confidenceBeyond(Math.abs(deviation), limits.channel_deviation),
+      evidence: {
+        channel_means: stats.channel_means,
+        dominant_channel: dominant,
+        channel_deviation: Math.round(deviation * 1000) / 1000
+      }
+    };
+  },
+
+  blurry: ({ metrics }, limits) => ({
+    confidence: confidenceBeyond(metrics.sharpness.value, limits.sharpness),
+    evidence: {
+      laplacian_variance: metrics.sharpness.value
+    }
+  }),
+
+  soft_details: ({ metrics }, limits) => {
+    const variance = metrics.sharpness.value;
+    // 已判定为模糊的图像不再重复报告细节偏软
+    const blurry = variance < DETECTOR_THRESHOLDS.blurry.sharpness.threshold;
+    return {
+      confidence: blurry ? 0 : confidenceBeyond(variance, limits.sharpness),
+      evidence: {
+        laplacian_variance: variance
+      }
+    };
+  },
+
+  noisy: ({ metrics }, limits) => ({
+    confidence: confidenceBeyond(metrics.noise.value, limits.sigma),
+    evidence: {
+      noise_sigma: metrics.noise.value
+    }
+  }),
+
+  compression_artifacts: ({ metrics, format }, limits) => ({
+    confidence: confidenceBeyond(metrics.blockiness.value, limits.blockiness),
+    evidence: {
+      blockiness_ratio: metrics.blockiness.value,
+      format
+    }
+  })
+};
+
+/**
+ * 检测图像质量问题 - 统一接口
+ * @param {Object} metricsResult - computeImageMetrics的结果 { metrics, stats }
+ * @param {string} format - 图像格式
+ * @returns {Object} { quality_issues: string[], issue_details: Array<{ issue, confidence, evidence }> }
+ */
+export function detectQualityIssues(metricsResult, format) {
+  // 仅有文件头指标时无法判断像素层面的问题
+  if (!metricsResult.stats) {
+    return { quality_issues: [], issue_details: [] };
+  }
+
+  const context = {
+    metrics: metricsResult.metrics,
+    stats: metricsResult.stats,
+    format
+  };
+
+  const issueDetails = [];
+  for (const [issue, detect] of Object.entries(DETECTORS)) {
+    const { confidence, evidence } = detect(context, DETECTOR_THRESHOLDS[issue]);
+    if (confidence > 0) {
+      issueDetails.push({ issue, confidence, evidence });
+    }
+  }
+
+  // 按置信度从高到低排列
+  issueDetails.sort((a, b) => b.confidence - a.confidence);
+
+  return {
+    quality_issues: issueDetails.map(detail => detail.issue),
+    issue_details: issueDetails
+  };
+}
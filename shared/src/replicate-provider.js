@@ -0,0 +1,226 @@
+/**
+ * Replicate处理提供方
+ * 通过Replicate托管的AI模型执行增强：影调和细节增强使用MAXIM，超分使用Real-ESRGAN或Aura SR v2。
+ * 模型版本、参数schema和输入映射来自模型注册表（model-registry.js）。
+ * MAXIM不使用强度参数，影调和细节增强的输出按强度与原图混合后作为步骤结果。
+ * 模型调用经过重试与熔断（replicate-invoker.js），Webhook模式下可只创建预测、由回调完成步骤
+ */
+
+import Replicate from 'replicate';
+import { createReplicateInvoker } from './replicate-invoker.js';
+import { getStepCost } from './credits.js';
+import { parseImageHeader } from './image-header.js';
+import { loadImage, encodePngDataUrl, blendImages } from './image-processing.js';
+import {
+  describeProviderModels,
+  resolveModel,
+  validateModelParams,
+  assertInputSize,
+  buildModelInput,
+  getBlendOptions
+} from './model-registry.js';
+
+/**
+ * 初始化Replicate客户端
+ * 设置REPLICATE_API_BASE_URL时连接到指定地址（例如本地的Replicate替身服务器）
+ * @param {string} apiToken - Replicate API Token
+ * @returns {Object} Replicate客户端实例
+ */
+export function createReplicateClient(apiToken) {
+  if (!apiToken) {
+    throw new Error('REPLICATE_API_TOKEN is required');
+  }
+  return new Replicate({
+    auth: apiToken,
+    baseUrl: process.env.REPLICATE_API_BASE_URL || undefined
+  });
+}
+
+// 进程内共用的调用器，同一模型的熔断状态在所有请求间共享
+let defaultInvoker = null;
+
+/**
+ * 获取默认的Replicate调用器（重试与熔断），首次使用时按环境变量创建 - 统一接口
+ * @returns {Object} ReplicateInvoker
+ */
+export function getReplicateInvoker() {
+  if (!defaultInvoker) {
+    defaultInvoker = createReplicateInvoker();
+  }
+  return defaultInvoker;
+}
+
+/**
+ * 调用模型并等待输出，可重试的错误自动重试，模型熔断时直接失败
+ * @param {string} apiToken - API Token
+ * @param {string} modelId - 模型ID（owner/name:version）
+ * @param {Object} modelInput - 模型输入
+ * @param {Function} onProgress - 预测状态更新回调（可选）
+ * @param {Object} options - { client, invoker } 替换Replicate客户端和调用器，用于测试
+ * @returns {Promise<Object>} { output, attempts, last_error }
+ */
+async function runModel(apiToken, modelId, modelInput, onProgress, { client, invoker } = {}) {
+  const replicate = client || createReplicateClient(apiToken);
+  return (invoker || getReplicateInvoker()).invoke(modelId, (signal) => (
+    replicate.run(modelId, { input: modelInput, ...(signal ? { signal } : {}) }, onProgress)
+  ));
+}
+
+/**
+ * 创建Replicate预测（不等待结果），预测开始、输出日志和完成时Replicate回调webhook地址
+ * 创建请求遇到可重试的错误时自动重试，模型熔断时直接失败
+ * @param {string} apiToken - API Token
+ * @param {string} modelId - 模型ID（owner/name:version）
+ * @param {Object} modelInput - 模型输入
+ * @param {string} webhookUrl - Webhook回调地址
+ * @param {Object} options - { client, invoker } 替换Replicate客户端和调用器，用于测试
+ * @returns {Promise<Object>} 预测对象
+ */
+export async function createPrediction(apiToken, modelId, modelInput, webhookUrl, { client, invoker } = {}) {
+  const version = modelId.split(':')[1];
+  if (!version) {
+    throw new Error(`模型ID缺少版本号: ${modelId}`);
+  }
+
+  const replicate = client || createReplicateClient(apiToken);
+  const { output } = await (invoker || getReplicateInvoker()).invoke(modelId, () => replicate.predictions.create({
+    version,
+    input: modelInput,
+    webhook: webhookUrl,
+    webhook_events_filter: ['start', 'logs', 'completed']
+  }));
+  return output;
+}
+
+/**
+ * 取消Replicate预测
+ * @param {string} apiToken - API Token
+ * @param {string} predictionId - 预测ID
+ * @returns {Promise<Object>} 预测对象
+ */
+export async function cancelPrediction(apiToken, predictionId) {
+  const replicate = createReplicateClient(apiToken);
+  return replicate.predictions.cancel(predictionId);
+}
+
+/**
+ * 读取Base64输入图像的像素数（百万），URL或无法解析时返回null
+ * @param {string} imageInput - 图像输入
+ * @returns {number|null} 百万像素
+ */
+function inputMegapixels(imageInput) {
+  if (typeof imageInput !== 'string' || /^https?:\/\//.test(imageInput)) {
+    return null;
+  }
+  try {
+    const { width, height } = parseImageHeader(Buffer.from(imageInput.replace(/^data:[^;,]+;base64,/i, ''), 'base64'));
+    return (width * height) / 1000000;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Replicate处理提供方
+ */
+export class ReplicateProvider {
+  constructor() {
+    this.name = 'replicate';
+  }
+
+  /**
+   * 查询支持的步骤和参数 - 统一接口
+   * @returns {Object} { name, label, remote, async_predictions, requires_token, steps }
+   */
+  capabilities() {
+    return {
+      name: this.name,
+      label: 'Replicate AI模型',
+      remote: true,
+      async_predictions: true,
+      requires_token: true,
+      steps: describeProviderModels(this.name)
+    };
+  }
+
+  /**
+   * 计算步骤消耗的积分 - 统一接口
+   * @param {string} step - 步骤名称
+   * @param {Object} config - 步骤配置
+   * @returns {number} 积分（按模型成本表）
+   */
+  pricing(step, config = {}) {
+    return getStepCost({ name: step, config });
+  }
+
+  /**
+   * 构建步骤的模型调用（不执行）
+   * 按模型schema校验参数和输入尺寸；超分未指定face_enhance时默认开启
+   * @param {string} step - 步骤名称 ('tone', 'detail', 'upscale')
+   * @param {Object} config - 步骤配置，model字段指定模型（可选）
+   * @param {string} imageInput - 当前图像（Base64或URL）
+   * @returns {Object} { modelId, modelInput, model } model为注册表中的模型定义
+   */
+  prepare(step, config, imageInput) {
+    const model = resolveModel(step, this.name, config.model);
+    const params = validateModelParams(model, step === 'upscale' ? { ...config, face_enhance: config.face_enhance ?? true } : config);
+    assertInputSize(model, inputMegapixels(imageInput));
+    return { ...buildModelInput(model, params, imageInput), model };
+  }
+
+  /**
+   * 执行增强步骤并等待模型输出 - 统一接口
+   * @param {string} step - 步骤名称 ('tone', 'detail', 'upscale')
+   * @param {Object} config - 步骤配置
+   * @param {string} imageInput - 当前图像（Base64或URL）
+   * @param {Object} context - { apiToken, onProgress, client, invoker }
+   * @returns {Promise<Object>} { output, blend, model, attempts, last_error } output为结果图像URL（按强度混合后为PNG data URL），
+   *   blend为混合参数，model为超分模型ID或MAXIM任务类型
+   */
+  async run(step, config, imageInput, { apiToken, onProgress, client, invoker } = {}) {
+    const { modelId, modelInput, model } = this.prepare(step, config, imageInput);
+    const { output, attempts, last_error } = await runModel(apiToken, modelId, modelInput, onProgress, { client, invoker });
+    const finished = await this.finish(step, config, imageInput, output);
+    return { ...finished, model: step === 'upscale' ? model.id : modelInput.model, attempts, last_error };
+  }
+
+  /**
+   * 按强度混合模型输出与原图
+   * 模型不使用强度参数时（见模型注册表的blend），输出按权重与原图混合，结果为PNG data URL；
+   * 权重为1且不只混合亮度时直接使用模型输出。图像无法在本地解码（如WEBP）时保留模型输出
+   * @param {string} step - 步骤名称 ('tone', 'detail', 'upscale')
+   * @param {Object} config - 步骤配置
+   * @param {string} imageInput - 步骤的输入图像（Base64或URL）
+   * @param {any} output - 模型输出
+   * @returns {Promise<Object>} { output, blend } blend为 { weight, luminance_only, applied }，不需要混合的模型为null
+   */
+  async finish(step, config, imageInput, output) {
+    const model = resolveModel(step, this.name, config.model);
+    const blend = getBlendOptions(model, validateModelParams(model, config));
+    if (!blend || (blend.weight === 1 && !blend.luminance_only)) {
+      return { output, blend: blend && { ...blend, applied: false } };
+    }
+
+    try {
+      const [base, processed] = await Promise.all([
+        loadImage(imageInput),
+        loadImage(Array.isArray(output) ? output[0] : output)
+      ]);
+      const blended = blendImages(base, processed, blend.weight, { luminanceOnly: blend.luminance_only });
+      return { output: encodePngDataUrl(blended), blend: { ...blend, applied: true } };
+    } catch (error) {
+      console.warn(`⚠️ ${step}结果未按强度混合，使用模型输出: ${error.message}`);
+      return { output, blend: { ...blend, applied: false } };
+    }
+  }
+
+  /**
+   * 取消进行中的预测 - 统一接口
+   * @param {string} predictionId - 预测ID
+   * @param {Object} context - { apiToken }
+   * @returns {Promise<Object>} 预测对象
+   */
+  async cancel(predictionId, { apiToken } = {}) {
+    return cancelPrediction(apiToken, predictionId);
+  }
+}
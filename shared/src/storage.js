@@ -0,0 +1,259 @@
+/**
+ * 对象存储
+ * 处理结果通过统一的存储接口读写，便于替换为其他存储后端：
+ *   put(key, body, { contentType, metadata }) / get(key) / head(key)
+ * 所有方法均返回Promise，内置本地文件存储和S3兼容存储（AWS S3、MinIO、R2等）两种实现
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+
+// 支持的存储类型
+export const STORAGE_TYPES = ['local', 's3'];
+
+// 对象键只允许安全字符，防止本地存储被路径穿越
+const KEY_PATTERN = /^[A-Za-z0-9_-]+(\/[A-Za-z0-9_-]+)*\.[A-Za-z0-9]+$/;
+
+/**
+ * 校验对象键
+ * @param {string} key - 对象键
+ */
+function assertKey(key) {
+  if (typeof key !== 'string' || key.length > 256 || !KEY_PATTERN.test(key)) {
+    throw new Error(`无效的对象键: ${key}`);
+  }
+}
+
+/**
+ * 本地文件存储 - 适用于本地开发和单实例部署，元数据保存在同名的 .meta.json 文件中
+ */
+export class LocalStorage {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  filePath(key) {
+    assertKey(key);
+    return path.join(this.dir, key);
+  }
+
+  async put(key, body, { contentType = 'application/octet-stream', metadata = {} } = {}) {
+    const file = this.filePath(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+    // 先写临时文件再重命名，避免读取到写了一半的文件
+    const tmpFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await fs.promises.writeFile(tmpFile, body);
+    await fs.promises.rename(tmpFile, file);
+    await fs.promises.writeFile(`${file}.meta.json`, JSON.stringify({ contentType, metadata }));
+    return { key, size: body.length };
+  }
+
+  async head(key) {
+    const file = this.filePath(key);
+    try {
+      const [stat, meta] = await Promise.all([
+        fs.promises.stat(file),
+        fs.promises.readFile(`${file}.meta.json`, 'utf8')
+      ]);
+      const { contentType, metadata } = JSON.parse(meta);
+      return { key, size: stat.size, contentType, metadata };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new Error(`读取对象信息失败: ${error.message}`);
+    }
+  }
+
+  async get(key) {
+    const info = await this.head(key);
+    if (!info) {
+      return null;
+    }
+    return { ...info, body: await fs.promises.readFile(this.filePath(key)) };
+  }
+}
+
+/**
+ * 计算SHA-256摘要
+ * @param {string|Buffer} data - 数据
+ * @returns {string} 十六进制摘要
+ */
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * 按RFC 3986编码URI路径的每一段
+ * @param {string} pathname - URL路径
+ * @returns {string} 编码后的路径
+ */
+function encodePath(pathname) {
+  return pathname
+    .split('/')
+    .map(segment => encodeURIComponent(decodeURIComponent(segment)).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`))
+    .join('/');
+}
+
+/**
+ * 计算AWS Signature Version 4签名，返回需要附加的请求头
+ * @param {Object} request - { method, url, headers, body }
+ * @param {Object} credentials - { accessKeyId, secretAccessKey, region, service }
+ * @param {Date} now - 签名时间
+ * @returns {Object} 包含Authorization、x-amz-date、x-amz-content-sha256的完整请求头
+ */
+export function signAwsRequest({ method, url, headers = {}, body = '' }, { accessKeyId, secretAccessKey, region, service = 's3' }, now = new Date()) {
+  const target = new URL(url);
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+
+  const signedHeaders = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+    host: target.host,
+    'x-amz-date': amzDate,
+    'x-amz-content-sha256': sha256Hex(body)
+  };
+  const headerNames = Object.keys(signedHeaders).sort();
+
+  const canonicalQuery = [...target.searchParams]
+    .map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`)
+    .sort()
+    .join('&');
+
+  const canonicalRequest = [
+    method.toUpperCase(),
+    encodePath(target.pathname),
+    canonicalQuery,
+    headerNames.map(name => `${name}:${signedHeaders[name]}\n`).join(''),
+    headerNames.join(';'),
+    signedHeaders['x-amz-content-sha256']
+  ].join('\n');
+
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  const signingKey = [dateStamp, region, service, 'aws4_request']
+    .reduce((key, part) => crypto.createHmac('sha256', key).update(part).digest(), `AWS4${secretAccessKey}`);
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...signedHeaders,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${headerNames.join(';')}, Signature=${signature}`
+  };
+}
+
+/**
+ * S3兼容存储 - 通过SigV4签名的REST请求读写对象，元数据保存为 x-amz-meta-* 头
+ * 设置endpoint时使用路径形式（MinIO、本地替身服务器），否则使用AWS虚拟主机形式
+ */
+export class S3Storage {
+  constructor({ bucket, region = 'us-east-1', endpoint, accessKeyId, secretAccessKey }) {
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3存储需要配置S3_BUCKET、S3_ACCESS_KEY_ID和S3_SECRET_ACCESS_KEY');
+    }
+    this.bucket = bucket;
+    this.credentials = { accessKeyId, secretAccessKey, region, service: 's3' };
+    this.baseUrl = endpoint
+      ? `${endpoint.replace(/\/+$/, '')}/${bucket}`
+      : `https://${bucket}.s3.${region}.amazonaws.com`;
+  }
+
+  async request(method, key, { headers = {}, body } = {}) {
+    assertKey(key);
+    const url = `${this.baseUrl}/${key}`;
+    const signedHeaders = signAwsRequest({ method, url, headers, body: body || '' }, this.credentials);
+    return fetch(url, { method, headers: signedHeaders, body });
+  }
+
+  async put(key, body, { contentType = 'application/octet-stream', metadata = {} } = {}) {
+    const headers = { 'content-type': contentType };
+    Object.entries(metadata).forEach(([name, value]) => {
+      headers[`x-amz-meta-${name.toLowerCase()}`] = encodeURIComponent(String(value));
+    });
+
+    const response = await this.request('PUT', key, { headers, body });
+    if (!response.ok) {
+      throw new Error(`上传对象失败: ${response.status} ${await response.text()}`);
+    }
+    return { key, size: body.length };
+  }
+
+  /**
+   * 从响应头中提取对象信息
+   * @param {string} key - 对象键
+   * @param {Response} response - fetch响应
+   * @returns {Object} { key, size, contentType, metadata }
+   */
+  describe(key, response) {
+    const metadata = {};
+    response.headers.forEach((value, name) => {
+      if (name.startsWith('x-amz-meta-')) {
+        metadata[name.slice('x-amz-meta-'.length)] = decodeURIComponent(value);
+      }
+    });
+    return {
+      key,
+      size: Number(response.headers.get('content-length')) || 0,
+      contentType: response.headers.get('content-type') || 'application/octet-stream',
+      metadata
+    };
+  }
+
+  async head(key) {
+    const response = await this.request('HEAD', key);
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`读取对象信息失败: ${response.status}`);
+    }
+    return this.describe(key, response);
+  }
+
+  async get(key) {
+    const response = await this.request('GET', key);
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`读取对象失败: ${response.status} ${await response.text()}`);
+    }
+    const body = Buffer.from(await response.arrayBuffer());
+    return { ...this.describe(key, response), size: body.length, body };
+  }
+}
+
+/**
+ * 根据配置创建对象存储
+ * Vercel上（VERCEL_ENV为development的本地开发除外）拒绝local存储，必须配置s3
+ * @param {Object} options - { type, dir } 未提供时读取 STORAGE_DRIVER / STORAGE_DIR 环境变量，
+ *   S3存储读取 S3_BUCKET、S3_REGION、S3_ENDPOINT、S3_ACCESS_KEY_ID、S3_SECRET_ACCESS_KEY
+ * @returns {Object} 对象存储实例
+ */
+export function createStorage(options = {}) {
+  const type = options.type || process.env.STORAGE_DRIVER || 'local';
+  if (type === 'local' && process.env.VERCEL === '1' && process.env.VERCEL_ENV !== 'development') {
+    throw new Error(
+      '对象存储在Vercel上不能使用local存储：函数实例的文件系统不持久也不共享。' +
+      '请设置 STORAGE_DRIVER=s3 和S3存储桶（S3_BUCKET等）'
+    );
+  }
+
+  switch (type) {
+    case 'local':
+      return new LocalStorage(options.dir || process.env.STORAGE_DIR || path.join(os.tmpdir(), 'image-quality-outputs'));
+    case 's3':
+      return new S3Storage({
+        bucket: options.bucket || process.env.S3_BUCKET,
+        region: options.region || process.env.S3_REGION || 'us-east-1',
+        endpoint: options.endpoint || process.env.S3_ENDPOINT,
+        accessKeyId: options.accessKeyId || process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: options.secretAccessKey || process.env.S3_SECRET_ACCESS_KEY
+      });
+    default:
+      throw new Error(`不支持的存储类型: ${type}。支持的类型: ${STORAGE_TYPES.join(', ')}`);
+  }
+}
@@ -0,0 +1,430 @@
+/**
+ * 图像上传解析
+ * 处理接口除Base64 JSON外还接受 multipart/form-data（图像放在image字段）和原始 image/* 请求体，
+ * 批量接口还接受ZIP压缩包。上传内容先流式写入临时目录，大小和类型在写入前后都会检查，
+ * 最终转换为与JSON请求相同的参数结构
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { formidable, errors } from 'formidable';
+import { detectImageFormat } from './image-header.js';
+import { ZipReader, normalizeZipPath } from './zip.js';
+import { createHttpError } from './http-errors.js';
+
+// 默认的上传大小上限（字节），可通过UPLOAD_MAX_BYTES覆盖
+export const UPLOAD_MAX_BYTES = 20 * 1024 * 1024;
+
+// 允许上传的图像类型，与validateImageData支持的格式一致
+export const UPLOAD_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/bmp', 'image/tiff'];
+
+// 批量上传的总大小上限（字节），可通过BATCH_UPLOAD_MAX_BYTES覆盖；ZIP压缩包按解压后的总大小计算
+export const BATCH_UPLOAD_MAX_BYTES = 200 * 1024 * 1024;
+
+// 批量接口接受的ZIP压缩包类型（文件名以.zip结尾的application/octet-stream也按压缩包处理）
+export const ZIP_UPLOAD_TYPES = ['application/zip', 'application/x-zip-compressed'];
+
+// 压缩包中按图像处理的扩展名，其他条目跳过
+const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'webp', 'gif', 'bmp', 'tif', 'tiff'];
+
+// multipart请求中除图像外的表单字段总大小上限
+const MAX_FIELDS_BYTES = 1024 * 1024;
+
+/**
+ * 读取上传配置
+ * @param {Object} options - { maxBytes, tmpDir }
+ * @returns {Object} { maxBytes, tmpDir }
+ */
+function resolveUploadOptions(options) {
+  return {
+    maxBytes: options.maxBytes || Number(process.env.UPLOAD_MAX_BYTES) || UPLOAD_MAX_BYTES,
+    tmpDir: options.tmpDir || process.env.UPLOAD_TMP_DIR || os.tmpdir()
+  };
+}
+
+/**
+ * 提取请求的MIME类型（去掉charset、boundary等参数）
+ * @param {string} header - Content-Type头
+ * @returns {string} 小写的MIME类型
+ */
+function getMimeType(header) {
+  return String(header || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * 生成超出大小限制的错误
+ * @param {number} maxBytes - 大小上限
+ * @returns {Error} 带413状态码的错误
+ */
+function tooLargeError(maxBytes) {
+  return createHttpError(`图像文件过大，最大支持 ${(maxBytes / 1024 / 1024).toFixed(1)}MB`, 413);
+}
+
+/**
+ * 检查声明的图像类型
+ * @param {string} mimeType - MIME类型
+ */
+function assertImageType(mimeType) {
+  if (!UPLOAD_IMAGE_TYPES.includes(mimeType)) {
+    throw createHttpError(`不支持的图像类型: ${mimeType || '未知'}。支持的类型: ${UPLOAD_IMAGE_TYPES.join(', ')}`, 415);
+  }
+}
+
+/**
+ * 表单和查询参数都是字符串，能按JSON解析的值（数字、布尔值、增强建议对象）按JSON解析
+ * @param {string} value - 参数值
+ * @returns {any} 解析后的值
+ */
+function parseFieldValue(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * 把multipart表单字段转换为参数
+ * @param {Object} fields - formidable解析的表单字段
+ * @returns {Object} 参数
+ */
+function parseFormFields(fields) {
+  return Object.fromEntries(
+    Object.entries(fields).map(([key, values]) => [key, parseFieldValue(Array.isArray(values) ? values[0] : values)])
+  );
+}
+
+/**
+ * 读取临时文件并转换为data URL，图像类型以文件头魔数为准
+ * @param {string} filePath - 临时文件路径
+ * @returns {Promise<string>} data URL格式的图像数据
+ */
+async function readImageAsDataUrl(filePath) {
+  try {
+    const buffer = await fs.promises.readFile(filePath);
+    const format = detectImageFormat(buffer);
+    if (format === 'unknown') {
+      throw createHttpError('上传的文件不是支持的图像格式', 415);
+    }
+    return `data:image/${format};base64,${buffer.toString('base64')}`;
+  } finally {
+    await fs.promises.rm(filePath, { force: true });
+  }
+}
+
+/**
+ * 解析multipart/form-data上传：图像取image字段（没有时取第一个文件），其余字段作为参数
+ * @param {Object} req - Node.js请求对象
+ * @param {Object} options - { maxBytes, tmpDir }
+ * @returns {Promise<Object>} 请求参数（包含imageBase64）
+ */
+async function parseMultipartUpload(req, { maxBytes, tmpDir }) {
+  let rejectedType = null;
+  let imageCount = 0;
+  const form = formidable({
+    uploadDir: tmpDir,
+    maxFileSize: maxBytes,
+    maxTotalFileSize: maxBytes,
+    maxFieldsSize: MAX_FIELDS_BYTES,
+    allowEmptyFiles: false,
+    // 类型不符的文件和第一个之后的图像不会写入磁盘。
+    // 文件数量不使用formidable的maxFiles限制：超出时正在创建的临时文件不会被删除
+    filter: ({ mimetype }) => {
+      if (!UPLOAD_IMAGE_TYPES.includes(getMimeType(mimetype))) {
+        rejectedType = rejectedType || mimetype || '未知';
+        return false;
+      }
+      imageCount += 1;
+      return imageCount === 1;
+    }
+  });
+
+  let fields;
+  let files;
+  try {
+    [fields, files] = await form.parse(req);
+  } catch (error) {
+    if (error.code === errors.biggerThanMaxFileSize || error.code === errors.biggerThanTotalMaxFileSize) {
+      throw tooLargeError(maxBytes);
+    }
+    throw createHttpError(`上传解析失败: ${error.message}`, error.httpCode || 400);
+  }
+
+  const file = files.image?.[0] || Object.values(files).flat()[0];
+  if (imageCount > 1) {
+    await fs.promises.rm(file.filepath, { force: true });
+    throw createHttpError('每次只能上传一个图像文件', 400);
+  }
+  if (!file) {
+    if (rejectedType) {
+      assertImageType(getMimeType(rejectedType));
+    }
+    throw createHttpError('缺少图像文件，请在image字段上传图像', 400);
+  }
+
+  return { ...parseFormFields(fields), imageBase64: await readImageAsDataUrl(file.filepath) };
+}
+
+/**
+ * 把原始请求体流式写入临时文件，超出大小上限时中止
+ * @param {Object} req - Node.js请求对象
+ * @param {string} tmpDir - 临时目录
+ * @param {number} maxBytes - 大小上限
+ * @param {Function} tooLarge - 生成超出上限错误的函数
+ * @returns {Promise<Object>} { filePath, received }
+ */
+async function writeRequestToTempFile(req, tmpDir, maxBytes, tooLarge) {
+  const filePath = path.join(tmpDir, `upload-${crypto.randomUUID()}`);
+  let received = 0;
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      callback(received > maxBytes ? tooLarge() : null, chunk);
+    }
+  });
+
+  try {
+    await pipeline(req, limiter, fs.createWriteStream(filePath));
+  } catch (error) {
+    await fs.promises.rm(filePath, { force: true });
+    throw error.statusCode ? error : createHttpError(`上传读取失败: ${error.message}`, 400);
+  }
+  return { filePath, received };
+}
+
+/**
+ * 读取查询字符串参数
+ * @param {Object} req - Node.js请求对象
+ * @returns {Object} 参数
+ */
+function parseQueryParams(req) {
+  const query = new URL(req.url || '/', 'http://localhost').searchParams;
+  return Object.fromEntries([...query].map(([key, value]) => [key, parseFieldValue(value)]));
+}
+
+/**
+ * 解析原始image/*请求体，其余参数从查询字符串读取
+ * @param {Object} req - Node.js请求对象
+ * @param {string} mimeType - 请求的MIME类型
+ * @param {Object} options - { maxBytes, tmpDir }
+ * @returns {Promise<Object>} 请求参数（包含imageBase64）
+ */
+async function parseRawImageUpload(req, mimeType, { maxBytes, tmpDir }) {
+  assertImageType(mimeType);
+
+  const { filePath, received } = await writeRequestToTempFile(req, tmpDir, maxBytes, () => tooLargeError(maxBytes));
+  if (received === 0) {
+    await fs.promises.rm(filePath, { force: true });
+    throw createHttpError('缺少图像数据，请求体为空', 400);
+  }
+
+  return { ...parseQueryParams(req), imageBase64: await readImageAsDataUrl(filePath) };
+}
+
+/**
+ * 解析图像上传请求 - 统一接口
+ * multipart/form-data 和 image/* 请求返回与JSON请求体相同结构的参数，其他请求返回null，
+ * 由调用方继续按JSON处理（保留Base64上传方式）。Content-Length超出上限时不读取请求体直接拒绝
+ * @param {Object} req - Node.js请求对象（Express与Vercel通用，请求体尚未被读取）
+ * @param {Object} options - { maxBytes, tmpDir }
+ * @returns {Promise<Object|null>} 请求参数
+ */
+export async function parseImageUpload(req, options = {}) {
+  const mimeType = getMimeType(req.headers['content-type']);
+  const isMultipart = mimeType === 'multipart/form-data';
+  if (!isMultipart && !mimeType.startsWith('image/')) {
+    return null;
+  }
+
+  const uploadOptions = resolveUploadOptions(options);
+  const contentLength = Number(req.headers['content-length']);
+  // multipart请求体还包含分隔符和表单字段
+  const maxRequestBytes = uploadOptions.maxBytes + (isMultipart ? MAX_FIELDS_BYTES : 0);
+  if (Number.isFinite(contentLength) && contentLength > maxRequestBytes) {
+    throw tooLargeError(uploadOptions.maxBytes);
+  }
+
+  return isMultipart
+    ? parseMultipartUpload(req, uploadOptions)
+    : parseRawImageUpload(req, mimeType, uploadOptions);
+}
+
+/**
+ * 判断上传的文件是否为ZIP压缩包
+ * @param {string} mimeType - 声明的MIME类型
+ * @param {string} filename - 文件名
+ * @returns {boolean} 是否为压缩包
+ */
+function isZipUpload(mimeType, filename) {
+  return ZIP_UPLOAD_TYPES.includes(getMimeType(mimeType)) || /\.zip$/i.test(filename || '');
+}
+
+/**
+ * 解压ZIP压缩包中的图像：条目逐个读取，路径保留压缩包内的目录结构。
+ * 目录以外的非图像条目、加密条目、超出单个文件上限和内容不是图像的条目跳过并记录原因
+ * @param {string} filePath - 压缩包临时文件路径
+ * @param {string} archiveName - 压缩包名称（用于错误信息）
+ * @param {Object} limits - { maxBytes, maxFiles, budget } budget为剩余的解压总字节数 { remaining, maxTotalBytes }
+ * @param {Object} result - { images, skipped } 解压结果追加到其中
+ * @returns {Promise<void>}
+ */
+async function extractZipImages(filePath, archiveName, { maxBytes, maxFiles, budget }, { images, skipped }) {
+  let zip;
+  try {
+    zip = await ZipReader.open(filePath);
+  } catch (error) {
+    throw createHttpError(`${archiveName}: ${error.message}`, 400);
+  }
+
+  try {
+    for (const entry of zip.entries) {
+      const name = normalizeZipPath(entry.name);
+      if (entry.directory || !name) {
+        continue;
+      }
+
+      const extension = name.split('.').pop().toLowerCase();
+      if (!name.includes('.') || !IMAGE_EXTENSIONS.includes(extension)) {
+        skipped.push({ name, reason: '不是图像文件' });
+        continue;
+      }
+      if (images.length >= maxFiles) {
+        throw createHttpError(`每批最多上传 ${maxFiles} 张图像`, 400);
+      }
+      // 按声明大小预先检查总量，读取时再按实际大小限制
+      if (entry.size <= maxBytes && entry.size > budget.remaining) {
+        throw createHttpError(`上传内容过大，批量上传解压后最大支持 ${(budget.maxTotalBytes / 1024 / 1024).toFixed(1)}MB`, 413);
+      }
+
+      let buffer;
+      try {
+        buffer = await zip.readEntry(entry, { maxBytes });
+      } catch (error) {
+        skipped.push({ name, reason: error.message });
+        continue;
+      }
+
+      const format = detectImageFormat(buffer);
+      if (format === 'unknown') {
+        skipped.push({ name, reason: '文件内容不是支持的图像格式' });
+        continue;
+      }
+      budget.remaining -= buffer.length;
+      images.push({ name, imageBase64: `data:image/${format};base64,${buffer.toString('base64')}` });
+    }
+  } finally {
+    await zip.close();
+  }
+}
+
+/**
+ * 解析批量图像上传 - 统一接口
+ * multipart/form-data 请求中的每个文件作为一张图像（文件名可以带相对路径，如 folder/photo.jpg），
+ * 其中的ZIP压缩包解压为多张图像并保留压缩包内的目录结构；请求体也可以直接是ZIP压缩包（参数放在查询字符串）。
+ * 类型不受支持或内容不是图像的文件和压缩包条目跳过并记录在skipped中，
+ * 单个图像文件超出大小上限时整个请求返回413（压缩包内的条目跳过）。其他请求返回null，由调用方按JSON处理
+ * @param {Object} req - Node.js请求对象（Express与Vercel通用，请求体尚未被读取）
+ * @param {Object} options - { maxBytes, maxTotalBytes, maxFiles, tmpDir } maxBytes为单个图像上限，maxTotalBytes为上传和解压后的总量上限
+ * @returns {Promise<Object|null>} 请求参数 { ...表单字段, images: [{ name, imageBase64 }], skipped: [{ name, reason }] }
+ */
+export async function parseBatchUpload(req, options = {}) {
+  const mimeType = getMimeType(req.headers['content-type']);
+  const isMultipart = mimeType === 'multipart/form-data';
+  if (!isMultipart && !ZIP_UPLOAD_TYPES.includes(mimeType)) {
+    return null;
+  }
+
+  const { maxBytes, tmpDir } = resolveUploadOptions(options);
+  const maxTotalBytes = options.maxTotalBytes || Number(process.env.BATCH_UPLOAD_MAX_BYTES) || BATCH_UPLOAD_MAX_BYTES;
+  const maxFiles = options.maxFiles || Infinity;
+  const batchTooLargeError = () => createHttpError(`上传内容过大，批量上传最大支持 ${(maxTotalBytes / 1024 / 1024).toFixed(1)}MB`, 413);
+  const contentLength = Number(req.headers['content-length']);
+  if (Number.isFinite(contentLength) && contentLength > maxTotalBytes + MAX_FIELDS_BYTES) {
+    throw batchTooLargeError();
+  }
+
+  const result = { images: [], skipped: [] };
+  const limits = { maxBytes, maxFiles, budget: { remaining: maxTotalBytes, maxTotalBytes } };
+
+  if (!isMultipart) {
+    const { filePath, received } = await writeRequestToTempFile(req, tmpDir, maxTotalBytes, batchTooLargeError);
+    try {
+      if (received === 0) {
+        throw createHttpError('缺少压缩包数据，请求体为空', 400);
+      }
+      await extractZipImages(filePath, '上传的压缩包', limits, result);
+    } finally {
+      await fs.promises.rm(filePath, { force: true });
+    }
+    return { ...parseQueryParams(req), ...result };
+  }
+
+  let fileCount = 0;
+  const form = formidable({
+    uploadDir: tmpDir,
+    // 压缩包可能超过单个图像的上限，图像文件的大小在解析后检查
+    maxFileSize: maxTotalBytes,
+    maxTotalFileSize: maxTotalBytes,
+    maxFieldsSize: MAX_FIELDS_BYTES,
+    allowEmptyFiles: false,
+    // 类型不符的文件和超出数量的文件不会写入磁盘（与parseMultipartUpload相同，不使用formidable的maxFiles）
+    filter: ({ originalFilename, mimetype }) => {
+      if (UPLOAD_IMAGE_TYPES.includes(getMimeType(mimetype)) || isZipUpload(mimetype, originalFilename)) {
+        fileCount += 1;
+        return fileCount <= maxFiles;
+      }
+      result.skipped.push({ name: originalFilename || '未命名文件', reason: `不支持的文件类型: ${mimetype || '未知'}` });
+      return false;
+    }
+  });
+
+  let fields;
+  let files;
+  try {
+    [fields, files] = await form.parse(req);
+  } catch (error) {
+    if (error.code === errors.biggerThanMaxFileSize || error.code === errors.biggerThanTotalMaxFileSize) {
+      throw batchTooLargeError();
+    }
+    throw createHttpError(`上传解析失败: ${error.message}`, error.httpCode || 400);
+  }
+
+  // 按上传顺序逐个转换，读取后删除临时文件；中途出错时也清理剩余的临时文件
+  const uploaded = Object.values(files).flat();
+  if (fileCount > maxFiles) {
+    await Promise.all(uploaded.map(file => fs.promises.rm(file.filepath, { force: true })));
+    throw createHttpError(`每批最多上传 ${maxFiles} 个文件`, 400);
+  }
+  try {
+    for (const file of uploaded) {
+      const name = file.originalFilename || file.newFilename;
+      if (isZipUpload(file.mimetype, file.originalFilename)) {
+        await extractZipImages(file.filepath, name, limits, result);
+        continue;
+      }
+      if (file.size > maxBytes) {
+        throw tooLargeError(maxBytes);
+      }
+      if (result.images.length >= maxFiles) {
+        throw createHttpError(`每批最多上传 ${maxFiles} 张图像`, 400);
+      }
+      if (file.size > limits.budget.remaining) {
+        throw batchTooLargeError();
+      }
+      try {
+        result.images.push({ name, imageBase64: await readImageAsDataUrl(file.filepath) });
+        limits.budget.remaining -= file.size;
+      } catch (error) {
+        result.skipped.push({ name, reason: error.message });
+      }
+    }
+  } finally {
+    await Promise.all(uploaded.map(file => fs.promises.rm(file.filepath, { force: true })));
+  }
+
+  return { ...parseFormFields(fields), ...result };
+}
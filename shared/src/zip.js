@@ -0,0 +1,422 @@
+/**
+ * ZIP压缩包读写
+ * 纯JS实现（压缩和解压使用Node内置zlib），本地服务器和Serverless函数都可以使用。
+ * 写入时条目逐个写入输出流，已压缩的图像按存储方式写入，不再重复压缩；
+ * 读取时只把中央目录读入内存，条目按需从文件流式解压，不需要把整个压缩包放在内存中
+ */
+
+import fs from 'fs';
+import zlib from 'zlib';
+
+// ZIP压缩方式
+export const ZIP_METHODS = {
+  STORE: 0,
+  DEFLATE: 8
+};
+
+// 不使用ZIP64扩展时的条目数和偏移量上限
+const MAX_ENTRIES = 0xffff;
+const MAX_OFFSET = 0xffffffff;
+
+// 通用标志位：文件名使用UTF-8编码
+const FLAG_UTF8 = 0x0800;
+
+// 通用标志位：条目已加密
+const FLAG_ENCRYPTED = 0x0001;
+
+// 中央目录结束记录的长度（不含注释）和注释的最大长度
+const END_RECORD_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+
+// 需要的解压版本（2.0，支持目录和deflate）
+const VERSION_NEEDED = 20;
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * 计算CRC-32校验值
+ * @param {Buffer} buffer - 数据
+ * @returns {number} 无符号32位校验值
+ */
+export function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC32_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * 规范化压缩包内的路径：统一使用/分隔，去掉开头的/、.和..，防止解压时写到目标目录之外
+ * @param {string} name - 条目路径
+ * @returns {string} 规范化后的路径，没有有效部分时为空字符串
+ */
+export function normalizeZipPath(name) {
+  return String(name || '')
+    .replace(/\\/g, '/')
+    .split('/')
+    .filter(part => part && part !== '.' && part !== '..')
+    .join('/');
+}
+
+/**
+ * 转换为DOS格式的日期和时间（ZIP只记录到2秒）
+ * @param {Date} date - 修改时间
+ * @returns {Object} { time, date }
+ */
+function toDosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * ZIP压缩包写入器
+ * 用法：new ZipWriter(output) → addFile(name, data) 若干次 → finish()
+ */
+export class ZipWriter {
+  /**
+   * @param {Object} output - 可写流（如HTTP响应）
+   */
+  constructor(output) {
+    this.output = output;
+    this.entries = [];
+    this.names = new Set();
+    this.offset = 0;
+    this.finished = false;
+  }
+
+  /**
+   * 写入数据，输出流缓冲已满时等待drain
+   * @param {Buffer} chunk - 数据
+   * @returns {Promise<void>}
+   */
+  async write(chunk) {
+    if (this.output.destroyed) {
+      throw new Error('输出流已关闭');
+    }
+    this.offset += chunk.length;
+    if (!this.output.write(chunk)) {
+      await new Promise((resolve, reject) => {
+        const cleanup = () => {
+          this.output.off('drain', onDrain);
+          this.output.off('close', onClose);
+        };
+        const onDrain = () => {
+          cleanup();
+          resolve();
+        };
+        const onClose = () => {
+          cleanup();
+          reject(new Error('输出流已关闭'));
+        };
+        this.output.on('drain', onDrain);
+        this.output.on('close', onClose);
+      });
+    }
+  }
+
+  /**
+   * 添加文件条目
+   * @param {string} name - 压缩包内的路径（会被规范化）
+   * @param {Buffer|string} data - 文件内容
+   * @param {Object} options - { compress, date } compress为true时使用deflate压缩（适合JSON等文本）
+   * @returns {Promise<string>} 实际写入的路径
+   */
+  async addFile(name, data, options = {}) {
+    const { compress = false, date = new Date() } = options;
+    if (this.finished) {
+      throw new Error('压缩包已写入完成');
+    }
+
+    const path = normalizeZipPath(name);
+    if (!path) {
+      throw new Error(`无效的压缩包条目路径: ${name}`);
+    }
+    if (this.names.has(path)) {
+      throw new Error(`压缩包条目重复: ${path}`);
+    }
+    if (this.entries.length >= MAX_ENTRIES) {
+      throw new Error(`压缩包最多包含 ${MAX_ENTRIES} 个条目`);
+    }
+
+    const content = Buffer.isBuffer(data) ? data : Buffer.from(String(data));
+    const method = compress ? ZIP_METHODS.DEFLATE : ZIP_METHODS.STORE;
+    const body = method === ZIP_METHODS.DEFLATE ? zlib.deflateRawSync(content) : content;
+    const nameBuffer = Buffer.from(path, 'utf8');
+    const { time, date: dosDate } = toDosDateTime(date);
+
+    if (this.offset + 30 + nameBuffer.length + body.length > MAX_OFFSET) {
+      throw new Error('压缩包超过4GB，请分批下载');
+    }
+
+    const entry = {
+      path,
+      nameBuffer,
+      method,
+      time,
+      date: dosDate,
+      crc: crc32(content),
+      compressedSize: body.length,
+      size: content.length,
+      offset: this.offset
+    };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(VERSION_NEEDED, 4);
+    header.writeUInt16LE(FLAG_UTF8, 6);
+    header.writeUInt16LE(method, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(dosDate, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.compressedSize, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(nameBuffer.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    this.entries.push(entry);
+    this.names.add(path);
+    await this.write(Buffer.concat([header, nameBuffer]));
+    await this.write(body);
+    return path;
+  }
+
+  /**
+   * 写入中央目录并结束压缩包（不关闭输出流）
+   * @returns {Promise<number>} 压缩包总字节数
+   */
+  async finish() {
+    if (this.finished) {
+      return this.offset;
+    }
+    this.finished = true;
+
+    const centralOffset = this.offset;
+    const records = this.entries.map((entry) => {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE(VERSION_NEEDED, 4);
+      record.writeUInt16LE(VERSION_NEEDED, 6);
+      record.writeUInt16LE(FLAG_UTF8, 8);
+      record.writeUInt16LE(entry.method, 10);
+      record.writeUInt16LE(entry.time, 12);
+      record.writeUInt16LE(entry.date, 14);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.compressedSize, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.nameBuffer.length, 28);
+      // 扩展字段、注释、磁盘号、内部属性、外部属性均为0
+      record.writeUInt32LE(entry.offset, 42);
+      return Buffer.concat([record, entry.nameBuffer]);
+    });
+    const central = Buffer.concat(records);
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(central.length, 12);
+    end.writeUInt32LE(centralOffset, 16);
+
+    await this.write(central);
+    await this.write(end);
+    return this.offset;
+  }
+}
+
+/**
+ * 解码条目路径：设置了UTF-8标志或内容是合法UTF-8时按UTF-8解码，
+ * 否则按GBK解码（Windows中文系统创建的压缩包），运行时不支持GBK时按latin1解码
+ * @param {Buffer} buffer - 路径字节
+ * @param {number} flags - 通用标志位
+ * @returns {string} 路径
+ */
+function decodeEntryName(buffer, flags) {
+  if (flags & FLAG_UTF8) {
+    return buffer.toString('utf8');
+  }
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    try {
+      return new TextDecoder('gbk').decode(buffer);
+    } catch {
+      return buffer.toString('latin1');
+    }
+  }
+}
+
+/**
+ * ZIP压缩包读取器
+ * 用法：await ZipReader.open(filePath) → 遍历entries，readEntry(entry) 读取需要的条目 → close()
+ * 不支持ZIP64和加密条目，条目的实际大小超过声明大小时按损坏处理（防止压缩炸弹）
+ */
+export class ZipReader {
+  /**
+   * @param {string} filePath - 压缩包路径
+   * @param {Object} handle - fs.promises.open返回的文件句柄
+   * @param {Array} entries - 中央目录中的条目
+   */
+  constructor(filePath, handle, entries) {
+    this.filePath = filePath;
+    this.handle = handle;
+    this.entries = entries;
+  }
+
+  /**
+   * 打开压缩包并读取中央目录
+   * @param {string} filePath - 压缩包路径
+   * @returns {Promise<ZipReader>} 读取器
+   */
+  static async open(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      const entries = await ZipReader.readCentralDirectory(handle);
+      return new ZipReader(filePath, handle, entries);
+    } catch (error) {
+      await handle.close();
+      throw error;
+    }
+  }
+
+  /**
+   * 定位中央目录结束记录并解析所有条目
+   * @param {Object} handle - 文件句柄
+   * @returns {Promise<Array>} 条目 { name, directory, encrypted, method, crc, compressedSize, size, offset }
+   */
+  static async readCentralDirectory(handle) {
+    const { size: fileSize } = await handle.stat();
+    if (fileSize < END_RECORD_SIZE) {
+      throw new Error('文件不是有效的ZIP压缩包');
+    }
+
+    // 结束记录后可能带注释，从文件末尾向前查找签名
+    const tailSize = Math.min(fileSize, END_RECORD_SIZE + MAX_COMMENT_SIZE);
+    const tail = Buffer.alloc(tailSize);
+    await handle.read(tail, 0, tailSize, fileSize - tailSize);
+    let endOffset = -1;
+    for (let i = tailSize - END_RECORD_SIZE; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === 0x06054b50) {
+        endOffset = i;
+        break;
+      }
+    }
+    if (endOffset === -1) {
+      throw new Error('文件不是有效的ZIP压缩包');
+    }
+
+    const count = tail.readUInt16LE(endOffset + 10);
+    const centralSize = tail.readUInt32LE(endOffset + 12);
+    const centralOffset = tail.readUInt32LE(endOffset + 16);
+    if (count === MAX_ENTRIES || centralOffset === MAX_OFFSET) {
+      throw new Error('不支持ZIP64格式的压缩包');
+    }
+    if (centralOffset + centralSize > fileSize) {
+      throw new Error('ZIP压缩包已损坏：中央目录超出文件范围');
+    }
+
+    const central = Buffer.alloc(centralSize);
+    await handle.read(central, 0, centralSize, centralOffset);
+
+    const entries = [];
+    let position = 0;
+    for (let i = 0; i < count; i++) {
+      if (position + 46 > central.length || central.readUInt32LE(position) !== 0x02014b50) {
+        throw new Error('ZIP压缩包已损坏：中央目录记录无效');
+      }
+      const flags = central.readUInt16LE(position + 8);
+      const nameLength = central.readUInt16LE(position + 28);
+      const extraLength = central.readUInt16LE(position + 30);
+      const commentLength = central.readUInt16LE(position + 32);
+      const name = decodeEntryName(central.subarray(position + 46, position + 46 + nameLength), flags);
+
+      entries.push({
+        name,
+        directory: name.endsWith('/') || name.endsWith('\\'),
+        encrypted: Boolean(flags & FLAG_ENCRYPTED),
+        method: central.readUInt16LE(position + 10),
+        crc: central.readUInt32LE(position + 16),
+        compressedSize: central.readUInt32LE(position + 20),
+        size: central.readUInt32LE(position + 24),
+        offset: central.readUInt32LE(position + 42)
+      });
+      position += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+  }
+
+  /**
+   * 读取条目内容：按本地文件头定位数据，流式解压并校验大小和CRC
+   * @param {Object} entry - entries中的条目
+   * @param {Object} options - { maxBytes } 解压后的大小上限
+   * @returns {Promise<Buffer>} 条目内容
+   */
+  async readEntry(entry, options = {}) {
+    const { maxBytes = Infinity } = options;
+    if (entry.encrypted) {
+      throw new Error('不支持加密的条目');
+    }
+    if (entry.method !== ZIP_METHODS.STORE && entry.method !== ZIP_METHODS.DEFLATE) {
+      throw new Error(`不支持的压缩方式: ${entry.method}`);
+    }
+    if (entry.size > maxBytes) {
+      throw new Error(`文件过大，最大支持 ${(maxBytes / 1024 / 1024).toFixed(1)}MB`);
+    }
+
+    const header = Buffer.alloc(30);
+    await this.handle.read(header, 0, 30, entry.offset);
+    if (header.readUInt32LE(0) !== 0x04034b50) {
+      throw new Error('ZIP压缩包已损坏：本地文件头无效');
+    }
+    const start = entry.offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+    if (entry.compressedSize === 0) {
+      return Buffer.alloc(0);
+    }
+
+    const source = fs.createReadStream(this.filePath, { start, end: start + entry.compressedSize - 1 });
+    const stream = entry.method === ZIP_METHODS.DEFLATE ? source.pipe(zlib.createInflateRaw()) : source;
+    const chunks = [];
+    let received = 0;
+    try {
+      for await (const chunk of stream) {
+        received += chunk.length;
+        // 声明的大小不可信，超出时立即停止解压
+        if (received > entry.size) {
+          throw new Error('ZIP压缩包已损坏：条目大小与声明不符');
+        }
+        chunks.push(chunk);
+      }
+    } catch (error) {
+      throw error.message.startsWith('ZIP') ? error : new Error(`ZIP压缩包已损坏：${error.message}`);
+    } finally {
+      source.destroy();
+    }
+
+    const content = Buffer.concat(chunks, received);
+    if (content.length !== entry.size || crc32(content) !== entry.crc) {
+      throw new Error('ZIP压缩包已损坏：CRC校验失败');
+    }
+    return content;
+  }
+
+  /**
+   * 关闭压缩包
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.handle.close();
+  }
+}
@@ -0,0 +1,239 @@
+// 此文件由 scripts/build-shared.js 根据 shared/src/usage-store.js 生成，请勿直接修改
+/**
+ * 用量存储
+ * 按用户和计费周期累计分析次数、增强次数和输出像素，通过统一的存储接口读写：
+ *   get(userId, periodKey) / increment(userId, periodKey, deltas) / reserve(userId, periodKey, deltas, limits)
+ * reserve在同一次写入中检查上限并累加，并发请求不会同时通过检查而超出额度。
+ * 所有方法均返回Promise，内置内存存储、文件存储和共享KV存储（Vercel部署时使用）三种实现
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getKvClient, resolveStoreType } from './kv-store.mjs';
+
+// 支持的存储类型
+export const USAGE_STORE_TYPES = ['memory', 'file', 'kv'];
+
+// 用户ID和周期键只允许安全字符，防止文件存储被路径穿越
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+/**
+ * 校验用户ID和周期键
+ * @param {string} userId - 用户ID
+ * @param {string} periodKey - 计费周期键
+ */
+function assertKeys(userId, periodKey) {
+  if (typeof userId !== 'string' || !ID_PATTERN.test(userId)) {
+    throw new Error(`无效的用户ID: ${userId}`);
+  }
+  if (typeof periodKey !== 'string' || !ID_PATTERN.test(periodKey)) {
+    throw new Error(`无效的计费周期: ${periodKey}`);
+  }
+}
+
+/**
+ * 把增量累加到用量记录
+ * @param {Object} current - 当前用量
+ * @param {Object} deltas - 各指标的增量
+ * @returns {Object} 新的用量记录
+ */
+function applyDeltas(current, deltas) {
+  const updated = { ...current };
+  Object.entries(deltas).forEach(([metric, value]) => {
+    if (typeof value === 'number' && value !== 0) {
+      // 像素数为小数，保留两位避免浮点误差累积
+      updated[metric] = Math.round(((updated[metric] || 0) + value) * 100) / 100;
+    }
+  });
+  updated.updated_at = new Date().toISOString();
+  return updated;
+}
+
+/**
+ * 找出累加后超过上限的指标
+ * @param {Object} current - 当前用量
+ * @param {Object} deltas - 各指标的增量
+ * @param {Object} limits - 需要检查的指标及上限，上限为null时不限制
+ * @returns {string|null} 第一个超限的指标，都未超限时为null
+ */
+function exceededMetric(current, deltas, limits) {
+  const exceeded = Object.entries(limits).find(([metric, limit]) => {
+    const used = current?.[metric] || 0;
+    // 增量为0（如无法估算输出像素）时，只要额度已用尽就拒绝
+    return limit !== null && limit !== undefined && (used >= limit || used + (deltas[metric] || 0) > limit);
+  });
+  return exceeded ? exceeded[0] : null;
+}
+
+/**
+ * 预占用量：未超限时累加增量
+ * @param {Object} current - 当前用量
+ * @param {Object} deltas - 各指标的增量
+ * @param {Object} limits - 需要检查的指标及上限
+ * @returns {Object} { reserved, metric, record } 超限时reserved为false，metric为超限的指标，record为当前用量
+ */
+function reserveDeltas(current, deltas, limits) {
+  const metric = exceededMetric(current, deltas, limits);
+  if (metric) {
+    return { reserved: false, metric, record: { ...current } };
+  }
+  return { reserved: true, metric: null, record: applyDeltas(current, deltas) };
+}
+
+/**
+ * 内存用量存储 - 适用于本地开发和单实例部署，进程重启后数据丢失
+ */
+export class MemoryUsageStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async get(userId, periodKey) {
+    assertKeys(userId, periodKey);
+    const record = this.records.get(`${userId}/${periodKey}`);
+    return record ? { ...record } : null;
+  }
+
+  async increment(userId, periodKey, deltas) {
+    assertKeys(userId, periodKey);
+    const key = `${userId}/${periodKey}`;
+    const updated = applyDeltas(this.records.get(key), deltas);
+    this.records.set(key, updated);
+    return { ...updated };
+  }
+  async reserve(userId, periodKey, deltas, limits) {
+    assertKeys(userId, periodKey);
+    const key = `${userId}/${periodKey}`;
+    const outcome = reserveDeltas(this.records.get(key), deltas, limits);
+    if (outcome.reserved) {
+      this.records.set(key, outcome.record);
+    }
+    return { ...outcome, record: { ...outcome.record } };
+  }
+}
+
+/**
+ * 文件用量存储 - 每个用户每个周期保存为 <userId>/<periodKey>.json，
+ * 同一进程内的累加和预占按顺序执行；多个进程同时写入同一用户时可能丢失少量计数
+ */
+export class FileUsageStore {
+  /**
+   * @param {string} dir - 存储目录
+   */
+  constructor(dir) {
+    this.dir = dir;
+    this.queue = Promise.resolve();
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  filePath(userId, periodKey) {
+    assertKeys(userId, periodKey);
+    return path.join(this.dir, userId, `${periodKey}.json`);
+  }
+
+  async get(userId, periodKey) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.filePath(userId, periodKey), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new Error(`读取用量失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 按顺序读取、计算并写回用量记录
+   * @param {string} userId - 用户ID
+   * @param {string} periodKey - 计费周期键
+   * @param {Function} update - (current) => { record, write } write为false时不写入
+   * @returns {Promise<Object>} update的返回值
+   */
+  async modify(userId, periodKey, update) {
+    const file = this.filePath(userId, periodKey);
+    const write = this.queue.then(async () => {
+      const outcome = update(await this.get(userId, periodKey));
+      if (outcome.write) {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        // 先写临时文件再重命名，避免读取到写了一半的记录
+        const temp = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(temp, JSON.stringify(outcome.record));
+        await fs.promises.rename(temp, file);
+      }
+      return outcome;
+    });
+    this.queue = write.catch(() => null);
+    return write;
+  }
+
+  async increment(userId, periodKey, deltas) {
+    const { record } = await this.modify(userId, periodKey, current => ({ record: applyDeltas(current, deltas), write: true }));
+    return record;
+  }
+
+  async reserve(userId, periodKey, deltas, limits) {
+    const { write, ...outcome } = await this.modify(userId, periodKey, (current) => {
+      const reservation = reserveDeltas(current, deltas, limits);
+      return { ...reservation, write: reservation.reserved };
+    });
+    return outcome;
+  }
+}
+
+/**
+ * KV用量存储 - 每个用户每个周期保存为一个键，累加时比较并写入，多个Serverless实例同时累加不会丢失计数
+ */
+export class KvUsageStore {
+  /**
+   * @param {RedisRestClient} client - KV客户端
+   */
+  constructor(client) {
+    this.client = client;
+  }
+
+  recordKey(userId, periodKey) {
+    assertKeys(userId, periodKey);
+    return this.client.key('usage', userId, periodKey);
+  }
+
+  async get(userId, periodKey) {
+    return this.client.getJson(this.recordKey(userId, periodKey));
+  }
+
+  async increment(userId, periodKey, deltas) {
+    return this.client.mutateJson(this.recordKey(userId, periodKey), (current) => {
+      const updated = applyDeltas(current, deltas);
+      return { value: updated, result: updated };
+    });
+  }
+
+  async reserve(userId, periodKey, deltas, limits) {
+    return this.client.mutateJson(this.recordKey(userId, periodKey), (current) => {
+      const outcome = reserveDeltas(current, deltas, limits);
+      return { value: outcome.reserved ? outcome.record : undefined, result: outcome };
+    });
+  }
+}
+
+/**
+ * 创建用量存储 - 统一接口
+ * 未指定时按环境变量选择：USAGE_STORE=memory|file|kv，USAGE_STORE_DIR=文件存储目录；未设置USAGE_STORE时配置了KV服务则使用kv，否则使用memory。
+ * Vercel上只能使用kv
+ * @param {Object} options - { type, dir, client } client为KV客户端，默认按环境变量创建
+ * @returns {MemoryUsageStore|FileUsageStore|KvUsageStore} 用量存储实例
+ */
+export function createUsageStore(options = {}) {
+  const type = resolveStoreType(options.type || process.env.USAGE_STORE, '用量存储');
+
+  switch (type) {
+    case 'memory':
+      return new MemoryUsageStore();
+    case 'file':
+      return new FileUsageStore(options.dir || process.env.USAGE_STORE_DIR || path.join(os.tmpdir(), 'image-quality-usage'));
+    case 'kv':
+      return new KvUsageStore(options.client || getKvClient());
+    default:
+      throw new Error(`不支持的用量存储类型: ${type}。支持的类型: ${USAGE_STORE_TYPES.join(', ')}`);
+  }
+}
@@ -0,0 +1,598 @@
+// 此文件由 scripts/build-shared.js 根据 shared/src/usage.js 生成，请勿直接修改
+/**
+ * 用量计量与套餐限制
+ * 按用户和计费周期统计分析次数、增强次数和输出像素（百万像素），处理前检查套餐功能和剩余额度，
+ * 处理成功后按实际用量结算。按套餐额度计费的请求在检查时原子地预占用量，处理失败时释放，避免并发请求同时通过检查而超出额度。
+ * 超出套餐的增强请求有积分时改为按积分计费（见credits.js），否则抛出带结构化payload的错误：
+ *   402 plan_required   功能仅对Pro开放（Aura SR v2、8倍放大、Autopilot增强）
+ *   402 quota_exceeded  Free用户额度用尽，升级或购买积分后可继续使用
+ *   429 quota_exceeded  Pro用户额度用尽，下个计费周期恢复
+ * 匿名请求（只可能出现在免费接口上）不计量
+ */
+
+const { PLANS, getEntitlements } = require('./entitlements.cjs');
+const { parseImageHeader } = require('./image-header.cjs');
+const { createHttpError } = require('./http-errors.cjs');
+const { getProvider, getStepCredits } = require('./providers.cjs');
+
+// 计量指标
+const USAGE_METRICS = ['analyses', 'enhancements', 'output_megapixels'];
+
+// 各套餐的每周期额度（null表示不限）和可用功能
+const PLAN_LIMITS = {
+  [PLANS.FREE]: {
+    analyses: 30,
+    enhancements: 10,
+    output_megapixels: 100,
+    max_scale: 4,
+    upscale_models: ['real-esrgan'],
+    autopilot: false,
+    max_batch_items: 5
+  },
+  [PLANS.PRO]: {
+    analyses: null,
+    enhancements: 1000,
+    output_megapixels: 10000,
+    max_scale: 8,
+    upscale_models: ['real-esrgan', 'aura-sr-v2'],
+    autopilot: true,
+    max_batch_items: 50
+  }
+};
+
+// 指标名称（用于错误信息）
+const METRIC_LABELS = {
+  analyses: '图像分析次数',
+  enhancements: 'AI增强次数',
+  output_megapixels: '输出像素额度'
+};
+
+// 计量的增强步骤
+const ENHANCEMENT_STEPS = ['tone', 'detail', 'upscale'];
+
+// 计费来源：plan为套餐额度，credits为积分
+const BILLING_SOURCES = {
+  PLAN: 'plan',
+  CREDITS: 'credits'
+};
+
+/**
+ * 计算当前计费周期：Pro订阅为截止到current_period_end的一个月，其余按自然月（UTC）
+ * @param {Object} entitlements - getEntitlements的结果
+ * @param {Date} now - 当前时间
+ * @returns {Object} { key, start, end } start/end为ISO时间，key用于存储
+ */
+function resolveBillingPeriod(entitlements, now = new Date()) {
+  let start;
+  let end;
+  if (entitlements.plan === PLANS.PRO && entitlements.current_period_end) {
+    end = new Date(entitlements.current_period_end);
+    start = new Date(end);
+    start.setUTCMonth(start.getUTCMonth() - 1);
+  } else {
+    start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    end = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+  }
+
+  return {
+    key: start.toISOString().replace(/[-:]|\.\d{3}/g, ''),
+    start: start.toISOString(),
+    end: end.toISOString()
+  };
+}
+
+/**
+ * 把Autopilot增强建议展开为按优先级排列的增强步骤
+ * @param {Object} recommendations - 增强建议配置
+ * @returns {Array} 增强步骤 [{ name, config }]
+ */
+function recommendationSteps(recommendations) {
+  return (recommendations?.priority || [])
+    .filter(name => recommendations[name]?.enabled)
+    .map(name => ({ name, config: recommendations[name] }));
+}
+
+/**
+ * 估算处理后的输出像素：按步骤依次计算，超分步骤按倍数放大
+ * @param {string} imageBase64 - 输入图像（data URL或Base64）；URL输入无法估算，返回0
+ * @param {Array} steps - 增强步骤 [{ name, config }]
+ * @returns {number} 百万像素
+ */
+function estimateOutputMegapixels(imageBase64, steps) {
+  if (typeof imageBase64 !== 'string' || /^https?:\/\//.test(imageBase64)) {
+    return 0;
+  }
+
+  let pixels;
+  try {
+    const buffer = Buffer.from(imageBase64.replace(/^data:image\/[a-z0-9.+-]+;base64,/i, ''), 'base64');
+    const { width, height } = parseImageHeader(buffer);
+    pixels = width * height;
+  } catch {
+    return 0;
+  }
+
+  let total = 0;
+  steps.forEach((step) => {
+    if (step.name === 'upscale') {
+      pixels *= (Number(step.config?.scale) || 2) ** 2;
+    }
+    total += pixels;
+  });
+  return total / 1e6;
+}
+
+/**
+ * 统计处理结果中的增强用量：单个增强结果带output_image，Autopilot增强结果带results.steps
+ * @param {Object} result - 处理结果
+ * @returns {Object} { enhancements, output_megapixels }
+ */
+function measureEnhancementUsage(result) {
+  const outputs = result?.output_image
+    ? [result.output_image]
+    : (result?.results?.steps || []).filter(step => step.success).map(step => step.output_image);
+
+  return {
+    enhancements: outputs.length,
+    output_megapixels: outputs.reduce((sum, output) => (
+      output?.width && output?.height ? sum + (output.width * output.height) / 1e6 : sum
+    ), 0)
+  };
+}
+
+/**
+ * 创建功能不可用错误
+ * @param {string} feature - 功能标识
+ * @param {string} label - 功能名称
+ * @param {string} plan - 当前套餐
+ * @returns {Error} 带402状态码的错误
+ */
+function planRequiredError(feature, label, plan) {
+  return createHttpError(`${label}仅对Pro用户开放，请升级或购买积分后使用`, 402, {
+    code: 'plan_required',
+    feature,
+    plan,
+    required_plan: PLANS.PRO,
+    upgrade: true
+  });
+}
+
+/**
+ * 创建额度用尽错误：Free用户返回402并提示升级，Pro用户返回429并给出重试时间
+ * @param {string} metric - 指标
+ * @param {number} requested - 本次请求的用量
+ * @param {Object} summary - getUsage的结果
+ * @returns {Error} 带402或429状态码的错误
+ */
+function quotaExceededError(metric, requested, summary) {
+  const used = summary.usage[metric];
+  const limit = summary.limits[metric];
+  const upgrade = summary.plan === PLANS.FREE;
+  const retryAfter = Math.max(0, Math.ceil((Date.parse(summary.period.end) - Date.now()) / 1000));
+  // 分析次数不能用积分购买
+  let hint = upgrade ? '，升级到Pro或购买积分包后可继续使用' : '，将在下个计费周期恢复';
+  if (upgrade && metric === 'analyses') {
+    hint = '，升级到Pro可获得更多额度';
+  }
+
+  return createHttpError(
+    `本计费周期的${METRIC_LABELS[metric]}已用完（已用 ${used}，上限 ${limit}）${hint}`,
+    upgrade ? 402 : 429,
+    {
+      code: 'quota_exceeded',
+      metric,
+      used,
+      requested,
+      limit,
+      plan: summary.plan,
+      period_end: summary.period.end,
+      upgrade,
+      ...(upgrade ? {} : { retry_after_seconds: retryAfter })
+    }
+  );
+}
+
+/**
+ * 检查单个指标的剩余额度
+ * @param {Object} summary - getUsage的结果
+ * @param {string} metric - 指标
+ * @param {number} requested - 本次请求的用量
+ * @param {boolean} applies - 本次请求是否消耗该指标
+ */
+function assertWithinQuota(summary, metric, requested, applies) {
+  const limit = summary.limits[metric];
+  const used = summary.usage[metric];
+  // 无法估算输出像素时requested为0，只要额度已用尽就拒绝
+  if (applies && limit !== null && (used >= limit || used + requested > limit)) {
+    throw quotaExceededError(metric, requested, summary);
+  }
+}
+
+/**
+ * 由用量记录生成用量摘要
+ * @param {string} userId - 用户ID
+ * @param {string} plan - 套餐
+ * @param {Object} period - resolveBillingPeriod的结果
+ * @param {Object} record - 用量记录，没有记录时为null
+ * @returns {Object} 同getUsage
+ */
+function summarizeUsage(userId, plan, period, record) {
+  const limits = PLAN_LIMITS[plan];
+  const usage = Object.fromEntries(USAGE_METRICS.map(metric => [metric, record?.[metric] || 0]));
+  return {
+    user_id: userId,
+    plan,
+    period: { start: period.start, end: period.end },
+    usage,
+    limits: Object.fromEntries(USAGE_METRICS.map(metric => [metric, limits[metric]])),
+    remaining: Object.fromEntries(USAGE_METRICS.map(metric => [
+      metric,
+      limits[metric] === null ? null : Math.max(0, Math.round((limits[metric] - usage[metric]) * 100) / 100)
+    ])),
+    features: {
+      max_scale: limits.max_scale,
+      upscale_models: limits.upscale_models,
+      autopilot: limits.autopilot,
+      max_batch_items: limits.max_batch_items
+    }
+  };
+}
+
+/**
+ * 计算预占的用量和需要检查的额度：套餐计费预占分析次数、增强次数和估算的输出像素，积分计费只预占分析次数
+ * @param {Object} summary - getUsage的结果
+ * @param {Object} request - check的请求
+ * @param {Array} steps - 增强步骤 [{ name, config }]
+ * @param {string} source - 计费来源
+ * @returns {Object} { deltas, limits }
+ */
+function reservationFor(summary, request, steps, source) {
+  const analyses = request.analyses || 0;
+  const deltas = { analyses };
+  const limits = analyses > 0 ? { analyses: summary.limits.analyses } : {};
+  if (source === BILLING_SOURCES.PLAN && steps.length > 0) {
+    deltas.enhancements = steps.length;
+    deltas.output_megapixels = Math.round(estimateOutputMegapixels(request.imageBase64, steps) * 100) / 100;
+    limits.enhancements = summary.limits.enhancements;
+    limits.output_megapixels = summary.limits.output_megapixels;
+  }
+  return { deltas, limits };
+}
+
+// 预占因并发请求失败后重新检查的最大次数
+const MAX_RESERVE_ATTEMPTS = 3;
+
+/**
+ * 检查套餐是否覆盖本次增强：功能限制（模型、放大倍数、Autopilot和多个模型步骤、批量图像数）和增强次数、输出像素额度
+ * @param {Object} summary - getUsage的结果
+ * @param {Object} request - check的请求
+ * @param {Array} steps - 增强步骤 [{ name, config }]
+ */
+function assertPlanCovers(summary, request, steps) {
+  const limits = PLAN_LIMITS[summary.plan];
+
+  if (request.autopilot && !limits.autopilot) {
+    throw planRequiredError('autopilot', 'Autopilot智能增强', summary.plan);
+  }
+  // 多个模型步骤串联（流水线、预设、批量任务）与Autopilot增强的效果相同，同样需要Autopilot功能
+  const modelSteps = steps.filter(step => getProvider(step.config?.provider).capabilities().remote);
+  if (modelSteps.length > 1 && !limits.autopilot) {
+    throw planRequiredError('autopilot', '串联多个AI模型步骤的流水线', summary.plan);
+  }
+  if (request.batchItems > limits.max_batch_items) {
+    throw planRequiredError('batch', `一次批量处理超过${limits.max_batch_items}张图像`, summary.plan);
+  }
+  steps.filter(step => step.name === 'upscale').forEach((step) => {
+    const model = step.config?.model || 'real-esrgan';
+    // 套餐的模型限制只针对Replicate模型，本地插值不受限制
+    const remote = getProvider(step.config?.provider).capabilities().remote;
+    if (remote && !limits.upscale_models.includes(model)) {
+      throw planRequiredError(`model:${model}`, `${model}模型`, summary.plan);
+    }
+    if (Number(step.config?.scale) > limits.max_scale) {
+      throw planRequiredError(`scale:${step.config.scale}`, `${step.config.scale}倍放大`, summary.plan);
+    }
+  });
+
+  const hasSteps = steps.length > 0;
+  assertWithinQuota(summary, 'enhancements', steps.length, hasSteps);
+  assertWithinQuota(
+    summary,
+    'output_megapixels',
+    Math.round(estimateOutputMegapixels(request.imageBase64, steps) * 100) / 100,
+    hasSteps
+  );
+}
+
+/**
+ * 用量计量器 - 组合用量存储、权益存储和积分账本，为共享处理逻辑提供额度检查、计费和用量累计
+ */
+class UsageMeter {
+  /**
+   * @param {Object} usageStore - 用量存储
+   * @param {Object} entitlementStore - 权益存储（与 /api/webhook 共享）
+   * @param {Object} creditLedger - 积分账本（CreditLedger），未提供时超出套餐的请求直接拒绝
+   */
+  constructor(usageStore, entitlementStore, creditLedger = null) {
+    this.usageStore = usageStore;
+    this.entitlementStore = entitlementStore;
+    this.creditLedger = creditLedger;
+  }
+
+  /**
+   * 查询用户当前周期的用量 - 统一接口
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object>} { user_id, plan, period, usage, limits, remaining, features }
+   */
+  async getUsage(userId) {
+    if (!userId) {
+      throw createHttpError('请先登录后再查询用量', 401);
+    }
+
+    const { summary } = await this.loadUsage(userId);
+    return summary;
+  }
+
+  /**
+   * 读取用户当前周期的用量摘要和计费周期键
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object>} { summary, periodKey }
+   */
+  async loadUsage(userId) {
+    const entitlements = await getEntitlements(this.entitlementStore, userId);
+    const period = resolveBillingPeriod(entitlements);
+    const record = await this.usageStore.get(userId, period.key);
+    return { summary: summarizeUsage(userId, entitlements.plan, period, record), periodKey: period.key };
+  }
+
+  /**
+   * 检查套餐功能和剩余额度 - 统一接口
+   * 分析次数只能使用套餐额度；超出套餐的增强请求在积分余额足够时改为按积分计费
+   * @param {string} userId - 用户ID，匿名请求不检查
+   * @param {Object} request - { analyses, steps: [{ name, config }], recommendations, autopilot, imageBase64, batchItems }
+   *   未提供steps时按Autopilot增强建议recommendations展开，batchItems为批量任务的图像数
+   * @param {Object} options - { reserve } reserve为true时在通过检查的同时原子地预占用量（见charge）
+   * @returns {Promise<Object|null>} { summary, source, cost, reservation } summary为当前用量（getUsage的结果），
+   *   source为计费来源，cost为增强步骤按提供方计价的积分，reservation为预占的用量 { period_key, usage }
+   */
+  async check(userId, request = {}, options = {}) {
+    if (!userId) {
+      return null;
+    }
+
+    const { summary: current, periodKey } = await this.loadUsage(userId);
+    let summary = current;
+    const steps = (request.steps || recommendationSteps(request.recommendations))
+      .filter(step => ENHANCEMENT_STEPS.includes(step.name));
+    const cost = steps.reduce((sum, step) => sum + getStepCredits(step), 0);
+
+    for (let attempt = 1; ; attempt++) {
+      const source = await this.authorize(userId, summary, request, steps, cost);
+      if (!options.reserve) {
+        return { summary, source, cost, reservation: null };
+      }
+
+      const { deltas, limits } = reservationFor(summary, request, steps, source);
+      const outcome = await this.usageStore.reserve(userId, periodKey, deltas, limits);
+      if (outcome.reserved) {
+        return { summary, source, cost, reservation: { period_key: periodKey, usage: deltas } };
+      }
+      // 检查后其他请求占用了额度：按最新用量重新检查，套餐额度用尽时可能改用积分
+      summary = summarizeUsage(userId, summary.plan, summary.period, outcome.record);
+      if (attempt >= MAX_RESERVE_ATTEMPTS) {
+        throw quotaExceededError(outcome.metric, deltas[outcome.metric] || 0, summary);
+      }
+    }
+  }
+
+  /**
+   * 按用量摘要确定计费来源：套餐覆盖时为plan，否则积分余额足够时为credits
+   * @param {string} userId - 用户ID
+   * @param {Object} summary - getUsage的结果
+   * @param {Object} request - check的请求
+   * @param {Array} steps - 增强步骤 [{ name, config }]
+   * @param {number} cost - 增强步骤的积分成本
+   * @returns {Promise<string>} 计费来源
+   */
+  async authorize(userId, summary, request, steps, cost) {
+    assertWithinQuota(summary, 'analyses', request.analyses || 0, request.analyses > 0);
+    try {
+      assertPlanCovers(summary, request, steps);
+      return BILLING_SOURCES.PLAN;
+    } catch (error) {
+      if (!this.creditLedger) {
+        throw error;
+      }
+      // Autopilot任务的增强步骤在分析后才确定，此时至少需要1积分，每个步骤执行前再按实际成本扣除
+      const balance = await this.creditLedger.getBalance(userId);
+      if (balance >= Math.max(cost, 1)) {
+        return BILLING_SOURCES.CREDITS;
+      }
+      error.payload = { ...error.payload, credits_required: cost, credits_balance: balance };
+      throw error;
+    }
+  }
+
+  /**
+   * 检查额度并预占用量，需要时扣除积分 - 统一接口
+   * 预占的用量在处理成功后用settle按实际用量结算，处理失败时用release释放
+   * @param {string} userId - 用户ID
+   * @param {Object} request - 同check
+   * @param {string} reason - 扣除积分的原因（记入账本）
+   * @returns {Promise<Object|null>} 计费信息 { source, cost, charged, transaction_id, reservation }，匿名请求为null
+   */
+  async charge(userId, request = {}, reason = null) {
+    const authorization = await this.check(userId, request, { reserve: true });
+    if (!authorization) {
+      return null;
+    }
+
+    const { source, cost, reservation } = authorization;
+    if (source !== BILLING_SOURCES.CREDITS || cost === 0) {
+      return { source, cost, charged: 0, transaction_id: null, reservation };
+    }
+
+    let transaction;
+    try {
+      transaction = await this.creditLedger.debit(userId, cost, { reason });
+    } catch (error) {
+      await this.release(userId, { reservation });
+      throw error;
+    }
+    return { source, cost, charged: cost, transaction_id: transaction.id, reservation };
+  }
+
+  /**
+   * 退还charge扣除的积分 - 统一接口
+   * 退还失败只记录警告，不影响错误处理
+   * @param {string} userId - 用户ID
+   * @param {Object} billing - charge返回的计费信息
+   * @param {string} reason - 退还原因
+   * @param {number} credits - 退还的积分数，默认全部退还
+   * @returns {Promise<number>} 实际退还的积分数
+   */
+  async refund(userId, billing, reason = null, credits = billing?.charged) {
+    if (!userId || !billing?.transaction_id || !credits) {
+      return 0;
+    }
+
+    try {
+      const { transaction } = await this.creditLedger.refund(userId, billing.transaction_id, credits, reason);
+      return transaction.amount;
+    } catch (error) {
+      console.warn(`⚠️ 退还用户 ${userId} 的积分失败:`, error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * 释放charge预占的用量 - 统一接口
+   * 释放失败只记录警告，不影响错误处理
+   * @param {string} userId - 用户ID
+   * @param {Object} billing - charge返回的计费信息
+   * @returns {Promise<Object|null>} 去掉预占后的计费信息，避免重复释放
+   */
+  async release(userId, billing) {
+    if (!userId || !billing?.reservation) {
+      return billing || null;
+    }
+
+    const { period_key: periodKey, usage } = billing.reservation;
+    try {
+      await this.usageStore.increment(userId, periodKey, Object.fromEntries(
+        Object.entries(usage).map(([metric, amount]) => [metric, -amount])
+      ));
+    } catch (error) {
+      console.warn(`⚠️ 释放用户 ${userId} 预占的用量失败:`, error.message);
+    }
+    return { ...billing, reservation: null };
+  }
+
+  /**
+   * 按实际用量结算charge预占的用量 - 统一接口
+   * 在预占的计费周期内累计实际用量与预占用量的差额；没有预占时同record
+   * @param {string} userId - 用户ID
+   * @param {Object} billing - charge返回的计费信息
+   * @param {Object} usage - 实际用量 { analyses, enhancements, output_megapixels }
+   * @returns {Promise<Object|null>} 结算后的用量记录，无需结算时为null
+   */
+  async settle(userId, billing, usage) {
+    if (!billing?.reservation) {
+      return this.record(userId, usage);
+    }
+    if (!userId) {
+      return null;
+    }
+
+    const { period_key: periodKey, usage: reserved } = billing.reservation;
+    const deltas = Object.fromEntries(
+      USAGE_METRICS.map(metric => [metric, Math.round(((usage[metric] || 0) - (reserved[metric] || 0)) * 100) / 100])
+    );
+    // 实际用量与预占相同时不需要写入
+    if (Object.values(deltas).every(delta => delta === 0)) {
+      return null;
+    }
+    try {
+      return await this.usageStore.increment(userId, periodKey, deltas);
+    } catch (error) {
+      console.warn(`⚠️ 结算用户 ${userId} 的用量失败:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * 累计用量 - 统一接口
+   * 计量失败只记录警告，不影响已完成的处理
+   * @param {string} userId - 用户ID，匿名请求不累计
+   * @param {Object} usage - { analyses, enhancements, output_megapixels }
+   * @returns {Promise<Object|null>} 累计后的用量记录
+   */
+  async record(userId, usage) {
+    if (!userId) {
+      return null;
+    }
+
+    try {
+      const entitlements = await getEntitlements(this.entitlementStore, userId);
+      const period = resolveBillingPeriod(entitlements);
+      return await this.usageStore.increment(userId, period.key, usage);
+    } catch (error) {
+      console.warn(`⚠️ 记录用户 ${userId} 的用量失败:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * 检查额度并计费后执行处理 - 统一接口
+   * 处理失败时退还积分并释放预占的用量；Autopilot增强和流水线中未成功的步骤按预扣的步骤成本退还。
+   * 套餐额度计费的请求成功后按实际用量结算，积分计费的增强不占用套餐额度
+   * @param {string} userId - 用户ID
+   * @param {Object} request - 同check
+   * @param {Function} task - 执行处理的函数，返回处理结果
+   * @returns {Promise<Object>} 处理结果，已登录用户附带计费信息billing
+   */
+  async run(userId, request, task) {
+    const billing = await this.charge(userId, request, request.reason);
+
+    let result;
+    try {
+      result = await task();
+    } catch (error) {
+      await this.refund(userId, billing, error.message);
+      await this.release(userId, billing);
+      throw error;
+    }
+
+    if (!billing) {
+      return result;
+    }
+
+    let charged = billing.charged;
+    if (billing.source === BILLING_SOURCES.CREDITS) {
+      // 未成功的步骤退还预扣的积分，改用较便宜的备用配置成功的步骤退还差额
+      const unusedCost = (result?.results?.steps || [])
+        .reduce((sum, step) => {
+          const reserved = step.reserved_credits ?? step.credits ?? 0;
+          return sum + Math.max(0, reserved - (step.success ? step.credits || 0 : 0));
+        }, 0);
+      charged -= await this.refund(userId, billing, '增强步骤未执行或执行失败', unusedCost);
+      await this.settle(userId, billing, { analyses: request.analyses || 0 });
+    } else {
+      await this.settle(userId, billing, {
+        analyses: request.analyses || 0,
+        ...measureEnhancementUsage(result)
+      });
+    }
+    return { ...result, billing: { ...billing, charged, reservation: null } };
+  }
+}
+
+// CommonJS导出
+module.exports = {
+  USAGE_METRICS,
+  PLAN_LIMITS,
+  BILLING_SOURCES,
+  resolveBillingPeriod,
+  measureEnhancementUsage,
+  UsageMeter
+};
@@ -1,24 +1,29 @@
 import { useState, useCallback } from 'react';
-import { SignedIn, SignedOut, SignInButton, SignUpButton, UserButton, useUser } from '@clerk/clerk-react';
+import { SignedIn, SignedOut, SignInButton, SignUpButton, UserButton, useAuth, useUser } from '@clerk/clerk-react';
 import { clsx } from 'clsx';
-import ProgressBar from './components/ProgressBar';
+import { Link } from 'react-router-dom';
+import ProgressBar, { FinishedJob } from './components/ProgressBar';
 import Sidebar from './components/Sidebar';
 import ImageComparison from './components/ImageComparison';
 import AutopilotPanel from './components/AutopilotPanel';
+import BatchPanel from './components/BatchPanel';
+import { ApiError, Preset, readApiError, redirectToCheckout } from './api';
 
 function App() {
   const { user } = useUser();
+  const { getToken } = useAuth();
   
   // 基础状态
   const [file, setFile] = useState<File | null>(null);
   const [imagePreview, setImagePreview] = useState<string | null>(null);
   const [error, setError] = useState<string | null>(null);
   const [dragOver, setDragOver] = useState(false);
+  const [upgradeRequired, setUpgradeRequired] = useState(false);
 
   // 分析功能状态
   const [score, setScore] = useState<number | null>(null);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
-  const [analyzeProgress, setAnalyzeProgress] = useState(0);
+  const [analyzeJobId, setAnalyzeJobId] = useState<string | null>(null);
 
   // 处理状态（用于检测是否有任何处理正在进行）
   const [isProcessing] = useState(false);
@@ -28,6 +33,8 @@ function App() {
   const [autopilotRecommendations, setAutopilotRecommendations] = useState<any>(null);
   const [isAutopilotAnalyzing, setIsAutopilotAnalyzing] = useState(false);
   const [isAutopilotEnhancing, setIsAutopilotEnhancing] = useState(false);
+  const [autopilotJobId, setAutopilotJobId] = useState<string | null>(null);
+  const [selectedPreset, setSelectedPreset] = useState<Preset | null>(null);
 
   // 当前显示的图像状态
   const [currentProcessedImage, setCurrentProcessedImage] = useState<string | null>(null);
@@ -37,6 +44,7 @@ function App() {
   const handleFileSelect = useCallback((selectedFile: File) => {
     setFile(selectedFile);
     setError(null);
+    setUpgradeRequired(false);
     
     // 重置所有结果
     setScore(null);
@@ -82,16 +90,53 @@ function App() {
     }
   }, [handleFileSelect]);
 
-  // 图像转换为base64
-  const getImageBase64 = useCallback(async (imageFile: File): Promise<string> => {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = () => resolve(reader.result as string);
-      reader.onerror = reject;
-      reader.readAsDataURL(imageFile);
+  // 构建multipart上传表单：图像以二进制放在image字段，对象参数按JSON编码
+  const buildUploadForm = useCallback((imageFile: File, params: Record<string, unknown> = {}): FormData => {
+    const formData = new FormData();
+    Object.entries(params).forEach(([key, value]) => {
+      formData.append(key, typeof value === 'string' ? value : JSON.stringify(value));
     });
+    formData.append('image', imageFile);
+    return formData;
   }, []);
 
+  // 附加Clerk会话令牌，付费接口拒绝匿名请求（EventSource无法设置请求头，依赖__session Cookie）
+  const getAuthHeaders = useCallback(async (): Promise<Record<string, string>> => {
+    const token = await getToken();
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }, [getToken]);
+
+  // 创建异步任务，进度由ProgressBar订阅 /api/jobs/:id/events 获取
+  const createJob = useCallback(async (imageFile: File, params: Record<string, unknown>): Promise<{ id: string }> => {
+    const response = await fetch('/api/jobs', {
+      method: 'POST',
+      headers: await getAuthHeaders(),
+      body: buildUploadForm(imageFile, params),
+    });
+
+    if (!response.ok) {
+      throw await readApiError(response, `任务创建失败: ${response.statusText}`);
+    }
+
+    const result = await response.json();
+    return result.job;
+  }, [buildUploadForm, getAuthHeaders]);
+
+  // 显示错误，额度用尽或功能仅限Pro时同时显示升级按钮
+  const showError = useCallback((err: unknown, fallback: string) => {
+    setError(err instanceof Error ? err.message : fallback);
+    setUpgradeRequired(err instanceof ApiError && err.upgrade);
+  }, []);
+
+  // 创建Stripe Checkout会话并跳转：priceId订阅Pro，packId购买一次性积分包
+  const startCheckout = async (checkout: { priceId?: string; packId?: string }) => {
+    try {
+      await redirectToCheckout(await getAuthHeaders(), checkout);
+    } catch (err) {
+      showError(err, '支付过程中出现错误');
+    }
+  };
+
   // AI分析处理
   const handleAnalyze = async () => {
     if (!file) {
@@ -101,40 +146,32 @@ function App() {
 
     setIsAnalyzing(true);
     setError(null);
-    setAnalyzeProgress(0);
+    setUpgradeRequired(false);
+    setAnalyzeJobId(null);
 
     try {
-      setAnalyzeProgress(20);
-      const base64 = await getImageBase64(file);
-      setAnalyzeProgress(40);
-
-      setAnalyzeProgress(60);
-      const response = await fetch('/api/analyze', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          imageBase64: base64,
-        }),
-      });
-      setAnalyzeProgress(80);
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || `分析失败: ${response.statusText}`);
-      }
-
-      const result = await response.json();
-      setAnalyzeProgress(100);
-      setScore(result.quality_score);
+      const job = await createJob(file, { type: 'analyze' });
+      setAnalyzeJobId(job.id);
     } catch (err) {
-      setError(err instanceof Error ? err.message : '分析过程中出现错误');
-    } finally {
+      showError(err, '分析过程中出现错误');
       setIsAnalyzing(false);
     }
   };
 
+  // AI分析任务结束
+  const handleAnalyzeFinished = useCallback((job: FinishedJob) => {
+    setIsAnalyzing(false);
+    setAnalyzeJobId(null);
+
+    if (job.status === 'succeeded' && job.result?.analyzable === false) {
+      setError(job.result.message || '该图像格式暂不支持质量分析');
+    } else if (job.status === 'succeeded') {
+      setScore(job.result?.quality_score ?? null);
+    } else {
+      setError(job.error || '分析过程中出现错误');
+    }
+  }, []);
+
   // Autopilot智能增强
   const handleAutopilot = async () => {
     if (!file) {
@@ -144,24 +181,19 @@ function App() {
 
     setIsAutopilotAnalyzing(true);
     setError(null);
+    setUpgradeRequired(false);
+    setAutopilotJobId(null);
 
     try {
       // 第一阶段：智能分析
-      const base64 = await getImageBase64(file);
-      
       const analyzeResponse = await fetch('/api/autopilot-analyze', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          imageBase64: base64,
-        }),
+        headers: await getAuthHeaders(),
+        body: buildUploadForm(file),
       });
 
       if (!analyzeResponse.ok) {
-        const errorData = await analyzeResponse.json();
-        throw new Error(errorData.error || 'Autopilot分析失败');
+        throw await readApiError(analyzeResponse, 'Autopilot分析失败');
       }
 
       const analyzeResult = await analyzeResponse.json();
@@ -170,36 +202,41 @@ function App() {
       
       setIsAutopilotAnalyzing(false);
       setIsAutopilotEnhancing(true);
-      setCurrentProcessingType('Autopilot智能增强');
-
-      // 第二阶段：自动增强
-      const enhanceResponse = await fetch('/api/autopilot-enhance', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          imageBase64: base64,
-          recommendations: analyzeResult.recommendations,
-        }),
+      setCurrentProcessingType(selectedPreset ? `预设: ${selectedPreset.name}` : 'Autopilot智能增强');
+
+      // 第二阶段：按所选预设或建议创建增强任务，分步进度由ProgressBar显示
+      // 预设步骤的条件直接使用本次分析的评分，不再重复分析
+      const job = await createJob(file, selectedPreset ? {
+        type: 'pipeline',
+        preset_id: selectedPreset.id,
+        scores: analyzeResult.scores,
+      } : {
+        type: 'autopilot',
+        recommendations: analyzeResult.recommendations,
       });
-
-      if (!enhanceResponse.ok) {
-        const errorData = await enhanceResponse.json();
-        throw new Error(errorData.error || 'Autopilot增强失败');
-      }
-
-      const enhanceResult = await enhanceResponse.json();
-      setCurrentProcessedImage(enhanceResult.results.final);
+      setAutopilotJobId(job.id);
       
     } catch (err) {
-      setError(err instanceof Error ? err.message : 'Autopilot处理过程中出现错误');
-    } finally {
+      showError(err, 'Autopilot处理过程中出现错误');
       setIsAutopilotAnalyzing(false);
       setIsAutopilotEnhancing(false);
     }
   };
 
+  // Autopilot增强任务结束
+  const handleAutopilotFinished = useCallback((job: FinishedJob) => {
+    setIsAutopilotEnhancing(false);
+    setAutopilotJobId(null);
+
+    if (job.status !== 'succeeded') {
+      setError(job.error || 'Autopilot增强失败');
+    } else if (job.result?.final_image) {
+      setCurrentProcessedImage(job.result.final_image);
+    } else if ((job.result?.total_steps ?? 0) > 0) {
+      setError('所有增强步骤均失败，请稍后再试');
+    }
+  }, []);
+
   // 参数变化处理
   const handleParameterChange = (type: string, key: string, value: any) => {
     if (!autopilotRecommendations) return;
@@ -237,6 +274,7 @@ function App() {
             <SignedIn>
               <div className="user-section">
                 <span className="welcome-text">欢迎, {user?.firstName || '用户'}</span>
+                <Link to="/billing" className="auth-btn billing-link">账单与订阅</Link>
                 <UserButton afterSignOutUrl="/" />
               </div>
             </SignedIn>
@@ -297,10 +335,27 @@ function App() {
             recommendations={autopilotRecommendations}
             isAnalyzing={isAutopilotAnalyzing}
             isEnhancing={isAutopilotEnhancing}
+            selectedPreset={selectedPreset}
             onStartAutopilot={handleAutopilot}
             onParameterChange={handleParameterChange}
+            onPresetChange={setSelectedPreset}
+            getAuthHeaders={getAuthHeaders}
           />
 
+          {isAutopilotEnhancing && (
+            <ProgressBar
+              isVisible={isAutopilotEnhancing}
+              message="Autopilot增强进度"
+              type="autopilot"
+              stage={autopilotJobId ? 'queued' : 'uploading'}
+              jobId={autopilotJobId}
+              onJobFinished={handleAutopilotFinished}
+            />
+          )}
+
+          {/* 批量处理：多张图像使用同一个预设 */}
+          <BatchPanel getAuthHeaders={getAuthHeaders} />
+
           {/* 基础AI分析 */}
           <div className="analysis-section">
             <h3>🤖 AI质量分析</h3>
@@ -322,9 +377,11 @@ function App() {
             {isAnalyzing && (
               <ProgressBar 
                 isVisible={isAnalyzing} 
-                progress={analyzeProgress} 
                 message="AI分析进度" 
                 type="analyze" 
+                stage={analyzeJobId ? 'queued' : 'uploading'}
+                jobId={analyzeJobId}
+                onJobFinished={handleAnalyzeFinished}
               />
             )}
             
@@ -339,6 +396,16 @@ function App() {
           {error && (
             <div className="error-message">
               <p>❌ {error}</p>
+              {upgradeRequired && (
+                <div className="upgrade-actions">
+                  <button className="upgrade-btn" onClick={() => startCheckout({ priceId: import.meta.env.VITE_STRIPE_PRICE_ID })}>
+                    升级到Pro
+                  </button>
+                  <button className="upgrade-btn" onClick={() => startCheckout({ packId: 'credits_100' })}>
+                    购买100积分
+                  </button>
+                </div>
+              )}
             </div>
           )}
         </Sidebar>
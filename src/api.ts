@@ -0,0 +1,269 @@
+import { loadStripe } from '@stripe/stripe-js';
+
+const stripePromise = loadStripe(import.meta.env.VITE_STRIPE_PUBLISHABLE_KEY || '');
+
+// 接口错误：402/429额度或套餐限制响应带code和upgrade字段，用于显示升级提示
+export class ApiError extends Error {
+  code: string | null;
+  upgrade: boolean;
+
+  constructor(message: string, code: string | null = null, upgrade = false) {
+    super(message);
+    this.code = code;
+    this.upgrade = upgrade;
+  }
+}
+
+// 读取失败响应中的错误信息
+export async function readApiError(response: Response, fallback: string): Promise<ApiError> {
+  const errorData = await response.json().catch(() => ({}));
+  return new ApiError(errorData.error || fallback, errorData.code || null, Boolean(errorData.upgrade));
+}
+
+// 创建Stripe Checkout会话并跳转：priceId订阅Pro，packId购买一次性积分包
+export async function redirectToCheckout(
+  authHeaders: Record<string, string>,
+  checkout: { priceId?: string; packId?: string }
+): Promise<void> {
+  const response = await fetch('/api/create-checkout-session', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...authHeaders,
+    },
+    body: JSON.stringify(checkout),
+  });
+
+  if (!response.ok) {
+    throw await readApiError(response, '创建支付会话失败');
+  }
+
+  const { sessionId } = await response.json();
+  const stripe = await stripePromise;
+
+  if (stripe) {
+    await stripe.redirectToCheckout({ sessionId });
+  }
+}
+
+// 打开Stripe客户门户：flow指定直接进入取消订阅、更换套餐或更新支付方式流程
+export async function redirectToPortal(
+  authHeaders: Record<string, string>,
+  flow: 'payment_method_update' | 'subscription_cancel' | 'subscription_update' | null = null
+): Promise<void> {
+  const response = await fetch('/api/create-portal-session', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...authHeaders,
+    },
+    body: JSON.stringify({ flow }),
+  });
+
+  if (!response.ok) {
+    throw await readApiError(response, '打开客户门户失败');
+  }
+
+  const { url } = await response.json();
+  window.location.href = url;
+}
+
+// 模型参数schema中的单个参数
+export interface ModelParam {
+  type: 'image' | 'string' | 'number' | 'integer' | 'boolean';
+  label?: string;
+  enum?: Array<string | number>;
+  enum_labels?: Record<string, string>;
+  minimum?: number;
+  maximum?: number;
+  default?: string | number | boolean;
+  required?: boolean;
+}
+
+// 模型注册表中的模型
+export interface ModelInfo {
+  id: string;
+  label: string;
+  category: 'tone' | 'detail' | 'upscale';
+  provider: string;
+  default: boolean;
+  aliases: string[];
+  model: string | null;
+  version: string | null;
+  scales: number[] | null;
+  max_input_megapixels: number;
+  cost: number | Record<string, number>;
+  input_schema: Record<string, ModelParam>;
+}
+
+// 读取模型注册表，用于构建模型、放大倍数和增强类型选项
+export async function fetchModels(): Promise<{ defaultProvider: string; models: ModelInfo[] }> {
+  const response = await fetch('/api/models');
+
+  if (!response.ok) {
+    throw await readApiError(response, '读取模型列表失败');
+  }
+
+  const { default_provider, models } = await response.json();
+  return { defaultProvider: default_provider, models };
+}
+
+// 流水线步骤，params与对应增强接口的参数相同
+export interface PipelineStep {
+  id: string;
+  op: 'tone' | 'detail' | 'upscale';
+  params: Record<string, string | number | boolean>;
+  when?: Record<string, unknown>;
+  on_error: 'abort' | 'skip' | 'fallback';
+  fallback?: Record<string, string | number | boolean>;
+}
+
+// 增强预设：内置预设所有人可用，用户预设只对创建者可见
+export interface Preset {
+  id: string;
+  name: string;
+  description: string;
+  pipeline: { steps: PipelineStep[] };
+  builtin: boolean;
+  shared: boolean;
+  share_url: string | null;
+}
+
+// 读取内置预设和当前用户的预设（未登录时只有内置预设）
+export async function fetchPresets(authHeaders: Record<string, string>): Promise<Preset[]> {
+  const response = await fetch('/api/presets', { headers: authHeaders });
+
+  if (!response.ok) {
+    throw await readApiError(response, '读取预设失败');
+  }
+
+  const { presets } = await response.json();
+  return presets;
+}
+
+// 把当前的增强建议（步骤顺序和参数）保存为预设
+export async function savePreset(
+  authHeaders: Record<string, string>,
+  preset: { name: string; description?: string; recommendations: unknown }
+): Promise<Preset> {
+  const response = await fetch('/api/presets', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...authHeaders,
+    },
+    body: JSON.stringify(preset),
+  });
+
+  if (!response.ok) {
+    throw await readApiError(response, '保存预设失败');
+  }
+
+  const { preset: saved } = await response.json();
+  return saved;
+}
+
+// 批量任务中的单张图像
+export interface BatchItem {
+  id: string;
+  name: string;
+  status: 'queued' | 'running' | 'succeeded' | 'failed' | 'canceled';
+  job_id: string | null;
+  retries: number;
+  percent: number;
+  stage: string;
+  error: string | null;
+  result: { final_image: string | null; successful_steps: number; total_steps: number } | null;
+}
+
+// 批量任务：同一条流水线处理多张图像
+export interface Batch {
+  id: string;
+  status: 'queued' | 'running' | 'succeeded' | 'partial' | 'failed' | 'canceled';
+  pipeline_name: string;
+  output_suffix: string;
+  analyze: boolean;
+  items: BatchItem[];
+  skipped: Array<{ name: string; reason: string }>;
+  progress: {
+    total: number;
+    queued: number;
+    running: number;
+    succeeded: number;
+    failed: number;
+    canceled: number;
+    percent: number;
+  };
+}
+
+// 创建批量任务：每个文件作为一张图像，文件夹中的文件保留相对路径，ZIP压缩包由服务端解压
+export async function createBatch(
+  authHeaders: Record<string, string>,
+  files: File[],
+  params: { preset_id: string; analyze: boolean }
+): Promise<Batch> {
+  const formData = new FormData();
+  formData.append('preset_id', params.preset_id);
+  formData.append('analyze', String(params.analyze));
+  files.forEach(file => formData.append('images', file, file.webkitRelativePath || file.name));
+
+  const response = await fetch('/api/batches', {
+    method: 'POST',
+    headers: authHeaders,
+    body: formData,
+  });
+
+  if (!response.ok) {
+    throw await readApiError(response, '批量任务创建失败');
+  }
+
+  const { batch } = await response.json();
+  return batch;
+}
+
+// 查询批量任务的各图像状态和整体进度
+export async function fetchBatch(authHeaders: Record<string, string>, id: string): Promise<Batch> {
+  const response = await fetch(`/api/batches/${id}`, { headers: authHeaders });
+
+  if (!response.ok) {
+    throw await readApiError(response, '批量任务查询失败');
+  }
+
+  const { batch } = await response.json();
+  return batch;
+}
+
+// 取消批量任务中所有未完成的图像
+export async function cancelBatch(authHeaders: Record<string, string>, id: string): Promise<Batch> {
+  const response = await fetch(`/api/batches/${id}`, { method: 'DELETE', headers: authHeaders });
+
+  if (!response.ok) {
+    throw await readApiError(response, '批量任务取消失败');
+  }
+
+  const { batch } = await response.json();
+  return batch;
+}
+
+// 重试批量任务中失败或已取消的图像
+export async function retryBatchItem(authHeaders: Record<string, string>, id: string, itemId: string): Promise<Batch> {
+  const response = await fetch(`/api/batches/${id}/items/${itemId}/retry`, { method: 'POST', headers: authHeaders });
+
+  if (!response.ok) {
+    throw await readApiError(response, '重试失败');
+  }
+
+  const { batch } = await response.json();
+  return batch;
+}
+
+// 下载批量任务的结果压缩包（包含manifest.json）
+export async function downloadBatchArchive(authHeaders: Record<string, string>, id: string): Promise<Blob> {
+  const response = await fetch(`/api/batches/${id}/download`, { headers: authHeaders });
+
+  if (!response.ok) {
+    throw await readApiError(response, '结果下载失败');
+  }
+
+  return response.blob();
+}
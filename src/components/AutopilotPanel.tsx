@@ -1,8 +1,10 @@
-import React, { useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
+import { fetchModels, fetchPresets, savePreset, ModelInfo, Preset } from '../api';
 
+// 图像无法进行像素分析时影调和细节评分为null
 interface AutopilotScores {
-  tone: number;
-  detail: number;
+  tone: number | null;
+  detail: number | null;
   resolution: number;
   overall: number;
 }
@@ -12,6 +14,7 @@ interface AutopilotRecommendations {
     enabled: boolean;
     type: string;
     intensity: number;
+    luminance_only?: boolean;
   };
   detail?: {
     enabled: boolean;
@@ -26,13 +29,36 @@ interface AutopilotRecommendations {
   priority: string[];
 }
 
+// 模型列表加载前（或加载失败时）使用的选项
+const FALLBACK_TONE_TYPES = { general: '通用增强', night: '夜景增强', landscape: '风景增强', hdr: '高动态增强' };
+const FALLBACK_DETAIL_TYPES = { general: '通用细节', hair: '发丝细节', plant: '植物细节', text: '文字清晰' };
+const FALLBACK_UPSCALE_MODELS = [
+  { id: 'real-esrgan', label: 'Real-ESRGAN (通用)', aliases: [] as string[], scales: [2, 4, 8] },
+  { id: 'aura-sr-v2', label: 'Aura SR v2 (高质量)', aliases: [] as string[], scales: [2, 4, 8] }
+];
+
+// 步骤名称
+const STEP_LABELS: Record<string, string> = { tone: '影调增强', detail: '细节增强', upscale: '超分辨率' };
+
+// 从模型的type参数读取增强类型选项
+const getTypeOptions = (model: ModelInfo | undefined, fallback: Record<string, string>) => {
+  const param = model?.input_schema.type;
+  if (!param?.enum) {
+    return Object.entries(fallback);
+  }
+  return param.enum.map(value => [String(value), param.enum_labels?.[String(value)] || String(value)]);
+};
+
 interface AutopilotPanelProps {
   scores: AutopilotScores | null;
   recommendations: AutopilotRecommendations | null;
   isAnalyzing: boolean;
   isEnhancing: boolean;
+  selectedPreset: Preset | null;
   onStartAutopilot: () => void;
   onParameterChange: (type: string, key: string, value: any) => void;
+  onPresetChange: (preset: Preset | null) => void;
+  getAuthHeaders: () => Promise<Record<string, string>>;
 }
 
 const AutopilotPanel: React.FC<AutopilotPanelProps> = ({
@@ -40,18 +66,83 @@ const AutopilotPanel: React.FC<AutopilotPanelProps> = ({
   recommendations,
   isAnalyzing,
   isEnhancing,
+  selectedPreset,
   onStartAutopilot,
-  onParameterChange
+  onParameterChange,
+  onPresetChange,
+  getAuthHeaders
 }) => {
   const [isExpanded, setIsExpanded] = useState(false);
+  const [models, setModels] = useState<ModelInfo[]>([]);
+  const [presets, setPresets] = useState<Preset[]>([]);
+  const [isSavingPreset, setIsSavingPreset] = useState(false);
+  const [presetMessage, setPresetMessage] = useState<string | null>(null);
+
+  // 加载默认提供方的模型，选项随注册表变化
+  useEffect(() => {
+    fetchModels()
+      .then(({ defaultProvider, models: registered }) => setModels(registered.filter(model => model.provider === defaultProvider)))
+      .catch(error => console.error('读取模型列表失败:', error));
+  }, []);
+
+  // 加载内置预设和当前用户的预设
+  const loadPresets = useCallback(async () => {
+    try {
+      setPresets(await fetchPresets(await getAuthHeaders()));
+    } catch (error) {
+      console.error('读取预设失败:', error);
+    }
+  }, [getAuthHeaders]);
+
+  useEffect(() => {
+    loadPresets();
+  }, [loadPresets]);
+
+  // 把当前的增强建议（步骤顺序和参数）保存为预设，保存后选中新预设
+  const handleSavePreset = async () => {
+    if (!recommendations) return;
+    const name = window.prompt('预设名称');
+    if (!name?.trim()) return;
+
+    setIsSavingPreset(true);
+    setPresetMessage(null);
+    try {
+      const saved = await savePreset(await getAuthHeaders(), { name: name.trim(), recommendations });
+      await loadPresets();
+      onPresetChange(saved);
+      setPresetMessage(`已保存预设「${saved.name}」`);
+    } catch (error) {
+      setPresetMessage(error instanceof Error ? error.message : '保存预设失败');
+    } finally {
+      setIsSavingPreset(false);
+    }
+  };
+
+  const builtinPresets = presets.filter(preset => preset.builtin);
+  const userPresets = presets.filter(preset => !preset.builtin);
+
+  const defaultModel = (category: ModelInfo['category']) =>
+    models.find(model => model.category === category && model.default);
+  const toneTypes = getTypeOptions(defaultModel('tone'), FALLBACK_TONE_TYPES);
+  const detailTypes = getTypeOptions(defaultModel('detail'), FALLBACK_DETAIL_TYPES);
+  const upscaleModels = models.some(model => model.category === 'upscale')
+    ? models.filter(model => model.category === 'upscale')
+    : FALLBACK_UPSCALE_MODELS;
+  const upscaleModelValue = recommendations?.upscale?.model;
+  // 建议中的模型可能是当前提供方模型的别名（如本地处理时的real-esrgan）
+  const selectedUpscaleModel = upscaleModels.find(model => model.id === upscaleModelValue)
+    || upscaleModels.find(model => model.aliases.includes(upscaleModelValue || ''));
+  const upscaleScales = selectedUpscaleModel?.scales || [2, 4, 8];
 
-  const getScoreColor = (score: number) => {
+  const getScoreColor = (score: number | null) => {
+    if (score === null) return '#9ca3af'; // 灰色
     if (score >= 80) return '#10b981'; // 绿色
     if (score >= 60) return '#f59e0b'; // 橙色
     return '#ef4444'; // 红色
   };
 
-  const getScoreLabel = (score: number) => {
+  const getScoreLabel = (score: number | null) => {
+    if (score === null) return '无法分析';
     if (score >= 80) return '优秀';
     if (score >= 60) return '良好';
     return '需要改进';
@@ -66,6 +157,50 @@ const AutopilotPanel: React.FC<AutopilotPanelProps> = ({
         </p>
       </div>
 
+      {/* 增强预设 */}
+      <div className="preset-picker">
+        <div className="parameter-row">
+          <label>预设：</label>
+          <select
+            value={selectedPreset?.id || ''}
+            onChange={(e) => onPresetChange(presets.find(preset => preset.id === e.target.value) || null)}
+            disabled={isAnalyzing || isEnhancing}
+          >
+            <option value="">智能推荐</option>
+            <optgroup label="内置预设">
+              {builtinPresets.map(preset => (
+                <option key={preset.id} value={preset.id}>{preset.name}</option>
+              ))}
+            </optgroup>
+            {userPresets.length > 0 && (
+              <optgroup label="我的预设">
+                {userPresets.map(preset => (
+                  <option key={preset.id} value={preset.id}>{preset.name}</option>
+                ))}
+              </optgroup>
+            )}
+          </select>
+        </div>
+        {selectedPreset && (
+          <div className="preset-summary">
+            {selectedPreset.description && <p>{selectedPreset.description}</p>}
+            <div className="priority-items">
+              {selectedPreset.pipeline.steps.map((step, index) => (
+                <span key={step.id} className="priority-item">
+                  {index + 1}. {STEP_LABELS[step.op]}{step.when ? '（按条件）' : ''}
+                </span>
+              ))}
+            </div>
+          </div>
+        )}
+        {recommendations && !selectedPreset && (
+          <button className="expand-btn" onClick={handleSavePreset} disabled={isSavingPreset || isEnhancing}>
+            {isSavingPreset ? '保存中...' : '💾 保存当前参数为预设'}
+          </button>
+        )}
+        {presetMessage && <p className="preset-message">{presetMessage}</p>}
+      </div>
+
       <div className="autopilot-actions">
         <button
           className="autopilot-btn primary"
@@ -82,6 +217,8 @@ const AutopilotPanel: React.FC<AutopilotPanelProps> = ({
               <span className="loading"></span>
               增强中...
             </>
+          ) : selectedPreset ? (
+            `🚀 按预设「${selectedPreset.name}」增强`
           ) : (
             '🚀 开始智能增强'
           )}
@@ -96,7 +233,7 @@ const AutopilotPanel: React.FC<AutopilotPanelProps> = ({
             <div className="score-item">
               <div className="score-label">影调质量</div>
               <div className="score-value" style={{ color: getScoreColor(scores.tone) }}>
-                {scores.tone}分
+                {scores.tone === null ? '—' : `${scores.tone}分`}
               </div>
               <div className="score-status">{getScoreLabel(scores.tone)}</div>
             </div>
@@ -104,7 +241,7 @@ const AutopilotPanel: React.FC<AutopilotPanelProps> = ({
             <div className="score-item">
               <div className="score-label">细节清晰</div>
               <div className="score-value" style={{ color: getScoreColor(scores.detail) }}>
-                {scores.detail}分
+                {scores.detail === null ? '—' : `${scores.detail}分`}
               </div>
               <div className="score-status">{getScoreLabel(scores.detail)}</div>
             </div>
@@ -146,7 +283,7 @@ const AutopilotPanel: React.FC<AutopilotPanelProps> = ({
             <div className="priority-items">
               {recommendations.priority.map((step, index) => (
                 <span key={step} className="priority-item">
-                  {index + 1}. {step === 'tone' ? '影调增强' : step === 'detail' ? '细节增强' : '超分辨率'}
+                  {index + 1}. {STEP_LABELS[step]}
                 </span>
               ))}
             </div>
@@ -164,10 +301,9 @@ const AutopilotPanel: React.FC<AutopilotPanelProps> = ({
                       value={recommendations.tone.type}
                       onChange={(e) => onParameterChange('tone', 'type', e.target.value)}
                     >
-                      <option value="general">通用增强</option>
-                      <option value="night">夜景增强</option>
-                      <option value="landscape">风景增强</option>
-                      <option value="hdr">高动态增强</option>
+                      {toneTypes.map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
                     </select>
                   </div>
                   <div className="parameter-row">
@@ -182,6 +318,14 @@ const AutopilotPanel: React.FC<AutopilotPanelProps> = ({
                       <option value={2.0}>强烈 (2.0x)</option>
                     </select>
                   </div>
+                  <div className="parameter-row">
+                    <label>仅调整亮度：</label>
+                    <input
+                      type="checkbox"
+                      checked={Boolean(recommendations.tone.luminance_only)}
+                      onChange={(e) => onParameterChange('tone', 'luminance_only', e.target.checked)}
+                    />
+                  </div>
                 </div>
               )}
 
@@ -195,10 +339,9 @@ const AutopilotPanel: React.FC<AutopilotPanelProps> = ({
                       value={recommendations.detail.type}
                       onChange={(e) => onParameterChange('detail', 'type', e.target.value)}
                     >
-                      <option value="general">通用细节</option>
-                      <option value="hair">发丝细节</option>
-                      <option value="plant">植物细节</option>
-                      <option value="text">文字清晰</option>
+                      {detailTypes.map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
                     </select>
                   </div>
                   <div className="parameter-row">
@@ -225,19 +368,20 @@ const AutopilotPanel: React.FC<AutopilotPanelProps> = ({
                       value={recommendations.upscale.scale}
                       onChange={(e) => onParameterChange('upscale', 'scale', Number(e.target.value))}
                     >
-                      <option value={2}>2x</option>
-                      <option value={4}>4x</option>
-                      <option value={8}>8x</option>
+                      {upscaleScales.map(scale => (
+                        <option key={scale} value={scale}>{scale}x</option>
+                      ))}
                     </select>
                   </div>
                   <div className="parameter-row">
                     <label>模型：</label>
                     <select
-                      value={recommendations.upscale.model}
+                      value={selectedUpscaleModel?.id || recommendations.upscale.model}
                       onChange={(e) => onParameterChange('upscale', 'model', e.target.value)}
                     >
-                      <option value="real-esrgan">Real-ESRGAN (通用)</option>
-                      <option value="aura-sr-v2">Aura SR v2 (高质量)</option>
+                      {upscaleModels.map(model => (
+                        <option key={model.id} value={model.id}>{model.label}</option>
+                      ))}
                     </select>
                   </div>
                 </div>
@@ -0,0 +1,266 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { clsx } from 'clsx';
+import {
+  fetchPresets,
+  createBatch,
+  fetchBatch,
+  cancelBatch,
+  retryBatchItem,
+  downloadBatchArchive,
+  Batch,
+  BatchItem,
+  Preset
+} from '../api';
+
+// 查询批量任务状态的间隔
+const POLL_INTERVAL_MS = 1500;
+
+// 批量任务结束后不再查询
+const FINISHED_STATUSES: Batch['status'][] = ['succeeded', 'partial', 'failed', 'canceled'];
+
+const BATCH_STATUS_LABELS: Record<Batch['status'], string> = {
+  queued: '排队中',
+  running: '处理中',
+  succeeded: '全部完成',
+  partial: '部分完成',
+  failed: '全部失败',
+  canceled: '已取消'
+};
+
+const ITEM_STATUS_LABELS: Record<BatchItem['status'], string> = {
+  queued: '⏳ 排队中',
+  running: '⚙️ 处理中',
+  succeeded: '✅ 完成',
+  failed: '❌ 失败',
+  canceled: '⏹️ 已取消'
+};
+
+interface BatchPanelProps {
+  getAuthHeaders: () => Promise<Record<string, string>>;
+}
+
+const BatchPanel: React.FC<BatchPanelProps> = ({ getAuthHeaders }) => {
+  const [presets, setPresets] = useState<Preset[]>([]);
+  const [presetId, setPresetId] = useState('');
+  const [analyze, setAnalyze] = useState(false);
+  const [files, setFiles] = useState<File[]>([]);
+  const [dragOver, setDragOver] = useState(false);
+  const [batch, setBatch] = useState<Batch | null>(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const folderInputRef = useRef<HTMLInputElement>(null);
+
+  // 加载内置预设和当前用户的预设，默认选中第一个
+  useEffect(() => {
+    getAuthHeaders()
+      .then(fetchPresets)
+      .then((loaded) => {
+        setPresets(loaded);
+        setPresetId(current => current || loaded[0]?.id || '');
+      })
+      .catch(loadError => console.error('读取预设失败:', loadError));
+  }, [getAuthHeaders]);
+
+  // 选择文件夹的输入框（webkitdirectory不在React的属性类型中）
+  useEffect(() => {
+    folderInputRef.current?.setAttribute('webkitdirectory', '');
+  }, []);
+
+  // 批量任务未结束时定时查询进度
+  useEffect(() => {
+    if (!batch || FINISHED_STATUSES.includes(batch.status)) return;
+
+    const timer = window.setTimeout(async () => {
+      try {
+        setBatch(await fetchBatch(await getAuthHeaders(), batch.id));
+      } catch (pollError) {
+        setError(pollError instanceof Error ? pollError.message : '批量任务查询失败');
+      }
+    }, POLL_INTERVAL_MS);
+
+    return () => window.clearTimeout(timer);
+  }, [batch, getAuthHeaders]);
+
+  const addFiles = (selected: FileList | null) => {
+    if (!selected) return;
+    setFiles(current => [...current, ...Array.from(selected)]);
+    setError(null);
+  };
+
+  const handleDrop = (event: React.DragEvent) => {
+    event.preventDefault();
+    setDragOver(false);
+    addFiles(event.dataTransfer.files);
+  };
+
+  const handleStart = async () => {
+    if (files.length === 0 || !presetId) return;
+
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      setBatch(await createBatch(await getAuthHeaders(), files, { preset_id: presetId, analyze }));
+      setFiles([]);
+    } catch (startError) {
+      setError(startError instanceof Error ? startError.message : '批量任务创建失败');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!batch) return;
+    try {
+      setBatch(await cancelBatch(await getAuthHeaders(), batch.id));
+    } catch (cancelError) {
+      setError(cancelError instanceof Error ? cancelError.message : '批量任务取消失败');
+    }
+  };
+
+  const handleRetry = useCallback(async (itemId: string) => {
+    if (!batch) return;
+    try {
+      setBatch(await retryBatchItem(await getAuthHeaders(), batch.id, itemId));
+    } catch (retryError) {
+      setError(retryError instanceof Error ? retryError.message : '重试失败');
+    }
+  }, [batch, getAuthHeaders]);
+
+  const handleDownload = async () => {
+    if (!batch) return;
+    try {
+      const blob = await downloadBatchArchive(await getAuthHeaders(), batch.id);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `batch-${batch.id.slice(0, 8)}.zip`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (downloadError) {
+      setError(downloadError instanceof Error ? downloadError.message : '结果下载失败');
+    }
+  };
+
+  const isRunning = Boolean(batch && !FINISHED_STATUSES.includes(batch.status));
+
+  return (
+    <div className="batch-section">
+      <h3>🗂️ 批量处理</h3>
+
+      <div
+        className={clsx('upload-area', { 'drag-over': dragOver })}
+        onDragOver={(event) => { event.preventDefault(); setDragOver(true); }}
+        onDragLeave={() => setDragOver(false)}
+        onDrop={handleDrop}
+      >
+        <input
+          type="file"
+          accept="image/*,.zip,application/zip"
+          multiple
+          onChange={(event) => { addFiles(event.target.files); event.target.value = ''; }}
+          className="file-input"
+          id="batch-file-input"
+        />
+        <label htmlFor="batch-file-input" className="upload-label">
+          <div className="upload-content">
+            <span className="upload-icon">🗂️</span>
+            <p>点击选择或拖拽多张图像或ZIP压缩包</p>
+            <p className="upload-hint">所有图像使用同一个预设处理，压缩包内的目录结构会保留</p>
+          </div>
+        </label>
+      </div>
+
+      <input
+        ref={folderInputRef}
+        type="file"
+        multiple
+        onChange={(event) => { addFiles(event.target.files); event.target.value = ''; }}
+        className="file-input"
+        id="batch-folder-input"
+      />
+      <label htmlFor="batch-folder-input" className="batch-folder-link">或选择整个文件夹</label>
+
+      {files.length > 0 && (
+        <div className="file-info">
+          <p>已选择 {files.length} 个文件（{(files.reduce((sum, file) => sum + file.size, 0) / 1024 / 1024).toFixed(2)} MB）</p>
+          <button className="batch-link-btn" onClick={() => setFiles([])}>清空</button>
+        </div>
+      )}
+
+      <div className="preset-picker">
+        <select value={presetId} onChange={(event) => setPresetId(event.target.value)}>
+          {presets.map(preset => (
+            <option key={preset.id} value={preset.id}>
+              {preset.builtin ? '内置 · ' : ''}{preset.name}
+            </option>
+          ))}
+        </select>
+        <label className="batch-option">
+          <input type="checkbox" checked={analyze} onChange={(event) => setAnalyze(event.target.checked)} />
+          记录质量评分（每张图像计一次分析）
+        </label>
+      </div>
+
+      <button
+        className="analyze-btn"
+        onClick={handleStart}
+        disabled={isSubmitting || isRunning || files.length === 0 || !presetId}
+      >
+        {isSubmitting ? '上传中...' : `🚀 批量增强 ${files.length} 张图像`}
+      </button>
+
+      {batch && (
+        <div className="batch-queue">
+          <div className="batch-summary">
+            <span>{BATCH_STATUS_LABELS[batch.status]} · {batch.pipeline_name}</span>
+            <span>
+              {batch.progress.succeeded}/{batch.progress.total} 完成
+              {batch.progress.failed > 0 && ` · ${batch.progress.failed} 失败`}
+            </span>
+          </div>
+          <div className="batch-progress">
+            <div className="batch-progress-fill" style={{ width: `${batch.progress.percent}%` }} />
+          </div>
+
+          <ul className="batch-items">
+            {batch.items.map(item => (
+              <li key={item.id} className={clsx('batch-item', `batch-item-${item.status}`)}>
+                <span className="batch-item-name" title={item.name}>{item.name}</span>
+                <span className="batch-item-status">
+                  {ITEM_STATUS_LABELS[item.status]}
+                  {item.status === 'running' && ` ${item.percent}%`}
+                </span>
+                {(item.status === 'failed' || item.status === 'canceled') && (
+                  <button className="batch-link-btn" onClick={() => handleRetry(item.id)}>重试</button>
+                )}
+                {item.error && <span className="batch-item-error">{item.error}</span>}
+              </li>
+            ))}
+          </ul>
+
+          {batch.skipped.length > 0 && (
+            <div className="batch-skipped">
+              <p>已跳过 {batch.skipped.length} 个文件：</p>
+              {batch.skipped.map(entry => (
+                <p key={entry.name}>{entry.name}：{entry.reason}</p>
+              ))}
+            </div>
+          )}
+
+          <div className="batch-actions">
+            {isRunning && (
+              <button className="batch-link-btn" onClick={handleCancel}>⏹️ 全部取消</button>
+            )}
+            {batch.progress.succeeded > 0 && (
+              <button className="batch-link-btn" onClick={handleDownload}>📦 下载ZIP</button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {error && <p className="preset-message">{error}</p>}
+    </div>
+  );
+};
+
+export default BatchPanel;
@@ -0,0 +1,275 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { SignedIn, SignedOut, SignInButton, UserButton, useAuth } from '@clerk/clerk-react';
+import { readApiError, redirectToCheckout, redirectToPortal } from '../api';
+
+interface Invoice {
+  id: string;
+  number: string | null;
+  status: string;
+  amount_due: number;
+  amount_paid: number;
+  currency: string;
+  created: string | null;
+  hosted_invoice_url: string | null;
+  invoice_pdf: string | null;
+}
+
+interface SubscriptionDetails {
+  plan: 'free' | 'pro';
+  status: string | null;
+  renews_at: string | null;
+  current_period_end: string | null;
+  cancel_at_period_end: boolean;
+  customer_id: string | null;
+  subscription: {
+    id: string;
+    status: string;
+    price: { id: string; unit_amount: number | null; currency: string; interval: string | null } | null;
+  } | null;
+  invoices: Invoice[];
+}
+
+type PortalFlow = 'payment_method_update' | 'subscription_cancel' | 'subscription_update' | null;
+
+const STATUS_LABELS: Record<string, string> = {
+  active: '正常',
+  trialing: '试用中',
+  past_due: '扣款失败，正在重试',
+  canceled: '已取消',
+  incomplete: '等待付款',
+  unpaid: '未付款',
+};
+
+const INVOICE_STATUS_LABELS: Record<string, string> = {
+  paid: '已支付',
+  open: '待支付',
+  draft: '草稿',
+  void: '已作废',
+  uncollectible: '无法收款',
+};
+
+const INTERVAL_LABELS: Record<string, string> = {
+  day: '天',
+  week: '周',
+  month: '月',
+  year: '年',
+};
+
+// Stripe金额以最小货币单位（分）表示
+function formatAmount(amount: number, currency: string): string {
+  return new Intl.NumberFormat('zh-CN', { style: 'currency', currency: currency.toUpperCase() }).format(amount / 100);
+}
+
+function formatDate(iso: string | null): string {
+  return iso ? new Date(iso).toLocaleDateString('zh-CN') : '—';
+}
+
+const BillingPage = () => {
+  const { getToken, isSignedIn } = useAuth();
+  const [details, setDetails] = useState<SubscriptionDetails | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [redirecting, setRedirecting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const getAuthHeaders = useCallback(async (): Promise<Record<string, string>> => {
+    const token = await getToken();
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }, [getToken]);
+
+  // 加载订阅详情，从客户门户返回时页面重新加载，显示最新状态
+  useEffect(() => {
+    if (!isSignedIn) {
+      setLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+    (async () => {
+      try {
+        const response = await fetch('/api/me/subscription', { headers: await getAuthHeaders() });
+        if (!response.ok) {
+          throw await readApiError(response, '订阅信息加载失败');
+        }
+        const result = await response.json();
+        if (!cancelled) {
+          setDetails(result.subscription);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err instanceof Error ? err.message : '订阅信息加载失败');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isSignedIn, getAuthHeaders]);
+
+  // 跳转到Checkout或客户门户，失败时留在当前页面显示错误
+  const runRedirect = async (redirect: (authHeaders: Record<string, string>) => Promise<void>, fallback: string) => {
+    setRedirecting(true);
+    setError(null);
+    try {
+      await redirect(await getAuthHeaders());
+    } catch (err) {
+      setError(err instanceof Error ? err.message : fallback);
+    } finally {
+      setRedirecting(false);
+    }
+  };
+
+  const upgrade = () => runRedirect(
+    (authHeaders) => redirectToCheckout(authHeaders, { priceId: import.meta.env.VITE_STRIPE_PRICE_ID }),
+    '支付过程中出现错误'
+  );
+
+  const openPortal = (flow: PortalFlow = null) => runRedirect(
+    (authHeaders) => redirectToPortal(authHeaders, flow),
+    '打开客户门户失败'
+  );
+
+  const price = details?.subscription?.price;
+  const isPro = details?.plan === 'pro';
+
+  return (
+    <div className="app-container">
+      <header className="app-header">
+        <div className="header-content">
+          <div className="header-left">
+            <h1>💳 账单与订阅</h1>
+            <p className="header-subtitle">
+              <Link to="/" className="billing-back-link">← 返回图像处理</Link>
+            </p>
+          </div>
+          <div className="header-right">
+            <SignedIn>
+              <UserButton afterSignOutUrl="/" />
+            </SignedIn>
+          </div>
+        </div>
+      </header>
+
+      <main className="main-content billing-page">
+        <SignedOut>
+          <div className="billing-card">
+            <p>登录后查看订阅和账单</p>
+            <SignInButton mode="modal">
+              <button className="upgrade-btn">登录</button>
+            </SignInButton>
+          </div>
+        </SignedOut>
+
+        <SignedIn>
+          {loading && <p className="billing-muted">加载中...</p>}
+
+          {error && (
+            <div className="error-message">
+              <p>❌ {error}</p>
+            </div>
+          )}
+
+          {details && (
+            <>
+              <section className="billing-card">
+                <h2>当前套餐: {isPro ? 'Pro' : 'Free'}</h2>
+                {details.status && (
+                  <p>订阅状态: {STATUS_LABELS[details.status] || details.status}</p>
+                )}
+                {price?.unit_amount != null && (
+                  <p>
+                    价格: {formatAmount(price.unit_amount, price.currency)}
+                    {price.interval && ` / ${INTERVAL_LABELS[price.interval] || price.interval}`}
+                  </p>
+                )}
+                {details.renews_at && <p>下次续费: {formatDate(details.renews_at)}</p>}
+                {isPro && details.cancel_at_period_end && (
+                  <p className="billing-warning">
+                    订阅已取消，将于 {formatDate(details.current_period_end)} 到期后降级为Free
+                  </p>
+                )}
+
+                <div className="upgrade-actions">
+                  {!isPro && (
+                    <button className="upgrade-btn" disabled={redirecting} onClick={upgrade}>
+                      升级到Pro
+                    </button>
+                  )}
+                  {isPro && !details.cancel_at_period_end && (
+                    <>
+                      <button className="upgrade-btn" disabled={redirecting} onClick={() => openPortal('subscription_update')}>
+                        更换套餐
+                      </button>
+                      <button className="upgrade-btn" disabled={redirecting} onClick={() => openPortal('subscription_cancel')}>
+                        降级到Free
+                      </button>
+                    </>
+                  )}
+                  {isPro && details.cancel_at_period_end && (
+                    <button className="upgrade-btn" disabled={redirecting} onClick={() => openPortal()}>
+                      恢复订阅
+                    </button>
+                  )}
+                  {details.customer_id && (
+                    <>
+                      <button className="upgrade-btn" disabled={redirecting} onClick={() => openPortal('payment_method_update')}>
+                        更新支付方式
+                      </button>
+                      <button className="upgrade-btn" disabled={redirecting} onClick={() => openPortal()}>
+                        管理账单
+                      </button>
+                    </>
+                  )}
+                </div>
+              </section>
+
+              <section className="billing-card">
+                <h2>账单记录</h2>
+                {details.invoices.length === 0 ? (
+                  <p className="billing-muted">暂无账单</p>
+                ) : (
+                  <table className="invoice-table">
+                    <thead>
+                      <tr>
+                        <th>日期</th>
+                        <th>编号</th>
+                        <th>金额</th>
+                        <th>状态</th>
+                        <th></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {details.invoices.map((invoice) => (
+                        <tr key={invoice.id}>
+                          <td>{formatDate(invoice.created)}</td>
+                          <td>{invoice.number || invoice.id}</td>
+                          <td>{formatAmount(invoice.status === 'paid' ? invoice.amount_paid : invoice.amount_due, invoice.currency)}</td>
+                          <td>{INVOICE_STATUS_LABELS[invoice.status] || invoice.status}</td>
+                          <td>
+                            {invoice.hosted_invoice_url && (
+                              <a href={invoice.hosted_invoice_url} target="_blank" rel="noreferrer">查看</a>
+                            )}
+                            {invoice.invoice_pdf && (
+                              <a href={invoice.invoice_pdf} target="_blank" rel="noreferrer">PDF</a>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </section>
+            </>
+          )}
+        </SignedIn>
+      </main>
+    </div>
+  );
+};
+
+export default BillingPage;
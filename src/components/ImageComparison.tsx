@@ -74,7 +74,7 @@ const ImageComparison: React.FC<ImageComparisonProps> = ({
           <div className="image-panel-actions">
             <a
               href={processedImage}
-              download={`enhanced_image_${Date.now()}.png`}
+              download={`enhanced_image_${Date.now()}.${processedImage.match(/\.(jpg|png|webp|gif|bmp|tiff)$/)?.[1] || 'png'}`}
               className="download-btn"
             >
               📥 下载图像
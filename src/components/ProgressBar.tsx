@@ -1,20 +1,137 @@
-import React from 'react';
+import React, { useEffect, useRef, useState } from 'react';
+
+// 任务阶段：uploading由客户端在创建任务前使用，其余来自 /api/jobs/:id/events
+export type JobStage =
+  | 'uploading'
+  | 'queued'
+  | 'analyze'
+  | 'tone'
+  | 'detail'
+  | 'upscale'
+  | 'finalizing'
+  | 'succeeded'
+  | 'failed'
+  | 'canceled';
+
+export interface JobStepProgress {
+  name: string;
+  status: 'pending' | 'running' | 'succeeded' | 'failed' | 'skipped' | 'canceled';
+  percent: number;
+  logs: string | null;
+  error: string | null;
+}
+
+export interface JobProgressEvent {
+  id: string;
+  status: string;
+  stage: JobStage;
+  progress: {
+    percent: number;
+    completed_steps: number;
+    total_steps: number;
+    current_step: string | null;
+  };
+  steps: JobStepProgress[];
+  error: string | null;
+}
+
+// 任务结果：分析任务带质量评分（无法进行像素分析时为null），Autopilot和流水线任务带最终图像和步骤数，其余字段按任务类型不同
+export interface JobResult {
+  analyzable?: boolean;
+  quality_score?: number | null;
+  message?: string;
+  final_image?: string | null;
+  total_steps?: number;
+  [key: string]: unknown;
+}
+
+// done事件中的完整任务信息
+export interface FinishedJob {
+  id: string;
+  status: string | null;
+  result: JobResult | null;
+  error: string | null;
+}
 
 interface ProgressBarProps {
   isVisible: boolean;
-  progress: number; // 0-100
+  progress?: number; // 0-100，未订阅任务时使用
   message?: string;
-  type?: 'analyze' | 'upscale' | 'tone-enhance' | 'detail-enhance';
+  type?: 'analyze' | 'upscale' | 'tone-enhance' | 'detail-enhance' | 'autopilot';
+  stage?: JobStage; // 未订阅任务时显示的阶段
+  jobId?: string | null; // 设置后订阅任务进度事件
+  onJobFinished?: (job: FinishedJob) => void;
 }
 
+const STAGE_LABELS: Record<string, string> = {
+  uploading: '上传图像',
+  queued: '排队中',
+  analyze: 'AI分析',
+  tone: '影调增强',
+  detail: '细节增强',
+  upscale: '超分辨率',
+  finalizing: '整理结果',
+  succeeded: '已完成',
+  failed: '处理失败',
+  canceled: '已取消'
+};
+
+const STEP_STATUS_ICONS: Record<JobStepProgress['status'], string> = {
+  pending: '⏳',
+  running: '🔄',
+  succeeded: '✅',
+  failed: '❌',
+  skipped: '⏭️',
+  canceled: '⏹️'
+};
+
 const ProgressBar: React.FC<ProgressBarProps> = ({ 
   isVisible, 
-  progress, 
+  progress = 0, 
   message = '处理中...', 
-  type = 'analyze' 
+  type = 'analyze',
+  stage,
+  jobId,
+  onJobFinished
 }) => {
+  const [jobProgress, setJobProgress] = useState<JobProgressEvent | null>(null);
+
+  // 回调放在ref中，避免父组件重新渲染时重复订阅
+  const onJobFinishedRef = useRef(onJobFinished);
+  onJobFinishedRef.current = onJobFinished;
+
+  // 订阅任务进度
+  useEffect(() => {
+    setJobProgress(null);
+    if (!jobId) return;
+
+    const source = new EventSource(`/api/jobs/${jobId}/events`);
+
+    source.addEventListener('progress', (event) => {
+      setJobProgress(JSON.parse((event as MessageEvent).data));
+    });
+
+    source.addEventListener('done', (event) => {
+      source.close();
+      onJobFinishedRef.current?.(JSON.parse((event as MessageEvent).data));
+    });
+
+    source.onerror = () => {
+      // 连接中断时浏览器会自动重连；连接被拒绝（如任务不存在）时不再重连
+      if (source.readyState === EventSource.CLOSED) {
+        onJobFinishedRef.current?.({ id: jobId, status: 'failed', result: null, error: '无法获取任务进度' });
+      }
+    };
+
+    return () => source.close();
+  }, [jobId]);
+
   if (!isVisible) return null;
 
+  const currentStage = jobProgress?.stage || stage;
+  const percent = jobProgress ? jobProgress.progress.percent : progress;
+  const steps = jobProgress?.steps || [];
+
   const getProgressColor = () => {
     switch (type) {
       case 'analyze':
@@ -25,6 +142,8 @@ const ProgressBar: React.FC<ProgressBarProps> = ({
         return 'linear-gradient(90deg, #f59e0b 0%, #d97706 100%)';
       case 'detail-enhance':
         return 'linear-gradient(90deg, #8b4513 0%, #654321 100%)';
+      case 'autopilot':
+        return 'linear-gradient(90deg, #8b5cf6 0%, #6d28d9 100%)';
       default:
         return 'linear-gradient(90deg, #6b7280 0%, #4b5563 100%)';
     }
@@ -40,29 +159,66 @@ const ProgressBar: React.FC<ProgressBarProps> = ({
         return '🎨';
       case 'detail-enhance':
         return '🔍';
+      case 'autopilot':
+        return '✨';
       default:
         return '⚡';
     }
   };
 
+  // 日志只显示最后一行（通常是模型的进度条）
+  const getLastLogLine = (logs: string | null) => {
+    if (!logs) return null;
+    const lines = logs.split('\n');
+    return lines[lines.length - 1];
+  };
+
   return (
     <div className="progress-container">
       <div className="progress-header">
         <span className="progress-icon">{getIcon()}</span>
-        <span className="progress-message">{message}</span>
-        <span className="progress-percentage">{Math.round(progress)}%</span>
+        <span className="progress-message">
+          {message}
+          {currentStage && <span className="progress-stage"> · {STAGE_LABELS[currentStage] || currentStage}</span>}
+        </span>
+        <span className="progress-percentage">{Math.round(percent)}%</span>
       </div>
       
       <div className="progress-bar-wrapper">
         <div 
           className="progress-bar-fill"
           style={{
-            width: `${progress}%`,
+            width: `${percent}%`,
             background: getProgressColor(),
             transition: 'width 0.3s ease-in-out'
           }}
         />
       </div>
+
+      {/* 多步骤任务（Autopilot）的分步进度 */}
+      {steps.length > 1 && (
+        <div className="progress-steps">
+          {steps.map((step, index) => (
+            <div key={`${step.name}-${index}`} className={`progress-step ${step.status}`}>
+              <div className="progress-step-header">
+                <span>{STEP_STATUS_ICONS[step.status]} {STAGE_LABELS[step.name] || step.name}</span>
+                <span>{step.status === 'running' ? `${Math.round(step.percent)}%` : ''}</span>
+              </div>
+              {step.status === 'running' && (
+                <div className="progress-step-bar">
+                  <div className="progress-step-fill" style={{ width: `${step.percent}%`, background: getProgressColor() }} />
+                </div>
+              )}
+              {step.status === 'running' && getLastLogLine(step.logs) && (
+                <div className="progress-step-log">{getLastLogLine(step.logs)}</div>
+              )}
+              {step.status === 'failed' && step.error && (
+                <div className="progress-step-error">{step.error}</div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
       
       <style>{`
         .progress-container {
@@ -91,6 +247,10 @@ const ProgressBar: React.FC<ProgressBarProps> = ({
           color: #e5e7eb;
         }
         
+        .progress-stage {
+          color: #9ca3af;
+        }
+        
         .progress-percentage {
           font-weight: bold;
           color: #f3f4f6;
@@ -126,6 +286,57 @@ const ProgressBar: React.FC<ProgressBarProps> = ({
           animation: shimmer 2s infinite;
         }
         
+        .progress-steps {
+          margin-top: 0.75rem;
+          display: flex;
+          flex-direction: column;
+          gap: 0.5rem;
+        }
+        
+        .progress-step {
+          font-size: 0.8rem;
+          color: #d1d5db;
+        }
+        
+        .progress-step.pending,
+        .progress-step.skipped,
+        .progress-step.canceled {
+          color: #6b7280;
+        }
+        
+        .progress-step-header {
+          display: flex;
+          justify-content: space-between;
+        }
+        
+        .progress-step-bar {
+          margin-top: 0.25rem;
+          height: 4px;
+          background-color: #374151;
+          border-radius: 2px;
+          overflow: hidden;
+        }
+        
+        .progress-step-fill {
+          height: 100%;
+          transition: width 0.3s ease-in-out;
+        }
+        
+        .progress-step-log {
+          margin-top: 0.25rem;
+          font-family: monospace;
+          font-size: 0.7rem;
+          color: #9ca3af;
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
+        }
+        
+        .progress-step-error {
+          margin-top: 0.25rem;
+          color: #f87171;
+        }
+        
         @keyframes shimmer {
           0% {
             transform: translateX(-100%);
@@ -1,7 +1,10 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import { ClerkProvider } from '@clerk/clerk-react'
+import { BrowserRouter, Route, Routes } from 'react-router-dom'
 import App from './App.tsx'
+import BillingPage from './components/BillingPage.tsx'
+import SuccessPage from './components/SuccessPage.tsx'
 import './index.css'
 
 // 从环境变量获取Clerk的可发布密钥
@@ -14,7 +17,14 @@ if (!PUBLISHABLE_KEY) {
 ReactDOM.createRoot(document.getElementById('root')!).render(
   <React.StrictMode>
     <ClerkProvider publishableKey={PUBLISHABLE_KEY}>
-      <App />
+      <BrowserRouter>
+        <Routes>
+          <Route path="/" element={<App />} />
+          <Route path="/billing" element={<BillingPage />} />
+          {/* Checkout付款完成后跳转到此页面 */}
+          <Route path="/success" element={<SuccessPage />} />
+        </Routes>
+      </BrowserRouter>
     </ClerkProvider>
   </React.StrictMode>,
 )
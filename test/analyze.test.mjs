@@ -0,0 +1,187 @@
+/**
+ * 图像质量分析和Autopilot评分
+ * 分析在本地CPU上计算；像素指标使用合成的灰度图像（棋盘格、模糊、噪声、欠曝），
+ * 无法解码像素的GIF只有文件头，图像地址由测试内的HTTP服务器提供
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { processAnalyze, processAutopilotAnalyze } from '../shared/api-handlers.mjs';
+import { evaluateCondition } from '../shared/pipeline.mjs';
+import { encodePngDataUrl } from '../shared/image-processing.mjs';
+import { computeImageMetrics, combineMetricScores, METRIC_WEIGHTS } from '../shared/image-metrics.mjs';
+
+const PNG = encodePngDataUrl({ width: 8, height: 8, data: new Uint8Array(8 * 8 * 4).fill(128) });
+
+let server;
+let baseUrl;
+
+before(async () => {
+  // 所有地址都返回404，模拟下载图像失败
+  server = http.createServer((req, res) => {
+    res.writeHead(404);
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  process.env.STORAGE_PUBLIC_BASE_URL = baseUrl;
+});
+
+after(() => {
+  delete process.env.STORAGE_PUBLIC_BASE_URL;
+  server.close();
+});
+
+/**
+ * 构造只有文件头的GIF data URL
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @returns {string} data:image/gif;base64,...
+ */
+function gifDataUrl(width, height) {
+  const buffer = Buffer.alloc(13);
+  buffer.write('GIF89a', 0, 'ascii');
+  buffer.writeUInt16LE(width, 6);
+  buffer.writeUInt16LE(height, 8);
+  buffer[10] = 0x07;
+  return `data:image/gif;base64,${buffer.toString('base64')}`;
+}
+
+const SIZE = 64;
+const HEADER = { width: SIZE, height: SIZE };
+
+/**
+ * 按坐标生成灰度图像
+ * @param {Function} luma - (x, y) => 0-255
+ * @returns {Object} { width, height, data } RGBA像素
+ */
+function grayImage(luma) {
+  const data = new Uint8Array(SIZE * SIZE * 4);
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      const value = Math.max(0, Math.min(255, Math.round(luma(x, y))));
+      data.set([value, value, value, 255], (y * SIZE + x) * 4);
+    }
+  }
+  return { width: SIZE, height: SIZE, data };
+}
+
+/**
+ * 可重复的伪随机数（线性同余）
+ * @param {number} seed - 种子
+ * @returns {Function} () => [0, 1)
+ */
+function random(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+const checker = (x, y) => ((Math.floor(x / 4) + Math.floor(y / 4)) % 2 ? 215 : 40);
+// 5x5均值模糊后的棋盘格
+const blurred = (x, y) => {
+  let sum = 0;
+  for (let dy = -2; dy <= 2; dy++) {
+    for (let dx = -2; dx <= 2; dx++) {
+      sum += checker(Math.max(0, x + dx), Math.max(0, y + dy));
+    }
+  }
+  return sum / 25;
+};
+
+test('像素指标随图像内容变化：锐度、噪声、曝光和对比度', () => {
+  const sharp = computeImageMetrics(grayImage(checker), HEADER);
+  const soft = computeImageMetrics(grayImage(blurred), HEADER);
+  assert.ok(sharp.metrics.sharpness.value > soft.metrics.sharpness.value);
+  assert.ok(sharp.metrics.sharpness.score > soft.metrics.sharpness.score);
+
+  const next = random(42);
+  const noisy = computeImageMetrics(grayImage(() => 128 + (next() - 0.5) * 80), HEADER);
+  const smooth = computeImageMetrics(grayImage(x => 64 + x * 2), HEADER);
+  assert.ok(noisy.metrics.noise.value > smooth.metrics.noise.value);
+  assert.ok(noisy.metrics.noise.score < smooth.metrics.noise.score);
+
+  const dark = computeImageMetrics(grayImage(() => 4), HEADER);
+  assert.ok(dark.metrics.exposure.score < sharp.metrics.exposure.score);
+  assert.ok(dark.metrics.contrast.score < sharp.metrics.contrast.score);
+  assert.equal(dark.stats.luminance.mean, 4);
+});
+
+test('综合评分为各指标子评分按权重的加权平均，不可解码时只有分辨率指标', () => {
+  const result = computeImageMetrics(grayImage(checker), HEADER);
+  assert.deepEqual(Object.keys(result.metrics).sort(), Object.keys(METRIC_WEIGHTS).sort());
+  assert.equal(result.overall_score, combineMetricScores(result.metrics));
+  assert.deepEqual(result.analysis_size, { width: SIZE, height: SIZE, factor: 1 });
+
+  const headerOnly = computeImageMetrics(null, { width: 4000, height: 3000 });
+  assert.deepEqual(Object.keys(headerOnly.metrics), ['resolution']);
+  assert.equal(headerOnly.stats, null);
+  assert.equal(combineMetricScores({}), 0);
+});
+
+test('可以解码的图像返回像素指标和评分', async () => {
+  const result = await processAnalyze(PNG);
+  assert.equal(result.analyzable, true);
+  assert.equal(result.analysis.metrics_mode, 'pixel');
+  assert.equal(typeof result.quality_score, 'number');
+  assert.ok(result.score >= 1 && result.score <= 10);
+  assert.ok(result.analysis.metrics.sharpness);
+});
+
+test('无法解码像素的格式明确返回不可分析，不给出评分', async () => {
+  const result = await processAnalyze(gifDataUrl(4000, 3000));
+  assert.equal(result.success, true);
+  assert.equal(result.analyzable, false);
+  assert.equal(result.score, null);
+  assert.equal(result.quality_score, null);
+  assert.equal(result.analysis.analyzable, false);
+  assert.equal(result.analysis.metrics_mode, 'header');
+  assert.deepEqual(Object.keys(result.analysis.metrics), ['resolution']);
+  assert.equal(result.analysis.decode_error, 'GIF格式暂不支持像素解码');
+  assert.equal(result.message, '无法分析图像质量: GIF格式暂不支持像素解码');
+  assert.equal(result.analysis.image_info.width, 4000);
+});
+
+test('像素数据损坏的图像同样返回不可分析', async () => {
+  const corrupt = Buffer.from(PNG.split(',')[1], 'base64');
+  // 保留文件头（签名和IHDR），破坏之后的数据块
+  corrupt.fill(0, 40);
+  const result = await processAnalyze(`data:image/png;base64,${corrupt.toString('base64')}`);
+  assert.equal(result.analyzable, false);
+  assert.equal(result.quality_score, null);
+  assert.ok(result.analysis.decode_error);
+});
+
+test('Autopilot对不可分析的图像只按分辨率评分，不推荐影调和细节增强', async () => {
+  const result = await processAutopilotAnalyze(gifDataUrl(320, 240));
+  assert.equal(result.analyzable, false);
+  assert.equal(result.scores.tone, null);
+  assert.equal(result.scores.detail, null);
+  assert.equal(result.scores.overall, result.scores.resolution);
+  assert.equal(result.recommendations.tone, null);
+  assert.equal(result.recommendations.detail, null);
+  assert.equal(result.explain.recommendations.tone.enabled, false);
+  assert.deepEqual(result.recommendations.priority, ['upscale']);
+
+  // 引用细节评分的流水线条件视为不满足
+  assert.equal(evaluateCondition({ 'scores.detail': { lt: 60 } }, { scores: result.scores }).met, false);
+});
+
+test('图像数据无效时返回400，其他错误不按请求错误处理', async () => {
+  await assert.rejects(processAnalyze(undefined), { statusCode: 400 });
+  await assert.rejects(processAnalyze('data:text/plain;base64,aGVsbG8='), { statusCode: 400 });
+  await assert.rejects(processAnalyze(`data:image/png;base64,${Buffer.from('not an image').toString('base64')}`), {
+    statusCode: 400,
+    message: /无法识别的图像格式/
+  });
+  await assert.rejects(processAnalyze(gifDataUrl(0, 0)), { statusCode: 400 });
+
+  await assert.rejects(processAnalyze(`${baseUrl}/missing.png`), (error) => {
+    assert.equal(error.statusCode, undefined);
+    assert.match(error.message, /^图像质量分析失败: 下载图像失败: 404/);
+    return true;
+  });
+});
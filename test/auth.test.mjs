@@ -0,0 +1,98 @@
+/**
+ * Clerk会话令牌验证
+ * 令牌由 debug/mock-jwks-server.mjs（子进程，随机端口）签发，验证时从替身服务器下载JWKS
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { verifySessionToken, authenticateRequest } from '../shared/auth.mjs';
+
+const MOCK_JWKS_SERVER = fileURLToPath(new URL('../debug/mock-jwks-server.mjs', import.meta.url));
+const AUTHORIZED_PARTY = 'http://localhost:5173';
+
+let server;
+let config;
+
+before(async () => {
+  server = spawn(process.execPath, [MOCK_JWKS_SERVER], {
+    cwd: path.dirname(MOCK_JWKS_SERVER),
+    env: { ...process.env, MOCK_JWKS_PORT: '0' },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  const issuer = await new Promise((resolve, reject) => {
+    server.stdout.on('data', (chunk) => {
+      const match = /(http:\/\/localhost:\d+)\/\.well-known\/jwks\.json/.exec(chunk.toString());
+      if (match) {
+        resolve(match[1]);
+      }
+    });
+    server.once('exit', code => reject(new Error(`JWKS替身服务器已退出: ${code}`)));
+  });
+  config = { jwksUrl: `${issuer}/.well-known/jwks.json`, issuer, authorizedParties: [AUTHORIZED_PARTY], clockSkewSeconds: 5 };
+});
+
+after(() => server.kill());
+
+/**
+ * 从替身服务器获取会话令牌
+ * @param {Object} params - /token的查询参数
+ * @returns {Promise<string>} JWT
+ */
+async function issueToken(params = {}) {
+  const response = await fetch(`${config.issuer}/token?${new URLSearchParams({ sub: 'user_test', ...params })}`);
+  assert.equal(response.status, 200);
+  return (await response.json()).token;
+}
+
+test('有效的令牌返回声明', async () => {
+  const claims = await verifySessionToken(await issueToken({ sid: 'sess_1' }), config);
+  assert.equal(claims.sub, 'user_test');
+  assert.equal(claims.sid, 'sess_1');
+  assert.equal(claims.azp, AUTHORIZED_PARTY);
+});
+
+test('已过期和尚未生效的令牌返回401，时钟偏差内的令牌仍然有效', async () => {
+  await assert.rejects(verifySessionToken(await issueToken({ ttl: '-60' }), config), { statusCode: 401, message: '会话令牌已过期' });
+  await assert.rejects(verifySessionToken(await issueToken({ nbf: '600' }), config), { statusCode: 401, message: '会话令牌尚未生效' });
+
+  assert.equal((await verifySessionToken(await issueToken({ nbf: '2' }), config)).sub, 'user_test');
+});
+
+test('签发方或来源不匹配的令牌返回401', async () => {
+  await assert.rejects(
+    verifySessionToken(await issueToken({ iss: 'https://evil.example' }), config),
+    { statusCode: 401, message: '会话令牌签发方不匹配: https://evil.example' }
+  );
+  await assert.rejects(
+    verifySessionToken(await issueToken({ azp: 'https://evil.example' }), config),
+    { statusCode: 401, message: '会话令牌来源不受信任: https://evil.example' }
+  );
+  // 未配置可信来源时不检查azp
+  const claims = await verifySessionToken(await issueToken({ azp: 'https://evil.example' }), { ...config, authorizedParties: [] });
+  assert.equal(claims.azp, 'https://evil.example');
+});
+
+test('RS256以外的算法（HMAC算法混淆、none）和篡改的声明返回401', async () => {
+  await assert.rejects(verifySessionToken(await issueToken({ alg: 'HS256' }), config), { statusCode: 401, message: '不支持的令牌签名算法: HS256' });
+  await assert.rejects(verifySessionToken(await issueToken({ alg: 'none' }), config), { statusCode: 401, message: '不支持的令牌签名算法: none' });
+
+  const [header, , signature] = (await issueToken()).split('.');
+  const forged = Buffer.from(JSON.stringify({ sub: 'user_admin', exp: Math.floor(Date.now() / 1000) + 3600 })).toString('base64url');
+  await assert.rejects(verifySessionToken(`${header}.${forged}.${signature}`, config), { statusCode: 401, message: '会话令牌签名无效' });
+});
+
+test('必须登录的接口拒绝无效令牌，可选登录的接口按匿名处理', async () => {
+  const expired = await issueToken({ ttl: '-60' });
+  const req = { headers: { authorization: `Bearer ${expired}` } };
+
+  await assert.rejects(authenticateRequest(req, { required: true, config }), { statusCode: 401, message: '会话令牌已过期' });
+  assert.equal(await authenticateRequest(req, { config }), null);
+  assert.equal(req.userId, null);
+
+  const cookie = { headers: { cookie: `theme=dark; __session=${await issueToken()}` } };
+  assert.equal((await authenticateRequest(cookie, { required: true, config })).userId, 'user_test');
+  assert.equal(cookie.userId, 'user_test');
+});
@@ -0,0 +1,134 @@
+/**
+ * Autopilot规则表、评分和增强建议
+ * 评分和建议直接由质量问题标签计算；端到端用例分析一张偏暗的合成图像，确认规则表可以由调用方覆盖
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_AUTOPILOT_RULES,
+  validateAutopilotRules,
+  mergeAutopilotRules,
+  calculateQualityScores,
+  generateEnhancementRecommendations
+} from '../shared/autopilot-rules.mjs';
+import { processAutopilotAnalyze } from '../shared/api-handlers.mjs';
+import { encodePngDataUrl } from '../shared/image-processing.mjs';
+
+// 1200万像素，分辨率不扣分
+const LARGE = { width: 4000, height: 3000 };
+
+/**
+ * 按质量问题标签计算评分和建议
+ * @param {string[]} issues - 质量问题标签
+ * @param {Object} imageInfo - 图像信息 { width, height }
+ * @param {Object} rules - 规则表
+ * @returns {Object} { scores, scoreExplain, recommendations, explain }
+ */
+function evaluate(issues, imageInfo = LARGE, rules = DEFAULT_AUTOPILOT_RULES) {
+  const analysis = { quality_issues: issues, image_info: imageInfo };
+  const { scores, explain: scoreExplain } = calculateQualityScores(analysis, rules);
+  const { recommendations, explain } = generateEnhancementRecommendations(scores, analysis, rules);
+  return { scores, scoreExplain, recommendations, explain };
+}
+
+test('评分从基础分按质量问题扣分，explain列出扣分项', () => {
+  const { scores, scoreExplain } = evaluate(['underexposed', 'noisy', 'soft_details']);
+  assert.deepEqual(scores, { tone: 50, detail: 45, resolution: 80, overall: 58 });
+  assert.deepEqual(scoreExplain.tone, { base: 70, applied: [{ issue: 'underexposed', penalty: 20 }] });
+  assert.deepEqual(scoreExplain.detail.applied.map(item => item.issue), ['noisy', 'soft_details']);
+  assert.deepEqual(scoreExplain.resolution.applied, []);
+
+  // 扣分不低于0
+  const worst = evaluate(['blurry', 'noisy', 'compression_artifacts', 'soft_details', 'underexposed']);
+  assert.equal(worst.scores.detail, 5);
+});
+
+test('分辨率按第一个满足的像素档位扣分', () => {
+  assert.equal(evaluate([], { width: 640, height: 480 }).scores.resolution, 50);
+  assert.equal(evaluate([], { width: 1000, height: 800 }).scores.resolution, 60);
+  assert.deepEqual(evaluate([], { width: 1600, height: 1200 }).scoreExplain.resolution.applied, [
+    { pixels: 1920000, below: 2000000, penalty: 10 }
+  ]);
+  assert.equal(evaluate([], null).scores.resolution, 80);
+});
+
+test('影调严重不足时推荐低光增强强度2.0，explain记录命中的规则', () => {
+  const { scores, recommendations, explain } = evaluate(['underexposed', 'low_contrast', 'color_cast']);
+  assert.equal(scores.tone, 20);
+
+  assert.deepEqual(recommendations.tone, { enabled: true, type: 'night', intensity: 2.0 });
+  assert.deepEqual(explain.tone, {
+    enabled: true,
+    rule: 'tone-severe',
+    description: '影调严重不足，使用低光增强并加大强度',
+    score: 20,
+    when: { score_below: 40 },
+    set: { type: 'night', intensity: 2.0 }
+  });
+
+  assert.deepEqual(recommendations.detail, { enabled: true, type: 'general', strength: 1 });
+  assert.equal(explain.detail.rule, 'detail-mild');
+  assert.equal(recommendations.upscale, null);
+  assert.deepEqual(explain.upscale, { enabled: false, rule: null, reason: '评分80不低于启用阈值70' });
+  assert.deepEqual(recommendations.priority, ['tone', 'detail']);
+});
+
+test('启用的步骤按规则表中的优先级排列', () => {
+  const { recommendations } = evaluate(['underexposed', 'blurry'], { width: 320, height: 240 });
+  assert.deepEqual(recommendations.priority, ['tone', 'detail', 'upscale']);
+  assert.deepEqual(recommendations.upscale, { enabled: true, scale: 2, model: 'real-esrgan' });
+
+  const rules = mergeAutopilotRules({ recommendations: { upscale: { priority: 0 } } });
+  assert.deepEqual(evaluate(['underexposed', 'blurry'], { width: 320, height: 240 }, rules).recommendations.priority, ['upscale', 'tone', 'detail']);
+});
+
+test('合并自定义规则：对象逐层合并，数组整体替换，默认规则表不受影响', () => {
+  const rules = mergeAutopilotRules({
+    scoring: { tone: { penalties: { underexposed: 50 } } },
+    recommendations: {
+      tone: {
+        rules: [{ id: 'tone-night-only', when: { issues_any: ['underexposed'] }, set: { type: 'night', intensity: 1.2 } }]
+      }
+    }
+  });
+
+  assert.deepEqual(rules.scoring.tone.penalties, { underexposed: 50, overexposed: 20, low_contrast: 15, color_cast: 15 });
+  assert.equal(rules.recommendations.tone.enable_below, 80);
+  assert.equal(rules.recommendations.tone.rules.length, 1);
+  assert.equal(DEFAULT_AUTOPILOT_RULES.scoring.tone.penalties.underexposed, 20);
+  assert.equal(DEFAULT_AUTOPILOT_RULES.recommendations.tone.rules.length, 4);
+
+  const dark = evaluate(['underexposed'], LARGE, rules);
+  assert.equal(dark.scores.tone, 20);
+  assert.deepEqual(dark.recommendations.tone, { enabled: true, type: 'night', intensity: 1.2 });
+
+  // 评分低于启用阈值但没有质量问题标签时没有匹配的规则
+  const flat = evaluate(['low_contrast'], LARGE, rules);
+  assert.equal(flat.recommendations.tone, null);
+  assert.equal(flat.explain.tone.reason, '评分55低于启用阈值80，但没有匹配的规则');
+});
+
+test('规则表结构错误时校验失败', () => {
+  assert.equal(validateAutopilotRules(DEFAULT_AUTOPILOT_RULES), true);
+  assert.throws(() => validateAutopilotRules({ scoring: {} }), /缺少scoring或recommendations/);
+  assert.throws(() => mergeAutopilotRules({ recommendations: { denoise: { enable_below: 50, rules: [] } } }), /未知步骤: denoise/);
+  assert.throws(() => mergeAutopilotRules({ recommendations: { tone: { rules: null } } }), /tone 缺少enable_below或rules/);
+  assert.throws(() => mergeAutopilotRules({ recommendations: { detail: { rules: [{ when: {}, set: {} }] } } }), /detail 的规则缺少id、when或set/);
+});
+
+test('processAutopilotAnalyze使用调用方传入的规则表', async () => {
+  const dark = encodePngDataUrl({ width: 32, height: 32, data: Uint8Array.from({ length: 32 * 32 * 4 }, (_, index) => (index % 4 === 3 ? 255 : 20)) });
+
+  const byDefault = await processAutopilotAnalyze(dark);
+  assert.equal(byDefault.analyzable, true);
+  assert.equal(byDefault.recommendations.tone.type, 'night');
+  assert.match(byDefault.explain.recommendations.tone.rule, /^tone-(severe|dark)$/);
+  assert.ok(byDefault.explain.scores.tone.applied.some(item => item.issue === 'underexposed'));
+
+  const custom = await processAutopilotAnalyze(dark, undefined, mergeAutopilotRules({ recommendations: { tone: { enable_below: 0 } } }));
+  assert.equal(custom.scores.tone, byDefault.scores.tone);
+  assert.equal(custom.recommendations.tone, null);
+  assert.match(custom.explain.recommendations.tone.reason, /不低于启用阈值0$/);
+  assert.ok(!custom.recommendations.priority.includes('tone'));
+});
@@ -0,0 +1,284 @@
+/**
+ * 批量处理：创建、调度、取消、重试、ZIP下载和批量上传
+ * 使用内存的批量任务和任务存储，流水线由本地提供方执行；输入图像和结果保存到临时目录的本地存储
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable, Writable } from 'stream';
+import {
+  createBatch,
+  getBatch,
+  runBatch,
+  cancelBatch,
+  retryBatchItem,
+  streamBatchArchive,
+  BATCH_STATUS,
+  BATCH_ITEM_STATUS,
+  MAX_BATCH_ITEMS
+} from '../shared/batches.mjs';
+import { createBatchStore } from '../shared/batch-store.mjs';
+import { createJobStore } from '../shared/job-store.mjs';
+import { createStorage } from '../shared/storage.mjs';
+import { ZipReader } from '../shared/zip.mjs';
+import { parseBatchUpload } from '../shared/upload.mjs';
+import { encodePngDataUrl } from '../shared/image-processing.mjs';
+
+const INPUT = encodePngDataUrl({ width: 8, height: 8, data: new Uint8Array(8 * 8 * 4).fill(128) });
+const PIPELINE = { name: 'Night Walk', steps: [{ op: 'tone', params: { type: 'night' } }, { op: 'upscale', params: { scale: 2 } }] };
+
+let tmpDir;
+let storage;
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'batches-test-'));
+  process.env.STORAGE_DIR = path.join(tmpDir, 'storage');
+  storage = createStorage({ type: 'local', dir: process.env.STORAGE_DIR });
+});
+
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+/**
+ * 创建使用内存存储的批量任务存储组合
+ * @returns {Object} { batchStore, jobStore, storage }
+ */
+function createStores() {
+  return { batchStore: createBatchStore({ type: 'memory' }), jobStore: createJobStore({ type: 'memory' }), storage };
+}
+
+/**
+ * 创建由本地提供方处理的批量任务
+ * @param {Object} stores - 存储组合
+ * @param {Object} params - 覆盖的创建参数
+ * @returns {Promise<Object>} 批量任务记录
+ */
+function createLocalBatch(stores, params = {}) {
+  return createBatch(stores, {
+    images: [{ name: 'a.png', imageBase64: INPUT }, { name: 'photos/b.png', imageBase64: INPUT }, { name: 'a.png', imageBase64: INPUT }],
+    pipeline: PIPELINE,
+    provider: 'local',
+    ...params
+  }, 'user-1');
+}
+
+/**
+ * 创建记录响应头和响应内容的响应对象
+ * @returns {Writable} 响应对象，headers和body()为写入的内容
+ */
+function createResponse() {
+  const chunks = [];
+  const res = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    }
+  });
+  return Object.assign(res, {
+    statusCode: null,
+    headers: null,
+    writeHead(statusCode, headers) {
+      res.statusCode = statusCode;
+      res.headers = headers;
+    },
+    body: () => Buffer.concat(chunks)
+  });
+}
+
+/**
+ * 读取压缩包中的全部条目
+ * @param {Buffer} buffer - 压缩包内容
+ * @returns {Promise<Map>} 条目名 → 内容
+ */
+async function readArchive(buffer) {
+  const filePath = path.join(tmpDir, 'archive.zip');
+  await fs.promises.writeFile(filePath, buffer);
+  const reader = await ZipReader.open(filePath);
+  try {
+    const entries = new Map();
+    for (const entry of reader.entries) {
+      entries.set(entry.name, await reader.readEntry(entry));
+    }
+    return entries;
+  } finally {
+    await reader.close();
+  }
+}
+
+test('创建时整体校验图像和参数，任一处不合法时不创建批量任务', async () => {
+  const stores = createStores();
+  await assert.rejects(createLocalBatch(stores, { images: [] }), { statusCode: 400, message: /至少上传一张图像/ });
+  await assert.rejects(
+    createLocalBatch(stores, { images: Array.from({ length: MAX_BATCH_ITEMS + 1 }, () => ({ imageBase64: INPUT })) }),
+    { statusCode: 400, message: new RegExp(`每批最多处理 ${MAX_BATCH_ITEMS} 张图像`) }
+  );
+  await assert.rejects(
+    createLocalBatch(stores, { images: [{ name: 'a.png', imageBase64: INPUT }, { name: 'notes.txt', imageBase64: 'data:text/plain;base64,aGk=' }] }),
+    { statusCode: 400, message: /^notes\.txt: 图像格式不支持/ }
+  );
+  await assert.rejects(createLocalBatch(stores, { concurrency: 5 }), { statusCode: 400, message: /concurrency必须是1到4之间的整数/ });
+  await assert.rejects(createLocalBatch(stores, { suffix: '../night' }), { statusCode: 400, message: /suffix只能包含字母、数字/ });
+  await assert.rejects(createLocalBatch(stores, { pipeline: { steps: [] } }), { statusCode: 400 });
+  await assert.rejects(createLocalBatch(stores, { analyze: 'yes' }), { statusCode: 400, message: /analyze必须是布尔值/ });
+  assert.deepEqual(await stores.batchStore.list(), []);
+});
+
+test('输入图像保存到对象存储，批量任务记录只保存对象键，对外返回时不包含输入和调度器租约', async () => {
+  const stores = createStores();
+  const batch = await createLocalBatch(stores);
+
+  assert.equal(batch.status, BATCH_STATUS.QUEUED);
+  assert.equal(batch.output_suffix, 'night-walk');
+  assert.deepEqual(batch.items.map(item => [item.id, item.name, item.status]), [
+    ['item-1', 'a.png', BATCH_ITEM_STATUS.QUEUED],
+    ['item-2', 'photos/b.png', BATCH_ITEM_STATUS.QUEUED],
+    ['item-3', 'a.png', BATCH_ITEM_STATUS.QUEUED]
+  ]);
+  assert.equal(batch.inputs['item-2'], `batch-inputs/${batch.id}/item-2.png`);
+  assert.ok(!JSON.stringify(await stores.batchStore.get(batch.id)).includes(INPUT.split(',')[1]));
+  const stored = await storage.get(batch.inputs['item-2']);
+  assert.equal(stored.contentType, 'image/png');
+  assert.equal(`data:image/png;base64,${stored.body.toString('base64')}`, INPUT);
+
+  const publicBatch = await getBatch(stores, batch.id, 'user-1');
+  assert.ok(!('inputs' in publicBatch));
+  assert.ok(!('scheduler' in publicBatch));
+  await assert.rejects(getBatch(stores, batch.id, 'user-2'), { statusCode: 404 });
+
+  // 未指定后缀时内置预设使用去掉builtin-前缀的预设ID
+  assert.equal((await createLocalBatch(stores, { preset_id: 'builtin-night' })).output_suffix, 'night');
+  assert.equal((await createLocalBatch(stores, { suffix: '' })).output_suffix, '');
+});
+
+test('调度器在并发上限内执行所有图像，结束后汇总状态和进度', async () => {
+  const stores = createStores();
+  const batch = await createLocalBatch(stores, { concurrency: 2 });
+
+  // 记录同时运行的图像数
+  let maxRunning = 0;
+  const update = stores.batchStore.update.bind(stores.batchStore);
+  stores.batchStore.update = async (id, patch) => {
+    const running = (patch.items || []).filter(item => item.status === BATCH_ITEM_STATUS.RUNNING).length;
+    maxRunning = Math.max(maxRunning, running);
+    return update(id, patch);
+  };
+
+  const finished = await runBatch(stores, batch.id, { intervalMs: 10 });
+  assert.equal(finished.status, BATCH_STATUS.SUCCEEDED);
+  assert.equal(maxRunning, 2);
+  assert.deepEqual(finished.progress, { total: 3, queued: 0, running: 0, succeeded: 3, failed: 0, canceled: 0, percent: 100 });
+  assert.ok(finished.items.every(item => item.result.final_output && item.result.successful_steps === 2));
+  assert.ok(!('scheduler' in finished));
+  assert.equal((await stores.batchStore.get(batch.id)).scheduler, null);
+
+  // 已结束的批量任务不再调度，也不能取消
+  assert.equal((await runBatch(stores, batch.id)).status, BATCH_STATUS.SUCCEEDED);
+  await assert.rejects(cancelBatch(stores, batch.id, 'user-1'), { statusCode: 409 });
+});
+
+test('输入图像读取失败的图像单独失败，重试后批量任务回到运行状态并完成', async () => {
+  const stores = createStores();
+  const batch = await createLocalBatch(stores);
+  const missing = storage.filePath(batch.inputs['item-2']);
+  const saved = fs.readFileSync(missing);
+  fs.rmSync(missing);
+
+  const partial = await runBatch(stores, batch.id, { intervalMs: 10 });
+  assert.equal(partial.status, BATCH_STATUS.PARTIAL);
+  assert.equal(partial.items[1].status, BATCH_ITEM_STATUS.FAILED);
+  assert.match(partial.items[1].error, /输入图像已不存在/);
+
+  await assert.rejects(retryBatchItem(stores, batch.id, 'item-1', 'user-1'), { statusCode: 409 });
+  await assert.rejects(retryBatchItem(stores, batch.id, 'item-9', 'user-1'), { statusCode: 404 });
+  await assert.rejects(retryBatchItem(stores, batch.id, 'item-2', 'user-2'), { statusCode: 404 });
+
+  fs.writeFileSync(missing, saved);
+  const retried = await retryBatchItem(stores, batch.id, 'item-2', 'user-1');
+  assert.equal(retried.status, BATCH_STATUS.RUNNING);
+  assert.deepEqual([retried.items[1].status, retried.items[1].retries, retried.items[1].error], [BATCH_ITEM_STATUS.QUEUED, 1, null]);
+  assert.equal(retried.finished_at, null);
+
+  const finished = await runBatch(stores, batch.id, { intervalMs: 10 });
+  assert.equal(finished.status, BATCH_STATUS.SUCCEEDED);
+  assert.equal(finished.items[1].retries, 1);
+});
+
+test('取消批量任务：排队的图像标记为已取消，已取消的图像可以重试', async () => {
+  const stores = createStores();
+  const batch = await createLocalBatch(stores);
+
+  await assert.rejects(cancelBatch(stores, batch.id, 'user-2'), { statusCode: 404 });
+  const canceled = await cancelBatch(stores, batch.id, 'user-1');
+  assert.equal(canceled.status, BATCH_STATUS.CANCELED);
+  assert.ok(canceled.items.every(item => item.status === BATCH_ITEM_STATUS.CANCELED));
+  assert.equal(canceled.progress.canceled, 3);
+  assert.equal(canceled.progress.percent, 100);
+
+  // 取消后调度器不再启动任务
+  assert.equal((await runBatch(stores, batch.id, { intervalMs: 10 })).status, BATCH_STATUS.CANCELED);
+  assert.deepEqual(await stores.jobStore.list(), []);
+
+  const retried = await retryBatchItem(stores, batch.id, 'item-1', 'user-1');
+  assert.equal(retried.status, BATCH_STATUS.RUNNING);
+  const finished = await runBatch(stores, batch.id, { intervalMs: 10 });
+  assert.equal(finished.status, BATCH_STATUS.PARTIAL);
+  assert.deepEqual(finished.progress, { total: 3, queued: 0, running: 0, succeeded: 1, failed: 0, canceled: 2, percent: 100 });
+});
+
+test('ZIP下载：保留目录结构、追加后缀、重名追加序号，清单记录每张图像', async () => {
+  const stores = createStores();
+  const batch = await createLocalBatch(stores, { skipped: [{ name: 'notes.txt', reason: '不支持的文件类型: text/plain' }] });
+  await assert.rejects(streamBatchArchive(stores, batch.id, createResponse(), { userId: 'user-1', storage }), { statusCode: 409 });
+  await runBatch(stores, batch.id, { intervalMs: 10 });
+
+  const res = createResponse();
+  await assert.rejects(streamBatchArchive(stores, batch.id, res, { userId: 'user-2', storage }), { statusCode: 404 });
+  assert.deepEqual(await streamBatchArchive(stores, batch.id, res, { userId: 'user-1', storage }), { files: 3, failed: 0 });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['Content-Type'], 'application/zip');
+  assert.equal(res.headers['Content-Disposition'], `attachment; filename="batch-${batch.id.slice(0, 8)}.zip"`);
+
+  const entries = await readArchive(res.body());
+  assert.deepEqual([...entries.keys()], ['a_night-walk.png', 'photos/b_night-walk.png', 'a_night-walk-2.png', 'manifest.json']);
+  assert.equal(entries.get('a_night-walk.png').subarray(1, 4).toString(), 'PNG');
+
+  const manifest = JSON.parse(entries.get('manifest.json'));
+  assert.equal(manifest.batch_id, batch.id);
+  assert.deepEqual(manifest.pipeline, { name: 'Night Walk', preset_id: null, definition: PIPELINE });
+  assert.deepEqual(manifest.skipped, [{ name: 'notes.txt', reason: '不支持的文件类型: text/plain' }]);
+  assert.deepEqual(manifest.files.map(file => [file.source, file.output, file.status]), [
+    ['a.png', 'a_night-walk.png', 'succeeded'],
+    ['photos/b.png', 'photos/b_night-walk.png', 'succeeded'],
+    ['a.png', 'a_night-walk-2.png', 'succeeded']
+  ]);
+  assert.deepEqual(manifest.files[0].steps.map(step => [step.op, step.status, step.provider, step.credits]), [
+    ['tone', 'succeeded', 'local', 0],
+    ['upscale', 'succeeded', 'local', 0]
+  ]);
+  assert.ok(manifest.files[0].timings.duration_ms >= 0);
+});
+
+test('批量上传超过文件数上限时返回400，不留下临时文件', async () => {
+  const uploadDir = fs.mkdtempSync(path.join(tmpDir, 'upload-'));
+  const boundary = '----batch-test-boundary';
+  const png = Buffer.from(INPUT.split(',')[1], 'base64');
+  const parts = ['a.png', 'b.png', 'c.png'].map(name => Buffer.concat([
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="images"; filename="${name}"\r\nContent-Type: image/png\r\n\r\n`),
+    png,
+    Buffer.from('\r\n')
+  ]));
+  const body = Buffer.concat([...parts, Buffer.from(`--${boundary}--\r\n`)]);
+  const request = () => Object.assign(Readable.from([body]), {
+    url: '/api/batches',
+    headers: { 'content-type': `multipart/form-data; boundary=${boundary}`, 'content-length': String(body.length) }
+  });
+
+  await assert.rejects(parseBatchUpload(request(), { tmpDir: uploadDir, maxFiles: 2 }), { statusCode: 400, message: '每批最多上传 2 个文件' });
+  assert.deepEqual(fs.readdirSync(uploadDir), []);
+
+  const upload = await parseBatchUpload(request(), { tmpDir: uploadDir, maxFiles: 3 });
+  assert.deepEqual(upload.images.map(image => image.name), ['a.png', 'b.png', 'c.png']);
+  assert.deepEqual(fs.readdirSync(uploadDir), []);
+});
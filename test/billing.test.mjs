@@ -0,0 +1,192 @@
+/**
+ * 账单管理：Stripe客户、Checkout会话、客户门户和订阅详情
+ * Stripe客户端通过STRIPE_API_BASE_URL指向测试内的HTTP服务器，服务器记录收到的请求并返回固定的Stripe对象
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import {
+  createStripeClient,
+  getAppUrl,
+  getOrCreateCustomer,
+  createCheckoutSession,
+  createPortalSession,
+  getSubscriptionDetails
+} from '../shared/billing.mjs';
+import { createEntitlementStore } from '../shared/entitlement-store.mjs';
+
+const PRO_PRICE = 'price_pro';
+const PERIOD_END = Math.floor(Date.parse('2099-01-01T00:00:00Z') / 1000);
+
+let server;
+let stripe;
+// 收到的请求 { method, path, body, headers }
+let requests;
+// 按 "方法 路径" 返回的响应，未配置的请求返回404
+let responses;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push({ method: req.method, path: url.pathname, body: new URLSearchParams(req.method === 'GET' ? url.search : body), headers: req.headers });
+      const [status, payload] = responses[`${req.method} ${url.pathname}`]
+        || [404, { error: { type: 'invalid_request_error', message: `Unrecognized request URL (${req.method}: ${url.pathname})` } }];
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.STRIPE_API_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.STRIPE_PRO_PRICE_ID = PRO_PRICE;
+  process.env.STRIPE_PRICE_CREDITS_500 = 'price_credits_500';
+  stripe = createStripeClient('sk_test_123');
+});
+
+beforeEach(() => {
+  requests = [];
+  responses = {
+    'POST /v1/customers': [200, { id: 'cus_new', object: 'customer' }],
+    'POST /v1/checkout/sessions': [200, { id: 'cs_1', object: 'checkout.session', url: 'https://checkout.stripe.test/cs_1' }],
+    'POST /v1/billing_portal/sessions': [200, { id: 'bps_1', object: 'billing_portal.session', url: 'https://billing.stripe.test/bps_1' }]
+  };
+});
+
+after(() => server.close());
+
+/**
+ * 创建权益存储，user-pro为Pro订阅用户，user-customer只有Stripe客户
+ * @returns {Promise<Object>} 权益存储
+ */
+async function createStore() {
+  const store = createEntitlementStore({ type: 'memory' });
+  await store.put('user-pro', {
+    status: 'active',
+    price_id: PRO_PRICE,
+    subscription_id: 'sub_1',
+    customer_id: 'cus_pro',
+    current_period_end: new Date(PERIOD_END * 1000).toISOString()
+  });
+  await store.put('user-customer', { customer_id: 'cus_customer' });
+  return store;
+}
+
+test('缺少Stripe密钥或APP_URL时返回500，APP_URL去掉末尾斜杠', () => {
+  assert.throws(() => createStripeClient(''), { statusCode: 500 });
+
+  delete process.env.APP_URL;
+  assert.throws(() => getAppUrl(), { statusCode: 500, message: /缺少APP_URL/ });
+  assert.equal(getAppUrl('http://localhost:3001/'), 'http://localhost:3001');
+  process.env.APP_URL = 'not a url';
+  assert.throws(() => getAppUrl(), { statusCode: 500, message: /不是有效地址/ });
+  process.env.APP_URL = 'https://app.example.com//';
+  assert.equal(getAppUrl('http://localhost:3001'), 'https://app.example.com');
+});
+
+test('每个用户只创建一个Stripe客户，客户ID记录在权益存储中', async () => {
+  const store = await createStore();
+  assert.equal(await getOrCreateCustomer(stripe, store, 'user-1', { email: 'a@example.com' }), 'cus_new');
+  assert.equal(await getOrCreateCustomer(stripe, store, 'user-1'), 'cus_new');
+  assert.equal(await getOrCreateCustomer(stripe, store, 'user-pro'), 'cus_pro');
+
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].headers['idempotency-key'], 'customer_user-1');
+  assert.equal(requests[0].body.get('metadata[userId]'), 'user-1');
+  assert.equal(requests[0].body.get('email'), 'a@example.com');
+  assert.equal((await store.get('user-1')).customer_id, 'cus_new');
+});
+
+test('Checkout：订阅只能购买Pro价格，积分包为一次性付款', async () => {
+  const store = await createStore();
+  const origin = 'https://app.example.com';
+
+  const subscription = await createCheckoutSession(stripe, store, 'user-1', { priceId: PRO_PRICE, origin });
+  assert.deepEqual(subscription, { id: 'cs_1', url: 'https://checkout.stripe.test/cs_1' });
+  const subscriptionRequest = requests.at(-1).body;
+  assert.equal(subscriptionRequest.get('mode'), 'subscription');
+  assert.equal(subscriptionRequest.get('customer'), 'cus_new');
+  assert.equal(subscriptionRequest.get('line_items[0][price]'), PRO_PRICE);
+  assert.equal(subscriptionRequest.get('subscription_data[metadata][userId]'), 'user-1');
+  assert.equal(subscriptionRequest.get('success_url'), `${origin}/success?session_id={CHECKOUT_SESSION_ID}`);
+
+  await createCheckoutSession(stripe, store, 'user-1', { packId: 'credits_500', origin });
+  const packRequest = requests.at(-1).body;
+  assert.equal(packRequest.get('mode'), 'payment');
+  assert.equal(packRequest.get('line_items[0][price]'), 'price_credits_500');
+  assert.equal(packRequest.get('metadata[credits]'), '500');
+  assert.equal(packRequest.get('subscription_data[metadata][userId]'), null);
+
+  await assert.rejects(createCheckoutSession(stripe, store, 'user-1', { priceId: 'price_team', origin }), { statusCode: 400 });
+  await assert.rejects(createCheckoutSession(stripe, store, 'user-1', { origin }), { statusCode: 400 });
+  await assert.rejects(createCheckoutSession(stripe, store, null, { priceId: PRO_PRICE, origin }), { statusCode: 401 });
+});
+
+test('客户门户：没有客户返回404，取消和更换套餐需要有效的Pro订阅', async () => {
+  const store = await createStore();
+  const returnUrl = 'https://app.example.com/billing';
+
+  await assert.rejects(createPortalSession(stripe, store, 'user-1', { returnUrl }), { statusCode: 404 });
+  await assert.rejects(createPortalSession(stripe, store, null, { returnUrl }), { statusCode: 401 });
+  await assert.rejects(createPortalSession(stripe, store, 'user-pro', { returnUrl, flow: 'refund' }), { statusCode: 400 });
+  await assert.rejects(createPortalSession(stripe, store, 'user-customer', { returnUrl, flow: 'subscription_cancel' }), { statusCode: 409 });
+  assert.equal(requests.length, 0);
+
+  assert.deepEqual(await createPortalSession(stripe, store, 'user-customer', { returnUrl }), { url: 'https://billing.stripe.test/bps_1' });
+  assert.equal(requests[0].body.get('customer'), 'cus_customer');
+  assert.equal(requests[0].body.get('return_url'), returnUrl);
+  assert.equal(requests[0].body.get('flow_data[type]'), null);
+
+  await createPortalSession(stripe, store, 'user-customer', { returnUrl, flow: 'payment_method_update' });
+  assert.equal(requests[1].body.get('flow_data[type]'), 'payment_method_update');
+
+  await createPortalSession(stripe, store, 'user-pro', { returnUrl, flow: 'subscription_cancel' });
+  const cancel = requests[2].body;
+  assert.equal(cancel.get('flow_data[subscription_cancel][subscription]'), 'sub_1');
+  assert.equal(cancel.get('flow_data[after_completion][redirect][return_url]'), returnUrl);
+});
+
+test('订阅详情：续费时间和账单从Stripe读取，到期取消的订阅不显示续费时间', async () => {
+  const store = await createStore();
+  const subscription = {
+    id: 'sub_1',
+    object: 'subscription',
+    status: 'active',
+    cancel_at_period_end: false,
+    current_period_start: PERIOD_END - 30 * 86400,
+    current_period_end: PERIOD_END,
+    cancel_at: null,
+    items: { data: [{ price: { id: PRO_PRICE, unit_amount: 990, currency: 'usd', recurring: { interval: 'month' } } }] }
+  };
+  responses['GET /v1/subscriptions/sub_1'] = [200, subscription];
+  responses['GET /v1/invoices'] = [200, {
+    object: 'list',
+    data: [{ id: 'in_1', number: 'A-0001', status: 'paid', amount_due: 990, amount_paid: 990, currency: 'usd', created: PERIOD_END - 30 * 86400, hosted_invoice_url: 'https://invoice.stripe.test/in_1' }]
+  }];
+
+  const details = await getSubscriptionDetails(stripe, store, 'user-pro');
+  assert.equal(details.plan, 'pro');
+  assert.equal(details.renews_at, '2099-01-01T00:00:00.000Z');
+  assert.deepEqual(details.subscription.price, { id: PRO_PRICE, unit_amount: 990, currency: 'usd', interval: 'month' });
+  assert.deepEqual(details.invoices.map(invoice => [invoice.number, invoice.amount_paid, invoice.invoice_pdf]), [['A-0001', 990, null]]);
+  assert.equal(requests.find(request => request.path === '/v1/invoices').body.get('customer'), 'cus_pro');
+
+  responses['GET /v1/subscriptions/sub_1'] = [200, { ...subscription, cancel_at_period_end: true, cancel_at: PERIOD_END }];
+  const canceling = await getSubscriptionDetails(stripe, store, 'user-pro');
+  assert.equal(canceling.renews_at, null);
+  assert.equal(canceling.cancel_at_period_end, true);
+  assert.equal(canceling.subscription.cancel_at, '2099-01-01T00:00:00.000Z');
+
+  // 没有订阅和客户的用户不请求Stripe
+  requests = [];
+  const free = await getSubscriptionDetails(stripe, store, 'user-1');
+  assert.deepEqual([free.plan, free.subscription, free.invoices], ['free', null, []]);
+  assert.equal(requests.length, 0);
+});
+
+test('Stripe返回的错误转换为502', async () => {
+  const store = await createStore();
+  await assert.rejects(getSubscriptionDetails(stripe, store, 'user-pro'), { statusCode: 502, message: /^Stripe请求失败: Unrecognized request URL/ });
+});
@@ -0,0 +1,95 @@
+/**
+ * 按影调强度和细节强度混合MAXIM输出与原图
+ * 原图和模型输出都是测试中编码的纯色PNG data URL，ReplicateProvider.finish只在本地混合，不调用Replicate
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { blendImages, encodePngDataUrl, loadImage } from '../shared/image-processing.mjs';
+import { getProvider } from '../shared/providers.mjs';
+
+/**
+ * 创建纯色图像
+ * @param {number} size - 边长
+ * @param {number[]} rgba - 颜色
+ * @returns {Object} { width, height, data }
+ */
+function solid(size, rgba) {
+  const data = new Uint8Array(size * size * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data.set(rgba, i);
+  }
+  return { width: size, height: size, data };
+}
+
+/**
+ * 读取图像第一个像素
+ * @param {Object} image - { width, height, data }
+ * @returns {number[]} [r, g, b, a]
+ */
+function firstPixel(image) {
+  return Array.from(image.data.subarray(0, 4));
+}
+
+const BASE = solid(4, [100, 50, 200, 255]);
+const PROCESSED = solid(4, [150, 150, 150, 128]);
+
+test('按权重混合：1为处理结果，小于1减弱、大于1加强，透明度沿用原图', () => {
+  assert.deepEqual(firstPixel(blendImages(BASE, PROCESSED, 1)), [150, 150, 150, 255]);
+  assert.deepEqual(firstPixel(blendImages(BASE, PROCESSED, 0.5)), [125, 100, 175, 255]);
+  assert.deepEqual(firstPixel(blendImages(BASE, PROCESSED, 2)), [200, 250, 100, 255]);
+  assert.deepEqual(firstPixel(blendImages(BASE, PROCESSED, 0)), [100, 50, 200, 255]);
+});
+
+test('只混合亮度时保留原图色彩，处理结果尺寸不同时缩放到原图尺寸', () => {
+  // 原图亮度 0.299×100 + 0.587×50 + 0.114×200 = 82.05，处理结果亮度150
+  const blended = blendImages(BASE, PROCESSED, 1, { luminanceOnly: true });
+  assert.deepEqual(firstPixel(blended), [168, 118, 255, 255]);
+
+  const larger = blendImages(BASE, solid(8, [150, 150, 150, 255]), 0.5);
+  assert.deepEqual([larger.width, larger.height, larger.data.length], [4, 4, 64]);
+  assert.deepEqual(firstPixel(larger), [125, 100, 175, 255]);
+});
+
+test('Replicate影调增强的输出按强度与原图混合，结果为PNG data URL', async () => {
+  const provider = getProvider('replicate');
+  const output = encodePngDataUrl(PROCESSED);
+
+  const tone = await provider.finish('tone', { type: 'night', intensity: 0.5 }, encodePngDataUrl(BASE), output);
+  assert.deepEqual(tone.blend, { weight: 0.5, luminance_only: false, applied: true });
+  assert.match(tone.output, /^data:image\/png;base64,/);
+  assert.deepEqual(firstPixel(await loadImage(tone.output)), [125, 100, 175, 255]);
+
+  // 模型输出为数组时取第一张图像
+  const luminance = await provider.finish('tone', { intensity: 1, luminance_only: true }, encodePngDataUrl(BASE), [output]);
+  assert.deepEqual(luminance.blend, { weight: 1, luminance_only: true, applied: true });
+  assert.deepEqual(firstPixel(await loadImage(luminance.output)), [168, 118, 255, 255]);
+
+  const detail = await provider.finish('detail', { type: 'text', strength: 3 }, encodePngDataUrl(BASE), output);
+  assert.deepEqual(detail.blend, { weight: 1.5, luminance_only: false, applied: true });
+  assert.deepEqual(firstPixel(await loadImage(detail.output)), [175, 200, 125, 255]);
+});
+
+test('权重为1、模型不需要混合或图像无法解码时直接使用模型输出', async () => {
+  const provider = getProvider('replicate');
+  const base = encodePngDataUrl(BASE);
+
+  assert.deepEqual(await provider.finish('tone', { intensity: 1 }, base, 'https://replicate.delivery/out.png'), {
+    output: 'https://replicate.delivery/out.png',
+    blend: { weight: 1, luminance_only: false, applied: false }
+  });
+  assert.deepEqual(await provider.finish('detail', { strength: 2 }, base, 'https://replicate.delivery/out.png'), {
+    output: 'https://replicate.delivery/out.png',
+    blend: { weight: 1, luminance_only: false, applied: false }
+  });
+  assert.deepEqual(await provider.finish('upscale', { scale: 4 }, base, 'https://replicate.delivery/out.png'), {
+    output: 'https://replicate.delivery/out.png',
+    blend: null
+  });
+
+  const undecodable = 'data:image/webp;base64,UklGRiQAAABXRUJQVlA4IBgAAAAwAQCdASoBAAEAAwA0JaQAA3AA/vuUAAA=';
+  assert.deepEqual(await provider.finish('tone', { intensity: 0.5 }, base, undecodable), {
+    output: undecodable,
+    blend: { weight: 0.5, luminance_only: false, applied: false }
+  });
+});
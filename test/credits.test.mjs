@@ -0,0 +1,191 @@
+/**
+ * 积分账本、积分包和套餐额度
+ * 用量、权益和积分都使用内存存储；Pro用户通过直接写入的权益记录构造
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { CreditLedger, getStepCost, getCreditPack, listCreditPacks, MODEL_COSTS } from '../shared/credits.mjs';
+import { createCreditStore } from '../shared/credit-store.mjs';
+import { UsageMeter, BILLING_SOURCES, PLAN_LIMITS } from '../shared/usage.mjs';
+import { createUsageStore } from '../shared/usage-store.mjs';
+import { createEntitlementStore } from '../shared/entitlement-store.mjs';
+import { getStepCredits } from '../shared/providers.mjs';
+import { PLANS } from '../shared/entitlements.mjs';
+
+const UPSCALE_2X = { name: 'upscale', config: { provider: 'replicate', model: 'real-esrgan', scale: 2 } };
+const AURA_8X = { name: 'upscale', config: { provider: 'replicate', model: 'aura-sr-v2', scale: 8 } };
+
+before(() => {
+  process.env.STRIPE_PRO_PRICE_ID = 'price_pro';
+});
+
+/**
+ * 创建使用内存存储的计量器
+ * @param {Object} options - { pro } pro为true时用户user-1为Pro
+ * @returns {Promise<Object>} { meter, ledger, usageStore }
+ */
+async function createMeter({ pro = false } = {}) {
+  const usageStore = createUsageStore({ type: 'memory' });
+  const entitlementStore = createEntitlementStore({ type: 'memory' });
+  const ledger = new CreditLedger(createCreditStore({ type: 'memory' }));
+  if (pro) {
+    await entitlementStore.put('user-1', { status: 'active', price_id: 'price_pro', current_period_end: '2099-01-01T00:00:00.000Z' });
+  }
+  return { meter: new UsageMeter(usageStore, entitlementStore, ledger), ledger, usageStore };
+}
+
+/**
+ * 断言额度或功能错误
+ * @param {Promise} promise - 检查或计费的Promise
+ * @param {number} statusCode - 期望的状态码
+ * @param {Object} payload - 期望包含的payload字段
+ * @returns {Promise<Error>} 错误
+ */
+async function assertBillingError(promise, statusCode, payload) {
+  let caught;
+  await assert.rejects(promise, (error) => {
+    caught = error;
+    assert.equal(error.statusCode, statusCode);
+    for (const [key, value] of Object.entries(payload)) {
+      assert.deepEqual(error.payload[key], value, key);
+    }
+    return true;
+  });
+  return caught;
+}
+
+test('模型调用成本按模型和放大倍数计算，本地处理和分析不消耗积分', () => {
+  assert.equal(getStepCost(UPSCALE_2X), 1);
+  assert.equal(getStepCost(AURA_8X), 16);
+  assert.equal(getStepCost({ name: 'upscale' }), MODEL_COSTS.upscale['real-esrgan'][2]);
+  assert.equal(getStepCost({ name: 'tone' }), 1);
+  assert.equal(getStepCost({ name: 'detail' }), 2);
+  assert.equal(getStepCost({ name: 'analyze' }), 0);
+
+  assert.equal(getStepCredits(AURA_8X), 16);
+  assert.equal(getStepCredits({ name: 'upscale', config: { provider: 'local', scale: 8 } }), 0);
+});
+
+test('账本：购买按交易ID去重，余额不足时返回402，交易按时间倒序', async () => {
+  const ledger = new CreditLedger(createCreditStore({ type: 'memory' }));
+  assert.equal((await ledger.grant('user-1', 10, { id: 'cs_1', reason: 'credits_100' })).duplicate, false);
+  assert.equal((await ledger.grant('user-1', 10, { id: 'cs_1', reason: 'credits_100' })).duplicate, true);
+  assert.equal(await ledger.getBalance('user-1'), 10);
+  await assert.rejects(ledger.grant('user-1', 0, { id: 'cs_2' }), /无效的积分数/);
+
+  const debit = await ledger.debit('user-1', 4, { reason: 'upscale' });
+  assert.equal(debit.balance_after, 6);
+  await assertBillingError(ledger.debit('user-1', 7), 402, { code: 'insufficient_credits', credits_required: 7, credits_balance: 6 });
+  assert.equal(await ledger.getBalance('user-1'), 6);
+
+  const account = await ledger.getAccount('user-1');
+  assert.deepEqual(account.transactions.map(item => [item.type, item.amount]), [['debit', -4], ['purchase', 10]]);
+  await assert.rejects(ledger.getAccount(null), { statusCode: 401 });
+});
+
+test('账本：每笔扣除最多退还一次，退还数量不超过扣除数量', async () => {
+  const ledger = new CreditLedger(createCreditStore({ type: 'memory' }));
+  await ledger.grant('user-1', 10, { id: 'cs_1' });
+  const debit = await ledger.debit('user-1', 4);
+
+  const refund = await ledger.refund('user-1', debit.id, 10, '模型调用失败');
+  assert.equal(refund.transaction.amount, 4);
+  assert.equal(refund.transaction.reference, debit.id);
+  assert.equal((await ledger.refund('user-1', debit.id, 4)).duplicate, true);
+  assert.equal(await ledger.getBalance('user-1'), 10);
+  await assert.rejects(ledger.refund('user-1', 'debit_missing', 1), /扣除记录不存在/);
+});
+
+test('积分包的价格来自环境变量，未配置的积分包不可购买', () => {
+  delete process.env.STRIPE_PRICE_CREDITS_500;
+  delete process.env.STRIPE_PRICE_CREDITS_2000;
+  process.env.STRIPE_PRICE_CREDITS_100 = 'price_credits_100';
+
+  assert.deepEqual(listCreditPacks().map(pack => [pack.id, pack.available]), [
+    ['credits_100', true],
+    ['credits_500', false],
+    ['credits_2000', false]
+  ]);
+  assert.deepEqual(getCreditPack('credits_100'), { id: 'credits_100', credits: 100, price_id: 'price_credits_100' });
+  assert.throws(() => getCreditPack('credits_500'), { statusCode: 500 });
+  assert.throws(() => getCreditPack('credits_1'), { statusCode: 400 });
+});
+
+test('Free用户增强额度用尽时返回402，有积分时改为按积分计费且不占用套餐额度', async () => {
+  const { meter, ledger, usageStore } = await createMeter();
+  const { periodKey } = await meter.loadUsage('user-1');
+  await usageStore.increment('user-1', periodKey, { enhancements: PLAN_LIMITS[PLANS.FREE].enhancements });
+
+  const error = await assertBillingError(meter.check('user-1', { steps: [UPSCALE_2X] }), 402, {
+    code: 'quota_exceeded',
+    metric: 'enhancements',
+    upgrade: true,
+    credits_required: 1,
+    credits_balance: 0
+  });
+  assert.match(error.message, /升级到Pro或购买积分包后可继续使用/);
+
+  await ledger.grant('user-1', 5, { id: 'cs_1' });
+  const result = await meter.run('user-1', { steps: [UPSCALE_2X] }, async () => ({ output_image: { width: 16, height: 16 } }));
+  assert.equal(result.billing.source, BILLING_SOURCES.CREDITS);
+  assert.equal(result.billing.charged, 1);
+  assert.equal(await ledger.getBalance('user-1'), 4);
+  assert.equal((await meter.getUsage('user-1')).usage.enhancements, 10);
+});
+
+test('处理失败时退还积分并释放预占的用量', async () => {
+  const { meter, ledger } = await createMeter();
+  await ledger.grant('user-1', 20, { id: 'cs_1' });
+
+  await assert.rejects(meter.run('user-1', { steps: [AURA_8X] }, async () => { throw new Error('模型调用失败'); }), /模型调用失败/);
+  assert.equal(await ledger.getBalance('user-1'), 20);
+  const { transactions } = await ledger.getAccount('user-1');
+  assert.deepEqual(transactions.map(item => [item.type, item.amount]), [['refund', 16], ['debit', -16], ['purchase', 20]]);
+
+  await assert.rejects(meter.run('user-1', { steps: [UPSCALE_2X] }, async () => { throw new Error('模型调用失败'); }));
+  assert.equal((await meter.getUsage('user-1')).usage.enhancements, 0);
+});
+
+test('Pro专属的模型和倍数对Free用户返回402 plan_required，积分足够时按积分计费', async () => {
+  const { meter, ledger } = await createMeter();
+  await assertBillingError(meter.check('user-1', { steps: [AURA_8X] }), 402, {
+    code: 'plan_required',
+    feature: 'model:aura-sr-v2',
+    required_plan: PLANS.PRO,
+    credits_required: 16
+  });
+
+  await ledger.grant('user-1', 16, { id: 'cs_1' });
+  const billing = await meter.charge('user-1', { steps: [AURA_8X] });
+  assert.deepEqual([billing.source, billing.cost, billing.charged], [BILLING_SOURCES.CREDITS, 16, 16]);
+  assert.equal(await ledger.getBalance('user-1'), 0);
+});
+
+test('Pro用户额度用尽时返回429和重试时间，分析次数不能用积分购买', async () => {
+  const pro = await createMeter({ pro: true });
+  const { summary, periodKey } = await pro.meter.loadUsage('user-1');
+  assert.equal(summary.plan, PLANS.PRO);
+  assert.equal(summary.period.end, '2099-01-01T00:00:00.000Z');
+  await pro.usageStore.increment('user-1', periodKey, { enhancements: PLAN_LIMITS[PLANS.PRO].enhancements });
+
+  const error = await assertBillingError(pro.meter.check('user-1', { steps: [UPSCALE_2X] }), 429, { code: 'quota_exceeded', upgrade: false });
+  assert.ok(error.payload.retry_after_seconds > 0);
+
+  const free = await createMeter();
+  await free.usageStore.increment('user-1', (await free.meter.loadUsage('user-1')).periodKey, { analyses: PLAN_LIMITS[PLANS.FREE].analyses });
+  await free.ledger.grant('user-1', 100, { id: 'cs_1' });
+  const analysisError = await assertBillingError(free.meter.check('user-1', { analyses: 1 }), 402, { code: 'quota_exceeded', metric: 'analyses' });
+  assert.match(analysisError.message, /升级到Pro可获得更多额度$/);
+});
+
+test('并发请求原子地预占额度，最后一次增强只有一个请求通过', async () => {
+  const { meter, usageStore } = await createMeter();
+  const { periodKey } = await meter.loadUsage('user-1');
+  await usageStore.increment('user-1', periodKey, { enhancements: PLAN_LIMITS[PLANS.FREE].enhancements - 1 });
+
+  const outcomes = await Promise.allSettled(Array.from({ length: 4 }, () => meter.charge('user-1', { steps: [UPSCALE_2X] })));
+  assert.equal(outcomes.filter(outcome => outcome.status === 'fulfilled').length, 1);
+  outcomes.filter(outcome => outcome.status === 'rejected').forEach(outcome => assert.equal(outcome.reason.statusCode, 402));
+  assert.equal((await meter.getUsage('user-1')).usage.enhancements, PLAN_LIMITS[PLANS.FREE].enhancements);
+});
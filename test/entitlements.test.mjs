@@ -0,0 +1,190 @@
+/**
+ * Stripe Webhook事件与用户权益
+ * 事件对象只包含处理需要的字段；Checkout会话带上line_items，不需要查询Stripe API
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleStripeEvent, getEntitlements, resolvePlan, PLANS } from '../shared/entitlements.mjs';
+import { createEntitlementStore } from '../shared/entitlement-store.mjs';
+import { createCreditStore } from '../shared/credit-store.mjs';
+import { CreditLedger } from '../shared/credits.mjs';
+
+const PRO_PRICE = 'price_pro';
+const OTHER_PRICE = 'price_team';
+const PERIOD_END = Math.floor(Date.parse('2099-01-01T00:00:00Z') / 1000);
+
+before(() => {
+  process.env.STRIPE_PRO_PRICE_ID = PRO_PRICE;
+});
+
+let eventCount = 0;
+
+/**
+ * 创建Stripe事件，created按创建顺序递增
+ * @param {string} type - 事件类型
+ * @param {Object} object - 事件对象
+ * @returns {Object} 事件
+ */
+function stripeEvent(type, object) {
+  eventCount += 1;
+  return { id: `evt_${eventCount}`, type, created: 1700000000 + eventCount, data: { object } };
+}
+
+/**
+ * 订阅Checkout会话完成的事件
+ * @param {string} priceId - 购买的价格
+ * @returns {Object} 事件
+ */
+function checkoutCompleted(priceId) {
+  return stripeEvent('checkout.session.completed', {
+    id: `cs_${eventCount + 1}`,
+    mode: 'subscription',
+    client_reference_id: 'user_1',
+    subscription: 'sub_1',
+    customer: 'cus_1',
+    line_items: { data: [{ price: { id: priceId } }] }
+  });
+}
+
+/**
+ * 订阅变更的事件
+ * @param {string} priceId - 订阅当前的价格
+ * @param {string} status - 订阅状态
+ * @returns {Object} 事件
+ */
+function subscriptionUpdated(priceId, status = 'active') {
+  return stripeEvent('customer.subscription.updated', {
+    id: 'sub_1',
+    status,
+    customer: 'cus_1',
+    metadata: { userId: 'user_1' },
+    items: { data: [{ price: { id: priceId } }] },
+    current_period_end: PERIOD_END,
+    cancel_at_period_end: false
+  });
+}
+
+/**
+ * 订阅账单支付成功的事件
+ * @returns {Object} 事件
+ */
+function invoicePaid() {
+  return stripeEvent('invoice.paid', {
+    id: `in_${eventCount + 1}`,
+    subscription: 'sub_1',
+    customer: 'cus_1',
+    lines: { data: [{ period: { end: PERIOD_END } }] }
+  });
+}
+
+test('购买Pro价格的订阅授予Pro，其他价格不授予', async () => {
+  const store = createEntitlementStore({ type: 'memory' });
+
+  const other = await handleStripeEvent(store, checkoutCompleted(OTHER_PRICE));
+  assert.equal(other.handled, false);
+  assert.equal((await getEntitlements(store, 'user_1')).plan, PLANS.FREE);
+
+  await handleStripeEvent(store, checkoutCompleted(PRO_PRICE));
+  const entitlements = await getEntitlements(store, 'user_1');
+  assert.equal(entitlements.plan, PLANS.PRO);
+  assert.equal(entitlements.price_id, PRO_PRICE);
+  assert.equal(entitlements.subscription_id, 'sub_1');
+});
+
+test('在客户门户切换到其他价格后降级为Free，之后的账单支付也不恢复Pro', async () => {
+  const store = createEntitlementStore({ type: 'memory' });
+  await handleStripeEvent(store, checkoutCompleted(PRO_PRICE));
+
+  await handleStripeEvent(store, subscriptionUpdated(OTHER_PRICE));
+  let entitlements = await getEntitlements(store, 'user_1');
+  assert.equal(entitlements.status, 'active');
+  assert.equal(entitlements.price_id, OTHER_PRICE);
+  assert.equal(entitlements.plan, PLANS.FREE);
+
+  await handleStripeEvent(store, invoicePaid());
+  assert.equal((await getEntitlements(store, 'user_1')).plan, PLANS.FREE);
+
+  // 切换回Pro价格
+  await handleStripeEvent(store, subscriptionUpdated(PRO_PRICE));
+  entitlements = await getEntitlements(store, 'user_1');
+  assert.equal(entitlements.plan, PLANS.PRO);
+  assert.equal(entitlements.current_period_end, new Date(PERIOD_END * 1000).toISOString());
+});
+
+test('扣款失败期间保留Pro，订阅删除后降级', async () => {
+  const store = createEntitlementStore({ type: 'memory' });
+  await handleStripeEvent(store, checkoutCompleted(PRO_PRICE));
+
+  await handleStripeEvent(store, stripeEvent('invoice.payment_failed', { subscription: 'sub_1', customer: 'cus_1' }));
+  let entitlements = await getEntitlements(store, 'user_1');
+  assert.equal(entitlements.status, 'past_due');
+  assert.equal(entitlements.plan, PLANS.PRO);
+
+  // 没有metadata的事件按订阅ID找到用户
+  await handleStripeEvent(store, stripeEvent('customer.subscription.deleted', { id: 'sub_1' }));
+  entitlements = await getEntitlements(store, 'user_1');
+  assert.equal(entitlements.status, 'canceled');
+  assert.equal(entitlements.plan, PLANS.FREE);
+});
+
+test('重复投递的事件只处理一次，早于已处理事件的旧事件不覆盖状态', async () => {
+  const store = createEntitlementStore({ type: 'memory' });
+  const stale = subscriptionUpdated(PRO_PRICE, 'past_due');
+  const completed = checkoutCompleted(PRO_PRICE);
+  const canceled = stripeEvent('customer.subscription.deleted', { id: 'sub_1', metadata: { userId: 'user_1' } });
+
+  await handleStripeEvent(store, completed);
+  assert.deepEqual(await handleStripeEvent(store, completed), { handled: false, duplicate: true, user_id: null });
+
+  await handleStripeEvent(store, canceled);
+  await handleStripeEvent(store, stale);
+  assert.equal((await getEntitlements(store, 'user_1')).status, 'canceled');
+});
+
+test('处理失败的事件会被释放，Stripe重试时重新处理', async () => {
+  const store = createEntitlementStore({ type: 'memory' });
+  // 会话不带line_items，且没有Stripe客户端可以查询价格
+  const { line_items, ...session } = checkoutCompleted(PRO_PRICE).data.object;
+  const event = stripeEvent('checkout.session.completed', session);
+
+  await assert.rejects(handleStripeEvent(store, event), { statusCode: 500 });
+
+  const stripe = { checkout: { sessions: { listLineItems: async () => line_items } } };
+  const result = await handleStripeEvent(store, event, { stripe });
+  assert.equal(result.handled, true);
+  assert.equal((await getEntitlements(store, 'user_1')).plan, PLANS.PRO);
+});
+
+test('积分包付款完成后发放积分，重复的会话不重复到账', async () => {
+  const store = createEntitlementStore({ type: 'memory' });
+  const creditLedger = new CreditLedger(createCreditStore({ type: 'memory' }));
+  const session = {
+    id: 'cs_credits',
+    mode: 'payment',
+    payment_status: 'paid',
+    client_reference_id: 'user_1',
+    metadata: { credits: '100', pack_id: 'credits_100' }
+  };
+
+  await handleStripeEvent(store, stripeEvent('checkout.session.completed', session), { creditLedger });
+  // 同一会话的另一个事件（事件ID不同）
+  await handleStripeEvent(store, stripeEvent('checkout.session.async_payment_succeeded', session), { creditLedger });
+
+  assert.equal(await creditLedger.getBalance('user_1'), 100);
+  assert.equal((await getEntitlements(store, 'user_1')).plan, PLANS.FREE);
+});
+
+test('计划按状态、价格和周期结束时间计算', () => {
+  const record = { status: 'active', price_id: PRO_PRICE, current_period_end: '2026-11-01T00:00:00Z' };
+  const now = Date.parse('2026-10-19T00:00:00Z');
+
+  assert.equal(resolvePlan(record, now), PLANS.PRO);
+  assert.equal(resolvePlan({ ...record, status: 'trialing' }, now), PLANS.PRO);
+  assert.equal(resolvePlan({ ...record, status: 'incomplete' }, now), PLANS.FREE);
+  assert.equal(resolvePlan({ ...record, price_id: OTHER_PRICE }, now), PLANS.FREE);
+  assert.equal(resolvePlan({ ...record, price_id: undefined }, now), PLANS.FREE);
+  assert.equal(resolvePlan(record, Date.parse('2026-11-02T00:00:00Z')), PLANS.FREE);
+  assert.equal(resolvePlan(record, now, null), PLANS.FREE);
+  assert.equal(resolvePlan(null, now), PLANS.FREE);
+});
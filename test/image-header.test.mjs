@@ -0,0 +1,170 @@
+/**
+ * 图像文件头解析
+ * JPEG和PNG由jpeg-js、pngjs编码后插入EXIF块；WebP、GIF、BMP、TIFF只构造文件头字节
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import jpeg from 'jpeg-js';
+import { parseImageHeader, detectImageFormat } from '../shared/image-header.mjs';
+import { processAnalyze } from '../shared/api-handlers.mjs';
+import { encodePngDataUrl } from '../shared/image-processing.mjs';
+
+/**
+ * 构造只含方向标签的大端TIFF结构（EXIF内容）
+ * @param {number} orientation - EXIF方向值
+ * @returns {Buffer} TIFF结构
+ */
+function exifTiff(orientation) {
+  const tiff = Buffer.alloc(26);
+  tiff.write('MM\0*', 0, 'ascii');
+  tiff.writeUInt32BE(8, 4);
+  tiff.writeUInt16BE(1, 8);
+  tiff.writeUInt16BE(274, 10);
+  tiff.writeUInt16BE(3, 12);
+  tiff.writeUInt32BE(1, 14);
+  tiff.writeUInt16BE(orientation, 18);
+  return tiff;
+}
+
+/**
+ * 编码JPEG并在SOI之后插入带方向标签的EXIF（APP1）段
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @param {number} orientation - EXIF方向值
+ * @returns {Buffer} JPEG数据
+ */
+function jpegWithOrientation(width, height, orientation) {
+  const encoded = jpeg.encode({ width, height, data: Buffer.alloc(width * height * 4, 128) }, 90).data;
+  const payload = Buffer.concat([Buffer.from('Exif\0\0', 'ascii'), exifTiff(orientation)]);
+  const segment = Buffer.alloc(4);
+  segment.writeUInt16BE(0xffe1, 0);
+  segment.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([encoded.subarray(0, 2), segment, payload, encoded.subarray(2)]);
+}
+
+/**
+ * 构造WebP文件头
+ * @param {string} chunkType - 'VP8 '、'VP8L' 或 'VP8X'
+ * @param {Function} writeData - (buffer) => void 写入从偏移20开始的数据块内容
+ * @returns {Buffer} WebP数据
+ */
+function webpHeader(chunkType, writeData) {
+  const buffer = Buffer.alloc(30);
+  buffer.write('RIFF', 0, 'ascii');
+  buffer.writeUInt32LE(22, 4);
+  buffer.write('WEBP', 8, 'ascii');
+  buffer.write(chunkType, 12, 'ascii');
+  buffer.writeUInt32LE(10, 16);
+  writeData(buffer);
+  return buffer;
+}
+
+test('JPEG：读取SOF中的尺寸和EXIF方向，方向5-8时显示尺寸宽高互换', () => {
+  const header = parseImageHeader(jpegWithOrientation(64, 32, 6));
+  assert.equal(header.format, 'jpeg');
+  assert.equal(header.width, 64);
+  assert.equal(header.height, 32);
+  assert.equal(header.channels, 3);
+  assert.equal(header.color_type, 'ycbcr');
+  assert.equal(header.orientation, 6);
+  assert.equal(header.display_width, 32);
+  assert.equal(header.display_height, 64);
+  assert.equal(header.progressive, false);
+
+  const upright = parseImageHeader(jpegWithOrientation(64, 32, 3));
+  assert.equal(upright.display_width, 64);
+});
+
+test('PNG：读取IHDR的尺寸、位深和颜色类型', () => {
+  const png = Buffer.from(encodePngDataUrl({ width: 7, height: 5, data: new Uint8Array(7 * 5 * 4) }).split(',')[1], 'base64');
+  const header = parseImageHeader(png);
+  assert.deepEqual(
+    { format: header.format, width: header.width, height: header.height, bit_depth: header.bit_depth, color_type: header.color_type, has_alpha: header.has_alpha },
+    { format: 'png', width: 7, height: 5, bit_depth: 8, color_type: 'rgba', has_alpha: true }
+  );
+});
+
+test('WebP：有损、无损和扩展格式', () => {
+  const lossy = parseImageHeader(webpHeader('VP8 ', (buffer) => {
+    buffer.writeUIntBE(0x9d012a, 23, 3);
+    buffer.writeUInt16LE(1920, 26);
+    buffer.writeUInt16LE(1080, 28);
+  }));
+  assert.deepEqual([lossy.width, lossy.height, lossy.lossless], [1920, 1080, false]);
+
+  const lossless = parseImageHeader(webpHeader('VP8L', (buffer) => {
+    buffer[20] = 0x2f;
+    buffer.writeUInt32LE((640 - 1) | ((480 - 1) << 14) | (1 << 28), 21);
+  }));
+  assert.deepEqual([lossless.width, lossless.height, lossless.has_alpha, lossless.lossless], [640, 480, true, true]);
+
+  const extended = parseImageHeader(webpHeader('VP8X', (buffer) => {
+    buffer[20] = 0x02;
+    buffer.writeUIntLE(4000 - 1, 24, 3);
+    buffer.writeUIntLE(3000 - 1, 27, 3);
+  }));
+  assert.deepEqual([extended.width, extended.height, extended.animated, extended.has_alpha], [4000, 3000, true, false]);
+});
+
+test('GIF、BMP和TIFF', () => {
+  const gif = Buffer.alloc(13);
+  gif.write('GIF89a', 0, 'ascii');
+  gif.writeUInt16LE(320, 6);
+  gif.writeUInt16LE(200, 8);
+  gif[10] = 0x07;
+  assert.deepEqual((({ width, height, bit_depth }) => ({ width, height, bit_depth }))(parseImageHeader(gif)), { width: 320, height: 200, bit_depth: 8 });
+
+  // 高度为负的自上而下BMP
+  const bmp = Buffer.alloc(54);
+  bmp.write('BM', 0, 'ascii');
+  bmp.writeUInt32LE(40, 14);
+  bmp.writeInt32LE(800, 18);
+  bmp.writeInt32LE(-600, 22);
+  bmp.writeUInt16LE(32, 28);
+  const bmpHeader = parseImageHeader(bmp);
+  assert.deepEqual([bmpHeader.width, bmpHeader.height, bmpHeader.channels, bmpHeader.has_alpha], [800, 600, 4, true]);
+
+  // 大端TIFF：宽度为LONG，高度、每像素样本数和颜色解释为SHORT，方向8
+  const entries = [[256, 4, 5000], [257, 3, 3000], [262, 3, 2], [274, 3, 8], [277, 3, 3]];
+  const tiff = Buffer.alloc(8 + 2 + entries.length * 12 + 4);
+  tiff.write('MM\0*', 0, 'ascii');
+  tiff.writeUInt32BE(8, 4);
+  tiff.writeUInt16BE(entries.length, 8);
+  entries.forEach(([tag, type, value], index) => {
+    const offset = 10 + index * 12;
+    tiff.writeUInt16BE(tag, offset);
+    tiff.writeUInt16BE(type, offset + 2);
+    tiff.writeUInt32BE(1, offset + 4);
+    if (type === 3) {
+      tiff.writeUInt16BE(value, offset + 8);
+    } else {
+      tiff.writeUInt32BE(value, offset + 8);
+    }
+  });
+  const tiffHeader = parseImageHeader(tiff);
+  assert.deepEqual(
+    [tiffHeader.width, tiffHeader.height, tiffHeader.color_type, tiffHeader.orientation, tiffHeader.display_width],
+    [5000, 3000, 'rgb', 8, 3000]
+  );
+});
+
+test('无法识别、截断和尺寸为0的文件头抛出错误', () => {
+  assert.equal(detectImageFormat(Buffer.from('hello world')), 'unknown');
+  assert.throws(() => parseImageHeader(Buffer.from('hello world')), /无法识别的图像格式/);
+  assert.throws(() => parseImageHeader(Buffer.from('GIF89a')), /GIF文件头不完整/);
+  assert.throws(() => parseImageHeader(Buffer.from([0xff, 0xd8, 0xff, 0xd9])), /JPEG文件中未找到SOF帧头/);
+  assert.throws(() => parseImageHeader(Buffer.concat([Buffer.from('GIF89a'), Buffer.alloc(7)])), /GIF文件头中的图像尺寸无效/);
+});
+
+test('分析结果的image_info来自文件头，而不是按文件大小估算', async () => {
+  const buffer = jpegWithOrientation(48, 16, 6);
+  const result = await processAnalyze(`data:image/jpeg;base64,${buffer.toString('base64')}`);
+  const info = result.analysis.image_info;
+  assert.equal(result.analysis.format, 'jpeg');
+  assert.equal(result.analysis.size, buffer.length);
+  assert.deepEqual(
+    [info.width, info.height, info.display_width, info.display_height, info.orientation, info.megapixels],
+    [48, 16, 16, 48, 6, 0]
+  );
+});
@@ -0,0 +1,203 @@
+/**
+ * 任务进度推送（SSE）
+ * 响应对象使用记录写入内容的替身；任务进度来自本地执行的流水线，
+ * 或按webhook模式写入存储、由回调更新的模型进度
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { streamJobEvents, toProgressEvent, formatServerSentEvent } from '../shared/job-events.mjs';
+import { createJob, runJob, handleReplicateWebhook, JOB_STATUS, STEP_STATUS } from '../shared/jobs.mjs';
+import { createJobStore } from '../shared/job-store.mjs';
+import { parsePredictionProgress } from '../shared/api-handlers.mjs';
+import { encodePngDataUrl } from '../shared/image-processing.mjs';
+
+const INPUT = encodePngDataUrl({ width: 8, height: 8, data: new Uint8Array(8 * 8 * 4).fill(128) });
+const STREAM_OPTIONS = { intervalMs: 5, userId: 'user-1' };
+
+let storageDir;
+
+before(() => {
+  storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-events-test-'));
+  process.env.STORAGE_DIR = storageDir;
+});
+
+after(() => fs.rmSync(storageDir, { recursive: true, force: true }));
+
+/**
+ * 记录写入内容的响应对象替身
+ */
+class RecordingResponse extends EventEmitter {
+  constructor() {
+    super();
+    this.statusCode = null;
+    this.headers = null;
+    this.body = '';
+    this.ended = false;
+  }
+
+  writeHead(statusCode, headers) {
+    this.statusCode = statusCode;
+    this.headers = headers;
+  }
+
+  write(chunk) {
+    this.body += chunk;
+  }
+
+  end() {
+    this.ended = true;
+  }
+
+  /**
+   * 解析已写入的SSE事件
+   * @returns {Array} { event, data }，注释行的event为'comment'
+   */
+  events() {
+    return this.body.split('\n\n').filter(Boolean).map((message) => {
+      if (message.startsWith(':')) {
+        return { event: 'comment', data: message.slice(1).trim() };
+      }
+      const fields = Object.fromEntries(message.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1).trim()]));
+      return { event: fields.event || null, data: fields.data ? JSON.parse(fields.data) : fields };
+    });
+  }
+}
+
+/**
+ * 等待指定时间
+ * @param {number} ms - 毫秒
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('从预测日志中提取最后一个进度条的百分比和最后5行日志', () => {
+  const logs = 'loading model\n 10%|█         | 2/20\r 45%|████▌     | 9/20\nstep a\nstep b\nstep c\nstep d';
+  assert.deepEqual(parsePredictionProgress({ status: 'processing', logs }), {
+    status: 'processing',
+    percent: 45,
+    logs: '45%|████▌     | 9/20\nstep a\nstep b\nstep c\nstep d'
+  });
+  assert.deepEqual(parsePredictionProgress({ status: 'starting' }), { status: 'starting', percent: null, logs: null });
+  assert.equal(parsePredictionProgress({ logs: 'no progress bar here' }).percent, null);
+});
+
+test('SSE消息格式和进度事件不包含步骤输出', async () => {
+  assert.equal(formatServerSentEvent('progress', { a: 1 }), 'event: progress\ndata: {"a":1}\n\n');
+
+  const store = createJobStore({ type: 'memory' });
+  const job = await createJob(store, 'pipeline', { imageBase64: INPUT, provider: 'local', pipeline: { steps: [{ op: 'tone' }, { op: 'upscale', params: { scale: 2 } }] } }, 'user-1');
+  const event = toProgressEvent(job);
+  assert.equal(event.stage, 'queued');
+  assert.deepEqual(event.steps.map(step => [step.name, step.status, step.percent]), [['tone', 'pending', 0], ['upscale', 'pending', 0]]);
+  assert.ok(!('output' in event.steps[0]));
+  assert.ok(!('result' in event));
+});
+
+test('本地流水线任务从排队推送到完成，最后一个事件包含结果', async () => {
+  const store = createJobStore({ type: 'memory' });
+  const job = await createJob(store, 'pipeline', { imageBase64: INPUT, provider: 'local', pipeline: { steps: [{ op: 'tone' }, { op: 'upscale', params: { scale: 2 } }] } }, 'user-1');
+  const res = new RecordingResponse();
+
+  const streaming = streamJobEvents(store, job.id, res, STREAM_OPTIONS);
+  await wait(20);
+  await runJob(store, job.id);
+  await streaming;
+
+  assert.equal(res.statusCode, 200);
+  assert.match(res.headers['Content-Type'], /^text\/event-stream/);
+  assert.equal(res.headers['X-Accel-Buffering'], 'no');
+  assert.ok(res.body.startsWith('retry: 2000\n\n'));
+  assert.equal(res.ended, true);
+
+  const events = res.events().filter(event => event.event);
+  assert.equal(events[0].data.stage, 'queued');
+  const [progress, done] = events.slice(-2);
+  assert.equal(progress.event, 'progress');
+  assert.equal(progress.data.progress.percent, 100);
+  assert.deepEqual(progress.data.steps.map(step => step.status), [STEP_STATUS.SUCCEEDED, STEP_STATUS.SUCCEEDED]);
+  assert.equal(done.event, 'done');
+  assert.equal(done.data.status, JOB_STATUS.SUCCEEDED);
+  assert.ok(done.data.result);
+  assert.ok(!('input' in done.data));
+});
+
+test('推送webhook回调写入的模型进度和日志，失败后结束连接', async () => {
+  const store = createJobStore({ type: 'memory' });
+  const created = await createJob(store, 'upscale', { imageBase64: INPUT, provider: 'replicate', model: 'real-esrgan', scale: 2 }, 'user-1');
+  const now = new Date().toISOString();
+  const job = await store.update(created.id, {
+    status: JOB_STATUS.RUNNING,
+    started_at: now,
+    updated_at: now,
+    steps: [{ ...created.steps[0], status: STEP_STATUS.RUNNING, started_at: now, prediction_id: 'p1' }],
+    progress: { stage: 'upscale', completed_steps: 0, total_steps: 1, current_step: 'upscale', percent: 0 }
+  });
+  const res = new RecordingResponse();
+
+  const streaming = streamJobEvents(store, job.id, res, STREAM_OPTIONS);
+  await wait(20);
+  await handleReplicateWebhook(store, { jobId: job.id, stepIndex: '0' }, { id: 'p1', status: 'processing', logs: 'loading\n 45%|████▌     | 9/20' }, 'test-token');
+  await wait(20);
+  await store.update(job.id, { status: JOB_STATUS.FAILED, error: '模型调用失败', updated_at: new Date().toISOString() });
+  await streaming;
+
+  const progress = res.events().filter(event => event.event === 'progress').map(event => event.data);
+  assert.deepEqual(progress[0].steps[0].percent, 0);
+  const running = progress.find(event => event.steps[0].percent === 45);
+  assert.equal(running.stage, 'upscale');
+  assert.equal(running.progress.percent, 45);
+  assert.equal(running.steps[0].logs, 'loading\n45%|████▌     | 9/20');
+
+  const done = res.events().at(-1);
+  assert.equal(done.event, 'done');
+  assert.equal(done.data.status, JOB_STATUS.FAILED);
+  assert.equal(done.data.error, '模型调用失败');
+});
+
+test('其他用户的任务在写入响应头之前返回404', async () => {
+  const store = createJobStore({ type: 'memory' });
+  const job = await createJob(store, 'analyze', { imageBase64: INPUT }, 'user-1');
+  const res = new RecordingResponse();
+
+  await assert.rejects(streamJobEvents(store, job.id, res, { ...STREAM_OPTIONS, userId: 'user-2' }), { statusCode: 404 });
+  assert.equal(res.statusCode, null);
+  assert.equal(res.body, '');
+});
+
+test('任务没有变化时发送心跳，客户端断开后停止轮询', async () => {
+  const store = createJobStore({ type: 'memory' });
+  const job = await createJob(store, 'analyze', { imageBase64: INPUT }, 'user-1');
+  const res = new RecordingResponse();
+
+  const streaming = streamJobEvents(store, job.id, res, { ...STREAM_OPTIONS, heartbeatMs: 10 });
+  await wait(40);
+  res.emit('close');
+  await streaming;
+
+  const events = res.events();
+  assert.equal(events.filter(event => event.event === 'progress').length, 1);
+  assert.ok(events.some(event => event.event === 'comment' && event.data === 'ping'));
+  // 连接已由客户端关闭，不再结束响应
+  assert.equal(res.ended, false);
+});
+
+test('任务在推送期间被删除时发送done事件并结束连接', async () => {
+  const store = createJobStore({ type: 'memory' });
+  const job = await createJob(store, 'analyze', { imageBase64: INPUT }, 'user-1');
+  const res = new RecordingResponse();
+
+  const streaming = streamJobEvents(store, job.id, res, STREAM_OPTIONS);
+  await wait(20);
+  await store.delete(job.id);
+  await streaming;
+
+  assert.deepEqual(res.events().at(-1), { event: 'done', data: { id: job.id, status: null, error: `任务不存在: ${job.id}` } });
+  assert.equal(res.ended, true);
+});
@@ -0,0 +1,221 @@
+/**
+ * 异步任务的创建、执行和权限
+ * 使用内存任务存储；分析和本地处理的增强在本地计算，不调用模型，结果和任务图像保存到临时目录
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createJob, runJob, getJob, JOB_STATUS } from '../shared/jobs.mjs';
+import { createJobStore } from '../shared/job-store.mjs';
+import { isPaidJobType, isPaidEndpoint } from '../shared/auth.mjs';
+import { UsageMeter } from '../shared/usage.mjs';
+import { createUsageStore } from '../shared/usage-store.mjs';
+import { createEntitlementStore } from '../shared/entitlement-store.mjs';
+import { createCreditStore } from '../shared/credit-store.mjs';
+import { CreditLedger } from '../shared/credits.mjs';
+import { resolvePresetPipeline } from '../shared/presets.mjs';
+import { createPresetStore } from '../shared/preset-store.mjs';
+import { DEFAULT_TONE_TYPE, DEFAULT_DETAIL_TYPE } from '../shared/api-handlers.mjs';
+import { encodePngDataUrl } from '../shared/image-processing.mjs';
+import { createStorage } from '../shared/storage.mjs';
+
+const INPUT = encodePngDataUrl({ width: 8, height: 8, data: new Uint8Array(8 * 8 * 4).fill(128) });
+
+let storageDir;
+
+before(() => {
+  storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-test-'));
+  process.env.STORAGE_DIR = storageDir;
+});
+
+after(() => fs.rmSync(storageDir, { recursive: true, force: true }));
+
+/**
+ * 创建使用内存存储的用量计量器，记录对用量存储的写入
+ * @returns {Object} { meter, writes }
+ */
+function memoryMeter() {
+  const usageStore = createUsageStore({ type: 'memory' });
+  const writes = [];
+  for (const method of ['reserve', 'increment']) {
+    const original = usageStore[method].bind(usageStore);
+    usageStore[method] = (userId, ...args) => {
+      writes.push({ method, userId });
+      return original(userId, ...args);
+    };
+  }
+  return { meter: new UsageMeter(usageStore, createEntitlementStore({ type: 'memory' })), writes };
+}
+
+/**
+ * 创建用户套餐为Free、带积分账本的用量计量器
+ * @param {number} credits - 用户的积分余额
+ * @returns {Promise<UsageMeter>} 计量器
+ */
+async function freeMeter(credits = 0) {
+  const creditLedger = new CreditLedger(createCreditStore({ type: 'memory' }));
+  if (credits > 0) {
+    await creditLedger.grant('user-1', credits, { id: 'grant-1', reason: 'test' });
+  }
+  return new UsageMeter(createUsageStore({ type: 'memory' }), createEntitlementStore({ type: 'memory' }), creditLedger);
+}
+
+/**
+ * 断言请求因需要Autopilot功能被拒绝（402）
+ * @param {Promise} promise - 创建任务的Promise
+ */
+async function assertAutopilotRequired(promise) {
+  await assert.rejects(promise, (error) => {
+    assert.equal(error.statusCode, 402);
+    assert.equal(error.payload.code, 'plan_required');
+    assert.equal(error.payload.feature, 'autopilot');
+    assert.equal(error.payload.required_plan, 'pro');
+    return true;
+  });
+}
+
+const REPLICATE_TONE = { op: 'tone', params: { provider: 'replicate', type: 'general' } };
+const REPLICATE_DETAIL = { op: 'detail', params: { provider: 'replicate', type: 'general', strength: 2 } };
+const LOCAL_UPSCALE = { op: 'upscale', params: { provider: 'local', scale: 2 } };
+
+test('匿名用户可以创建并执行分析任务，不计量用量', async () => {
+  const store = createJobStore({ type: 'memory' });
+  const { meter, writes } = memoryMeter();
+
+  const job = await createJob(store, 'analyze', { imageBase64: INPUT }, null, meter);
+  assert.equal(job.user_id, null);
+  assert.deepEqual(job.steps.map(step => step.name), ['analyze']);
+
+  const finished = await runJob(store, job.id, undefined, { meter });
+  assert.equal(finished.status, JOB_STATUS.SUCCEEDED);
+  assert.equal(finished.result.analysis.image_info.width, 8);
+  // 匿名任务没有所属用户，任何人凭任务ID都可以查询
+  assert.equal((await getJob(store, job.id, null)).status, JOB_STATUS.SUCCEEDED);
+  assert.deepEqual(writes, []);
+});
+
+test('匿名用户创建其他类型的任务返回401', async () => {
+  const store = createJobStore({ type: 'memory' });
+  for (const type of ['upscale', 'tone-enhance', 'detail-enhance', 'autopilot', 'pipeline']) {
+    await assert.rejects(createJob(store, type, { imageBase64: INPUT }), { statusCode: 401, message: /请先登录/ });
+  }
+  assert.deepEqual(await store.list(), []);
+});
+
+test('创建任务的接口按任务类型而不是路由要求登录', () => {
+  assert.equal(isPaidEndpoint('POST', '/api/jobs'), false);
+  assert.equal(isPaidEndpoint('POST', '/API/Upscale/'), true);
+  assert.equal(isPaidJobType('analyze'), false);
+  assert.equal(isPaidJobType('autopilot'), true);
+  assert.equal(isPaidJobType(undefined), true);
+});
+
+test('登录用户的任务只对创建者可见', async () => {
+  const store = createJobStore({ type: 'memory' });
+  const job = await createJob(store, 'analyze', { imageBase64: INPUT }, 'user-1');
+
+  assert.equal((await getJob(store, job.id, 'user-1')).id, job.id);
+  await assert.rejects(getJob(store, job.id, 'user-2'), { statusCode: 404 });
+  await assert.rejects(getJob(store, job.id, null), { statusCode: 404 });
+});
+
+test('Free用户的流水线任务最多包含一个AI模型步骤，本地步骤不受限制', async () => {
+  const store = createJobStore({ type: 'memory' });
+  const meter = await freeMeter();
+
+  const single = await createJob(store, 'pipeline', { imageBase64: INPUT, pipeline: { steps: [REPLICATE_TONE, LOCAL_UPSCALE] } }, 'user-1', meter);
+  assert.equal(single.steps.length, 2);
+
+  await assertAutopilotRequired(
+    createJob(store, 'pipeline', { imageBase64: INPUT, pipeline: { steps: [REPLICATE_TONE, REPLICATE_DETAIL] } }, 'user-1', meter)
+  );
+  // 提供方为local时同样的步骤不调用模型
+  await createJob(store, 'pipeline', { imageBase64: INPUT, provider: 'local', pipeline: { steps: [{ op: 'tone' }, { op: 'detail' }] } }, 'user-1', meter);
+  assert.equal((await store.list()).length, 2);
+});
+
+test('Free用户使用含多个AI模型步骤的预设时与Autopilot一样需要Pro或积分', async () => {
+  const store = createJobStore({ type: 'memory' });
+  const params = await resolvePresetPipeline(
+    createPresetStore({ type: 'memory' }),
+    { imageBase64: INPUT, provider: 'replicate', preset_id: 'builtin-night-scene', scores: { detail: 50 } },
+    'user-1'
+  );
+
+  await assertAutopilotRequired(createJob(store, 'pipeline', params, 'user-1', await freeMeter()));
+  await assertAutopilotRequired(createJob(store, 'autopilot', { imageBase64: INPUT, provider: 'replicate' }, 'user-1', await freeMeter()));
+
+  // 积分余额足够时改为按积分计费
+  const meter = await freeMeter(10);
+  const job = await createJob(store, 'pipeline', params, 'user-1', meter);
+  assert.deepEqual(job.steps.map(step => step.name), ['tone', 'detail']);
+  const authorization = await meter.check('user-1', { steps: job.steps, imageBase64: INPUT });
+  assert.equal(authorization.source, 'credits');
+});
+
+test('影调和细节增强任务未指定类型时与同步接口使用相同的默认值', async () => {
+  const store = createJobStore({ type: 'memory' });
+  const tone = await createJob(store, 'tone-enhance', { imageBase64: INPUT, provider: 'local' }, 'user-1');
+  const detail = await createJob(store, 'detail-enhance', { imageBase64: INPUT, provider: 'local' }, 'user-1');
+
+  assert.equal(tone.steps[0].config.type, DEFAULT_TONE_TYPE);
+  assert.equal(DEFAULT_TONE_TYPE, 'auto');
+  assert.equal(detail.steps[0].config.type, DEFAULT_DETAIL_TYPE);
+
+  const finished = await runJob(store, tone.id);
+  assert.equal(finished.status, JOB_STATUS.SUCCEEDED);
+});
+
+/**
+ * 记录任务存储每次写入后的任务记录
+ * @param {Object} store - 任务存储
+ * @returns {string[]} 写入后的任务记录（JSON）
+ */
+function recordWrites(store) {
+  const records = [];
+  const original = store.updateIf.bind(store);
+  store.updateIf = async (id, update) => {
+    const updated = await original(id, update);
+    if (updated) {
+      records.push(JSON.stringify(updated));
+    }
+    return updated;
+  };
+  return records;
+}
+
+test('任务记录只保存输入图像和中间图像的对象键', async () => {
+  const store = createJobStore({ type: 'memory' });
+  const records = recordWrites(store);
+  const job = await createJob(store, 'pipeline', {
+    imageBase64: INPUT,
+    provider: 'local',
+    pipeline: { steps: [{ op: 'tone' }, { op: 'upscale', params: { scale: 2 } }] }
+  }, 'user-1');
+
+  assert.deepEqual(job.input, { image: { key: `job-inputs/${job.id}/input.png` }, current_image: null });
+  assert.ok(fs.existsSync(path.join(storageDir, 'job-inputs', job.id, 'input.png')));
+
+  const finished = await runJob(store, job.id);
+  assert.equal(finished.status, JOB_STATUS.SUCCEEDED);
+  assert.ok(records.some(record => JSON.parse(record).input?.current_image?.key === `job-inputs/${job.id}/step-0.png`));
+  assert.ok(records.every(record => !record.includes(';base64,')));
+  // 任务结束后不再保留输入
+  assert.equal((await store.get(job.id)).input, null);
+});
+
+test('输入图像在对象存储中不存在时任务失败', async () => {
+  const store = createJobStore({ type: 'memory' });
+  const otherDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-other-'));
+  try {
+    const job = await createJob(store, 'analyze', { imageBase64: INPUT }, 'user-1', null, createStorage({ type: 'local', dir: otherDir }));
+    const finished = await runJob(store, job.id);
+    assert.equal(finished.status, JOB_STATUS.FAILED);
+    assert.equal(finished.error, '输入图像已不存在，请重新创建任务');
+  } finally {
+    fs.rmSync(otherDir, { recursive: true, force: true });
+  }
+});
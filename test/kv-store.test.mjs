@@ -0,0 +1,207 @@
+/**
+ * 共享KV存储的比较并写入
+ * 使用 debug/mock-kv-server.mjs（子进程，随机端口）；多个实例并发修改同一条记录时，
+ * 用不同的客户端对象模拟，每个用例使用独立的键名前缀
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { RedisRestClient, resolveStoreType } from '../shared/kv-store.mjs';
+import { createBatchStore } from '../shared/batch-store.mjs';
+import { createCreditStore } from '../shared/credit-store.mjs';
+import { CreditLedger } from '../shared/credits.mjs';
+
+const MOCK_KV_SERVER = fileURLToPath(new URL('../debug/mock-kv-server.mjs', import.meta.url));
+const TOKEN = 'mock_kv_token';
+
+let server;
+let kvUrl;
+
+before(async () => {
+  server = spawn(process.execPath, [MOCK_KV_SERVER], {
+    cwd: path.dirname(MOCK_KV_SERVER),
+    env: { ...process.env, MOCK_KV_PORT: '0', KV_REST_API_TOKEN: TOKEN },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  kvUrl = await new Promise((resolve, reject) => {
+    server.stdout.on('data', (chunk) => {
+      const match = /http:\/\/localhost:(\d+)/.exec(chunk.toString());
+      if (match) {
+        resolve(`http://localhost:${match[1]}`);
+      }
+    });
+    server.once('exit', code => reject(new Error(`KV替身服务器已退出: ${code}`)));
+  });
+});
+
+after(() => server.kill());
+
+/**
+ * 创建连接到KV替身服务器的客户端
+ * @param {string} prefix - 键名前缀，同一前缀的客户端模拟共享存储的多个实例
+ * @returns {RedisRestClient} KV客户端
+ */
+function createClient(prefix = `test-${crypto.randomUUID()}`) {
+  return new RedisRestClient({ url: kvUrl, token: TOKEN, prefix });
+}
+
+test('令牌错误和服务不可达时返回503', async () => {
+  const client = createClient();
+  assert.equal(client.key('jobs', 'ids'), `${client.prefix}:jobs:ids`);
+
+  await assert.rejects(new RedisRestClient({ url: kvUrl, token: 'wrong' }).command(['GET', 'x']), {
+    statusCode: 503,
+    message: 'KV命令 GET 失败: Unauthorized'
+  });
+  await assert.rejects(client.command(['HGET', 'x', 'y']), { statusCode: 503, message: /unknown command 'HGET'/ });
+  await assert.rejects(new RedisRestClient({ url: 'http://127.0.0.1:1', token: TOKEN }).command(['GET', 'x']), {
+    statusCode: 503,
+    message: /^KV服务不可用/
+  });
+});
+
+test('mutateJson：返回undefined时不写入，返回null时删除记录', async () => {
+  const client = createClient();
+  const key = client.key('counter');
+
+  assert.equal(await client.mutateJson(key, current => ({ value: undefined, result: current })), null);
+  assert.equal(await client.command(['GET', key]), null);
+
+  assert.equal(await client.mutateJson(key, () => ({ value: { count: 1 }, result: 'created' })), 'created');
+  assert.deepEqual(await client.getJson(key), { count: 1 });
+  assert.deepEqual(await client.getManyJson([key, client.key('missing')]), [{ count: 1 }, null]);
+
+  await client.mutateJson(key, () => ({ value: null, result: null }));
+  assert.equal(await client.getJson(key), null);
+});
+
+/**
+ * 让客户端在每次提交比较并写入之前先由另一个实例修改记录
+ * @param {RedisRestClient} client - 被干扰的客户端
+ * @param {Function} interfere - 提交前执行的异步函数，返回false时不再干扰
+ */
+function interfereBeforeCommit(client, interfere) {
+  const command = client.command.bind(client);
+  let active = true;
+  client.command = async (args) => {
+    if (active && args[0] === 'EVAL') {
+      active = (await interfere()) !== false;
+    }
+    return command(args);
+  };
+}
+
+test('记录在读取后被其他实例修改时用最新记录重新计算，修改不会丢失', async () => {
+  const client = createClient();
+  const other = createClient(client.prefix);
+  const key = client.key('counter');
+  await client.mutateJson(key, () => ({ value: { count: 0 }, result: null }));
+
+  interfereBeforeCommit(client, async () => {
+    await other.mutateJson(key, current => ({ value: { count: current.count + 10 }, result: null }));
+    return false;
+  });
+  const seen = [];
+  const result = await client.mutateJson(key, (current) => {
+    seen.push(current.count);
+    return { value: { count: current.count + 1 }, result: current.count + 1 };
+  });
+  assert.deepEqual(seen, [0, 10]);
+  assert.equal(result, 11);
+  assert.deepEqual(await other.getJson(key), { count: 11 });
+});
+
+test('并发修改同一条记录时每次修改都基于不同的值，总数不丢失', async () => {
+  const clients = [createClient()];
+  clients.push(createClient(clients[0].prefix));
+  const key = clients[0].key('counter');
+
+  const results = await Promise.all(Array.from({ length: 6 }, (_, index) => clients[index % 2].mutateJson(key, current => ({
+    value: { count: (current?.count || 0) + 1 },
+    result: (current?.count || 0) + 1
+  }))));
+  assert.deepEqual(results.sort((a, b) => a - b), [1, 2, 3, 4, 5, 6]);
+  assert.deepEqual(await clients[1].getJson(key), { count: 6 });
+});
+
+test('每次提交都冲突时重试有限次数后返回503', async () => {
+  const client = createClient();
+  const other = createClient(client.prefix);
+  const key = client.key('counter');
+  let attempts = 0;
+  interfereBeforeCommit(client, () => other.command(['SET', key, JSON.stringify({ count: attempts })]));
+
+  await assert.rejects(client.mutateJson(key, (current) => {
+    attempts += 1;
+    return { value: { count: (current?.count || 0) + 100 }, result: null };
+  }), { statusCode: 503, message: /写入冲突过多/ });
+  assert.equal(attempts, 10);
+});
+
+test('指定ttlMs时写入的记录到期后被删除', async () => {
+  const client = createClient();
+  const key = client.key('bucket');
+  await client.mutateJson(key, () => ({ value: { tokens: 1 }, result: null }), { ttlMs: 50 });
+  assert.deepEqual(await client.getJson(key), { tokens: 1 });
+  await new Promise(resolve => setTimeout(resolve, 80));
+  assert.equal(await client.getJson(key), null);
+});
+
+test('KV记录存储：ID不能重复，updateIf返回null时不写入，并发更新互不覆盖', async () => {
+  const client = createClient();
+  const stores = [createBatchStore({ type: 'kv', client }), createBatchStore({ type: 'kv', client: createClient(client.prefix) })];
+  const id = crypto.randomUUID();
+  await stores[0].create({ id, items: [] });
+  await assert.rejects(stores[1].create({ id, items: [] }), /批量任务已存在/);
+
+  assert.equal(await stores[0].updateIf(id, () => null), null);
+  assert.equal(await stores[0].updateIf(crypto.randomUUID(), () => ({ items: [1] })), null);
+
+  await Promise.all(Array.from({ length: 6 }, (_, index) => stores[index % 2].updateIf(id, current => ({ items: [...current.items, index] }))));
+  assert.deepEqual((await stores[1].get(id)).items.sort(), [0, 1, 2, 3, 4, 5]);
+  assert.deepEqual((await stores[1].list()).map(batch => batch.id), [id]);
+
+  assert.equal(await stores[1].delete(id), true);
+  assert.equal(await stores[0].get(id), null);
+  assert.deepEqual(await stores[0].list(), []);
+});
+
+test('共享的积分账本：多个实例并发扣除时余额不会为负', async () => {
+  const client = createClient();
+  const ledgers = [
+    new CreditLedger(createCreditStore({ type: 'kv', client })),
+    new CreditLedger(createCreditStore({ type: 'kv', client: createClient(client.prefix) }))
+  ];
+  await ledgers[0].grant('user-1', 5, { id: 'cs_1' });
+
+  const outcomes = await Promise.allSettled(Array.from({ length: 7 }, (_, index) => ledgers[index % 2].debit('user-1', 1)));
+  assert.equal(outcomes.filter(outcome => outcome.status === 'fulfilled').length, 5);
+  outcomes.filter(outcome => outcome.status === 'rejected').forEach(outcome => assert.equal(outcome.reason.statusCode, 402));
+  assert.equal(await ledgers[1].getBalance('user-1'), 0);
+});
+
+test('配置了KV服务时默认使用kv存储，Vercel上不能使用memory和file存储', () => {
+  const saved = { ...process.env };
+  try {
+    delete process.env.KV_REST_API_URL;
+    delete process.env.UPSTASH_REDIS_REST_URL;
+    delete process.env.VERCEL;
+    assert.equal(resolveStoreType(undefined, '任务存储'), 'memory');
+
+    process.env.KV_REST_API_URL = kvUrl;
+    process.env.KV_REST_API_TOKEN = TOKEN;
+    assert.equal(resolveStoreType(undefined, '任务存储'), 'kv');
+    assert.equal(resolveStoreType('file', '任务存储'), 'file');
+
+    process.env.VERCEL = '1';
+    assert.throws(() => resolveStoreType('memory', '任务存储'), /任务存储在Vercel上不能使用memory存储/);
+    process.env.VERCEL_ENV = 'development';
+    assert.equal(resolveStoreType('file', '任务存储'), 'file');
+  } finally {
+    process.env = saved;
+  }
+});
@@ -0,0 +1,129 @@
+/**
+ * 本地处理提供方
+ * 在测试内生成的小图像上运行影调、细节和超分步骤，检查输出尺寸、使用的算法和尺寸上限；
+ * 超过输入上限的图像只构造文件头，检查在分配像素内存前被拒绝
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LocalProvider } from '../shared/local-provider.mjs';
+import { encodePngDataUrl, loadImage, meanLuminance } from '../shared/image-processing.mjs';
+
+const provider = new LocalProvider();
+
+/**
+ * 生成灰度渐变图像：左暗右亮，亮度落在 [low, high]
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @param {Object} range - { low, high } 亮度范围
+ * @returns {Object} { width, height, data }
+ */
+function gradientImage(width, height, { low = 0, high = 255 } = {}) {
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = Math.round(low + ((high - low) * x) / Math.max(1, width - 1));
+      data.set([value, value, value, 255], (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+}
+
+/**
+ * 把PNG data URL中文件头的宽高改为指定值（不改像素数据，只用于解码前的尺寸检查）
+ * @param {string} dataUrl - PNG data URL
+ * @param {number} width - 文件头中的宽度
+ * @param {number} height - 文件头中的高度
+ * @returns {string} 修改后的data URL
+ */
+function withHeaderSize(dataUrl, width, height) {
+  const buffer = Buffer.from(dataUrl.split(',')[1], 'base64');
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return `data:image/png;base64,${buffer.toString('base64')}`;
+}
+
+test('本地处理不需要Token，不消耗积分，没有可取消的预测', async () => {
+  const capabilities = provider.capabilities();
+  assert.equal(capabilities.name, 'local');
+  assert.equal(capabilities.remote, false);
+  assert.equal(capabilities.requires_token, false);
+  assert.deepEqual(capabilities.steps.upscale.models, ['lanczos', 'real-esrgan', 'aura-sr-v2', 'bicubic']);
+  assert.equal(provider.pricing('upscale', { scale: 4 }), 0);
+  assert.equal(await provider.cancel('prediction-id'), null);
+});
+
+test('影调增强拉伸偏暗图像的对比度并提亮，尺寸不变', async () => {
+  const input = gradientImage(32, 16, { low: 20, high: 90 });
+
+  const result = await provider.run('tone', { type: 'general', intensity: 1 }, encodePngDataUrl(input));
+  const output = await loadImage(result.output);
+
+  assert.equal(result.model, 'auto-levels+gamma');
+  assert.equal(result.blend, null);
+  assert.deepEqual([output.width, output.height], [32, 16]);
+  assert.ok(meanLuminance(output) > meanLuminance(input));
+  // 自动色阶把最暗和最亮的像素拉到两端
+  assert.ok(output.data[0] < 10);
+  assert.ok(output.data[(32 - 1) * 4] > 245);
+});
+
+test('影调增强只调整亮度时返回混合参数', async () => {
+  const result = await provider.run('tone', { type: 'night', luminance_only: true }, encodePngDataUrl(gradientImage(16, 16, { low: 10, high: 60 })));
+  assert.deepEqual(result.blend, { weight: 1, luminance_only: true, applied: true });
+});
+
+test('细节增强：通用类型先降噪再锐化，文字类型只锐化', async () => {
+  const input = encodePngDataUrl(gradientImage(24, 24));
+
+  const general = await provider.run('detail', { type: 'general', strength: 2 }, input);
+  assert.equal(general.model, 'bilateral+unsharp');
+  const output = await loadImage(general.output);
+  assert.deepEqual([output.width, output.height], [24, 24]);
+
+  const text = await provider.run('detail', { type: 'text' }, input);
+  assert.equal(text.model, 'unsharp');
+});
+
+test('超分按倍数放大，AI超分模型名称按Lanczos处理', async () => {
+  const input = encodePngDataUrl(gradientImage(10, 6));
+
+  const lanczos = await provider.run('upscale', { model: 'real-esrgan', scale: 4 }, input);
+  assert.equal(lanczos.model, 'lanczos');
+  const output = await loadImage(lanczos.output);
+  assert.deepEqual([output.width, output.height], [40, 24]);
+
+  const bicubic = await provider.run('upscale', { model: 'bicubic' }, input);
+  assert.equal(bicubic.model, 'bicubic');
+  assert.equal((await loadImage(bicubic.output)).width, 20);
+});
+
+test('超分结果超过48MP时拒绝处理', async () => {
+  const input = encodePngDataUrl(gradientImage(1000, 1000));
+  await assert.rejects(provider.run('upscale', { scale: 8 }, input), (error) => {
+    assert.equal(error.statusCode, 400);
+    assert.match(error.message, /8000x8000 超过 48MP/);
+    return true;
+  });
+});
+
+test('输入超过模型上限时按文件头拒绝，不解码像素', async () => {
+  // 文件头声明 5000x5000（25MP），实际像素数据只有 4x4，解码会失败
+  const input = withHeaderSize(encodePngDataUrl(gradientImage(4, 4)), 5000, 5000);
+  await assert.rejects(provider.run('upscale', { scale: 2 }, input), (error) => {
+    assert.equal(error.statusCode, 400);
+    assert.match(error.message, /25\.0MP 超过 Lanczos3 插值 的 12MP 上限/);
+    return true;
+  });
+});
+
+test('参数无效或图像地址不可信时返回400', async () => {
+  const input = encodePngDataUrl(gradientImage(4, 4));
+  await assert.rejects(provider.run('upscale', { scale: 3 }, input), { statusCode: 400 });
+  await assert.rejects(provider.run('tone', { model: 'unknown' }, input), { statusCode: 400 });
+  await assert.rejects(provider.run('tone', {}, 'http://169.254.169.254/latest/meta-data/'), (error) => {
+    assert.equal(error.statusCode, 400);
+    assert.match(error.message, /不支持从该地址读取图像/);
+    return true;
+  });
+});
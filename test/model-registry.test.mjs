@@ -0,0 +1,110 @@
+/**
+ * 模型注册表
+ * 模型查找、按schema校验参数、构建Replicate模型输入和计价都只读取注册表中的定义
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MODEL_REGISTRY,
+  listModels,
+  resolveModel,
+  describeProviderModels,
+  validateModelParams,
+  assertInputSize,
+  buildModelInput,
+  getBlendOptions,
+  getModelCost
+} from '../shared/model-registry.mjs';
+
+test('注册表中的模型ID唯一，Replicate模型都带有版本，每个类别有一个默认模型', () => {
+  const keys = MODEL_REGISTRY.map(model => `${model.provider}/${model.id}`);
+  assert.equal(new Set(keys).size, keys.length);
+
+  MODEL_REGISTRY.filter(model => model.provider === 'replicate').forEach((model) => {
+    assert.match(model.version, /^[0-9a-f]{64}$/, model.id);
+    assert.match(model.model, /^[\w-]+\/[\w-]+$/, model.id);
+  });
+  for (const provider of ['replicate', 'local']) {
+    for (const category of ['tone', 'detail', 'upscale']) {
+      assert.equal(MODEL_REGISTRY.filter(model => model.provider === provider && model.category === category && model.default).length, 1, `${provider}/${category}`);
+    }
+  }
+});
+
+test('按提供方和类别列出模型，返回的schema不包含模型输入映射', () => {
+  const upscale = listModels({ provider: 'replicate', category: 'upscale' });
+  assert.deepEqual(upscale.map(model => model.id), ['real-esrgan', 'aura-sr-v2']);
+  assert.deepEqual(upscale[1].scales, [2, 4, 8]);
+  assert.deepEqual(upscale[1].input_schema.scale, { type: 'integer', label: '缩放倍数', enum: [2, 4, 8], default: 4 });
+
+  const tone = listModels({ provider: 'replicate', category: 'tone' })[0];
+  assert.ok(!('values' in tone.input_schema.type));
+  assert.ok(!('input' in tone.input_schema.intensity));
+  assert.deepEqual(tone.blend, { param: 'intensity', reference: 1, luminance_param: 'luminance_only' });
+
+  assert.equal(listModels().length, MODEL_REGISTRY.length);
+  assert.throws(() => listModels({ category: 'denoise' }), { statusCode: 400 });
+});
+
+test('按ID、别名或默认值查找模型，不支持的模型列出可用的模型', () => {
+  assert.equal(resolveModel('upscale', 'replicate').id, 'real-esrgan');
+  assert.equal(resolveModel('upscale', 'replicate', 'aura-sr-v2').id, 'aura-sr-v2');
+  // 本地提供方把AI超分模型名称当作Lanczos插值
+  assert.equal(resolveModel('upscale', 'local', 'aura-sr-v2').id, 'lanczos');
+  assert.throws(() => resolveModel('upscale', 'replicate', 'lanczos'), { statusCode: 400, message: /replicate支持的模型: real-esrgan, aura-sr-v2/ });
+  assert.throws(() => resolveModel('analyze', 'replicate'), { statusCode: 400 });
+
+  assert.deepEqual(describeProviderModels('local').upscale, {
+    models: ['lanczos', 'real-esrgan', 'aura-sr-v2', 'bicubic'],
+    default_model: 'lanczos'
+  });
+});
+
+test('参数按schema校验：补全默认值，接受字符串形式的数字和布尔值', () => {
+  const esrgan = resolveModel('upscale', 'replicate', 'real-esrgan');
+  assert.deepEqual(validateModelParams(esrgan, {}), { scale: 2, face_enhance: false });
+  assert.deepEqual(validateModelParams(esrgan, { scale: '4', face_enhance: 'true', extra: 1 }), { scale: 4, face_enhance: true });
+
+  assert.throws(() => validateModelParams(esrgan, { scale: 3 }), { statusCode: 400, message: '不支持的缩放倍数: 3。支持的缩放倍数: 2, 4, 8' });
+  assert.throws(() => validateModelParams(esrgan, { scale: 'big' }), { statusCode: 400, message: /缩放倍数必须是数字/ });
+  assert.throws(() => validateModelParams(esrgan, { scale: 2.5 }), { statusCode: 400, message: /缩放倍数必须是整数/ });
+  assert.throws(() => validateModelParams(esrgan, { face_enhance: 'yes' }), { statusCode: 400, message: /面部增强必须是布尔值/ });
+
+  const tone = resolveModel('tone', 'replicate');
+  assert.deepEqual(validateModelParams(tone, { type: 'night', intensity: '1.5' }), { type: 'night', intensity: 1.5, luminance_only: false });
+  assert.throws(() => validateModelParams(tone, { intensity: 2.5 }), { statusCode: 400, message: '增强强度必须在0.1-2之间' });
+  assert.throws(() => validateModelParams(tone, { type: 7 }), { statusCode: 400, message: /增强类型必须是字符串/ });
+});
+
+test('构建模型输入：参数名和取值按schema映射，不传给模型的参数被忽略', () => {
+  const aura = resolveModel('upscale', 'replicate', 'aura-sr-v2');
+  assert.deepEqual(buildModelInput(aura, validateModelParams(aura, { scale: 8 }), 'data:image/png;base64,AAAA'), {
+    modelId: `zsxkib/aura-sr-v2:${aura.version}`,
+    modelInput: { image: 'data:image/png;base64,AAAA', upscale_factor: 8 }
+  });
+
+  const tone = resolveModel('tone', 'replicate');
+  const { modelId, modelInput } = buildModelInput(tone, validateModelParams(tone, { type: 'night', intensity: 0.5 }), 'https://example.com/a.png');
+  assert.equal(modelId, `google-research/maxim:${tone.version}`);
+  assert.deepEqual(modelInput, { image: 'https://example.com/a.png', model: 'Image Enhancement (Low-light)' });
+
+  const detail = resolveModel('detail', 'replicate');
+  assert.equal(buildModelInput(detail, validateModelParams(detail, { type: 'text' }), 'x').modelInput.model, 'Image Deblurring (RealBlur_R)');
+});
+
+test('输入尺寸上限、按倍数计价和强度混合参数', () => {
+  const esrgan = resolveModel('upscale', 'replicate', 'real-esrgan');
+  assert.doesNotThrow(() => assertInputSize(esrgan, 4));
+  assert.doesNotThrow(() => assertInputSize(esrgan, null));
+  assert.throws(() => assertInputSize(esrgan, 4.2), { statusCode: 400, message: /输入图像 4\.2MP 超过 Real-ESRGAN \(通用\) 的 4MP 上限/ });
+
+  assert.equal(getModelCost(esrgan, { scale: 8 }), 4);
+  assert.equal(getModelCost(resolveModel('upscale', 'replicate', 'aura-sr-v2'), { scale: 8 }), 16);
+  assert.equal(getModelCost(esrgan, { scale: 3 }), 0);
+  assert.equal(getModelCost(resolveModel('detail', 'replicate')), 2);
+
+  assert.equal(getBlendOptions(esrgan, { scale: 2 }), null);
+  assert.deepEqual(getBlendOptions(resolveModel('detail', 'replicate'), { strength: 3 }), { weight: 1.5, luminance_only: false });
+  assert.deepEqual(getBlendOptions(resolveModel('tone', 'replicate'), { intensity: 0.5, luminance_only: true }), { weight: 0.5, luminance_only: true });
+});
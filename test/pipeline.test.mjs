@@ -0,0 +1,174 @@
+/**
+ * 流水线的执行条件和失败策略
+ * Replicate步骤使用测试内的客户端替身，按需返回模型错误；本地步骤在小图像上实际执行，结果保存到临时目录
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { validatePipeline, runPipeline, PIPELINE_STATUS, PIPELINE_STEP_STATUS } from '../shared/pipeline.mjs';
+import { ReplicateInvoker } from '../shared/replicate-invoker.mjs';
+import { encodePngDataUrl } from '../shared/image-processing.mjs';
+
+const INPUT = encodePngDataUrl({ width: 8, height: 8, data: new Uint8Array(8 * 8 * 4).fill(128) });
+
+let storageDir;
+
+before(() => {
+  storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pipeline-test-'));
+  process.env.STORAGE_DIR = storageDir;
+});
+
+after(() => fs.rmSync(storageDir, { recursive: true, force: true }));
+
+/**
+ * 创建每次调用都返回422错误的Replicate客户端替身（不可重试的错误，不等待）
+ * @returns {Object} 客户端，calls属性为调用过的模型ID
+ */
+function failingClient() {
+  const client = {
+    calls: [],
+    run: async (modelId) => {
+      client.calls.push(modelId);
+      throw Object.assign(new Error('Request failed with status 422'), { response: { status: 422, headers: new Headers() } });
+    }
+  };
+  return client;
+}
+
+/**
+ * 执行流水线定义，Replicate步骤使用给定的客户端替身
+ * @param {Object} definition - 流水线定义
+ * @param {Object} client - Replicate客户端替身
+ * @returns {Promise<Object>} runPipeline的结果
+ */
+function run(definition, client = failingClient()) {
+  return runPipeline(validatePipeline(definition), INPUT, 'test-token', {
+    client,
+    invoker: new ReplicateInvoker({ maxRetries: 0 })
+  });
+}
+
+/**
+ * 取出每个步骤的执行状态
+ * @param {Object} result - runPipeline的结果
+ * @returns {Array} 状态列表
+ */
+function statuses(result) {
+  return result.results.steps.map(step => step.status);
+}
+
+const LOCAL_TONE = { op: 'tone', params: { provider: 'local', type: 'general' } };
+const LOCAL_UPSCALE = { op: 'upscale', params: { provider: 'local', scale: 2 } };
+const REPLICATE_DETAIL = { op: 'detail', params: { provider: 'replicate', type: 'general', strength: 2 } };
+
+test('默认abort策略：步骤失败后停止执行，后续步骤记为未执行', async () => {
+  const result = await run({ steps: [LOCAL_TONE, REPLICATE_DETAIL, LOCAL_UPSCALE] });
+
+  assert.equal(result.success, false);
+  assert.equal(result.status, PIPELINE_STATUS.ABORTED);
+  assert.deepEqual(statuses(result), [
+    PIPELINE_STEP_STATUS.SUCCEEDED,
+    PIPELINE_STEP_STATUS.FAILED,
+    PIPELINE_STEP_STATUS.NOT_RUN
+  ]);
+  assert.match(result.error, /Request failed with status 422/);
+  assert.equal(result.results.steps[1].attempts, 1);
+  // 结果为最后一个成功步骤的输出
+  assert.equal(result.results.final, result.results.steps[0].result);
+  assert.equal(result.total_credits, 0);
+});
+
+test('skip策略：记录失败后继续，下一步使用最后一个成功步骤的输出', async () => {
+  const result = await run({ steps: [LOCAL_TONE, { ...REPLICATE_DETAIL, on_error: 'skip' }, LOCAL_UPSCALE] });
+
+  assert.equal(result.success, true);
+  assert.equal(result.status, PIPELINE_STATUS.PARTIAL);
+  assert.deepEqual(statuses(result), [
+    PIPELINE_STEP_STATUS.SUCCEEDED,
+    PIPELINE_STEP_STATUS.FAILED,
+    PIPELINE_STEP_STATUS.SUCCEEDED
+  ]);
+  assert.equal(result.successful_steps, 2);
+  assert.equal(result.final_output.width, 16);
+  // 失败的步骤不计积分，预留积分仍按配置记录
+  assert.equal(result.results.steps[1].credits, 0);
+  assert.ok(result.results.steps[1].reserved_credits > 0);
+});
+
+test('fallback策略：主配置失败后用备用配置重试一次，按实际使用的配置计价', async () => {
+  const client = failingClient();
+  const result = await run({
+    steps: [{
+      op: 'upscale',
+      params: { provider: 'replicate', model: 'real-esrgan', scale: 2 },
+      on_error: 'fallback',
+      fallback: { provider: 'local', model: 'lanczos' }
+    }]
+  }, client);
+
+  assert.equal(result.status, PIPELINE_STATUS.SUCCEEDED);
+  assert.equal(client.calls.length, 1);
+  const [step] = result.results.steps;
+  assert.equal(step.fallback_used, true);
+  assert.match(step.fallback_error, /Request failed with status 422/);
+  assert.deepEqual(step.config, { provider: 'local', model: 'lanczos', scale: 2 });
+  assert.equal(step.credits, 0);
+  assert.equal(step.reserved_credits, 1);
+  assert.equal(result.final_output.width, 16);
+});
+
+test('fallback策略：备用配置仍失败时停止执行', async () => {
+  const client = failingClient();
+  const result = await run({
+    steps: [
+      {
+        op: 'upscale',
+        params: { provider: 'replicate', model: 'real-esrgan', scale: 2 },
+        on_error: 'fallback',
+        fallback: { model: 'aura-sr-v2' }
+      },
+      LOCAL_TONE
+    ]
+  }, client);
+
+  assert.equal(result.status, PIPELINE_STATUS.ABORTED);
+  assert.equal(client.calls.length, 2);
+  assert.deepEqual(statuses(result), [PIPELINE_STEP_STATUS.FAILED, PIPELINE_STEP_STATUS.NOT_RUN]);
+  assert.equal(result.results.steps[0].fallback_used, true);
+  assert.equal(result.results.final, INPUT);
+});
+
+test('条件不满足的步骤跳过，不影响流水线状态', async () => {
+  const client = failingClient();
+  const result = await run({
+    steps: [
+      { ...REPLICATE_DETAIL, when: { 'input.width': { gt: 100 } } },
+      LOCAL_UPSCALE
+    ]
+  }, client);
+
+  assert.equal(result.status, PIPELINE_STATUS.SUCCEEDED);
+  assert.equal(client.calls.length, 0);
+  assert.deepEqual(statuses(result), [PIPELINE_STEP_STATUS.SKIPPED, PIPELINE_STEP_STATUS.SUCCEEDED]);
+  assert.deepEqual(result.results.steps[0].condition.values, { 'input.width': 8 });
+});
+
+test('失败策略和备用参数在执行前校验', () => {
+  assert.throws(() => validatePipeline({ steps: [{ op: 'tone', on_error: 'retry' }] }), { statusCode: 400, message: /不支持的失败策略/ });
+  assert.throws(() => validatePipeline({ steps: [{ op: 'tone', on_error: 'fallback' }] }), { statusCode: 400, message: /需要提供fallback参数/ });
+  assert.throws(
+    () => validatePipeline({ steps: [{ op: 'tone', on_error: 'skip', fallback: { provider: 'local' } }] }),
+    { statusCode: 400, message: /只有on_error为fallback时才能设置fallback/ }
+  );
+  assert.throws(
+    () => validatePipeline({ steps: [{ op: 'upscale', on_error: 'fallback', fallback: { provider: 'local', scale: 3 } }] }),
+    { statusCode: 400, message: /^upscale\.fallback: / }
+  );
+
+  const { steps } = validatePipeline({ steps: [{ op: 'tone', params: { provider: 'local' } }] });
+  assert.equal(steps[0].on_error, 'abort');
+  assert.equal(steps[0].fallback, null);
+});
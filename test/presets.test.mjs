@@ -0,0 +1,183 @@
+/**
+ * 增强预设的保存、权限和分享
+ * 同样的用例分别在内存、文件和KV存储上执行；KV存储使用 debug/mock-kv-server.mjs（子进程，随机端口），
+ * 并记录发出的命令，确认按用户列出和打开分享链接时不读取全部预设
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import {
+  listPresets,
+  getPreset,
+  createPreset,
+  updatePreset,
+  deletePreset,
+  setPresetSharing,
+  getSharedPreset,
+  resolvePresetPipeline,
+  BUILTIN_PRESETS
+} from '../shared/presets.mjs';
+import { createPresetStore } from '../shared/preset-store.mjs';
+import { RedisRestClient } from '../shared/kv-store.mjs';
+
+const MOCK_KV_SERVER = fileURLToPath(new URL('../debug/mock-kv-server.mjs', import.meta.url));
+const TOKEN = 'mock_kv_token';
+const PIPELINE = { steps: [{ op: 'tone', params: { type: 'night', intensity: 1.2 } }, { op: 'upscale', params: { scale: 2 } }] };
+
+let server;
+let kvUrl;
+let storeDir;
+
+before(async () => {
+  storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'presets-test-'));
+  server = spawn(process.execPath, [MOCK_KV_SERVER], {
+    cwd: path.dirname(MOCK_KV_SERVER),
+    env: { ...process.env, MOCK_KV_PORT: '0', KV_REST_API_TOKEN: TOKEN },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  kvUrl = await new Promise((resolve, reject) => {
+    server.stdout.on('data', (chunk) => {
+      const match = /http:\/\/localhost:(\d+)/.exec(chunk.toString());
+      if (match) {
+        resolve(`http://localhost:${match[1]}`);
+      }
+    });
+    server.once('exit', code => reject(new Error(`KV替身服务器已退出: ${code}`)));
+  });
+});
+
+after(() => {
+  server.kill();
+  fs.rmSync(storeDir, { recursive: true, force: true });
+});
+
+/**
+ * 创建KV客户端，记录发出的命令
+ * @returns {Object} { client, commands }
+ */
+function recordingKvClient() {
+  const client = new RedisRestClient({ url: kvUrl, token: TOKEN, prefix: `test-${crypto.randomUUID()}` });
+  const commands = [];
+  const original = client.command.bind(client);
+  client.command = (args) => {
+    commands.push(args);
+    return original(args);
+  };
+  return { client, commands };
+}
+
+// 每个用例使用新的存储
+const STORES = {
+  memory: () => createPresetStore({ type: 'memory' }),
+  file: () => createPresetStore({ type: 'file', dir: path.join(storeDir, crypto.randomUUID()) }),
+  kv: () => createPresetStore({ type: 'kv', client: recordingKvClient().client })
+};
+
+for (const [type, createStore] of Object.entries(STORES)) {
+  test(`${type}存储：用户只能看到和修改自己的预设，按最近更新排序`, async () => {
+    const store = createStore();
+    const first = await createPreset(store, 'user-1', { name: '夜景加强', pipeline: PIPELINE });
+    const second = await createPreset(store, 'user-1', { name: '人像', description: '柔和', pipeline: PIPELINE });
+    const other = await createPreset(store, 'user-2', { name: '夜景加强', pipeline: PIPELINE });
+
+    // 等待时间戳变化后再更新第一个预设
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await updatePreset(store, first.id, 'user-1', { description: '更新后' });
+    const listed = await listPresets(store, 'user-1');
+    assert.deepEqual(listed.slice(0, BUILTIN_PRESETS.length).map(preset => preset.id), BUILTIN_PRESETS.map(preset => preset.id));
+    assert.deepEqual(listed.slice(BUILTIN_PRESETS.length).map(preset => preset.id), [first.id, second.id]);
+    assert.equal((await listPresets(store, null)).length, BUILTIN_PRESETS.length);
+
+    await assert.rejects(getPreset(store, other.id, 'user-1'), { statusCode: 404 });
+    await assert.rejects(updatePreset(store, other.id, 'user-1', { name: '改名' }), { statusCode: 404 });
+    await assert.rejects(deletePreset(store, other.id, 'user-1'), { statusCode: 404 });
+    await assert.rejects(createPreset(store, 'user-1', { name: '人像', pipeline: PIPELINE }), { statusCode: 409 });
+    await assert.rejects(updatePreset(store, second.id, 'user-1', { name: '夜景加强' }), { statusCode: 409 });
+
+    await deletePreset(store, second.id, 'user-1');
+    assert.deepEqual((await listPresets(store, 'user-1')).slice(BUILTIN_PRESETS.length).map(preset => preset.id), [first.id]);
+    assert.equal((await listPresets(store, 'user-2')).length, BUILTIN_PRESETS.length + 1);
+  });
+
+  test(`${type}存储：分享链接在撤销、重新生成和删除预设后失效`, async () => {
+    const store = createStore();
+    const preset = await createPreset(store, 'user-1', { name: '夜景加强', pipeline: PIPELINE });
+
+    const shared = await setPresetSharing(store, preset.id, 'user-1', true);
+    const token = shared.share_url.split('/').pop();
+    assert.equal((await setPresetSharing(store, preset.id, 'user-1', true)).share_url, shared.share_url);
+
+    const viewed = await getSharedPreset(store, token);
+    assert.equal(viewed.name, '夜景加强');
+    assert.equal(viewed.read_only, true);
+    assert.equal(viewed.id, undefined);
+
+    // 其他字段的更新不影响分享链接
+    await updatePreset(store, preset.id, 'user-1', { name: '夜景' });
+    assert.equal((await getSharedPreset(store, token)).name, '夜景');
+
+    await setPresetSharing(store, preset.id, 'user-1', false);
+    await assert.rejects(getSharedPreset(store, token), { statusCode: 404, message: '分享链接无效或已撤销' });
+
+    const reshared = await setPresetSharing(store, preset.id, 'user-1', true);
+    const newToken = reshared.share_url.split('/').pop();
+    assert.notEqual(newToken, token);
+    await assert.rejects(getSharedPreset(store, token), { statusCode: 404 });
+    assert.equal((await getSharedPreset(store, newToken)).name, '夜景');
+
+    await deletePreset(store, preset.id, 'user-1');
+    await assert.rejects(getSharedPreset(store, newToken), { statusCode: 404 });
+    await assert.rejects(getSharedPreset(store, '../../etc/passwd'), { statusCode: 404, message: '分享链接无效' });
+  });
+}
+
+test('KV存储按用户列出和打开分享链接时不读取全部预设的索引', async () => {
+  const { client, commands } = recordingKvClient();
+  const store = createPresetStore({ type: 'kv', client });
+  const preset = await createPreset(store, 'user-1', { name: '夜景加强', pipeline: PIPELINE });
+  await createPreset(store, 'user-2', { name: '人像', pipeline: PIPELINE });
+  const token = (await setPresetSharing(store, preset.id, 'user-1', true)).share_url.split('/').pop();
+
+  commands.length = 0;
+  await listPresets(store, 'user-1');
+  await getSharedPreset(store, token);
+  assert.deepEqual(commands.map(args => args[0]), ['SMEMBERS', 'MGET', 'GET', 'GET']);
+  assert.equal(commands[0][1], client.key('presets', 'user', 'user-1'));
+  assert.deepEqual(commands[1].slice(1), [client.key('presets', preset.id)]);
+  assert.equal(commands[2][1], client.key('presets', 'share', token));
+  assert.ok(!commands.some(args => args[1] === client.key('presets', 'ids')));
+});
+
+test('KV存储：指向其他预设或已失效令牌的过期索引不返回预设', async () => {
+  const { client } = recordingKvClient();
+  const store = createPresetStore({ type: 'kv', client });
+  const preset = await createPreset(store, 'user-1', { name: '夜景加强', pipeline: PIPELINE });
+
+  // 写入中断留下的索引：令牌指向未分享的预设，用户集合包含其他用户的预设
+  await client.command(['SET', client.key('presets', 'share', 'stale-token-0123456789'), preset.id]);
+  await client.command(['SADD', client.key('presets', 'user', 'user-2'), preset.id]);
+
+  await assert.rejects(getSharedPreset(store, 'stale-token-0123456789'), { statusCode: 404 });
+  assert.equal((await listPresets(store, 'user-2')).length, BUILTIN_PRESETS.length);
+});
+
+test('按preset_id展开流水线，内置预设不需要登录，自己的预设需要登录', async () => {
+  const store = createPresetStore({ type: 'memory' });
+  const preset = await createPreset(store, 'user-1', { name: '夜景加强', pipeline: PIPELINE });
+
+  const builtin = await resolvePresetPipeline(store, { preset_id: 'builtin-night-scene', provider: 'local' }, null);
+  assert.equal(builtin.pipeline.name, '夜景');
+  assert.deepEqual(builtin.pipeline.steps.map(step => step.op), ['tone', 'detail']);
+
+  const own = await resolvePresetPipeline(store, { preset_id: preset.id }, 'user-1');
+  assert.deepEqual(own.pipeline.steps.map(step => step.op), ['tone', 'upscale']);
+  await assert.rejects(resolvePresetPipeline(store, { preset_id: preset.id }, null), { statusCode: 401 });
+  await assert.rejects(resolvePresetPipeline(store, { preset_id: preset.id, pipeline: PIPELINE }, 'user-1'), { statusCode: 400 });
+  await assert.rejects(updatePreset(store, 'builtin-night-scene', 'user-1', { name: '改名' }), { statusCode: 403 });
+});
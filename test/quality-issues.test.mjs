@@ -0,0 +1,104 @@
+/**
+ * 质量问题标签检测
+ * 检测器的输入直接按computeImageMetrics的结果结构构造，端到端用例分析一张偏暗的合成图像
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectQualityIssues, DETECTOR_THRESHOLDS } from '../shared/quality-detectors.mjs';
+import { processAnalyze } from '../shared/api-handlers.mjs';
+import { calculateQualityScores } from '../shared/autopilot-rules.mjs';
+import { encodePngDataUrl } from '../shared/image-processing.mjs';
+
+/**
+ * 构造检测器使用的指标和统计，默认值对应没有问题的图像
+ * @param {Object} overrides - 需要改变的观测值
+ * @returns {Object} { metrics, stats }
+ */
+function metricsResult(overrides = {}) {
+  const values = {
+    mean: 128,
+    p1: 10,
+    p95: 210,
+    p99: 245,
+    rms: 0.25,
+    channels: { r: 128, g: 128, b: 128 },
+    sharpness: 800,
+    sigma: 2,
+    blockiness: 1,
+    highlights: 0,
+    shadows: 0,
+    ...overrides
+  };
+  return {
+    metrics: {
+      sharpness: { value: values.sharpness },
+      noise: { value: values.sigma },
+      blockiness: { value: values.blockiness },
+      exposure: { details: { highlights_clipped: values.highlights, shadows_clipped: values.shadows } },
+      contrast: { value: values.rms }
+    },
+    stats: {
+      luminance: { mean: values.mean, p1: values.p1, p95: values.p95, p99: values.p99 },
+      channel_means: values.channels
+    }
+  };
+}
+
+test('没有问题的图像不返回标签，只有文件头指标时不检测', () => {
+  assert.deepEqual(detectQualityIssues(metricsResult(), 'jpeg'), { quality_issues: [], issue_details: [] });
+  assert.deepEqual(detectQualityIssues({ metrics: {}, stats: null }, 'webp'), { quality_issues: [], issue_details: [] });
+});
+
+test('置信度在阈值处为0.5，到达严重值时为1', () => {
+  const { underexposed } = DETECTOR_THRESHOLDS;
+  const at = (mean) => detectQualityIssues(metricsResult({ mean }), 'png').issue_details.find(detail => detail.issue === 'underexposed');
+
+  assert.equal(at(underexposed.mean_luminance.threshold), undefined);
+  assert.equal(at(55).confidence, 0.75);
+  assert.equal(at(underexposed.mean_luminance.severe).confidence, 1);
+  assert.equal(at(0).confidence, 1);
+  assert.deepEqual(at(55).evidence, { mean_luminance: 55, p95_luminance: 210, shadows_clipped: 0 });
+});
+
+test('标签按置信度从高到低排列，模糊的图像不再报告细节偏软', () => {
+  const blurry = detectQualityIssues(metricsResult({ sharpness: 15, sigma: 10.5 }), 'jpeg');
+  assert.deepEqual(blurry.quality_issues, ['blurry', 'noisy']);
+  assert.deepEqual(blurry.issue_details.map(detail => detail.confidence), [1, 0.75]);
+
+  const soft = detectQualityIssues(metricsResult({ sharpness: 155 }), 'jpeg');
+  assert.deepEqual(soft.issue_details, [{ issue: 'soft_details', confidence: 0.75, evidence: { laplacian_variance: 155 } }]);
+});
+
+test('低对比度需要RMS对比度和动态范围同时偏低', () => {
+  assert.deepEqual(detectQualityIssues(metricsResult({ rms: 0.05 }), 'png').quality_issues, []);
+  assert.deepEqual(detectQualityIssues(metricsResult({ rms: 0.05, p1: 100, p99: 150 }), 'png').quality_issues, ['low_contrast']);
+});
+
+test('偏色报告偏离最大的通道，近乎全黑的图像不判断偏色', () => {
+  const cast = detectQualityIssues(metricsResult({ channels: { r: 180, g: 120, b: 100 } }), 'jpeg').issue_details;
+  assert.equal(cast[0].issue, 'color_cast');
+  assert.equal(cast[0].confidence, 1);
+  assert.equal(cast[0].evidence.dominant_channel, 'r');
+
+  const black = detectQualityIssues(metricsResult({ mean: 60, channels: { r: 9, g: 3, b: 3 } }), 'jpeg');
+  assert.ok(!black.quality_issues.includes('color_cast'));
+});
+
+test('过曝、噪声和块效应', () => {
+  const result = detectQualityIssues(metricsResult({ mean: 230, highlights: 0.1, sigma: 20, blockiness: 1.3 }), 'jpeg');
+  assert.deepEqual(result.quality_issues, ['overexposed', 'noisy', 'compression_artifacts']);
+  assert.equal(result.issue_details[2].evidence.format, 'jpeg');
+});
+
+test('分析结果带有质量问题标签，Autopilot影调评分按标签扣分', async () => {
+  const dark = encodePngDataUrl({ width: 32, height: 32, data: Uint8Array.from({ length: 32 * 32 * 4 }, (_, index) => (index % 4 === 3 ? 255 : 20)) });
+  const result = await processAnalyze(dark);
+
+  assert.ok(result.analysis.quality_issues.includes('underexposed'));
+  assert.equal(result.analysis.issue_details.length, result.analysis.quality_issues.length);
+
+  const { scores, explain } = calculateQualityScores(result.analysis);
+  assert.ok(explain.tone.applied.some(item => item.issue === 'underexposed'));
+  assert.ok(scores.tone < 70);
+});
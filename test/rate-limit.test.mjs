@@ -0,0 +1,184 @@
+/**
+ * 请求限流和Replicate并发控制的共享计数
+ * KV存储使用 debug/mock-kv-server.mjs（子进程，随机端口）；两个限制器实例各自创建KV客户端，模拟两个Serverless函数实例
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { RateLimiter, createRateLimitStore } from '../shared/rate-limit.mjs';
+import { createReplicateConcurrencyLimiter, ReplicateConcurrencyLimiter } from '../shared/replicate-concurrency.mjs';
+import { RedisRestClient } from '../shared/kv-store.mjs';
+import { createEntitlementStore } from '../shared/entitlement-store.mjs';
+
+const MOCK_KV_SERVER = fileURLToPath(new URL('../debug/mock-kv-server.mjs', import.meta.url));
+const TOKEN = 'mock_kv_token';
+
+// 容量3、每分钟补充1个令牌的测试规则
+const LIMITS = { 'POST /api/test': { free: { capacity: 3, refill_per_minute: 1 } } };
+
+let server;
+let kvUrl;
+
+before(async () => {
+  server = spawn(process.execPath, [MOCK_KV_SERVER], {
+    cwd: path.dirname(MOCK_KV_SERVER),
+    env: { ...process.env, MOCK_KV_PORT: '0', KV_REST_API_TOKEN: TOKEN },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  kvUrl = await new Promise((resolve, reject) => {
+    server.stdout.on('data', (chunk) => {
+      const match = /http:\/\/localhost:(\d+)/.exec(chunk.toString());
+      if (match) {
+        resolve(`http://localhost:${match[1]}`);
+      }
+    });
+    server.once('exit', code => reject(new Error(`KV替身服务器已退出: ${code}`)));
+  });
+});
+
+after(() => server.kill());
+
+/**
+ * 创建连接KV替身服务器的客户端，每个测试使用不同的键名前缀
+ * @param {string} prefix - 键名前缀
+ * @returns {RedisRestClient} KV客户端
+ */
+function kvClient(prefix) {
+  return new RedisRestClient({ url: kvUrl, token: TOKEN, prefix });
+}
+
+/**
+ * 创建记录响应头的响应对象替身
+ * @returns {Object} 响应对象，headers为写入的响应头
+ */
+function fakeResponse() {
+  const res = { headers: {}, setHeader: (name, value) => { res.headers[name] = value; } };
+  return res;
+}
+
+/**
+ * 以user-1的身份请求测试接口
+ * @param {RateLimiter} limiter - 限流器
+ * @returns {Promise<number>} 通过时为200，被限流时为错误的状态码
+ */
+function request(limiter) {
+  return limiter.enforce({ userId: 'user-1', headers: {} }, fakeResponse(), 'POST /api/test')
+    .then(() => 200, error => error.statusCode);
+}
+
+test('KV限流：两个实例的并发请求共用同一个令牌桶', async () => {
+  const prefix = `test-${crypto.randomUUID()}`;
+  const entitlementStore = createEntitlementStore({ type: 'memory' });
+  const instances = [0, 1].map(() => new RateLimiter(entitlementStore, LIMITS, createRateLimitStore({ type: 'kv', client: kvClient(prefix) })));
+
+  const statuses = await Promise.all(Array.from({ length: 6 }, (_, index) => request(instances[index % 2])));
+
+  assert.equal(statuses.filter(status => status === 200).length, 3);
+  assert.equal(statuses.filter(status => status === 429).length, 3);
+
+  const res = fakeResponse();
+  await assert.rejects(
+    instances[0].enforce({ userId: 'user-1', headers: {} }, res, 'POST /api/test'),
+    { statusCode: 429, payload: { code: 'rate_limited', retry_after_seconds: 60, upgrade: true } }
+  );
+  assert.equal(res.headers['RateLimit-Remaining'], '0');
+  assert.equal(res.headers['RateLimit-Policy'], '1;w=60;burst=3');
+});
+
+test('内存限流：每个实例单独计数', async () => {
+  const entitlementStore = createEntitlementStore({ type: 'memory' });
+  const instances = [0, 1].map(() => new RateLimiter(entitlementStore, LIMITS, createRateLimitStore({ type: 'memory' })));
+
+  const statuses = await Promise.all(Array.from({ length: 6 }, (_, index) => request(instances[index % 2])));
+  assert.deepEqual(statuses, [200, 200, 200, 200, 200, 200]);
+  assert.equal(await request(instances[0]), 429);
+});
+
+test('KV令牌桶在补满所需的时间后过期', async () => {
+  const client = kvClient(`test-${crypto.randomUUID()}`);
+  const store = createRateLimitStore({ type: 'kv', client });
+  // 每秒补充20个令牌，2个令牌的桶100毫秒后补满
+  const rule = { capacity: 2, refill_per_minute: 1200 };
+
+  const result = await store.take('POST /api/test|ip:203.0.113.7', rule);
+  assert.equal(result.allowed, true);
+  assert.equal(result.remaining, 1);
+  assert.ok(await client.getJson(client.key('rate-limit', 'POST /api/test|ip:203.0.113.7')));
+
+  await new Promise(resolve => setTimeout(resolve, 150));
+  assert.equal(await client.getJson(client.key('rate-limit', 'POST /api/test|ip:203.0.113.7')), null);
+});
+
+/**
+ * 创建共用同一KV前缀的两个并发限制器
+ * @param {Object} options - 限制器配置
+ * @returns {Array} 两个KV并发限制器
+ */
+function kvLimiters(options) {
+  const prefix = `test-${crypto.randomUUID()}`;
+  return [0, 1].map(() => createReplicateConcurrencyLimiter({
+    type: 'kv',
+    client: kvClient(prefix),
+    queueTimeoutMs: 300,
+    ...options
+  }));
+}
+
+test('KV并发控制：全局上限在实例间共享，名额释放后排队的请求取得名额', async () => {
+  const [first, second] = kvLimiters({ maxConcurrent: 2, maxPerUser: 2 });
+  first.pollIntervalMs = 20;
+  second.pollIntervalMs = 20;
+
+  const slots = await Promise.all([first.acquire('user-1'), second.acquire('user-2')]);
+  assert.equal((await first.stats()).active, 2);
+  await assert.rejects(second.acquire('user-3'), { statusCode: 503, payload: { code: 'replicate_busy', retry_after_seconds: 10 } });
+
+  const waiting = second.acquire('user-3');
+  await slots[0].release();
+  const slot = await waiting;
+  assert.equal(typeof slot.id, 'string');
+  assert.deepEqual(await second.stats(), { active: 2, queued: 0, max_concurrent: 2, max_per_user: 2 });
+});
+
+test('KV并发控制：单用户上限跨实例生效，不影响其他用户', async () => {
+  const [first, second] = kvLimiters({ maxConcurrent: 4, maxPerUser: 1, queueTimeoutMs: 50 });
+
+  const task = first.run('user-1', () => new Promise(resolve => setTimeout(() => resolve('done'), 200)));
+  await new Promise(resolve => setTimeout(resolve, 20));
+  await assert.rejects(second.run('user-1', async () => 'blocked'), { statusCode: 503 });
+  assert.equal(await second.run('user-2', async () => 'other'), 'other');
+
+  assert.equal(await task, 'done');
+  assert.equal((await first.stats()).active, 0);
+});
+
+test('KV并发控制：Webhook回调由其他实例处理时释放预测占用的名额', async () => {
+  const [first, second] = kvLimiters({ maxConcurrent: 1, maxPerUser: 1 });
+
+  const slot = await first.acquire('user-1');
+  await first.hold('p1', slot);
+
+  assert.equal(await second.release('p1'), true);
+  assert.equal(await second.release('p1'), false);
+  assert.notEqual((await second.acquire('user-1')).id, slot.id);
+});
+
+test('KV并发控制：实例在释放前退出时名额到期后回收', async () => {
+  const [first, second] = kvLimiters({ maxConcurrent: 1, maxPerUser: 1, slotTtlMs: 50 });
+  second.pollIntervalMs = 20;
+
+  await first.acquire('user-1');
+  const started = Date.now();
+  await second.acquire('user-2');
+  assert.ok(Date.now() - started >= 30);
+});
+
+test('未配置KV时使用进程内存计数', () => {
+  assert.ok(createReplicateConcurrencyLimiter({ type: 'memory' }) instanceof ReplicateConcurrencyLimiter);
+  assert.throws(() => createReplicateConcurrencyLimiter({ type: 'file' }), /不支持的并发计数存储类型: file/);
+  assert.throws(() => createRateLimitStore({ type: 'file' }), /不支持的限流存储类型: file/);
+});
@@ -0,0 +1,212 @@
+/**
+ * Replicate调用的重试与熔断
+ * 等待时间通过注入的sleep记录而不真正等待，抖动通过注入的random固定
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  BREAKER_STATES,
+  CircuitBreaker,
+  ReplicateInvoker,
+  computeBackoffDelay,
+  isRetryableError
+} from '../shared/replicate-invoker.mjs';
+
+/**
+ * 创建带HTTP状态码的错误（与replicate客户端的ApiError相同的结构）
+ * @param {number} status - HTTP状态码
+ * @param {Object} headers - 响应头
+ * @returns {Error} 错误
+ */
+function apiError(status, headers = {}) {
+  return Object.assign(new Error(`Request failed with status ${status}`), {
+    response: { status, headers: new Headers(headers) }
+  });
+}
+
+/**
+ * 创建调用器，记录每次等待的时间
+ * @param {Object} options - ReplicateInvoker的参数
+ * @returns {Object} { invoker, delays }
+ */
+function createInvoker(options = {}) {
+  const delays = [];
+  const invoker = new ReplicateInvoker({
+    baseDelayMs: 100,
+    maxDelayMs: 1000,
+    sleep: async (ms) => { delays.push(ms); },
+    random: () => 0.5,
+    ...options
+  });
+  return { invoker, delays };
+}
+
+/**
+ * 按顺序返回结果的调用：Error实例抛出，其他值作为输出返回
+ * @param {Array} outcomes - 每次调用的结果
+ * @returns {Function} 调用函数，calls属性为已调用次数
+ */
+function scriptedTask(outcomes) {
+  const task = async () => {
+    const outcome = outcomes[Math.min(task.calls, outcomes.length - 1)];
+    task.calls += 1;
+    if (outcome instanceof Error) {
+      throw outcome;
+    }
+    return outcome;
+  };
+  task.calls = 0;
+  return task;
+}
+
+test('可重试的错误：5xx、429、网络错误、超时和冷启动超时', () => {
+  assert.equal(isRetryableError(apiError(503)), true);
+  assert.equal(isRetryableError(apiError(429)), true);
+  assert.equal(isRetryableError(apiError(422)), false);
+  assert.equal(isRetryableError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })), true);
+  assert.equal(isRetryableError(new TypeError('fetch failed')), true);
+  assert.equal(isRetryableError(Object.assign(new Error('timeout'), { code: 'replicate_timeout' })), true);
+  assert.equal(isRetryableError(new Error('Prediction failed: model timed out during setup')), true);
+  assert.equal(isRetryableError(new Error('Prediction failed: CUDA out of memory')), false);
+});
+
+test('退避时间按次数翻倍，不超过上限，随机数决定取值', () => {
+  const options = { baseDelayMs: 100, maxDelayMs: 1000 };
+  assert.equal(computeBackoffDelay(1, { ...options, random: () => 1 }), 100);
+  assert.equal(computeBackoffDelay(3, { ...options, random: () => 1 }), 400);
+  assert.equal(computeBackoffDelay(10, { ...options, random: () => 1 }), 1000);
+  assert.equal(computeBackoffDelay(3, { ...options, random: () => 0.5 }), 200);
+  assert.equal(computeBackoffDelay(3, { ...options, random: () => 0 }), 0);
+});
+
+test('可重试的错误按退避时间重试，成功后返回调用次数和最后一次错误', async () => {
+  const { invoker, delays } = createInvoker({ maxRetries: 2 });
+  const task = scriptedTask([apiError(503), apiError(502), 'ok']);
+
+  const result = await invoker.invoke('owner/model:v1', task);
+
+  assert.deepEqual(result, { output: 'ok', attempts: 3, last_error: 'Request failed with status 502' });
+  assert.deepEqual(delays, [50, 100]);
+});
+
+test('429响应按Retry-After等待，但不超过单次等待上限', async () => {
+  const { invoker, delays } = createInvoker({ maxRetries: 2 });
+  const task = scriptedTask([apiError(429, { 'retry-after': '0.3' }), apiError(429, { 'retry-after': '5' }), 'ok']);
+
+  await invoker.invoke('owner/model', task);
+
+  assert.deepEqual(delays, [300, 1000]);
+});
+
+test('不可重试的错误直接失败，不等待', async () => {
+  const { invoker, delays } = createInvoker({ maxRetries: 3 });
+  const task = scriptedTask([apiError(422)]);
+
+  await assert.rejects(invoker.invoke('owner/model', task), (error) => {
+    assert.equal(error.attempts, 1);
+    assert.equal(error.last_error, 'Request failed with status 422');
+    return true;
+  });
+  assert.equal(task.calls, 1);
+  assert.deepEqual(delays, []);
+});
+
+test('重试次数用完后抛出最后一次的错误', async () => {
+  const { invoker } = createInvoker({ maxRetries: 2 });
+  const task = scriptedTask([apiError(500), apiError(502), apiError(503)]);
+
+  await assert.rejects(invoker.invoke('owner/model', task), (error) => {
+    assert.equal(error.attempts, 3);
+    assert.equal(error.message, 'Request failed with status 503');
+    return true;
+  });
+  assert.equal(task.calls, 3);
+});
+
+test('单次调用超时后不等待调用结束，按超时错误重试', async () => {
+  const { invoker } = createInvoker({ maxRetries: 1, attemptTimeoutMs: 20 });
+  const signals = [];
+  const task = (signal) => {
+    signals.push(signal);
+    // 第一次调用永远不结束，第二次立即成功
+    return signals.length === 1 ? new Promise(() => {}) : Promise.resolve('ok');
+  };
+
+  const result = await invoker.invoke('owner/model', task);
+
+  assert.equal(result.output, 'ok');
+  assert.equal(result.attempts, 2);
+  assert.match(result.last_error, /超时/);
+  assert.equal(signals[0].aborted, true);
+  assert.equal(signals[1].aborted, false);
+});
+
+test('连续失败达到阈值后熔断，冷却期内直接返回503且不再调用', async () => {
+  let now = 0;
+  const breaker = new CircuitBreaker({ failureThreshold: 3, cooldownMs: 1000, now: () => now });
+  const { invoker } = createInvoker({ maxRetries: 5, breaker });
+  const task = scriptedTask([apiError(503)]);
+
+  await assert.rejects(invoker.invoke('owner/model:v1', task), (error) => {
+    assert.equal(error.statusCode, 503);
+    assert.equal(error.payload.code, 'model_unavailable');
+    assert.equal(error.attempts, 3);
+    return true;
+  });
+  assert.equal(task.calls, 3);
+  assert.equal(breaker.stats()['owner/model'].state, BREAKER_STATES.OPEN);
+
+  // 同一模型的其他版本共用熔断器
+  now = 500;
+  await assert.rejects(invoker.invoke('owner/model:v2', task), { statusCode: 503 });
+  assert.equal(task.calls, 3);
+});
+
+test('冷却结束后只放行一次试探调用，成功则恢复', async () => {
+  let now = 0;
+  const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 1000, now: () => now });
+  breaker.recordFailure('owner/model', new Error('boom'));
+  assert.equal(breaker.stats()['owner/model'].state, BREAKER_STATES.OPEN);
+
+  now = 1000;
+  breaker.check('owner/model');
+  assert.equal(breaker.stats()['owner/model'].state, BREAKER_STATES.HALF_OPEN);
+  // 试探结束前的其他调用仍直接失败
+  assert.throws(() => breaker.check('owner/model'), { statusCode: 503 });
+
+  breaker.recordSuccess('owner/model');
+  assert.equal(breaker.stats()['owner/model'].state, BREAKER_STATES.CLOSED);
+  assert.doesNotThrow(() => breaker.check('owner/model'));
+});
+
+test('试探调用失败时重新熔断', async () => {
+  let now = 0;
+  const breaker = new CircuitBreaker({ failureThreshold: 5, cooldownMs: 1000, now: () => now });
+  for (let i = 0; i < 5; i++) {
+    breaker.recordFailure('owner/model', new Error('boom'));
+  }
+
+  now = 1500;
+  const { invoker } = createInvoker({ maxRetries: 0, breaker });
+  await assert.rejects(invoker.invoke('owner/model', scriptedTask([apiError(500)])), { message: 'Request failed with status 500' });
+
+  const circuit = breaker.stats()['owner/model'];
+  assert.equal(circuit.state, BREAKER_STATES.OPEN);
+  assert.equal(circuit.opened_at, new Date(1500).toISOString());
+});
+
+test('试探遇到不可重试的错误时不改变熔断状态，下一次调用可以继续试探', async () => {
+  let now = 0;
+  const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 1000, now: () => now });
+  breaker.recordFailure('owner/model', new Error('boom'));
+
+  now = 1000;
+  const { invoker } = createInvoker({ maxRetries: 0, breaker });
+  await assert.rejects(invoker.invoke('owner/model', scriptedTask([apiError(400)])), { message: 'Request failed with status 400' });
+  assert.equal(breaker.stats()['owner/model'].state, BREAKER_STATES.HALF_OPEN);
+
+  const result = await invoker.invoke('owner/model', scriptedTask(['ok']));
+  assert.equal(result.output, 'ok');
+  assert.equal(breaker.stats()['owner/model'].state, BREAKER_STATES.CLOSED);
+});
@@ -0,0 +1,84 @@
+/**
+ * 共享模块的生成和一致性守卫
+ * shared/src 生成的 .cjs 与 .mjs 必须与源码同步，两种运行时加载后的导出和函数签名必须一致
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { listSharedModules, renderSharedModule, findStaleOutputs } from '../scripts/build-shared.js';
+import { describeExport, compareModuleApi, checkConsumers } from '../scripts/check-consistency.js';
+
+const require = createRequire(import.meta.url);
+const SHARED_DIR = fileURLToPath(new URL('../shared/', import.meta.url));
+
+/**
+ * 分别以CommonJS和ES模块方式加载共享模块
+ * @param {string} name - 模块名
+ * @returns {Promise<Object>} { cjs, mjs }
+ */
+async function loadBoth(name) {
+  const cjs = require(path.join(SHARED_DIR, `${name}.cjs`));
+  const mjs = await import(pathToFileURL(path.join(SHARED_DIR, `${name}.mjs`)).href);
+  return { cjs, mjs: { ...mjs } };
+}
+
+test('提交的 .cjs 和 .mjs 与 shared/src 同步', () => {
+  assert.ok(listSharedModules().includes('api-handlers'));
+  assert.deepEqual(findStaleOutputs(), []);
+});
+
+test('同一份源码生成两种模块格式，相对导入改写扩展名', () => {
+  const [cjs, mjs] = renderSharedModule('api-handlers').outputs;
+  assert.match(cjs.path, /api-handlers\.cjs$/);
+  assert.match(cjs.content, /^\/\/ 此文件由 scripts\/build-shared\.js 根据 shared\/src\/api-handlers\.js 生成/);
+  assert.match(cjs.content, /require\('\.\/http-errors\.cjs'\)/);
+  assert.match(cjs.content, /module\.exports = \{[^}]*\bprocessAnalyze\b/);
+  assert.doesNotMatch(cjs.content, /^(import|export) /m);
+
+  assert.match(mjs.content, /from '\.\/http-errors\.mjs'/);
+  assert.match(mjs.content, /^export async function processAnalyze\(/m);
+});
+
+test('所有共享模块在两种运行时中的导出和函数签名一致', async () => {
+  const loaded = {};
+  for (const name of listSharedModules()) {
+    loaded[name] = await loadBoth(name);
+    assert.deepEqual(compareModuleApi(name, loaded[name]), [], name);
+  }
+
+  const handlers = loaded['api-handlers'];
+  assert.equal(describeExport(handlers.cjs.formatErrorResponse), 'formatErrorResponse(error, context = {})');
+  assert.equal(describeExport(handlers.mjs.formatErrorResponse), 'formatErrorResponse(error, context = {})');
+
+  // 本地服务器和Vercel API引用的共享函数都存在
+  assert.deepEqual(checkConsumers(loaded), []);
+});
+
+test('导出缺失、参数或默认值不同时报告不一致', () => {
+  const cjs = {
+    buildModelConfig(imageBase64, scale, faceEnhance = false, model) { return { imageBase64, scale, faceEnhance, model }; },
+    formatErrorResponse(error) { return error; },
+    MAX_SCALE: 4
+  };
+  const mjs = {
+    buildModelConfig(imageBase64, scale, faceEnhance = true) { return { imageBase64, scale, faceEnhance }; },
+    async formatErrorResponse(error) { return error; },
+    MAX_SCALE: 8,
+    extraHelper() {}
+  };
+
+  const issues = compareModuleApi('api-handlers', { cjs, mjs });
+  assert.deepEqual(issues.map(issue => [issue.type, issue.export]), [
+    ['signature_inconsistency', 'MAX_SCALE'],
+    ['signature_inconsistency', 'buildModelConfig'],
+    ['missing_export', 'extraHelper'],
+    ['signature_inconsistency', 'formatErrorResponse']
+  ]);
+  assert.match(issues[1].message, /cjs: buildModelConfig\(imageBase64, scale, faceEnhance = false, model\)/);
+  assert.match(issues[1].message, /mjs: buildModelConfig\(imageBase64, scale, faceEnhance = true\)/);
+  assert.match(issues[3].message, /mjs: async formatErrorResponse\(error\)/);
+  assert.equal(issues[2].message, 'api-handlers.cjs 缺少导出 extraHelper');
+});
@@ -0,0 +1,153 @@
+/**
+ * 图像上传解析（multipart/form-data 和原始 image/* 请求体）
+ * 请求对象由Readable加上url和headers构造，multipart请求体在测试中按RFC 7578拼接；
+ * 上传写入测试专用的临时目录，每个用例结束后确认临时文件已删除
+ */
+
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { parseImageUpload, UPLOAD_IMAGE_TYPES } from '../shared/upload.mjs';
+import { encodePngDataUrl } from '../shared/image-processing.mjs';
+
+const PNG = Buffer.from(
+  encodePngDataUrl({ width: 4, height: 4, data: new Uint8Array(64).fill(200) }).split(',')[1],
+  'base64'
+);
+const BOUNDARY = '----upload-test-boundary';
+
+let tmpDir;
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-test-'));
+});
+
+afterEach(async () => {
+  // multipart解析出错时formidable在1ms后异步删除已写入的临时文件
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.deepEqual(fs.readdirSync(tmpDir), []);
+});
+
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+/**
+ * 构造请求对象
+ * @param {Buffer|Buffer[]} body - 请求体（数组时逐块读取）
+ * @param {Object} headers - 请求头
+ * @param {string} url - 请求地址
+ * @returns {Readable} 请求对象
+ */
+function request(body, headers, url = '/api/upscale') {
+  return Object.assign(Readable.from(Array.isArray(body) ? body : [body]), { url, headers });
+}
+
+/**
+ * 构造multipart/form-data请求
+ * @param {Array} parts - [{ name, value }] 或 [{ name, filename, type, data }]
+ * @returns {Readable} 请求对象
+ */
+function multipartRequest(parts) {
+  const chunks = parts.map((part) => {
+    const disposition = `Content-Disposition: form-data; name="${part.name}"${part.filename ? `; filename="${part.filename}"` : ''}`;
+    const type = part.filename ? `\r\nContent-Type: ${part.type}` : '';
+    return Buffer.concat([Buffer.from(`--${BOUNDARY}\r\n${disposition}${type}\r\n\r\n`), Buffer.from(part.data ?? part.value), Buffer.from('\r\n')]);
+  });
+  const body = Buffer.concat([...chunks, Buffer.from(`--${BOUNDARY}--\r\n`)]);
+  return request(body, { 'content-type': `multipart/form-data; boundary=${BOUNDARY}`, 'content-length': String(body.length) });
+}
+
+/**
+ * 断言上传被拒绝
+ * @param {Promise} promise - 解析上传的Promise
+ * @param {number} statusCode - 期望的状态码
+ * @param {RegExp} message - 期望的错误信息
+ */
+async function assertRejected(promise, statusCode, message) {
+  await assert.rejects(promise, (error) => {
+    assert.equal(error.statusCode, statusCode);
+    assert.match(error.message, message);
+    return true;
+  });
+}
+
+test('JSON请求返回null，由调用方继续按Base64处理', async () => {
+  assert.equal(await parseImageUpload(request(Buffer.from('{}'), { 'content-type': 'application/json' }), { tmpDir }), null);
+  assert.equal(await parseImageUpload(request(Buffer.alloc(0), {}), { tmpDir }), null);
+});
+
+test('multipart上传：图像转换为data URL，表单字段按JSON解析', async () => {
+  const params = await parseImageUpload(multipartRequest([
+    { name: 'scale', value: '4' },
+    { name: 'face_enhance', value: 'true' },
+    { name: 'type', value: 'night' },
+    // 声明的类型与文件内容不同时以文件头为准
+    { name: 'image', filename: 'photo.jpg', type: 'image/jpeg', data: PNG }
+  ]), { tmpDir });
+
+  assert.deepEqual(params, {
+    scale: 4,
+    face_enhance: true,
+    type: 'night',
+    imageBase64: `data:image/png;base64,${PNG.toString('base64')}`
+  });
+});
+
+test('原始image/*请求体：参数从查询字符串读取', async () => {
+  const params = await parseImageUpload(
+    request([PNG.subarray(0, 10), PNG.subarray(10)], { 'content-type': 'image/png' }, '/api/tone-enhance?type=night&intensity=1.5'),
+    { tmpDir }
+  );
+  assert.deepEqual(params, { type: 'night', intensity: 1.5, imageBase64: `data:image/png;base64,${PNG.toString('base64')}` });
+});
+
+test('Content-Length超出上限时不读取请求体直接返回413', async () => {
+  const req = request(PNG, { 'content-type': 'image/png', 'content-length': String(PNG.length) });
+  let read = false;
+  req.on('data', () => { read = true; });
+  req.pause();
+
+  await assertRejected(parseImageUpload(req, { tmpDir, maxBytes: 16 }), 413, /图像文件过大/);
+  assert.equal(read, false);
+});
+
+test('未声明长度的请求体在写入时超出上限返回413，并删除临时文件', async () => {
+  const chunks = Array.from({ length: 8 }, () => Buffer.alloc(1024, 1));
+  await assertRejected(parseImageUpload(request(chunks, { 'content-type': 'image/png' }), { tmpDir, maxBytes: 4096 }), 413, /最大支持 0\.0MB/);
+});
+
+test('multipart上传的文件超出上限返回413', async () => {
+  const large = Buffer.concat([PNG, Buffer.alloc(8192)]);
+  await assertRejected(
+    parseImageUpload(multipartRequest([{ name: 'image', filename: 'large.png', type: 'image/png', data: large }]), { tmpDir, maxBytes: 4096 }),
+    413,
+    /图像文件过大/
+  );
+});
+
+test('不支持的图像类型返回415', async () => {
+  assert.ok(!UPLOAD_IMAGE_TYPES.includes('image/svg+xml'));
+  await assertRejected(parseImageUpload(request(Buffer.from('<svg/>'), { 'content-type': 'image/svg+xml' }), { tmpDir }), 415, /不支持的图像类型: image\/svg\+xml/);
+  await assertRejected(
+    parseImageUpload(multipartRequest([{ name: 'image', filename: 'notes.txt', type: 'text/plain', data: 'hello' }]), { tmpDir }),
+    415,
+    /不支持的图像类型: text\/plain/
+  );
+  // 声明为图像但内容不是图像
+  await assertRejected(parseImageUpload(request(Buffer.from('hello world'), { 'content-type': 'image/png' }), { tmpDir }), 415, /不是支持的图像格式/);
+});
+
+test('缺少图像、请求体为空或上传多个文件返回400', async () => {
+  await assertRejected(parseImageUpload(multipartRequest([{ name: 'scale', value: '2' }]), { tmpDir }), 400, /缺少图像文件/);
+  await assertRejected(parseImageUpload(request(Buffer.alloc(0), { 'content-type': 'image/png' }), { tmpDir }), 400, /请求体为空/);
+  await assertRejected(
+    parseImageUpload(multipartRequest([
+      { name: 'image', filename: 'a.png', type: 'image/png', data: PNG },
+      { name: 'other', filename: 'b.png', type: 'image/png', data: PNG }
+    ]), { tmpDir }),
+    400,
+    /每次只能上传一个图像文件/
+  );
+});
@@ -0,0 +1,131 @@
+/**
+ * Replicate webhook回调的幂等处理
+ * 任务按webhook模式的状态直接写入存储（步骤运行中、已创建预测并预占用量），
+ * 同一预测的结束回调重复投递或并发到达时，结果、用量和预占释放只处理一次
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createJob, handleReplicateWebhook, JOB_STATUS, STEP_STATUS } from '../shared/jobs.mjs';
+import { createJobStore } from '../shared/job-store.mjs';
+import { encodePngDataUrl } from '../shared/image-processing.mjs';
+
+const INPUT = encodePngDataUrl({ width: 8, height: 8, data: new Uint8Array(8 * 8 * 4).fill(128) });
+
+let tmpDir;
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-test-'));
+  process.env.STORAGE_DIR = path.join(tmpDir, 'outputs');
+});
+
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+/**
+ * 创建记录调用次数的用量计量器替身
+ * @returns {Object} 计量器，calls属性为各方法的调用次数
+ */
+function spyMeter() {
+  const meter = {
+    calls: { refund: 0, release: 0, settle: 0 },
+    refund: async () => { meter.calls.refund += 1; return 0; },
+    release: async (userId, billing) => { meter.calls.release += 1; return { ...billing, reservation: null }; },
+    settle: async () => { meter.calls.settle += 1; }
+  };
+  return meter;
+}
+
+/**
+ * 创建等待预测结果的超分任务：步骤运行中，预测ID为p1，已预占一次增强的用量
+ * @param {Object} store - 任务存储
+ * @returns {Promise<Object>} 任务记录
+ */
+async function createWaitingJob(store) {
+  const job = await createJob(store, 'upscale', { imageBase64: INPUT, provider: 'replicate', model: 'real-esrgan', scale: 2 }, 'user-1');
+  const now = new Date().toISOString();
+  return store.update(job.id, {
+    status: JOB_STATUS.RUNNING,
+    started_at: now,
+    steps: [{
+      ...job.steps[0],
+      status: STEP_STATUS.RUNNING,
+      started_at: now,
+      prediction_id: 'p1',
+      billing: { source: 'plan', cost: 0, charged: 0, transaction_id: null, reservation: { period_key: '2026-10', usage: { enhancements: 1 } } }
+    }]
+  });
+}
+
+/**
+ * 并发投递同一回调
+ * @param {Object} store - 任务存储
+ * @param {Object} job - 任务记录
+ * @param {Object} prediction - 预测对象
+ * @param {Object} meter - 用量计量器
+ * @param {number} times - 投递次数
+ * @returns {Promise<Array>} 每次处理的结果
+ */
+function deliver(store, job, prediction, meter, times = 1) {
+  return Promise.all(Array.from({ length: times }, () => (
+    handleReplicateWebhook(store, { jobId: job.id, stepIndex: '0' }, prediction, 'test-token', { meter })
+  )));
+}
+
+for (const type of ['memory', 'file']) {
+  test(`${type}存储：失败回调并发投递6次，预占只释放一次`, async () => {
+    const store = createJobStore({ type, dir: path.join(tmpDir, `jobs-${type}`) });
+    const meter = spyMeter();
+    const job = await createWaitingJob(store);
+
+    await deliver(store, job, { id: 'p1', status: 'failed', error: 'CUDA out of memory' }, meter, 6);
+
+    assert.deepEqual(meter.calls, { refund: 1, release: 1, settle: 0 });
+    const failed = await store.get(job.id);
+    assert.equal(failed.status, JOB_STATUS.FAILED);
+    assert.equal(failed.error, 'CUDA out of memory');
+    assert.equal(failed.steps[0].status, STEP_STATUS.FAILED);
+    assert.equal(failed.steps[0].billing.reservation, null);
+  });
+
+  test(`${type}存储：成功回调并发投递，结果和用量只记录一次`, async () => {
+    const store = createJobStore({ type, dir: path.join(tmpDir, `jobs-${type}`) });
+    const meter = spyMeter();
+    const job = await createWaitingJob(store);
+
+    await deliver(store, job, { id: 'p1', status: 'processing', logs: ' 45%|████▌     | 9/20' }, meter);
+    assert.equal((await store.get(job.id)).steps[0].percent, 45);
+
+    await deliver(store, job, { id: 'p1', status: 'succeeded', output: INPUT }, meter, 4);
+
+    assert.deepEqual(meter.calls, { refund: 0, release: 0, settle: 1 });
+    const finished = await store.get(job.id);
+    assert.equal(finished.status, JOB_STATUS.SUCCEEDED);
+    assert.equal(finished.steps[0].status, STEP_STATUS.SUCCEEDED);
+    assert.equal(finished.result.output_image.width, 8);
+  });
+}
+
+test('结束后晚到的进度回调不改变步骤', async () => {
+  const store = createJobStore({ type: 'memory' });
+  const meter = spyMeter();
+  const job = await createWaitingJob(store);
+
+  await deliver(store, job, { id: 'p1', status: 'failed', error: 'boom' }, meter);
+  const failed = await store.get(job.id);
+
+  await deliver(store, job, { id: 'p1', status: 'processing', logs: ' 80%|████████  | 16/20' }, meter);
+
+  assert.deepEqual(await store.get(job.id), failed);
+  assert.equal(meter.calls.release, 1);
+});
+
+test('预测ID与步骤不一致时返回404', async () => {
+  const store = createJobStore({ type: 'memory' });
+  const job = await createWaitingJob(store);
+
+  await assert.rejects(deliver(store, job, { id: 'other', status: 'succeeded' }, spyMeter()), { statusCode: 404 });
+  assert.equal((await store.get(job.id)).steps[0].status, STEP_STATUS.RUNNING);
+});
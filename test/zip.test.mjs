@@ -0,0 +1,210 @@
+/**
+ * ZIP压缩包读写
+ * 压缩包由ZipWriter在内存中写出；路径穿越的条目名和虚报大小的条目通过直接改写压缩包字节构造
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { Readable, Writable } from 'stream';
+import { ZipWriter, ZipReader, ZIP_METHODS, crc32, normalizeZipPath } from '../shared/zip.mjs';
+import { parseBatchUpload } from '../shared/upload.mjs';
+import { encodePngDataUrl } from '../shared/image-processing.mjs';
+
+const PNG = Buffer.from(
+  encodePngDataUrl({ width: 2, height: 2, data: new Uint8Array(16).fill(200) }).split(',')[1],
+  'base64'
+);
+
+let tmpDir;
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-test-'));
+});
+
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+/**
+ * 用ZipWriter写出压缩包
+ * @param {Array} files - [{ name, data, compress }]
+ * @returns {Promise<Buffer>} 压缩包内容
+ */
+async function writeZip(files) {
+  const chunks = [];
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    }
+  });
+  const writer = new ZipWriter(output);
+  for (const { name, data, compress } of files) {
+    await writer.addFile(name, data, { compress });
+  }
+  await writer.finish();
+  return Buffer.concat(chunks);
+}
+
+/**
+ * 把压缩包保存为临时文件并打开
+ * @param {Buffer} buffer - 压缩包内容
+ * @returns {Promise<ZipReader>} 读取器
+ */
+async function openZip(buffer) {
+  const filePath = path.join(tmpDir, `${crypto.randomUUID()}.zip`);
+  await fs.promises.writeFile(filePath, buffer);
+  return ZipReader.open(filePath);
+}
+
+/**
+ * 改写条目名（本地文件头和中央目录中的名称都会替换），新旧名称的字节数必须相同
+ * @param {Buffer} buffer - 压缩包内容
+ * @param {string} from - 原名称
+ * @param {string} to - 新名称
+ * @returns {Buffer} 改写后的压缩包
+ */
+function renameEntry(buffer, from, to) {
+  const source = Buffer.from(from);
+  const target = Buffer.from(to);
+  assert.equal(source.length, target.length);
+  const result = Buffer.from(buffer);
+  for (let index = result.indexOf(source); index !== -1; index = result.indexOf(source, index + 1)) {
+    target.copy(result, index);
+  }
+  return result;
+}
+
+/**
+ * 改写中央目录中第一个条目声明的解压后大小
+ * @param {Buffer} buffer - 压缩包内容
+ * @param {number} size - 声明的大小
+ * @returns {Buffer} 改写后的压缩包
+ */
+function declareSize(buffer, size) {
+  const result = Buffer.from(buffer);
+  result.writeUInt32LE(size, result.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])) + 24);
+  return result;
+}
+
+/**
+ * 构造以ZIP压缩包为请求体的上传请求
+ * @param {Buffer} buffer - 压缩包内容
+ * @returns {Readable} 请求对象
+ */
+function zipRequest(buffer) {
+  return Object.assign(Readable.from([buffer]), {
+    url: '/api/batches?preset_id=builtin-night',
+    headers: { 'content-type': 'application/zip', 'content-length': String(buffer.length) }
+  });
+}
+
+test('写入后读回：存储和压缩的条目、中文路径和目录结构', async () => {
+  const json = JSON.stringify({ items: Array.from({ length: 50 }, (_, index) => ({ index, status: 'succeeded' })) });
+  const buffer = await writeZip([
+    { name: '夜景/第一张.png', data: PNG },
+    { name: 'results/manifest.json', data: json, compress: true },
+    { name: 'empty.txt', data: '' }
+  ]);
+
+  const zip = await openZip(buffer);
+  try {
+    assert.deepEqual(zip.entries.map(entry => entry.name), ['夜景/第一张.png', 'results/manifest.json', 'empty.txt']);
+    const [image, manifest, empty] = zip.entries;
+    assert.equal(image.method, ZIP_METHODS.STORE);
+    assert.equal(manifest.method, ZIP_METHODS.DEFLATE);
+    assert.ok(manifest.compressedSize < manifest.size);
+    assert.equal(image.crc, crc32(PNG));
+
+    assert.deepEqual(await zip.readEntry(image), PNG);
+    assert.equal((await zip.readEntry(manifest)).toString(), json);
+    assert.equal((await zip.readEntry(empty)).length, 0);
+  } finally {
+    await zip.close();
+  }
+});
+
+test('路径规范化去掉开头的/、.和..，统一使用/分隔', () => {
+  assert.equal(normalizeZipPath('../../etc/passwd'), 'etc/passwd');
+  assert.equal(normalizeZipPath('/tmp/abs.png'), 'tmp/abs.png');
+  assert.equal(normalizeZipPath('..\\..\\windows\\win.ini'), 'windows/win.ini');
+  assert.equal(normalizeZipPath('a/./b/../c.png'), 'a/b/c.png');
+  assert.equal(normalizeZipPath('../..'), '');
+  assert.equal(normalizeZipPath(undefined), '');
+});
+
+test('写入时规范化条目路径，规范化后重复或为空的路径直接拒绝', async () => {
+  const output = new Writable({ write: (chunk, encoding, callback) => callback() });
+  const writer = new ZipWriter(output);
+
+  assert.equal(await writer.addFile('../../outside.png', PNG), 'outside.png');
+  await assert.rejects(writer.addFile('/outside.png', PNG), /压缩包条目重复: outside.png/);
+  await assert.rejects(writer.addFile('../..', PNG), /无效的压缩包条目路径/);
+});
+
+test('上传的压缩包中路径穿越的条目名按规范化后的路径保存', async () => {
+  const archive = renameEntry(
+    renameEntry(
+      renameEntry(
+        await writeZip([
+          { name: 'aa/aa/evil.png', data: PNG },
+          { name: 'zzzzz/win.png', data: PNG },
+          { name: 'zzzz/abs.png', data: PNG }
+        ]),
+        'aa/aa/evil.png', '../../evil.png'
+      ),
+      'zzzzz/win.png', '..\\..\\win.png'
+    ),
+    'zzzz/abs.png', '/tmp/abs.png'
+  );
+
+  const zip = await openZip(archive);
+  assert.deepEqual(zip.entries.map(entry => entry.name), ['../../evil.png', '..\\..\\win.png', '/tmp/abs.png']);
+  await zip.close();
+
+  const upload = await parseBatchUpload(zipRequest(archive), { tmpDir });
+  assert.deepEqual(upload.images.map(image => image.name), ['evil.png', 'win.png', 'tmp/abs.png']);
+  assert.deepEqual(upload.skipped, []);
+  assert.equal(upload.preset_id, 'builtin-night');
+});
+
+test('存储条目的实际大小超过声明大小时按损坏处理', async () => {
+  const zip = await openZip(declareSize(await writeZip([{ name: 'photo.png', data: PNG }]), 10));
+  try {
+    await assert.rejects(zip.readEntry(zip.entries[0]), /条目大小与声明不符/);
+  } finally {
+    await zip.close();
+  }
+});
+
+test('压缩条目解压超过声明大小时立即停止（压缩炸弹）', async () => {
+  // 8MB的0压缩后只有几KB，声明大小为1KB
+  const bomb = Buffer.alloc(8 * 1024 * 1024);
+  const archive = declareSize(await writeZip([{ name: 'bomb.png', data: bomb, compress: true }]), 1024);
+  assert.ok(archive.length < 64 * 1024);
+
+  const zip = await openZip(archive);
+  try {
+    await assert.rejects(zip.readEntry(zip.entries[0]), /条目大小与声明不符/);
+    // 声明大小超过上限时不读取内容
+    await assert.rejects(zip.readEntry({ ...zip.entries[0], size: bomb.length }, { maxBytes: 1024 * 1024 }), /文件过大，最大支持 1\.0MB/);
+  } finally {
+    await zip.close();
+  }
+});
+
+test('上传的压缩包中虚报大小和CRC不符的条目跳过并记录原因', async () => {
+  const good = await writeZip([{ name: 'a.png', data: PNG }, { name: 'b.png', data: PNG }]);
+  // 第一个条目虚报大小；第二个条目的内容改动一个字节，CRC校验失败
+  const archive = declareSize(good, 10);
+  archive[archive.lastIndexOf(PNG.subarray(0, 8)) + 20] ^= 0xff;
+
+  const upload = await parseBatchUpload(zipRequest(archive), { tmpDir });
+  assert.deepEqual(upload.images, []);
+  assert.deepEqual(upload.skipped, [
+    { name: 'a.png', reason: 'ZIP压缩包已损坏：条目大小与声明不符' },
+    { name: 'b.png', reason: 'ZIP压缩包已损坏：CRC校验失败' }
+  ]);
+});